@@ -0,0 +1,43 @@
+-- Migration 009: Durable Webhook Queue
+-- Purpose: Persist incoming Clio webhooks before processing so that a restart,
+--          deploy or crash does not drop queued work. Pending rows are resumed
+--          on boot in enqueued order per matter.
+
+CREATE TABLE IF NOT EXISTS webhook_queue (
+  id BIGSERIAL PRIMARY KEY,
+  queue_key TEXT NOT NULL,                 -- matter ID, or 'global' when no matter is known
+  endpoint TEXT NOT NULL,                  -- e.g. '/matters', '/tasks'
+  trigger_name TEXT,
+  webhook_id TEXT,
+  trace_id TEXT,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | processing | completed | failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  result JSONB,
+  enqueued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT webhook_queue_status_check
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed'))
+);
+
+-- Resume scan: unfinished items in arrival order
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_unfinished
+  ON webhook_queue(enqueued_at)
+  WHERE status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_queue_key
+  ON webhook_queue(queue_key, enqueued_at);
+
+DROP TRIGGER IF EXISTS update_webhook_queue_updated_at ON webhook_queue;
+CREATE TRIGGER update_webhook_queue_updated_at
+  BEFORE UPDATE ON webhook_queue
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_queue IS 'Durable journal of Clio webhooks awaiting or undergoing processing';
+COMMENT ON COLUMN webhook_queue.queue_key IS 'Per-matter ordering key (matter ID or global)';
+COMMENT ON COLUMN webhook_queue.status IS 'pending = not started, processing = in flight (resumed on boot), completed/failed = terminal';
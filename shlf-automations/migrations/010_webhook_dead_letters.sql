@@ -0,0 +1,47 @@
+-- Migration 010: Webhook Dead-Letter Store
+-- Purpose: Keep webhooks that exhausted their retry attempts so they can be
+--          inspected and replayed through the admin API.
+
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint TEXT NOT NULL,                   -- e.g. '/matters', '/tasks'
+  trigger_name TEXT,                        -- e.g. 'matter-stage-change'
+  webhook_id TEXT,
+  matter_id BIGINT,
+  resource_id TEXT,
+  trace_id TEXT,                            -- trace of the original (failed) run
+  payload JSONB NOT NULL,
+  error_message TEXT,
+  error_code TEXT,
+  http_status INTEGER,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending',   -- pending | replayed | replay_failed
+  replay_count INTEGER NOT NULL DEFAULT 0,
+  last_replay_trace_id TEXT,
+  last_replay_error TEXT,
+  last_replayed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT webhook_dead_letters_status_check
+    CHECK (status IN ('pending', 'replayed', 'replay_failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_status
+  ON webhook_dead_letters(status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_trigger_name
+  ON webhook_dead_letters(trigger_name);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_matter_id
+  ON webhook_dead_letters(matter_id);
+
+DROP TRIGGER IF EXISTS update_webhook_dead_letters_updated_at ON webhook_dead_letters;
+CREATE TRIGGER update_webhook_dead_letters_updated_at
+  BEFORE UPDATE ON webhook_dead_letters
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_dead_letters IS 'Clio webhooks that failed every retry attempt, kept for inspection and replay';
+COMMENT ON COLUMN webhook_dead_letters.trace_id IS 'Trace of the original failed run; replays link back to it';
+COMMENT ON COLUMN webhook_dead_letters.last_replay_trace_id IS 'Trace of the most recent replay attempt';
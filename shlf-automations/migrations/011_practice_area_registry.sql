@@ -0,0 +1,41 @@
+-- Migration 011: Practice Area Registry
+-- Purpose: Map each Clio practice area to its stage task template table, stage set
+--          and behavior flags, replacing the hard-coded Probate ID (45045123).
+--          Adding a practice area (Trust Administration, Guardianship, Medicaid, ...)
+--          only needs a template table and a row here.
+
+CREATE TABLE IF NOT EXISTS practice_area_registry (
+  practice_area_id BIGINT PRIMARY KEY,      -- Clio practice_area.id
+  practice_area_name TEXT NOT NULL,
+  template_table TEXT NOT NULL,             -- stage task templates, e.g. 'task-list-probate'
+  stage_ids BIGINT[],                       -- stages that generate tasks (NULL = any stage)
+  flags JSONB NOT NULL DEFAULT '{}'::jsonb, -- generate_stage_tasks, attempt_sequences, verify_tasks
+  is_default BOOLEAN NOT NULL DEFAULT false,-- used for practice areas without a row
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT practice_area_registry_template_table_check
+    CHECK (template_table ~ '^task-list-[a-z0-9-]+$')
+);
+
+-- Only one default entry
+CREATE UNIQUE INDEX IF NOT EXISTS idx_practice_area_registry_single_default
+  ON practice_area_registry(is_default) WHERE is_default = true;
+
+DROP TRIGGER IF EXISTS update_practice_area_registry_updated_at ON practice_area_registry;
+CREATE TRIGGER update_practice_area_registry_updated_at
+  BEFORE UPDATE ON practice_area_registry
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed the two practice areas that existed before the registry
+INSERT INTO practice_area_registry (practice_area_id, practice_area_name, template_table, is_default) VALUES
+  (44697423, 'Estate Planning', 'task-list-non-meeting', true),
+  (45045123, 'Probate', 'task-list-probate', false)
+ON CONFLICT (practice_area_id) DO NOTHING;
+
+COMMENT ON TABLE practice_area_registry IS 'Per-practice-area automation configuration (template source, stages, behavior flags)';
+COMMENT ON COLUMN practice_area_registry.template_table IS 'Supabase table holding stage task templates for this practice area';
+COMMENT ON COLUMN practice_area_registry.stage_ids IS 'Stage IDs that generate tasks; NULL means every stage';
+COMMENT ON COLUMN practice_area_registry.flags IS 'Behavior flags: generate_stage_tasks, attempt_sequences, verify_tasks (all default true)';
@@ -0,0 +1,36 @@
+-- Migration 012: Test Mode Allowlist Rules
+-- Purpose: Let TEST_MODE pilot automations on a cohort of real matters instead of
+--          a single TEST_MATTER_ID. Rules are read at runtime (cached ~1 minute),
+--          so the allowlist can be edited here without restarting the server.
+--          TEST_MATTER_ID is still always allowed.
+
+CREATE TABLE IF NOT EXISTS test_mode_rules (
+  id BIGSERIAL PRIMARY KEY,
+  rule_type TEXT NOT NULL,          -- matter_id | matter_number_pattern | responsible_attorney | custom_field
+  value TEXT NOT NULL,              -- matter ID, display number pattern ('*' wildcard), attorney ID, or custom field name/ID
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT test_mode_rules_rule_type_check
+    CHECK (rule_type IN ('matter_id', 'matter_number_pattern', 'responsible_attorney', 'custom_field'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_test_mode_rules_active ON test_mode_rules(active);
+
+DROP TRIGGER IF EXISTS update_test_mode_rules_updated_at ON test_mode_rules;
+CREATE TRIGGER update_test_mode_rules_updated_at
+  BEFORE UPDATE ON test_mode_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Example rules (inactive):
+-- INSERT INTO test_mode_rules (rule_type, value, description) VALUES
+--   ('matter_id', '1675950832', 'Primary test matter'),
+--   ('matter_number_pattern', '00123-*', 'Pilot client matters'),
+--   ('responsible_attorney', '357379471', 'Pilot attorney'),
+--   ('custom_field', 'Automation Pilot', 'Matters flagged for the pilot in Clio');
+
+COMMENT ON TABLE test_mode_rules IS 'Allowlist rules applied when TEST_MODE=true (any active matching rule allows the matter)';
+COMMENT ON COLUMN test_mode_rules.value IS 'Matter ID, display number pattern (* wildcard, case-insensitive), responsible attorney ID, or custom field name/ID (matches when the field is checked/non-empty)';
@@ -0,0 +1,33 @@
+-- Migration 013: Firm Holiday Calendar
+-- Purpose: Closure days that due date calculation treats as non-business days,
+--          on top of the built-in US federal and Florida state court holidays.
+--          A row with closed = false marks a built-in holiday as a working day.
+--          Also adds a template-level option to count due dates in business days.
+
+CREATE TABLE IF NOT EXISTS firm_holidays (
+  id BIGSERIAL PRIMARY KEY,
+  holiday_date DATE NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  closed BOOLEAN NOT NULL DEFAULT true,   -- false = open on a built-in holiday
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_firm_holidays_updated_at ON firm_holidays;
+CREATE TRIGGER update_firm_holidays_updated_at
+  BEFORE UPDATE ON firm_holidays
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE firm_holidays IS 'Firm closure days (court closures, office closures) and overrides of built-in holidays';
+COMMENT ON COLUMN firm_holidays.closed IS 'true = non-business day; false = business day even if it is a built-in holiday';
+
+-- Template option: count "due_date-value" in business days (skip weekends and holidays)
+ALTER TABLE "task-list-non-meeting" ADD COLUMN IF NOT EXISTS "due_date-business-days" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "task-list-probate" ADD COLUMN IF NOT EXISTS "due_date-business-days" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "task-list-meeting" ADD COLUMN IF NOT EXISTS "due_date-business-days" BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN "task-list-non-meeting"."due_date-business-days" IS 'Count due_date-value in business days instead of calendar days';
+COMMENT ON COLUMN "task-list-probate"."due_date-business-days" IS 'Count due_date-value in business days instead of calendar days';
+COMMENT ON COLUMN "task-list-meeting"."due_date-business-days" IS 'Count due_date-value in business days instead of calendar days';
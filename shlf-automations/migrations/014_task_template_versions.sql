@@ -0,0 +1,46 @@
+-- Migration 014: Task Template Versioning
+-- Purpose: Versioned history for task templates edited through the admin API
+--          (/admin/templates), and a link from generated tasks to the template
+--          version that produced them.
+--          Templates are retired (active = false) instead of deleted so history
+--          and generated tasks keep pointing at them.
+--          Template tables added to practice_area_registry later need the same
+--          active/version columns.
+
+-- Current version + soft retire on each template table
+ALTER TABLE "task-list-non-meeting" ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "task-list-non-meeting" ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "task-list-probate" ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "task-list-probate" ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "task-list-meeting" ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "task-list-meeting" ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS task_template_versions (
+  id BIGSERIAL PRIMARY KEY,
+  template_table TEXT NOT NULL,     -- e.g. 'task-list-probate'
+  template_id BIGINT NOT NULL,      -- row id in template_table
+  version INTEGER NOT NULL,
+  action TEXT NOT NULL,             -- created | updated | retired | restored
+  snapshot JSONB NOT NULL,          -- full template row after the change
+  changed_fields TEXT[],
+  changed_by TEXT,
+  change_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT task_template_versions_action_check
+    CHECK (action IN ('created', 'updated', 'retired', 'restored')),
+  CONSTRAINT task_template_versions_unique UNIQUE (template_table, template_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_template_versions_template
+  ON task_template_versions(template_table, template_id, version DESC);
+
+-- Which template version generated each task
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS template_table TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS template_id BIGINT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS template_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_template ON tasks(template_table, template_id, template_version);
+
+COMMENT ON TABLE task_template_versions IS 'Snapshot of every admin API change to a task template';
+COMMENT ON COLUMN tasks.template_version IS 'Template version (task_template_versions.version) that generated this task';
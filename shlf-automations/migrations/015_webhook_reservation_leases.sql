@@ -0,0 +1,27 @@
+-- Migration 015: Lease-Based Webhook Reservations
+-- Purpose: Automations reserve a webhook (webhook_events.success = NULL) before
+--          processing it. If the process dies mid-run the reservation used to
+--          stay NULL forever and every Clio retry was answered 'still_processing'.
+--          Reservations now carry a lease; once it expires the reservation is
+--          abandoned and is either taken over (re-run) or marked failed by the
+--          reservation-recovery job (see src/jobs/recover-reservations.js).
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS lease_owner TEXT;              -- instance holding the reservation
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;  -- NULL on rows created before leases
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS processing_attempts INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS trace_id TEXT;                 -- trace of the run holding the reservation
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS recovery_trace_id TEXT;        -- trace of the recovery re-run
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS recovered_at TIMESTAMPTZ;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+-- Reservations written before this migration get a lease based on when they were created
+UPDATE webhook_events
+SET lease_expires_at = created_at + INTERVAL '10 minutes'
+WHERE success IS NULL AND lease_expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_open_leases
+  ON webhook_events(lease_expires_at)
+  WHERE success IS NULL;
+
+COMMENT ON COLUMN webhook_events.lease_expires_at IS 'Reservation (success IS NULL) is abandoned once this passes';
+COMMENT ON COLUMN webhook_events.processing_attempts IS 'Runs that have held the reservation (original + takeovers/recoveries)';
@@ -0,0 +1,70 @@
+-- Migration 016: Document Task Rules
+-- Purpose: DocumentCreatedAutomation used to create the same task ("New Clio Drive
+--          Document Save to OD", user 357379471, due in 1 business day) for every
+--          document in a matter's root folder. Rules decide which follow-up a new
+--          document gets, based on the document and its matter.
+--
+-- Evaluation (see src/services/document-rules.js):
+-- - Documents in an excluded folder (excluded_folders) never create tasks
+-- - Active rules are checked by ascending priority (then id); the first rule whose
+--   conditions all match wins. NULL / empty conditions match anything.
+-- - A matching rule with create_task = false means "no task"
+-- - No matching rule means no task
+-- Rules are cached for a minute, so edits here apply without a restart.
+
+CREATE TABLE IF NOT EXISTS document_task_rules (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100,  -- lower runs first
+  active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Conditions
+  name_pattern TEXT,                      -- document name, '*' wildcard, case-insensitive
+  folder_pattern TEXT,                    -- parent folder name, '*' wildcard, case-insensitive
+  in_root BOOLEAN,                        -- true: matter root folder only, false: subfolders only, NULL: either
+  file_types TEXT[],                      -- file extensions without the dot, e.g. {pdf,docx}
+  practice_area_ids BIGINT[],             -- Clio practice area IDs
+  stage_ids BIGINT[],                     -- Clio matter stage IDs
+
+  -- Action
+  create_task BOOLEAN NOT NULL DEFAULT true,
+  task_title TEXT,
+  task_description TEXT,                  -- placeholders: {document_name}, {folder}, {matter_number}
+  assignee_type TEXT,                     -- ATTORNEY, CSC, PARALEGAL, FUND_TABLE, VA, or a Clio user ID
+  due_value INTEGER NOT NULL DEFAULT 1,
+  due_unit TEXT NOT NULL DEFAULT 'business days',
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT document_task_rules_task_check
+    CHECK (create_task = false OR (task_title IS NOT NULL AND assignee_type IS NOT NULL)),
+  CONSTRAINT document_task_rules_due_unit_check
+    CHECK (due_unit IN ('business days', 'days', 'hours')),
+  CONSTRAINT document_task_rules_due_value_check
+    CHECK (due_value >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_task_rules_active ON document_task_rules(active, priority);
+
+DROP TRIGGER IF EXISTS update_document_task_rules_updated_at ON document_task_rules;
+CREATE TRIGGER update_document_task_rules_updated_at
+  BEFORE UPDATE ON document_task_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Previous behavior: every root-folder document gets the "Save to OD" task
+INSERT INTO document_task_rules (name, priority, in_root, task_title, task_description, assignee_type, due_value, due_unit)
+SELECT 'Save new documents to OD', 1000, true, 'New Clio Drive Document Save to OD', 'New document: {document_name}', '357379471', 1, 'business days'
+WHERE NOT EXISTS (SELECT 1 FROM document_task_rules);
+
+-- Example rules (inactive):
+-- INSERT INTO document_task_rules (name, priority, name_pattern, folder_pattern, file_types, create_task, task_title, task_description, assignee_type, due_value, due_unit, active) VALUES
+--   ('Intake questionnaire', 10, '*intake*', NULL, NULL, true, 'Review Intake Questionnaire', 'Review {document_name} for {matter_number}', 'CSC', 1, 'business days', false),
+--   ('Signed documents', 20, '*signed*', NULL, '{pdf}', true, 'File Signed Documents', 'Signed document received: {document_name}', 'PARALEGAL', 2, 'business days', false),
+--   ('Court filings', 30, NULL, 'Court Filings', NULL, true, 'Calendar Court Filing Deadlines', 'New filing in {folder}: {document_name}', 'ATTORNEY', 0, 'days', false),
+--   ('Scanned drafts', 40, 'scan*', NULL, NULL, false, NULL, NULL, NULL, 1, 'business days', false);
+
+COMMENT ON TABLE document_task_rules IS 'Rules choosing the follow-up task for new Clio Drive documents (first active match by priority wins)';
+COMMENT ON COLUMN document_task_rules.create_task IS 'false = matching documents create no task';
+COMMENT ON COLUMN document_task_rules.assignee_type IS 'Resolved like task templates: ATTORNEY, CSC, PARALEGAL, FUND_TABLE, VA, or a numeric Clio user ID';
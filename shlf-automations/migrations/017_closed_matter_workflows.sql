@@ -0,0 +1,106 @@
+-- Migration 017: Closed Matter Workflows
+-- Purpose: MatterClosedAutomation used to only create a "Client did not engage"
+--          task for closed matters without payments. What happens when a matter
+--          closes is now configured per practice area:
+--          - what to do with the matter's open automation tasks (leave, complete, delete)
+--          - what to do with open calendar-linked tasks (leave, complete, delete)
+--          - whether to create the "Client did not engage" task when nothing was paid
+--          - a closing checklist task set (closing_checklist_templates)
+--          Every closure is recorded in matter_closures (tasks and bills outstanding).
+--
+-- The workflow for a matter is the active row for its practice area, else the
+-- active row with practice_area_id NULL (default). Workflows are cached for a
+-- minute, so edits here apply without a restart.
+
+CREATE TABLE IF NOT EXISTS closed_matter_workflows (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  practice_area_id BIGINT,                           -- Clio practice area ID, NULL = default workflow
+  open_task_action TEXT NOT NULL DEFAULT 'none',     -- none | complete | delete
+  calendar_task_action TEXT NOT NULL DEFAULT 'none', -- none | complete | delete (tasks linked to a calendar entry)
+  no_payment_task BOOLEAN NOT NULL DEFAULT true,     -- "Client did not engage" task when no payments were made
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT closed_matter_workflows_open_task_action_check
+    CHECK (open_task_action IN ('none', 'complete', 'delete')),
+  CONSTRAINT closed_matter_workflows_calendar_task_action_check
+    CHECK (calendar_task_action IN ('none', 'complete', 'delete'))
+);
+
+-- One active workflow per practice area (and one active default)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_closed_matter_workflows_practice_area
+  ON closed_matter_workflows (COALESCE(practice_area_id, 0)) WHERE active = true;
+
+DROP TRIGGER IF EXISTS update_closed_matter_workflows_updated_at ON closed_matter_workflows;
+CREATE TRIGGER update_closed_matter_workflows_updated_at
+  BEFORE UPDATE ON closed_matter_workflows
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Closing checklist tasks (same assignee / due date columns as the task-list-* tables)
+CREATE TABLE IF NOT EXISTS closing_checklist_templates (
+  id BIGSERIAL PRIMARY KEY,
+  workflow_id BIGINT NOT NULL REFERENCES closed_matter_workflows(id) ON DELETE CASCADE,
+  task_number INTEGER NOT NULL,
+  task_title TEXT NOT NULL,
+  task_description TEXT,
+  assignee TEXT NOT NULL,                    -- ATTORNEY, CSC, PARALEGAL, FUND_TABLE, VA, or a Clio user ID
+  assignee_id TEXT,                          -- lookup reference / user ID, as in the task-list-* tables
+  "due_date-value" INTEGER NOT NULL DEFAULT 1,
+  "due_date-time-relation" TEXT NOT NULL DEFAULT 'business days',
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (workflow_id, task_number)
+);
+
+DROP TRIGGER IF EXISTS update_closing_checklist_templates_updated_at ON closing_checklist_templates;
+CREATE TRIGGER update_closing_checklist_templates_updated_at
+  BEFORE UPDATE ON closing_checklist_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Closure summaries
+CREATE TABLE IF NOT EXISTS matter_closures (
+  id BIGSERIAL PRIMARY KEY,
+  matter_id BIGINT NOT NULL,
+  closed_at TIMESTAMPTZ NOT NULL,            -- matter updated_at from the webhook
+  workflow_id BIGINT,                        -- NULL = built-in workflow
+  practice_area_id BIGINT,
+  has_payments BOOLEAN NOT NULL,
+  bills_outstanding INTEGER NOT NULL DEFAULT 0,
+  balance_outstanding NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  tasks_outstanding INTEGER NOT NULL DEFAULT 0,   -- open automation tasks when the matter closed
+  tasks_completed INTEGER NOT NULL DEFAULT 0,
+  tasks_deleted INTEGER NOT NULL DEFAULT 0,
+  tasks_created INTEGER NOT NULL DEFAULT 0,       -- "Client did not engage" + checklist tasks
+  tasks_failed INTEGER NOT NULL DEFAULT 0,
+  failure_details JSONB,
+  trace_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_matter_closures_matter ON matter_closures(matter_id, closed_at DESC);
+
+-- Tasks completed by a closure must not trigger follow-up tasks
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS closed_with_matter_at TIMESTAMPTZ;
+
+-- Default workflow: previous behavior (only the "Client did not engage" task)
+INSERT INTO closed_matter_workflows (name, practice_area_id, open_task_action, calendar_task_action, no_payment_task)
+SELECT 'Default', NULL, 'none', 'none', true
+WHERE NOT EXISTS (SELECT 1 FROM closed_matter_workflows WHERE practice_area_id IS NULL);
+
+-- Example: Estate Planning closes out all open tasks and adds a closing checklist
+-- INSERT INTO closed_matter_workflows (name, practice_area_id, open_task_action, calendar_task_action, no_payment_task)
+--   VALUES ('Estate Planning', 45045123, 'complete', 'delete', true);
+-- INSERT INTO closing_checklist_templates (workflow_id, task_number, task_title, task_description, assignee, "due_date-value", "due_date-time-relation") VALUES
+--   (<workflow id>, 1, 'Send closing letter', 'Send the closing letter to the client', 'ATTORNEY', 2, 'business days'),
+--   (<workflow id>, 2, 'Archive matter documents', 'Move the matter folder to the archive', 'PARALEGAL', 5, 'business days');
+
+COMMENT ON TABLE closed_matter_workflows IS 'What MatterClosedAutomation does when a matter closes, per practice area (practice_area_id NULL = default)';
+COMMENT ON TABLE closing_checklist_templates IS 'Closing checklist tasks created for a closed matter workflow';
+COMMENT ON TABLE matter_closures IS 'Summary of each matter closure: tasks and bills outstanding and what the workflow did';
+COMMENT ON COLUMN tasks.closed_with_matter_at IS 'Set when the task was completed/deleted because its matter closed (task completion follow-ups are skipped)';
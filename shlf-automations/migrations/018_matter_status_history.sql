@@ -0,0 +1,16 @@
+-- Migration 018: Matter Status in Matter History
+-- Purpose: Clio sends a plain matter.updated webhook when a closed matter is
+--          reopened. Matter history rows now record the matter status, so the
+--          /matters route can detect Closed → Open transitions and run the
+--          matter-reopened automation instead of a stage change:
+--          - MatterClosedAutomation writes a 'Closed' history row
+--          - MatterStageChangeAutomation / MatterReopenedAutomation write the open status
+--          Rows written before this migration have NULL (treated as open).
+
+ALTER TABLE matters ADD COLUMN IF NOT EXISTS matter_status TEXT;
+
+-- Tasks the reopen automation restores (closed_with_matter_at is set by migration 017)
+CREATE INDEX IF NOT EXISTS idx_tasks_closed_with_matter
+  ON tasks(matter_id, stage_id) WHERE closed_with_matter_at IS NOT NULL;
+
+COMMENT ON COLUMN matters.matter_status IS 'Clio matter status when the history row was written (Open, Pending, Closed)';
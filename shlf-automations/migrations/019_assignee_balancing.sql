@@ -0,0 +1,73 @@
+-- Migration 019: Workload-Aware Assignee Balancing
+-- Purpose: resolveAssignee() maps CSC by location, PARALEGAL / FUND TABLE by
+--          attorney and VA to one user, so one person can get every task of a
+--          busy day while a peer has none. A balancing rule lets an assignee
+--          type pick among a pool of eligible users instead.
+--
+-- Resolution (see src/services/assignee-balancer.js):
+-- - The usual lookup runs first and gives the default assignee
+-- - No active rule for the type: the default assignee is used (previous behavior)
+-- - Otherwise the pool is the active members for the type whose scope matches
+--   (plus the default assignee when include_default is set); members out of
+--   office today are skipped
+-- - least_loaded: fewest open tasks in `tasks` wins
+--   weighted: lowest open tasks / weight wins (weight 2 takes twice the load)
+--   Ties go to the default assignee, then the lowest user ID
+-- - Nobody eligible: the default assignee is used
+-- Every choice is logged to the trace as an `assignee_balancing` decision.
+-- Rules and pools are cached for a minute, so edits here apply without a restart.
+
+CREATE TABLE IF NOT EXISTS assignee_balancing_rules (
+  id BIGSERIAL PRIMARY KEY,
+  assignee_type TEXT NOT NULL UNIQUE,      -- CSC, PARALEGAL, FUND_TABLE, VA
+  strategy TEXT NOT NULL DEFAULT 'least_loaded',
+  include_default BOOLEAN NOT NULL DEFAULT true,  -- the usual lookup's assignee joins the pool
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT assignee_balancing_rules_strategy_check
+    CHECK (strategy IN ('least_loaded', 'weighted'))
+);
+
+CREATE TABLE IF NOT EXISTS assignee_pool_members (
+  id BIGSERIAL PRIMARY KEY,
+  assignee_type TEXT NOT NULL,             -- CSC, PARALEGAL, FUND_TABLE, VA
+  scope TEXT,                              -- CSC: location keyword; PARALEGAL / FUND_TABLE: attorney ID; NULL: any
+  user_id BIGINT NOT NULL,                 -- Clio user ID
+  user_name TEXT NOT NULL,
+  weight NUMERIC NOT NULL DEFAULT 1,
+  out_of_office_start DATE,                -- inclusive, office date
+  out_of_office_end DATE,                  -- inclusive; NULL with a start date = until further notice
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT assignee_pool_members_weight_check CHECK (weight > 0),
+  CONSTRAINT assignee_pool_members_out_of_office_check
+    CHECK (out_of_office_end IS NULL OR out_of_office_start IS NULL OR out_of_office_end >= out_of_office_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignee_pool_members_type ON assignee_pool_members(assignee_type) WHERE active = true;
+
+-- Open task counts per assignee
+CREATE INDEX IF NOT EXISTS idx_tasks_open_by_assignee ON tasks(assigned_user_id) WHERE completed = false;
+
+DROP TRIGGER IF EXISTS update_assignee_balancing_rules_updated_at ON assignee_balancing_rules;
+CREATE TRIGGER update_assignee_balancing_rules_updated_at
+  BEFORE UPDATE ON assignee_balancing_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_assignee_pool_members_updated_at ON assignee_pool_members;
+CREATE TRIGGER update_assignee_pool_members_updated_at
+  BEFORE UPDATE ON assignee_pool_members
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Example: share Naples CSC work between two users, one of them part-time
+-- INSERT INTO assignee_balancing_rules (assignee_type, strategy, include_default)
+-- VALUES ('CSC', 'weighted', false);
+-- INSERT INTO assignee_pool_members (assignee_type, scope, user_id, user_name, weight) VALUES
+--   ('CSC', 'naples', 111111111, 'Full-time CSC', 2),
+--   ('CSC', 'naples', 222222222, 'Part-time CSC', 1);
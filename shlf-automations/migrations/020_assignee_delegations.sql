@@ -0,0 +1,65 @@
+-- Migration 020: Out-of-Office Delegation
+-- Purpose: There was no way to tell the system a user is on leave, so tasks kept
+--          being assigned to them. A delegation sends a user's work to a delegate
+--          for a date range:
+--          - resolveAssignee() (every task creation and due-date update) and the
+--            fixed assignees of the stale matter job, task reopen/recreate and
+--            due-date-only updates swap the user for the delegate
+--          - DelegationSyncJob moves the user's open tasks to the delegate in
+--            Clio when the leave starts, and moves the ones still open and still
+--            with the delegate back when it ends (or is deactivated)
+--          If the delegate is also on leave, their delegate is used.
+--          Tasks created for the delegate during the leave stay with the delegate.
+-- Delegations are cached for a minute, so edits here apply without a restart.
+
+CREATE TABLE IF NOT EXISTS assignee_delegations (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL,                 -- Clio user on leave
+  user_name TEXT,
+  delegate_user_id BIGINT NOT NULL,        -- Clio user covering
+  delegate_user_name TEXT,
+  start_date DATE NOT NULL,                -- inclusive, firm date
+  end_date DATE,                           -- inclusive; NULL = until further notice
+  reason TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,    -- set false to end a leave early
+  reassigned_at TIMESTAMPTZ,               -- open tasks moved to the delegate (DelegationSyncJob)
+  restored_at TIMESTAMPTZ,                 -- moved tasks given back
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT assignee_delegations_delegate_check CHECK (delegate_user_id <> user_id),
+  CONSTRAINT assignee_delegations_dates_check CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignee_delegations_user ON assignee_delegations(user_id) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_assignee_delegations_pending_restore
+  ON assignee_delegations(id) WHERE reassigned_at IS NOT NULL AND restored_at IS NULL;
+
+-- Tasks DelegationSyncJob moved, so they can be given back
+CREATE TABLE IF NOT EXISTS assignee_delegation_tasks (
+  id BIGSERIAL PRIMARY KEY,
+  delegation_id BIGINT NOT NULL REFERENCES assignee_delegations(id) ON DELETE CASCADE,
+  task_id BIGINT NOT NULL,
+  matter_id BIGINT,
+  original_user_id BIGINT NOT NULL,
+  original_user_name TEXT,
+  delegate_user_id BIGINT NOT NULL,
+  reassigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  restored_at TIMESTAMPTZ,
+  restore_status TEXT,                     -- restored | completed | reassigned | deleted | failed
+
+  CONSTRAINT assignee_delegation_tasks_unique UNIQUE (delegation_id, task_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignee_delegation_tasks_pending
+  ON assignee_delegation_tasks(delegation_id) WHERE restored_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_assignee_delegations_updated_at ON assignee_delegations;
+CREATE TRIGGER update_assignee_delegations_updated_at
+  BEFORE UPDATE ON assignee_delegations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Example: Naples CSC on leave for a week, covered by a colleague
+-- INSERT INTO assignee_delegations (user_id, user_name, delegate_user_id, delegate_user_name, start_date, end_date, reason)
+-- VALUES (111111111, 'CSC Naples', 222222222, 'CSC Fort Myers', '2026-11-02', '2026-11-06', 'Vacation');
@@ -0,0 +1,94 @@
+-- Migration 021: Stale Matter Rules
+-- Purpose: StaleMatterCheckerJob hard-coded one 30-day alert for every stage and a
+--          recurring 30-day alert for "Funding in Progress" only, with fixed due
+--          days and assignees. "No progress" alerting is now configured per stage:
+--          - threshold_days: days in the stage before the first alert
+--          - recurring_interval_days: days between follow-up alerts (NULL = none)
+--          - escalation_assignees: who gets alert 1, 2, 3, ... (the last one keeps
+--            getting the rest); any resolveAssignee type (ATTORNEY, CSC, PARALEGAL,
+--            FUND_TABLE, VA) or a Clio user ID
+--          - the task to create for the first and the follow-up alerts
+--          Days in stage count from when the matter entered its current Clio stage
+--          (matter history, else Clio's matter_stage_updated_at).
+--
+-- A matter uses the most specific active rule: stage (by ID or name) and practice
+-- area, then stage, then practice area, then the default (stage and practice area
+-- NULL). A stage with no matching rule gets no alerts. Titles and descriptions
+-- may use {stage_name}, {days_in_stage}, {notification_number} and {matter_number}.
+
+CREATE TABLE IF NOT EXISTS stale_matter_rules (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  stage_id BIGINT,                            -- Clio matter stage ID (NULL = any)
+  stage_name TEXT,                            -- or stage name, case-insensitive (NULL = any)
+  practice_area_id BIGINT,                    -- Clio practice area ID (NULL = any)
+  threshold_days INTEGER NOT NULL DEFAULT 30,
+  recurring_interval_days INTEGER,
+  escalation_assignees TEXT[] NOT NULL,
+  initial_task_title TEXT NOT NULL,
+  initial_task_description TEXT,
+  initial_due_days INTEGER NOT NULL DEFAULT 6,       -- business days
+  recurring_task_title TEXT,                         -- NULL = initial title
+  recurring_task_description TEXT,                   -- NULL = initial description
+  recurring_due_days INTEGER NOT NULL DEFAULT 7,     -- business days
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT stale_matter_rules_threshold_check CHECK (threshold_days > 0),
+  CONSTRAINT stale_matter_rules_interval_check CHECK (recurring_interval_days IS NULL OR recurring_interval_days > 0),
+  CONSTRAINT stale_matter_rules_assignees_check CHECK (cardinality(escalation_assignees) > 0)
+);
+
+DROP TRIGGER IF EXISTS update_stale_matter_rules_updated_at ON stale_matter_rules;
+CREATE TRIGGER update_stale_matter_rules_updated_at
+  BEFORE UPDATE ON stale_matter_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Which stage visit and rule a tracking row belongs to
+ALTER TABLE matter_stage_tracking ADD COLUMN IF NOT EXISTS stage_id BIGINT;
+ALTER TABLE matter_stage_tracking ADD COLUMN IF NOT EXISTS rule_id BIGINT;
+
+-- Stage entry lookups (matter history, newest first)
+CREATE INDEX IF NOT EXISTS idx_matters_matter_date ON matters(matter_id, date DESC);
+
+-- Previous behavior: every stage alerts once after 30 days...
+INSERT INTO stale_matter_rules (name, threshold_days, escalation_assignees, initial_task_title, initial_task_description, initial_due_days)
+SELECT
+  'Default',
+  30,
+  ARRAY['357379471'],
+  'Action Required: MATTER HAS NO PROGRESS - PLEASE REVIEW',
+  'This is an automated task. Matter stage has not changed for more than a month. Please close or move to the correct stage.',
+  6
+WHERE NOT EXISTS (SELECT 1 FROM stale_matter_rules WHERE stage_id IS NULL AND stage_name IS NULL AND practice_area_id IS NULL);
+
+-- ...and "Funding in Progress" again every 30 days
+INSERT INTO stale_matter_rules (name, stage_name, threshold_days, recurring_interval_days, escalation_assignees,
+  initial_task_title, initial_task_description, initial_due_days,
+  recurring_task_title, recurring_task_description, recurring_due_days)
+SELECT
+  'Funding in Progress',
+  'Funding in Progress',
+  30,
+  30,
+  ARRAY['357379471', '357378676'],
+  'Action Required: MATTER HAS NO PROGRESS - PLEASE REVIEW',
+  'This is an automated task. Matter stage has not changed for more than a month. Please close or move to the correct stage.',
+  6,
+  '30 Day Notification',
+  'This is an auto-generated task triggered every 30 days while the matter remains in the "Funding in Progress" stage. Please review and either progress the matter or close it out if appropriate.',
+  7
+WHERE NOT EXISTS (SELECT 1 FROM stale_matter_rules WHERE lower(stage_name) = 'funding in progress');
+
+-- Example: Drafting alerts the attorney after 14 days, then every 7 days to the paralegal, then the managing attorney
+-- INSERT INTO stale_matter_rules (name, stage_name, threshold_days, recurring_interval_days, escalation_assignees,
+--   initial_task_title, initial_task_description, initial_due_days, recurring_task_title, recurring_due_days)
+-- VALUES ('Drafting', 'Drafting', 14, 7, ARRAY['ATTORNEY', 'PARALEGAL', '357379471'],
+--   'Drafting has not moved in {days_in_stage} days', 'Matter {matter_number} is still in {stage_name}.', 3,
+--   'Drafting still stalled (notice {notification_number})', 2);
+
+COMMENT ON TABLE stale_matter_rules IS 'Per-stage "no progress" alerts for StaleMatterCheckerJob (most specific active rule wins)';
+COMMENT ON COLUMN stale_matter_rules.escalation_assignees IS 'Assignee for alert 1, 2, 3, ...; the last entry gets every later alert';
+COMMENT ON COLUMN matter_stage_tracking.stage_entered_at IS 'When the matter entered this stage (reset when it re-enters the stage)';
@@ -0,0 +1,61 @@
+-- Migration 022: Deferred Task Verification
+-- Purpose: Post-generation task verification used to wait 30 seconds inside the
+--          webhook request (holding the matter's queue) before re-reading the
+--          generated tasks and regenerating missing ones. Verification is now
+--          persisted here when tasks are generated and run later by the
+--          verify-tasks job (every minute), in its own trace linked to the
+--          webhook trace:
+--          - first pass after VERIFY_DELAY_SECONDS (default 30)
+--          - up to VERIFY_PASSES passes (default 3), VERIFY_PASS_INTERVAL_SECONDS
+--            apart (default 120); each pass regenerates what is still missing
+--          - an error task is only created after the final pass still fails
+--          - skipped (superseded) when the matter has moved on to another stage
+--            or the meeting was deleted
+
+CREATE TABLE IF NOT EXISTS task_verifications (
+  id BIGSERIAL PRIMARY KEY,
+  matter_id BIGINT NOT NULL,
+  context TEXT NOT NULL,                       -- stage_change | meeting_scheduled
+  stage_id BIGINT,
+  stage_name TEXT,
+  practice_area_id BIGINT,
+  calendar_entry_id BIGINT,                    -- meeting_scheduled only
+  expected_count INTEGER,
+  matter_details JSONB,                        -- Clio matter at generation time (assignees, location)
+  status TEXT NOT NULL DEFAULT 'pending',      -- pending | running | verified | regenerated | failed | superseded
+  passes INTEGER NOT NULL DEFAULT 0,           -- passes run so far
+  max_passes INTEGER NOT NULL DEFAULT 3,
+  next_run_at TIMESTAMPTZ NOT NULL,
+  source_trace_id TEXT,                        -- webhook trace that generated the tasks
+  last_trace_id TEXT,                          -- trace of the latest pass
+  last_result JSONB,
+  last_error TEXT,
+  error_task_id BIGINT,                        -- escalation task after the final pass failed
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT task_verifications_context_check
+    CHECK (context IN ('stage_change', 'meeting_scheduled')),
+  CONSTRAINT task_verifications_status_check
+    CHECK (status IN ('pending', 'running', 'verified', 'regenerated', 'failed', 'superseded')),
+  CONSTRAINT task_verifications_passes_check CHECK (max_passes > 0)
+);
+
+-- Due scan: unfinished verifications by run time ('running' rows come back when their lease lapses)
+CREATE INDEX IF NOT EXISTS idx_task_verifications_due
+  ON task_verifications(next_run_at)
+  WHERE status IN ('pending', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_task_verifications_matter
+  ON task_verifications(matter_id, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_task_verifications_updated_at ON task_verifications;
+CREATE TRIGGER update_task_verifications_updated_at
+  BEFORE UPDATE ON task_verifications
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE task_verifications IS 'Deferred post-generation task verifications, run by the verify-tasks job';
+COMMENT ON COLUMN task_verifications.next_run_at IS 'When the next pass is due; pushed forward by a lease while a pass runs';
+COMMENT ON COLUMN task_verifications.status IS 'pending/running = passes left, verified/regenerated/failed/superseded = done';
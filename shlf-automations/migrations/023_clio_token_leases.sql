@@ -0,0 +1,47 @@
+-- Migration 023: Multi-Instance Clio Token Management
+-- Purpose: TokenRefreshService coordinated refreshes with in-process flags and
+--          rewrote the local .env file. With a second pm2 instance or box, two
+--          refreshes could run at once and invalidate each other's refresh
+--          token. clio_tokens is now the single source of truth:
+--          - every instance reads the current token from this row (cached for
+--            CLIO_TOKEN_CACHE_SECONDS; a 401 re-reads it straight away)
+--          - a refresh is done by the instance holding the row-level lease
+--            (refresh_lease_owner / refresh_lease_expires_at); the others wait
+--            for the new token
+--          - the refresh token is stored here (seeded from CLIO_REFRESH_TOKEN)
+--          - failed refreshes and revoked refresh tokens are recorded; a revoked
+--            token is not retried until a new one is stored:
+--              UPDATE clio_tokens SET refresh_token = '<new>', refresh_token_revoked_at = NULL WHERE id = 1;
+--          The row now holds the refresh token, so it is reachable with the
+--          service_role key only: migration 008's anon policies are dropped
+--          (SUPABASE_KEY must be the service_role key) and the table is not
+--          published to Realtime.
+
+-- Only service_role ("Service role can manage tokens", migration 008) may read or write tokens
+DROP POLICY IF EXISTS "Anon can read tokens" ON clio_tokens;
+DROP POLICY IF EXISTS "Anon can update tokens" ON clio_tokens;
+REVOKE ALL ON clio_tokens FROM anon, authenticated;
+
+ALTER TABLE clio_tokens ADD COLUMN IF NOT EXISTS refresh_token TEXT;
+ALTER TABLE clio_tokens ADD COLUMN IF NOT EXISTS refresh_lease_owner TEXT;
+ALTER TABLE clio_tokens ADD COLUMN IF NOT EXISTS refresh_lease_expires_at TIMESTAMPTZ;
+ALTER TABLE clio_tokens ADD COLUMN IF NOT EXISTS last_refresh_error TEXT;
+ALTER TABLE clio_tokens ADD COLUMN IF NOT EXISTS last_refresh_failed_at TIMESTAMPTZ;
+ALTER TABLE clio_tokens ADD COLUMN IF NOT EXISTS refresh_token_revoked_at TIMESTAMPTZ;
+
+-- No change notifications: Realtime would send every token change, refresh
+-- token included, to its subscribers
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'clio_tokens'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime DROP TABLE clio_tokens;
+  END IF;
+END $$;
+
+COMMENT ON COLUMN clio_tokens.refresh_token IS 'Current CLIO OAuth refresh token (replaced when Clio rotates it)';
+COMMENT ON COLUMN clio_tokens.refresh_lease_owner IS 'Instance currently refreshing the token (NULL = nobody)';
+COMMENT ON COLUMN clio_tokens.refresh_lease_expires_at IS 'When the refresh lease lapses and another instance may refresh';
+COMMENT ON COLUMN clio_tokens.refresh_token_revoked_at IS 'Set when Clio rejected the refresh token; refreshes stop until it is replaced';
@@ -0,0 +1,43 @@
+-- Migration 024: Per-Webhook Signing Secrets
+-- Purpose: Signature validation was disabled and relied on a single
+--          CLIO_WEBHOOK_SECRET, but Clio gives every webhook subscription its
+--          own secret during the activation handshake (X-Hook-Secret). The
+--          secret is now stored here when a subscription is activated, and
+--          deliveries to that endpoint are validated against it:
+--          - one active secret per endpoint; when a subscription is recreated
+--            (rotation), the previous secret is kept as 'retiring' until
+--            retire_at (WEBHOOK_SECRET_OVERLAP_SECONDS), so deliveries signed
+--            by either subscription validate during the switch
+--          - an endpoint without a stored secret is not validated unless
+--            WEBHOOK_SIGNATURE_REQUIRED=true
+--          - secrets can be revoked early via POST /admin/webhook-secrets/:id/revoke
+
+CREATE TABLE IF NOT EXISTS webhook_secrets (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint TEXT NOT NULL,                      -- e.g. /webhooks/matters
+  webhook_id BIGINT,                           -- Clio webhook subscription
+  secret TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',       -- active | retiring | revoked
+  activated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  retire_at TIMESTAMPTZ,                       -- retiring secrets stop validating after this
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT webhook_secrets_status_check
+    CHECK (status IN ('active', 'retiring', 'revoked'))
+);
+
+-- Validation lookup: usable secrets for an endpoint
+CREATE INDEX IF NOT EXISTS idx_webhook_secrets_endpoint
+  ON webhook_secrets(endpoint, status)
+  WHERE status IN ('active', 'retiring');
+
+DROP TRIGGER IF EXISTS update_webhook_secrets_updated_at ON webhook_secrets;
+CREATE TRIGGER update_webhook_secrets_updated_at
+  BEFORE UPDATE ON webhook_secrets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_secrets IS 'Clio webhook signing secrets captured at activation, per endpoint';
+COMMENT ON COLUMN webhook_secrets.retire_at IS 'End of the rotation overlap for a retiring secret';
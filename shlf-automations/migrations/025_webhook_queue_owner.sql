@@ -0,0 +1,19 @@
+-- Migration 025: Webhook Queue Owner
+-- Purpose: On boot every unfinished webhook_queue row was resumed, including
+--          rows another running instance was still processing, so the same
+--          webhook could run twice. Rows now record the instance that queued
+--          them (INSTANCE_ID), and an instance only resumes its own rows that
+--          were queued before it booted (see resumePending in
+--          src/utils/webhook-queue.js). INSTANCE_ID must therefore stay the
+--          same across restarts of an instance.
+--          Rows written before this migration have no owner and are resumed by
+--          the first instance that boots.
+
+ALTER TABLE webhook_queue ADD COLUMN IF NOT EXISTS instance_id TEXT;  -- instance that queued the webhook
+
+DROP INDEX IF EXISTS idx_webhook_queue_unfinished;
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_unfinished
+  ON webhook_queue(instance_id, enqueued_at)
+  WHERE status IN ('pending', 'processing');
+
+COMMENT ON COLUMN webhook_queue.instance_id IS 'INSTANCE_ID of the process that queued the webhook; only it resumes the row';
@@ -0,0 +1,21 @@
+-- Migration 026: Webhook Deliveries
+-- Purpose: Replay protection only checked the payload timestamp. A signed
+--          payload without a timestamp could be replayed any number of times,
+--          and a late redelivery (outside WEBHOOK_REPLAY_TOLERANCE_SECONDS) was
+--          rejected and lost. Deliveries that can't be bounded by their
+--          timestamp are now recorded here by a hash of their signed body:
+--          - no timestamp → processed the first time, a no-op afterwards
+--          - outside the window → stored as a dead letter (once) for review
+--            and replay via /admin/dead-letters
+--          Deliveries inside the window are not recorded, so the table stays small.
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  endpoint TEXT NOT NULL,                      -- e.g. /webhooks/matters
+  delivery_hash TEXT NOT NULL,                 -- SHA-256 of the raw (signed) body
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT webhook_deliveries_unique UNIQUE (endpoint, delivery_hash)
+);
+
+COMMENT ON TABLE webhook_deliveries IS 'Signed webhook deliveries without a usable timestamp, recorded once each';
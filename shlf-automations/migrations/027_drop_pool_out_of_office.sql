@@ -0,0 +1,12 @@
+-- Migration 027: Drop Pool Out-of-Office Columns
+-- Purpose: Leave was recorded twice - per pool member in assignee_pool_members
+--          (migration 019) and per user in assignee_delegations (migration 020).
+--          A user on leave in assignee_delegations could still be picked by the
+--          balancer. The balancer now skips pool members with an active
+--          delegation (see rankCandidates in src/utils/assignee-balancing.js),
+--          so assignee_delegations is the only place to record leave.
+--          Move any open pool leave into assignee_delegations before applying.
+
+ALTER TABLE assignee_pool_members DROP CONSTRAINT IF EXISTS assignee_pool_members_out_of_office_check;
+ALTER TABLE assignee_pool_members DROP COLUMN IF EXISTS out_of_office_start;
+ALTER TABLE assignee_pool_members DROP COLUMN IF EXISTS out_of_office_end;
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Backfill CLI - import the Clio tasks of matters that predate the automation
+ * Matches each matter's tasks to its current stage templates and records them
+ * in Supabase. No Clio tasks are created. Reports only unless --apply is given.
+ *
+ * Usage:
+ *   node scripts/backfill-tasks.mjs [filters] [--apply] [--out <report.json>]
+ *
+ * Filters (comma-separated lists match any value; at least one filter or --all):
+ *   --matter <ids>              Only these matters (any status)
+ *   --stage-id <ids>            Current stage ID
+ *   --stage <names>             Current stage name
+ *   --practice-area-id <ids>    Practice area ID
+ *   --practice-area <names>     Practice area name
+ *   --opened-from <yyyy-MM-dd>  Matter open date, inclusive
+ *   --opened-to <yyyy-MM-dd>    Matter open date, inclusive
+ *   --status <status>           Clio matter status to scan (default: open)
+ *   --all                       Every matter with the status
+ */
+import { writeFileSync } from 'fs';
+import { TokenRefreshService } from '../src/services/token-refresh.js';
+import { TaskBackfillService } from '../src/services/task-backfill.js';
+import { JobScheduler } from '../src/jobs/scheduler.js';
+
+const args = process.argv.slice(2);
+
+const getOption = (name) => {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+const getList = (name, parse = (value) => value) => {
+  const value = getOption(name);
+  return value ? value.split(',').map(item => parse(item.trim())).filter(item => item !== '' && !Number.isNaN(item)) : undefined;
+};
+
+const filter = Object.fromEntries(Object.entries({
+  matterIds: getList('--matter', Number),
+  stageIds: getList('--stage-id', Number),
+  stageNames: getList('--stage'),
+  practiceAreaIds: getList('--practice-area-id', Number),
+  practiceAreaNames: getList('--practice-area'),
+  openedFrom: getOption('--opened-from'),
+  openedTo: getOption('--opened-to'),
+  status: getOption('--status'),
+}).filter(([, value]) => value !== undefined));
+
+const apply = args.includes('--apply');
+const out = getOption('--out');
+const isDate = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+if ((Object.keys(filter).length === 0 && !args.includes('--all')) || !isDate(filter.openedFrom) || !isDate(filter.openedTo)) {
+  console.error('Usage:');
+  console.error('  node scripts/backfill-tasks.mjs [--matter <ids>] [--stage-id <ids>] [--stage <names>]');
+  console.error('    [--practice-area-id <ids>] [--practice-area <names>] [--opened-from <yyyy-MM-dd>] [--opened-to <yyyy-MM-dd>]');
+  console.error('    [--status <status>] [--all] [--apply] [--out <report.json>]');
+  process.exit(1);
+}
+
+const printMatter = (matter) => {
+  if (matter.action === 'skipped') {
+    console.log(`   - ${matter.matterName || matter.matterId}: skipped (${matter.reason})`);
+    return;
+  }
+
+  console.log(`   - ${matter.matterName || matter.matterId} [${matter.stageName}]${matter.stageRecorded ? ' (stage recorded)' : ''}`);
+  for (const task of matter.tasks) {
+    const result = task.error ? ` ❌ ${task.error}` : '';
+    console.log(`       #${task.taskNumber} ${task.taskTitle} ← ${task.taskId} "${task.taskName}" (${task.status}, by ${task.matchedBy})${result}`);
+  }
+  for (const task of matter.unmatchedTasks) console.log(`       ? Clio task ${task.taskId} "${task.taskName}" matches no template`);
+  for (const template of matter.unmatchedTemplates) console.log(`       ? Template #${template.taskNumber} ${template.taskTitle} has no Clio task`);
+  for (const task of matter.duplicates) console.log(`       = Clio task ${task.taskId} "${task.taskName}" duplicates template #${task.taskNumber}`);
+};
+
+try {
+  // Load the Clio token from Supabase (same as the standalone jobs)
+  await TokenRefreshService.initialize();
+
+  console.log(`📥 [BACKFILL] ${apply ? 'Importing' : 'Dry run'} - filter: ${JSON.stringify(filter)}\n`);
+
+  const summary = await JobScheduler.runJobWithTracking('backfill-tasks', (traceId) => TaskBackfillService.run(filter, { apply, traceId }));
+
+  summary.matters.forEach(printMatter);
+  summary.failures.forEach(failure => console.log(`   ❌ ${failure.matterId}: ${failure.error}`));
+
+  console.log(`\n${summary.mattersBackfilled} matter(s), ${summary.tasksMatched} task(s) matched, ${apply ? `${summary.tasksImported} imported` : 'nothing written (re-run with --apply to import)'}`);
+
+  if (out) {
+    writeFileSync(out, JSON.stringify(summary, null, 2));
+    console.log(`Report written to ${out}`);
+  }
+
+  process.exit(summary.failures.length === 0 ? 0 : 1);
+} catch (error) {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Dry-run CLI - preview the tasks an automation would create, update, or delete
+ * Reads from Clio/Supabase as usual; all writes are recorded instead of executed.
+ *
+ * Usage:
+ *   node scripts/dry-run.mjs matter <matterId> [--stage-id <id>] [--stage-name <name>]
+ *   node scripts/dry-run.mjs calendar <calendarEntryId>
+ *
+ * --stage-id/--stage-name simulate the matter being in that stage
+ * (preview a stage move before making it in Clio).
+ */
+import { TokenRefreshService } from '../src/services/token-refresh.js';
+import { ClioService } from '../src/services/clio.js';
+import { MatterStageChangeAutomation } from '../src/automations/matter-stage-change.js';
+import { MeetingScheduledAutomation } from '../src/automations/meeting-scheduled.js';
+import { runDryRun } from '../src/utils/dry-run.js';
+
+const [kind, resourceArg, ...rest] = process.argv.slice(2);
+
+const getOption = (name) => {
+  const index = rest.indexOf(name);
+  return index !== -1 ? rest[index + 1] : undefined;
+};
+
+const resourceId = parseInt(resourceArg, 10);
+
+if (!['matter', 'calendar'].includes(kind) || !resourceId) {
+  console.error('Usage:');
+  console.error('  node scripts/dry-run.mjs matter <matterId> [--stage-id <id>] [--stage-name <name>]');
+  console.error('  node scripts/dry-run.mjs calendar <calendarEntryId>');
+  process.exit(1);
+}
+
+const stageId = getOption('--stage-id');
+const matterStage = stageId
+  ? { id: parseInt(stageId, 10), name: getOption('--stage-name') || null }
+  : null;
+
+const now = new Date().toISOString();
+const webhookData = {
+  id: `dry-run-cli-${Date.now()}`,
+  type: kind === 'matter' ? 'matter.updated' : 'calendar_entry.created',
+  data: { id: resourceId, created_at: now, updated_at: now },
+};
+
+try {
+  // Load the Clio token from Supabase (same as the standalone jobs)
+  await TokenRefreshService.initialize();
+
+  console.log(`🧪 [DRY RUN] ${kind} ${resourceId}${matterStage ? ` (simulated stage ${matterStage.id})` : ''}\n`);
+
+  const preview = await runDryRun(async () => {
+    if (kind === 'calendar') {
+      return MeetingScheduledAutomation.process(webhookData);
+    }
+
+    // Mirror the /matters route: enrich with live (or simulated) matter data
+    const matter = await ClioService.getMatter(resourceId);
+    if (!matter.matter_stage) {
+      return { action: 'skipped', reason: 'no_stage' };
+    }
+    webhookData.data = { ...webhookData.data, ...matter };
+    return MatterStageChangeAutomation.process(webhookData);
+  }, { matterStage });
+
+  console.log(JSON.stringify(preview, null, 2));
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Dry run failed:', error.message);
+  process.exit(1);
+}
@@ -1,9 +1,12 @@
 import { ClioService } from '../services/clio.js';
 import { SupabaseService } from '../services/supabase.js';
-import { addBusinessDays, formatForClio } from '../utils/date-helpers.js';
-import { config } from '../config/index.js';
+import { DocumentRuleService } from '../services/document-rules.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
+import { describeDocument } from '../utils/document-rules.js';
+import { resolveAssignee, createAssigneeErrorTask } from '../utils/assignee-resolver.js';
+import { AssigneeError } from '../utils/assignee-error.js';
 import { ERROR_CODES } from '../constants/error-codes.js';
-import { EventTracker } from '../services/event-tracker.js';
+import { AutomationPipeline, testModeStage } from './pipeline.js';
 
 /**
  * AUTOMATION: Document Created in Clio Drive
@@ -12,158 +15,41 @@ import { EventTracker } from '../services/event-tracker.js';
  *
  * Process:
  * 1. Validate document has matter association
- * 2. Create "New Clio Drive Document Save to OD" task
- * 3. Assign to user 357379471
- * 4. Set due date to 1 business day from now
+ * 2. Fetch matter and document details
+ * 3. Pick the first matching document task rule (name pattern, folder, file
+ *    type, practice area, stage) - see DocumentRuleService
+ * 4. Create the rule's task: title/description, assignee resolved like task
+ *    templates, due date from the rule's offset
+ *
+ * Excluded folders, no matching rule, or a "no task" rule skip the document.
+ *
+ * If saving the task to Supabase fails, the Clio task is deleted again so a
+ * retry doesn't leave a duplicate.
  */
-export class DocumentCreatedAutomation {
-  static ASSIGNEE_ID = 357379471;
-  static TASK_NAME = 'New Clio Drive Document Save to OD';
-  static TASK_DESCRIPTION = 'New Clio Drive Document Save to OD';
-  static DUE_DAYS = 1;
+const pipeline = new AutomationPipeline({
+  name: 'document-created',
+  tag: 'DOCUMENT',
+  eventType: 'document.created',
+  resourceType: 'document',
+  timestamp: (webhookData) => webhookData.data.created_at,
+  timestampFields: ['created_at'],
+
+  setup: async (state) => {
+    // Firm holidays for due date calculation (cached)
+    await ensureHolidayCalendar();
+
+    state.matterId = state.webhookData.data.matter?.id;
+    console.log(`[DOCUMENT] ${state.resourceId} CREATED`);
+  },
+
+  stages: [
+    {
+      name: 'validate_matter',
+      layer: 'processing',
+      input: ({ resourceId, matterId }) => ({ documentId: resourceId, matterId }),
+      run: async ({ resourceId: documentId, matterId, webhookData }, step) => {
+        if (matterId) return;
 
-  /**
-   * Main entry point for document creation automation
-   *
-   * @param {Object} webhookData - The webhook payload from Clio
-   * @param {string} [traceId] - Optional trace ID for event tracking
-   */
-  static async process(webhookData, traceId = null) {
-    const documentId = webhookData.data.id;
-    const timestamp = webhookData.data.created_at;
-    const matterId = webhookData.data.matter?.id;
-    const documentName = webhookData.data.name || 'Unknown Document';
-
-    console.log(`[DOCUMENT] ${documentId} CREATED`);
-
-    // Step: Validation
-    const validationStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'validation',
-      input: {
-        documentId,
-        documentName,
-        matterId,
-        timestamp,
-        webhookId: webhookData.id,
-      },
-    });
-
-    // Validate timestamp exists (required for idempotency)
-    if (!timestamp) {
-      const error = `Webhook missing required timestamp field (created_at)`;
-      console.error(`[DOCUMENT] ${documentId} ${error}`);
-
-      await SupabaseService.logError(
-        ERROR_CODES.CLIO_API_FAILED,
-        error,
-        {
-          document_id: documentId,
-          webhook_id: webhookData.id,
-          webhook_data: webhookData.data,
-        }
-      );
-
-      await EventTracker.endStep(validationStepId, {
-        status: 'error',
-        errorMessage: error,
-        output: { valid: false, reason: 'missing_timestamp' },
-      });
-      throw new Error(error);
-    }
-
-    await EventTracker.endStep(validationStepId, {
-      status: 'success',
-      output: {
-        valid: true,
-        documentId,
-        documentName,
-        matterId,
-        timestamp,
-      },
-    });
-
-    // Step: Idempotency check
-    const idempotencyStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'idempotency_check',
-      input: {
-        documentId,
-        timestamp,
-        webhookId: webhookData.id,
-      },
-    });
-
-    const idempotencyKey = SupabaseService.generateIdempotencyKey(
-      'document.created',
-      documentId,
-      timestamp
-    );
-
-    const existing = await SupabaseService.checkWebhookProcessed(idempotencyKey);
-    if (existing) {
-      // Check if webhook is still processing
-      if (existing.success === null) {
-        console.log(`[DOCUMENT] ${documentId} Still processing (concurrent request)`);
-        await EventTracker.endStep(idempotencyStepId, {
-          status: 'skipped',
-          output: {
-            isDuplicate: true,
-            reason: 'still_processing',
-            processingStartedAt: existing.created_at,
-          },
-        });
-        return {
-          success: null,
-          action: 'still_processing',
-          processing_started_at: existing.created_at,
-        };
-      }
-
-      console.log(`[DOCUMENT] ${documentId} Already processed (idempotency) at ${existing.processed_at}`);
-      await EventTracker.endStep(idempotencyStepId, {
-        status: 'skipped',
-        output: {
-          isDuplicate: true,
-          reason: 'already_processed',
-          processedAt: existing.processed_at,
-          cachedAction: existing.action,
-        },
-      });
-      return {
-        success: existing.success,
-        action: existing.action,
-        processed_at: existing.processed_at,
-        cached: true,
-      };
-    }
-
-    await EventTracker.endStep(idempotencyStepId, {
-      status: 'success',
-      output: {
-        isDuplicate: false,
-        isNewRequest: true,
-        idempotencyKey,
-      },
-    });
-
-    // Step 0.5: Reserve webhook immediately (prevents duplicate processing)
-    await SupabaseService.recordWebhookProcessed({
-      idempotency_key: idempotencyKey,
-      webhook_id: webhookData.id,
-      event_type: 'document.created',
-      resource_type: 'document',
-      resource_id: documentId,
-      success: null, // NULL = processing
-      action: 'processing',
-      webhook_payload: webhookData,
-    });
-
-    const startTime = Date.now();
-
-    try {
-      // Step 1: Validate document has matter
-      if (!matterId) {
         const error = `Document missing required matter association`;
         console.error(`[DOCUMENT] ${documentId} ${error}`);
 
@@ -176,255 +62,249 @@ export class DocumentCreatedAutomation {
           }
         );
 
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'missing_matter',
-        });
-
-        console.log(`[DOCUMENT] ${documentId} COMPLETED (missing matter)\n`);
-        return { success: false, action: 'missing_matter' };
-      }
-
-      // TEMPORARY: Test mode filter - only process documents from specific matter
-      if (config.testing.testMode && matterId !== config.testing.testMatterId) {
-        console.log(`[DOCUMENT] ${documentId} SKIPPED (test mode - matter ${matterId} !== ${config.testing.testMatterId})`);
-
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_test_mode',
-        });
-
-        return { success: true, action: 'skipped_test_mode' };
-      }
+        step.output = { valid: false, reason: 'missing_matter' };
+        return step.finish({ success: false, action: 'missing_matter' }, { status: 'error' });
+      },
+    },
 
-      console.log(`[DOCUMENT] ${documentId} Creating task for matter ${matterId}`);
+    // Only process documents from allowlisted matters
+    testModeStage(({ matterId }) => matterId),
 
-      // Step: Fetch matter details
-      const fetchMatterStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'fetch_matter',
-        input: {
-          matterId,
-          documentId,
-          operation: 'get_matter_details',
-        },
-      });
-      const fetchMatterCtx = EventTracker.createContext(traceId, fetchMatterStepId);
-
-      const matterDetails = await ClioService.getMatter(matterId, fetchMatterCtx);
-
-      // Filter out closed matters
-      if (matterDetails.status === 'Closed') {
-        console.log(`[DOCUMENT] ${documentId} SKIPPED (matter is closed)`);
-        await EventTracker.endStep(fetchMatterStepId, {
-          status: 'skipped',
-          output: {
-            matterId,
-            matterStatus: matterDetails.status,
-            matterDisplayNumber: matterDetails.display_number,
-            reason: 'matter_closed',
-          },
-        });
-
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_closed_matter',
-        });
+    {
+      name: 'fetch_matter',
+      layer: 'service',
+      input: ({ resourceId, matterId }) => ({ matterId, documentId: resourceId, operation: 'get_matter_details' }),
+      run: async (state, step) => {
+        const { resourceId: documentId, matterId } = state;
+        console.log(`[DOCUMENT] ${documentId} Creating task for matter ${matterId}`);
 
-        return { success: true, action: 'skipped_closed_matter' };
-      }
+        const matterDetails = await ClioService.getMatter(matterId, step.ctx);
+        state.matterDetails = matterDetails;
 
-      await EventTracker.endStep(fetchMatterStepId, {
-        status: 'success',
-        output: {
+        step.output = {
           matterId,
           matterStatus: matterDetails.status,
           matterDisplayNumber: matterDetails.display_number,
           matterDescription: matterDetails.description,
-        },
-      });
-
-      // Step: Fetch document details
-      const fetchDocumentStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'fetch_document',
-        input: {
+        };
+
+        // Filter out closed matters
+        if (matterDetails.status === 'Closed') {
+          console.log(`[DOCUMENT] ${documentId} SKIPPED (matter is closed)`);
+          step.output.reason = 'matter_closed';
+          return step.skip('skipped_closed_matter');
+        }
+      },
+    },
+
+    {
+      name: 'fetch_document',
+      layer: 'service',
+      input: ({ resourceId, matterId }) => ({ documentId: resourceId, matterId, operation: 'get_document_details' }),
+      run: async (state, step) => {
+        const { resourceId: documentId, matterDetails } = state;
+        const document = await ClioService.getDocument(documentId, step.ctx);
+        const facts = describeDocument(document, matterDetails);
+        state.facts = facts;
+        state.documentName = facts.name;
+
+        console.log(`[DOCUMENT] ${documentId} Document name: ${facts.name}`);
+        console.log(`[DOCUMENT] ${documentId} Parent: ${document.parent ? `${document.parent.name} (${document.parent.type})` : 'None'}`);
+        console.log(`[DOCUMENT] ${documentId} Matter: ${facts.matterNumber}`);
+
+        step.output = {
           documentId,
-          matterId,
-          operation: 'get_document_details',
-        },
-      });
-      const fetchDocumentCtx = EventTracker.createContext(traceId, fetchDocumentStepId);
-
-      const document = await ClioService.getDocument(documentId, fetchDocumentCtx);
-      const fetchedDocName = document.name || 'Unknown Document';
-      const parentFolder = document.parent;
-      const matterDisplayNumber = document.matter.display_number;
-
-      console.log(`[DOCUMENT] ${documentId} Document name: ${fetchedDocName}`);
-      console.log(`[DOCUMENT] ${documentId} Parent: ${parentFolder ? `${parentFolder.name} (${parentFolder.type})` : 'None'}`);
-      console.log(`[DOCUMENT] ${documentId} Matter: ${matterDisplayNumber}`);
-
-      // Check if document is in a subfolder
-      // Root folder has the same name as the matter display number
-      // Only generate tasks for documents in root (parent name = matter display number)
-      if (parentFolder && parentFolder.name !== matterDisplayNumber) {
-        console.log(`[DOCUMENT] ${documentId} SKIPPED - Document in subfolder: ${parentFolder.name}`);
-        await EventTracker.endStep(fetchDocumentStepId, {
-          status: 'skipped',
-          output: {
-            documentId,
-            documentName: fetchedDocName,
-            parentFolder: parentFolder.name,
-            parentFolderType: parentFolder.type,
-            matterDisplayNumber,
-            inRoot: false,
-            reason: 'in_subfolder',
-          },
-        });
-
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_in_folder',
-        });
+          documentName: facts.name,
+          parentFolder: facts.folder,
+          parentFolderType: document.parent?.type || null,
+          matterDisplayNumber: facts.matterNumber,
+          inRoot: facts.inRoot,
+          fileType: facts.fileType,
+        };
+      },
+    },
+
+    {
+      name: 'match_rule',
+      layer: 'processing',
+      input: ({ resourceId, facts }) => ({ documentId: resourceId, ...facts }),
+      run: async (state, step) => {
+        const { resourceId: documentId, facts } = state;
+        const { rule, reason } = await DocumentRuleService.evaluate(facts, { ctx: step.ctx });
+        step.output = { reason, rule: rule ? DocumentRuleService.describe(rule) : null };
+
+        if (reason === 'excluded_folder') {
+          console.log(`[DOCUMENT] ${documentId} SKIPPED - Document in excluded folder: ${facts.folder}`);
+          return step.skip('skipped_excluded_folder', { folder: facts.folder });
+        }
 
-        return { success: true, action: 'skipped_in_folder', folder: parentFolder.name };
-      }
+        if (reason === 'no_matching_rule') {
+          console.log(`[DOCUMENT] ${documentId} SKIPPED - No document rule matches (folder: ${facts.folder})`);
+          return step.skip('skipped_no_matching_rule', { folder: facts.folder });
+        }
 
-      await EventTracker.endStep(fetchDocumentStepId, {
-        status: 'success',
-        output: {
-          documentId,
-          documentName: fetchedDocName,
-          parentFolder: parentFolder?.name || matterDisplayNumber,
-          matterDisplayNumber,
-          inRoot: true,
-        },
-      });
-
-      console.log(`[DOCUMENT] ${documentId} Document is in root - proceeding with task creation`);
-
-      // Step: Create task in Clio
-      const createTaskStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'create_task_in_clio',
-        input: {
-          matterId,
-          documentId,
-          documentName: fetchedDocName,
-          taskName: this.TASK_NAME,
-          assigneeId: this.ASSIGNEE_ID,
-          dueDays: this.DUE_DAYS,
-        },
-      });
-      const createTaskCtx = EventTracker.createContext(traceId, createTaskStepId);
-
-      // Calculate due date (1 business day from now)
-      const dueDate = addBusinessDays(new Date(), this.DUE_DAYS);
-      const dueDateFormatted = formatForClio(dueDate);
-
-      console.log(`[DOCUMENT] ${documentId} Due date: ${dueDateFormatted}`);
-
-      // Create task description with document name
-      const taskDescription = `New document: ${fetchedDocName}`;
-
-      // Create task in Clio
-      const newTask = await ClioService.createTask({
-        name: this.TASK_NAME,
-        description: taskDescription,
-        matter: { id: matterId },
-        assignee: { id: this.ASSIGNEE_ID, type: 'User' },
-        due_at: dueDateFormatted,
-      }, createTaskCtx);
-
-      console.log(`[DOCUMENT] ${documentId} Task created: ${newTask.id}`);
-
-      await EventTracker.endStep(createTaskStepId, {
-        status: 'success',
-        output: {
+        if (reason === 'rule_creates_no_task') {
+          console.log(`[DOCUMENT] ${documentId} SKIPPED - Rule "${rule.name}" creates no task`);
+          return step.skip('skipped_by_rule', { rule_id: rule.id, rule_name: rule.name });
+        }
+
+        console.log(`[DOCUMENT] ${documentId} Matched rule "${rule.name}"`);
+        state.rule = rule;
+      },
+    },
+
+    {
+      name: 'resolve_assignee',
+      layer: 'processing',
+      input: ({ resourceId, rule }) => ({ documentId: resourceId, ruleId: rule.id, assigneeType: rule.assignee_type }),
+      run: async (state, step) => {
+        const { resourceId: documentId, matterId, matterDetails, rule } = state;
+
+        try {
+          state.assignee = await resolveAssignee(rule.assignee_type, matterDetails, null, null, false, step.ctx);
+          console.log(`[DOCUMENT] ${documentId} Resolved assignee: ${state.assignee.name} (${state.assignee.id})`);
+          step.output = { assigneeId: state.assignee.id, assigneeName: state.assignee.name };
+        } catch (assigneeError) {
+          if (!(assigneeError instanceof AssigneeError)) {
+            step.output = { success: false, error: assigneeError.message };
+            throw assigneeError;
+          }
+
+          console.error(`[DOCUMENT] ${documentId} Assignee resolution failed: ${assigneeError.message}`);
+
+          // Ask the matter's attorney to handle the document instead
+          const errorTask = await ClioService.createTask(
+            createAssigneeErrorTask(matterDetails, null, `Document "${state.documentName}" (rule "${rule.name}"): ${assigneeError.message}`),
+            step.ctx
+          );
+
+          await SupabaseService.logError(
+            assigneeError.code,
+            assigneeError.message,
+            {
+              ...assigneeError.context,
+              document_id: documentId,
+              rule_id: rule.id,
+              assignee_type: rule.assignee_type,
+              error_task_id: errorTask.id,
+            }
+          );
+
+          step.output = {
+            success: false,
+            errorTaskCreated: true,
+            errorTaskId: errorTask.id,
+            error: assigneeError.message,
+          };
+
+          // Completed - the error task asks staff to handle the document
+          return step.finish(
+            { success: true, action: 'error_task_created', error_task_id: errorTask.id, matterId, documentId, rule_id: rule.id },
+            { status: 'error', record: { error_message: assigneeError.message } }
+          );
+        }
+      },
+    },
+
+    {
+      name: 'create_task_in_clio',
+      layer: 'service',
+      input: ({ resourceId, matterId, documentName, rule, assignee }) => ({
+        matterId,
+        documentId: resourceId,
+        documentName,
+        ruleId: rule.id,
+        taskTitle: rule.task_title,
+        assigneeId: assignee.id,
+        due: `${rule.due_value} ${rule.due_unit}`,
+      }),
+      run: async (state, step) => {
+        const { resourceId: documentId, matterId, matterDetails, facts, rule, assignee } = state;
+        const task = DocumentRuleService.buildTask(rule, facts, matterDetails);
+
+        console.log(`[DOCUMENT] ${documentId} Due date: ${task.dueDate}`);
+
+        const newTask = await ClioService.createTask({
+          name: task.name,
+          description: task.description,
+          matter: { id: matterId },
+          assignee: { id: assignee.id, type: 'User' },
+          due_at: task.dueDate,
+        }, step.ctx);
+
+        console.log(`[DOCUMENT] ${documentId} Task created: ${newTask.id}`);
+        state.newTask = newTask;
+        state.dueDateFormatted = task.dueDate;
+
+        step.output = {
           taskId: newTask.id,
           taskName: newTask.name,
-          taskDescription,
+          taskDescription: task.description,
           matterId,
-          assigneeId: this.ASSIGNEE_ID,
-          dueDate: dueDateFormatted,
-        },
-      });
-
-      // Step: Save task to Supabase
-      const saveTaskStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'save_task_to_supabase',
-        input: {
+          assigneeId: assignee.id,
+          dueDate: task.dueDate,
+        };
+      },
+      compensate: async ({ resourceId: documentId, newTask }) => {
+        console.log(`[DOCUMENT] ${documentId} Deleting Clio task ${newTask.id} (not saved to Supabase)`);
+        await ClioService.deleteTask(newTask.id);
+      },
+    },
+
+    {
+      name: 'save_task_to_supabase',
+      layer: 'service',
+      input: ({ resourceId, matterId, newTask }) => ({ taskId: newTask.id, taskName: newTask.name, matterId, documentId: resourceId }),
+      run: async (state, step) => {
+        const { resourceId: documentId, matterId, newTask, dueDateFormatted, documentName, rule, assignee } = state;
+
+        await SupabaseService.insertTask({
+          task_id: newTask.id,
+          task_name: newTask.name,
+          task_desc: newTask.description,
+          matter_id: matterId,
+          assigned_user_id: assignee.id,
+          assigned_user: assignee.name,
+          due_date: dueDateFormatted,
+          stage_id: null,
+          stage_name: null,
+          task_number: null,
+          completed: false,
+          status: 'pending',
+          task_date_generated: new Date().toISOString(),
+          due_date_generated: new Date().toISOString(),
+        }, step.ctx);
+
+        step.output = {
           taskId: newTask.id,
           taskName: newTask.name,
           matterId,
-          documentId,
-        },
-      });
-
-      // Record task in Supabase
-      await SupabaseService.insertTask({
-        task_id: newTask.id,
-        task_name: newTask.name,
-        task_desc: newTask.description,
-        matter_id: matterId,
-        assigned_user_id: this.ASSIGNEE_ID,
-        assigned_user: 'Auto-assigned',
-        due_date: dueDateFormatted,
-        stage_id: null,
-        stage_name: null,
-        task_number: null,
-        completed: false,
-        status: 'pending',
-        task_date_generated: new Date().toISOString(),
-        due_date_generated: new Date().toISOString(),
-      }, createTaskCtx);
-
-      await EventTracker.endStep(saveTaskStepId, {
-        status: 'success',
-        output: {
+          savedAt: new Date().toISOString(),
+        };
+
+        return step.finish({
+          success: true,
+          action: 'task_created',
           taskId: newTask.id,
           taskName: newTask.name,
           matterId,
-          savedAt: new Date().toISOString(),
-        },
-      });
-
-      // Update webhook to success
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: true,
-        action: 'task_created',
-        tasks_created: 1,
-      });
-
-      console.log(`[DOCUMENT] ${documentId} COMPLETED\n`);
-
-      return {
-        success: true,
-        action: 'task_created',
-        taskId: newTask.id,
-        taskName: newTask.name,
-        matterId,
-        documentId,
-        documentName: fetchedDocName,
-      };
-
-    } catch (error) {
-      console.error(`[DOCUMENT] ${documentId} ERROR: ${error.message}`);
-
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: false,
-        action: 'error',
-      });
+          documentId,
+          documentName,
+          rule_id: rule.id,
+        }, { record: { tasks_created: 1 } });
+      },
+    },
+  ],
+});
 
-      throw error;
-    }
+export class DocumentCreatedAutomation {
+  /**
+   * Main entry point for document creation automation
+   *
+   * @param {Object} webhookData - The webhook payload from Clio
+   * @param {string} [traceId] - Optional trace ID for event tracking
+   */
+  static async process(webhookData, traceId = null) {
+    return pipeline.run(webhookData, traceId);
   }
 }
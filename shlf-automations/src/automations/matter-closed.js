@@ -1,503 +1,598 @@
 import { ClioService } from '../services/clio.js';
 import { SupabaseService } from '../services/supabase.js';
-import { calculateDueDate, formatForClio } from '../utils/date-helpers.js';
+import { ClosedMatterWorkflowService, CLOSED_TASK_ACTIONS } from '../services/closed-matter-workflow.js';
+import { calculateDueDate, formatForClio, getOfficeTimezone } from '../utils/date-helpers.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
 import { resolveAssignee, createAssigneeErrorTask } from '../utils/assignee-resolver.js';
 import { AssigneeError } from '../utils/assignee-error.js';
 import { ERROR_CODES } from '../constants/error-codes.js';
-import { config } from '../config/index.js';
-import { EventTracker } from '../services/event-tracker.js';
+import { AutomationPipeline, testModeStage } from './pipeline.js';
 
 /**
- * AUTOMATION: Matter Closed Without Payment
+ * AUTOMATION: Matter Closed
  *
  * Triggers: When matter status changes to "Closed"
  *
- * Process:
- * 1. Fetch full matter details
- * 2. Check if any payments were made via Clio Bills API
- * 3. If NO payments found:
+ * Process (configured per practice area - see ClosedMatterWorkflowService):
+ * 1. Fetch full matter details and the practice area's closed matter workflow
+ * 2. Check bills via Clio Bills API (payments made, balance outstanding)
+ * 3. Complete or delete the matter's open automation tasks (calendar-linked
+ *    tasks have their own setting)
+ * 4. If NO payments found (and the workflow asks for it):
  *    - Create task "Client did not engage"
  *    - Assign to CSC (based on matter location)
- *    - Due date: 24 hours from now
- * 4. Record in Supabase (upsert logic)
+ *    - Due date: 1 day from now
+ * 5. Create the workflow's closing checklist tasks
+ * 6. Record a closure summary in matter_closures
+ *
+ * If a later step fails, tasks created here are deleted again so a retry
+ * doesn't leave duplicates.
  */
-export class MatterClosedAutomation {
-  /**
-   * Main entry point for matter closed automation
-   *
-   * @param {Object} webhookData - The webhook payload from Clio
-   * @param {string} [traceId] - Optional trace ID for event tracking
-   */
-  static async process(webhookData, traceId = null) {
-    const matterId = webhookData.data.id;
-    const timestamp = webhookData.data.updated_at;
-    const updatingUser = webhookData.data.user;
-
-    console.log(`[MATTER-CLOSED] ${matterId} Status changed to Closed`);
-
-    // Step: Validation
-    const validationStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'validation',
-      input: {
-        matterId,
-        timestamp,
-        webhookId: webhookData.id,
-        updatingUser: updatingUser?.name || updatingUser?.id,
-      },
-    });
-
-    // Validate timestamp exists (required for idempotency)
-    if (!timestamp) {
-      const error = `Webhook missing required timestamp field (updated_at)`;
-      console.error(`[MATTER-CLOSED] ${matterId} ${error}`);
-
-      await SupabaseService.logError(
-        ERROR_CODES.CLIO_API_FAILED,
-        error,
-        {
-          matter_id: matterId,
-          webhook_id: webhookData.id,
-          webhook_data: webhookData.data,
+const TASK_NAME = 'Client did not engage';
+const TASK_DESCRIPTION = 'Purge Green Folder - Client did not engage';
+const CHECKLIST_STAGE_NAME = 'Closing Checklist';
+
+const pipeline = new AutomationPipeline({
+  name: 'matter-closed',
+  tag: 'MATTER-CLOSED',
+  eventType: 'matter.closed',
+  resourceType: 'matter',
+  timestamp: (webhookData) => webhookData.data.updated_at,
+  timestampFields: ['updated_at'],
+
+  setup: async (state) => {
+    // Firm holidays for due date calculation (cached)
+    await ensureHolidayCalendar();
+
+    state.createdTasks = [];
+    state.failures = [];
+
+    console.log(`[MATTER-CLOSED] ${state.resourceId} Status changed to Closed`);
+  },
+
+  // Only process allowlisted matters (checked before reserving, like stage changes)
+  guards: [
+    testModeStage(({ resourceId }) => resourceId, { getMatter: ({ webhookData }) => webhookData.data }),
+  ],
+
+  stages: [
+    {
+      name: 'fetch_matter',
+      layer: 'service',
+      input: ({ resourceId }) => ({ matterId: resourceId, operation: 'get_matter_details' }),
+      run: async (state, step) => {
+        const matterId = state.resourceId;
+
+        // Add 1-second delay for API consistency
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        const matterDetails = await ClioService.getMatter(matterId, step.ctx);
+        state.matterDetails = matterDetails;
+
+        // Double-check status is actually Closed
+        if (matterDetails.status !== 'Closed') {
+          console.log(`[MATTER-CLOSED] ${matterId} SKIPPED (status is not Closed: ${matterDetails.status})`);
+          step.output = {
+            found: true,
+            status: matterDetails.status,
+            reason: 'not_closed',
+            matterName: matterDetails.display_number,
+          };
+          return step.skip('skipped_not_closed');
         }
-      );
-
-      await EventTracker.endStep(validationStepId, {
-        status: 'error',
-        errorMessage: error,
-        output: { valid: false, reason: 'missing_timestamp' },
-      });
-      throw new Error(error);
-    }
 
-    await EventTracker.endStep(validationStepId, {
-      status: 'success',
-      output: { valid: true, matterId, timestamp },
-    });
-
-    // Step: Idempotency check
-    const idempotencyStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'idempotency_check',
-      input: {
-        matterId,
-        timestamp,
-        eventType: 'matter.closed',
+        step.output = {
+          found: true,
+          matterId,
+          matterName: matterDetails.display_number,
+          status: matterDetails.status,
+          stageId: matterDetails.matter_stage?.id,
+          stageName: matterDetails.matter_stage?.name,
+          clientName: matterDetails.client?.name,
+        };
       },
-    });
-    const idempotencyKey = SupabaseService.generateIdempotencyKey(
-      'matter.closed',
-      matterId,
-      timestamp
-    );
-
-    const existing = await SupabaseService.checkWebhookProcessed(idempotencyKey);
-    if (existing) {
-      // Check if webhook is still processing
-      if (existing.success === null) {
-        console.log(`[MATTER-CLOSED] ${matterId} Still processing (concurrent request)`);
-        await EventTracker.endStep(idempotencyStepId, {
-          status: 'skipped',
-          output: {
-            isDuplicate: true,
-            reason: 'still_processing',
-            processing_started_at: existing.created_at,
-          },
-        });
-        return {
-          success: null,
-          action: 'still_processing',
-          processing_started_at: existing.created_at,
+    },
+
+    {
+      // Closed history row - lets the /matters route detect a later reopen
+      name: 'record_closed_status',
+      track: false,
+      run: async ({ resourceId: matterId, matterDetails }) => {
+        // Never fails the automation - without it a reopen is handled as a stage change
+        try {
+          await SupabaseService.insertMatterHistory({
+            matter_id: matterId,
+            matter_name: matterDetails.display_number,
+            stage_id: matterDetails.matter_stage?.id,
+            stage_name: matterDetails.matter_stage?.name,
+            date: new Date().toISOString(),
+            source: 'Clio Tasks Automation - Supabase',
+            practice_area: matterDetails.practice_area?.name,
+            practice_area_id: matterDetails.practice_area?.id,
+            due_generated: false,
+            matter_status: 'Closed',
+          });
+        } catch (historyError) {
+          console.error(`[MATTER-CLOSED] ${matterId} Failed to record closed status: ${historyError.message}`);
+        }
+      },
+    },
+
+    {
+      name: 'load_workflow',
+      layer: 'processing',
+      input: ({ matterDetails }) => ({ practiceAreaId: matterDetails.practice_area?.id }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails } = state;
+        const workflow = await ClosedMatterWorkflowService.getWorkflow(matterDetails.practice_area?.id, step.ctx);
+        const checklist = await ClosedMatterWorkflowService.getChecklist(workflow, step.ctx);
+        Object.assign(state, { workflow, checklist });
+
+        console.log(`[MATTER-CLOSED] ${matterId} Workflow: ${workflow.name} (${checklist.length} checklist task(s))`);
+        step.output = {
+          workflowId: workflow.id,
+          workflowName: workflow.name,
+          openTaskAction: workflow.open_task_action,
+          calendarTaskAction: workflow.calendar_task_action,
+          noPaymentTask: workflow.no_payment_task,
+          checklistTasks: checklist.length,
         };
-      }
+      },
+    },
+
+    {
+      name: 'check_bills',
+      layer: 'service',
+      input: ({ resourceId }) => ({ matterId: resourceId, operation: 'check_clio_bills_api' }),
+      run: async (state, step) => {
+        const matterId = state.resourceId;
+        console.log(`[MATTER-CLOSED] ${matterId} Checking bills and payments...`);
+
+        let bills;
+        try {
+          bills = await ClioService.getBillsByMatter(matterId, step.ctx);
+        } catch (paymentError) {
+          const error = `Failed to check payments for matter ${matterId}`;
+          console.error(`[MATTER-CLOSED] ${error}:`, paymentError.message);
+          step.output = { success: false, error: paymentError.message };
+
+          await SupabaseService.logError(
+            ERROR_CODES.PAYMENT_CHECK_FAILED,
+            error,
+            {
+              matter_id: matterId,
+              error_message: paymentError.message,
+              error_details: paymentError.response?.data,
+            }
+          );
 
-      console.log(`[MATTER-CLOSED] ${matterId} Already processed (idempotency) at ${existing.processed_at}`);
-      await EventTracker.endStep(idempotencyStepId, {
-        status: 'skipped',
-        output: {
-          isDuplicate: true,
-          reason: 'already_processed',
-          processed_at: existing.processed_at,
-          cachedAction: existing.action,
-        },
-      });
-      return {
-        success: existing.success,
-        action: existing.action,
-        processed_at: existing.processed_at,
-        cached: true,
-      };
-    }
+          throw paymentError;
+        }
 
-    await EventTracker.endStep(idempotencyStepId, {
-      status: 'success',
-      output: {
-        isDuplicate: false,
-        isNewRequest: true,
-        idempotencyKey,
+        state.bills = ClosedMatterWorkflowService.summarizeBills(bills);
+        step.output = state.bills;
+        console.log(`[MATTER-CLOSED] ${matterId} ${state.bills.hasPayments ? 'Payments found' : 'No payments found'}, ${state.bills.billsOutstanding} bill(s) outstanding`);
       },
-    });
-
-    // TEMPORARY: Test mode filter - only process specific matter ID
-    if (config.testing.testMode && matterId !== config.testing.testMatterId) {
-      console.log(`[MATTER-CLOSED] ${matterId} SKIPPED (test mode - matter ${matterId} !== ${config.testing.testMatterId})`);
-
-      // Record as processed (skipped)
-      await SupabaseService.recordWebhookProcessed({
-        idempotency_key: idempotencyKey,
-        webhook_id: webhookData.id,
-        event_type: 'matter.closed',
-        resource_type: 'matter',
-        resource_id: matterId,
-        success: true,
-        action: 'skipped_test_mode',
-        webhook_payload: webhookData,
-      });
-
-      return { success: true, action: 'skipped_test_mode' };
-    }
+    },
+
+    {
+      name: 'close_open_tasks',
+      layer: 'service',
+      input: ({ resourceId, workflow }) => ({
+        matterId: resourceId,
+        openTaskAction: workflow.open_task_action,
+        calendarTaskAction: workflow.calendar_task_action,
+      }),
+      run: async (state, step) => {
+        const { resourceId: matterId, workflow } = state;
+        state.openTasks = await SupabaseService.getOpenTasksByMatter(matterId, step.ctx);
+
+        const closures = ClosedMatterWorkflowService.planTaskClosures(workflow, state.openTasks);
+        state.closed = await MatterClosedAutomation.closeTasks(matterId, closures, step.ctx);
+
+        console.log(`[MATTER-CLOSED] ${matterId} Open tasks: ${state.openTasks.length} (completed ${state.closed.completed}, deleted ${state.closed.deleted}, failed ${state.closed.failures.length})`);
+        step.output = {
+          tasksOutstanding: state.openTasks.length,
+          completed: state.closed.completed,
+          deleted: state.closed.deleted,
+          failures: state.closed.failures,
+        };
+        if (state.closed.failures.length > 0) step.status = 'error';
+      },
+    },
+
+    {
+      name: 'create_task',
+      when: ({ bills, workflow }) => !bills.hasPayments && workflow.no_payment_task,
+      input: ({ resourceId, matterDetails }) => ({
+        matterId: resourceId,
+        matterName: matterDetails.display_number,
+        taskName: TASK_NAME,
+        taskDescription: TASK_DESCRIPTION,
+        assigneeRole: 'CSC',
+        stageName: matterDetails.matter_stage?.name,
+      }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails } = state;
+        const currentStageId = matterDetails.matter_stage?.id;
+        const currentStageName = matterDetails.matter_stage?.name;
+
+        // Resolve CSC assignee
+        let assignee;
+        try {
+          assignee = await resolveAssignee('CSC', matterDetails, null, null, false, step.ctx);
+          console.log(`[MATTER-CLOSED] ${matterId} Resolved CSC assignee: ${assignee.name} (${assignee.id})`);
+        } catch (assigneeError) {
+          if (!(assigneeError instanceof AssigneeError)) {
+            step.output = { success: false, error: assigneeError.message };
+            throw assigneeError;
+          }
 
-    // Step 0.5: Reserve webhook immediately (prevents duplicate processing)
-    await SupabaseService.recordWebhookProcessed({
-      idempotency_key: idempotencyKey,
-      webhook_id: webhookData.id,
-      event_type: 'matter.closed',
-      resource_type: 'matter',
-      resource_id: matterId,
-      success: null, // NULL = processing
-      action: 'processing',
-      webhook_payload: webhookData,
-    });
-
-    const startTime = Date.now();
-
-    try {
-      // Add 1-second delay for API consistency
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Step: Fetch matter details
-      const fetchMatterStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'fetch_matter',
-        input: {
-          matterId,
-          operation: 'get_matter_details',
-        },
-      });
-      const fetchMatterCtx = EventTracker.createContext(traceId, fetchMatterStepId);
-
-      const matterDetails = await ClioService.getMatter(matterId, fetchMatterCtx);
-
-      // Double-check status is actually Closed
-      if (matterDetails.status !== 'Closed') {
-        console.log(`[MATTER-CLOSED] ${matterId} SKIPPED (status is not Closed: ${matterDetails.status})`);
-        await EventTracker.endStep(fetchMatterStepId, {
-          status: 'skipped',
-          output: {
-            found: true,
-            status: matterDetails.status,
-            reason: 'not_closed',
-            matterName: matterDetails.display_number,
-          },
-        });
+          console.error(`[MATTER-CLOSED] ${matterId} Assignee resolution failed: ${assigneeError.message}`);
 
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_not_closed',
-        });
+          // Create error task in Clio - it asks staff to fix the assignee
+          const errorTask = await ClioService.createTask(
+            createAssigneeErrorTask(matterDetails, currentStageId, `"${TASK_NAME}" task: ${assigneeError.message}`),
+            step.ctx
+          );
 
-        return { success: true, action: 'skipped_not_closed' };
-      }
+          state.failures.push({ task_title: TASK_NAME, error: assigneeError.message, error_code: assigneeError.code, error_task_id: errorTask.id });
+          step.output = {
+            success: false,
+            errorTaskCreated: true,
+            errorTaskId: errorTask.id,
+            error: assigneeError.message,
+          };
+          step.status = 'error';
+          return;
+        }
 
-      const currentStageId = matterDetails.matter_stage?.id;
-      const currentStageName = matterDetails.matter_stage?.name;
+        // Calculate due date (1 day from now)
+        const dueDate = calculateDueDate({
+          'due_date-value': 1,
+          'due_date-time-relation': 'days',
+        }, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
+        const dueDateFormatted = formatForClio(dueDate);
+
+        console.log(`[MATTER-CLOSED] ${matterId} Due date: ${dueDateFormatted}`);
+
+        let newTask;
+        try {
+          newTask = await ClioService.createTask({
+            name: TASK_NAME,
+            description: TASK_DESCRIPTION,
+            matter: { id: matterId },
+            assignee: { id: assignee.id, type: assignee.type },
+            due_at: dueDateFormatted,
+          }, step.ctx);
+          console.log(`[MATTER-CLOSED] ${matterId} Task created: ${newTask.id}`);
+        } catch (taskError) {
+          const error = `Failed to create task for closed matter ${matterId}`;
+          console.error(`[MATTER-CLOSED] ${error}:`, taskError.message);
+          step.output = { success: false, error: taskError.message, assignee: assignee.name };
+
+          await SupabaseService.logError(
+            ERROR_CODES.CLOSED_MATTER_TASK_FAILED,
+            error,
+            {
+              matter_id: matterId,
+              assignee_id: assignee.id,
+              assignee_name: assignee.name,
+              error_message: taskError.message,
+              error_details: taskError.response?.data,
+            }
+          );
 
-      await EventTracker.endStep(fetchMatterStepId, {
-        status: 'success',
-        output: {
-          found: true,
+          throw taskError;
+        }
+
+        Object.assign(state, { assignee, newTask, dueDateFormatted });
+        step.output = {
+          success: true,
+          taskId: newTask.id,
+          taskName: newTask.name,
+          taskDescription: newTask.description,
           matterId,
-          matterName: matterDetails.display_number,
-          status: matterDetails.status,
-          stageId: currentStageId,
+          assignee: assignee.name,
+          assigneeId: assignee.id,
+          dueDate: dueDateFormatted,
           stageName: currentStageName,
-          clientName: matterDetails.client?.name,
-        },
-      });
+        };
+      },
+      compensate: async ({ resourceId: matterId, newTask }) => {
+        if (!newTask) return;
+        console.log(`[MATTER-CLOSED] ${matterId} Deleting Clio task ${newTask.id} (not recorded in Supabase)`);
+        await ClioService.deleteTask(newTask.id);
+      },
+    },
+
+    {
+      name: 'save_task_to_supabase',
+      layer: 'service',
+      when: ({ newTask }) => !!newTask,
+      input: ({ resourceId, newTask }) => ({ taskId: newTask.id, taskName: newTask.name, matterId: resourceId }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails, assignee, newTask, dueDateFormatted } = state;
+
+        // Record task in Supabase (upsert logic)
+        await SupabaseService.insertTask({
+          task_id: newTask.id,
+          task_name: newTask.name,
+          task_desc: newTask.description,
+          matter_id: matterId,
+          assigned_user_id: assignee.id,
+          assigned_user: assignee.name,
+          due_date: dueDateFormatted,
+          stage_id: matterDetails.matter_stage?.id,
+          stage_name: matterDetails.matter_stage?.name,
+          task_number: -2, // Special identifier for "Client did not engage" tasks
+          completed: false,
+          task_date_generated: new Date().toISOString(),
+          due_date_generated: new Date().toISOString(),
+        }, step.ctx);
+        console.log(`[MATTER-CLOSED] ${matterId} Task recorded in Supabase`);
+
+        state.createdTasks.push({ task_id: newTask.id, task_name: newTask.name });
+        step.output = { taskId: newTask.id, matterId, recordedInSupabase: true };
+      },
+    },
+
+    {
+      name: 'create_checklist_tasks',
+      layer: 'service',
+      when: ({ checklist }) => checklist.length > 0,
+      input: ({ resourceId, workflow, checklist }) => ({
+        matterId: resourceId,
+        workflowId: workflow.id,
+        templates: checklist.map(t => ({ taskNumber: t.task_number, taskTitle: t.task_title, assignee: t.assignee })),
+      }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails, checklist } = state;
+        const { created, failures } = await MatterClosedAutomation.createChecklistTasks(matterDetails, checklist, step.ctx);
+        state.checklistTasks = created;
+        state.createdTasks.push(...created);
+        state.failures.push(...failures);
+
+        console.log(`[MATTER-CLOSED] ${matterId} Checklist tasks created: ${created.length}/${checklist.length}`);
+        step.output = { created, failures };
+        if (failures.length > 0) step.status = 'error';
+      },
+      compensate: async ({ resourceId: matterId, checklistTasks = [] }) => {
+        for (const task of checklistTasks) {
+          console.log(`[MATTER-CLOSED] ${matterId} Deleting checklist task ${task.task_id}`);
+          await ClioService.deleteTask(task.task_id);
+          await SupabaseService.updateTask(task.task_id, { status: 'deleted', last_updated: new Date().toISOString() });
+        }
+      },
+    },
 
-      console.log(`[MATTER-CLOSED] ${matterId} Checking for payments...`);
+    {
+      name: 'record_closure',
+      layer: 'service',
+      input: ({ resourceId }) => ({ matterId: resourceId, operation: 'record_matter_closure' }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails, workflow, bills, openTasks, closed, createdTasks, failures } = state;
+        const allFailures = [...closed.failures, ...failures];
 
-      // Step: Check payments
-      const checkPaymentsStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'check_payments',
-        input: {
-          matterId,
-          operation: 'check_clio_bills_api',
-        },
-      });
-      const checkPaymentsCtx = EventTracker.createContext(traceId, checkPaymentsStepId);
+        const closure = await SupabaseService.recordMatterClosure({
+          matter_id: matterId,
+          closed_at: state.timestamp,
+          workflow_id: workflow.id,
+          practice_area_id: matterDetails.practice_area?.id ?? null,
+          has_payments: bills.hasPayments,
+          bills_outstanding: bills.billsOutstanding,
+          balance_outstanding: bills.balanceOutstanding,
+          tasks_outstanding: openTasks.length,
+          tasks_completed: closed.completed,
+          tasks_deleted: closed.deleted,
+          tasks_created: createdTasks.length,
+          tasks_failed: allFailures.length,
+          failure_details: allFailures.length > 0 ? allFailures : null,
+          trace_id: state.traceId,
+        }, step.ctx);
+
+        const summary = {
+          workflow_id: workflow.id,
+          has_payments: bills.hasPayments,
+          bills_outstanding: bills.billsOutstanding,
+          balance_outstanding: bills.balanceOutstanding,
+          tasks_outstanding: openTasks.length,
+          tasks_completed: closed.completed,
+          tasks_deleted: closed.deleted,
+          tasks_created: createdTasks.length,
+          tasks_failed: allFailures.length,
+        };
+        step.output = { closureId: closure?.id ?? null, ...summary };
 
-      let hasPayments = false;
-      try {
-        hasPayments = await ClioService.hasPayments(matterId, checkPaymentsCtx);
-      } catch (paymentError) {
-        const error = `Failed to check payments for matter ${matterId}`;
-        console.error(`[MATTER-CLOSED] ${error}:`, paymentError.message);
-        await EventTracker.endStep(checkPaymentsStepId, {
-          status: 'error',
-          errorMessage: paymentError.message,
-          output: {
-            success: false,
-            error: paymentError.message,
+        return step.finish({
+          success: true,
+          action: allFailures.length > 0 ? 'closure_partial_failure' : 'closure_processed',
+          closure_id: closure?.id ?? null,
+          created_tasks: createdTasks,
+          ...summary,
+          processing_duration_ms: Date.now() - state.startTime,
+        }, {
+          status: allFailures.length > 0 ? 'error' : 'success',
+          record: {
+            tasks_created: createdTasks.length,
+            ...(allFailures.length > 0 && { failure_details: allFailures }),
           },
         });
+      },
+    },
+  ],
+});
+
+export class MatterClosedAutomation {
+  /**
+   * Main entry point for matter closed automation
+   *
+   * @param {Object} webhookData - The webhook payload from Clio
+   * @param {string} [traceId] - Optional trace ID for event tracking
+   */
+  static async process(webhookData, traceId = null) {
+    return pipeline.run(webhookData, traceId);
+  }
+
+  /**
+   * Complete or delete open tasks of a closed matter
+   *
+   * Supabase is updated first (closed_with_matter_at) so the task completion
+   * webhook Clio sends back doesn't generate follow-up tasks. A task already
+   * gone from Clio counts as deleted. Failures are logged and the Supabase
+   * change is reverted; the remaining tasks are still processed.
+   *
+   * @param {number} matterId
+   * @param {Array<{ task: Object, action: string }>} closures - From planTaskClosures()
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object>} { completed, deleted, failures }
+   */
+  static async closeTasks(matterId, closures, ctx = null) {
+    let completed = 0;
+    let deleted = 0;
+    const failures = [];
+
+    for (const { task, action } of closures) {
+      const closedAt = new Date().toISOString();
+      const previous = { completed: task.completed, status: task.status, closed_with_matter_at: null };
+
+      try {
+        if (action === CLOSED_TASK_ACTIONS.COMPLETE) {
+          await SupabaseService.updateTask(task.task_id, { completed: true, status: 'completed', closed_with_matter_at: closedAt, last_updated: closedAt }, ctx);
+          await ClioService.updateTask(task.task_id, { status: 'complete' }, ctx);
+          completed++;
+        } else {
+          await SupabaseService.updateTask(task.task_id, { status: 'deleted', closed_with_matter_at: closedAt, last_updated: closedAt }, ctx);
+          await ClioService.deleteTask(task.task_id, ctx);
+          deleted++;
+        }
+      } catch (error) {
+        if (error.response?.status === 404) {
+          console.log(`[MATTER-CLOSED] ${matterId} Task ${task.task_id} no longer exists in Clio - marking deleted`);
+          await SupabaseService.updateTask(task.task_id, { status: 'deleted', last_updated: closedAt }, ctx);
+          deleted++;
+          continue;
+        }
+
+        console.error(`[MATTER-CLOSED] ${matterId} Failed to ${action} task ${task.task_id}: ${error.message}`);
+        await SupabaseService.updateTask(task.task_id, { ...previous, last_updated: closedAt }, ctx).catch(() => {});
 
-        // Log the payment check error
         await SupabaseService.logError(
-          ERROR_CODES.PAYMENT_CHECK_FAILED,
-          error,
+          ERROR_CODES.CLOSED_MATTER_CLEANUP_FAILED,
+          `Failed to ${action} task ${task.task_id} for closed matter ${matterId}`,
           {
             matter_id: matterId,
-            error_message: paymentError.message,
-            error_details: paymentError.response?.data,
+            task_id: task.task_id,
+            task_name: task.task_name,
+            action,
+            error_message: error.message,
           }
         );
 
-        // Update webhook status and rethrow
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'payment_check_failed',
-          error_message: error,
-        });
-
-        throw paymentError;
+        failures.push({ task_id: task.task_id, task_name: task.task_name, action, error: error.message, error_code: ERROR_CODES.CLOSED_MATTER_CLEANUP_FAILED });
       }
+    }
 
-      // If payments exist, skip task creation
-      if (hasPayments) {
-        console.log(`[MATTER-CLOSED] ${matterId} SKIPPED (matter has payments)`);
-        await EventTracker.endStep(checkPaymentsStepId, {
-          status: 'skipped',
-          output: {
-            hasPayments: true,
-            reason: 'client_made_payments',
-          },
-        });
-
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_has_payments',
-        });
-
-        return { success: true, action: 'skipped_has_payments' };
-      }
+    return { completed, deleted, failures };
+  }
 
-      await EventTracker.endStep(checkPaymentsStepId, {
-        status: 'success',
-        output: {
-          hasPayments: false,
-          reason: 'no_payments_found',
-        },
-      });
-
-      console.log(`[MATTER-CLOSED] ${matterId} No payments found - creating task...`);
-
-      // Step: Create task
-      const createTaskStepId = await EventTracker.startStep(traceId, {
-        layerName: 'automation',
-        stepName: 'create_task',
-        input: {
-          matterId,
-          matterName: matterDetails.display_number,
-          taskName: 'Client did not engage',
-          taskDescription: 'Purge Green Folder - Client did not engage',
-          assigneeRole: 'CSC',
-          stageName: currentStageName,
-        },
-      });
-      const createTaskCtx = EventTracker.createContext(traceId, createTaskStepId);
+  /**
+   * Create closing checklist tasks
+   * Template assignee / due date columns work like the task-list-* tables.
+   * A task that can't be assigned or created is logged and skipped; one that
+   * can't be saved to Supabase is deleted from Clio again.
+   *
+   * @param {Object} matterDetails - Clio matter
+   * @param {Array<Object>} templates - closing_checklist_templates rows
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object>} { created, failures }
+   */
+  static async createChecklistTasks(matterDetails, templates, ctx = null) {
+    const matterId = matterDetails.id;
+    const timeZone = getOfficeTimezone(matterDetails.location);
+    const created = [];
+    const failures = [];
 
-      // Resolve CSC assignee
+    for (const template of templates) {
       let assignee;
       try {
-        assignee = await resolveAssignee('CSC', matterDetails);
-        console.log(`[MATTER-CLOSED] ${matterId} Resolved CSC assignee: ${assignee.name} (${assignee.id})`);
+        const assigneeId = template.assignee_id ? String(template.assignee_id).trim() : null;
+        assignee = assigneeId && !isNaN(assigneeId)
+          ? await resolveAssignee(assigneeId, matterDetails, null, null, false, ctx)
+          : await resolveAssignee(template.assignee, matterDetails, null, assigneeId, false, ctx);
       } catch (assigneeError) {
-        if (assigneeError instanceof AssigneeError) {
-          console.error(`[MATTER-CLOSED] ${matterId} Assignee resolution failed: ${assigneeError.message}`);
-
-          // Create error task in Clio
-          const errorTask = await createAssigneeErrorTask(
-            matterId,
-            assigneeError,
-            currentStageId,
-            currentStageName,
-            'Client did not engage'
-          );
-
-          await EventTracker.endStep(createTaskStepId, {
-            status: 'error',
-            errorMessage: assigneeError.message,
-            output: {
-              success: false,
-              errorTaskCreated: true,
-              errorTaskId: errorTask.id,
-              error: assigneeError.message,
-            },
-          });
+        const code = assigneeError instanceof AssigneeError ? assigneeError.code : ERROR_CODES.CLIO_API_FAILED;
+        console.error(`[MATTER-CLOSED] ${matterId} Checklist "${template.task_title}" assignee error: ${assigneeError.message}`);
 
-          // Update webhook as completed (error task created)
-          await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-            processing_duration_ms: Date.now() - startTime,
-            success: true,
-            action: 'error_task_created',
-            error_message: assigneeError.message,
-          });
-
-          return {
-            success: true,
-            action: 'error_task_created',
-            error_task_id: errorTask.id,
-          };
-        }
-
-        // Unknown error - rethrow
-        await EventTracker.endStep(createTaskStepId, {
-          status: 'error',
-          errorMessage: assigneeError.message,
-          output: { success: false, error: assigneeError.message },
+        await SupabaseService.logError(code, assigneeError.message, {
+          ...assigneeError.context,
+          matter_id: matterId,
+          template_title: template.task_title,
         });
-        throw assigneeError;
+        failures.push({ task_title: template.task_title, task_number: template.task_number, error: assigneeError.message, error_code: code });
+        continue;
       }
 
-      // Calculate due date (24 hours from now)
-      const dueDate = calculateDueDate({
-        'due_date-time': 1,
-        'due_date-units': 'days'
-      });
-      const dueDateFormatted = formatForClio(dueDate);
-
-      console.log(`[MATTER-CLOSED] ${matterId} Due date: ${dueDateFormatted}`);
-
-      // Create task in Clio
-      const taskData = {
-        name: 'Client did not engage',
-        description: 'Purge Green Folder - Client did not engage',
-        matter: { id: matterId },
-        assignee: { id: assignee.id, type: assignee.type },
-        due_at: dueDateFormatted,
-      };
-
-      let newTask;
+      const dueDateFormatted = formatForClio(calculateDueDate(template, new Date(), 'creation', { timeZone }));
+
+      let clioTask;
       try {
-        newTask = await ClioService.createTask(taskData, createTaskCtx);
-        console.log(`[MATTER-CLOSED] ${matterId} Task created: ${newTask.id}`);
-      } catch (taskError) {
-        const error = `Failed to create task for closed matter ${matterId}`;
-        console.error(`[MATTER-CLOSED] ${error}:`, taskError.message);
-        await EventTracker.endStep(createTaskStepId, {
-          status: 'error',
-          errorMessage: taskError.message,
-          output: {
-            success: false,
-            error: taskError.message,
-            assignee: assignee.name,
-          },
+        clioTask = await ClioService.createTask({
+          name: template.task_title,
+          description: template.task_description,
+          matter: { id: matterId },
+          assignee: { id: assignee.id, type: assignee.type },
+          due_at: dueDateFormatted,
+        }, ctx, {
+          taskNumber: template.task_number,
+          assigneeName: assignee.name,
+          assigneeType: assignee.type,
+          stageName: CHECKLIST_STAGE_NAME,
         });
+      } catch (clioError) {
+        console.error(`[MATTER-CLOSED] ${matterId} Clio API failed: ${clioError.message}`);
 
-        // Log the task creation error
         await SupabaseService.logError(
-          ERROR_CODES.CLOSED_MATTER_TASK_FAILED,
-          error,
-          {
-            matter_id: matterId,
-            assignee_id: assignee.id,
-            assignee_name: assignee.name,
-            error_message: taskError.message,
-            error_details: taskError.response?.data,
-          }
+          ERROR_CODES.CLIO_API_FAILED,
+          `Failed to create task in Clio: ${clioError.message}`,
+          { matter_id: matterId, template_title: template.task_title }
         );
+        failures.push({ task_title: template.task_title, task_number: template.task_number, error: `Clio API failed: ${clioError.message}`, error_code: ERROR_CODES.CLIO_API_FAILED });
+        continue;
+      }
 
-        // Update webhook status and rethrow
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'task_creation_failed',
-          error_message: error,
-        });
+      try {
+        await SupabaseService.insertTask({
+          task_id: clioTask.id,
+          task_name: clioTask.name,
+          task_desc: clioTask.description,
+          matter_id: matterId,
+          assigned_user_id: assignee.id,
+          assigned_user: assignee.name,
+          due_date: dueDateFormatted,
+          stage_id: matterDetails.matter_stage?.id,
+          stage_name: CHECKLIST_STAGE_NAME,
+          task_number: template.task_number,
+          completed: false,
+          task_date_generated: new Date().toISOString(),
+          due_date_generated: new Date().toISOString(),
+        }, ctx);
+      } catch (dbError) {
+        console.error(`[MATTER-CLOSED] ${matterId} Failed to save checklist task ${clioTask.id}, deleting it from Clio: ${dbError.message}`);
+        await ClioService.deleteTask(clioTask.id, ctx).catch(() => {});
 
-        throw taskError;
+        await SupabaseService.logError(
+          ERROR_CODES.SUPABASE_SYNC_FAILED,
+          `Failed to save checklist task: ${dbError.message}`,
+          { matter_id: matterId, task_id: clioTask.id, template_title: template.task_title }
+        );
+        failures.push({ task_title: template.task_title, task_number: template.task_number, error: dbError.message, error_code: ERROR_CODES.SUPABASE_SYNC_FAILED });
+        continue;
       }
 
-      // Record task in Supabase (upsert logic)
-      const taskRecord = {
-        task_id: newTask.id,
-        task_name: newTask.name,
-        task_desc: newTask.description,
-        matter_id: matterId,
-        assigned_user_id: assignee.id,
-        assigned_user: assignee.name,
-        due_date: dueDateFormatted,
-        stage_id: currentStageId,
-        stage_name: currentStageName,
-        task_number: -2, // Special identifier for "Client did not engage" tasks
-        completed: false,
-        task_date_generated: new Date().toISOString(),
-        due_date_generated: new Date().toISOString(),
-      };
-
-      await SupabaseService.insertTask(taskRecord, createTaskCtx);
-      console.log(`[MATTER-CLOSED] ${matterId} Task recorded in Supabase`);
-
-      await EventTracker.endStep(createTaskStepId, {
-        status: 'success',
-        output: {
-          success: true,
-          taskId: newTask.id,
-          taskName: newTask.name,
-          taskDescription: newTask.description,
-          matterId,
-          assignee: assignee.name,
-          assigneeId: assignee.id,
-          dueDate: dueDateFormatted,
-          stageName: currentStageName,
-          recordedInSupabase: true,
-        },
-      });
-
-      // Update webhook as successfully processed
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: true,
-        action: 'task_created',
-        tasks_created: 1,
-      });
-
-      console.log(`[MATTER-CLOSED] ${matterId} Automation completed successfully`);
-
-      return {
-        success: true,
-        action: 'task_created',
-        task_id: newTask.id,
-        processing_duration_ms: Date.now() - startTime,
-      };
-
-    } catch (error) {
-      console.error(`[MATTER-CLOSED] ${matterId} Automation failed:`, error.message);
-
-      // Update webhook as failed
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: false,
-        action: 'failed',
-        error_message: error.message,
-      });
-
-      throw error;
+      created.push({ task_id: clioTask.id, task_name: clioTask.name, task_number: template.task_number, assignee: assignee.name, due_date: dueDateFormatted });
     }
+
+    return { created, failures };
   }
 }
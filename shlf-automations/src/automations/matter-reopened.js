@@ -0,0 +1,339 @@
+import { ClioService } from '../services/clio.js';
+import { SupabaseService } from '../services/supabase.js';
+import { DelegationService } from '../services/delegation.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { formatForClio, getOfficeTimezone, getZonedNow, shiftToBusinessDay } from '../utils/date-helpers.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
+import { AutomationPipeline, testModeStage } from './pipeline.js';
+
+/**
+ * AUTOMATION: Matter Reopened
+ *
+ * Triggers: A matter.updated webhook for an open matter whose last matter
+ * history row is 'Closed' (detected by the /matters route - see isReopen())
+ *
+ * Process:
+ * 1. Fetch matter details (skip if it's still closed)
+ * 2. Confirm the Closed → Open transition from matter history
+ * 3. Record the open status in matter history
+ * 4. Restore the current stage's tasks that were closed out with the matter
+ *    (closed_with_matter_at set by MatterClosedAutomation):
+ *    - completed by the closure → reopened in Clio
+ *    - deleted by the closure (or gone from Clio) → created again
+ *    Tasks completed before the matter closed, and tasks still open, are left
+ *    alone - nothing is duplicated.
+ * 5. If any task could not be restored, record the matter as 'Reopen Pending'
+ *    so the next matter update runs this automation again for those tasks
+ *
+ * Only the current stage's tasks are restored; a matter reopened into another
+ * stage gets that stage's tasks from the next stage change.
+ */
+// History status of a reopened matter whose closed tasks are not all restored yet
+const REOPEN_PENDING_STATUS = 'Reopen Pending';
+
+/**
+ * Whether a matter history row records a closed matter (or an unfinished reopen)
+ */
+const isClosedHistory = (history) => ['Closed', REOPEN_PENDING_STATUS].includes(history?.matter_status);
+
+/**
+ * Record the matter's status in matter history
+ */
+const recordStatus = (matterId, matterDetails, status, ctx) => SupabaseService.insertMatterHistory({
+  matter_id: matterId,
+  matter_name: matterDetails.display_number,
+  stage_id: matterDetails.matter_stage.id,
+  stage_name: matterDetails.matter_stage.name,
+  date: new Date().toISOString(),
+  source: 'Clio Tasks Automation - Supabase',
+  practice_area: matterDetails.practice_area?.name,
+  practice_area_id: matterDetails.practice_area?.id,
+  due_generated: false,
+  matter_status: status,
+}, ctx);
+
+const pipeline = new AutomationPipeline({
+  name: 'matter-reopened',
+  tag: 'MATTER-REOPEN',
+  eventType: 'matter.reopened',
+  resourceType: 'matter',
+  timestamp: (webhookData) => webhookData.data.updated_at,
+  timestampFields: ['updated_at'],
+
+  setup: async ({ resourceId, traceId }) => {
+    // Firm holidays for due date calculation (cached)
+    await ensureHolidayCalendar();
+
+    console.log(`[MATTER-REOPEN] ${resourceId} Status changed from Closed`);
+
+    // The route traced this webhook as a stage change
+    await EventTracker.updateTriggerName(traceId, 'matter-reopened');
+  },
+
+  // Only process allowlisted matters (checked before reserving, like stage changes)
+  guards: [
+    testModeStage(({ resourceId }) => resourceId, { getMatter: ({ webhookData }) => webhookData.data }),
+  ],
+
+  stages: [
+    {
+      name: 'fetch_matter',
+      layer: 'service',
+      input: ({ resourceId }) => ({ matterId: resourceId, operation: 'get_matter_details' }),
+      run: async (state, step) => {
+        const matterId = state.resourceId;
+        const matterDetails = await ClioService.getMatter(matterId, step.ctx);
+        state.matterDetails = matterDetails;
+
+        step.output = {
+          matterId,
+          matterName: matterDetails.display_number,
+          status: matterDetails.status,
+          stageId: matterDetails.matter_stage?.id,
+          stageName: matterDetails.matter_stage?.name,
+        };
+
+        if (matterDetails.status === 'Closed') {
+          console.log(`[MATTER-REOPEN] ${matterId} SKIPPED (matter is closed again)`);
+          return step.skip('skipped_still_closed');
+        }
+
+        if (!matterDetails.matter_stage?.id) {
+          console.log(`[MATTER-REOPEN] ${matterId} SKIPPED (no matter stage)`);
+          return step.skip('skipped_no_stage');
+        }
+      },
+    },
+
+    {
+      name: 'detect_reopen',
+      layer: 'processing',
+      input: ({ resourceId }) => ({ matterId: resourceId }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails } = state;
+        const history = await SupabaseService.getMatterHistory(matterId, step.ctx);
+        const reopened = isClosedHistory(history);
+
+        step.ctx.logDecision('matter_reopen', { matterId, previousStatus: history?.matter_status || null }, { reopened, status: matterDetails.status });
+        step.output = {
+          reopened,
+          previousStatus: history?.matter_status || null,
+          closedAt: history?.date || null,
+          closedStageId: history?.stage_id || null,
+          newStatus: matterDetails.status,
+        };
+
+        // Another webhook already handled the reopen
+        if (!reopened) {
+          console.log(`[MATTER-REOPEN] ${matterId} SKIPPED (last recorded status is not Closed)`);
+          return step.skip('skipped_not_reopened');
+        }
+      },
+    },
+
+    {
+      name: 'record_reopen',
+      track: false,
+      // Recorded before restoring so a concurrent webhook for the matter skips it
+      run: async ({ resourceId: matterId, matterDetails }) => {
+        await recordStatus(matterId, matterDetails, matterDetails.status);
+        console.log(`[MATTER-REOPEN] ${matterId} Recorded status ${matterDetails.status}`);
+      },
+    },
+
+    {
+      name: 'restore_tasks',
+      layer: 'service',
+      input: ({ resourceId, matterDetails }) => ({
+        matterId: resourceId,
+        stageId: matterDetails.matter_stage.id,
+        stageName: matterDetails.matter_stage.name,
+      }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails } = state;
+        const stageId = matterDetails.matter_stage.id;
+
+        const closedTasks = await SupabaseService.getTasksClosedWithMatter(matterId, stageId, step.ctx);
+        const stageTasks = await SupabaseService.getTasksByMatterAndStage(matterId, stageId, null, step.ctx);
+        const closedIds = new Set(closedTasks.map(t => t.task_id));
+        const alreadyCompleted = stageTasks.filter(t => t.completed && !closedIds.has(t.task_id)).length;
+        const stillOpen = stageTasks.filter(t => !t.completed && !closedIds.has(t.task_id)).length;
+
+        console.log(`[MATTER-REOPEN] ${matterId} Stage ${matterDetails.matter_stage.name}: ${closedTasks.length} to restore, ${stillOpen} still open, ${alreadyCompleted} already completed`);
+
+        const result = await MatterReopenedAutomation.restoreTasks(matterDetails, closedTasks, step.ctx);
+        const summary = {
+          tasks_reopened: result.reopened.length,
+          tasks_recreated: result.recreated.length,
+          tasks_still_open: stillOpen,
+          tasks_already_completed: alreadyCompleted,
+          tasks_failed: result.failures.length,
+        };
+        step.output = { ...summary, reopened: result.reopened, recreated: result.recreated, failures: result.failures };
+
+        let action = 'tasks_restored';
+        if (closedTasks.length === 0) action = 'no_tasks_to_restore';
+        else if (result.failures.length > 0) action = 'partial_failure';
+
+        // Failed tasks are still closed with the matter - the next update retries them
+        if (result.failures.length > 0) {
+          await recordStatus(matterId, matterDetails, REOPEN_PENDING_STATUS, step.ctx);
+          console.log(`[MATTER-REOPEN] ${matterId} Recorded status ${REOPEN_PENDING_STATUS} (${result.failures.length} task(s) to retry)`);
+        }
+
+        return step.finish({
+          success: true,
+          action,
+          stageId,
+          stageName: matterDetails.matter_stage.name,
+          ...summary,
+        }, {
+          status: result.failures.length > 0 ? 'error' : 'success',
+          record: {
+            tasks_created: result.recreated.length,
+            tasks_updated: result.reopened.length,
+            ...(result.failures.length > 0 && { failure_details: result.failures }),
+          },
+        });
+      },
+    },
+  ],
+});
+
+export class MatterReopenedAutomation {
+  /**
+   * Main entry point for matter reopen automation
+   *
+   * @param {Object} webhookData - The webhook payload from Clio
+   * @param {string} [traceId] - Optional trace ID for event tracking
+   */
+  static async process(webhookData, traceId = null) {
+    return pipeline.run(webhookData, traceId);
+  }
+
+  /**
+   * Whether an open matter was closed (or not fully restored) when we last recorded it
+   * Used by the /matters route to pick this automation over a stage change.
+   *
+   * @param {Object} matter - Current Clio matter (status)
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<boolean>}
+   */
+  static async isReopen(matter, ctx = null) {
+    if (matter.status === 'Closed') return false;
+    const history = await SupabaseService.getMatterHistory(matter.id, ctx);
+    return isClosedHistory(history);
+  }
+
+  /**
+   * Restore tasks closed out with the matter
+   *
+   * Supabase is updated before Clio so the task webhooks Clio sends back see
+   * the restored state. A failed task is logged and skipped; it keeps
+   * closed_with_matter_at so the next run restores it.
+   *
+   * @param {Object} matterDetails - Clio matter
+   * @param {Array<Object>} closedTasks - Supabase rows with closed_with_matter_at set
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object>} { reopened, recreated, failures }
+   */
+  static async restoreTasks(matterDetails, closedTasks, ctx = null) {
+    const matterId = matterDetails.id;
+    const firstDueDate = formatForClio(shiftToBusinessDay(getZonedNow(getOfficeTimezone(matterDetails.location))));
+    const reopened = [];
+    const recreated = [];
+    const failures = [];
+
+    for (const task of closedTasks) {
+      const now = new Date().toISOString();
+      const previous = { completed: task.completed, status: task.status, closed_with_matter_at: task.closed_with_matter_at };
+      try {
+        // Out-of-office assignee → their delegate
+        const assignee = task.assigned_user_id
+          ? await DelegationService.applyDelegation({ id: task.assigned_user_id, name: task.assigned_user, type: 'User' }, { matterData: matterDetails, ctx })
+          : null;
+        const delegated = !!assignee?.delegatedFrom;
+
+        if (task.status === 'completed') {
+          try {
+            await SupabaseService.updateTask(task.task_id, {
+              completed: false,
+              status: 'pending',
+              closed_with_matter_at: null,
+              last_updated: now,
+              ...(delegated && { assigned_user_id: assignee.id, assigned_user: assignee.name }),
+            }, ctx);
+            await ClioService.updateTask(task.task_id, {
+              status: 'pending',
+              ...(delegated && { assignee: { id: assignee.id, type: 'User' } }),
+            }, ctx);
+            reopened.push({ task_id: task.task_id, task_name: task.task_name });
+            continue;
+          } catch (error) {
+            // Deleted in Clio since - create it again below
+            if (error.response?.status !== 404) throw error;
+            console.log(`[MATTER-REOPEN] ${matterId} Task ${task.task_id} no longer exists in Clio - recreating`);
+          }
+        }
+
+        // Past due dates become due today (or the next business day)
+        const dueDate = task.due_date && task.due_date > firstDueDate ? task.due_date : firstDueDate;
+        const newTask = await ClioService.createTask({
+          name: task.task_name,
+          description: task.task_desc,
+          matter: { id: matterId },
+          ...(assignee && { assignee: { id: assignee.id, type: 'User' } }),
+          due_at: dueDate,
+        }, ctx);
+
+        await SupabaseService.insertTask({
+          task_id: newTask.id,
+          task_name: newTask.name,
+          task_desc: newTask.description,
+          matter_id: matterId,
+          assigned_user_id: assignee?.id ?? null,
+          assigned_user: assignee?.name ?? null,
+          due_date: dueDate,
+          stage_id: task.stage_id,
+          stage_name: task.stage_name,
+          task_number: task.task_number,
+          calendar_entry_id: task.calendar_entry_id,
+          completed: false,
+          status: 'pending',
+          closed_with_matter_at: null,
+          task_date_generated: now,
+          due_date_generated: now,
+        }, ctx);
+        // The (matter, stage, task number) conflict path keeps the old row's flags
+        await SupabaseService.updateTask(newTask.id, { completed: false, closed_with_matter_at: null }, ctx);
+
+        console.log(`[MATTER-REOPEN] ${matterId} Recreated task ${task.task_id} as ${newTask.id}`);
+        recreated.push({ task_id: newTask.id, previous_task_id: task.task_id, task_name: newTask.name });
+      } catch (error) {
+        console.error(`[MATTER-REOPEN] ${matterId} Failed to restore task ${task.task_id}: ${error.message}`);
+
+        // Keep it restorable by the next reopen
+        await SupabaseService.updateTask(task.task_id, {
+          ...previous,
+          assigned_user_id: task.assigned_user_id,
+          assigned_user: task.assigned_user,
+        }, ctx).catch(() => {});
+
+        await SupabaseService.logError(
+          ERROR_CODES.CLIO_API_FAILED,
+          `Failed to restore task for reopened matter: ${error.message}`,
+          {
+            matter_id: matterId,
+            task_id: task.task_id,
+            task_name: task.task_name,
+            stage_id: task.stage_id,
+          }
+        );
+        failures.push({ task_id: task.task_id, task_name: task.task_name, error: error.message });
+      }
+    }
+
+    return { reopened, recreated, failures };
+  }
+}
@@ -1,12 +1,16 @@
 import { ClioService } from '../services/clio.js';
 import { SupabaseService } from '../services/supabase.js';
 import { TaskVerificationService } from '../services/task-verification.js';
-import { calculateDueDate, formatForClio } from '../utils/date-helpers.js';
+import { calculateDueDate, formatForClio, getOfficeTimezone } from '../utils/date-helpers.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
 import { resolveAssignee, createAssigneeErrorTask } from '../utils/assignee-resolver.js';
 import { AssigneeError } from '../utils/assignee-error.js';
 import { ERROR_CODES } from '../constants/error-codes.js';
 import { config } from '../config/index.js';
 import { EventTracker } from '../services/event-tracker.js';
+import { templateVersionFields } from '../services/task-templates.js';
+import { parseTaskReference } from '../utils/template-graph.js';
+import { AutomationPipeline, testModeStage } from './pipeline.js';
 
 /**
  * AUTOMATION #1: Clio Tasks Automation (Matter Stage Changes)
@@ -23,25 +27,24 @@ import { EventTracker } from '../services/event-tracker.js';
  * 7. Create tasks in Clio
  * 8. Record in Supabase
  */
-export class MatterStageChangeAutomation {
-  /**
-   * Main entry point for matter stage change automation
-   *
-   * @param {Object} webhookData - The webhook payload from Clio
-   * @param {string} [traceId] - Optional trace ID for event tracking
-   */
-  static async process(webhookData, traceId = null) {
-    const matterId = webhookData.data.id;
-    const timestamp = webhookData.data.matter_stage_updated_at || webhookData.data.updated_at;
-    const updatingUser = webhookData.data.user; // User who updated the matter
+const pipeline = new AutomationPipeline({
+  name: 'matter-stage-change',
+  tag: 'MATTER',
+  eventType: 'matter.updated',
+  resourceType: 'matter',
+  timestamp: (webhookData) => webhookData.data.matter_stage_updated_at || webhookData.data.updated_at,
+  timestampFields: ['matter_stage_updated_at', 'updated_at'],
+
+  setup: async ({ resourceId: matterId, webhookData, traceId }) => {
+    // Firm holidays for due date calculation (cached)
+    await ensureHolidayCalendar();
 
-    // Extract previous stage from webhook (if available)
+    console.log(`[MATTER] ${matterId} UPDATED`);
+
+    // Log webhook received with full payload
     const webhookStageId = webhookData.data.matter_stage?.id;
     const webhookStageName = webhookData.data.matter_stage?.name;
 
-    console.log(`[MATTER] ${matterId} UPDATED`);
-
-    // Step: Log webhook received with full payload
     const webhookStepId = await EventTracker.startStep(traceId, {
       layerName: 'webhook',
       stepName: 'webhook_received',
@@ -51,14 +54,12 @@ export class MatterStageChangeAutomation {
         matterId,
         stageId: webhookStageId,
         stageName: webhookStageName,
-        timestamp,
+        timestamp: webhookData.data.matter_stage_updated_at || webhookData.data.updated_at,
         rawPayload: webhookData,
       },
     });
-    const webhookCtx = EventTracker.createContext(traceId, webhookStepId);
 
-    // Log the full webhook payload
-    webhookCtx.logWebhook('webhook_received', {
+    EventTracker.createContext(traceId, webhookStepId).logWebhook('webhook_received', {
       eventType: webhookData.type,
       resourceId: matterId,
       resourceType: 'matter',
@@ -77,202 +78,27 @@ export class MatterStageChangeAutomation {
         webhookParsed: true,
       },
     });
-
-    // Step: Validation - validate webhook payload
-    const validationStepId = await EventTracker.startStep(traceId, {
-      layerName: 'automation',
-      stepName: 'validation',
-      input: {
-        matterId,
-        timestamp,
-        webhookId: webhookData.id,
-      },
-    });
-
-    const validationCtx = EventTracker.createContext(traceId, validationStepId);
-
-    // Validate timestamp exists (required for idempotency)
-    if (!timestamp) {
-      const error = `Webhook missing required timestamp fields (matter_stage_updated_at, updated_at)`;
-      console.error(`[MATTER] ${matterId} ${error}`);
-
-      validationCtx.logValidation('validate_timestamp', { matterId }, { valid: false }, 'error', error);
-
-      await SupabaseService.logError(
-        ERROR_CODES.CLIO_API_FAILED,
-        error,
-        {
-          matter_id: matterId,
-          webhook_id: webhookData.id,
-          webhook_data: webhookData.data,
-        }
-      );
-
-      await EventTracker.endStep(validationStepId, {
-        status: 'error',
-        errorMessage: error,
-        output: { valid: false, reason: 'missing_timestamp' },
-      });
-
-      throw new Error(error);
-    }
-
-    validationCtx.logValidation('validate_timestamp', { matterId, timestamp }, { valid: true }, 'success');
-    await EventTracker.endStep(validationStepId, {
-      status: 'success',
-      output: { valid: true, timestampValid: true },
-    });
-
-    // Step: Idempotency check
-    const idempotencyKey = SupabaseService.generateIdempotencyKey(
-      'matter.updated',
-      matterId,
-      timestamp
-    );
-
-    const idempotencyStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'idempotency_check',
-      input: {
-        matterId,
-        timestamp,
-        idempotencyKey,
-      },
-    });
-
-    const idempotencyCtx = EventTracker.createContext(traceId, idempotencyStepId);
-
-    const existing = await SupabaseService.checkWebhookProcessed(idempotencyKey, idempotencyCtx);
-    if (existing) {
-      // Check if webhook is still processing
-      if (existing.success === null) {
-        console.log(`[MATTER] ${matterId} Still processing (concurrent request)`);
-        await EventTracker.endStep(idempotencyStepId, {
-          status: 'skipped',
-          output: {
-            isDuplicate: true,
-            reason: 'still_processing',
-            existingRecord: existing,
-          },
-        });
-        return {
-          success: null,
-          action: 'still_processing',
-          processing_started_at: existing.created_at,
-        };
-      }
-
-      console.log(`[MATTER] ${matterId} Already processed (idempotency) at ${existing.processed_at}`);
-      await EventTracker.endStep(idempotencyStepId, {
-        status: 'skipped',
-        output: {
-          isDuplicate: true,
-          reason: 'already_processed',
-          existingRecord: existing,
-        },
-      });
-      return {
-        success: existing.success,
-        action: existing.action,
-        processed_at: existing.processed_at,
-        cached: true,
-      };
-    }
-
-    await EventTracker.endStep(idempotencyStepId, {
-      status: 'success',
-      output: {
-        isDuplicate: false,
-        isNewRequest: true,
-      },
-    });
-
-    // Step: Test mode filter - only process specific matter ID when test mode is enabled
-    if (config.testing.testMode) {
-      const testModeStepId = await EventTracker.startStep(traceId, {
-        layerName: 'processing',
-        stepName: 'test_mode_filter',
-        input: {
-          testModeEnabled: true,
-          matterId,
-          testMatterId: config.testing.testMatterId,
-        },
-      });
-      const testModeCtx = EventTracker.createContext(traceId, testModeStepId);
-
-      const isAllowed = matterId === config.testing.testMatterId;
-      testModeCtx.logTestModeFilter(matterId, matterId, config.testing.testMatterId, isAllowed);
-
-      if (!isAllowed) {
-        console.log(`[MATTER] ${matterId} SKIPPED (test mode - matter ${matterId} !== ${config.testing.testMatterId})`);
-
-        await EventTracker.endStep(testModeStepId, {
-          status: 'skipped',
-          output: {
-            allowed: false,
-            reason: 'not_in_allowlist',
-            matterId,
-            testMatterId: config.testing.testMatterId,
-          },
-        });
-
-        // Record as processed (skipped)
-        await SupabaseService.recordWebhookProcessed({
-          idempotency_key: idempotencyKey,
-          webhook_id: webhookData.id,
-          event_type: 'matter.updated',
-          resource_type: 'matter',
-          resource_id: matterId,
-          success: true,
-          action: 'skipped_test_mode',
-          webhook_payload: webhookData,
-        });
-
-        return { success: true, action: 'skipped_test_mode' };
-      }
-
-      await EventTracker.endStep(testModeStepId, {
-        status: 'success',
-        output: {
-          allowed: true,
-          reason: 'in_allowlist',
-        },
-      });
-    }
-
-    // Step 0.5: Reserve webhook immediately (prevents duplicate processing)
-    await SupabaseService.recordWebhookProcessed({
-      idempotency_key: idempotencyKey,
-      webhook_id: webhookData.id,
-      event_type: 'matter.updated',
-      resource_type: 'matter',
-      resource_id: matterId,
-      success: null, // NULL = processing
-      action: 'processing',
-      webhook_payload: webhookData,
-    });
-
-    const startTime = Date.now();
-    let tasksCreated = 0;
-
-    try {
-      // Step 1: Add 1-second delay for API consistency
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Step: Fetch matter details from Clio
-      const fetchMatterStepId = await EventTracker.startStep(traceId, {
-        layerName: 'automation',
-        stepName: 'fetch_matter',
-        input: { matterId },
-      });
-      const fetchMatterCtx = EventTracker.createContext(traceId, fetchMatterStepId);
-
-      const matterDetails = await ClioService.getMatter(matterId, fetchMatterCtx);
-
-      await EventTracker.endStep(fetchMatterStepId, {
-        status: 'success',
-        output: {
-          matterId,
+  },
+
+  // Only process allowlisted matters - webhook data carries the matter details,
+  // so pattern/attorney rules need no extra fetch
+  guards: [
+    testModeStage(({ resourceId }) => resourceId, { getMatter: ({ webhookData }) => webhookData.data }),
+  ],
+
+  stages: [
+    {
+      name: 'fetch_matter',
+      input: ({ resourceId }) => ({ matterId: resourceId }),
+      run: async (state, step) => {
+        // 1-second delay for API consistency
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        const matterDetails = await ClioService.getMatter(state.resourceId, step.ctx);
+        state.matterDetails = matterDetails;
+
+        step.output = {
+          matterId: state.resourceId,
           matterStatus: matterDetails.status,
           stageId: matterDetails.matter_stage?.id,
           stageName: matterDetails.matter_stage?.name,
@@ -283,50 +109,36 @@ export class MatterStageChangeAutomation {
           originatingAttorneyId: matterDetails.originating_attorney?.id,
           originatingAttorneyName: matterDetails.originating_attorney?.name,
           displayNumber: matterDetails.display_number,
-        },
-      });
+        };
+      },
+    },
+
+    {
+      // Before → after. The Clio webhook carries the NEW state only; the previous
+      // stage is the last one we recorded for this matter.
+      name: 'detect_stage_change',
+      input: (state) => ({ matterId: state.resourceId, newStageId: state.matterDetails.matter_stage?.id }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails } = state;
+        const currentStage = {
+          id: matterDetails.matter_stage?.id,
+          name: matterDetails.matter_stage?.name,
+        };
 
-      // Step: Detect stage change (before → after)
-      // Note: Clio webhook contains the NEW state (after change), not previous state
-      // We get the previous stage from our database records
-      const currentStage = {
-        id: matterDetails.matter_stage?.id,
-        name: matterDetails.matter_stage?.name,
-      };
-
-      // Get previous stage from Supabase (last recorded stage for this matter)
-      const matterHistory = await SupabaseService.getMatterHistory(matterId);
-      const previousStage = {
-        id: matterHistory?.stage_id || null,
-        name: matterHistory?.stage_name || 'Unknown',
-      };
-
-      // Determine if we have a previous record
-      const hasPreviousRecord = previousStage.id !== null;
-
-      const stageChangeStepId = await EventTracker.startStep(traceId, {
-        layerName: 'automation',
-        stepName: 'detect_stage_change',
-        input: {
-          matterId,
-          previousStageId: previousStage.id,
-          previousStageName: hasPreviousRecord ? previousStage.name : '(No previous record)',
-          newStageId: currentStage.id,
-          newStageName: currentStage.name,
-          hasPreviousRecord,
-        },
-      });
-      const stageChangeCtx = EventTracker.createContext(traceId, stageChangeStepId);
+        const matterHistory = await SupabaseService.getMatterHistory(matterId, step.ctx);
+        const previousStage = {
+          id: matterHistory?.stage_id || null,
+          name: matterHistory?.stage_name || 'Unknown',
+        };
 
-      // Determine if stage actually changed (null means no previous record, treat as changed)
-      const stageChanged = !hasPreviousRecord || previousStage.id !== currentStage.id;
+        // No previous record is treated as a change
+        const hasPreviousRecord = previousStage.id !== null;
+        const stageChanged = !hasPreviousRecord || previousStage.id !== currentStage.id;
 
-      // Log stage change details using the correct context method
-      stageChangeCtx.logStageChange(matterId, previousStage, currentStage, stageChanged);
+        step.ctx.logStageChange(matterId, previousStage, currentStage, stageChanged);
 
-      await EventTracker.endStep(stageChangeStepId, {
-        status: currentStage.id ? 'success' : 'skipped',
-        output: {
+        step.status = currentStage.id ? 'success' : 'skipped';
+        step.output = {
           stageChanged,
           hasPreviousRecord,
           previousStageId: previousStage.id,
@@ -334,339 +146,308 @@ export class MatterStageChangeAutomation {
           newStageId: currentStage.id,
           newStageName: currentStage.name,
           action: !hasPreviousRecord ? 'first_stage_record' : (stageChanged ? 'stage_changed' : 'same_stage'),
-        },
-      });
-
-      // Step 2.1: Filter out closed matters
-      if (matterDetails.status === 'Closed') {
-        console.log(`[MATTER] ${matterId} SKIPPED (matter is closed)`);
-
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_closed_matter',
-        });
-
-        return { success: true, action: 'skipped_closed_matter' };
-      }
+        };
+      },
+    },
+
+    {
+      name: 'check_matter',
+      track: false,
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails } = state;
+
+        // Filter out closed matters
+        if (matterDetails.status === 'Closed') {
+          console.log(`[MATTER] ${matterId} SKIPPED (matter is closed)`);
+          return step.skip('skipped_closed_matter');
+        }
 
-      const currentStageId = matterDetails.matter_stage?.id;
-      const currentStageName = matterDetails.matter_stage?.name;
-      const practiceArea = matterDetails.practice_area?.name;
-      const practiceAreaId = matterDetails.practice_area?.id;
+        const currentStageId = matterDetails.matter_stage?.id;
+        const currentStageName = matterDetails.matter_stage?.name;
+        const practiceArea = matterDetails.practice_area?.name;
+        const practiceAreaId = matterDetails.practice_area?.id;
 
-      // Step 2.5: Validate required fields
-      if (!currentStageId || !currentStageName) {
-        const error = `Matter missing required stage information`;
-        console.error(`[MATTER] ${matterId} ${error}`);
+        if (!currentStageId || !currentStageName) {
+          const error = `Matter missing required stage information`;
+          console.error(`[MATTER] ${matterId} ${error}`);
 
-        await SupabaseService.logError(
-          ERROR_CODES.VALIDATION_MISSING_STAGE,
-          error,
-          {
-            matter_id: matterId,
-            stage_id: currentStageId,
-            stage_name: currentStageName,
-            matter_data: {
-              id: matterDetails.id,
-              matter_stage: matterDetails.matter_stage,
-              practice_area: matterDetails.practice_area,
-            },
-          }
-        );
+          await SupabaseService.logError(
+            ERROR_CODES.VALIDATION_MISSING_STAGE,
+            error,
+            {
+              matter_id: matterId,
+              stage_id: currentStageId,
+              stage_name: currentStageName,
+              matter_data: {
+                id: matterDetails.id,
+                matter_stage: matterDetails.matter_stage,
+                practice_area: matterDetails.practice_area,
+              },
+            }
+          );
 
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'missing_stage',
-        });
+          return step.finish({ success: false, action: 'missing_stage' });
+        }
 
-        console.log(`[MATTER] ${matterId} COMPLETED (missing stage)\n`);
-        return { success: false, action: 'missing_stage' };
-      }
+        Object.assign(state, { currentStageId, currentStageName, practiceArea, practiceAreaId });
 
-      // Warn if practice area is missing (optional but recommended)
-      if (!practiceArea || !practiceAreaId) {
-        console.warn(`[MATTER] ${matterId} Missing practice area information, will use default templates`);
-      }
+        // Practice area is optional but recommended
+        if (!practiceArea || !practiceAreaId) {
+          console.warn(`[MATTER] ${matterId} Missing practice area information, will use default templates`);
+        }
 
-      console.log(`[MATTER] ${matterId} Confirmed stage change`);
-      console.log(`[MATTER] ${matterId} Changed to stage: ${currentStageName} (${practiceArea || 'Unknown'})`);
+        console.log(`[MATTER] ${matterId} Confirmed stage change`);
+        console.log(`[MATTER] ${matterId} Changed to stage: ${currentStageName} (${practiceArea || 'Unknown'})`);
 
-      // Step 2.75: Update matter status based on stage mapping
-      try {
-        const matterStatus = await SupabaseService.getMatterStatusByStage(currentStageName);
-        if (matterStatus) {
-          console.log(`[MATTER] ${matterId} Updating matter status to: ${matterStatus}`);
-          await ClioService.updateMatterStatus(matterId, matterStatus);
-          console.log(`[MATTER] ${matterId} Matter status updated successfully`);
-        } else {
-          console.log(`[MATTER] ${matterId} No status mapping found for stage: ${currentStageName}`);
-        }
-      } catch (statusError) {
-        console.error(`[MATTER] ${matterId} Failed to update matter status: ${statusError.message}`);
-        // Log error but don't fail the entire automation
-        await SupabaseService.logError(
-          ERROR_CODES.CLIO_API_FAILED,
-          `Failed to update matter status: ${statusError.message}`,
-          {
-            matter_id: matterId,
-            stage_id: currentStageId,
-            stage_name: currentStageName,
+        // Update matter status based on stage mapping (never fails the automation)
+        try {
+          const matterStatus = await SupabaseService.getMatterStatusByStage(currentStageName);
+          if (matterStatus) {
+            console.log(`[MATTER] ${matterId} Updating matter status to: ${matterStatus}`);
+            await ClioService.updateMatterStatus(matterId, matterStatus);
+            console.log(`[MATTER] ${matterId} Matter status updated successfully`);
+          } else {
+            console.log(`[MATTER] ${matterId} No status mapping found for stage: ${currentStageName}`);
           }
-        );
-      }
+        } catch (statusError) {
+          console.error(`[MATTER] ${matterId} Failed to update matter status: ${statusError.message}`);
+          await SupabaseService.logError(
+            ERROR_CODES.CLIO_API_FAILED,
+            `Failed to update matter status: ${statusError.message}`,
+            {
+              matter_id: matterId,
+              stage_id: currentStageId,
+              stage_name: currentStageName,
+            }
+          );
+        }
+      },
+    },
 
-      // Step 3: Check for recent stage changes (rollback window)
-      const rollbackStepId = await EventTracker.startStep(traceId, {
-        layerName: 'processing',
-        stepName: 'check_rollback_window',
-        input: {
+    {
+      name: 'check_rollback_window',
+      layer: 'processing',
+      input: ({ resourceId, currentStageId }) => ({
+        matterId: resourceId,
+        currentStageId,
+        rollbackWindowMinutes: config.automation.rollbackWindowMinutes,
+      }),
+      run: async ({ resourceId: matterId, currentStageId }, step) => {
+        const recentChange = await SupabaseService.checkRecentStageChange(
           matterId,
           currentStageId,
-          rollbackWindowMinutes: config.automation.rollbackWindowMinutes,
-        },
-      });
-      const rollbackCtx = EventTracker.createContext(traceId, rollbackStepId);
-
-      const recentChange = await SupabaseService.checkRecentStageChange(
-        matterId,
-        currentStageId,
-        config.automation.rollbackWindowMinutes
-      );
-
-      const withinRollbackWindow = !!recentChange;
-      let tasksDeleted = 0;
+          config.automation.rollbackWindowMinutes
+        );
 
-      // Step 4: Delete tasks if stage changed within rollback window
-      if (recentChange) {
-        console.log(`[MATTER] ${matterId} Rollback detected - deleting previous tasks`);
-        tasksDeleted = await this.handleRollback(matterId, recentChange.stage_id);
-      }
+        // Stage changed again within the window - delete the previous stage's tasks
+        let tasksDeleted = 0;
+        if (recentChange) {
+          console.log(`[MATTER] ${matterId} Rollback detected - deleting previous tasks`);
+          tasksDeleted = await MatterStageChangeAutomation.handleRollback(matterId, recentChange.stage_id);
+        }
 
-      await EventTracker.endStep(rollbackStepId, {
-        status: 'success',
-        output: {
-          withinRollbackWindow,
+        step.output = {
+          withinRollbackWindow: !!recentChange,
           previousStageId: recentChange?.stage_id || null,
           previousStageName: recentChange?.stage_name || null,
           previousChangeAt: recentChange?.date || null,
           tasksDeleted,
-          action: withinRollbackWindow ? 'rollback_triggered' : 'no_rollback',
-        },
-      });
-
-      // Step 5: Update matter-info (current state)
-      await SupabaseService.upsertMatterInfo({
-        matter_id: matterId,
-        matter_name: matterDetails.display_number,
-        stage_id: currentStageId,
-        stage_name: currentStageName,
-        matter_stage_last_updated: matterDetails.matter_stage_updated_at,
-        task_generated: true,
-      });
-
-      // Step 6: Insert matter history record
-      await SupabaseService.insertMatterHistory({
-        matter_id: matterId,
-        matter_name: matterDetails.display_number,
-        stage_id: currentStageId,
-        stage_name: currentStageName,
-        date: new Date().toISOString(),
-        source: 'Clio Tasks Automation - Supabase',
-        practice_area: practiceArea,
-        practice_area_id: practiceAreaId,
-        due_generated: false,
-      });
-
-      // Step 7: Get task templates based on practice area
-      let taskTemplates = [];
+          action: recentChange ? 'rollback_triggered' : 'no_rollback',
+        };
+      },
+    },
+
+    {
+      name: 'record_stage',
+      track: false,
+      run: async ({ resourceId: matterId, matterDetails, currentStageId, currentStageName, practiceArea, practiceAreaId }) => {
+        // matter-info (current state)
+        await SupabaseService.upsertMatterInfo({
+          matter_id: matterId,
+          matter_name: matterDetails.display_number,
+          stage_id: currentStageId,
+          stage_name: currentStageName,
+          matter_stage_last_updated: matterDetails.matter_stage_updated_at,
+          task_generated: true,
+        });
 
-      // Check practice area by ID for reliable detection
-      // Estate Planning ID: 44697423 (task-list-non-meeting and task-list-meeting)
-      // Probate ID: 45045123 (task-list-probate)
-      const PROBATE_PRACTICE_AREA_ID = 45045123;
-      const isProbate = practiceAreaId === PROBATE_PRACTICE_AREA_ID;
+        // Matter history record
+        await SupabaseService.insertMatterHistory({
+          matter_id: matterId,
+          matter_name: matterDetails.display_number,
+          stage_id: currentStageId,
+          stage_name: currentStageName,
+          date: new Date().toISOString(),
+          source: 'Clio Tasks Automation - Supabase',
+          practice_area: practiceArea,
+          practice_area_id: practiceAreaId,
+          due_generated: false,
+          matter_status: matterDetails.status,
+        });
+      },
+    },
 
-      if (isProbate) {
-        taskTemplates = await SupabaseService.getTaskListProbate(currentStageId);
-      } else {
-        // Estate Planning or other
-        taskTemplates = await SupabaseService.getTaskListNonMeeting(currentStageId);
-      }
+    {
+      name: 'load_templates',
+      track: false,
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails, currentStageId, currentStageName, practiceArea, practiceAreaId, webhookData } = state;
 
-      // NOTE: We do NOT fall back to task-list-meeting here
-      // Tasks from task-list-meeting should ONLY be created when a calendar event is created
-      // not when the matter stage changes
-      if (taskTemplates.length === 0) {
-        console.log(`[MATTER] ${matterId} No templates found for this stage`);
-      }
+        // The practice area registry maps each Clio practice area to its template table,
+        // stage set and behavior flags (unregistered practice areas use the default entry)
+        const practiceAreaConfig = await SupabaseService.getPracticeAreaConfig(practiceAreaId);
+        state.practiceAreaConfig = practiceAreaConfig;
 
-      // Step 7.5: Validate templates
-      const validation = SupabaseService.validateTaskTemplates(taskTemplates);
-      if (!validation.valid) {
-        console.error(`[MATTER] ${matterId} Template validation failed:`, validation.errors);
+        const generatesTasks = practiceAreaConfig.flags.generate_stage_tasks &&
+          SupabaseService.isStageInPracticeArea(practiceAreaConfig, currentStageId);
 
-        // Log each validation error
-        for (const error of validation.errors) {
-          await SupabaseService.logError(
-            error.includes('Duplicate') ? ERROR_CODES.TEMPLATE_DUPLICATE : ERROR_CODES.TEMPLATE_MISSING,
-            error,
-            {
-              matter_id: matterId,
-              stage_id: currentStageId,
-              stage_name: currentStageName,
-              practice_area: practiceArea,
-            }
-          );
+        if (!generatesTasks) {
+          console.log(`[MATTER] ${matterId} No stage tasks for ${currentStageName} in practice area ${practiceAreaConfig.practice_area_name} (registry config)`);
+          return step.skip('skipped_practice_area_config', { practiceArea: practiceAreaConfig.practice_area_name });
         }
 
-        // Update webhook to failure
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'template_validation_failed',
-        });
+        const taskTemplates = await SupabaseService.getTaskListByTable(
+          practiceAreaConfig.template_table,
+          currentStageId
+        );
 
-        console.log(`[MATTER] ${matterId} COMPLETED (template validation failed)\n`);
-        return { success: false, action: 'template_validation_failed', errors: validation.errors };
-      }
+        // NOTE: We do NOT fall back to task-list-meeting here
+        // Tasks from task-list-meeting should ONLY be created when a calendar event is created
+        // not when the matter stage changes
+        if (taskTemplates.length === 0) {
+          console.log(`[MATTER] ${matterId} No templates found for this stage`);
+        }
 
-      // Step 7.6: Check for existing tasks for this stage (excluding deleted)
-      const existingTasks = await SupabaseService.getTasksByMatterAndStage(
-        matterId,
-        currentStageId,
-        null // Get both completed and incomplete tasks
-      );
+        const validation = SupabaseService.validateTaskTemplates(taskTemplates);
+        if (!validation.valid) {
+          console.error(`[MATTER] ${matterId} Template validation failed:`, validation.errors);
 
-      // Also get deleted tasks count for logging
-      const deletedCount = await SupabaseService.getDeletedTasksCount(matterId, currentStageId);
+          // Log each validation error
+          for (const error of validation.errors) {
+            await SupabaseService.logError(
+              error.includes('Duplicate') ? ERROR_CODES.TEMPLATE_DUPLICATE : ERROR_CODES.TEMPLATE_MISSING,
+              error,
+              {
+                matter_id: matterId,
+                stage_id: currentStageId,
+                stage_name: currentStageName,
+                practice_area: practiceArea,
+              }
+            );
+          }
 
-      if (deletedCount > 0) {
-        console.log(`[MATTER] ${matterId} Found ${deletedCount} deleted tasks and ${existingTasks.length} active tasks for this stage`);
-      } else {
-        console.log(`[MATTER] ${matterId} Found ${existingTasks.length} active tasks for this stage`);
-      }
+          return step.finish({ success: false, action: 'template_validation_failed', errors: validation.errors });
+        }
 
-      // Step 7.6.5: Check if any existing ACTIVE tasks have calendar_entry_id
-      // If tasks were created by calendar automation, skip stage-based generation
-      const hasCalendarTasks = existingTasks.some(task => task.calendar_entry_id !== null);
-      if (hasCalendarTasks) {
-        console.log(`[MATTER] ${matterId} Active tasks with calendar_entry_id found - skipping stage-based generation`);
-        console.log(`[MATTER] ${matterId} Calendar automation owns these tasks and will update them if needed`);
-
-        // Update webhook to success (skipped)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_calendar_tasks_exist',
-          tasks_found: existingTasks.length,
-        });
+        // Existing tasks for this stage (both completed and incomplete, excluding deleted)
+        const existingTasks = await SupabaseService.getTasksByMatterAndStage(matterId, currentStageId, null);
+        const deletedCount = await SupabaseService.getDeletedTasksCount(matterId, currentStageId);
 
-        console.log(`[MATTER] ${matterId} COMPLETED (calendar tasks exist)\n`);
-        return {
-          success: true,
-          action: 'skipped_calendar_tasks_exist',
-          tasksFound: existingTasks.length
-        };
-      }
+        if (deletedCount > 0) {
+          console.log(`[MATTER] ${matterId} Found ${deletedCount} deleted tasks and ${existingTasks.length} active tasks for this stage`);
+        } else {
+          console.log(`[MATTER] ${matterId} Found ${existingTasks.length} active tasks for this stage`);
+        }
 
-      // Step 7.7: Check for missing required data (location, attorney, etc.)
-      const missingDataCheck = await this.checkForMissingData(
-        taskTemplates,
-        matterDetails,
-        currentStageName,
-        updatingUser
-      );
+        // Tasks created by calendar automation (calendar_entry_id set) own this stage
+        if (existingTasks.some(task => task.calendar_entry_id !== null)) {
+          console.log(`[MATTER] ${matterId} Active tasks with calendar_entry_id found - skipping stage-based generation`);
+          console.log(`[MATTER] ${matterId} Calendar automation owns these tasks and will update them if needed`);
 
-      if (missingDataCheck.hasMissingData) {
-        console.log(`[MATTER] ${matterId} Missing required data: ${missingDataCheck.missingFields.join(', ')}`);
+          return step.skip(
+            'skipped_calendar_tasks_exist',
+            { tasksFound: existingTasks.length },
+            { record: { tasks_found: existingTasks.length } }
+          );
+        }
 
-        // Create error task instead of generating tasks
-        const errorTask = await this.createMissingDataErrorTask(
-          matterId,
+        // Missing required data (location, attorney, etc.) → error task instead of tasks
+        const updatingUser = webhookData.data.user;
+        const missingDataCheck = await MatterStageChangeAutomation.checkForMissingData(
+          taskTemplates,
           matterDetails,
           currentStageName,
-          missingDataCheck.missingFields,
           updatingUser
         );
 
-        // Update webhook to success (error task created)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'missing_data_error_task_created',
-          tasks_created: 1,
-        });
+        if (missingDataCheck.hasMissingData) {
+          console.log(`[MATTER] ${matterId} Missing required data: ${missingDataCheck.missingFields.join(', ')}`);
 
-        console.log(`[MATTER] ${matterId} COMPLETED (missing data error task created)\n`);
-        return {
-          success: true,
-          action: 'missing_data_error_task_created',
-          missingFields: missingDataCheck.missingFields,
-          errorTaskId: errorTask.id
-        };
-      }
+          const errorTask = await MatterStageChangeAutomation.createMissingDataErrorTask(
+            matterId,
+            matterDetails,
+            currentStageName,
+            missingDataCheck.missingFields,
+            updatingUser
+          );
 
-      // Step 8: Generate or update tasks
-      const generateTasksStepId = await EventTracker.startStep(traceId, {
-        layerName: 'automation',
-        stepName: 'generate_tasks',
-        input: {
-          matterId,
-          stageId: currentStageId,
-          stageName: currentStageName,
-          templateCount: taskTemplates.length,
-          existingTaskCount: existingTasks.length,
-          templates: taskTemplates.map(t => ({
-            taskNumber: t.task_number,
-            taskTitle: t.task_title,
-            assignee: t.assignee,
-          })),
-        },
-      });
-      const generateTasksCtx = EventTracker.createContext(traceId, generateTasksStepId);
-
-      let result = { tasksCreated: 0, tasksUpdated: 0, tasksFailed: 0, failures: [] };
-
-      // Filter out Attempt 2, Attempt 3, and No Response - they're created by task completion automation
-      // Note: Only filter exact matches for attempt sequence tasks, not tasks that happen to contain these words
-      const tasksToCreate = taskTemplates.filter(template => {
-        const title = template.task_title?.toLowerCase() || '';
-        const isAttempt2 = title === 'attempt 2' || title === 'attempt 2 follow up';
-        const isAttempt3 = title === 'attempt 3' || title === 'attempt 3 follow up';
-        const isNoResponse = title === 'no response';
-        return !isAttempt2 && !isAttempt3 && !isNoResponse;
-      });
+          return step.finish({
+            success: true,
+            action: 'missing_data_error_task_created',
+            missingFields: missingDataCheck.missingFields,
+            errorTaskId: errorTask.id,
+          }, { record: { tasks_created: 1 } });
+        }
 
-      if (tasksToCreate.length > 0) {
+        Object.assign(state, { taskTemplates, existingTasks });
+      },
+    },
+
+    {
+      name: 'generate_tasks',
+      input: (state) => ({
+        matterId: state.resourceId,
+        stageId: state.currentStageId,
+        stageName: state.currentStageName,
+        templateCount: state.taskTemplates.length,
+        existingTaskCount: state.existingTasks.length,
+        templates: state.taskTemplates.map(t => ({
+          taskNumber: t.task_number,
+          taskTitle: t.task_title,
+          assignee: t.assignee,
+        })),
+      }),
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails, taskTemplates, existingTasks, currentStageId, currentStageName } = state;
+
+        let result = { tasksCreated: 0, tasksUpdated: 0, tasksFailed: 0, failures: [] };
+
+        // Attempt 2, Attempt 3 and No Response are created by task completion automation
+        // Note: Only exact matches are attempt sequence tasks, not tasks that happen to contain these words
+        const tasksToCreate = taskTemplates.filter(template => {
+          const title = template.task_title?.toLowerCase() || '';
+          const isAttempt2 = title === 'attempt 2' || title === 'attempt 2 follow up';
+          const isAttempt3 = title === 'attempt 3' || title === 'attempt 3 follow up';
+          const isNoResponse = title === 'no response';
+          return !isAttempt2 && !isAttempt3 && !isNoResponse;
+        });
+        state.tasksToCreate = tasksToCreate;
 
-        if (existingTasks.length === 0) {
+        if (tasksToCreate.length === 0) {
+          console.log(`[MATTER] ${matterId} No templates found for this stage`);
+        } else if (existingTasks.length === 0) {
           // No existing tasks - create all tasks
           console.log(`[MATTER] ${matterId} No existing tasks - generating ${tasksToCreate.length} tasks (${taskTemplates.length - tasksToCreate.length} deferred)`);
-          result = await this.generateTasks(matterId, matterDetails, tasksToCreate, currentStageId, currentStageName, generateTasksCtx);
+          result = await MatterStageChangeAutomation.generateTasks(matterId, matterDetails, tasksToCreate, currentStageId, currentStageName, step.ctx);
           console.log(`[MATTER] ${matterId} Task generation complete: ${result.tasksCreated} created, ${result.tasksFailed} failed`);
         } else {
           // Existing tasks found - update incomplete, skip completed, create missing
           console.log(`[MATTER] ${matterId} Existing tasks found - updating incomplete tasks and creating missing tasks`);
-          result = await this.updateOrCreateStageTasks(
+          result = await MatterStageChangeAutomation.updateOrCreateStageTasks(
             matterId,
             matterDetails,
             tasksToCreate,
             existingTasks,
             currentStageId,
             currentStageName,
-            generateTasksCtx
+            step.ctx
           );
           console.log(`[MATTER] ${matterId} Task processing complete: ${result.tasksCreated} created, ${result.tasksUpdated} updated, ${result.tasksFailed} failed`);
         }
-      } else {
-        console.log(`[MATTER] ${matterId} No templates found for this stage`);
-      }
 
-      await EventTracker.endStep(generateTasksStepId, {
-        status: result.tasksFailed > 0 ? 'error' : 'success',
-        output: {
+        state.result = result;
+        step.status = result.tasksFailed > 0 ? 'error' : 'success';
+        step.output = {
           tasksCreated: result.tasksCreated,
           tasksUpdated: result.tasksUpdated,
           tasksFailed: result.tasksFailed,
@@ -674,75 +455,67 @@ export class MatterStageChangeAutomation {
           action: result.tasksFailed > 0 ? 'partial_failure' :
                   (result.tasksUpdated > 0 ? 'updated_tasks' : 'created_tasks'),
           tasks: result.tasks || [], // Full task details array
-        },
-      });
+        };
+      },
+    },
 
-      // Step 9: Post-verification (verify all tasks were created)
-      let verificationResult = null;
-      if (result.tasksCreated > 0 || result.tasksFailed > 0) {
-        try {
-          verificationResult = await TaskVerificationService.verifyTaskGeneration({
-            matterId,
-            stageId: currentStageId,
-            stageName: currentStageName,
-            practiceAreaId,
-            matterDetails,
-            expectedCount: tasksToCreate.length,
-            context: 'stage_change',
-            calendarEntryId: null
-          }, traceId);
-
-          // Update result with verification data
-          if (verificationResult.tasksRegenerated > 0) {
-            console.log(`[MATTER] ${matterId} Verification regenerated ${verificationResult.tasksRegenerated} missing tasks`);
-            result.tasksCreated += verificationResult.tasksRegenerated;
-            result.tasksFailed += (verificationResult.tasksFailed || 0);
-            if (verificationResult.failures) {
-              result.failures.push(...verificationResult.failures);
-            }
+    {
+      // Post-verification (verify all tasks were created) - scheduled, runs in the verify-tasks job
+      name: 'verify_tasks',
+      track: false,
+      run: async (state, step) => {
+        const { resourceId: matterId, matterDetails, currentStageId, currentStageName, practiceAreaId, practiceAreaConfig, tasksToCreate, result, traceId } = state;
+
+        if (practiceAreaConfig.flags.verify_tasks && (result.tasksCreated > 0 || result.tasksFailed > 0)) {
+          try {
+            await TaskVerificationService.scheduleVerification({
+              matterId,
+              stageId: currentStageId,
+              stageName: currentStageName,
+              practiceAreaId,
+              matterDetails,
+              expectedCount: tasksToCreate.length,
+              context: 'stage_change',
+              calendarEntryId: null
+            }, traceId);
+          } catch (verifyError) {
+            console.error(`[MATTER] ${matterId} Failed to schedule verification: ${verifyError.message}`);
+            // Don't fail the whole webhook if verification can't be scheduled
           }
-        } catch (verifyError) {
-          console.error(`[MATTER] ${matterId} Verification failed: ${verifyError.message}`);
-          // Don't fail the whole webhook if verification fails
         }
-      }
 
-      // Determine if webhook processing was fully successful
-      const success = result.tasksFailed === 0;
-      const action = result.tasksFailed > 0 ? 'partial_failure' :
-                     (result.tasksUpdated > 0 ? 'updated_tasks' : 'created_tasks');
-
-      // Update webhook to success
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: success,
-        action: action,
-        tasks_created: result.tasksCreated,
-        tasks_updated: result.tasksUpdated || 0,
-        failure_details: result.tasksFailed > 0 ? result.failures : undefined,
-      });
+        // Fully successful only if every task was created
+        const success = result.tasksFailed === 0;
+        const action = result.tasksFailed > 0 ? 'partial_failure' :
+                       (result.tasksUpdated > 0 ? 'updated_tasks' : 'created_tasks');
 
-      console.log(`[MATTER] ${matterId} COMPLETED\n`);
-      return {
-        success: success,
-        action: action, // Include action for trace resultAction matching
-        tasksCreated: result.tasksCreated,
-        tasksFailed: result.tasksFailed,
-        failures: result.failures,
-      };
-
-    } catch (error) {
-      console.error(`[MATTER] ${matterId} ERROR: ${error.message}`);
-
-      // Update webhook to failure
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: false,
-        action: 'error',
-      });
+        return step.finish({
+          success,
+          action, // Include action for trace resultAction matching
+          tasksCreated: result.tasksCreated,
+          tasksFailed: result.tasksFailed,
+          failures: result.failures,
+        }, {
+          record: {
+            tasks_created: result.tasksCreated,
+            tasks_updated: result.tasksUpdated || 0,
+            failure_details: result.tasksFailed > 0 ? result.failures : undefined,
+          },
+        });
+      },
+    },
+  ],
+});
 
-      throw error;
-    }
+export class MatterStageChangeAutomation {
+  /**
+   * Main entry point for matter stage change automation
+   *
+   * @param {Object} webhookData - The webhook payload from Clio
+   * @param {string} [traceId] - Optional trace ID for event tracking
+   */
+  static async process(webhookData, traceId = null) {
+    return pipeline.run(webhookData, traceId);
   }
 
   /**
@@ -802,21 +575,21 @@ export class MatterStageChangeAutomation {
               );
             }
             // Pass assignee_id as lookupReference for FUNDING_COOR
-            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id);
+            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id, false, ctx);
           }
           // Step 2: Check if assignee_id exists and is numeric
           else if (template.assignee_id && !isNaN(String(template.assignee_id).trim())) {
             // Numeric assignee_id - use directly
-            assignee = await resolveAssignee(String(template.assignee_id).trim(), matterDetails);
+            assignee = await resolveAssignee(String(template.assignee_id).trim(), matterDetails, null, null, false, ctx);
           }
           // Step 3: If assignee_id is non-numeric, use it as lookup reference
           else if (template.assignee_id) {
             // Non-numeric assignee_id - use as reference (e.g., "location", "attorney")
-            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id);
+            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id, false, ctx);
           }
           // Step 4: No assignee_id, use assignee field
           else {
-            assignee = await resolveAssignee(template.assignee, matterDetails);
+            assignee = await resolveAssignee(template.assignee, matterDetails, null, null, false, ctx);
           }
         } catch (assigneeError) {
           console.error(`[MATTER] ${matterId} Assignee error: ${assigneeError.message}`);
@@ -919,7 +692,7 @@ export class MatterStageChangeAutomation {
         }
         // Check 3: Regular task (after creation)
         else {
-          const dueDate = calculateDueDate(template, new Date());
+          const dueDate = calculateDueDate(template, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
           dueDateFormatted = formatForClio(dueDate);
         }
 
@@ -993,6 +766,7 @@ export class MatterStageChangeAutomation {
             stage_id: stageId,
             stage_name: stageName,
             task_number: template.task_number,
+            ...templateVersionFields(template),
             completed: false,
             status: 'pending',
             task_date_generated: new Date().toISOString(),
@@ -1107,21 +881,21 @@ export class MatterStageChangeAutomation {
               );
             }
             // Pass assignee_id as lookupReference for FUNDING_COOR
-            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id);
+            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id, false, ctx, { existingTask });
           }
           // Step 2: Check if assignee_id exists and is numeric
           else if (template.assignee_id && !isNaN(String(template.assignee_id).trim())) {
             // Numeric assignee_id - use directly
-            assignee = await resolveAssignee(String(template.assignee_id).trim(), matterDetails);
+            assignee = await resolveAssignee(String(template.assignee_id).trim(), matterDetails, null, null, false, ctx, { existingTask });
           }
           // Step 3: If assignee_id is non-numeric, use it as lookup reference
           else if (template.assignee_id) {
             // Non-numeric assignee_id - use as reference (e.g., "location", "attorney")
-            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id);
+            assignee = await resolveAssignee(template.assignee, matterDetails, null, template.assignee_id, false, ctx, { existingTask });
           }
           // Step 4: No assignee_id, use assignee field
           else {
-            assignee = await resolveAssignee(template.assignee, matterDetails);
+            assignee = await resolveAssignee(template.assignee, matterDetails, null, null, false, ctx, { existingTask });
           }
         } catch (assigneeError) {
           console.error(`[MATTER] ${matterId} Assignee error: ${assigneeError.message}`);
@@ -1154,7 +928,7 @@ export class MatterStageChangeAutomation {
 
         let dueDateFormatted = null;
         if (!isRelationalToTask || isAttemptTask) {
-          const dueDate = calculateDueDate(template, new Date());
+          const dueDate = calculateDueDate(template, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
           dueDateFormatted = formatForClio(dueDate);
         } else {
           // Task is relative to another task's completion
@@ -1168,7 +942,7 @@ export class MatterStageChangeAutomation {
               // Parent task is completed - calculate due date from NOW (stage change time)
               // This gives the task a "second chance" to get a due date
               console.log(`[MATTER] ${matterId} Parent task ${parentTaskNumber} already completed, calculating due date from stage change time`);
-              const dueDate = calculateDueDate(template, new Date());
+              const dueDate = calculateDueDate(template, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
               dueDateFormatted = formatForClio(dueDate);
             } else {
               // Parent task not completed yet - keep NULL (will be set when parent completes)
@@ -1247,6 +1021,7 @@ export class MatterStageChangeAutomation {
                 stage_id: stageId,
                 stage_name: stageName,
                 task_number: template.task_number,
+                ...templateVersionFields(template),
                 completed: false,
                 task_date_generated: new Date().toISOString(),
                 due_date_generated: dueDateFormatted ? new Date().toISOString() : null,
@@ -1298,6 +1073,7 @@ export class MatterStageChangeAutomation {
             stage_id: stageId,
             stage_name: stageName,
             task_number: template.task_number,
+            ...templateVersionFields(template),
             completed: false,
             task_date_generated: new Date().toISOString(),
             due_date_generated: dueDateFormatted ? new Date().toISOString() : null,
@@ -1351,15 +1127,7 @@ export class MatterStageChangeAutomation {
    * Returns null if cannot parse
    */
   static extractParentTaskNumber(relationType) {
-    if (!relationType) return null;
-
-    // Match patterns like "after task 1", "3 days after task 2", etc.
-    const match = relationType.match(/after\s+task\s+(\d+)/i);
-    if (match && match[1]) {
-      return parseInt(match[1], 10);
-    }
-
-    return null;
+    return parseTaskReference(relationType);
   }
 
   /**
@@ -1,12 +1,13 @@
 import { ClioService } from '../services/clio.js';
 import { SupabaseService } from '../services/supabase.js';
 import { TaskVerificationService } from '../services/task-verification.js';
-import { calculateDueDate, formatForClio } from '../utils/date-helpers.js';
+import { calculateDueDate, formatForClio, getOfficeTimezone } from '../utils/date-helpers.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
 import { resolveAssignee } from '../utils/assignee-resolver.js';
 import { AssigneeError } from '../utils/assignee-error.js';
 import { ERROR_CODES } from '../constants/error-codes.js';
-import { config } from '../config/index.js';
-import { EventTracker } from '../services/event-tracker.js';
+import { templateVersionFields } from '../services/task-templates.js';
+import { AutomationPipeline, testModeStage } from './pipeline.js';
 
 /**
  * AUTOMATION #3: Due Date Relative to Meeting
@@ -21,279 +22,79 @@ import { EventTracker } from '../services/event-tracker.js';
  * 5. Special handling for signing meetings (use meeting location)
  */
 
-export class MeetingScheduledAutomation {
-  /**
-   * Main entry point for meeting scheduled automation
-   *
-   * @param {Object} webhookData - The webhook payload from Clio
-   * @param {string} [traceId] - Optional trace ID for event tracking
-   */
-  static async process(webhookData, traceId = null) {
-    const calendarEntryId = webhookData.data.id;
-
-    // Determine if this is a create or update event
-    // Use updated_at if it exists and is different from created_at
-    const isUpdate = webhookData.data.updated_at &&
-                     webhookData.data.created_at !== webhookData.data.updated_at;
-    const eventType = isUpdate ? 'calendar_entry.updated' : 'calendar_entry.created';
-
-    // Use updated_at for updates (so each update has unique idempotency key)
-    // Use created_at for creates
-    const timestamp = isUpdate ? webhookData.data.updated_at : webhookData.data.created_at;
-
-    console.log(`[CALENDAR] ${calendarEntryId} ${isUpdate ? 'UPDATED' : 'CREATED'}`);
-    console.log(`[CALENDAR] ${calendarEntryId} Timestamps - created_at: ${webhookData.data.created_at}, updated_at: ${webhookData.data.updated_at}`);
-
-    // Step: Validation
-    const validationStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'validation',
-      input: {
-        calendarEntryId,
-        eventType,
-        isUpdate,
-        timestamp,
-        webhookId: webhookData.id,
-      },
-    });
+// Updates have a later updated_at than created_at
+const isUpdateEvent = (webhookData) => !!webhookData.data.updated_at &&
+  webhookData.data.created_at !== webhookData.data.updated_at;
+
+const pipeline = new AutomationPipeline({
+  name: 'meeting-scheduled',
+  tag: 'CALENDAR',
+  eventType: (webhookData) => isUpdateEvent(webhookData) ? 'calendar_entry.updated' : 'calendar_entry.created',
+  resourceType: 'calendar_entry',
+  // updated_at for updates (so each update has a unique idempotency key), created_at for creates
+  timestamp: (webhookData) => isUpdateEvent(webhookData) ? webhookData.data.updated_at : webhookData.data.created_at,
+  timestampFields: ['created_at', 'updated_at'],
+
+  setup: async ({ resourceId, webhookData }) => {
+    // Firm holidays for due date calculation (cached)
+    await ensureHolidayCalendar();
+
+    console.log(`[CALENDAR] ${resourceId} ${isUpdateEvent(webhookData) ? 'UPDATED' : 'CREATED'}`);
+    console.log(`[CALENDAR] ${resourceId} Timestamps - created_at: ${webhookData.data.created_at}, updated_at: ${webhookData.data.updated_at}`);
+  },
+
+  stages: [
+    {
+      name: 'fetch_calendar_entry',
+      layer: 'service',
+      input: ({ resourceId }) => ({ calendarEntryId: resourceId, operation: 'get_calendar_entry_details' }),
+      run: async (state, step) => {
+        const calendarEntryId = state.resourceId;
+        const calendarEntry = await ClioService.getCalendarEntry(calendarEntryId, step.ctx);
+
+        const calendarEventTypeId = calendarEntry.calendar_entry_event_type?.id;
+        const calendarEventTypeName = calendarEntry.calendar_entry_event_type?.name;
+        const matterId = calendarEntry.matter?.id;
+        const meetingLocation = calendarEntry.location;
+        const meetingDate = calendarEntry.start_at;
+        Object.assign(state, { calendarEventTypeId, calendarEventTypeName, matterId, meetingLocation, meetingDate });
+
+        // Meeting date is required for task due date calculations
+        if (!meetingDate) {
+          const error = `Calendar entry missing required start_at date`;
+          console.error(`[CALENDAR] ${calendarEntryId} ${error}`);
 
-    // Validate timestamp exists (required for idempotency)
-    if (!timestamp) {
-      const error = `Webhook missing required timestamp fields (created_at, updated_at)`;
-      console.error(`[CALENDAR] ${calendarEntryId} ${error}`);
+          await SupabaseService.logError(
+            ERROR_CODES.VALIDATION_MISSING_REQUIRED_FIELD,
+            error,
+            {
+              calendar_entry_id: calendarEntryId,
+              calendar_data: {
+                id: calendarEntry.id,
+                start_at: calendarEntry.start_at,
+                matter: calendarEntry.matter,
+                calendar_entry_event_type: calendarEntry.calendar_entry_event_type,
+              },
+            }
+          );
 
-      await SupabaseService.logError(
-        ERROR_CODES.CLIO_API_FAILED,
-        error,
-        {
-          calendar_entry_id: calendarEntryId,
-          webhook_id: webhookData.id,
-          webhook_data: webhookData.data,
+          step.output = { found: true, calendarEntryId, hasMeetingDate: false, reason: 'missing_start_at' };
+          return step.finish({ success: false, action: 'missing_meeting_date' }, { status: 'error' });
         }
-      );
-
-      await EventTracker.endStep(validationStepId, {
-        status: 'error',
-        errorMessage: error,
-        output: { valid: false, reason: 'missing_timestamp' },
-      });
-      throw new Error(error);
-    }
-
-    await EventTracker.endStep(validationStepId, {
-      status: 'success',
-      output: { valid: true, calendarEntryId, eventType, isUpdate },
-    });
-
-    // Step: Idempotency check
-    const idempotencyStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'idempotency_check',
-      input: {
-        calendarEntryId,
-        eventType,
-        timestamp,
-      },
-    });
-    const idempotencyKey = SupabaseService.generateIdempotencyKey(
-      eventType,
-      calendarEntryId,
-      timestamp
-    );
-
-    const existing = await SupabaseService.checkWebhookProcessed(idempotencyKey);
-    if (existing) {
-      // Check if webhook is still processing
-      if (existing.success === null) {
-        console.log(`[CALENDAR] ${calendarEntryId} Still processing (concurrent request)`);
-        await EventTracker.endStep(idempotencyStepId, {
-          status: 'skipped',
-          output: {
-            isDuplicate: true,
-            reason: 'still_processing',
-            processing_started_at: existing.created_at,
-          },
-        });
-        return {
-          success: null,
-          action: 'still_processing',
-          processing_started_at: existing.created_at,
-        };
-      }
-
-      console.log(`[CALENDAR] ${calendarEntryId} Already processed (idempotency) at ${existing.processed_at}`);
-      await EventTracker.endStep(idempotencyStepId, {
-        status: 'skipped',
-        output: {
-          isDuplicate: true,
-          reason: 'already_processed',
-          processed_at: existing.processed_at,
-          cachedAction: existing.action,
-        },
-      });
-      return {
-        success: existing.success,
-        action: existing.action,
-        processed_at: existing.processed_at,
-        cached: true,
-      };
-    }
-
-    await EventTracker.endStep(idempotencyStepId, {
-      status: 'success',
-      output: {
-        isDuplicate: false,
-        isNewRequest: true,
-        idempotencyKey,
-      },
-    });
-
-    // Step 0.5: Reserve webhook immediately (prevents duplicate processing)
-    await SupabaseService.recordWebhookProcessed({
-      idempotency_key: idempotencyKey,
-      webhook_id: webhookData.id,
-      event_type: eventType,
-      resource_type: 'calendar_entry',
-      resource_id: calendarEntryId,
-      success: null, // NULL = processing
-      action: 'processing',
-      webhook_payload: webhookData,
-    });
-
-    const startTime = Date.now();
-
-    try {
-      // Step 1: Fetch calendar entry details
-      const fetchCalendarStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'fetch_calendar_entry',
-        input: {
-          calendarEntryId,
-          operation: 'get_calendar_entry_details',
-        },
-      });
-
-      const calendarEntry = await ClioService.getCalendarEntry(calendarEntryId);
-
-      const calendarEventTypeId = calendarEntry.calendar_entry_event_type?.id;
-      const calendarEventTypeName = calendarEntry.calendar_entry_event_type?.name;
-      const matterId = calendarEntry.matter?.id;
-      const meetingLocation = calendarEntry.location;
-      const meetingDate = calendarEntry.start_at;
-
-      // Step 1.5: Validate meeting date (required for task due date calculations)
-      if (!meetingDate) {
-        const error = `Calendar entry missing required start_at date`;
-        console.error(`[CALENDAR] ${calendarEntryId} ${error}`);
-
-        await EventTracker.endStep(fetchCalendarStepId, {
-          status: 'error',
-          errorMessage: error,
-          output: {
-            found: true,
-            calendarEntryId,
-            hasMeetingDate: false,
-            reason: 'missing_start_at',
-          },
-        });
-
-        await SupabaseService.logError(
-          ERROR_CODES.VALIDATION_MISSING_REQUIRED_FIELD,
-          error,
-          {
-            calendar_entry_id: calendarEntryId,
-            calendar_data: {
-              id: calendarEntry.id,
-              start_at: calendarEntry.start_at,
-              matter: calendarEntry.matter,
-              calendar_entry_event_type: calendarEntry.calendar_entry_event_type,
-            },
-          }
-        );
-
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'missing_meeting_date',
-        });
-
-        console.log(`[CALENDAR] ${calendarEntryId} COMPLETED (missing meeting date)\n`);
-        return { success: false, action: 'missing_meeting_date' };
-      }
 
-      // Test mode filter - only process meetings for specific matter when TEST_MODE is enabled
-      if (config.testing.testMode && matterId !== config.testing.testMatterId) {
-        console.log(`[CALENDAR] ${calendarEntryId} SKIPPED (test mode - matter ${matterId} !== ${config.testing.testMatterId})`);
-
-        await EventTracker.endStep(fetchCalendarStepId, {
-          status: 'skipped',
-          output: {
-            found: true,
-            calendarEntryId,
-            matterId,
-            reason: 'test_mode_blocked',
-          },
-        });
-
-        // Update webhook to success (skipped)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_test_mode',
-        });
-
-        return { success: true, action: 'skipped_test_mode' };
-      }
-
-      if (!calendarEventTypeId) {
-        console.log(`[CALENDAR] ${calendarEntryId} No event type, skipping`);
-
-        await EventTracker.endStep(fetchCalendarStepId, {
-          status: 'skipped',
-          output: {
-            found: true,
-            calendarEntryId,
-            hasEventType: false,
-            reason: 'no_event_type',
-          },
-        });
-
-        // Update webhook to success (skipped)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_no_event_type',
-        });
-
-        return { success: true, action: 'skipped' };
-      }
-
-      if (!matterId) {
-        console.log(`[CALENDAR] ${calendarEntryId} No matter associated`);
-
-        await EventTracker.endStep(fetchCalendarStepId, {
-          status: 'skipped',
-          output: {
-            found: true,
-            calendarEntryId,
-            hasMatter: false,
-            reason: 'no_matter_associated',
-          },
-        });
-
-        // Update webhook to success (skipped)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'no_matter',
-        });
+        if (!calendarEventTypeId) {
+          console.log(`[CALENDAR] ${calendarEntryId} No event type, skipping`);
+          step.output = { found: true, calendarEntryId, hasEventType: false, reason: 'no_event_type' };
+          return step.skip('skipped', {}, { record: { action: 'skipped_no_event_type' } });
+        }
 
-        return { success: true, action: 'no_matter' };
-      }
+        if (!matterId) {
+          console.log(`[CALENDAR] ${calendarEntryId} No matter associated`);
+          step.output = { found: true, calendarEntryId, hasMatter: false, reason: 'no_matter_associated' };
+          return step.skip('no_matter');
+        }
 
-      await EventTracker.endStep(fetchCalendarStepId, {
-        status: 'success',
-        output: {
+        step.output = {
           found: true,
           calendarEntryId,
           matterId,
@@ -301,106 +102,76 @@ export class MeetingScheduledAutomation {
           meetingLocation,
           calendarEventTypeId,
           calendarEventTypeName,
-        },
-      });
-
-      // Step 2: Map calendar event to stage (from database)
-      const mapEventStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'map_event_to_stage',
-        input: {
-          calendarEventTypeId,
-          calendarEventTypeName,
-          operation: 'lookup_stage_mapping',
-        },
-      });
-
-      const mapping = await SupabaseService.getCalendarEventMapping(calendarEventTypeId);
-      if (!mapping) {
-        console.log(`[CALENDAR] ${calendarEntryId} Event type not mapped`);
-
-        await EventTracker.endStep(mapEventStepId, {
-          status: 'skipped',
-          output: {
-            mapped: false,
-            calendarEventTypeId,
-            reason: 'event_type_not_mapped',
-          },
-        });
-
-        // Update webhook to success (skipped)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'not_mapped',
-        });
-
-        return { success: true, action: 'not_mapped' };
-      }
+        };
+      },
+    },
+
+    // Only process meetings for allowlisted matters
+    testModeStage(({ matterId }) => matterId),
+
+    {
+      name: 'map_event_to_stage',
+      layer: 'service',
+      input: ({ calendarEventTypeId, calendarEventTypeName }) => ({
+        calendarEventTypeId,
+        calendarEventTypeName,
+        operation: 'lookup_stage_mapping',
+      }),
+      run: async (state, step) => {
+        const { resourceId: calendarEntryId, calendarEventTypeId, matterId, meetingDate } = state;
+
+        const mapping = await SupabaseService.getCalendarEventMapping(calendarEventTypeId, step.ctx);
+        if (!mapping) {
+          console.log(`[CALENDAR] ${calendarEntryId} Event type not mapped`);
+          step.output = { mapped: false, calendarEventTypeId, reason: 'event_type_not_mapped' };
+          return step.skip('not_mapped');
+        }
 
-      await EventTracker.endStep(mapEventStepId, {
-        status: 'success',
-        output: {
+        state.mapping = mapping;
+        step.output = {
           mapped: true,
           calendarEventTypeId,
           stageId: mapping.stage_id,
           stageName: mapping.stage_name,
           usesMeetingLocation: mapping.uses_meeting_location,
-        },
-      });
-
-      console.log(`[CALENDAR] ${calendarEntryId} Confirmed for matter ${matterId}`);
-      console.log(`[CALENDAR] ${calendarEntryId} Meeting: ${mapping.stage_name} on ${meetingDate}`);
-
-      // Step 3: Check/record meeting in Supabase
-      const existingMeeting = await SupabaseService.getMeetingRecord(matterId, calendarEventTypeId);
-
-      await SupabaseService.upsertMeetingBooking({
-        matter_id: matterId,
-        calendar_event_id: calendarEventTypeId,
-        calendar_entry_id: calendarEntryId,
-        date: meetingDate,
-        tasks_booked: true,
-      });
-
-      // Step 4: Fetch matter details
-      const fetchMatterStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'fetch_matter',
-        input: {
-          matterId,
-          operation: 'get_matter_details',
-        },
-      });
-
-      const matterDetails = await ClioService.getMatter(matterId);
-
-      // Step 4.1: Filter out closed matters
-      if (matterDetails.status === 'Closed') {
-        console.log(`[CALENDAR] ${calendarEntryId} SKIPPED (matter is closed)`);
-
-        await EventTracker.endStep(fetchMatterStepId, {
-          status: 'skipped',
-          output: {
-            found: true,
-            matterId,
-            matterStatus: matterDetails.status,
-            reason: 'matter_is_closed',
-          },
-        });
+        };
 
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_closed_matter',
+        console.log(`[CALENDAR] ${calendarEntryId} Confirmed for matter ${matterId}`);
+        console.log(`[CALENDAR] ${calendarEntryId} Meeting: ${mapping.stage_name} on ${meetingDate}`);
+      },
+    },
+
+    {
+      name: 'record_meeting',
+      track: false,
+      run: async ({ resourceId: calendarEntryId, matterId, calendarEventTypeId, meetingDate }) => {
+        await SupabaseService.upsertMeetingBooking({
+          matter_id: matterId,
+          calendar_event_id: calendarEventTypeId,
+          calendar_entry_id: calendarEntryId,
+          date: meetingDate,
+          tasks_booked: true,
         });
+      },
+    },
+
+    {
+      name: 'fetch_matter',
+      layer: 'service',
+      input: ({ matterId }) => ({ matterId, operation: 'get_matter_details' }),
+      run: async (state, step) => {
+        const { resourceId: calendarEntryId, matterId } = state;
+        const matterDetails = await ClioService.getMatter(matterId, step.ctx);
+        state.matterDetails = matterDetails;
+
+        // Filter out closed matters
+        if (matterDetails.status === 'Closed') {
+          console.log(`[CALENDAR] ${calendarEntryId} SKIPPED (matter is closed)`);
+          step.output = { found: true, matterId, matterStatus: matterDetails.status, reason: 'matter_is_closed' };
+          return step.skip('skipped_closed_matter');
+        }
 
-        return { success: true, action: 'skipped_closed_matter' };
-      }
-
-      await EventTracker.endStep(fetchMatterStepId, {
-        status: 'success',
-        output: {
+        step.output = {
           found: true,
           matterId,
           matterName: matterDetails.display_number,
@@ -408,294 +179,276 @@ export class MeetingScheduledAutomation {
           clientName: matterDetails.client?.name,
           matterLocation: matterDetails.location,
           practiceArea: matterDetails.practice_area?.name,
-        },
-      });
-
-      // Step 5: Get task templates for this meeting type
-      const taskTemplates = await SupabaseService.getTaskListMeeting(calendarEventTypeId);
-
-      if (taskTemplates.length === 0) {
-        console.log(`[CALENDAR] ${calendarEntryId} No task templates found`);
-
-        // Update webhook to success (no templates)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'no_templates',
-        });
+        };
+      },
+    },
+
+    {
+      name: 'load_templates',
+      track: false,
+      run: async (state, step) => {
+        const { resourceId: calendarEntryId, matterId, calendarEventTypeId, mapping } = state;
+
+        const taskTemplates = await SupabaseService.getTaskListMeeting(calendarEventTypeId);
+        if (taskTemplates.length === 0) {
+          console.log(`[CALENDAR] ${calendarEntryId} No task templates found`);
+          return step.finish({ success: true, action: 'no_templates' });
+        }
 
-        return { success: true, action: 'no_templates' };
-      }
+        const validation = SupabaseService.validateTaskTemplates(taskTemplates);
+        if (!validation.valid) {
+          console.error(`[CALENDAR] ${calendarEntryId} Template validation failed:`, validation.errors);
 
-      // Step 5.5: Validate templates
-      const validation = SupabaseService.validateTaskTemplates(taskTemplates);
-      if (!validation.valid) {
-        console.error(`[CALENDAR] ${calendarEntryId} Template validation failed:`, validation.errors);
+          // Log each validation error
+          for (const error of validation.errors) {
+            await SupabaseService.logError(
+              error.includes('Duplicate') ? ERROR_CODES.TEMPLATE_DUPLICATE : ERROR_CODES.TEMPLATE_MISSING,
+              error,
+              {
+                matter_id: matterId,
+                calendar_entry_id: calendarEntryId,
+                calendar_event_type_id: calendarEventTypeId,
+                stage_name: mapping.stage_name,
+              }
+            );
+          }
 
-        // Log each validation error
-        for (const error of validation.errors) {
-          await SupabaseService.logError(
-            error.includes('Duplicate') ? ERROR_CODES.TEMPLATE_DUPLICATE : ERROR_CODES.TEMPLATE_MISSING,
-            error,
-            {
-              matter_id: matterId,
-              calendar_entry_id: calendarEntryId,
-              calendar_event_type_id: calendarEventTypeId,
-              stage_name: mapping.stageName,
-            }
-          );
+          return step.finish({ success: false, action: 'template_validation_failed', errors: validation.errors });
         }
 
-        // Update webhook to failure
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'template_validation_failed',
-        });
-
-        console.log(`[CALENDAR] ${calendarEntryId} COMPLETED (template validation failed)\n`);
-        return { success: false, action: 'template_validation_failed', errors: validation.errors };
-      }
-
-      // Step 6: Check for existing tasks - either from this calendar entry OR from stage automation
-      const checkExistingTasksStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'check_existing_tasks',
-        input: {
-          calendarEntryId,
+        state.taskTemplates = taskTemplates;
+      },
+    },
+
+    {
+      // Existing tasks - either from this calendar entry OR from stage automation
+      name: 'check_existing_tasks',
+      layer: 'service',
+      input: ({ resourceId, matterId, mapping }) => ({
+        calendarEntryId: resourceId,
+        matterId,
+        stageId: mapping.stage_id,
+        stageName: mapping.stage_name,
+      }),
+      run: async (state, step) => {
+        const { resourceId: calendarEntryId, matterId, mapping, matterDetails, meetingLocation } = state;
+
+        const calendarEntryTasks = await SupabaseService.getTasksByCalendarEntryId(calendarEntryId);
+        const existingTasksForStage = await SupabaseService.getTasksByMatterAndStage(
           matterId,
-          stageId: mapping.stage_id,
-          stageName: mapping.stage_name,
-        },
-      });
+          mapping.stage_id,
+          null // Get both completed and incomplete
+        );
 
-      const existingTasksForCalendarEntry = await SupabaseService.getTasksByCalendarEntryId(calendarEntryId);
-      const existingTasksForStage = await SupabaseService.getTasksByMatterAndStage(
-        matterId,
-        mapping.stage_id,
-        null // Get both completed and incomplete
-      );
+        // Stage-generated tasks are the ones WITHOUT calendar_entry_id
+        const stageGeneratedTasks = existingTasksForStage.filter(task => task.calendar_entry_id === null);
 
-      // Filter stage tasks to only those WITHOUT calendar_entry_id (stage-generated tasks)
-      const stageGeneratedTasks = existingTasksForStage.filter(task => task.calendar_entry_id === null);
+        state.calendarEntryTasks = calendarEntryTasks;
+        state.stageGeneratedTasks = stageGeneratedTasks;
+        state.scenario = calendarEntryTasks.length > 0 ? 'update_calendar_tasks' :
+          stageGeneratedTasks.length > 0 ? 'link_stage_tasks' : 'create_new_tasks';
 
-      await EventTracker.endStep(checkExistingTasksStepId, {
-        status: 'success',
-        output: {
-          calendarEntryTasksCount: existingTasksForCalendarEntry.length,
+        step.output = {
+          calendarEntryTasksCount: calendarEntryTasks.length,
           stageGeneratedTasksCount: stageGeneratedTasks.length,
-          hasCalendarTasks: existingTasksForCalendarEntry.length > 0,
+          hasCalendarTasks: calendarEntryTasks.length > 0,
           hasStageTasks: stageGeneratedTasks.length > 0,
-          scenario: existingTasksForCalendarEntry.length > 0 ? 'update_calendar_tasks' :
-                    stageGeneratedTasks.length > 0 ? 'link_stage_tasks' : 'create_new_tasks',
-        },
-      });
-
-      console.log(`[CALENDAR] ${calendarEntryId} Found ${existingTasksForCalendarEntry.length} existing tasks for this calendar entry`);
-      console.log(`[CALENDAR] ${calendarEntryId} Found ${stageGeneratedTasks.length} existing stage-generated tasks (without calendar_entry_id)`);
-      console.log(`[CALENDAR] ${calendarEntryId} Meeting location: "${meetingLocation}"`);
-      console.log(`[CALENDAR] ${calendarEntryId} Matter location: "${matterDetails.location}"`);
-      console.log(`[CALENDAR] ${calendarEntryId} Uses meeting location: ${mapping.uses_meeting_location}`);
-
-      // Step 6.5: Check for missing required data
-      const { MatterStageChangeAutomation } = await import('./matter-stage-change.js');
-      const missingDataCheck = await MatterStageChangeAutomation.checkForMissingData(
-        taskTemplates,
-        matterDetails,
-        mapping.stage_name
-      );
+          scenario: state.scenario,
+        };
+
+        console.log(`[CALENDAR] ${calendarEntryId} Found ${calendarEntryTasks.length} existing tasks for this calendar entry`);
+        console.log(`[CALENDAR] ${calendarEntryId} Found ${stageGeneratedTasks.length} existing stage-generated tasks (without calendar_entry_id)`);
+        console.log(`[CALENDAR] ${calendarEntryId} Meeting location: "${meetingLocation}"`);
+        console.log(`[CALENDAR] ${calendarEntryId} Matter location: "${matterDetails.location}"`);
+        console.log(`[CALENDAR] ${calendarEntryId} Uses meeting location: ${mapping.uses_meeting_location}`);
+      },
+    },
+
+    {
+      name: 'check_missing_data',
+      track: false,
+      run: async ({ resourceId: calendarEntryId, matterId, matterDetails, mapping, taskTemplates, webhookData }, step) => {
+        const { MatterStageChangeAutomation } = await import('./matter-stage-change.js');
+        const missingDataCheck = await MatterStageChangeAutomation.checkForMissingData(
+          taskTemplates,
+          matterDetails,
+          mapping.stage_name
+        );
+
+        if (!missingDataCheck.hasMissingData) return;
 
-      if (missingDataCheck.hasMissingData) {
         console.log(`[CALENDAR] ${calendarEntryId} Missing required data: ${missingDataCheck.missingFields.join(', ')}`);
 
-        // Create error task
-        const updatingUser = webhookData.data.user;
+        // Error task instead of generating tasks
         const errorTask = await MatterStageChangeAutomation.createMissingDataErrorTask(
           matterId,
           matterDetails,
           mapping.stage_name,
           missingDataCheck.missingFields,
-          updatingUser
+          webhookData.data.user
         );
 
-        // Update webhook to success (error task created)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'missing_data_error_task_created',
-          tasks_created: 1,
-        });
-
-        console.log(`[CALENDAR] ${calendarEntryId} COMPLETED (missing data error task created)\n`);
-        return {
+        return step.finish({
           success: true,
           action: 'missing_data_error_task_created',
           missingFields: missingDataCheck.missingFields,
-          errorTaskId: errorTask.id
-        };
-      }
-
-      let tasksCreated = 0;
-      let tasksUpdated = 0;
-      let tasksLinked = 0;
-      let tasksFailed = 0;
-      let failures = [];
-      let createdTasksList = []; // Track created tasks with full details
-      let action = 'no_changes';
-
-      // Step 7: Generate/Update Tasks
-      const generateTasksStepId = await EventTracker.startStep(traceId, {
-        layerName: 'automation',
-        stepName: 'generate_tasks',
-        input: {
-          calendarEntryId,
-          matterId,
-          stageName: mapping.stage_name,
-          meetingDate,
-          meetingLocation,
-          templateCount: taskTemplates.length,
-          existingCalendarTasksCount: existingTasksForCalendarEntry.length,
-          existingStageTasksCount: stageGeneratedTasks.length,
-          scenario: existingTasksForCalendarEntry.length > 0 ? 'update_calendar_tasks' :
-                    stageGeneratedTasks.length > 0 ? 'link_stage_tasks' : 'create_new_tasks',
-        },
-      });
-
-      // Step 7: Handle three scenarios
-      if (existingTasksForCalendarEntry.length > 0) {
-        // Scenario A: Tasks already exist for this calendar entry - UPDATE them
-        console.log(`[CALENDAR] ${calendarEntryId} Updating ${existingTasksForCalendarEntry.length} existing tasks for this calendar entry`);
-
-        const updateResult = await this.updateCalendarEntryTasks(
-          existingTasksForCalendarEntry,
-          taskTemplates,
-          meetingDate,
-          meetingLocation,
-          matterDetails,
-          mapping,
-          calendarEntryId
-        );
-
-        tasksUpdated = updateResult.tasksUpdated;
-        tasksCreated += updateResult.tasksCreated || 0;
-        tasksFailed += updateResult.tasksFailed || 0;
+          errorTaskId: errorTask.id,
+        }, { record: { tasks_created: 1 } });
+      },
+    },
+
+    {
+      name: 'generate_tasks',
+      input: (state) => ({
+        calendarEntryId: state.resourceId,
+        matterId: state.matterId,
+        stageName: state.mapping.stage_name,
+        meetingDate: state.meetingDate,
+        meetingLocation: state.meetingLocation,
+        templateCount: state.taskTemplates.length,
+        existingCalendarTasksCount: state.calendarEntryTasks.length,
+        existingStageTasksCount: state.stageGeneratedTasks.length,
+        scenario: state.scenario,
+      }),
+      run: async (state, step) => {
+        const {
+          resourceId: calendarEntryId, taskTemplates, matterDetails, mapping,
+          meetingDate, meetingLocation, calendarEntryTasks, stageGeneratedTasks,
+        } = state;
+
+        const totals = { tasksCreated: 0, tasksUpdated: 0, tasksLinked: 0, tasksFailed: 0, failures: [], tasks: [] };
+        let action;
+
+        if (calendarEntryTasks.length > 0) {
+          // Scenario A: Tasks already exist for this calendar entry - UPDATE them
+          console.log(`[CALENDAR] ${calendarEntryId} Updating ${calendarEntryTasks.length} existing tasks for this calendar entry`);
+
+          const result = await MeetingScheduledAutomation.updateCalendarEntryTasks(
+            calendarEntryTasks,
+            taskTemplates,
+            meetingDate,
+            meetingLocation,
+            matterDetails,
+            mapping,
+            calendarEntryId,
+            step.ctx
+          );
 
-        action = 'tasks_updated';
-        console.log(`[CALENDAR] ${calendarEntryId} Updated ${tasksUpdated} tasks, Created ${updateResult.tasksCreated || 0} (regenerated), Failed ${updateResult.tasksFailed || 0}`);
+          totals.tasksUpdated = result.tasksUpdated;
+          totals.tasksCreated += result.tasksCreated || 0;
+          totals.tasksFailed += result.tasksFailed || 0;
+          action = 'tasks_updated';
+          console.log(`[CALENDAR] ${calendarEntryId} Updated ${totals.tasksUpdated} tasks, Created ${result.tasksCreated || 0} (regenerated), Failed ${result.tasksFailed || 0}`);
 
-      } else if (stageGeneratedTasks.length > 0) {
-        // Scenario B: Tasks already exist from stage automation - LINK and UPDATE them
-        console.log(`[CALENDAR] ${calendarEntryId} Found ${stageGeneratedTasks.length} stage-generated tasks - linking and updating them`);
+        } else if (stageGeneratedTasks.length > 0) {
+          // Scenario B: Tasks already exist from stage automation - LINK and UPDATE them
+          console.log(`[CALENDAR] ${calendarEntryId} Found ${stageGeneratedTasks.length} stage-generated tasks - linking and updating them`);
 
-        const result = await this.linkAndUpdateStageTasks(
-          calendarEntryId,
-          stageGeneratedTasks,
-          taskTemplates,
-          meetingDate,
-          meetingLocation,
-          matterDetails,
-          mapping
-        );
+          const result = await MeetingScheduledAutomation.linkAndUpdateStageTasks(
+            calendarEntryId,
+            stageGeneratedTasks,
+            taskTemplates,
+            meetingDate,
+            meetingLocation,
+            matterDetails,
+            mapping,
+            step.ctx
+          );
 
-        tasksLinked = result.tasksLinked;
-        tasksUpdated = result.tasksUpdated;
-        tasksCreated += result.tasksCreated || 0;
-        tasksFailed += result.tasksFailed || 0;
-        action = 'tasks_linked_and_updated';
-        console.log(`[CALENDAR] ${calendarEntryId} Linked ${tasksLinked} tasks, Updated ${tasksUpdated} tasks, Created ${result.tasksCreated || 0} (regenerated), Failed ${result.tasksFailed || 0}`);
+          totals.tasksLinked = result.tasksLinked;
+          totals.tasksUpdated = result.tasksUpdated;
+          totals.tasksCreated += result.tasksCreated || 0;
+          totals.tasksFailed += result.tasksFailed || 0;
+          action = 'tasks_linked_and_updated';
+          console.log(`[CALENDAR] ${calendarEntryId} Linked ${totals.tasksLinked} tasks, Updated ${totals.tasksUpdated} tasks, Created ${result.tasksCreated || 0} (regenerated), Failed ${result.tasksFailed || 0}`);
 
-      } else {
-        // Scenario C: No existing tasks - CREATE them from templates
-        console.log(`[CALENDAR] ${calendarEntryId} No existing tasks found - creating tasks from templates`);
+        } else {
+          // Scenario C: No existing tasks - CREATE them from templates
+          console.log(`[CALENDAR] ${calendarEntryId} No existing tasks found - creating tasks from templates`);
 
-        const result = await this.processTaskTemplates(
-          calendarEntryId,
-          taskTemplates,
-          matterDetails,
-          mapping,
-          meetingDate,
-          meetingLocation,
-          [], // No existing tasks
-          'create'
-        );
+          const result = await MeetingScheduledAutomation.processTaskTemplates(
+            calendarEntryId,
+            taskTemplates,
+            matterDetails,
+            mapping,
+            meetingDate,
+            meetingLocation,
+            [], // No existing tasks
+            'create',
+            step.ctx
+          );
 
-        tasksCreated = result.tasksCreated;
-        tasksFailed = result.tasksFailed || 0;
-        failures = result.failures || [];
-        createdTasksList = result.tasks || []; // Capture created tasks
-        action = 'tasks_created';
-        console.log(`[CALENDAR] ${calendarEntryId} Created ${tasksCreated} new tasks`);
-      }
+          totals.tasksCreated = result.tasksCreated;
+          totals.tasksFailed = result.tasksFailed || 0;
+          totals.failures = result.failures || [];
+          totals.tasks = result.tasks || [];
+          action = 'tasks_created';
+          console.log(`[CALENDAR] ${calendarEntryId} Created ${totals.tasksCreated} new tasks`);
+        }
 
-      // End generate_tasks step with output (including tasks array like matter-stage-change)
-      await EventTracker.endStep(generateTasksStepId, {
-        status: tasksFailed > 0 ? 'error' : 'success',
-        output: {
+        state.totals = totals;
+        state.action = action;
+        step.status = totals.tasksFailed > 0 ? 'error' : 'success';
+        step.output = {
           action,
-          tasksCreated,
-          tasksUpdated,
-          tasksLinked,
-          tasksFailed,
+          tasksCreated: totals.tasksCreated,
+          tasksUpdated: totals.tasksUpdated,
+          tasksLinked: totals.tasksLinked,
+          tasksFailed: totals.tasksFailed,
           stageName: mapping.stage_name,
           meetingDate,
-          tasks: createdTasksList, // Full task details array
-        },
-      });
-
-      // Post-verification (verify all tasks were created)
-      let verificationResult = null;
-      if (tasksCreated > 0 || tasksFailed > 0) {
-        try {
-          verificationResult = await TaskVerificationService.verifyTaskGeneration({
-            matterId: matterDetails.id,
-            stageId: mapping.stage_id,
-            stageName: mapping.stage_name,
-            practiceAreaId: matterDetails.practice_area?.id,
-            matterDetails,
-            expectedCount: taskTemplates.length,
-            context: 'meeting_scheduled',
-            calendarEntryId
-          });
-
-          if (verificationResult.tasksRegenerated > 0) {
-            console.log(`[CALENDAR] ${calendarEntryId} Verification regenerated ${verificationResult.tasksRegenerated} missing tasks`);
-            tasksCreated += verificationResult.tasksRegenerated;
-            tasksFailed += (verificationResult.tasksFailed || 0);
-            if (verificationResult.failures) {
-              failures.push(...verificationResult.failures);
-            }
+          tasks: totals.tasks, // Full task details array
+        };
+      },
+    },
+
+    {
+      // Post-verification (verify all tasks were created) - scheduled, runs in the verify-tasks job
+      name: 'verify_tasks',
+      track: false,
+      run: async ({ resourceId: calendarEntryId, matterDetails, mapping, taskTemplates, totals, action, traceId }, step) => {
+        if (totals.tasksCreated > 0 || totals.tasksFailed > 0) {
+          try {
+            await TaskVerificationService.scheduleVerification({
+              matterId: matterDetails.id,
+              stageId: mapping.stage_id,
+              stageName: mapping.stage_name,
+              practiceAreaId: matterDetails.practice_area?.id,
+              matterDetails,
+              expectedCount: taskTemplates.length,
+              context: 'meeting_scheduled',
+              calendarEntryId
+            }, traceId);
+          } catch (verifyError) {
+            console.error(`[CALENDAR] ${calendarEntryId} Failed to schedule verification: ${verifyError.message}`);
+            // Don't fail the whole webhook if verification can't be scheduled
           }
-        } catch (verifyError) {
-          console.error(`[CALENDAR] ${calendarEntryId} Verification failed: ${verifyError.message}`);
-          // Don't fail the whole webhook if verification fails
         }
-      }
 
-      // Update webhook to success
-      // Note: tasks_linked is tracked in 'action' field, not as separate column
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: true,
-        action,
-        tasks_created: tasksCreated,
-        tasks_updated: tasksUpdated,
-      });
-
-      console.log(`[CALENDAR] ${calendarEntryId} COMPLETED - Created: ${tasksCreated}, Updated: ${tasksUpdated}, Linked: ${tasksLinked}\n`);
-      return { success: true, action, tasksCreated, tasksUpdated, tasksLinked };
-
-    } catch (error) {
-      console.error(`[CALENDAR] ${calendarEntryId} ERROR: ${error.message}`);
-
-      // Update webhook to failure
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: false,
-        action: 'error',
-      });
-
-      throw error;
-    }
+        console.log(`[CALENDAR] ${calendarEntryId} Created: ${totals.tasksCreated}, Updated: ${totals.tasksUpdated}, Linked: ${totals.tasksLinked}`);
+
+        // Note: tasks_linked is tracked in 'action' field, not as separate column
+        return step.finish({
+          success: true,
+          action,
+          tasksCreated: totals.tasksCreated,
+          tasksUpdated: totals.tasksUpdated,
+          tasksLinked: totals.tasksLinked,
+        }, { record: { tasks_created: totals.tasksCreated, tasks_updated: totals.tasksUpdated } });
+      },
+    },
+  ],
+});
+
+export class MeetingScheduledAutomation {
+  /**
+   * Main entry point for meeting scheduled automation
+   *
+   * @param {Object} webhookData - The webhook payload from Clio
+   * @param {string} [traceId] - Optional trace ID for event tracking
+   */
+  static async process(webhookData, traceId = null) {
+    return pipeline.run(webhookData, traceId);
   }
 
   /**
@@ -709,7 +462,8 @@ export class MeetingScheduledAutomation {
     meetingDate,
     meetingLocation,
     existingTasks,
-    action
+    action,
+    ctx = null
   ) {
     console.log(`[CALENDAR] ${calendarEntryId} processTaskTemplates called with:`);
     console.log(`[CALENDAR] ${calendarEntryId}   - calendarEntryId: ${calendarEntryId}`);
@@ -730,7 +484,7 @@ export class MeetingScheduledAutomation {
           ? meetingLocation
           : matterDetails.location;
 
-        // Resolve assignee
+        // Resolve assignee (an updated task keeps its balanced assignee)
         let assignee;
         try {
           assignee = await resolveAssignee(
@@ -738,7 +492,9 @@ export class MeetingScheduledAutomation {
             matterDetails,
             locationForAssignee,
             null, // lookupReference
-            mapping.uses_meeting_location // requireMeetingLocation - no fallback for signing meetings
+            mapping.uses_meeting_location, // requireMeetingLocation - no fallback for signing meetings
+            ctx,
+            { existingTask: action === 'update' ? existingTasks.find(t => t.task_number === template.task_number) : null }
           );
         } catch (assigneeError) {
           console.error(`[CALENDAR] ${calendarEntryId} Assignee error: ${assigneeError.message}`);
@@ -818,11 +574,11 @@ export class MeetingScheduledAutomation {
         if (isMeetingRelative) {
           // Tasks relative to meeting: use meeting date
           const meetingDateObj = new Date(meetingDate);
-          dueDate = calculateDueDate(template, meetingDateObj, 'meeting');
+          dueDate = calculateDueDate(template, meetingDateObj, 'meeting', { timeZone: getOfficeTimezone(matterDetails.location) });
           dueDateFormatted = formatForClio(dueDate);
         } else {
           // Tasks "after creation": use current time (NOW)
-          dueDate = calculateDueDate(template, new Date(), 'creation');
+          dueDate = calculateDueDate(template, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
           dueDateFormatted = formatForClio(dueDate);
         }
 
@@ -948,6 +704,7 @@ export class MeetingScheduledAutomation {
               stage_id: mapping.stage_id,
               stage_name: mapping.stage_name,
               task_number: template.task_number,
+              ...templateVersionFields(template),
               completed: false,
               status: 'pending',
               task_date_generated: new Date().toISOString(),
@@ -1026,7 +783,7 @@ export class MeetingScheduledAutomation {
    * Also updates assignee if meeting location changed (for signing meetings)
    * Returns the count of tasks updated
    */
-  static async updateMeetingRelatedTasks(tasks, meetingDate, meetingLocation, matterDetails, mapping) {
+  static async updateMeetingRelatedTasks(tasks, meetingDate, meetingLocation, matterDetails, mapping, ctx = null) {
     let updatedCount = 0;
 
     for (const task of tasks) {
@@ -1034,7 +791,8 @@ export class MeetingScheduledAutomation {
         // Get the task template to determine relation type
         const template = await SupabaseService.getTaskTemplateByNumber(
           task.stage_id,
-          task.task_number
+          task.task_number,
+          matterDetails.practice_area?.id
         );
 
         if (!template) continue;
@@ -1043,7 +801,7 @@ export class MeetingScheduledAutomation {
         if (!relationType.toLowerCase().includes('meeting')) continue;
 
         // Calculate new due date from meeting date
-        const dueDate = calculateDueDate(template, new Date(meetingDate));
+        const dueDate = calculateDueDate(template, new Date(meetingDate), 'meeting', { timeZone: getOfficeTimezone(matterDetails.location) });
         const dueDateFormatted = formatForClio(dueDate);
 
         // Determine location for assignee resolution (signing meetings use meeting location)
@@ -1059,7 +817,8 @@ export class MeetingScheduledAutomation {
             matterDetails,
             locationForAssignee,
             null, // lookupReference
-            mapping.uses_meeting_location // requireMeetingLocation
+            mapping.uses_meeting_location, // requireMeetingLocation
+            ctx
           );
         } catch (assigneeError) {
           console.error(`[CALENDAR] Assignee error for task ${task.task_id}: ${assigneeError.message}`);
@@ -1144,9 +903,10 @@ export class MeetingScheduledAutomation {
    * @param {number} calendarEntryId - Calendar entry ID
    * @param {Date} meetingDate - Meeting date for due date calculation
    * @param {string} meetingLocation - Meeting location for assignee resolution
+   * @param {Object} [ctx] - Optional tracking context
    * @returns {Object} { created: number, failed: number, failures: Array }
    */
-  static async regenerateDeletedTasks(taskNumbers, allTemplates, matterDetails, mapping, calendarEntryId, meetingDate, meetingLocation) {
+  static async regenerateDeletedTasks(taskNumbers, allTemplates, matterDetails, mapping, calendarEntryId, meetingDate, meetingLocation, ctx = null) {
     let created = 0;
     let failed = 0;
     const failures = [];
@@ -1173,7 +933,8 @@ export class MeetingScheduledAutomation {
             matterDetails,
             locationForAssignee,
             null, // lookupReference
-            mapping.uses_meeting_location // requireMeetingLocation
+            mapping.uses_meeting_location, // requireMeetingLocation
+            ctx
           );
         } catch (assigneeError) {
           console.error(`[CALENDAR] ${calendarEntryId} Assignee error during regeneration: ${assigneeError.message}`);
@@ -1195,7 +956,7 @@ export class MeetingScheduledAutomation {
         }
 
         // Calculate due date
-        const dueDate = calculateDueDate(template, new Date(meetingDate));
+        const dueDate = calculateDueDate(template, new Date(meetingDate), 'meeting', { timeZone: getOfficeTimezone(matterDetails.location) });
         const dueDateFormatted = formatForClio(dueDate);
 
         // Create in Clio
@@ -1219,6 +980,7 @@ export class MeetingScheduledAutomation {
           stage_id: mapping.stage_id,
           stage_name: mapping.stage_name,
           task_number: template.task_number,
+          ...templateVersionFields(template),
           completed: false,
           status: 'pending',
           task_date_generated: new Date().toISOString(),
@@ -1257,7 +1019,7 @@ export class MeetingScheduledAutomation {
    * This method is called when a calendar event is updated
    * It updates ALL tasks for this calendar entry based on the current templates
    */
-  static async updateCalendarEntryTasks(existingTasks, taskTemplates, meetingDate, meetingLocation, matterDetails, mapping, calendarEntryId) {
+  static async updateCalendarEntryTasks(existingTasks, taskTemplates, meetingDate, meetingLocation, matterDetails, mapping, calendarEntryId, ctx = null) {
     let updatedCount = 0;
     let skippedCompleted = 0;
     let tasksCreated = 0;
@@ -1289,7 +1051,7 @@ export class MeetingScheduledAutomation {
         let dueDate, dueDateFormatted;
         if (isMeetingRelative) {
           // Tasks relative to meeting: recalculate from meeting date
-          dueDate = calculateDueDate(template, new Date(meetingDate));
+          dueDate = calculateDueDate(template, new Date(meetingDate), 'meeting', { timeZone: getOfficeTimezone(matterDetails.location) });
           dueDateFormatted = formatForClio(dueDate);
         } else {
           // Tasks "after creation": DON'T recalculate (keep existing due date)
@@ -1311,7 +1073,8 @@ export class MeetingScheduledAutomation {
             matterDetails,
             locationForAssignee,
             null, // lookupReference
-            mapping.uses_meeting_location // requireMeetingLocation
+            mapping.uses_meeting_location, // requireMeetingLocation
+            ctx
           );
         } catch (assigneeError) {
           console.error(`[CALENDAR] Assignee error for task ${task.task_id}: ${assigneeError.message}`);
@@ -1390,7 +1153,8 @@ export class MeetingScheduledAutomation {
         mapping,
         calendarEntryId,
         meetingDate,
-        meetingLocation
+        meetingLocation,
+        ctx
       );
 
       tasksCreated += regenerationResult.created;
@@ -1407,7 +1171,7 @@ export class MeetingScheduledAutomation {
    * This is called when a calendar event is created AFTER stage change happened
    * It takes ownership of the stage-generated tasks by linking them with calendar_entry_id
    */
-  static async linkAndUpdateStageTasks(calendarEntryId, stageTasks, taskTemplates, meetingDate, meetingLocation, matterDetails, mapping) {
+  static async linkAndUpdateStageTasks(calendarEntryId, stageTasks, taskTemplates, meetingDate, meetingLocation, matterDetails, mapping, ctx = null) {
     let tasksLinked = 0;
     let tasksUpdated = 0;
     let skippedCompleted = 0;
@@ -1442,7 +1206,7 @@ export class MeetingScheduledAutomation {
         let dueDate, dueDateFormatted;
         if (isMeetingRelative) {
           // Tasks relative to meeting: calculate from meeting date
-          dueDate = calculateDueDate(template, new Date(meetingDate));
+          dueDate = calculateDueDate(template, new Date(meetingDate), 'meeting', { timeZone: getOfficeTimezone(matterDetails.location) });
           dueDateFormatted = formatForClio(dueDate);
         } else {
           // Tasks "after creation": keep existing due date from stage automation
@@ -1463,7 +1227,8 @@ export class MeetingScheduledAutomation {
             matterDetails,
             locationForAssignee,
             null, // lookupReference
-            mapping.uses_meeting_location // requireMeetingLocation
+            mapping.uses_meeting_location, // requireMeetingLocation
+            ctx
           );
         } catch (assigneeError) {
           console.error(`[CALENDAR] Assignee error for task ${task.task_id}: ${assigneeError.message}`);
@@ -1550,7 +1315,8 @@ export class MeetingScheduledAutomation {
         mapping,
         calendarEntryId,
         meetingDate,
-        meetingLocation
+        meetingLocation,
+        ctx
       );
 
       tasksCreated += regenerationResult.created;
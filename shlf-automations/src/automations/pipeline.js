@@ -0,0 +1,431 @@
+import { SupabaseService } from '../services/supabase.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { TestModeService } from '../services/test-mode.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
+import { config } from '../config/index.js';
+import { isDryRun } from '../utils/dry-run.js';
+
+/**
+ * Automation Pipeline
+ *
+ * Every Clio automation runs the same scaffolding around its own logic:
+ * validate the webhook timestamp, check/reserve the idempotency key, apply the
+ * test-mode allowlist, trace each step, record the outcome in `webhook_events`
+ * and log failures. A pipeline definition declares only the parts that differ:
+ *
+ *   new AutomationPipeline({
+ *     name: 'document-created',         // error logs
+ *     tag: 'DOCUMENT',                  // console prefix
+ *     eventType: 'document.created',    // string or (webhookData) => string
+ *     resourceType: 'document',
+ *     timestamp: (webhookData) => webhookData.data.created_at,
+ *     timestampFields: ['created_at'],  // required → validation step
+ *     setup: async (state) => {},       // before validation (caches, derived values)
+ *     guards: [...],                    // stages run BEFORE the reservation
+ *     stages: [...],                    // stages run after the reservation
+ *   });
+ *
+ * A stage is { name, layer, input(state), when(state), run(state, step), compensate(state, error) }:
+ * - run() shares data with later stages through `state`, sets `step.output` /
+ *   `step.status` for its trace step, and may end the whole run early by
+ *   returning step.finish(result) or step.skip(action)
+ * - when() returning false skips the stage entirely (no trace step)
+ * - track: false runs the stage without a trace step
+ * - compensate() undoes a completed stage if a later stage throws (newest first)
+ *
+ * The last stage is expected to finish; a pipeline that runs out of stages
+ * records { success: true, action: 'completed' }.
+ */
+
+/**
+ * Early / final result of a pipeline run (returned by step.finish / step.skip)
+ */
+class PipelineOutcome {
+  constructor(result, { status = 'success', record = {} } = {}) {
+    this.result = result;
+    this.status = status;
+    this.record = record;
+  }
+}
+
+export class AutomationPipeline {
+  /**
+   * @param {Object} definition - See module docs
+   */
+  constructor(definition) {
+    if (!definition.name || !definition.tag || !definition.eventType || !definition.resourceType) {
+      throw new Error('Automation pipeline requires name, tag, eventType and resourceType');
+    }
+
+    this.definition = {
+      resourceId: (webhookData) => webhookData.data.id,
+      timestamp: (webhookData) => webhookData.data.updated_at,
+      timestampFields: null,
+      setup: null,
+      guards: [],
+      stages: [],
+      ...definition,
+    };
+  }
+
+  /**
+   * Run the pipeline for one webhook
+   *
+   * @param {Object} webhookData - The webhook payload from Clio
+   * @param {string} [traceId] - Optional trace ID for event tracking
+   * @returns {Promise<Object>} { success, action, ... }
+   */
+  async run(webhookData, traceId = null) {
+    const { definition } = this;
+    const state = {
+      tag: definition.tag,
+      webhookData,
+      traceId,
+      resourceId: definition.resourceId(webhookData),
+      eventType: typeof definition.eventType === 'function' ? definition.eventType(webhookData) : definition.eventType,
+      timestamp: definition.timestamp(webhookData),
+      idempotencyKey: null,
+      reserved: false,
+      startTime: null,
+    };
+
+    if (definition.setup) {
+      await definition.setup(state);
+    }
+
+    if (definition.timestampFields) {
+      await this.validate(state);
+    }
+
+    state.idempotencyKey = SupabaseService.generateIdempotencyKey(
+      state.eventType,
+      state.resourceId,
+      state.timestamp,
+      webhookData.replay?.replayId
+    );
+
+    const duplicate = await this.checkIdempotency(state);
+    if (duplicate) {
+      return duplicate;
+    }
+
+    // Guards run before the reservation - an early finish is recorded directly
+    const guardOutcome = await this.runStages(definition.guards, state, []);
+    if (guardOutcome) {
+      return this.complete(state, guardOutcome);
+    }
+
+    await this.reserve(state);
+
+    const completed = [];
+    try {
+      const outcome = await this.runStages(definition.stages, state, completed);
+      return await this.complete(state, outcome || new PipelineOutcome({ success: true, action: 'completed' }));
+    } catch (error) {
+      await this.fail(state, error, completed);
+      throw error;
+    }
+  }
+
+  /**
+   * Validation step - the timestamp is part of the idempotency key
+   */
+  async validate(state) {
+    const { definition } = this;
+    const { webhookData, traceId, resourceId, timestamp } = state;
+
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'processing',
+      stepName: 'validation',
+      input: {
+        resourceType: definition.resourceType,
+        resourceId,
+        eventType: state.eventType,
+        timestamp,
+        webhookId: webhookData.id,
+      },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    if (!timestamp) {
+      const fields = definition.timestampFields;
+      const error = `Webhook missing required timestamp ${fields.length > 1 ? 'fields' : 'field'} (${fields.join(', ')})`;
+      console.error(`[${definition.tag}] ${resourceId} ${error}`);
+
+      ctx.logValidation('validate_timestamp', { resourceId }, { valid: false }, 'error', error);
+
+      await SupabaseService.logError(
+        ERROR_CODES.CLIO_API_FAILED,
+        error,
+        {
+          [`${definition.resourceType}_id`]: resourceId,
+          webhook_id: webhookData.id,
+          webhook_data: webhookData.data,
+        }
+      );
+
+      await EventTracker.endStep(stepId, {
+        status: 'error',
+        errorMessage: error,
+        output: { valid: false, reason: 'missing_timestamp' },
+      });
+      throw new Error(error);
+    }
+
+    ctx.logValidation('validate_timestamp', { resourceId, timestamp }, { valid: true }, 'success');
+    await EventTracker.endStep(stepId, {
+      status: 'success',
+      output: { valid: true, timestampValid: true },
+    });
+  }
+
+  /**
+   * Idempotency step
+   * A failed earlier run is reserved again by checkWebhookProcessed and counts
+   * as new, so retries (and Clio redeliveries) re-run the stages.
+   * @returns {Promise<Object|null>} Result to return for a duplicate, or null for a new request
+   */
+  async checkIdempotency(state) {
+    const { tag } = this.definition;
+    const { traceId, resourceId, timestamp, idempotencyKey } = state;
+
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'processing',
+      stepName: 'idempotency_check',
+      input: { resourceId, timestamp, idempotencyKey },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    const existing = await SupabaseService.checkWebhookProcessed(idempotencyKey, ctx);
+    if (!existing) {
+      await EventTracker.endStep(stepId, {
+        status: 'success',
+        output: { isDuplicate: false, isNewRequest: true, idempotencyKey },
+      });
+      return null;
+    }
+
+    // Reservation held by another run (concurrent request)
+    if (existing.success === null) {
+      console.log(`[${tag}] ${resourceId} Still processing (concurrent request)`);
+      await EventTracker.endStep(stepId, {
+        status: 'skipped',
+        output: { isDuplicate: true, reason: 'still_processing', processingStartedAt: existing.created_at },
+      });
+      return {
+        success: null,
+        action: 'still_processing',
+        processing_started_at: existing.created_at,
+      };
+    }
+
+    console.log(`[${tag}] ${resourceId} Already processed (idempotency) at ${existing.processed_at}`);
+    await EventTracker.endStep(stepId, {
+      status: 'skipped',
+      output: { isDuplicate: true, reason: 'already_processed', processedAt: existing.processed_at, cachedAction: existing.action },
+    });
+    return {
+      success: existing.success,
+      action: existing.action,
+      processed_at: existing.processed_at,
+      cached: true,
+    };
+  }
+
+  /**
+   * Reserve the webhook (success = NULL) so concurrent deliveries back off
+   */
+  async reserve(state) {
+    await SupabaseService.recordWebhookProcessed({
+      ...this.webhookRecord(state),
+      success: null, // NULL = processing
+      trace_id: state.traceId,
+      action: 'processing',
+    });
+
+    state.reserved = true;
+    state.startTime = Date.now();
+  }
+
+  /**
+   * Run stages in order; stops at the first one that finishes the run
+   * @param {Object[]} stages
+   * @param {Object} state
+   * @param {Object[]} completed - Receives each stage that ran to completion (for compensation)
+   * @returns {Promise<PipelineOutcome|null>}
+   */
+  async runStages(stages, state, completed) {
+    for (const stage of stages) {
+      if (stage.when && !(await stage.when(state))) continue;
+
+      const outcome = await this.runStage(stage, state);
+      completed.push(stage);
+      if (outcome instanceof PipelineOutcome) {
+        return outcome;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run one stage inside its trace step
+   */
+  async runStage(stage, state) {
+    const { traceId } = state;
+    const track = stage.track !== false;
+
+    const stepId = track
+      ? await EventTracker.startStep(traceId, {
+        layerName: stage.layer || 'automation',
+        stepName: stage.name,
+        input: stage.input ? stage.input(state) : undefined,
+      })
+      : null;
+
+    const step = {
+      ctx: EventTracker.createContext(traceId, stepId),
+      status: 'success',
+      output: undefined,
+      finish: (result, options = {}) => new PipelineOutcome(result, options),
+      skip: (action, extra = {}, options = {}) => new PipelineOutcome(
+        { success: true, action, ...extra },
+        { status: 'skipped', ...options }
+      ),
+    };
+
+    try {
+      const outcome = await stage.run(state, step);
+      await EventTracker.endStep(stepId, {
+        status: outcome instanceof PipelineOutcome ? outcome.status : step.status,
+        output: step.output,
+      });
+      return outcome;
+    } catch (error) {
+      await EventTracker.endStep(stepId, {
+        status: 'error',
+        errorMessage: error.message,
+        output: step.output,
+      });
+      error.pipelineStage = error.pipelineStage || stage.name;
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome in webhook_events and return the result
+   */
+  async complete(state, outcome) {
+    const { tag } = this.definition;
+    const { result, record } = outcome;
+
+    if (state.reserved) {
+      await SupabaseService.updateWebhookProcessed(state.idempotencyKey, {
+        processing_duration_ms: Date.now() - state.startTime,
+        success: result.success,
+        action: result.action,
+        ...record,
+      });
+    } else {
+      await SupabaseService.recordWebhookProcessed({
+        ...this.webhookRecord(state),
+        success: result.success,
+        action: result.action,
+        ...record,
+      });
+    }
+
+    console.log(`[${tag}] ${state.resourceId} COMPLETED (${result.action})\n`);
+    return result;
+  }
+
+  /**
+   * A stage threw: compensate completed stages, log, and mark the webhook failed
+   */
+  async fail(state, error, completed) {
+    const { name, tag, resourceType } = this.definition;
+    console.error(`[${tag}] ${state.resourceId} ERROR: ${error.message}`);
+
+    const compensated = [];
+    for (const stage of [...completed].reverse()) {
+      if (!stage.compensate) continue;
+      try {
+        await stage.compensate(state, error);
+        compensated.push(stage.name);
+      } catch (compensationError) {
+        // Never mask the original error
+        console.error(`[${tag}] ${state.resourceId} Compensation for ${stage.name} failed: ${compensationError.message}`);
+      }
+    }
+
+    await SupabaseService.logError(
+      ERROR_CODES.AUTOMATION_FAILED,
+      `${name} failed: ${error.message}`,
+      {
+        automation: name,
+        [`${resourceType}_id`]: state.resourceId,
+        webhook_id: state.webhookData.id,
+        trace_id: state.traceId,
+        stage: error.pipelineStage || null,
+        compensated,
+        error: error.message,
+        stack: error.stack,
+      }
+    );
+
+    await SupabaseService.updateWebhookProcessed(state.idempotencyKey, {
+      processing_duration_ms: Date.now() - state.startTime,
+      success: false,
+      action: 'error',
+      failure_details: {
+        stage: error.pipelineStage || null,
+        error: error.message,
+        compensated,
+      },
+    });
+  }
+
+  /**
+   * webhook_events columns identifying this delivery
+   */
+  webhookRecord(state) {
+    return {
+      idempotency_key: state.idempotencyKey,
+      webhook_id: state.webhookData.id,
+      event_type: state.eventType,
+      resource_type: this.definition.resourceType,
+      resource_id: state.resourceId,
+      webhook_payload: state.webhookData,
+    };
+  }
+}
+
+/**
+ * Test-mode allowlist stage
+ * Works as a guard (before the reservation) or as a stage once the matter is known.
+ * Skipped when test mode is off, and for dry runs (they write nothing).
+ *
+ * @param {Function} getMatterId - (state) => matter ID
+ * @param {Object} [options]
+ * @param {Function} [options.getMatter] - (state) => matter data already in hand (saves a Clio fetch for pattern rules)
+ * @returns {Object} Stage
+ */
+export function testModeStage(getMatterId, { getMatter = null } = {}) {
+  return {
+    name: 'test_mode_filter',
+    layer: 'processing',
+    when: () => config.testing.testMode && !isDryRun(),
+    input: (state) => ({ testModeEnabled: true, matterId: getMatterId(state), testMatterId: config.testing.testMatterId }),
+    run: async (state, step) => {
+      const matterId = getMatterId(state);
+      const match = await TestModeService.evaluate(matterId, { matter: getMatter ? getMatter(state) : null });
+      step.ctx.logTestModeFilter(matterId, matterId, match.matchedRule, match.allowed);
+
+      step.output = { allowed: match.allowed, reason: match.reason, matchedRule: match.matchedRule, matterId };
+
+      if (!match.allowed) {
+        console.log(`[${state.tag}] ${state.resourceId} SKIPPED (test mode - matter ${matterId} not in allowlist: ${match.reason})`);
+        return step.skip('skipped_test_mode');
+      }
+    },
+  };
+}
@@ -1,10 +1,14 @@
 import { ClioService } from '../services/clio.js';
 import { SupabaseService } from '../services/supabase.js';
-import { calculateDueDate, formatForClio } from '../utils/date-helpers.js';
+import { calculateDueDate, formatForClio, getOfficeTimezone } from '../utils/date-helpers.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
 import { resolveAssignee } from '../utils/assignee-resolver.js';
+import { DelegationService } from '../services/delegation.js';
 import { ERROR_CODES } from '../constants/error-codes.js';
-import { config } from '../config/index.js';
 import { EventTracker } from '../services/event-tracker.js';
+import { templateVersionFields } from '../services/task-templates.js';
+import { getDependentTemplates } from '../utils/template-graph.js';
+import { AutomationPipeline, testModeStage } from './pipeline.js';
 
 /**
  * AUTOMATION #2: Due Date After Task Completion
@@ -17,250 +21,135 @@ import { EventTracker } from '../services/event-tracker.js';
  * 3. Check for dependent tasks (due_date_relation: "after task X")
  * 4. Create next task or update due dates
  */
-export class TaskCompletionAutomation {
-  /**
-   * Main entry point for task completion automation
-   *
-   * @param {Object} webhookData - The webhook payload from Clio
-   * @param {string} [traceId] - Optional trace ID for event tracking
-   */
-  static async process(webhookData, traceId = null) {
-    const taskId = webhookData.data.id;
-    const timestamp = webhookData.data.completed_at || webhookData.data.updated_at;
-
-    console.log(`[TASK] ${taskId} UPDATED`);
-    console.log(`[TASK] ${taskId} Webhook data:`, JSON.stringify(webhookData.data, null, 2));
-
-    // Step: Validation
-    const validationStepId = await EventTracker.startStep(traceId, {
-      layerName: 'automation',
-      stepName: 'validation',
-      metadata: { taskId },
-    });
-    const validationCtx = EventTracker.createContext(traceId, validationStepId);
-
-    // Validate timestamp exists (required for idempotency)
-    if (!timestamp) {
-      const error = `Webhook missing required timestamp fields (completed_at, updated_at)`;
-      console.error(`[TASK] ${taskId} ${error}`);
-
-      validationCtx.logValidation('validate_timestamp', { taskId }, { valid: false }, 'error', error);
-
-      await SupabaseService.logError(
-        ERROR_CODES.CLIO_API_FAILED,
-        error,
-        {
-          task_id: taskId,
-          webhook_id: webhookData.id,
-          webhook_data: webhookData.data,
-        }
-      );
-
-      await EventTracker.endStep(validationStepId, { status: 'error', errorMessage: error });
-      throw new Error(error);
-    }
-
-    validationCtx.logValidation('validate_timestamp', { taskId, timestamp }, { valid: true }, 'success');
-    await EventTracker.endStep(validationStepId, { status: 'success' });
-
-    // Step: Idempotency check
-    const idempotencyStepId = await EventTracker.startStep(traceId, {
-      layerName: 'processing',
-      stepName: 'idempotency_check',
-      metadata: { taskId },
-    });
-    const idempotencyCtx = EventTracker.createContext(traceId, idempotencyStepId);
-    const idempotencyKey = SupabaseService.generateIdempotencyKey(
-      'task.completed',
-      taskId,
-      timestamp
-    );
-
-    const existing = await SupabaseService.checkWebhookProcessed(idempotencyKey, idempotencyCtx);
-    if (existing) {
-      // Check if webhook is still processing
-      if (existing.success === null) {
-        console.log(`[TASK] ${taskId} Still processing (concurrent request)`);
-        await EventTracker.endStep(idempotencyStepId, { status: 'skipped', metadata: { reason: 'still_processing' } });
-        return {
-          success: null,
-          action: 'still_processing',
-          processing_started_at: existing.created_at,
-        };
-      }
-
-      console.log(`[TASK] ${taskId} Already processed (idempotency) at ${existing.processed_at}`);
-      await EventTracker.endStep(idempotencyStepId, { status: 'skipped', metadata: { reason: 'already_processed' } });
-      return {
-        success: existing.success,
-        action: existing.action,
-        processed_at: existing.processed_at,
-        cached: true,
-      };
-    }
-
-    await EventTracker.endStep(idempotencyStepId, {
-      status: 'success',
-      output: {
-        isDuplicate: false,
-        isNewRequest: true,
-        idempotencyKey,
-      },
-    });
-
-    // Step 0.5: Reserve webhook immediately (prevents duplicate processing)
-    await SupabaseService.recordWebhookProcessed({
-      idempotency_key: idempotencyKey,
-      webhook_id: webhookData.id,
-      event_type: 'task.completed',
-      resource_type: 'task',
-      resource_id: taskId,
-      success: null, // NULL = processing
-      action: 'processing',
-      webhook_payload: webhookData,
-    });
-
-    const startTime = Date.now();
+// Sheila Condomina - assignee changes to her are tracked
+const SHEILA_IDS = [357896692, 358412483];
+
+const pipeline = new AutomationPipeline({
+  name: 'task-completion',
+  tag: 'TASK',
+  eventType: 'task.completed',
+  resourceType: 'task',
+  timestamp: (webhookData) => webhookData.data.completed_at || webhookData.data.updated_at,
+  timestampFields: ['completed_at', 'updated_at'],
+
+  setup: async ({ resourceId, webhookData }) => {
+    // Firm holidays for due date calculation (cached)
+    await ensureHolidayCalendar();
+
+    console.log(`[TASK] ${resourceId} UPDATED`);
+    console.log(`[TASK] ${resourceId} Webhook data:`, JSON.stringify(webhookData.data, null, 2));
+  },
+
+  stages: [
+    {
+      name: 'fetch_task',
+      input: ({ resourceId }) => ({ taskId: resourceId }),
+      run: async (state, step) => {
+        const taskId = state.resourceId;
 
-    try {
-      // Step 1: Fetch task details from Clio
-      const fetchTaskStepId = await EventTracker.startStep(traceId, {
-        layerName: 'automation',
-        stepName: 'fetch_task',
-        metadata: { taskId },
-      });
-      const fetchTaskCtx = EventTracker.createContext(traceId, fetchTaskStepId);
+        try {
+          state.clioTask = await ClioService.getTask(taskId, step.ctx);
+        } catch (fetchError) {
+          if (fetchError.response?.status !== 404 && !fetchError.message?.includes('404')) {
+            throw fetchError;
+          }
 
-      let clioTask;
-      try {
-        clioTask = await ClioService.getTask(taskId, fetchTaskCtx);
-      } catch (fetchError) {
-        // If we get a 404, the task was deleted in Clio
-        if (fetchError.response?.status === 404 || fetchError.message?.includes('404')) {
+          // 404 - the task was deleted in Clio
           console.log(`[TASK] ${taskId} Not found in Clio (404) - task was deleted`);
 
           // Update trigger name to task-deleted since this is actually a deletion
-          await EventTracker.updateTriggerName(traceId, 'task-deleted');
-
-          await EventTracker.endStep(fetchTaskStepId, {
-            status: 'skipped',
-            output: {
-              found: false,
-              reason: 'task_deleted_in_clio',
-              httpStatus: 404,
-            },
-          });
+          await EventTracker.updateTriggerName(state.traceId, 'task-deleted');
 
-          // Step: Search for task in Supabase
-          const searchSupabaseStepId = await EventTracker.startStep(traceId, {
-            layerName: 'service',
-            stepName: 'search_task_in_supabase',
-            input: {
-              taskId,
-              operation: 'search_task_record',
-            },
-          });
+          state.deletedInClio = true;
+          step.status = 'skipped';
+          step.output = { found: false, reason: 'task_deleted_in_clio', httpStatus: 404 };
+          return;
+        }
 
-          const taskRecord = await SupabaseService.getTaskById(taskId);
-
-          if (taskRecord) {
-            await EventTracker.endStep(searchSupabaseStepId, {
-              status: 'success',
-              output: {
-                found: true,
-                taskId: taskRecord.task_id,
-                matterId: taskRecord.matter_id,
-                taskNumber: taskRecord.task_number,
-                taskName: taskRecord.task_name,
-                taskDescription: taskRecord.task_desc,
-                assignee: taskRecord.assigned_user,
-                assigneeId: taskRecord.assigned_user_id,
-                stageName: taskRecord.stage_name,
-                currentStatus: taskRecord.status,
-              },
-            });
-
-            console.log(`[TASK] ${taskId} Marking as deleted: ${taskRecord.task_name}`);
-
-            // Step: Delete task in Supabase
-            const deleteSupabaseStepId = await EventTracker.startStep(traceId, {
-              layerName: 'service',
-              stepName: 'delete_task_in_supabase',
-              input: {
-                taskId,
-                matterId: taskRecord.matter_id,
-                taskNumber: taskRecord.task_number,
-                taskName: taskRecord.task_name,
-                taskDescription: taskRecord.task_desc,
-                assignee: taskRecord.assigned_user,
-                operation: 'soft_delete_task',
-              },
-            });
-
-            await SupabaseService.updateTask(taskId, {
-              status: 'deleted',
-              last_updated: new Date().toISOString(),
-            });
-
-            await EventTracker.endStep(deleteSupabaseStepId, {
-              status: 'success',
-              output: {
-                success: true,
-                taskId,
-                matterId: taskRecord.matter_id,
-                taskNumber: taskRecord.task_number,
-                taskName: taskRecord.task_name,
-                previousStatus: taskRecord.status,
-                newStatus: 'deleted',
-                deletedAt: new Date().toISOString(),
-              },
-            });
-
-            await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-              processing_duration_ms: Date.now() - startTime,
-              success: true,
-              action: 'deleted_in_supabase',
-            });
-
-            console.log(`[TASK] ${taskId} COMPLETED (marked as deleted)\n`);
-            return {
-              success: true,
-              action: 'deleted_in_supabase',
-              taskId,
-              matterId: taskRecord.matter_id,
-              taskName: taskRecord.task_name,
-            };
-          } else {
-            await EventTracker.endStep(searchSupabaseStepId, {
-              status: 'skipped',
-              output: {
-                found: false,
-                reason: 'task_not_in_database',
-              },
-            });
+        step.output = { taskName: state.clioTask.name, matterId: state.clioTask.matter?.id };
+      },
+    },
+
+    // Deleted in Clio: soft delete our record
+    {
+      name: 'search_task_in_supabase',
+      layer: 'service',
+      when: ({ deletedInClio }) => deletedInClio,
+      input: ({ resourceId }) => ({ taskId: resourceId, operation: 'search_task_record' }),
+      run: async (state, step) => {
+        const taskId = state.resourceId;
+        const taskRecord = await SupabaseService.getTaskById(taskId);
+
+        if (!taskRecord) {
+          console.log(`[TASK] ${taskId} Not found in Supabase either - skipping`);
+          step.output = { found: false, reason: 'task_not_in_database' };
+          return step.skip('not_found');
+        }
 
-            console.log(`[TASK] ${taskId} Not found in Supabase either - skipping`);
+        state.taskRecord = taskRecord;
+        step.output = {
+          found: true,
+          taskId: taskRecord.task_id,
+          matterId: taskRecord.matter_id,
+          taskNumber: taskRecord.task_number,
+          taskName: taskRecord.task_name,
+          taskDescription: taskRecord.task_desc,
+          assignee: taskRecord.assigned_user,
+          assigneeId: taskRecord.assigned_user_id,
+          stageName: taskRecord.stage_name,
+          currentStatus: taskRecord.status,
+        };
+      },
+    },
+    {
+      name: 'delete_task_in_supabase',
+      layer: 'service',
+      when: ({ deletedInClio }) => deletedInClio,
+      input: ({ resourceId, taskRecord }) => ({
+        taskId: resourceId,
+        matterId: taskRecord.matter_id,
+        taskNumber: taskRecord.task_number,
+        taskName: taskRecord.task_name,
+        taskDescription: taskRecord.task_desc,
+        assignee: taskRecord.assigned_user,
+        operation: 'soft_delete_task',
+      }),
+      run: async ({ resourceId: taskId, taskRecord }, step) => {
+        console.log(`[TASK] ${taskId} Marking as deleted: ${taskRecord.task_name}`);
 
-            await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-              processing_duration_ms: Date.now() - startTime,
-              success: true,
-              action: 'not_found',
-            });
+        await SupabaseService.updateTask(taskId, {
+          status: 'deleted',
+          last_updated: new Date().toISOString(),
+        });
 
-            return { success: true, action: 'not_found' };
-          }
-        }
+        step.output = {
+          success: true,
+          taskId,
+          matterId: taskRecord.matter_id,
+          taskNumber: taskRecord.task_number,
+          taskName: taskRecord.task_name,
+          previousStatus: taskRecord.status,
+          newStatus: 'deleted',
+          deletedAt: new Date().toISOString(),
+        };
 
-        // If it's not a 404, re-throw the error
-        await EventTracker.endStep(fetchTaskStepId, { status: 'error', errorMessage: fetchError.message });
-        throw fetchError;
-      }
+        return step.finish({
+          success: true,
+          action: 'deleted_in_supabase',
+          taskId,
+          matterId: taskRecord.matter_id,
+          taskName: taskRecord.task_name,
+        });
+      },
+    },
 
-      await EventTracker.endStep(fetchTaskStepId, { status: 'success', metadata: { taskName: clioTask.name, matterId: clioTask.matter?.id } });
+    {
+      name: 'validate_matter',
+      layer: 'processing',
+      input: ({ resourceId, clioTask }) => ({ taskId: resourceId, matterId: clioTask.matter?.id || null }),
+      run: async ({ resourceId: taskId, clioTask }, step) => {
+        if (clioTask.matter?.id) return;
 
-      // Step 1.5: Validate task has matter
-      const taskMatterId = clioTask.matter?.id;
-      if (!taskMatterId) {
         const error = `Task missing required matter association`;
         console.error(`[TASK] ${taskId} ${error}`);
 
@@ -277,67 +166,30 @@ export class TaskCompletionAutomation {
           }
         );
 
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: false,
-          action: 'missing_matter',
-        });
-
-        console.log(`[TASK] ${taskId} COMPLETED (missing matter)\n`);
-        return { success: false, action: 'missing_matter' };
-      }
-
-      // TEMPORARY: Test mode filter - only process tasks from specific matter
-      if (config.testing.testMode && taskMatterId !== config.testing.testMatterId) {
-        console.log(`[TASK] ${taskId} SKIPPED (test mode - matter ${taskMatterId} !== ${config.testing.testMatterId})`);
-
-        // Update webhook to success (skipped)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_test_mode',
-        });
-
-        return { success: true, action: 'skipped_test_mode' };
-      }
-
-      // Step 2: Get task record from Supabase first
-      const checkSupabaseStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'check_task_in_supabase',
-        input: {
-          taskId,
-          operation: 'lookup_task_in_supabase',
-        },
-      });
-
-      const taskRecord = await SupabaseService.getTaskById(taskId);
-
-      if (!taskRecord) {
-        console.log(`[TASK] ${taskId} Not found in database`);
-
-        await EventTracker.endStep(checkSupabaseStepId, {
-          status: 'skipped',
-          output: {
-            found: false,
-            reason: 'task_not_in_database',
-          },
-        });
-
-        // Update webhook to success (not found)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'not_found',
-        });
-
-        return { success: true, action: 'not_found' };
-      }
+        step.output = { valid: false, reason: 'missing_matter' };
+        return step.finish({ success: false, action: 'missing_matter' }, { status: 'error' });
+      },
+    },
+
+    // Only process tasks from allowlisted matters
+    testModeStage(({ clioTask }) => clioTask.matter.id),
+
+    {
+      name: 'check_task_in_supabase',
+      layer: 'service',
+      input: ({ resourceId }) => ({ taskId: resourceId, operation: 'lookup_task_in_supabase' }),
+      run: async (state, step) => {
+        const taskId = state.resourceId;
+        const taskRecord = await SupabaseService.getTaskById(taskId);
+
+        if (!taskRecord) {
+          console.log(`[TASK] ${taskId} Not found in database`);
+          step.output = { found: false, reason: 'task_not_in_database' };
+          return step.skip('not_found');
+        }
 
-      // Task found in Supabase
-      await EventTracker.endStep(checkSupabaseStepId, {
-        status: 'success',
-        output: {
+        state.taskRecord = taskRecord;
+        step.output = {
           found: true,
           taskId: taskRecord.task_id,
           taskName: taskRecord.task_name,
@@ -345,197 +197,180 @@ export class TaskCompletionAutomation {
           stageName: taskRecord.stage_name,
           taskNumber: taskRecord.task_number,
           currentStatus: taskRecord.status,
-        },
-      });
-
-      // Step 1.75: Check for Sheila Condomina assignee changes
-      // Target IDs: 357896692, 358412483
-      const SHEILA_IDS = [357896692, 358412483];
-      const currentAssigneeId = clioTask.assignee?.id;
-      const previousAssigneeId = taskRecord.assigned_user_id;
-
-      // If assignee changed TO Sheila, track it
-      if (currentAssigneeId && SHEILA_IDS.includes(currentAssigneeId) &&
-          currentAssigneeId !== previousAssigneeId) {
-        console.log(`[TASK] ${taskId} SHEILA ASSIGNEE CHANGE DETECTED`);
-        console.log(`[TASK] ${taskId}   Previous: ${taskRecord.assigned_user || 'Unassigned'} (${previousAssigneeId})`);
-        console.log(`[TASK] ${taskId}   New: ${clioTask.assignee?.name || 'Unknown'} (${currentAssigneeId})`);
+        };
 
-        try {
-          await SupabaseService.trackSheilaAssigneeChange({
-            task_id: taskId,
-            task_name: clioTask.name,
-            task_desc: clioTask.description,
-            due_date: clioTask.due_at,
-            status: clioTask.status,
-            previous_assignee_id: previousAssigneeId,
-            previous_assignee_name: taskRecord.assigned_user,
-            new_assignee_id: currentAssigneeId,
-            new_assignee_name: clioTask.assignee?.name,
-            task_originally_created_at: taskRecord.task_date_generated,
-            task_originally_created_by: 'Automation', // Tasks are created by automation
-            changed_at: webhookData.data.updated_at || new Date().toISOString(),
-            matter_id: taskMatterId,
-            stage_name: taskRecord.stage_name,
-          });
-          console.log(`[TASK] ${taskId} Sheila assignee change tracked successfully`);
-        } catch (trackError) {
-          console.error(`[TASK] ${taskId} Failed to track Sheila assignee change: ${trackError.message}`);
-          // Don't fail the entire webhook - just log and continue
+        // Completed by MatterClosedAutomation - the matter is closed, no follow-ups
+        if (taskRecord.closed_with_matter_at) {
+          console.log(`[TASK] ${taskId} Closed with its matter, skipping completion automation`);
+          step.output.reason = 'closed_with_matter';
+          return step.skip('skipped_closed_with_matter');
         }
-      }
+      },
+    },
 
-      // Check if task is completed in Clio
-      const isCompletedInClio = clioTask.status && clioTask.status === 'complete';
+    {
+      name: 'check_completion_status',
+      layer: 'processing',
+      input: ({ clioTask, taskRecord }) => ({ clioStatus: clioTask.status, recordStatus: taskRecord.status }),
+      run: async ({ resourceId: taskId, clioTask, taskRecord, webhookData }, step) => {
+        await TaskCompletionAutomation.trackSheilaAssigneeChange(taskId, taskRecord, clioTask, webhookData);
 
-      // Handle task reopening: was completed, now not completed
-      if (!isCompletedInClio && taskRecord.status === 'completed') {
-        console.log(`[TASK] ${taskId} REOPENED: ${taskRecord.task_name}`);
+        const isCompletedInClio = clioTask.status === 'complete';
+        step.output = { completed: isCompletedInClio, previousStatus: taskRecord.status };
 
-        // Update task status back to pending
-        await SupabaseService.updateTask(taskId, {
-          completed: false,
-          status: 'pending',
-          last_updated: new Date().toISOString(),
-        });
+        // Handle task reopening: was completed, now not completed
+        if (!isCompletedInClio && taskRecord.status === 'completed') {
+          console.log(`[TASK] ${taskId} REOPENED: ${taskRecord.task_name}`);
 
-        // Update webhook to success (reopened)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'task_reopened',
-        });
+          // Update task status back to pending
+          await SupabaseService.updateTask(taskId, {
+            completed: false,
+            status: 'pending',
+            last_updated: new Date().toISOString(),
+          });
 
-        console.log(`[TASK] ${taskId} COMPLETED (task reopened)\n`);
-        return { success: true, action: 'task_reopened' };
-      }
+          return step.finish({ success: true, action: 'task_reopened' });
+        }
 
-      // Skip if task is not completed in Clio (but continue tracking assignee changes)
-      if (!isCompletedInClio) {
-        console.log(`[TASK] ${taskId} Not completed, skipping completion automation`);
+        // Skip if task is not completed in Clio (assignee changes are still tracked above)
+        if (!isCompletedInClio) {
+          console.log(`[TASK] ${taskId} Not completed, skipping completion automation`);
+          return step.skip('skipped_not_completed');
+        }
 
-        // Update webhook to success (skipped)
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'skipped_not_completed',
+        console.log(`[TASK] ${taskId} COMPLETED: ${taskRecord.task_name}`);
+      },
+    },
+
+    {
+      name: 'update_task_status_supabase',
+      layer: 'service',
+      input: ({ resourceId, taskRecord }) => ({
+        taskId: resourceId,
+        taskName: taskRecord.task_name,
+        matterId: taskRecord.matter_id,
+        stageName: taskRecord.stage_name,
+        previousStatus: taskRecord.status,
+        operation: 'mark_task_completed',
+      }),
+      run: async ({ resourceId: taskId, taskRecord }, step) => {
+        await SupabaseService.updateTask(taskId, {
+          completed: true,
+          status: 'completed',
+          last_updated: new Date().toISOString(),
         });
 
-        return { success: true, action: 'skipped_not_completed' };
-      }
-
-      console.log(`[TASK] ${taskId} COMPLETED: ${taskRecord.task_name}`);
-
-      // Step 3: Update task status in Supabase
-      const updateSupabaseStepId = await EventTracker.startStep(traceId, {
-        layerName: 'service',
-        stepName: 'update_task_status_supabase',
-        input: {
-          taskId,
-          taskName: taskRecord.task_name,
-          matterId: taskRecord.matter_id,
-          stageName: taskRecord.stage_name,
-          previousStatus: taskRecord.status,
-          operation: 'mark_task_completed',
-        },
-      });
-
-      await SupabaseService.updateTask(taskId, {
-        completed: true,
-        status: 'completed',
-        last_updated: new Date().toISOString(),
-      });
-
-      await EventTracker.endStep(updateSupabaseStepId, {
-        status: 'success',
-        output: {
+        step.output = {
           success: true,
           taskId,
           taskName: taskRecord.task_name,
           previousStatus: taskRecord.status,
           newStatus: 'completed',
           completedAt: new Date().toISOString(),
-        },
-      });
-
-      // Step 4: Check for attempt sequences
-      const attemptAction = await this.handleAttemptSequence(taskId, taskRecord, clioTask);
-      if (attemptAction) {
-        console.log(`[TASK] ${taskId} COMPLETED (attempt sequence)\n`);
-
-        // Update webhook to success
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'attempt_sequence',
-          tasks_created: 1,
-        });
-
-        return { success: true, action: 'attempt_sequence', ...attemptAction };
-      }
-
-      // Step 4.5: Check if this is an error task (missing data)
-      const errorTaskAction = await this.handleErrorTaskCompletion(taskId, taskRecord, clioTask);
-      if (errorTaskAction) {
-        console.log(`[TASK] ${taskId} COMPLETED (error task - regenerating stage tasks)\n`);
-
-        // Update webhook to success
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'error_task_regenerated',
-          tasks_created: errorTaskAction.tasksCreated || 0,
-        });
-
-        return { success: true, action: 'error_task_regenerated', ...errorTaskAction };
-      }
+        };
+      },
+    },
+
+    {
+      name: 'process_follow_ups',
+      input: ({ taskRecord }) => ({ taskNumber: taskRecord.task_number, stageId: taskRecord.stage_id }),
+      run: async ({ resourceId: taskId, taskRecord, clioTask }, step) => {
+        // Attempt sequences (Attempt 1 → 2 → 3 → No Response)
+        const attemptAction = await TaskCompletionAutomation.handleAttemptSequence(taskId, taskRecord, clioTask, step.ctx);
+        if (attemptAction) {
+          step.output = { followUp: 'attempt_sequence', ...attemptAction };
+          return step.finish(
+            { success: true, action: 'attempt_sequence', ...attemptAction },
+            { record: { tasks_created: 1 } }
+          );
+        }
 
-      // Step 5: Check for dependent tasks
-      const dependentAction = await this.handleDependentTasks(taskId, taskRecord, clioTask);
-      if (dependentAction) {
-        console.log(`[TASK] ${taskId} COMPLETED (dependent tasks)\n`);
+        // Error task (missing data) completed - regenerate the stage's tasks
+        const errorTaskAction = await TaskCompletionAutomation.handleErrorTaskCompletion(taskId, taskRecord, clioTask);
+        if (errorTaskAction) {
+          step.output = { followUp: 'error_task_regenerated', ...errorTaskAction };
+          return step.finish(
+            { success: true, action: 'error_task_regenerated', ...errorTaskAction },
+            { record: { tasks_created: errorTaskAction.tasksCreated || 0 } }
+          );
+        }
 
-        // Update webhook to success
-        await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-          processing_duration_ms: Date.now() - startTime,
-          success: true,
-          action: 'dependent_tasks',
-          tasks_created: dependentAction.tasks?.filter(t => t.action === 'created').length || 0,
-          tasks_updated: dependentAction.tasks?.filter(t => t.action === 'updated').length || 0,
-        });
+        // Dependent tasks ("after task N")
+        const dependentAction = await TaskCompletionAutomation.handleDependentTasks(taskId, taskRecord, clioTask, step.ctx);
+        if (dependentAction) {
+          step.output = { followUp: 'dependent_tasks', tasksProcessed: dependentAction.tasksProcessed };
+          return step.finish(
+            { success: true, action: 'dependent_tasks', ...dependentAction },
+            {
+              record: {
+                tasks_created: dependentAction.tasks?.filter(t => t.action === 'created').length || 0,
+                tasks_updated: dependentAction.tasks?.filter(t => t.action === 'updated').length || 0,
+              },
+            }
+          );
+        }
 
-        return { success: true, action: 'dependent_tasks', ...dependentAction };
-      }
+        step.output = { followUp: 'none' };
+        return step.finish({ success: true, action: 'none' });
+      },
+    },
+  ],
+});
 
-      console.log(`[TASK] ${taskId} COMPLETED (no follow-ups)\n`);
+export class TaskCompletionAutomation {
+  /**
+   * Main entry point for task completion automation
+   *
+   * @param {Object} webhookData - The webhook payload from Clio
+   * @param {string} [traceId] - Optional trace ID for event tracking
+   */
+  static async process(webhookData, traceId = null) {
+    return pipeline.run(webhookData, traceId);
+  }
 
-      // Update webhook to success (no follow-ups)
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: true,
-        action: 'none',
-      });
+  /**
+   * Track assignee changes TO Sheila Condomina (never fails the webhook)
+   */
+  static async trackSheilaAssigneeChange(taskId, taskRecord, clioTask, webhookData) {
+    const currentAssigneeId = clioTask.assignee?.id;
+    const previousAssigneeId = taskRecord.assigned_user_id;
 
-      return { success: true, action: 'none' };
+    if (!currentAssigneeId || !SHEILA_IDS.includes(currentAssigneeId) || currentAssigneeId === previousAssigneeId) {
+      return;
+    }
 
-    } catch (error) {
-      console.error(`[TASK] ${taskId} ERROR: ${error.message}`);
+    console.log(`[TASK] ${taskId} SHEILA ASSIGNEE CHANGE DETECTED`);
+    console.log(`[TASK] ${taskId}   Previous: ${taskRecord.assigned_user || 'Unassigned'} (${previousAssigneeId})`);
+    console.log(`[TASK] ${taskId}   New: ${clioTask.assignee?.name || 'Unknown'} (${currentAssigneeId})`);
 
-      // Update webhook to failure
-      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
-        processing_duration_ms: Date.now() - startTime,
-        success: false,
-        action: 'error',
+    try {
+      await SupabaseService.trackSheilaAssigneeChange({
+        task_id: taskId,
+        task_name: clioTask.name,
+        task_desc: clioTask.description,
+        due_date: clioTask.due_at,
+        status: clioTask.status,
+        previous_assignee_id: previousAssigneeId,
+        previous_assignee_name: taskRecord.assigned_user,
+        new_assignee_id: currentAssigneeId,
+        new_assignee_name: clioTask.assignee?.name,
+        task_originally_created_at: taskRecord.task_date_generated,
+        task_originally_created_by: 'Automation', // Tasks are created by automation
+        changed_at: webhookData.data.updated_at || new Date().toISOString(),
+        matter_id: clioTask.matter.id,
+        stage_name: taskRecord.stage_name,
       });
-
-      throw error;
+      console.log(`[TASK] ${taskId} Sheila assignee change tracked successfully`);
+    } catch (trackError) {
+      console.error(`[TASK] ${taskId} Failed to track Sheila assignee change: ${trackError.message}`);
+      // Don't fail the entire webhook - just log and continue
     }
   }
 
   /**
    * Handle attempt sequences: Attempt 1 → 2 → 3 → No Response (from database)
    */
-  static async handleAttemptSequence(taskId, taskRecord, clioTask) {
+  static async handleAttemptSequence(taskId, taskRecord, clioTask, ctx = null) {
     const taskName = taskRecord.task_name.toLowerCase();
 
     // Get attempt sequences from database
@@ -546,8 +381,21 @@ export class TaskCompletionAutomation {
       if (taskName.includes(sequence.current_attempt)) {
         console.log(`[TASK] ${taskId} Attempt sequence: ${sequence.current_attempt} → ${sequence.next_attempt}`);
 
-        // Get the task template for the next attempt
-        const taskTemplates = await SupabaseService.getTaskListNonMeeting(taskRecord.stage_id);
+        // Get matter details for practice area templates and assignee resolution
+        const matterDetails = await ClioService.getMatter(taskRecord.matter_id);
+
+        // Get the task template for the next attempt from the matter's practice area templates
+        const practiceAreaConfig = await SupabaseService.getPracticeAreaConfig(matterDetails.practice_area?.id);
+
+        if (!practiceAreaConfig.flags.attempt_sequences) {
+          console.log(`[TASK] ${taskId} Attempt sequences disabled for practice area ${practiceAreaConfig.practice_area_name}`);
+          return null;
+        }
+
+        const taskTemplates = await SupabaseService.getTaskListByTable(
+          practiceAreaConfig.template_table,
+          taskRecord.stage_id
+        );
         const nextTemplate = taskTemplates.find(t =>
           t.task_title.toLowerCase().includes(sequence.next_attempt.toLowerCase())
         );
@@ -557,9 +405,6 @@ export class TaskCompletionAutomation {
           return null;
         }
 
-        // Get matter details for assignee resolution
-        const matterDetails = await ClioService.getMatter(taskRecord.matter_id);
-
         // Skip if matter is closed
         if (matterDetails.status === 'Closed') {
           console.log(`[TASK] ${taskId} SKIPPED (matter is closed)`);
@@ -567,10 +412,10 @@ export class TaskCompletionAutomation {
         }
 
         // Resolve assignee
-        const assignee = await resolveAssignee(nextTemplate.assignee, matterDetails);
+        const assignee = await resolveAssignee(nextTemplate.assignee, matterDetails, null, null, false, ctx);
 
         // Calculate due date
-        const dueDate = calculateDueDate(nextTemplate, new Date());
+        const dueDate = calculateDueDate(nextTemplate, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
         const dueDateFormatted = formatForClio(dueDate);
 
         // Create next attempt task
@@ -596,6 +441,7 @@ export class TaskCompletionAutomation {
           stage_id: taskRecord.stage_id,
           stage_name: taskRecord.stage_name,
           task_number: nextTemplate.task_number,
+          ...templateVersionFields(nextTemplate),
           completed: false,
           status: 'pending',
           task_date_generated: new Date().toISOString(),
@@ -612,27 +458,20 @@ export class TaskCompletionAutomation {
   /**
    * Handle dependent tasks (tasks with due dates relative to this task)
    */
-  static async handleDependentTasks(taskId, taskRecord, clioTask) {
+  static async handleDependentTasks(taskId, taskRecord, clioTask, ctx = null) {
     // Get matter details to determine practice area
     const matterDetails = await ClioService.getMatter(taskRecord.matter_id);
     const practiceAreaId = matterDetails.practice_area?.id;
 
-    // Check practice area by ID for reliable detection
-    // Estate Planning ID: 44697423 (task-list-non-meeting and task-list-meeting)
-    // Probate ID: 45045123 (task-list-probate)
-    const PROBATE_PRACTICE_AREA_ID = 45045123;
-    const isProbate = practiceAreaId === PROBATE_PRACTICE_AREA_ID;
-
-    // Get all task templates for this stage based on practice area
-    const taskTemplates = isProbate
-      ? await SupabaseService.getTaskListProbate(taskRecord.stage_id)
-      : await SupabaseService.getTaskListNonMeeting(taskRecord.stage_id);
-
-    // Find tasks that depend on this task number
-    const dependentTemplates = taskTemplates.filter(t => {
-      const relation = t['due_date-relational'] || t.due_date_relation || '';
-      return relation.toLowerCase().includes(`task ${taskRecord.task_number}`);
-    });
+    // Get all task templates for this stage based on practice area (practice area registry)
+    const taskTemplates = await SupabaseService.getTaskListForPracticeArea(taskRecord.stage_id, practiceAreaId);
+
+    // Find tasks that depend on this task number (exact match; cycles are never followed)
+    const { dependents: dependentTemplates, graph } = getDependentTemplates(taskTemplates, taskRecord.task_number);
+
+    if (!graph.valid) {
+      console.warn(`[TASK] ${taskId} Stage ${taskRecord.stage_id} template graph has ${graph.cycles.length} cycle(s) and ${graph.unresolved.length} unresolved reference(s)`);
+    }
 
     if (dependentTemplates.length === 0) {
       return null;
@@ -660,18 +499,25 @@ export class TaskCompletionAutomation {
         const existingTask = existingTasks.find(t => t.task_number === template.task_number);
 
         // Calculate due date relative to completion time
-        const dueDate = calculateDueDate(template, new Date());
+        const dueDate = calculateDueDate(template, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
         const dueDateFormatted = formatForClio(dueDate);
 
         if (existingTask) {
-          // Update existing task
+          // Update existing task (moving it off an out-of-office assignee)
+          const delegate = existingTask.assigned_user_id
+            ? await DelegationService.applyDelegation({ id: existingTask.assigned_user_id, name: existingTask.assigned_user, type: 'User' }, { matterData: matterDetails, ctx })
+            : null;
+          const delegated = !!delegate?.delegatedFrom;
+
           await ClioService.updateTask(existingTask.task_id, {
             due_at: dueDateFormatted,
-          });
+            ...(delegated && { assignee: { id: delegate.id, type: 'User' } }),
+          }, ctx);
 
           await SupabaseService.updateTask(existingTask.task_id, {
             due_date: dueDateFormatted,
             due_date_generated: new Date().toISOString(),
+            ...(delegated && { assigned_user_id: delegate.id, assigned_user: delegate.name }),
           });
 
           console.log(`[TASK] ${taskId} Updated: ${template.task_title}`);
@@ -679,7 +525,7 @@ export class TaskCompletionAutomation {
         } else {
           // Create new task
 
-          const assignee = await resolveAssignee(template.assignee, matterDetails);
+          const assignee = await resolveAssignee(template.assignee, matterDetails, null, null, false, ctx);
 
           const newTask = await ClioService.createTask({
             name: template.task_title,
@@ -700,6 +546,7 @@ export class TaskCompletionAutomation {
             stage_id: taskRecord.stage_id,
             stage_name: taskRecord.stage_name,
             task_number: template.task_number,
+            ...templateVersionFields(template),
             completed: false,
             status: 'pending',
             task_date_generated: new Date().toISOString(),
@@ -748,16 +595,7 @@ export class TaskCompletionAutomation {
 
     // Get task templates for this stage
     const practiceAreaId = matterDetails.practice_area?.id;
-
-    // Check practice area by ID for reliable detection
-    // Estate Planning ID: 44697423 (task-list-non-meeting and task-list-meeting)
-    // Probate ID: 45045123 (task-list-probate)
-    const PROBATE_PRACTICE_AREA_ID = 45045123;
-    const isProbate = practiceAreaId === PROBATE_PRACTICE_AREA_ID;
-
-    const taskTemplates = isProbate
-      ? await SupabaseService.getTaskListProbate(stageId)
-      : await SupabaseService.getTaskListNonMeeting(stageId);
+    const taskTemplates = await SupabaseService.getTaskListForPracticeArea(stageId, practiceAreaId);
 
     if (taskTemplates.length === 0) {
       console.log(`[TASK] ${taskId} No templates found for stage ${stageName}`);
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import os from 'os';
 
 dotenv.config();
 
@@ -8,9 +9,25 @@ const cleanEnv = (value) => {
   return value.trim().replace(/^["']|["']$/g, '');
 };
 
+// Parse a JSON environment variable, falling back on missing/invalid values
+const parseJsonEnv = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(cleanEnv(value));
+  } catch {
+    console.warn(`⚠️  Warning: Invalid JSON in environment variable, using default: ${value}`);
+    return fallback;
+  }
+};
+
 export const config = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Identifies this instance in leases (webhook reservations, token refresh) and
+  // owns its webhook_queue rows - keep it stable across restarts so queued
+  // webhooks are resumed (defaults to hostname, plus the pm2 instance number)
+  instanceId: cleanEnv(process.env.INSTANCE_ID)
+    || [os.hostname(), process.env.NODE_APP_INSTANCE].filter(Boolean).join('-'),
 
   supabase: {
     url: cleanEnv(process.env.SUPABASE_URL),
@@ -23,14 +40,73 @@ export const config = {
     refreshToken: cleanEnv(process.env.CLIO_REFRESH_TOKEN),
     clientId: cleanEnv(process.env.CLIO_CLIENT_ID),
     clientSecret: cleanEnv(process.env.CLIO_CLIENT_SECRET),
-    webhookSecret: cleanEnv(process.env.CLIO_WEBHOOK_SECRET),
+    // Token store (clio_tokens): how long a read is reused before checking the store again
+    tokenCacheSeconds: parseInt(process.env.CLIO_TOKEN_CACHE_SECONDS || '60'),
+    // How long a refreshing instance holds the refresh lease
+    tokenLeaseSeconds: parseInt(process.env.CLIO_TOKEN_LEASE_SECONDS || '60'),
+  },
+
+  // Clio webhook subscriptions (reconcile-webhooks job, see constants/webhook-manifest.js)
+  // and their signatures (webhook_secrets, middleware/validate-signature.js)
+  webhooks: {
+    // Public URL of this server, e.g. https://automations.example.com
+    baseUrl: cleanEnv(process.env.WEBHOOK_BASE_URL),
+    // Previous public URLs of this server (comma-separated); the reconciler
+    // removes subscriptions still pointing at them
+    legacyBaseUrls: (process.env.WEBHOOK_LEGACY_BASE_URLS || '').split(',').map(cleanEnv).filter(Boolean),
+    // Reject deliveries to endpoints that have no stored secret yet
+    signatureRequired: process.env.WEBHOOK_SIGNATURE_REQUIRED === 'true',
+    // Reject deliveries whose payload timestamp is further than this from now
+    replayToleranceSeconds: parseInt(process.env.WEBHOOK_REPLAY_TOLERANCE_SECONDS || '900'),
+    // How long the previous secret keeps validating after a subscription is recreated
+    secretOverlapSeconds: parseInt(process.env.WEBHOOK_SECRET_OVERLAP_SECONDS || '86400'),
+    // How long stored secrets are cached per endpoint
+    secretCacheSeconds: parseInt(process.env.WEBHOOK_SECRET_CACHE_SECONDS || '60'),
+    // At most one trace + error log per endpoint and rejection reason per interval
+    rejectionLogIntervalSeconds: parseInt(process.env.WEBHOOK_REJECTION_LOG_INTERVAL_SECONDS || '60'),
   },
 
   automation: {
-    timezoneOffsetHours: parseInt(process.env.TIMEZONE_OFFSET_HOURS || '4'),
+    // IANA timezone for due date math (DST-aware)
+    timezone: cleanEnv(process.env.TIMEZONE) || 'America/New_York',
+    // Per-office overrides, e.g. OFFICE_TIMEZONES={"Pensacola":"America/Chicago"}
+    officeTimezones: parseJsonEnv(process.env.OFFICE_TIMEZONES, {}),
     rollbackWindowMinutes: 3,
   },
 
+  // Webhook idempotency reservations (webhook_events.success = NULL while processing)
+  idempotency: {
+    // How long a reservation is held before it counts as abandoned
+    leaseSeconds: parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || '600'),
+    // What to do with abandoned reservations: 'rerun' (process again) or 'fail' (mark failed + dead letter)
+    abandonedPolicy: cleanEnv(process.env.IDEMPOTENCY_ABANDONED_POLICY) || 'rerun',
+    // Runs allowed per reservation before it is failed regardless of policy
+    maxAttempts: parseInt(process.env.IDEMPOTENCY_MAX_ATTEMPTS || '3'),
+  },
+
+  // Deferred post-generation task verification (task_verifications, verify-tasks job)
+  verification: {
+    // Wait before the first pass, so task generation has settled
+    delaySeconds: parseInt(process.env.VERIFY_DELAY_SECONDS || '30'),
+    // Passes before missing tasks are escalated as an error task
+    passes: parseInt(process.env.VERIFY_PASSES || '3'),
+    // Wait between passes
+    passIntervalSeconds: parseInt(process.env.VERIFY_PASS_INTERVAL_SECONDS || '120'),
+    // How long a running pass holds its row before another run may take it over
+    leaseSeconds: parseInt(process.env.VERIFY_LEASE_SECONDS || '300'),
+  },
+
+  // Admin API (authenticated via ADMIN_API_KEY)
+  admin: {
+    apiKey: cleanEnv(process.env.ADMIN_API_KEY),
+  },
+
+  // GET /metrics (Prometheus); when set, scrapers must send `Authorization: Bearer <token>`.
+  // Required in production (the endpoint answers 503 without it)
+  metrics: {
+    token: cleanEnv(process.env.METRICS_TOKEN),
+  },
+
   testing: {
     testMode: process.env.TEST_MODE === 'true',
     testMatterId: parseInt(process.env.TEST_MATTER_ID || '1675950832'),
@@ -56,7 +132,6 @@ const required = [
   'SUPABASE_URL',
   'SUPABASE_KEY',
   'CLIO_ACCESS_TOKEN',
-  'CLIO_WEBHOOK_SECRET',
 ];
 
 const missing = required.filter(key => !process.env[key]);
@@ -65,6 +140,33 @@ if (missing.length > 0) {
   console.warn('Please copy .env.example to .env and configure values');
 }
 
+// Timezones must be valid IANA names - fall back rather than failing every due date
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+if (!isValidTimezone(config.automation.timezone)) {
+  console.warn(`⚠️  Warning: Invalid TIMEZONE "${config.automation.timezone}", using America/New_York`);
+  config.automation.timezone = 'America/New_York';
+}
+
+for (const [office, timeZone] of Object.entries(config.automation.officeTimezones)) {
+  if (!isValidTimezone(timeZone)) {
+    console.warn(`⚠️  Warning: Invalid timezone "${timeZone}" for office ${office}, ignoring`);
+    delete config.automation.officeTimezones[office];
+  }
+}
+
+if (!['rerun', 'fail'].includes(config.idempotency.abandonedPolicy)) {
+  console.warn(`⚠️  Warning: Invalid IDEMPOTENCY_ABANDONED_POLICY "${config.idempotency.abandonedPolicy}", using rerun`);
+  config.idempotency.abandonedPolicy = 'rerun';
+}
+
 // Debug logging in production
 if (config.nodeEnv === 'production') {
   console.log('🔍 Environment variable debug:');
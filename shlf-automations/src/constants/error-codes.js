@@ -9,6 +9,7 @@ export const ERROR_CODES = {
   ASSIGNEE_NO_CSC: 'ERR_ASSIGNEE_NO_CSC',
   ASSIGNEE_NO_PARALEGAL: 'ERR_ASSIGNEE_NO_PARALEGAL',
   ASSIGNEE_NO_FUND_TABLE: 'ERR_ASSIGNEE_NO_FUND_TABLE',
+  DELEGATION_SYNC_FAILED: 'ERR_DELEGATION_SYNC_FAILED',
 
   // Meeting location errors
   MEETING_NO_LOCATION: 'ERR_MEETING_NO_LOCATION',
@@ -21,8 +22,12 @@ export const ERROR_CODES = {
 
   // API and sync errors
   CLIO_API_FAILED: 'ERR_CLIO_API_FAILED',
+  CLIO_TOKEN_REFRESH_FAILED: 'ERR_CLIO_TOKEN_REFRESH_FAILED',
+  CLIO_REFRESH_TOKEN_REVOKED: 'ERR_CLIO_REFRESH_TOKEN_REVOKED',
   SUPABASE_SYNC_FAILED: 'ERR_SUPABASE_SYNC_FAILED',
   TASK_NOT_FOUND_IN_CLIO: 'ERR_TASK_NOT_FOUND_IN_CLIO',
+  AUTOMATION_FAILED: 'ERR_AUTOMATION_FAILED',
+  TASK_VERIFICATION_FAILED: 'ERR_TASK_VERIFICATION_FAILED',
 
   // Invalid input errors
   ASSIGNEE_INVALID_TYPE: 'ERR_ASSIGNEE_INVALID_TYPE',
@@ -36,11 +41,17 @@ export const ERROR_CODES = {
   // Webhook security errors
   WEBHOOK_INVALID_SIGNATURE: 'ERR_WEBHOOK_INVALID_SIGNATURE',
   WEBHOOK_MISSING_SIGNATURE: 'ERR_WEBHOOK_MISSING_SIGNATURE',
+  WEBHOOK_SECRET_MISSING: 'ERR_WEBHOOK_SECRET_MISSING',
+  WEBHOOK_REPLAY_REJECTED: 'ERR_WEBHOOK_REPLAY_REJECTED',
+  WEBHOOK_ACTIVATION_REJECTED: 'ERR_WEBHOOK_ACTIVATION_REJECTED',
+  WEBHOOK_DEAD_LETTERED: 'ERR_WEBHOOK_DEAD_LETTERED',
+  WEBHOOK_RESERVATION_ABANDONED: 'ERR_WEBHOOK_RESERVATION_ABANDONED',
 
   // Bill and payment checking errors
   BILL_CHECK_FAILED: 'ERR_BILL_CHECK_FAILED',
   PAYMENT_CHECK_FAILED: 'ERR_PAYMENT_CHECK_FAILED',
   CLOSED_MATTER_TASK_FAILED: 'ERR_CLOSED_MATTER_TASK_FAILED',
+  CLOSED_MATTER_CLEANUP_FAILED: 'ERR_CLOSED_MATTER_CLEANUP_FAILED',
 };
 
 /**
@@ -51,21 +62,32 @@ export const ERROR_MESSAGES = {
   [ERROR_CODES.ASSIGNEE_NO_CSC]: 'No CSC found for location',
   [ERROR_CODES.ASSIGNEE_NO_PARALEGAL]: 'No paralegal found for attorney',
   [ERROR_CODES.ASSIGNEE_NO_FUND_TABLE]: 'No user found for fund table',
+  [ERROR_CODES.DELEGATION_SYNC_FAILED]: 'Failed to move a task to or back from an out-of-office delegate',
   [ERROR_CODES.MEETING_NO_LOCATION]: 'Signing meeting has no location',
   [ERROR_CODES.MEETING_INVALID_LOCATION]: 'Meeting location does not contain required keywords',
   [ERROR_CODES.TEMPLATE_MISSING]: 'No task templates found for stage',
   [ERROR_CODES.TEMPLATE_DUPLICATE]: 'Duplicate task_number found in templates',
   [ERROR_CODES.TEMPLATE_NOT_FOUND]: 'Task template not found',
   [ERROR_CODES.CLIO_API_FAILED]: 'Clio API request failed',
+  [ERROR_CODES.CLIO_TOKEN_REFRESH_FAILED]: 'Clio access token refresh failed',
+  [ERROR_CODES.CLIO_REFRESH_TOKEN_REVOKED]: 'Clio rejected the refresh token - re-authorize and store a new one',
   [ERROR_CODES.SUPABASE_SYNC_FAILED]: 'Supabase sync failed after Clio success',
   [ERROR_CODES.TASK_NOT_FOUND_IN_CLIO]: 'Task not found in Clio (404) - marked for regeneration',
+  [ERROR_CODES.AUTOMATION_FAILED]: 'Automation failed while processing webhook',
+  [ERROR_CODES.TASK_VERIFICATION_FAILED]: 'Generated tasks still missing after every verification pass',
   [ERROR_CODES.VALIDATION_MISSING_STAGE]: 'Matter missing required stage information',
   [ERROR_CODES.VALIDATION_MISSING_MATTER]: 'Task missing required matter association',
   [ERROR_CODES.VALIDATION_MISSING_EVENT_TYPE]: 'Calendar entry missing required event type',
   [ERROR_CODES.VALIDATION_MISSING_REQUIRED_FIELD]: 'Missing required field from Clio API',
   [ERROR_CODES.WEBHOOK_INVALID_SIGNATURE]: 'Invalid webhook signature',
   [ERROR_CODES.WEBHOOK_MISSING_SIGNATURE]: 'Missing webhook signature',
+  [ERROR_CODES.WEBHOOK_SECRET_MISSING]: 'No stored webhook secret for the endpoint while signatures are required',
+  [ERROR_CODES.WEBHOOK_REPLAY_REJECTED]: 'Webhook timestamp outside the replay tolerance',
+  [ERROR_CODES.WEBHOOK_ACTIVATION_REJECTED]: 'Webhook activation did not match a Clio webhook subscription',
+  [ERROR_CODES.WEBHOOK_DEAD_LETTERED]: 'Webhook failed all retry attempts and was moved to the dead-letter store',
+  [ERROR_CODES.WEBHOOK_RESERVATION_ABANDONED]: 'Webhook reservation lease expired before processing finished',
   [ERROR_CODES.BILL_CHECK_FAILED]: 'Failed to retrieve or check bills for matter',
   [ERROR_CODES.PAYMENT_CHECK_FAILED]: 'Failed to check payment status for matter',
   [ERROR_CODES.CLOSED_MATTER_TASK_FAILED]: 'Failed to create task for closed matter without payment',
+  [ERROR_CODES.CLOSED_MATTER_CLEANUP_FAILED]: 'Failed to complete or delete an open task of a closed matter',
 };
@@ -0,0 +1,35 @@
+/**
+ * Practice Area Defaults
+ *
+ * Built-in registry used when the Supabase `practice_area_registry` table
+ * is missing or empty. Mirrors the seed rows in migration 011.
+ */
+
+// Behavior flags applied when a registry row leaves them unset
+export const DEFAULT_PRACTICE_AREA_FLAGS = {
+  generate_stage_tasks: true, // Create stage templates on stage change
+  attempt_sequences: true,    // Attempt 1 → 2 → 3 → No Response follow-ups
+  verify_tasks: true,         // Post-generation task verification
+};
+
+export const DEFAULT_PRACTICE_AREAS = [
+  {
+    practice_area_id: 44697423,
+    practice_area_name: 'Estate Planning',
+    template_table: 'task-list-non-meeting',
+    stage_ids: null,
+    flags: {},
+    is_default: true,
+  },
+  {
+    practice_area_id: 45045123,
+    practice_area_name: 'Probate',
+    template_table: 'task-list-probate',
+    stage_ids: null,
+    flags: {},
+    is_default: false,
+  },
+];
+
+// Template tables must follow the task-list-* naming convention
+export const TEMPLATE_TABLE_PATTERN = /^task-list-[a-z0-9-]+$/;
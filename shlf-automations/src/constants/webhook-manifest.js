@@ -0,0 +1,43 @@
+/**
+ * Clio Webhook Manifest
+ *
+ * The webhook subscriptions this server needs. The `reconcile-webhooks` job
+ * compares Clio's subscriptions against this list and creates, fixes or
+ * removes subscriptions until they match.
+ *
+ * url = WEBHOOK_BASE_URL + path
+ * fields use Clio's field syntax (nested fields in braces).
+ */
+export const WEBHOOK_MANIFEST = [
+  {
+    name: 'matters',
+    model: 'matter',
+    path: '/webhooks/matters',
+    events: ['created', 'updated'],
+    fields: 'id,display_number,status,location,practice_area,originating_attorney,matter_stage{id,name},matter_stage_updated_at,created_at,updated_at,user',
+  },
+  {
+    name: 'tasks',
+    model: 'task',
+    path: '/webhooks/tasks',
+    events: ['updated', 'deleted'],
+    fields: 'id,name,status,matter,created_at,updated_at,completed_at,deleted_at',
+  },
+  {
+    name: 'calendar',
+    model: 'calendar_entry',
+    path: '/webhooks/calendar',
+    events: ['created', 'updated', 'deleted'],
+    fields: 'id,summary,description,start_at,end_at,matter{id,display_number,matter_stage,location},created_at,updated_at,deleted_at',
+  },
+  {
+    name: 'documents',
+    model: 'document',
+    path: '/webhooks/documents',
+    events: ['created'],
+    fields: 'id,name,matter,created_at',
+  },
+];
+
+// Days a created webhook is valid for (matches WebhookRenewalJob's extension)
+export const WEBHOOK_LIFETIME_DAYS = 28;
@@ -1,17 +1,21 @@
 import express from 'express';
 import { config } from './config/index.js';
 import webhookRoutes from './routes/webhooks.js';
+import adminRoutes from './routes/admin.js';
+import metricsRoutes from './routes/metrics.js';
 import { preserveRawBody } from './middleware/raw-body.js';
-import { validateClioSignature } from './middleware/validate-signature.js';
 import { JobScheduler } from './jobs/scheduler.js';
 import { ClioService } from './services/clio.js';
 import { TokenRefreshService } from './services/token-refresh.js';
 import { initializeEventTracker, EventTracker } from './services/event-tracker.js';
+import { webhookQueue } from './utils/webhook-queue.js';
 
 const app = express();
 
 // Logging middleware (before body parsing)
 app.use((req, res, next) => {
+  // Prometheus scrapes every few seconds - not worth a log line each
+  if (req.path === '/metrics') return next();
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
   next();
 });
@@ -26,13 +30,13 @@ app.use(express.json({
 }));
 app.use(express.urlencoded({ extended: true }));
 
-// Validate webhook signatures
-// IMPORTANT: Must come AFTER express.json() but BEFORE webhook routes
-// TEMPORARY: Disabled for testing until we have CLIO_WEBHOOK_SECRET
-// app.use('/webhooks', validateClioSignature);
+// Webhook signatures are validated per endpoint in routes/webhooks.js
+// (validateClioSignature, per-subscription secrets from webhook_secrets)
 
 // Routes
 app.use('/webhooks', webhookRoutes);
+app.use('/admin', adminRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -73,7 +77,21 @@ app.use((err, req, res, next) => {
 
 // Start server
 const PORT = config.port;
-app.listen(PORT, async () => {
+
+// Initialize token refresh service (fetches from Supabase)
+await TokenRefreshService.initialize();
+
+// Initialize event tracking (Convex)
+await initializeEventTracker();
+
+// Initialize CLIO API interceptors for automatic token refresh on 401 errors
+ClioService.initializeInterceptors();
+
+// Resume webhooks left pending/in-flight by this instance's previous process (deploy,
+// crash, pm2 reload) before accepting new ones, so none is picked up twice
+await webhookQueue.resumePending();
+
+app.listen(PORT, () => {
   console.log('\n╔════════════════════════════════════════════╗');
   console.log('║   SHLF Legal Practice Automation System   ║');
   console.log('╚════════════════════════════════════════════╝\n');
@@ -81,15 +99,6 @@ app.listen(PORT, async () => {
   console.log(`📍 Environment: ${config.nodeEnv}`);
   console.log(`🔗 Webhook endpoints ready\n`);
 
-  // Initialize token refresh service (fetches from Supabase)
-  await TokenRefreshService.initialize();
-
-  // Initialize event tracking (Convex)
-  await initializeEventTracker();
-
-  // Initialize CLIO API interceptors for automatic token refresh on 401 errors
-  ClioService.initializeInterceptors();
-
   // Start scheduled jobs
   JobScheduler.start();
 
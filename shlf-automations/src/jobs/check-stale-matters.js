@@ -1,297 +1,288 @@
-import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
 import { SupabaseService } from '../services/supabase.js';
 import { ClioService } from '../services/clio.js';
-import { formatForClio, addBusinessDays } from '../utils/date-helpers.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { formatForClio, addBusinessDays, getZonedNow, getOfficeTimezone } from '../utils/date-helpers.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
 import { config } from '../config/index.js';
-
-dotenv.config();
-
-// Initialize Supabase client
-const supabase = createClient(config.supabase.url, config.supabase.key);
+import { TestModeService } from '../services/test-mode.js';
+import { resolveAssignee } from '../utils/assignee-resolver.js';
+import { AssigneeError } from '../utils/assignee-error.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
+import {
+  DEFAULT_STALE_MATTER_RULES,
+  findStaleMatterRule,
+  isCatchAllRule,
+  getStageEnteredAt,
+  evaluateStaleMatter,
+  getEscalationAssignee,
+  renderAlertText,
+} from '../utils/stale-matter-rules.js';
 
 /**
  * Stale Matter Checker Job
  *
- * Automatically creates tasks for matters stuck in "Funding in Progress" stage:
- * 1. Initial task after 30 days (6-day due date)
- * 2. Recurring tasks every 30 days thereafter (7-day due date)
+ * Creates "no progress" tasks for matters that stay in a stage too long, per the
+ * `stale_matter_rules` table (see migrations/021_stale_matter_rules.sql):
+ * 1. First alert once the matter has been in its stage for threshold_days
+ * 2. Follow-up alerts every recurring_interval_days (if set), each going to the
+ *    next assignee of the rule's escalation chain
+ *
+ * Matters and their current stage come from Clio (open and pending matters).
+ * Days in stage count from when the matter entered the stage per matter history
+ * (else Clio's matter_stage_updated_at). A matter that leaves and re-enters a
+ * stage starts over. Progress per matter and stage is kept in
+ * `matter_stage_tracking`.
  *
- * Runs daily via cron.
+ * Catch-all rules (no stage or practice area, like the seeded "Default") only
+ * apply to matters the automation manages, i.e. with rows in `tasks`. Matters
+ * it has never touched are skipped unless a stage or practice area rule
+ * names them.
+ *
+ * Until the rules table exists the built-in rules apply (first alert after 30
+ * days for every stage, every 30 days for "Funding in Progress").
+ *
+ * Runs daily via JobScheduler.
  */
 export class StaleMatterCheckerJob {
-  // Constants
-  static FUNDING_IN_PROGRESS_STAGE = 'Funding in Progress';
-  static INITIAL_ALERT_DAYS = 30;
-  static RECURRING_ALERT_DAYS = 30;
-  static INITIAL_DUE_DAYS = 6;
-  static RECURRING_DUE_DAYS = 7;
-  static INITIAL_ASSIGNEE_ID = 357379471; // For initial no-progress task
-  static RECURRING_ASSIGNEE_ID = 357378676; // For recurring 30-day tasks
+  // Clio matter statuses checked (closed matters are skipped)
+  static MATTER_STATUSES = ['open', 'pending'];
 
   /**
    * Main entry point
+   * @param {string} [traceId] - Job trace (from JobScheduler.runJobWithTracking)
    */
-  static async run() {
+  static async run(traceId = null) {
     console.log('🔄 [STALE-MATTERS] Starting stale matter checker job...\n');
 
     const testMode = config.testing.testMode;
-    const testMatterId = config.testing.testMatterId;
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'job',
+      stepName: 'check_stale_matters',
+      input: { testMode },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
 
     if (testMode) {
-      console.log(`⚠️  TEST MODE: Only checking matter ${testMatterId}\n`);
+      console.log(`⚠️  TEST MODE: Only checking allowlisted matters (TEST_MATTER_ID ${config.testing.testMatterId} + test_mode_rules)\n`);
     }
 
     try {
-      // Step 1: Get all matters with their current stages
-      const allMatters = await this.getAllMattersWithStages();
-
-      // Filter for test mode if enabled
-      const mattersToCheck = testMode
-        ? allMatters.filter(m => m.matter_id === testMatterId)
-        : allMatters;
-
-      console.log(`📊 [STALE-MATTERS] Found ${mattersToCheck.length} active matter(s) to check\n`);
-
-      if (mattersToCheck.length === 0) {
-        console.log('✅ [STALE-MATTERS] No matters to check\n');
-        return { success: true, checked: 0, tasksCreated: 0 };
+      // Firm holidays for business-day due dates
+      await ensureHolidayCalendar(ctx);
+
+      const rules = (await SupabaseService.getStaleMatterRules(ctx)) ?? DEFAULT_STALE_MATTER_RULES;
+      console.log(`📏 [STALE-MATTERS] ${rules.length} stale matter rule(s)\n`);
+
+      const results = [];
+      for (const status of this.MATTER_STATUSES) {
+        let pageUrl = null;
+        do {
+          const page = await ClioService.getMatters({ status, pageUrl }, ctx);
+          pageUrl = page.next;
+
+          for (const matter of page.matters) {
+            if (testMode && !(await this.isTestModeMatter(matter))) continue;
+            results.push(await this.checkMatter(matter, rules, ctx));
+          }
+        } while (pageUrl);
       }
 
-      let tasksCreated = 0;
-
-      // Step 2: Check each matter
-      for (const matter of mattersToCheck) {
-        const result = await this.checkMatter(matter);
-        if (result.taskCreated) {
-          tasksCreated++;
-        }
-      }
+      const checked = results.filter(r => !r.skipped);
+      const created = results.filter(r => r.taskCreated);
+      const failures = results.filter(r => r.error);
+      const summary = {
+        success: true,
+        checked: checked.length,
+        tasksCreated: created.length,
+        initialAlerts: created.filter(r => r.type === 'initial').length,
+        recurringAlerts: created.filter(r => r.type === 'recurring').length,
+        noRule: results.filter(r => r.reason === 'no_rule').length,
+        unmanaged: results.filter(r => r.reason === 'unmanaged').length,
+        failed: failures.length,
+        alerts: created,
+        failures,
+      };
 
       console.log(`\n✨ [STALE-MATTERS] Job complete:`);
-      console.log(`   📋 Checked: ${mattersToCheck.length} matter(s)`);
-      console.log(`   ✅ Tasks created: ${tasksCreated}\n`);
+      console.log(`   📋 Checked: ${summary.checked} matter(s) (${summary.noRule} without a rule, ${summary.unmanaged} unmanaged skipped)`);
+      console.log(`   ✅ Tasks created: ${summary.tasksCreated} (${summary.initialAlerts} initial, ${summary.recurringAlerts} recurring)`);
+      console.log(`   ❌ Failed: ${summary.failed}\n`);
 
-      return {
-        success: true,
-        checked: mattersToCheck.length,
-        tasksCreated,
-      };
+      await EventTracker.endStep(stepId, { status: failures.length > 0 ? 'error' : 'success', output: summary });
+      return summary;
 
     } catch (error) {
       console.error(`❌ [STALE-MATTERS] Job failed: ${error.message}\n`);
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: error.message });
       throw error;
     }
   }
 
   /**
-   * Get all matters with their current stages
+   * Check the test mode allowlist for a matter
+   * @param {Object} matter - Clio matter from the page (display_number, responsible_attorney), so no refetch is needed
    */
-  static async getAllMattersWithStages() {
-    const { data, error } = await supabase
-      .from('tasks')
-      .select('matter_id, stage_name')
-      .order('matter_id');
-
-    if (error) throw error;
-
-    // Get unique matters (one per matter, using the most recent stage)
-    const uniqueMatters = [...new Map(data.map(item => [item.matter_id, item])).values()];
-    return uniqueMatters;
+  static async isTestModeMatter(matter) {
+    const match = await TestModeService.evaluate(matter.id, { matter });
+    if (match.allowed) {
+      console.log(`   🧪 Matter ${matter.id} allowed by ${match.matchedRule.type} rule (${match.matchedRule.value})`);
+    }
+    return match.allowed;
   }
 
   /**
-   * Check a single matter and create tasks if needed
+   * Check a single matter and create an alert task if one is due
+   * @param {Object} matter - Clio matter (from ClioService.getMatters)
+   * @param {Array<Object>} rules - Active stale matter rules
+   * @param {Object} [ctx] - Job tracking context
    */
-  static async checkMatter(matterRecord) {
-    const matterId = matterRecord.matter_id;
-    const stageName = matterRecord.stage_name; // Current stage of the matter
+  static async checkMatter(matter, rules, ctx = null) {
+    const matterId = matter.id;
+    const stageId = matter.matter_stage?.id;
+    const stageName = matter.matter_stage?.name;
 
-    console.log(`🔍 [STALE-MATTERS] Checking matter ${matterId} (Stage: ${stageName})...`);
+    if (!stageId || matter.status === 'Closed') {
+      return { matterId, skipped: true, reason: stageId ? 'closed' : 'no_stage' };
+    }
 
-    try {
-      // Step 1: Check if matter is closed
-      let matterDetails;
-      try {
-        matterDetails = await ClioService.getMatter(matterId);
-      } catch (error) {
-        console.log(`   ⚠️  Could not fetch matter from Clio: ${error.message}\n`);
-        return { taskCreated: false, error: error.message };
-      }
+    const rule = findStaleMatterRule(rules, { stageId, stageName, practiceAreaId: matter.practice_area?.id });
+    if (!rule) {
+      return { matterId, stageName, reason: 'no_rule' };
+    }
 
-      if (matterDetails.status === 'Closed') {
-        console.log(`   ⏭️  SKIPPED (matter is closed)\n`);
-        return { taskCreated: false, skipped: true, reason: 'closed' };
+    try {
+      // Catch-all rules only cover matters the automation manages
+      if (isCatchAllRule(rule) && !(await SupabaseService.hasTasksForMatter(matterId, ctx))) {
+        return { matterId, stageName, skipped: true, reason: 'unmanaged' };
       }
 
-      // Get or create tracking record
-      let tracking = await this.getTrackingRecord(matterId, stageName);
-
-      if (!tracking) {
-        // First time seeing this matter in this stage - create tracking record
-        tracking = await this.createTrackingRecord(matterId, stageName);
-        console.log(`   📝 Created tracking record (entered stage: ${tracking.stage_entered_at})`);
-      }
+      console.log(`🔍 [STALE-MATTERS] Checking matter ${matterId} (Stage: ${stageName}, rule: ${rule.name})...`);
 
+      const tracking = await this.syncTracking(matter, rule, ctx);
       const now = new Date();
-      const stageEnteredAt = new Date(tracking.stage_entered_at);
-      const daysInStage = Math.floor((now - stageEnteredAt) / (1000 * 60 * 60 * 24));
+      const decision = evaluateStaleMatter(rule, tracking, now);
 
-      console.log(`   ⏱️  Days in stage: ${daysInStage}`);
+      console.log(`   ⏱️  Days in stage: ${decision.daysInStage}${decision.daysSinceLastAlert !== null ? `, since last alert: ${decision.daysSinceLastAlert}` : ''}`);
 
-      // TASK 1: Initial notification (applies to ALL stages)
-      // Triggers when matter hasn't changed stages for 30+ days
-      if (!tracking.initial_notification_sent && daysInStage >= this.INITIAL_ALERT_DAYS) {
-        console.log(`   🚨 Initial alert needed (${daysInStage} days >= ${this.INITIAL_ALERT_DAYS} days)`);
-        await this.createInitialAlertTask(matterId, tracking, stageName);
-        return { taskCreated: true, type: 'initial' };
+      if (decision.action === 'none') {
+        console.log(`   ✅ No action needed\n`);
+        return { matterId, stageName, taskCreated: false, daysInStage: decision.daysInStage };
       }
 
-      // TASK 2: Recurring notification (ONLY for "Funding in Progress" stage)
-      // Triggers every 30 days while matter remains in Funding in Progress
-      if (stageName === this.FUNDING_IN_PROGRESS_STAGE && tracking.initial_notification_sent) {
-        const daysSinceLastNotification = tracking.last_recurring_notification_at
-          ? Math.floor((now - new Date(tracking.last_recurring_notification_at)) / (1000 * 60 * 60 * 24))
-          : Math.floor((now - new Date(tracking.initial_notification_sent_at)) / (1000 * 60 * 60 * 24));
-
-        console.log(`   📅 Days since last notification: ${daysSinceLastNotification}`);
+      console.log(`   🚨 ${decision.action === 'initial' ? 'Initial' : 'Recurring'} alert needed (notification #${decision.notificationNumber})`);
+      const task = await this.createAlertTask(matter, rule, tracking, decision, ctx);
 
-        if (daysSinceLastNotification >= this.RECURRING_ALERT_DAYS) {
-          console.log(`   🔔 Recurring alert needed (${daysSinceLastNotification} days >= ${this.RECURRING_ALERT_DAYS} days)`);
-          await this.createRecurringAlertTask(matterId, tracking, stageName);
-          return { taskCreated: true, type: 'recurring' };
-        }
-      }
-
-      console.log(`   ✅ No action needed\n`);
-      return { taskCreated: false };
+      return {
+        matterId,
+        stageName,
+        ruleId: rule.id,
+        taskCreated: true,
+        type: decision.action,
+        notificationNumber: decision.notificationNumber,
+        daysInStage: decision.daysInStage,
+        taskId: task.id,
+        assignee: task.assignee,
+      };
 
     } catch (error) {
       console.error(`   ❌ Error checking matter ${matterId}: ${error.message}\n`);
-      return { taskCreated: false, error: error.message };
-    }
-  }
-
-  /**
-   * Get tracking record for a matter/stage
-   */
-  static async getTrackingRecord(matterId, stageName) {
-    const { data, error} = await supabase
-      .from('matter_stage_tracking')
-      .select('*')
-      .eq('matter_id', matterId)
-      .eq('stage_name', stageName)
-      .single();
-
-    if (error && error.code !== 'PGRST116') throw error; // Ignore "not found" error
-    return data;
-  }
 
-  /**
-   * Create tracking record when matter enters stage
-   */
-  static async createTrackingRecord(matterId, stageName) {
-    // Try to get matter_stage_updated_at from Clio
-    let stageEnteredAt = new Date();
-
-    try {
-      const matter = await ClioService.getMatter(matterId);
-      if (matter.matter_stage_updated_at) {
-        stageEnteredAt = new Date(matter.matter_stage_updated_at);
+      if (error instanceof AssigneeError) {
+        await SupabaseService.logError(error.code, `Stale matter alert not created: ${error.message}`, {
+          ...error.context,
+          matter_id: matterId,
+          stage_name: stageName,
+          rule_id: rule.id,
+        });
       }
-    } catch (error) {
-      console.log(`   ⚠️  Could not fetch matter from Clio, using current time: ${error.message}`);
-    }
-
-    const { data, error } = await supabase
-      .from('matter_stage_tracking')
-      .insert({
-        matter_id: matterId,
-        stage_name: stageName,
-        stage_entered_at: stageEnteredAt.toISOString(),
-      })
-      .select()
-      .single();
 
-    if (error) throw error;
-    return data;
+      return { matterId, stageName, taskCreated: false, error: error.message };
+    }
   }
 
   /**
-   * Create initial 30-day no progress alert task
+   * Get the matter's tracking row for its stage, created or restarted from the
+   * real stage entry time
    */
-  static async createInitialAlertTask(matterId, tracking, stageName) {
-    const taskName = 'Action Required: MATTER HAS NO PROGRESS - PLEASE REVIEW';
-    const taskDescription = 'This is an automated task. Matter stage has not changed for more than a month. Please close or move to the correct stage.';
-
-    // Calculate due date (6 business days from now)
-    const dueDate = addBusinessDays(new Date(), this.INITIAL_DUE_DAYS);
-    const dueDateFormatted = formatForClio(dueDate);
+  static async syncTracking(matter, rule, ctx = null) {
+    const stageId = matter.matter_stage.id;
+    const stageName = matter.matter_stage.name;
 
-    console.log(`   📝 Creating initial alert task (due: ${dueDateFormatted})...`);
+    const history = await SupabaseService.getMatterStageHistory(matter.id, 100, ctx);
+    const enteredAt = getStageEnteredAt(history, stageId) || matter.matter_stage_updated_at || null;
 
-    // Create task in Clio
-    const newTask = await ClioService.createTask({
-      name: taskName,
-      description: taskDescription,
-      matter: { id: matterId },
-      assignee: { id: this.INITIAL_ASSIGNEE_ID, type: 'User' },
-      due_at: dueDateFormatted,
-    });
+    const tracking = await SupabaseService.getStageTracking(matter.id, stageName, ctx);
 
-    console.log(`   ✅ Task created: ${newTask.id}`);
+    if (!tracking) {
+      const created = await SupabaseService.insertStageTracking({
+        matter_id: matter.id,
+        stage_id: stageId,
+        stage_name: stageName,
+        rule_id: rule.id,
+        stage_entered_at: new Date(enteredAt || Date.now()).toISOString(),
+      }, ctx);
+      console.log(`   📝 Created tracking record (entered stage: ${created.stage_entered_at})`);
+      return created;
+    }
 
-    // Record in Supabase tasks table
-    await SupabaseService.insertTask({
-      task_id: newTask.id,
-      task_name: newTask.name,
-      task_desc: newTask.description,
-      matter_id: matterId,
-      assigned_user_id: this.INITIAL_ASSIGNEE_ID,
-      assigned_user: 'Auto-assigned',
-      due_date: dueDateFormatted,
-      stage_id: null,
-      stage_name: stageName, // Use the actual current stage
-      task_number: null,
-      completed: false,
-      task_date_generated: new Date().toISOString(),
-      due_date_generated: new Date().toISOString(),
-    });
+    if (!enteredAt || new Date(enteredAt).getTime() === new Date(tracking.stage_entered_at).getTime()) {
+      return tracking;
+    }
 
-    // Update tracking record
-    await supabase
-      .from('matter_stage_tracking')
-      .update({
-        initial_notification_sent: true,
-        initial_notification_sent_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', tracking.id);
+    // Re-entered the stage since the last alert cycle - start over
+    if (new Date(enteredAt) > new Date(tracking.stage_entered_at)) {
+      console.log(`   🔁 Matter re-entered stage on ${enteredAt} - restarting alerts`);
+      return SupabaseService.updateStageTracking(tracking.id, {
+        stage_id: stageId,
+        rule_id: rule.id,
+        stage_entered_at: new Date(enteredAt).toISOString(),
+        initial_notification_sent: false,
+        initial_notification_sent_at: null,
+        last_recurring_notification_at: null,
+        recurring_notification_count: 0,
+      }, ctx);
+    }
 
-    console.log(`   ✅ Initial alert task created\n`);
+    // Tracking was started before the entry time was known
+    return SupabaseService.updateStageTracking(tracking.id, {
+      stage_id: stageId,
+      stage_entered_at: new Date(enteredAt).toISOString(),
+    }, ctx);
   }
 
   /**
-   * Create recurring 30-day notification task
+   * Create the alert task for the next assignee of the rule's escalation chain
    */
-  static async createRecurringAlertTask(matterId, tracking, stageName) {
-    const taskName = '30 Day Notification';
-    const taskDescription = 'This is an auto-generated task triggered every 30 days while the matter remains in the "Funding in Progress" stage. Please review and either progress the matter or close it out if appropriate.';
+  static async createAlertTask(matter, rule, tracking, decision, ctx = null) {
+    const matterId = matter.id;
+    const stageName = matter.matter_stage.name;
+    const recurring = decision.action === 'recurring';
+
+    const values = {
+      stage_name: stageName,
+      days_in_stage: decision.daysInStage,
+      notification_number: decision.notificationNumber,
+      matter_number: matter.display_number,
+    };
+    const taskName = renderAlertText((recurring && rule.recurring_task_title) || rule.initial_task_title, values);
+    const taskDescription = renderAlertText((recurring && rule.recurring_task_description) || rule.initial_task_description, values);
+
+    const dueDays = recurring ? rule.recurring_due_days : rule.initial_due_days;
+    const dueDateFormatted = formatForClio(addBusinessDays(getZonedNow(getOfficeTimezone(matter.location)), dueDays));
 
-    // Calculate due date (7 business days from now)
-    const dueDate = addBusinessDays(new Date(), this.RECURRING_DUE_DAYS);
-    const dueDateFormatted = formatForClio(dueDate);
+    // Escalation chain entry → user (out-of-office assignees → their delegate)
+    const assigneeType = getEscalationAssignee(rule, decision.notificationNumber);
+    const assignee = await resolveAssignee(assigneeType, matter, null, null, false, ctx);
 
-    console.log(`   📝 Creating recurring alert task (due: ${dueDateFormatted})...`);
+    console.log(`   📝 Creating ${decision.action} alert task for ${assignee.name || assignee.id} (due: ${dueDateFormatted})...`);
 
-    // Create task in Clio
     const newTask = await ClioService.createTask({
       name: taskName,
       description: taskDescription,
       matter: { id: matterId },
-      assignee: { id: this.RECURRING_ASSIGNEE_ID, type: 'User' },
+      assignee: { id: assignee.id, type: 'User' },
       due_at: dueDateFormatted,
-    });
+    }, ctx);
 
     console.log(`   ✅ Task created: ${newTask.id}`);
 
@@ -301,29 +292,47 @@ export class StaleMatterCheckerJob {
       task_name: newTask.name,
       task_desc: newTask.description,
       matter_id: matterId,
-      assigned_user_id: this.RECURRING_ASSIGNEE_ID,
-      assigned_user: 'Auto-assigned',
+      assigned_user_id: assignee.id,
+      assigned_user: assignee.name,
       due_date: dueDateFormatted,
       stage_id: null,
-      stage_name: stageName, // Should always be "Funding in Progress" for recurring tasks
+      stage_name: stageName, // Use the actual current stage
       task_number: null,
       completed: false,
       task_date_generated: new Date().toISOString(),
       due_date_generated: new Date().toISOString(),
-    });
+    }, ctx);
 
-    // Update tracking record
-    const newCount = (tracking.recurring_notification_count || 0) + 1;
-    await supabase
-      .from('matter_stage_tracking')
-      .update({
+    await SupabaseService.updateStageTracking(tracking.id, recurring
+      ? {
+        rule_id: rule.id,
         last_recurring_notification_at: new Date().toISOString(),
-        recurring_notification_count: newCount,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', tracking.id);
+        recurring_notification_count: (tracking.recurring_notification_count || 0) + 1,
+      }
+      : {
+        rule_id: rule.id,
+        initial_notification_sent: true,
+        initial_notification_sent_at: new Date().toISOString(),
+      }, ctx);
+
+    ctx?.logDecision('stale_matter_alert', {
+      matterId,
+      stageName,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      daysInStage: decision.daysInStage,
+      daysSinceLastAlert: decision.daysSinceLastAlert,
+    }, {
+      type: decision.action,
+      notificationNumber: decision.notificationNumber,
+      assigneeType,
+      assignee: { id: assignee.id, name: assignee.name },
+      taskId: newTask.id,
+      dueDate: dueDateFormatted,
+    });
 
-    console.log(`   ✅ Recurring alert task created (notification #${newCount})\n`);
+    console.log(`   ✅ ${recurring ? 'Recurring' : 'Initial'} alert task created (notification #${decision.notificationNumber})\n`);
+    return { id: newTask.id, assignee: { id: assignee.id, name: assignee.name } };
   }
 }
 
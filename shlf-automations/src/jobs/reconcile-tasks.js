@@ -0,0 +1,160 @@
+import { SupabaseService } from '../services/supabase.js';
+import { ClioService } from '../services/clio.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { TestModeService } from '../services/test-mode.js';
+import { config } from '../config/index.js';
+import { reconcileMatterTasks } from '../utils/task-reconciliation.js';
+
+/**
+ * Task Reconciliation Job
+ *
+ * The `tasks` table is the automation's memory of what it created, but tasks
+ * are edited, completed and deleted in Clio without a webhook reaching us
+ * (expired webhooks, outages). This job pages through open matters and brings
+ * the `tasks` rows back in line with Clio:
+ * - status (completed / reopened)
+ * - due date
+ * - assignee
+ * - deleted (no longer in Clio)
+ *
+ * Rows checked per matter: the current stage's tasks plus open tasks left from
+ * earlier stages. Only Supabase is corrected - completion follow-ups a missed
+ * webhook would have created are not run, and Clio tasks without a row are
+ * left alone.
+ *
+ * Every correction is listed on the job trace (`reconcile_tasks` step output
+ * and a `task_drift` decision per matter). With dryRun nothing is written.
+ *
+ * Runs nightly via JobScheduler. Manual: node src/jobs/reconcile-tasks.js [--dry-run]
+ */
+export class TaskReconciliationJob {
+  /**
+   * Main entry point
+   * @param {string} [traceId] - Job trace (from JobScheduler.runJobWithTracking)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report drift without correcting it
+   */
+  static async run(traceId = null, { dryRun = false } = {}) {
+    console.log(`🔄 [RECONCILE] Reconciling tasks with Clio${dryRun ? ' (dry run)' : ''}...`);
+
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'job',
+      stepName: 'reconcile_tasks',
+      input: { dryRun, testMode: config.testing.testMode },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    const totals = { mattersChecked: 0, mattersSkipped: 0, mattersFailed: 0, tasksChecked: 0, tasksInSync: 0, tasksCorrected: 0 };
+    const corrections = [];
+    const errors = [];
+
+    try {
+      let pageUrl = null;
+      do {
+        const page = await ClioService.getMatters({ status: 'open', pageUrl }, ctx);
+        pageUrl = page.next;
+
+        for (const matter of page.matters) {
+          if (config.testing.testMode && !(await TestModeService.evaluate(matter.id, { matter })).allowed) {
+            totals.mattersSkipped++;
+            continue;
+          }
+
+          try {
+            const result = await this.reconcileMatter(matter, { dryRun, ctx });
+            if (!result) {
+              totals.mattersSkipped++;
+              continue;
+            }
+
+            totals.mattersChecked++;
+            totals.tasksChecked += result.tasksChecked;
+            totals.tasksInSync += result.inSync;
+            totals.tasksCorrected += new Set(result.corrections.map(c => c.taskId)).size;
+            corrections.push(...result.corrections);
+          } catch (error) {
+            console.error(`[RECONCILE] ${matter.id} Failed: ${error.message}`);
+            totals.mattersFailed++;
+            errors.push({ matterId: matter.id, error: error.message });
+          }
+        }
+      } while (pageUrl);
+
+      const summary = { success: true, dryRun, ...totals, corrections, errors };
+
+      console.log(`✨ [RECONCILE] ${totals.mattersChecked} matter(s), ${totals.tasksChecked} task(s) checked: ${totals.tasksCorrected} ${dryRun ? 'drifted' : 'corrected'} (${corrections.length} field(s)), ${totals.mattersFailed} matter(s) failed\n`);
+      await EventTracker.endStep(stepId, { status: errors.length > 0 ? 'error' : 'success', output: summary });
+      return summary;
+    } catch (error) {
+      console.error(`❌ [RECONCILE] Job failed: ${error.message}\n`);
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: error.message, output: { ...totals, corrections, errors } });
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile one matter's tasks
+   * @param {Object} matter - Clio matter (id, display_number, matter_stage)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false]
+   * @param {Object} [options.ctx] - Job tracking context
+   * @returns {Promise<Object|null>} { tasksChecked, inSync, corrections } or null if the matter has no tasks rows
+   */
+  static async reconcileMatter(matter, { dryRun = false, ctx = null } = {}) {
+    const matterId = matter.id;
+    const stageTasks = matter.matter_stage?.id
+      ? await SupabaseService.getTasksByMatterAndStage(matterId, matter.matter_stage.id, null, ctx)
+      : [];
+    const openTasks = await SupabaseService.getOpenTasksByMatter(matterId, ctx);
+    const records = [...new Map([...stageTasks, ...openTasks].map(task => [task.task_id, task])).values()];
+
+    if (records.length === 0) return null;
+
+    const clioTasks = await ClioService.getTasksByMatter(matterId, ctx);
+    const { drifted, inSync } = reconcileMatterTasks(records, clioTasks);
+
+    const corrections = [];
+    for (const { record, corrections: fields, updates } of drifted) {
+      let applied = false;
+      if (!dryRun) {
+        await SupabaseService.updateTask(record.task_id, { ...updates, last_updated: new Date().toISOString() }, ctx);
+        applied = true;
+      }
+
+      for (const correction of fields) {
+        corrections.push({
+          matterId,
+          matterName: matter.display_number,
+          taskId: record.task_id,
+          taskName: record.task_name,
+          stageName: record.stage_name,
+          ...correction,
+          applied,
+        });
+      }
+    }
+
+    if (corrections.length > 0) {
+      console.log(`[RECONCILE] ${matterId} ${drifted.length} task(s) drifted: ${corrections.map(c => `${c.taskId} ${c.field}`).join(', ')}`);
+      ctx?.logDecision('task_drift', { matterId, matterName: matter.display_number, tasksChecked: records.length }, { dryRun, corrections });
+    }
+
+    return { tasksChecked: drifted.length + inSync, inSync, corrections };
+  }
+}
+
+// Run immediately if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const dryRun = process.argv.includes('--dry-run');
+  const { JobScheduler } = await import('./scheduler.js');
+
+  JobScheduler.runJobWithTracking('reconcile-tasks', (traceId) => TaskReconciliationJob.run(traceId, { dryRun }))
+    .then(result => {
+      console.log('Job result:', JSON.stringify({ ...result, corrections: result.corrections.length }, null, 2));
+      process.exit(result.errors.length === 0 ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,169 @@
+import { ClioService } from '../services/clio.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { config } from '../config/index.js';
+import { WEBHOOK_MANIFEST, WEBHOOK_LIFETIME_DAYS } from '../constants/webhook-manifest.js';
+import { planWebhookReconciliation, webhookUrl } from '../utils/webhook-reconciliation.js';
+
+/**
+ * Webhook Reconciliation Job
+ *
+ * WebhookRenewalJob only extends subscriptions that exist. A subscription that
+ * was deleted, suspended or is missing a model/event goes unnoticed until
+ * automations stop firing. This job compares Clio's subscriptions with
+ * WEBHOOK_MANIFEST (constants/webhook-manifest.js) and:
+ * - creates missing subscriptions
+ * - recreates suspended/expired ones
+ * - updates mismatched events/fields
+ * - deletes duplicates and subscriptions pointing at old URLs of this server
+ *   (WEBHOOK_LEGACY_BASE_URLS)
+ *
+ * Subscriptions for other hosts are only reported (`unmanagedWebhooks`).
+ *
+ * Drift is listed on the job trace (`reconcile_webhooks` step output and a
+ * `webhook_drift` decision). With dryRun nothing is changed.
+ *
+ * Runs hourly via JobScheduler, or on demand via POST /admin/webhooks/reconcile.
+ * Manual: node src/jobs/reconcile-webhooks.js [--dry-run]
+ */
+export class WebhookReconciliationJob {
+  /**
+   * Main entry point
+   * @param {string} [traceId] - Job trace (from JobScheduler.runJobWithTracking)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report drift without fixing it
+   */
+  static async run(traceId = null, { dryRun = false } = {}) {
+    console.log(`🔄 [WEBHOOK-RECONCILE] Reconciling Clio webhooks${dryRun ? ' (dry run)' : ''}...`);
+
+    const baseUrl = config.webhooks.baseUrl;
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'job',
+      stepName: 'reconcile_webhooks',
+      input: { dryRun, baseUrl, manifest: WEBHOOK_MANIFEST.map(entry => entry.name) },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    if (!baseUrl) {
+      console.warn('⚠️  [WEBHOOK-RECONCILE] WEBHOOK_BASE_URL not configured, skipping');
+      const summary = { success: false, dryRun, action: 'not_configured', error: 'WEBHOOK_BASE_URL not configured' };
+      await EventTracker.endStep(stepId, { status: 'skipped', output: summary });
+      return summary;
+    }
+
+    try {
+      const webhooks = await ClioService.getWebhooks({}, ctx);
+      const { changes, inSync, unmanaged } = planWebhookReconciliation(WEBHOOK_MANIFEST, webhooks, {
+        baseUrl,
+        legacyBaseUrls: config.webhooks.legacyBaseUrls,
+      });
+
+      if (changes.length > 0) {
+        ctx.logDecision('webhook_drift', { subscriptions: webhooks.length, baseUrl }, { dryRun, changes });
+      }
+
+      const results = [];
+      for (const change of changes) {
+        const label = `${change.name || change.url} ${change.action} (${change.reason})`;
+        if (dryRun) {
+          console.log(`[WEBHOOK-RECONCILE] Drift: ${label}`);
+          results.push({ ...change, applied: false });
+          continue;
+        }
+
+        try {
+          const created = await this.applyChange(change, { baseUrl, ctx });
+          console.log(`[WEBHOOK-RECONCILE] Fixed: ${label}`);
+          results.push({ ...change, applied: true, ...(created && { newWebhookId: created.id }) });
+        } catch (error) {
+          console.error(`[WEBHOOK-RECONCILE] Failed: ${label}: ${error.message}`);
+          results.push({ ...change, applied: false, error: error.message });
+        }
+      }
+
+      const failed = results.filter(r => r.error).length;
+      const summary = {
+        success: true,
+        dryRun,
+        checked: webhooks.length,
+        inSync: inSync.length,
+        drifted: changes.length,
+        fixed: results.filter(r => r.applied).length,
+        failed,
+        unmanaged: unmanaged.length,
+        unmanagedWebhooks: unmanaged,
+        changes: results,
+      };
+
+      console.log(`✨ [WEBHOOK-RECONCILE] ${webhooks.length} subscription(s), ${inSync.length}/${WEBHOOK_MANIFEST.length} in sync, ${changes.length} ${dryRun ? 'drifted' : 'change(s)'}, ${failed} failed\n`);
+      await EventTracker.endStep(stepId, { status: failed > 0 ? 'error' : 'success', output: summary });
+      return summary;
+    } catch (error) {
+      console.error(`❌ [WEBHOOK-RECONCILE] Job failed: ${error.message}\n`);
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one planned change in Clio
+   * Recreated subscriptions are created before the old one is deleted, so
+   * nothing is missed in between (duplicate deliveries are idempotent).
+   * @returns {Promise<Object|null>} The created subscription, if any
+   */
+  static async applyChange(change, { baseUrl, ctx = null }) {
+    const entry = WEBHOOK_MANIFEST.find(e => e.name === change.name);
+
+    switch (change.action) {
+      case 'create':
+        return await ClioService.createWebhook(this.subscription(entry, baseUrl), ctx);
+
+      case 'recreate': {
+        const created = await ClioService.createWebhook(this.subscription(entry, baseUrl), ctx);
+        await ClioService.deleteWebhook(change.webhookId, ctx);
+        return created;
+      }
+
+      case 'update':
+        await ClioService.updateWebhook(change.webhookId, { events: entry.events, fields: entry.fields }, ctx);
+        return null;
+
+      case 'delete':
+        await ClioService.deleteWebhook(change.webhookId, ctx);
+        return null;
+
+      default:
+        throw new Error(`Unknown webhook change: ${change.action}`);
+    }
+  }
+
+  /**
+   * Clio subscription for a manifest entry
+   */
+  static subscription(entry, baseUrl) {
+    return {
+      url: webhookUrl(entry, baseUrl),
+      model: entry.model,
+      events: entry.events,
+      fields: entry.fields,
+      expires_at: new Date(Date.now() + WEBHOOK_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    };
+  }
+}
+
+// Run immediately if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const dryRun = process.argv.includes('--dry-run');
+  const { JobScheduler } = await import('./scheduler.js');
+  const { TokenRefreshService } = await import('../services/token-refresh.js');
+  await TokenRefreshService.initialize();
+
+  JobScheduler.runJobWithTracking('reconcile-webhooks', (traceId) => WebhookReconciliationJob.run(traceId, { dryRun }))
+    .then(result => {
+      console.log('Job result:', JSON.stringify(result, null, 2));
+      process.exit(result.success && result.failed === 0 ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,284 @@
+import { randomUUID } from 'crypto';
+import { config } from '../config/index.js';
+import { SupabaseService } from '../services/supabase.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { DeadLetterService } from '../services/dead-letter.js';
+import { webhookQueue } from '../utils/webhook-queue.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
+
+/**
+ * Reservation Recovery Job
+ *
+ * Automations reserve a webhook in `webhook_events` (success = NULL) before
+ * processing it. The reservation holds a lease (IDEMPOTENCY_LEASE_SECONDS); if
+ * the process dies mid-run the lease expires and the reservation is abandoned.
+ *
+ * For each abandoned reservation this job claims it (so only one instance acts)
+ * and applies IDEMPOTENCY_ABANDONED_POLICY:
+ * - rerun: process the stored payload again through the webhook queue, as a
+ *   replay with a fresh idempotency key (like dead-letter replays)
+ * - fail: mark it failed and store it as a dead letter for manual replay
+ * Reservations that reach IDEMPOTENCY_MAX_ATTEMPTS are always failed.
+ *
+ * New traces point back at the abandoned run's trace, and the abandoned trace
+ * gets a step pointing forward.
+ *
+ * Runs every 5 minutes via JobScheduler.
+ */
+
+// webhook_events.event_type → route endpoint + trigger name
+const EVENT_ROUTES = {
+  'matter.updated': { endpoint: '/matters', triggerName: 'matter-stage-change' },
+  'matter.closed': { endpoint: '/matters', triggerName: 'matter-closed' },
+  'matter.reopened': { endpoint: '/matters', triggerName: 'matter-reopened' },
+  'task.completed': { endpoint: '/tasks', triggerName: 'task-completed' },
+  'task.deleted': { endpoint: '/tasks', triggerName: 'task-deleted' },
+  'calendar_entry.created': { endpoint: '/calendar', triggerName: 'meeting-scheduled' },
+  'calendar_entry.updated': { endpoint: '/calendar', triggerName: 'meeting-scheduled' },
+  'calendar_entry.deleted': { endpoint: '/calendar', triggerName: 'calendar-entry-deleted' },
+  'document.created': { endpoint: '/documents', triggerName: 'document-created' },
+};
+
+const BATCH_SIZE = 50;
+
+export class ReservationRecoveryJob {
+  /**
+   * Main entry point
+   * @param {string} [traceId] - Job trace (from JobScheduler.runJobWithTracking)
+   */
+  static async run(traceId = null) {
+    console.log('🔄 [RESERVATIONS] Checking for abandoned webhook reservations...');
+
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'job',
+      stepName: 'recover_reservations',
+      input: {
+        policy: config.idempotency.abandonedPolicy,
+        leaseSeconds: config.idempotency.leaseSeconds,
+        maxAttempts: config.idempotency.maxAttempts,
+      },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    try {
+      const reservations = await SupabaseService.getExpiredReservations(BATCH_SIZE, ctx);
+
+      if (reservations.length === 0) {
+        console.log('✅ [RESERVATIONS] No abandoned reservations\n');
+        await EventTracker.endStep(stepId, { status: 'success', output: { found: 0 } });
+        return { success: true, found: 0, rerun: 0, failed: 0, skipped: 0 };
+      }
+
+      console.log(`⚠️  [RESERVATIONS] Found ${reservations.length} abandoned reservation(s)`);
+
+      const results = [];
+      for (const reservation of reservations) {
+        results.push(await this.recover(reservation, ctx));
+      }
+
+      const summary = {
+        success: true,
+        found: reservations.length,
+        rerun: results.filter(r => r.action === 'rerun').length,
+        rerunFailed: results.filter(r => r.action === 'rerun_failed').length,
+        failed: results.filter(r => r.action === 'failed').length,
+        skipped: results.filter(r => r.action === 'skipped').length,
+        results,
+      };
+
+      console.log(`✨ [RESERVATIONS] Re-ran ${summary.rerun}, re-run failed ${summary.rerunFailed}, failed ${summary.failed}, skipped ${summary.skipped}\n`);
+      await EventTracker.endStep(stepId, { status: 'success', output: { ...summary, results: undefined } });
+      return summary;
+    } catch (error) {
+      console.error(`❌ [RESERVATIONS] Job failed: ${error.message}\n`);
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim an abandoned reservation and apply the recovery policy
+   * @param {Object} reservation - webhook_events row
+   * @param {Object} [ctx] - Job tracking context
+   * @returns {Promise<Object>} { idempotencyKey, action, ... }
+   */
+  static async recover(reservation, ctx = null) {
+    const idempotencyKey = reservation.idempotency_key;
+    const attempts = reservation.processing_attempts || 1;
+    const route = EVENT_ROUTES[reservation.event_type];
+
+    const claimed = await SupabaseService.claimWebhookReservation(reservation, ctx?.traceId || null, ctx);
+    if (!claimed) {
+      // Finished or claimed by another instance since we listed it
+      return { idempotencyKey, action: 'skipped', reason: 'already_claimed' };
+    }
+
+    const handler = route ? webhookQueue.getHandler(route.endpoint) : null;
+    let reason = null;
+    if (config.idempotency.abandonedPolicy === 'fail') reason = 'policy_fail';
+    else if (attempts >= config.idempotency.maxAttempts) reason = 'max_attempts';
+    else if (!reservation.webhook_payload) reason = 'no_payload';
+    else if (!handler) reason = 'no_handler';
+
+    ctx?.logDecision('reservation_recovery', { idempotencyKey, attempts, eventType: reservation.event_type }, { rerun: !reason, reason });
+
+    if (reason) {
+      return this.fail(reservation, route, reason);
+    }
+
+    return this.rerun(reservation, route, handler);
+  }
+
+  /**
+   * Re-run the stored webhook as a replay (fresh idempotency key)
+   */
+  static async rerun(reservation, route, handler) {
+    const idempotencyKey = reservation.idempotency_key;
+    const recoveryId = randomUUID();
+    const webhookData = {
+      ...reservation.webhook_payload,
+      replay: {
+        replayId: recoveryId,
+        recoveredReservation: idempotencyKey,
+        originalTraceId: reservation.trace_id || null,
+      },
+    };
+
+    console.log(`[RESERVATIONS] Re-running ${idempotencyKey} (${route.triggerName}) as ${recoveryId}`);
+
+    const traceId = await EventTracker.startTrace({
+      source: 'webhook',
+      triggerName: route.triggerName,
+      endpoint: `/webhooks${route.endpoint}`,
+      matterId: this.getMatterId(reservation),
+      webhookId: reservation.webhook_id,
+      input: { idempotencyKey, recoveryId, payload: webhookData },
+      metadata: {
+        recoveryOf: reservation.trace_id || null,
+        idempotencyKey,
+        attempt: (reservation.processing_attempts || 1) + 1,
+      },
+    });
+
+    await this.linkOriginalTrace(reservation, 'reservation_recovered', { recoveryTraceId: traceId, recoveryId });
+
+    try {
+      const result = await webhookQueue.enqueue(
+        webhookData,
+        () => handler(webhookData, traceId),
+        traceId,
+        { endpoint: route.endpoint, triggerName: route.triggerName }
+      );
+
+      await EventTracker.endTrace(traceId, {
+        status: 'success',
+        resultAction: result?.action || 'processed',
+        output: result,
+        metadata: { recoveryOf: reservation.trace_id || null, idempotencyKey },
+      });
+
+      await SupabaseService.updateWebhookProcessed(idempotencyKey, {
+        success: result?.success ?? true,
+        action: 'recovered',
+        recovery_trace_id: traceId,
+        recovered_at: new Date().toISOString(),
+      });
+
+      console.log(`[RESERVATIONS] Recovered ${idempotencyKey} (${result?.action || 'processed'})`);
+      return { idempotencyKey, action: 'rerun', traceId, result: result?.action || 'processed' };
+    } catch (error) {
+      await EventTracker.endTrace(traceId, {
+        status: 'error',
+        errorMessage: error.message,
+        metadata: { recoveryOf: reservation.trace_id || null, idempotencyKey },
+      });
+
+      // Replays skip the route's dead-letter step - store it here so it isn't lost
+      await this.fail(reservation, route, 'rerun_failed', error, traceId);
+      return { idempotencyKey, action: 'rerun_failed', traceId, error: error.message };
+    }
+  }
+
+  /**
+   * Mark the reservation failed and surface it as a dead letter
+   * @param {Object} reservation
+   * @param {Object} [route] - EVENT_ROUTES entry
+   * @param {string} reason - policy_fail | max_attempts | no_payload | no_handler | rerun_failed
+   * @param {Error} [cause] - Re-run error
+   * @param {string} [recoveryTraceId] - Trace of the failed re-run
+   */
+  static async fail(reservation, route, reason, cause = null, recoveryTraceId = null) {
+    const idempotencyKey = reservation.idempotency_key;
+    const message = cause
+      ? `Recovery of abandoned reservation failed: ${cause.message}`
+      : `Webhook reservation abandoned (lease expired ${reservation.lease_expires_at}, ${reason})`;
+
+    console.error(`[RESERVATIONS] ${idempotencyKey}: ${message}`);
+
+    await SupabaseService.updateWebhookProcessed(idempotencyKey, {
+      success: false,
+      action: 'abandoned',
+      recovery_trace_id: recoveryTraceId,
+      recovered_at: new Date().toISOString(),
+      failure_details: {
+        reason,
+        error: cause?.message || null,
+        lease_owner: reservation.lease_owner || null,
+        lease_expires_at: reservation.lease_expires_at,
+        attempts: reservation.processing_attempts || 1,
+        trace_id: reservation.trace_id || null,
+      },
+    });
+
+    if (recoveryTraceId === null) {
+      await this.linkOriginalTrace(reservation, 'reservation_abandoned', { reason });
+    }
+
+    let deadLetter = null;
+    if (reservation.webhook_payload && route) {
+      const error = new Error(message);
+      error.code = ERROR_CODES.WEBHOOK_RESERVATION_ABANDONED;
+      deadLetter = await DeadLetterService.record({
+        webhookData: reservation.webhook_payload,
+        endpoint: route.endpoint,
+        triggerName: route.triggerName,
+        matterId: this.getMatterId(reservation),
+        traceId: recoveryTraceId || reservation.trace_id || null,
+        attempts: reservation.processing_attempts || 1,
+        error,
+      });
+    } else {
+      await SupabaseService.logError(ERROR_CODES.WEBHOOK_RESERVATION_ABANDONED, message, {
+        idempotency_key: idempotencyKey,
+        event_type: reservation.event_type,
+        resource_id: reservation.resource_id,
+        trace_id: reservation.trace_id || null,
+        reason,
+      });
+    }
+
+    return { idempotencyKey, action: 'failed', reason, deadLetterId: deadLetter?.id || null };
+  }
+
+  /**
+   * Add a step to the abandoned run's trace pointing at what happened to it
+   */
+  static async linkOriginalTrace(reservation, stepName, output) {
+    if (!reservation.trace_id) return;
+
+    const stepId = await EventTracker.startStep(reservation.trace_id, {
+      layerName: 'processing',
+      stepName,
+      input: { idempotencyKey: reservation.idempotency_key },
+    });
+    await EventTracker.endStep(stepId, { status: 'success', output });
+  }
+
+  /**
+   * Matter ID for traces / dead letters
+   */
+  static getMatterId(reservation) {
+    if (reservation.resource_type === 'matter') return Number(reservation.resource_id);
+    return reservation.webhook_payload?.data?.matter?.id || null;
+  }
+}
@@ -9,9 +9,12 @@ import { TokenRefreshService } from '../services/token-refresh.js';
  * This job:
  * - Runs daily to check token expiration
  * - Refreshes tokens that expire within 24 hours
- * - Updates tokens in memory and .env file
+ * - Updates the token in Supabase (clio_tokens), where every instance reads it
  * - Prevents API failures due to expired tokens
  *
+ * Every instance runs it; the first one to take the clio_tokens lease
+ * refreshes and the rest find the new token already stored.
+ *
  * Should be run once daily via cron (e.g., at 1:00 AM EST).
  */
 export class TokenRefreshJob {
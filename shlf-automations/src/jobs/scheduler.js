@@ -3,7 +3,13 @@ import { WebhookRenewalJob } from './renew-webhooks.js';
 import { StaleMatterCheckerJob } from './check-stale-matters.js';
 import { TokenRefreshJob } from './refresh-token.js';
 import { run as runCleanupEvents } from './cleanup-events.js';
+import { ReservationRecoveryJob } from './recover-reservations.js';
+import { DelegationSyncJob } from './sync-delegations.js';
+import { TaskReconciliationJob } from './reconcile-tasks.js';
+import { TaskVerificationJob } from './verify-tasks.js';
+import { WebhookReconciliationJob } from './reconcile-webhooks.js';
 import { EventTracker } from '../services/event-tracker.js';
+import { metrics } from '../utils/metrics.js';
 
 /**
  * Job Scheduler
@@ -14,7 +20,7 @@ export class JobScheduler {
   static jobs = [];
 
   /**
-   * Wrap a job with event tracking
+   * Wrap a job with event tracking (and job metrics, see runJobWithMetrics)
    */
   static async runJobWithTracking(jobName, jobFn) {
     const traceId = await EventTracker.startTrace({
@@ -24,7 +30,7 @@ export class JobScheduler {
     });
 
     try {
-      const result = await jobFn(traceId);
+      const result = await this.runJobWithMetrics(jobName, () => jobFn(traceId));
       await EventTracker.endTrace(traceId, {
         status: 'success',
         resultAction: 'completed',
@@ -40,6 +46,25 @@ export class JobScheduler {
     }
   }
 
+  /**
+   * Run a job and record it in the job metrics (runs, failures, duration on /metrics)
+   * A job that returns { success: false } counts as failed.
+   */
+  static async runJobWithMetrics(jobName, jobFn) {
+    const start = Date.now();
+    let failed = true;
+    metrics.jobRuns.inc({ job: jobName });
+
+    try {
+      const result = await jobFn();
+      failed = result?.success === false;
+      return result;
+    } finally {
+      if (failed) metrics.jobFailures.inc({ job: jobName });
+      metrics.jobDuration.observe({ job: jobName }, (Date.now() - start) / 1000);
+    }
+  }
+
   /**
    * Initialize and start all scheduled jobs
    */
@@ -50,7 +75,7 @@ export class JobScheduler {
     const tokenRefreshJob = cron.schedule('0 1 * * *', async () => {
       console.log('⏰ [SCHEDULER] Triggered: Token Refresh Job');
       try {
-        await TokenRefreshJob.run();
+        await this.runJobWithTracking('token-refresh', () => TokenRefreshJob.run());
       } catch (error) {
         console.error('[SCHEDULER] Token refresh job failed:', error);
       }
@@ -61,7 +86,7 @@ export class JobScheduler {
     this.jobs.push({
       name: 'token-refresh',
       schedule: '0 1 * * *',
-      description: 'Refreshes CLIO access token if expiring within 24 hours',
+      description: 'Refreshes CLIO access token if expiring within 24 hours (one instance, via the clio_tokens lease)',
       job: tokenRefreshJob,
     });
 
@@ -69,7 +94,7 @@ export class JobScheduler {
     const webhookRenewalJob = cron.schedule('0 2 * * *', async () => {
       console.log('⏰ [SCHEDULER] Triggered: Webhook Renewal Job');
       try {
-        await WebhookRenewalJob.run();
+        await this.runJobWithMetrics('webhook-renewal', () => WebhookRenewalJob.run());
       } catch (error) {
         console.error('[SCHEDULER] Webhook renewal job failed:', error);
       }
@@ -88,7 +113,7 @@ export class JobScheduler {
     const staleMatterJob = cron.schedule('0 3 * * *', async () => {
       console.log('⏰ [SCHEDULER] Triggered: Stale Matter Checker Job');
       try {
-        await StaleMatterCheckerJob.run();
+        await this.runJobWithTracking('stale-matter-checker', (traceId) => StaleMatterCheckerJob.run(traceId));
       } catch (error) {
         console.error('[SCHEDULER] Stale matter checker job failed:', error);
       }
@@ -99,7 +124,7 @@ export class JobScheduler {
     this.jobs.push({
       name: 'stale-matter-checker',
       schedule: '0 3 * * *',
-      description: 'Creates tasks for matters stuck in Funding in Progress',
+      description: 'Creates no-progress tasks for matters stuck in a stage (stale_matter_rules)',
       job: staleMatterJob,
     });
 
@@ -122,6 +147,99 @@ export class JobScheduler {
       job: eventCleanupJob,
     });
 
+    // Job 5: Abandoned Reservation Recovery (runs every 5 minutes)
+    const reservationRecoveryJob = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await this.runJobWithTracking('recover-reservations', (traceId) => ReservationRecoveryJob.run(traceId));
+      } catch (error) {
+        console.error('[SCHEDULER] Reservation recovery job failed:', error);
+      }
+    }, {
+      timezone: 'America/New_York',
+    });
+
+    this.jobs.push({
+      name: 'recover-reservations',
+      schedule: '*/5 * * * *',
+      description: 'Re-runs or fails webhook reservations whose lease expired mid-processing',
+      job: reservationRecoveryJob,
+    });
+
+    // Job 6: Out-of-Office Delegation Sync (runs every 15 minutes)
+    const delegationSyncJob = cron.schedule('*/15 * * * *', async () => {
+      try {
+        await this.runJobWithTracking('sync-delegations', (traceId) => DelegationSyncJob.run(traceId));
+      } catch (error) {
+        console.error('[SCHEDULER] Delegation sync job failed:', error);
+      }
+    }, {
+      timezone: 'America/New_York',
+    });
+
+    this.jobs.push({
+      name: 'sync-delegations',
+      schedule: '*/15 * * * *',
+      description: 'Moves open tasks to out-of-office delegates when a leave starts and back when it ends',
+      job: delegationSyncJob,
+    });
+
+    // Job 7: Task Reconciliation (runs daily at 5 AM)
+    const taskReconciliationJob = cron.schedule('0 5 * * *', async () => {
+      console.log('⏰ [SCHEDULER] Triggered: Task Reconciliation Job');
+      try {
+        await this.runJobWithTracking('reconcile-tasks', (traceId) => TaskReconciliationJob.run(traceId));
+      } catch (error) {
+        console.error('[SCHEDULER] Task reconciliation job failed:', error);
+      }
+    }, {
+      timezone: 'America/New_York',
+    });
+
+    this.jobs.push({
+      name: 'reconcile-tasks',
+      schedule: '0 5 * * *',
+      description: 'Corrects task status, due date, assignee and deletions in Supabase that drifted from Clio',
+      job: taskReconciliationJob,
+    });
+
+    // Job 8: Deferred Task Verification (runs every minute)
+    // Not wrapped in a job trace - each verification pass writes its own
+    const taskVerificationJob = cron.schedule('* * * * *', async () => {
+      try {
+        await this.runJobWithMetrics('verify-tasks', () => TaskVerificationJob.run());
+      } catch (error) {
+        console.error('[SCHEDULER] Task verification job failed:', error);
+      }
+    }, {
+      timezone: 'America/New_York',
+    });
+
+    this.jobs.push({
+      name: 'verify-tasks',
+      schedule: '* * * * *',
+      description: 'Runs due task verifications: regenerates missing tasks, escalates after the final pass',
+      job: taskVerificationJob,
+    });
+
+    // Job 9: Webhook Reconciliation (runs hourly)
+    const webhookReconciliationJob = cron.schedule('0 * * * *', async () => {
+      console.log('⏰ [SCHEDULER] Triggered: Webhook Reconciliation Job');
+      try {
+        await this.runJobWithTracking('reconcile-webhooks', (traceId) => WebhookReconciliationJob.run(traceId));
+      } catch (error) {
+        console.error('[SCHEDULER] Webhook reconciliation job failed:', error);
+      }
+    }, {
+      timezone: 'America/New_York',
+    });
+
+    this.jobs.push({
+      name: 'reconcile-webhooks',
+      schedule: '0 * * * *',
+      description: 'Creates, fixes and removes Clio webhook subscriptions to match the webhook manifest',
+      job: webhookReconciliationJob,
+    });
+
     console.log('✅ [SCHEDULER] Scheduled jobs:\n');
     this.jobs.forEach(job => {
       console.log(`   - ${job.name}: ${job.description}`);
@@ -150,8 +268,12 @@ export class JobScheduler {
       '0 2 * * *': 'Daily at 2:00 AM',
       '0 3 * * *': 'Daily at 3:00 AM',
       '0 4 * * *': 'Daily at 4:00 AM',
+      '0 5 * * *': 'Daily at 5:00 AM',
       '0 0 * * *': 'Daily at midnight',
+      '* * * * *': 'Every minute',
+      '*/5 * * * *': 'Every 5 minutes',
       '*/15 * * * *': 'Every 15 minutes',
+      '0 * * * *': 'Every hour',
       '0 */6 * * *': 'Every 6 hours',
     };
 
@@ -165,8 +287,13 @@ export class JobScheduler {
     const jobMap = {
       'token-refresh': TokenRefreshJob,
       'webhook-renewal': WebhookRenewalJob,
-      'stale-matter-checker': StaleMatterCheckerJob,
+      'stale-matter-checker': { run: (traceId) => StaleMatterCheckerJob.run(traceId) },
       'cleanup-events': { run: runCleanupEvents },
+      'recover-reservations': { run: (traceId) => ReservationRecoveryJob.run(traceId) },
+      'sync-delegations': { run: (traceId) => DelegationSyncJob.run(traceId) },
+      'reconcile-tasks': { run: (traceId) => TaskReconciliationJob.run(traceId) },
+      'verify-tasks': { run: (traceId) => TaskVerificationJob.run(traceId) },
+      'reconcile-webhooks': { run: (traceId) => WebhookReconciliationJob.run(traceId) },
     };
 
     const JobClass = jobMap[jobName];
@@ -0,0 +1,219 @@
+import { SupabaseService } from '../services/supabase.js';
+import { ClioService } from '../services/clio.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { DelegationService } from '../services/delegation.js';
+import { formatForClio, getZonedNow } from '../utils/date-helpers.js';
+import { findDelegate, planDelegationSync } from '../utils/delegation.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
+
+/**
+ * Delegation Sync Job
+ *
+ * Keeps open tasks in Clio in line with `assignee_delegations` (migration 020):
+ * - Leave started: every open task of the user (per the `tasks` table) is
+ *   reassigned to the delegate and recorded in `assignee_delegation_tasks`
+ * - Leave ended or deactivated: each recorded task that is still open and
+ *   still with the delegate goes back to the user (or to whoever covers the
+ *   user now). Tasks completed, deleted or reassigned by hand are left alone.
+ *
+ * A delegation is marked reassigned / restored once all its tasks were
+ * handled, so tasks that failed are retried on the next run.
+ *
+ * Runs every 15 minutes via JobScheduler.
+ */
+export class DelegationSyncJob {
+  /**
+   * Main entry point
+   * @param {string} [traceId] - Job trace (from JobScheduler.runJobWithTracking)
+   */
+  static async run(traceId = null) {
+    console.log('🔄 [DELEGATION] Syncing out-of-office delegations...');
+
+    const date = formatForClio(getZonedNow());
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'job',
+      stepName: 'sync_delegations',
+      input: { date },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    try {
+      const delegations = await SupabaseService.getDelegationsForSync(ctx);
+      const { toReassign, toRestore } = planDelegationSync(delegations, date);
+
+      // Delegate lookups below use the current delegations
+      const active = await DelegationService.getDelegations(ctx, true);
+
+      const results = [];
+      for (const delegation of toReassign) {
+        results.push(await this.reassign(delegation, active, date, ctx));
+      }
+      for (const delegation of toRestore) {
+        results.push(await this.restore(delegation, active, date, ctx));
+      }
+
+      const summary = {
+        success: true,
+        date,
+        leavesStarted: toReassign.length,
+        leavesEnded: toRestore.length,
+        tasksReassigned: results.filter(r => r.action === 'reassigned').reduce((sum, r) => sum + r.reassigned, 0),
+        tasksRestored: results.filter(r => r.action === 'restored').reduce((sum, r) => sum + r.restored, 0),
+        tasksFailed: results.reduce((sum, r) => sum + r.failed, 0),
+        results,
+      };
+
+      console.log(`✨ [DELEGATION] ${summary.leavesStarted} leave(s) started, ${summary.leavesEnded} ended: reassigned ${summary.tasksReassigned}, restored ${summary.tasksRestored}, failed ${summary.tasksFailed}\n`);
+      await EventTracker.endStep(stepId, { status: summary.tasksFailed > 0 ? 'error' : 'success', output: summary });
+      return summary;
+    } catch (error) {
+      console.error(`❌ [DELEGATION] Job failed: ${error.message}\n`);
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a user's open tasks to their delegate
+   * @param {Object} delegation - assignee_delegations row
+   * @param {Array<Object>} active - Active delegations (to follow delegate chains)
+   * @param {string} date - Firm date (yyyy-MM-dd)
+   * @param {Object} [ctx] - Job tracking context
+   */
+  static async reassign(delegation, active, date, ctx = null) {
+    const delegate = findDelegate(active, delegation.user_id, date)?.delegate
+      || { id: Number(delegation.delegate_user_id), name: delegation.delegate_user_name };
+    const tasks = await SupabaseService.getOpenTasksByAssignee(delegation.user_id, ctx);
+
+    console.log(`[DELEGATION] Leave ${delegation.id} started: moving ${tasks.length} task(s) from ${delegation.user_name || delegation.user_id} to ${delegate.name || delegate.id}`);
+
+    let reassigned = 0;
+    const failures = [];
+    for (const task of tasks) {
+      try {
+        await ClioService.updateTask(task.task_id, { assignee: { id: delegate.id, type: 'User' } }, ctx);
+        await SupabaseService.updateTask(task.task_id, {
+          assigned_user_id: delegate.id,
+          assigned_user: delegate.name,
+          last_updated: new Date().toISOString(),
+        }, ctx);
+        await SupabaseService.recordDelegatedTask({
+          delegation_id: delegation.id,
+          task_id: task.task_id,
+          matter_id: task.matter_id,
+          original_user_id: delegation.user_id,
+          original_user_name: task.assigned_user || delegation.user_name,
+          delegate_user_id: delegate.id,
+          reassigned_at: new Date().toISOString(),
+        }, ctx);
+        reassigned++;
+      } catch (error) {
+        // Gone from Clio - nothing to move
+        if (error.response?.status === 404) {
+          await SupabaseService.updateTask(task.task_id, { status: 'deleted', last_updated: new Date().toISOString() }, ctx);
+          continue;
+        }
+        failures.push(await this.logFailure('reassign', delegation, task.task_id, error));
+      }
+    }
+
+    if (failures.length === 0) {
+      await SupabaseService.updateDelegation(delegation.id, { reassigned_at: new Date().toISOString() }, ctx);
+    }
+
+    ctx?.logDecision('delegation_reassign', { delegationId: delegation.id, userId: delegation.user_id, openTasks: tasks.length }, {
+      delegate,
+      reassigned,
+      failures,
+    });
+
+    return { delegationId: delegation.id, action: 'reassigned', delegate, reassigned, failed: failures.length, failures };
+  }
+
+  /**
+   * Give a finished leave's moved tasks back
+   * @param {Object} delegation - assignee_delegations row
+   * @param {Array<Object>} active - Active delegations (the user may be covered by another leave)
+   * @param {string} date - Firm date (yyyy-MM-dd)
+   * @param {Object} [ctx] - Job tracking context
+   */
+  static async restore(delegation, active, date, ctx = null) {
+    const owner = findDelegate(active, delegation.user_id, date)?.delegate
+      || { id: Number(delegation.user_id), name: delegation.user_name };
+    const moved = await SupabaseService.getDelegatedTasks(delegation.id, ctx);
+
+    console.log(`[DELEGATION] Leave ${delegation.id} ended: giving ${moved.length} task(s) back to ${owner.name || owner.id}`);
+
+    const outcomes = { restored: 0, completed: 0, deleted: 0, reassigned: 0 };
+    const failures = [];
+    for (const record of moved) {
+      try {
+        const status = await this.restoreTask(record, owner, ctx);
+        outcomes[status]++;
+        await SupabaseService.updateDelegatedTask(record.id, {
+          restored_at: new Date().toISOString(),
+          restore_status: status,
+        }, ctx);
+      } catch (error) {
+        failures.push(await this.logFailure('restore', delegation, record.task_id, error));
+        await SupabaseService.updateDelegatedTask(record.id, { restore_status: 'failed' }, ctx).catch(() => {});
+      }
+    }
+
+    if (failures.length === 0) {
+      await SupabaseService.updateDelegation(delegation.id, { restored_at: new Date().toISOString() }, ctx);
+    }
+
+    ctx?.logDecision('delegation_restore', { delegationId: delegation.id, userId: delegation.user_id, movedTasks: moved.length }, {
+      owner,
+      ...outcomes,
+      failures,
+    });
+
+    return { delegationId: delegation.id, action: 'restored', owner, ...outcomes, failed: failures.length, failures };
+  }
+
+  /**
+   * Give one task back if it's still open and still with the delegate
+   * @returns {Promise<string>} restored | completed | deleted | reassigned
+   */
+  static async restoreTask(record, owner, ctx = null) {
+    let clioTask;
+    try {
+      clioTask = await ClioService.getTask(record.task_id, ctx);
+    } catch (error) {
+      if (error.response?.status === 404) return 'deleted';
+      throw error;
+    }
+
+    if (clioTask.status === 'complete') return 'completed';
+    if (Number(clioTask.assignee?.id) !== Number(record.delegate_user_id)) return 'reassigned';
+
+    await ClioService.updateTask(record.task_id, { assignee: { id: owner.id, type: 'User' } }, ctx);
+    await SupabaseService.updateTask(record.task_id, {
+      assigned_user_id: owner.id,
+      assigned_user: owner.name || record.original_user_name,
+      last_updated: new Date().toISOString(),
+    }, ctx);
+    return 'restored';
+  }
+
+  /**
+   * Log a task the job couldn't move
+   */
+  static async logFailure(operation, delegation, taskId, error) {
+    console.error(`[DELEGATION] Failed to ${operation} task ${taskId} (leave ${delegation.id}): ${error.message}`);
+    await SupabaseService.logError(
+      ERROR_CODES.DELEGATION_SYNC_FAILED,
+      `Failed to ${operation} task for out-of-office delegation: ${error.message}`,
+      {
+        delegation_id: delegation.id,
+        user_id: delegation.user_id,
+        delegate_user_id: delegation.delegate_user_id,
+        task_id: taskId,
+        operation,
+      }
+    );
+    return { task_id: taskId, operation, error: error.message };
+  }
+}
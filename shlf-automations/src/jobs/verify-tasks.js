@@ -0,0 +1,203 @@
+import { config } from '../config/index.js';
+import { SupabaseService } from '../services/supabase.js';
+import { EventTracker } from '../services/event-tracker.js';
+import { TaskVerificationService } from '../services/task-verification.js';
+
+/**
+ * Task Verification Job
+ *
+ * Stage change and meeting automations schedule a verification of the tasks
+ * they generated (`task_verifications`) instead of waiting inside the webhook.
+ * This job runs the passes that are due:
+ * - the row is claimed first (next_run_at pushed out by VERIFY_LEASE_SECONDS),
+ *   so only one instance runs a pass and a crashed pass is retried
+ * - each pass gets its own trace (triggerName 'verify-tasks'), pointing back at
+ *   the webhook trace, and the webhook trace gets a step pointing forward
+ * - missing tasks are regenerated; if some can't be, the next pass is due
+ *   VERIFY_PASS_INTERVAL_SECONDS later
+ * - after the final pass fails an error task is created on the matter
+ *
+ * Runs every minute via JobScheduler. The scheduler doesn't wrap it in a job
+ * trace - the passes have their own. Manual: node src/jobs/verify-tasks.js
+ */
+
+const BATCH_SIZE = 50;
+
+export class TaskVerificationJob {
+  /**
+   * Main entry point
+   * @param {string} [traceId] - Job trace, when run through JobScheduler.runJob
+   */
+  static async run(traceId = null) {
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'job',
+      stepName: 'verify_tasks_due',
+      input: { passes: config.verification.passes, passIntervalSeconds: config.verification.passIntervalSeconds },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    try {
+      const due = await SupabaseService.getDueTaskVerifications(BATCH_SIZE, ctx);
+
+      if (due.length === 0) {
+        await EventTracker.endStep(stepId, { status: 'success', output: { due: 0 } });
+        return { success: true, due: 0, results: [] };
+      }
+
+      console.log(`🔍 [VERIFY] Running ${due.length} due task verification(s)`);
+
+      const results = [];
+      for (const verification of due) {
+        const claimed = await SupabaseService.claimTaskVerification(verification, ctx);
+        if (!claimed) {
+          results.push({ verificationId: verification.id, action: 'skipped', reason: 'already_claimed' });
+          continue;
+        }
+        results.push(await this.runPass(claimed));
+      }
+
+      const count = (action) => results.filter(r => r.action === action).length;
+      const summary = {
+        success: true,
+        due: due.length,
+        verified: count('verified'),
+        regenerated: count('regenerated'),
+        retrying: count('retry_scheduled'),
+        escalated: count('escalated'),
+        superseded: count('superseded'),
+        skipped: count('skipped'),
+        results,
+      };
+
+      console.log(`✨ [VERIFY] ${summary.verified} verified, ${summary.regenerated} regenerated, ${summary.retrying} retrying, ${summary.escalated} escalated, ${summary.superseded} superseded\n`);
+      await EventTracker.endStep(stepId, { status: 'success', output: { ...summary, results: undefined } });
+      return summary;
+    } catch (error) {
+      console.error(`❌ [VERIFY] Job failed: ${error.message}\n`);
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Run one pass of a claimed verification in its own trace and record the outcome
+   * @param {Object} verification - Claimed task_verifications row
+   * @returns {Promise<Object>} { verificationId, action, pass, traceId, ... }
+   */
+  static async runPass(verification) {
+    const matterId = verification.matter_id;
+    const pass = (verification.passes || 0) + 1;
+    const finalPass = pass >= verification.max_passes;
+
+    const traceId = await EventTracker.startTrace({
+      source: 'job',
+      triggerName: 'verify-tasks',
+      jobName: 'verify-tasks',
+      matterId,
+      input: {
+        verificationId: verification.id,
+        context: verification.context,
+        stageId: verification.stage_id,
+        stageName: verification.stage_name,
+        calendarEntryId: verification.calendar_entry_id,
+        expectedCount: verification.expected_count,
+      },
+      metadata: {
+        verificationOf: verification.source_trace_id || null,
+        verificationId: verification.id,
+        pass,
+        maxPasses: verification.max_passes,
+      },
+    });
+
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'automation',
+      stepName: 'verify_tasks',
+      input: { verificationId: verification.id, pass, finalPass },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    let result;
+    try {
+      result = await TaskVerificationService.runVerification(verification, ctx);
+    } catch (error) {
+      console.error(`[VERIFY] ${matterId} Verification ${verification.id} pass ${pass} failed: ${error.message}`);
+      result = { success: false, error: error.message };
+    }
+
+    const action = result.superseded ? 'superseded'
+      : result.success ? (result.tasksRegenerated > 0 ? 'regenerated' : 'verified')
+      : finalPass ? 'escalated' : 'retry_scheduled';
+
+    ctx.logDecision('task_verification', { verificationId: verification.id, pass, maxPasses: verification.max_passes }, {
+      action,
+      missingTaskNumbers: result.missingTaskNumbers || [],
+      tasksRegenerated: result.tasksRegenerated || 0,
+      tasksFailed: result.tasksFailed || 0,
+      reason: result.reason || result.error || null,
+    });
+
+    let errorTask = null;
+    if (action === 'escalated') {
+      errorTask = await TaskVerificationService.escalate(verification, result, ctx);
+    }
+
+    const nextRunAt = action === 'retry_scheduled'
+      ? new Date(Date.now() + config.verification.passIntervalSeconds * 1000).toISOString()
+      : verification.next_run_at;
+    const done = action !== 'retry_scheduled';
+
+    await SupabaseService.updateTaskVerification(verification.id, {
+      status: action === 'escalated' ? 'failed' : done ? action : 'pending',
+      passes: pass,
+      next_run_at: nextRunAt,
+      last_trace_id: traceId,
+      last_result: { ...result, tasks: undefined },
+      last_error: result.error || (result.failures?.length ? result.failures.map(f => f.error).join('; ') : null),
+      error_task_id: errorTask?.id || null,
+      completed_at: done ? new Date().toISOString() : null,
+    }, ctx);
+
+    const output = { verificationId: verification.id, action, pass, errorTaskId: errorTask?.id || null, ...result, tasks: undefined };
+    await EventTracker.endStep(stepId, { status: result.success ? 'success' : 'error', output, errorMessage: result.error });
+    await EventTracker.endTrace(traceId, {
+      status: result.success ? 'success' : 'error',
+      resultAction: action,
+      errorMessage: result.error,
+      output,
+      metadata: { verificationOf: verification.source_trace_id || null, verificationId: verification.id, pass },
+    });
+
+    await this.linkSourceTrace(verification, { verificationTraceId: traceId, pass, action });
+
+    console.log(`[VERIFY] ${matterId} Verification ${verification.id} pass ${pass}/${verification.max_passes}: ${action}`);
+    return { verificationId: verification.id, matterId, action, pass, traceId };
+  }
+
+  /**
+   * Add a step to the webhook trace pointing at the verification pass
+   */
+  static async linkSourceTrace(verification, output) {
+    if (!verification.source_trace_id) return;
+
+    const stepId = await EventTracker.startStep(verification.source_trace_id, {
+      layerName: 'automation',
+      stepName: 'task_verification_pass',
+      input: { verificationId: verification.id },
+    });
+    await EventTracker.endStep(stepId, { status: 'success', output });
+  }
+}
+
+// Allow running directly: node src/jobs/verify-tasks.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  TaskVerificationJob.run()
+    .then(result => {
+      console.log('Job result:', JSON.stringify(result, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Fatal error:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+
+/**
+ * Require admin API key
+ *
+ * Accepts the key as `Authorization: Bearer <key>` or `X-Admin-Key: <key>`
+ * and compares it against ADMIN_API_KEY in constant time.
+ * When ADMIN_API_KEY is not configured, admin endpoints are disabled (503).
+ */
+export const requireAdminAuth = (req, res, next) => {
+  if (!config.admin.apiKey) {
+    console.error('🔐 ADMIN_API_KEY not configured - admin API disabled');
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API not configured',
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const provided = authHeader.startsWith('Bearer ')
+    ? authHeader.slice('Bearer '.length).trim()
+    : req.headers['x-admin-key'];
+
+  let isValid = false;
+  if (provided) {
+    try {
+      isValid = crypto.timingSafeEqual(
+        Buffer.from(provided),
+        Buffer.from(config.admin.apiKey)
+      );
+    } catch (error) {
+      // Buffers have different lengths
+      isValid = false;
+    }
+  }
+
+  if (!isValid) {
+    console.error(`🔐 Unauthorized admin request: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+    });
+  }
+
+  next();
+};
@@ -1,99 +1,94 @@
-import crypto from 'crypto';
 import { config } from '../config/index.js';
-import { SupabaseService } from '../services/supabase.js';
-import { ERROR_CODES } from '../constants/error-codes.js';
+import { WebhookSecretService } from '../services/webhook-secrets.js';
 
 /**
  * Validate Clio webhook signature
  *
- * Clio signs webhooks using HMAC-SHA256 with the webhook secret.
- * Signature is sent in X-Clio-Signature header.
+ * Clio signs each delivery with HMAC-SHA256 of the raw body, using the secret
+ * of the webhook subscription that sent it (captured at activation, see
+ * WebhookSecretService). The signature is sent in X-Hook-Signature
+ * (X-Clio-Signature is accepted too).
  *
- * IMPORTANT: This middleware must run AFTER raw body preservation
- * because signature validation requires the exact raw body string.
+ * Per endpoint:
+ * - secrets stored → the signature must match one of them (the active secret,
+ *   or a retiring one during rotation)
+ * - payload timestamp within WEBHOOK_REPLAY_TOLERANCE_SECONDS → processed
+ * - no timestamp → processed once; the same payload again is a no-op
+ * - outside the window → stored as a dead letter (202), once per payload
+ * - no secret stored yet → accepted unverified, unless WEBHOOK_SIGNATURE_REQUIRED=true
+ *
+ * Every rejection is counted, traced (`webhook-rejected`) and logged; late
+ * deliveries are counted and logged as `replay`.
+ *
+ * Mount per route, after handleWebhookActivation. Requires req.rawBody
+ * (captured by express.json's verify callback in index.js).
  */
 export const validateClioSignature = async (req, res, next) => {
-  // Skip signature validation during webhook activation
-  // (activation requests have X-Hook-Secret, not X-Clio-Signature)
+  // Activation requests (X-Hook-Secret) are handled by handleWebhookActivation
   if (req.headers['x-hook-secret']) {
     return next();
   }
 
-  // Get signature from header
-  const signature = req.headers['x-clio-signature'];
+  const endpoint = `${req.baseUrl}${req.path}`.replace(/\/+$/, '');
+  const signature = req.headers['x-hook-signature'] || req.headers['x-clio-signature'];
 
-  if (!signature) {
-    console.error('🔐 Missing X-Clio-Signature header');
+  try {
+    // IMPORTANT: Must use raw body string, not parsed JSON
+    const payload = req.rawBody ?? JSON.stringify(req.body);
+    const result = signature
+      ? await WebhookSecretService.verifySignature(endpoint, payload, signature)
+      : { status: (await WebhookSecretService.getSecrets(endpoint)).length === 0 ? 'no_secret' : 'missing' };
 
-    await SupabaseService.logError(
-      ERROR_CODES.WEBHOOK_MISSING_SIGNATURE,
-      'Missing webhook signature',
-      {
-        headers: req.headers,
-        source_ip: req.ip,
-        path: req.path,
+    if (result.status === 'no_secret') {
+      if (config.webhooks.signatureRequired) {
+        return WebhookSecretService.reject(req, res, {
+          endpoint,
+          reason: 'no_secret',
+          message: 'No webhook secret stored for this endpoint',
+        });
       }
-    );
-
-    return res.status(401).json({
-      success: false,
-      error: 'Missing webhook signature',
-    });
-  }
+      WebhookSecretService.recordAccepted(false);
+      return next();
+    }
 
-  // Validate webhook secret is configured
-  if (!config.clio.webhookSecret) {
-    console.error('🔐 CLIO_WEBHOOK_SECRET not configured');
-    return res.status(500).json({
-      success: false,
-      error: 'Webhook secret not configured',
-    });
-  }
+    if (result.status === 'missing') {
+      return WebhookSecretService.reject(req, res, {
+        endpoint,
+        reason: 'missing_signature',
+        message: 'Missing webhook signature',
+      });
+    }
 
-  // Calculate expected signature
-  // IMPORTANT: Must use raw body string, not parsed JSON
-  const payload = req.rawBody || JSON.stringify(req.body);
+    if (result.status === 'invalid') {
+      return WebhookSecretService.reject(req, res, {
+        endpoint,
+        reason: 'invalid_signature',
+        message: 'Invalid webhook signature',
+        details: { signature_received: signature },
+      });
+    }
 
-  const expectedSignature = crypto
-    .createHmac('sha256', config.clio.webhookSecret)
-    .update(payload)
-    .digest('hex');
-
-  // Compare signatures (constant-time comparison to prevent timing attacks)
-  let isValid = false;
-  try {
-    isValid = crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(expectedSignature)
-    );
-  } catch (error) {
-    // Buffers have different lengths
-    isValid = false;
-  }
-
-  if (!isValid) {
-    console.error('🔐 Invalid webhook signature');
-    console.error(`   Expected: ${expectedSignature}`);
-    console.error(`   Received: ${signature}`);
-
-    await SupabaseService.logError(
-      ERROR_CODES.WEBHOOK_INVALID_SIGNATURE,
-      'Invalid webhook signature',
-      {
-        signature_received: signature,
-        signature_expected: expectedSignature,
-        headers: req.headers,
-        source_ip: req.ip,
-        path: req.path,
+    // The timestamp can't rule out a replay - only the first delivery of this payload counts
+    const timestamp = WebhookSecretService.checkTimestamp(req.body);
+    if (!timestamp.valid || !timestamp.timestamp) {
+      if (await WebhookSecretService.recordDelivery(endpoint, payload) === 'duplicate') {
+        console.log(`🔐 Duplicate delivery to ${endpoint} ignored`);
+        return res.status(200).json({ success: true, action: 'duplicate_delivery' });
+      }
+      if (!timestamp.valid) {
+        return WebhookSecretService.deadLetter(req, res, { endpoint, timestamp });
       }
-    );
+    }
 
-    return res.status(401).json({
+    WebhookSecretService.recordAccepted(true);
+    req.webhookSignature = { secretId: result.secretId, secretStatus: result.secretStatus };
+    next();
+  } catch (error) {
+    // Secrets can't be loaded - don't process what we can't verify
+    console.error(`🔐 Webhook signature validation failed for ${endpoint}: ${error.message}`);
+    res.status(503).json({
       success: false,
-      error: 'Invalid webhook signature',
+      error: 'Webhook signature validation unavailable',
     });
   }
-
-  console.log('✅ Webhook signature validated');
-  next();
 };
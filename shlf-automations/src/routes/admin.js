@@ -0,0 +1,373 @@
+import express from 'express';
+import { requireAdminAuth } from '../middleware/admin-auth.js';
+import { DeadLetterService } from '../services/dead-letter.js';
+import { SupabaseService } from '../services/supabase.js';
+import { TaskTemplateService } from '../services/task-templates.js';
+import { JobScheduler } from '../jobs/scheduler.js';
+import { WebhookReconciliationJob } from '../jobs/reconcile-webhooks.js';
+import { WebhookSecretService } from '../services/webhook-secrets.js';
+import { TestModeService } from '../services/test-mode.js';
+import { dryRunRouter } from './webhooks.js';
+
+const router = express.Router();
+
+// Every admin endpoint requires the admin API key
+router.use(requireAdminAuth);
+
+/**
+ * Parse a positive integer query/body value, falling back to a default
+ */
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * List dead-lettered webhooks
+ * Query: status, trigger (trigger name), matterId, limit (max 200), offset
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(toPositiveInt(req.query.limit, 50), 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { items, total } = await SupabaseService.getDeadLetters({
+      status: req.query.status,
+      triggerName: req.query.trigger,
+      matterId: req.query.matterId ? Number(req.query.matterId) : null,
+      limit,
+      offset,
+    });
+
+    res.json({ success: true, total, limit, offset, items });
+  } catch (error) {
+    console.error('[ADMIN] Failed to list dead letters:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a single dead-lettered webhook (including its payload)
+ */
+router.get('/dead-letters/:id', async (req, res) => {
+  try {
+    const deadLetter = await SupabaseService.getDeadLetterById(Number(req.params.id));
+    if (!deadLetter) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+    res.json({ success: true, item: deadLetter });
+  } catch (error) {
+    console.error('[ADMIN] Failed to get dead letter:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Bulk replay dead-lettered webhooks
+ * Body: { ids?: number[], status?: 'pending' | 'replay_failed', trigger?: string, limit?: number, force?: boolean }
+ * Without ids, replays up to `limit` (default 25, max 100) dead letters matching the filters.
+ */
+router.post('/dead-letters/replay', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const ids = Array.isArray(body.ids) ? body.ids.map(Number).filter(Number.isFinite) : null;
+
+    const summary = await DeadLetterService.replayMany({
+      ids,
+      status: body.status || 'pending',
+      triggerName: body.trigger || null,
+      limit: Math.min(toPositiveInt(body.limit, 25), 100),
+      force: body.force === true,
+    });
+
+    res.json({ success: summary.failed === 0, ...summary });
+  } catch (error) {
+    console.error('[ADMIN] Bulk replay failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Replay a single dead-lettered webhook
+ * Query: force=true to replay one that was already replayed successfully
+ */
+router.post('/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const outcome = await DeadLetterService.replay(Number(req.params.id), {
+      force: req.query.force === 'true',
+    });
+
+    const statusByAction = {
+      not_found: 404,
+      already_replayed: 409,
+      no_handler: 422,
+      replay_failed: 502,
+    };
+
+    res.status(statusByAction[outcome.action] || 200).json(outcome);
+  } catch (error) {
+    console.error('[ADMIN] Replay failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * HTTP status for task template outcomes
+ */
+const templateStatusByAction = {
+  unknown_table: 404,
+  not_found: 404,
+  invalid_request: 400,
+  retired: 409,
+  conflict: 409,
+  validation_failed: 422,
+};
+
+/**
+ * Send a task template outcome
+ */
+const sendTemplateOutcome = (res, outcome, successStatus = 200) => {
+  res.status(templateStatusByAction[outcome.action] || successStatus).json(outcome);
+};
+
+/**
+ * Who/why for template version history
+ * Header X-Admin-User (or body.changedBy), body.changeNote, body.expectedVersion
+ */
+const templateChangeMeta = (req) => ({
+  changedBy: req.get('x-admin-user') || req.body?.changedBy || null,
+  changeNote: req.body?.changeNote || null,
+  expectedVersion: req.body?.expectedVersion ?? null,
+});
+
+/**
+ * Template body without the change metadata
+ */
+const templateFields = (body = {}) => {
+  const { changedBy, changeNote, expectedVersion, ...fields } = body;
+  return fields;
+};
+
+/**
+ * List manageable template tables
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    res.json({ success: true, tables: await TaskTemplateService.getTemplateTables() });
+  } catch (error) {
+    console.error('[ADMIN] Failed to list template tables:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List templates in a table
+ * Query: stageId (stage tables) or calendarEventId (task-list-meeting), includeRetired=true
+ */
+router.get('/templates/:table', async (req, res) => {
+  try {
+    const setId = req.query.stageId ?? req.query.calendarEventId ?? null;
+    const outcome = await TaskTemplateService.list(req.params.table, {
+      setId: setId !== null ? Number(setId) : null,
+      includeRetired: req.query.includeRetired === 'true',
+    });
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Failed to list templates:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Dependency graph of "after task X" chains, per stage / calendar event
+ * Query: stageId or calendarEventId (omit for every set in the table)
+ * Each graph lists edges, topological order, cycles and unresolved references.
+ */
+router.get('/templates/:table/graph', async (req, res) => {
+  try {
+    const setId = req.query.stageId ?? req.query.calendarEventId ?? null;
+    const outcome = await TaskTemplateService.graph(req.params.table, {
+      setId: setId !== null ? Number(setId) : null,
+    });
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Failed to build template graph:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Validate a template set without saving it
+ * Body: { templates: [...] } - every template for one stage / calendar event
+ */
+router.post('/templates/:table/validate', async (req, res) => {
+  try {
+    const templates = req.body?.templates;
+    if (!Array.isArray(templates)) {
+      return res.status(400).json({ success: false, error: 'templates must be an array' });
+    }
+    const outcome = await TaskTemplateService.validate(req.params.table, templates);
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Template validation failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get a single template
+ */
+router.get('/templates/:table/:id', async (req, res) => {
+  try {
+    const outcome = await TaskTemplateService.get(req.params.table, Number(req.params.id));
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Failed to get template:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Version history for a template (newest first)
+ */
+router.get('/templates/:table/:id/history', async (req, res) => {
+  try {
+    const outcome = await TaskTemplateService.history(req.params.table, Number(req.params.id));
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Failed to get template history:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Create a template
+ * Body: template columns (stage_id or calendar_event_id required), plus changeNote / changedBy
+ */
+router.post('/templates/:table', async (req, res) => {
+  try {
+    const outcome = await TaskTemplateService.create(req.params.table, templateFields(req.body), templateChangeMeta(req));
+    sendTemplateOutcome(res, outcome, 201);
+  } catch (error) {
+    console.error('[ADMIN] Failed to create template:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Edit a template
+ * Body: columns to change, plus expectedVersion / changeNote / changedBy
+ */
+router.patch('/templates/:table/:id', async (req, res) => {
+  try {
+    const outcome = await TaskTemplateService.update(
+      req.params.table,
+      Number(req.params.id),
+      templateFields(req.body),
+      templateChangeMeta(req)
+    );
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Failed to update template:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Retire a template (soft delete - kept for history)
+ */
+router.delete('/templates/:table/:id', async (req, res) => {
+  try {
+    const outcome = await TaskTemplateService.retire(req.params.table, Number(req.params.id), templateChangeMeta(req));
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Failed to retire template:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Restore a retired template
+ */
+router.post('/templates/:table/:id/restore', async (req, res) => {
+  try {
+    const outcome = await TaskTemplateService.restore(req.params.table, Number(req.params.id), templateChangeMeta(req));
+    sendTemplateOutcome(res, outcome);
+  } catch (error) {
+    console.error('[ADMIN] Failed to restore template:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Reconcile Clio webhook subscriptions with the webhook manifest
+ * Body: { dryRun?: boolean } - dryRun reports drift without changing anything
+ */
+router.post('/webhooks/reconcile', async (req, res) => {
+  try {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    const summary = await JobScheduler.runJobWithTracking('reconcile-webhooks', (traceId) =>
+      WebhookReconciliationJob.run(traceId, { dryRun })
+    );
+
+    if (summary.action === 'not_configured') {
+      return res.status(422).json(summary);
+    }
+    res.json({ ...summary, success: summary.failed === 0 });
+  } catch (error) {
+    console.error('[ADMIN] Webhook reconciliation failed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * List stored webhook secrets (without the secret values)
+ */
+router.get('/webhook-secrets', async (req, res) => {
+  try {
+    const items = await SupabaseService.listWebhookSecrets();
+    res.json({ success: true, items, stats: WebhookSecretService.getStats() });
+  } catch (error) {
+    console.error('[ADMIN] Failed to list webhook secrets:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Revoke a webhook secret - e.g. end a rotation overlap early
+ * Deliveries signed with it are rejected (other instances within WEBHOOK_SECRET_CACHE_SECONDS).
+ */
+router.post('/webhook-secrets/:id/revoke', async (req, res) => {
+  try {
+    const revoked = await SupabaseService.revokeWebhookSecret(Number(req.params.id));
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Webhook secret not found or already revoked' });
+    }
+    WebhookSecretService.cache.delete(revoked.endpoint);
+    res.json({ success: true, item: revoked });
+  } catch (error) {
+    console.error('[ADMIN] Failed to revoke webhook secret:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Test mode status - whether it is enabled, the test matter and the active rules
+ */
+router.get('/test-mode', async (req, res) => {
+  try {
+    res.json({ success: true, testMode: await TestModeService.describe() });
+  } catch (error) {
+    console.error('[ADMIN] Failed to describe test mode:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Preview what a matter or calendar webhook would do, without writing anything
+ * POST /dry-run/matters, POST /dry-run/calendar
+ * Body: webhook payload ({ data: {...} }); query: stageId, stageName to simulate a stage
+ */
+router.use('/dry-run', dryRunRouter);
+
+export default router;
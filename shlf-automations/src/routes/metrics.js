@@ -0,0 +1,53 @@
+import express from 'express';
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { registry, metrics, CONTENT_TYPE } from '../utils/metrics.js';
+import { webhookQueue } from '../utils/webhook-queue.js';
+
+const router = express.Router();
+
+/**
+ * Bearer token check, only when METRICS_TOKEN is configured
+ * (production always requires it, see the route)
+ */
+const isAuthorized = (req) => {
+  if (!config.metrics.token) return true;
+
+  const authHeader = req.headers.authorization || '';
+  const provided = Buffer.from(authHeader.replace(/^Bearer /, '').trim());
+  const expected = Buffer.from(config.metrics.token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+/**
+ * Point-in-time gauges, read when scraped
+ */
+const collectQueueMetrics = () => {
+  const { queues } = webhookQueue.getStats();
+  metrics.queueDepth.set({}, queues.reduce((total, queue) => total + queue.queueSize, 0));
+  metrics.queueOldestWait.set({}, Math.max(0, ...queues.map(queue => queue.oldestWaitMs)) / 1000);
+};
+
+/**
+ * Prometheus scrape endpoint
+ * Metric definitions: utils/metrics.js
+ * In production the endpoint stays closed (503) until METRICS_TOKEN is set.
+ */
+router.get('/', async (req, res) => {
+  if (!config.metrics.token && config.nodeEnv === 'production') {
+    return res.status(503).json({ success: false, error: 'METRICS_TOKEN not configured' });
+  }
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    collectQueueMetrics();
+    res.set('Content-Type', CONTENT_TYPE).send(await registry.metrics());
+  } catch (error) {
+    console.error(`[METRICS] Failed to render metrics: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -1,21 +1,30 @@
 import express from 'express';
 import { MatterStageChangeAutomation } from '../automations/matter-stage-change.js';
 import { MatterClosedAutomation } from '../automations/matter-closed.js';
+import { MatterReopenedAutomation } from '../automations/matter-reopened.js';
 import { TaskCompletionAutomation } from '../automations/task-completion.js';
 import { TaskDeletedAutomation } from '../automations/task-deleted.js';
 import { MeetingScheduledAutomation } from '../automations/meeting-scheduled.js';
 import { CalendarEntryDeletedAutomation } from '../automations/calendar-entry-deleted.js';
 import { DocumentCreatedAutomation } from '../automations/document-created.js';
 import { webhookQueue } from '../utils/webhook-queue.js';
+import { DeadLetterService } from '../services/dead-letter.js';
+import { executeWithRetry, getRetryPolicy } from '../utils/retry-policy.js';
+import { runDryRun } from '../utils/dry-run.js';
 import { EventTracker } from '../services/event-tracker.js';
+import { TestModeService } from '../services/test-mode.js';
+import { WebhookSecretService } from '../services/webhook-secrets.js';
+import { validateClioSignature } from '../middleware/validate-signature.js';
 import { ClioService } from '../services/clio.js';
+import { metrics } from '../utils/metrics.js';
 import { config } from '../config/index.js';
 
 const router = express.Router();
 
 /**
  * TEST MODE CONFIGURATION
- * Uses environment variables: TEST_MODE=true and TEST_MATTER_ID=1675950832
+ * Uses environment variables: TEST_MODE=true and TEST_MATTER_ID=1675950832,
+ * plus allowlist rules in the `test_mode_rules` table (see TestModeService).
  * This provides an EARLY filter at the router level before any automation runs.
  * Individual automations also check test mode as a safety net.
  */
@@ -40,10 +49,11 @@ const extractMatterIdForFilter = (webhookData) => {
 };
 
 /**
- * Test mode middleware - filters webhooks to only process allowed matters
- * Uses config.testing.testMode and config.testing.testMatterId from environment
+ * Test mode middleware - filters webhooks to only process allowlisted matters
+ * Allowlist: TEST_MATTER_ID plus the `test_mode_rules` table (see TestModeService).
+ * The matched rule is attached to the request and recorded on the trace.
  */
-const testModeFilter = (req, res, next) => {
+const testModeFilter = async (req, res, next) => {
   // Skip if test mode is disabled
   if (!config.testing.testMode) {
     return next();
@@ -65,44 +75,70 @@ const testModeFilter = (req, res, next) => {
     });
   }
 
-  // Check if matter matches allowed test matter
-  if (matterId === config.testing.testMatterId) {
-    console.log(`✅ [TEST MODE] Matter ${matterId} is the test matter, processing webhook`);
+  const match = await TestModeService.evaluate(matterId);
+
+  if (match.allowed) {
+    console.log(`✅ [TEST MODE] Matter ${matterId} allowed by ${match.matchedRule.type} rule (${match.matchedRule.value}), processing webhook`);
+    req.testModeMatch = match;
     return next();
   }
 
   // Matter not allowed - skip silently
-  console.log(`🚫 [TEST MODE] Matter ${matterId} !== ${config.testing.testMatterId}, skipping`);
+  console.log(`🚫 [TEST MODE] Matter ${matterId} not in allowlist (${match.reason}), skipping`);
   return res.status(200).json({
     success: true,
     action: 'skipped',
     reason: 'test_mode_filter',
-    message: `Test mode active - only processing matter: ${config.testing.testMatterId}`,
+    message: 'Test mode active - matter is not in the test allowlist',
   });
 };
 
 /**
  * Webhook activation handler - responds to Clio's handshake
+ * The subscription's secret (X-Hook-Secret) is stored for signature validation,
+ * once Clio confirms the subscription exists (see WebhookSecretService.activate).
  */
-const handleWebhookActivation = (req, res, next) => {
+const handleWebhookActivation = async (req, res, next) => {
   // Check if this is an activation request (contains X-Hook-Secret header)
   const hookSecret = req.headers['x-hook-secret'];
 
-  if (hookSecret) {
-    console.log(`🔐 Webhook activation request received (secret: ${hookSecret.substring(0, 10)}...)`);
+  if (!hookSecret) {
+    // Not an activation request, continue to webhook handler
+    return next();
+  }
 
-    // IMPORTANT: Echo the secret back in the X-Hook-Secret header
-    // This completes the Clio webhook activation handshake
-    res.setHeader('X-Hook-Secret', hookSecret);
+  const endpoint = `${req.baseUrl}${req.path}`.replace(/\/+$/, '');
+  console.log(`🔐 Webhook activation request received for ${endpoint}`);
 
-    return res.status(200).json({
-      success: true,
-      message: 'Webhook activated',
+  try {
+    const activation = await WebhookSecretService.activate(endpoint, hookSecret);
+
+    if (!activation.activated) {
+      return WebhookSecretService.reject(req, res, {
+        endpoint,
+        reason: 'activation_unverified',
+        message: `Webhook activation rejected: ${activation.reason}`,
+        status: 403,
+      });
+    }
+
+    console.log(`🔐 Webhook ${activation.webhookId} activated for ${endpoint}${activation.stored ? ' (secret stored)' : ''}`);
+  } catch (error) {
+    console.error(`🔐 Webhook activation failed for ${endpoint}: ${error.message}`);
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook activation could not be verified',
     });
   }
 
-  // Not an activation request, continue to webhook handler
-  next();
+  // IMPORTANT: Echo the secret back in the X-Hook-Secret header
+  // This completes the Clio webhook activation handshake
+  res.setHeader('X-Hook-Secret', hookSecret);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Webhook activated',
+  });
 };
 
 /**
@@ -157,12 +193,57 @@ const determineTriggerName = (webhookData, endpoint) => {
 /**
  * Middleware for error handling with retry logic, per-matter queueing, and event tracking
  * Ensures webhooks for the same matter are processed sequentially
+ * Webhooks are journaled to the durable queue before processing, so the retry runner
+ * is registered per endpoint to let the queue resume them after a restart.
+ * Retries follow the shared retry policy (see utils/retry-policy.js); webhooks that
+ * fail for good are stored as dead letters (see /admin/dead-letters).
+ *
+ * @param {Function} handler - Async (webhookData, traceId) => result
+ * @param {string} endpoint - Route endpoint (e.g. '/matters')
+ * @param {Object} [policyOverrides] - Retry policy overrides for this endpoint
  */
-const withRetry = (handler, endpoint, maxAttempts = 3) => {
+const withRetry = (handler, endpoint, policyOverrides = {}) => {
+  const runWithRetries = async (webhookData, traceId) => {
+    const triggerName = determineTriggerName(webhookData, endpoint);
+    const start = Date.now();
+
+    try {
+      // Pass traceId to handler for nested tracking
+      const result = await executeWithRetry(() => handler(webhookData, traceId), {
+        policy: getRetryPolicy(triggerName, policyOverrides),
+        traceId,
+        label: triggerName,
+      });
+      metrics.webhooksProcessed.inc({ trigger: triggerName });
+      metrics.automationDuration.observe({ trigger: triggerName, status: 'success' }, (Date.now() - start) / 1000);
+      return result;
+    } catch (error) {
+      metrics.webhooksFailed.inc({ trigger: triggerName });
+      metrics.automationDuration.observe({ trigger: triggerName, status: 'error' }, (Date.now() - start) / 1000);
+
+      // Keep the payload for inspection/replay (replays update their existing dead letter instead)
+      if (!webhookData.replay) {
+        await DeadLetterService.record({
+          webhookData,
+          endpoint,
+          triggerName,
+          matterId: extractMatterId(webhookData),
+          traceId,
+          attempts: error.retryAttempts,
+          error,
+        });
+      }
+      throw error;
+    }
+  };
+
+  webhookQueue.registerHandler(endpoint, runWithRetries);
+
   return async (req, res) => {
     const webhookData = req.body;
     const matterId = extractMatterId(webhookData);
     const triggerName = determineTriggerName(webhookData, endpoint);
+    metrics.webhooksReceived.inc({ trigger: triggerName });
 
     // Start trace for this webhook with full input payload
     const traceId = await EventTracker.startTrace({
@@ -182,6 +263,7 @@ const withRetry = (handler, endpoint, maxAttempts = 3) => {
       metadata: {
         webhookType: webhookData.type,
         resourceId: webhookData.data?.id,
+        ...(req.testModeMatch && { testModeRule: req.testModeMatch.matchedRule }),
       },
     });
 
@@ -222,24 +304,12 @@ const withRetry = (handler, endpoint, maxAttempts = 3) => {
     // Enqueue the webhook processing for this matter
     // This ensures sequential processing per matter to avoid race conditions
     try {
-      const result = await webhookQueue.enqueue(webhookData, async () => {
-        // Retry logic within the queue
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-          try {
-            // Pass traceId to handler for nested tracking
-            return await handler(webhookData, traceId);
-          } catch (error) {
-            console.error(`Attempt ${attempt} failed:`, error.message);
-
-            if (attempt === maxAttempts) {
-              throw error; // Throw on final attempt
-            }
-
-            // Wait 1 second before retry
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-        }
-      }, traceId);
+      const result = await webhookQueue.enqueue(
+        webhookData,
+        () => runWithRetries(webhookData, traceId), // Retry logic within the queue
+        traceId,
+        { endpoint, triggerName }
+      );
 
       // End trace with success and output
       await EventTracker.endTrace(traceId, {
@@ -279,11 +349,66 @@ const withRetry = (handler, endpoint, maxAttempts = 3) => {
   };
 };
 
+/**
+ * Dry-run handler - previews what a webhook would do without writing anything
+ * Mounted under the admin API (see dryRunRouter), never on the public webhook routes.
+ * Runs the handler directly (no test mode filter, durable queue, retries or dead letters)
+ * and responds with the tasks that would be created, updated, and deleted.
+ * `?stageId=&stageName=` simulates a matter stage (e.g. preview a stage move before making it).
+ *
+ * @param {Function} handler - Async (webhookData, traceId) => result
+ * @param {string} endpoint - Route endpoint (e.g. '/matters')
+ */
+const dryRunWebhook = (handler, endpoint) => {
+  return async (req, res) => {
+    const webhookData = req.body;
+    const matterId = extractMatterId(webhookData);
+    const triggerName = determineTriggerName(webhookData, endpoint);
+    const matterStage = req.query.stageId
+      ? { id: parseInt(req.query.stageId, 10), name: req.query.stageName || null }
+      : null;
+
+    console.log(`🧪 [DRY RUN] ${triggerName} for matter ${matterId || 'unknown'}${matterStage ? ` (simulated stage ${matterStage.id})` : ''}`);
+
+    const traceId = await EventTracker.startTrace({
+      source: 'webhook',
+      triggerName,
+      endpoint: `/webhooks${endpoint}`,
+      matterId,
+      webhookId: webhookData.id,
+      input: { payload: webhookData, simulatedStage: matterStage },
+      metadata: { dryRun: true, simulatedStage: matterStage },
+    });
+
+    try {
+      const preview = await runDryRun(() => handler(webhookData, traceId), { matterStage });
+
+      await EventTracker.endTrace(traceId, {
+        status: 'success',
+        resultAction: preview.result?.action || 'dry_run',
+        output: preview,
+        metadata: { dryRun: true },
+      });
+
+      return res.json({ success: true, data: preview });
+    } catch (error) {
+      await EventTracker.endTrace(traceId, {
+        status: 'error',
+        errorMessage: error.message,
+        output: { success: false, error: error.message },
+        metadata: { dryRun: true },
+      });
+
+      return res.status(500).json({ success: false, dryRun: true, error: error.message });
+    }
+  };
+};
+
 /**
  * Webhook: Matter Updates (Stage Changes and Status Changes)
  * Triggered by Clio when a matter is created or updated
  */
-router.post('/matters', handleWebhookActivation, testModeFilter, withRetry(async (webhookData, traceId) => {
+const handleMatterWebhook = async (webhookData, traceId) => {
   console.log('📨 Received matter webhook');
 
   const matterId = webhookData.data?.id;
@@ -310,6 +435,13 @@ router.post('/matters', handleWebhookActivation, testModeFilter, withRetry(async
     return await MatterClosedAutomation.process(webhookData, traceId);
   }
 
+  // Closed → Open: restore the tasks closed out with the matter instead of a stage change
+  if (await MatterReopenedAutomation.isReopen(currentMatter)) {
+    console.log('   Matter was Closed - processing matter reopen automation');
+    webhookData.data = { ...webhookData.data, ...currentMatter };
+    return await MatterReopenedAutomation.process(webhookData, traceId);
+  }
+
   // Only process stage changes if matter stage exists
   if (!currentMatter.matter_stage) {
     console.log('   No matter stage, skipping');
@@ -319,13 +451,15 @@ router.post('/matters', handleWebhookActivation, testModeFilter, withRetry(async
   // Enrich webhook data with current matter info
   webhookData.data = { ...webhookData.data, ...currentMatter };
   return await MatterStageChangeAutomation.process(webhookData, traceId);
-}, '/matters'));
+};
+
+router.post('/matters', handleWebhookActivation, validateClioSignature, testModeFilter, withRetry(handleMatterWebhook, '/matters'));
 
 /**
  * Webhook: Task Updates (Completions) and Deletions
  * Triggered by Clio when a task is updated or deleted
  */
-router.post('/tasks', handleWebhookActivation, testModeFilter, withRetry(async (webhookData, traceId) => {
+router.post('/tasks', handleWebhookActivation, validateClioSignature, testModeFilter, withRetry(async (webhookData, traceId) => {
   console.log('📨 Received task webhook');
   console.log('   Webhook meta.event:', webhookData.meta?.event);
   console.log('   Has deleted_at?', !!webhookData.data?.deleted_at);
@@ -352,7 +486,7 @@ router.post('/tasks', handleWebhookActivation, testModeFilter, withRetry(async (
  * Webhook: Calendar Entries (Meetings)
  * Triggered by Clio when a calendar entry is created, updated, or deleted
  */
-router.post('/calendar', handleWebhookActivation, testModeFilter, withRetry(async (webhookData, traceId) => {
+const handleCalendarWebhook = async (webhookData, traceId) => {
   console.log('📨 Received calendar webhook');
   console.log('   Webhook meta.event:', webhookData.meta?.event);
 
@@ -367,13 +501,15 @@ router.post('/calendar', handleWebhookActivation, testModeFilter, withRetry(asyn
 
   // Otherwise, treat as create/update
   return await MeetingScheduledAutomation.process(webhookData, traceId);
-}, '/calendar'));
+};
+
+router.post('/calendar', handleWebhookActivation, validateClioSignature, testModeFilter, withRetry(handleCalendarWebhook, '/calendar'));
 
 /**
  * Webhook: Documents (Clio Drive)
  * Triggered by Clio when a document is created
  */
-router.post('/documents', handleWebhookActivation, testModeFilter, withRetry(async (webhookData, traceId) => {
+router.post('/documents', handleWebhookActivation, validateClioSignature, testModeFilter, withRetry(async (webhookData, traceId) => {
   console.log('📨 Received document webhook');
 
   return await DocumentCreatedAutomation.process(webhookData, traceId);
@@ -387,14 +523,14 @@ router.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    testMode: {
-      enabled: config.testing.testMode,
-      testMatterId: config.testing.testMode ? config.testing.testMatterId : 'all matters allowed',
-    },
+    // Rules and test matter IDs are only listed on GET /admin/test-mode
+    testMode: config.testing.testMode,
     rateLimit: queueStats.rateLimit,
+    signatures: WebhookSecretService.getStats(),
     automations: [
       'matter-stage-change',
       'matter-closed',
+      'matter-reopened',
       'task-completed',
       'task-deleted',
       'meeting-scheduled',
@@ -415,4 +551,13 @@ router.get('/queue-stats', (req, res) => {
   });
 });
 
+/**
+ * Dry runs of the matter and calendar automations, mounted by the admin API
+ * as POST /admin/dry-run/matters and POST /admin/dry-run/calendar
+ * Body: the webhook payload ({ data: {...} })
+ */
+export const dryRunRouter = express.Router();
+dryRunRouter.post('/matters', dryRunWebhook(handleMatterWebhook, '/matters'));
+dryRunRouter.post('/calendar', dryRunWebhook(handleCalendarWebhook, '/calendar'));
+
 export default router;
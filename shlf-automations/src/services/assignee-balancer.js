@@ -0,0 +1,180 @@
+import { SupabaseService } from './supabase.js';
+import { DelegationService } from './delegation.js';
+import { formatForClio, getOfficeTimezone, getZonedNow } from '../utils/date-helpers.js';
+import { BALANCING_STRATEGIES, matchesScope, normalizeAssigneeType, rankCandidates } from '../utils/assignee-balancing.js';
+import { findDelegate } from '../utils/delegation.js';
+
+/**
+ * Assignee Balancer Service
+ *
+ * Optionally spreads an assignee type's tasks over a pool of users
+ * (see migrations/019_assignee_balancing.sql). resolveAssignee() does its usual
+ * lookup first and passes the result here as the default assignee; without an
+ * active rule for the type the default is returned unchanged.
+ *
+ * Rules and pools are cached for a minute. Balancing never fails task
+ * creation - any error falls back to the default assignee.
+ *
+ * Pool members with an active out-of-office delegation (DelegationService)
+ * are skipped.
+ *
+ * A matter's tasks of one type stay with one member: a new task goes to the
+ * member picked earlier in the same run (same tracking context), or else to
+ * the pool member holding most of the matter's open tasks. Only a matter
+ * nobody in the pool works on yet is ranked by workload.
+ *
+ * Only new tasks are balanced: when an existing task is updated (due date,
+ * meeting moved) and its assignee is still in the pool and not on leave, it
+ * keeps that assignee.
+ */
+
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+let configCache = { rules: null, members: null, loadedAt: 0 };
+
+// Members picked during a run (tracking context → "type:scope:matter" → user ID)
+const runPicks = new WeakMap();
+
+export class AssigneeBalancerService {
+  /**
+   * Get balancing rules (by assignee type) and pool members (cached for 1 minute)
+   * @param {Object} [ctx] - Optional tracking context
+   * @param {boolean} [forceRefresh=false] - Bypass the cache
+   * @returns {Promise<Object>} { rules: Map<type, rule>, members: Array }
+   */
+  static async getConfig(ctx = null, forceRefresh = false) {
+    if (!forceRefresh && configCache.rules && Date.now() - configCache.loadedAt < CONFIG_CACHE_TTL_MS) {
+      return configCache;
+    }
+
+    try {
+      const rules = await SupabaseService.getAssigneeBalancingRules(ctx);
+      const members = rules?.length ? await SupabaseService.getAssigneePoolMembers(ctx) : [];
+      configCache = {
+        rules: new Map((rules || []).map(rule => [normalizeAssigneeType(rule.assignee_type), rule])),
+        members,
+        loadedAt: Date.now(),
+      };
+      return configCache;
+    } catch (error) {
+      console.error(`[ASSIGNEE] Failed to load balancing rules: ${error.message}`);
+      return configCache.rules ? configCache : { rules: new Map(), members: [] };
+    }
+  }
+
+  /**
+   * Pick the assignee for a task, balancing over the type's pool when configured
+   *
+   * @param {string} assigneeType - CSC, PARALEGAL, FUND_TABLE (or FUND TABLE), VA
+   * @param {Object} defaultAssignee - The usual lookup's result ({id, name, type})
+   * @param {Object} [options]
+   * @param {string|number} [options.scope] - Location (CSC) or attorney ID (PARALEGAL, FUND_TABLE)
+   * @param {Object} [options.matterData] - Matter (location picks the office date for delegation checks)
+   * @param {number} [options.currentAssigneeId] - Assignee of the existing task being updated
+   * @param {Object} [options.ctx] - Optional tracking context
+   * @returns {Promise<Object>} {id, name, type}
+   */
+  static async balance(assigneeType, defaultAssignee, { scope = null, matterData = null, currentAssigneeId = null, ctx = null } = {}) {
+    const type = normalizeAssigneeType(assigneeType);
+
+    try {
+      const { rules, members } = await this.getConfig(ctx);
+      const rule = rules.get(type);
+      if (!rule || !BALANCING_STRATEGIES.includes(rule.strategy)) return defaultAssignee;
+
+      const pool = members.filter(m => normalizeAssigneeType(m.assignee_type) === type && matchesScope(m, scope));
+      if (rule.include_default !== false && !pool.some(m => Number(m.user_id) === Number(defaultAssignee.id))) {
+        pool.push({ user_id: defaultAssignee.id, user_name: defaultAssignee.name, weight: 1 });
+      }
+
+      const date = formatForClio(getZonedNow(getOfficeTimezone(matterData?.location)));
+      const delegations = await DelegationService.getDelegations(ctx);
+
+      // Updating a task: keep its assignee while they are still in the pool and not on leave
+      const current = currentAssigneeId && !findDelegate(delegations, currentAssigneeId, date)
+        ? pool.find(m => Number(m.user_id) === Number(currentAssigneeId))
+        : null;
+      if (current) {
+        ctx?.logDecision('assignee_balancing', {
+          assigneeType: type,
+          scope,
+          strategy: rule.strategy,
+          defaultAssignee: { id: defaultAssignee.id, name: defaultAssignee.name },
+          currentAssigneeId,
+        }, {
+          assignee: { id: Number(current.user_id), name: current.user_name },
+          reason: 'kept_current_assignee',
+        });
+        return { id: Number(current.user_id), name: current.user_name, type: 'User' };
+      }
+
+      const openCounts = pool.length
+        ? await SupabaseService.getOpenTaskCountsByAssignee(pool.map(m => Number(m.user_id)), ctx)
+        : new Map();
+      const runKey = `${type}:${scope ?? ''}:${matterData?.id ?? ''}`;
+      const matterAssigneeIds = await this.getMatterAssigneeIds(pool, matterData, runKey, ctx);
+      const { chosen, reason, candidates } = rankCandidates(pool, openCounts, {
+        strategy: rule.strategy,
+        date,
+        delegations,
+        defaultAssignee,
+        matterAssigneeIds,
+      });
+      if (chosen && ctx) {
+        if (!runPicks.has(ctx)) runPicks.set(ctx, new Map());
+        runPicks.get(ctx).set(runKey, Number(chosen.user_id));
+      }
+
+      const assignee = chosen
+        ? { id: Number(chosen.user_id), name: chosen.user_name, type: 'User' }
+        : defaultAssignee;
+
+      ctx?.logDecision('assignee_balancing', {
+        assigneeType: type,
+        scope,
+        strategy: rule.strategy,
+        date,
+        defaultAssignee: { id: defaultAssignee.id, name: defaultAssignee.name },
+        matterAssigneeIds,
+      }, {
+        assignee: { id: assignee.id, name: assignee.name },
+        reason: chosen ? reason : `${reason}_used_default`,
+        candidates,
+      });
+
+      if (assignee.id !== defaultAssignee.id) {
+        const openTasks = candidates.find(c => c.user_id === assignee.id)?.open_tasks;
+        console.log(`[ASSIGNEE] ${type} balanced to ${assignee.name} (${openTasks} open tasks) instead of ${defaultAssignee.name}`);
+      }
+
+      return assignee;
+    } catch (error) {
+      console.error(`[ASSIGNEE] Balancing failed for ${type}, using ${defaultAssignee.name}: ${error.message}`);
+      return defaultAssignee;
+    }
+  }
+
+  /**
+   * Pool members already working a matter, most preferred first: the member
+   * picked earlier in this run, else those holding the matter's open tasks
+   * (most tasks first)
+   *
+   * @param {Array<Object>} pool - Pool members for the type and scope
+   * @param {Object} [matterData] - Matter (id)
+   * @param {string} runKey - Run pick key (type, scope and matter)
+   * @param {Object} [ctx] - Optional tracking context (identifies the run)
+   * @returns {Promise<Array<number>>} User IDs
+   */
+  static async getMatterAssigneeIds(pool, matterData, runKey, ctx = null) {
+    const picked = ctx ? runPicks.get(ctx)?.get(runKey) : undefined;
+    if (picked !== undefined) return [picked];
+    if (!matterData?.id) return [];
+
+    const poolIds = new Set(pool.map(m => Number(m.user_id)));
+    const held = new Map();
+    for (const task of await SupabaseService.getOpenTasksByMatter(matterData.id, ctx)) {
+      const userId = Number(task.assigned_user_id);
+      if (poolIds.has(userId)) held.set(userId, (held.get(userId) || 0) + 1);
+    }
+    return [...held.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([userId]) => userId);
+  }
+}
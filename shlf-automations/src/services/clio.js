@@ -2,6 +2,8 @@ import axios from 'axios';
 import { config } from '../config/index.js';
 import { TokenRefreshService } from './token-refresh.js';
 import { EventTracker } from './event-tracker.js';
+import { executeWithRetry, getRetryPolicy } from '../utils/retry-policy.js';
+import { instrumentAxios } from '../utils/metrics.js';
 
 /**
  * Rate Limit Tracker for Clio API
@@ -63,6 +65,9 @@ export class ClioService {
   // Rate limit tracker (singleton)
   static rateLimitTracker = new RateLimitTracker();
 
+  // Records per page for list endpoints (Clio's maximum)
+  static PAGE_LIMIT = 200;
+
   static client = axios.create({
     baseURL: config.clio.apiBaseUrl,
     headers: {
@@ -72,10 +77,19 @@ export class ClioService {
   });
 
   /**
-   * Initialize axios interceptors for automatic token refresh and rate limit tracking
+   * Initialize axios interceptors for automatic token refresh, rate limit tracking and metrics
    * Call this once on app startup
    */
   static initializeInterceptors() {
+    // Latency, status codes and rate limit for /metrics (registered first, see instrumentAxios)
+    instrumentAxios(this.client, 'clio');
+
+    // Request interceptor: current token from the store (cached by TokenRefreshService)
+    this.client.interceptors.request.use(async (request) => {
+      request.headers['Authorization'] = `Bearer ${await TokenRefreshService.getAccessToken()}`;
+      return request;
+    });
+
     // Response interceptor for rate limit tracking and 401 handling
     this.client.interceptors.response.use(
       (response) => {
@@ -98,8 +112,9 @@ export class ClioService {
           console.log('🔐 Received 401 Unauthorized, attempting token refresh...');
 
           try {
-            // Refresh the token
-            const tokenData = await TokenRefreshService.refreshAccessToken();
+            // Refresh the token (or pick up the one another instance already refreshed)
+            const failedToken = String(originalRequest.headers['Authorization'] || '').replace(/^Bearer /, '');
+            const tokenData = await TokenRefreshService.refreshAccessToken({ failedToken });
 
             // Update the authorization header with new token
             originalRequest.headers['Authorization'] = `Bearer ${tokenData.access_token}`;
@@ -150,7 +165,7 @@ export class ClioService {
         `/api/v4/matters/${matterId}`,
         {
           params: {
-            fields: 'id,display_number,etag,status,matter_stage,matter_stage_updated_at,location,practice_area,originating_attorney,responsible_attorney',
+            fields: 'id,display_number,etag,status,open_date,matter_stage,matter_stage_updated_at,location,practice_area,originating_attorney,responsible_attorney',
           },
         }
       );
@@ -162,6 +177,32 @@ export class ClioService {
     }
   }
 
+  /**
+   * Get a matter's custom field values
+   * @param {number} matterId - Clio matter ID
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Array>} [{ id, field_name, value, custom_field: { id } }]
+   */
+  static async getMatterCustomFieldValues(matterId, ctx = null) {
+    const start = Date.now();
+    try {
+      const response = await this.client.get(
+        `/api/v4/matters/${matterId}`,
+        {
+          params: {
+            fields: 'id,custom_field_values{id,field_name,value,custom_field}',
+          },
+        }
+      );
+      const values = response.data.data.custom_field_values || [];
+      ctx?.logApiCall('clio_getMatterCustomFieldValues', { matterId }, { count: values.length }, Date.now() - start, 'success');
+      return values;
+    } catch (error) {
+      ctx?.logApiCall('clio_getMatterCustomFieldValues', { matterId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get task details
    * @param {number} taskId - Clio task ID
@@ -188,29 +229,72 @@ export class ClioService {
 
   /**
    * Get all tasks for a specific matter
+   * Follows Clio's page links, so matters with more than one page of tasks are complete.
    * @param {number} matterId - Clio matter ID
    * @param {Object} [ctx] - Optional tracking context
    */
   static async getTasksByMatter(matterId, ctx = null) {
     const start = Date.now();
     try {
-      const response = await this.client.get(
+      const tasks = [];
+      let response = await this.client.get(
         '/api/v4/tasks',
         {
           params: {
             matter_id: matterId,
-            fields: 'id,name,description,status,matter{id,display_number},assignee{id,name},due_at',
+            fields: 'id,name,description,status,matter{id,display_number},assignee{id,name},due_at,created_at',
+            limit: this.PAGE_LIMIT,
           },
         }
       );
-      ctx?.logApiCall('clio_getTasksByMatter', { matterId }, { count: response.data.data.length }, Date.now() - start, 'success');
-      return response.data.data;
+      tasks.push(...response.data.data);
+
+      while (response.data.meta?.paging?.next) {
+        response = await this.client.get(response.data.meta.paging.next);
+        tasks.push(...response.data.data);
+      }
+
+      ctx?.logApiCall('clio_getTasksByMatter', { matterId }, { count: tasks.length }, Date.now() - start, 'success');
+      return tasks;
     } catch (error) {
       ctx?.logApiCall('clio_getTasksByMatter', { matterId }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get one page of matters
+   * Pass the returned `next` link back as `pageUrl` for the following page.
+   * @param {Object} [options]
+   * @param {string} [options.status='open'] - Clio matter status filter (open, pending, closed)
+   * @param {string} [options.pageUrl] - `next` link from the previous page
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object>} { matters, next }
+   */
+  static async getMatters({ status = 'open', pageUrl = null } = {}, ctx = null) {
+    const start = Date.now();
+    try {
+      const response = pageUrl
+        ? await this.client.get(pageUrl)
+        : await this.client.get('/api/v4/matters', {
+          params: {
+            status,
+            fields: 'id,display_number,status,open_date,matter_stage,matter_stage_updated_at,location,practice_area,originating_attorney,responsible_attorney',
+            order: 'id(asc)',
+            limit: this.PAGE_LIMIT,
+          },
+        });
+
+      const matters = response.data.data;
+      const next = response.data.meta?.paging?.next || null;
+      ctx?.logApiCall('clio_getMatters', { status, page: pageUrl ? 'next' : 'first' }, { count: matters.length, hasNext: !!next }, Date.now() - start, 'success');
+      return { matters, next };
+    } catch (error) {
+      ctx?.logApiCall('clio_getMatters', { status, page: pageUrl ? 'next' : 'first' }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get calendar entry details
    * @param {number} entryId - Clio calendar entry ID
@@ -247,7 +331,7 @@ export class ClioService {
         `/api/v4/documents/${documentId}.json`,
         {
           params: {
-            fields: 'id,name,parent{id,name,type},matter,created_at',
+            fields: 'id,name,content_type,parent{id,name,type},matter,created_at',
           },
         }
       );
@@ -521,24 +605,115 @@ export class ClioService {
     }
   }
 
+  /**
+   * Get all webhook subscriptions
+   * @param {Object} [options]
+   * @param {boolean} [options.withSecrets=false] - Include each subscription's shared_secret (don't log it)
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Array>} [{ id, model, url, events, fields, status, expires_at }]
+   */
+  static async getWebhooks({ withSecrets = false } = {}, ctx = null) {
+    const start = Date.now();
+    try {
+      const webhooks = [];
+      let pageUrl = null;
+      do {
+        const response = pageUrl
+          ? await this.client.get(pageUrl)
+          : await this.client.get('/api/v4/webhooks.json', {
+            params: {
+              fields: `id,model,url,events,fields,status,expires_at,created_at${withSecrets ? ',shared_secret' : ''}`,
+              limit: this.PAGE_LIMIT,
+            },
+          });
+        webhooks.push(...response.data.data);
+        pageUrl = response.data.meta?.paging?.next || null;
+      } while (pageUrl);
+
+      ctx?.logApiCall('clio_getWebhooks', {}, { count: webhooks.length }, Date.now() - start, 'success');
+      return webhooks;
+    } catch (error) {
+      ctx?.logApiCall('clio_getWebhooks', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a webhook subscription
+   * The response includes the subscription's shared_secret - don't log it.
+   * @param {Object} data - { url, model, events, fields, expires_at }
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async createWebhook(data, ctx = null) {
+    const start = Date.now();
+    const input = { model: data.model, url: data.url, events: data.events };
+    try {
+      const response = await this.client.post('/api/v4/webhooks.json', { data }, {
+        params: { fields: 'id,model,url,events,fields,status,expires_at,shared_secret' },
+      });
+      ctx?.logApiCall('clio_createWebhook', input, { id: response.data.data.id, status: response.data.data.status }, Date.now() - start, 'success');
+      return response.data.data;
+    } catch (error) {
+      ctx?.logApiCall('clio_createWebhook', input, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a webhook subscription (events, fields, url, expires_at)
+   * @param {number} webhookId - Clio webhook ID
+   * @param {Object} updates - Webhook updates
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async updateWebhook(webhookId, updates, ctx = null) {
+    const start = Date.now();
+    try {
+      const response = await this.client.patch(`/api/v4/webhooks/${webhookId}.json`, {
+        data: updates,
+      });
+      ctx?.logApiCall('clio_updateWebhook', { webhookId, updates: Object.keys(updates) }, { id: response.data.data.id }, Date.now() - start, 'success');
+      return response.data.data;
+    } catch (error) {
+      ctx?.logApiCall('clio_updateWebhook', { webhookId, updates: Object.keys(updates) }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a webhook subscription
+   * @param {number} webhookId - Clio webhook ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async deleteWebhook(webhookId, ctx = null) {
+    const start = Date.now();
+    try {
+      await this.client.delete(`/api/v4/webhooks/${webhookId}.json`);
+      ctx?.logApiCall('clio_deleteWebhook', { webhookId }, { deleted: true }, Date.now() - start, 'success');
+    } catch (error) {
+      ctx?.logApiCall('clio_deleteWebhook', { webhookId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Retry wrapper for API calls
+   * Uses the shared retry policy: 4xx errors are not retried, 429 honors Retry-After,
+   * everything else backs off exponentially (capped, with jitter)
    * @param {Function} fn - Function to retry
    * @param {number} [maxAttempts=3] - Max retry attempts
-   * @param {number} [delayMs=1000] - Delay between retries
+   * @param {number} [delayMs=1000] - Base delay for exponential backoff
    * @param {Object} [ctx] - Optional tracking context
    */
   static async withRetry(fn, maxAttempts = 3, delayMs = 1000, ctx = null) {
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        return await fn();
-      } catch (error) {
-        ctx?.logDecision('retry_attempt', { attempt, maxAttempts }, { willRetry: attempt < maxAttempts, error: error.message });
-        if (attempt === maxAttempts) throw error;
-
-        console.log(`Attempt ${attempt} failed, retrying in ${delayMs}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-      }
-    }
+    return executeWithRetry(fn, {
+      policy: getRetryPolicy('clio-api', { maxAttempts, baseDelayMs: delayMs }),
+      ctx,
+      label: 'CLIO',
+    });
   }
 }
+
+// Keep the default Authorization header on the current token (refreshed here or by another instance)
+TokenRefreshService.onTokenChange((accessToken) => {
+  ClioService.client.defaults.headers['Authorization'] = `Bearer ${accessToken}`;
+});
@@ -0,0 +1,123 @@
+import { SupabaseService } from './supabase.js';
+
+/**
+ * Closed Matter Workflow Service
+ *
+ * Decides what MatterClosedAutomation does when a matter closes, from the
+ * `closed_matter_workflows` table (see migrations/017_closed_matter_workflows.sql):
+ * - open_task_action / calendar_task_action: leave, complete or delete the
+ *   matter's open automation tasks (calendar-linked tasks separately)
+ * - no_payment_task: create "Client did not engage" when nothing was paid
+ * - closing checklist tasks from `closing_checklist_templates`
+ *
+ * A matter uses its practice area's workflow, else the default workflow
+ * (practice_area_id NULL). Workflows are cached for a minute so edits in
+ * Supabase apply without a restart. Until the table exists the built-in
+ * workflow (previous behavior) applies.
+ */
+
+const WORKFLOWS_CACHE_TTL_MS = 60 * 1000;
+let workflowsCache = { workflows: null, loadedAt: 0 };
+
+export const CLOSED_TASK_ACTIONS = {
+  NONE: 'none',
+  COMPLETE: 'complete',
+  DELETE: 'delete',
+};
+
+/**
+ * Built-in workflow used until closed_matter_workflows exists
+ */
+export const DEFAULT_CLOSED_MATTER_WORKFLOW = Object.freeze({
+  id: null,
+  name: 'Default (built-in)',
+  practice_area_id: null,
+  open_task_action: CLOSED_TASK_ACTIONS.NONE,
+  calendar_task_action: CLOSED_TASK_ACTIONS.NONE,
+  no_payment_task: true,
+});
+
+// Bills that no longer count towards the outstanding balance
+const CLOSED_BILL_STATUSES = new Set(['void', 'deleted']);
+
+export class ClosedMatterWorkflowService {
+  /**
+   * Get active workflows (cached for 1 minute)
+   * Falls back to the cached (or built-in) workflows if Supabase is unavailable
+   * @param {Object} [ctx] - Optional tracking context
+   * @param {boolean} [forceRefresh=false] - Bypass the cache
+   */
+  static async getWorkflows(ctx = null, forceRefresh = false) {
+    if (!forceRefresh && workflowsCache.workflows && Date.now() - workflowsCache.loadedAt < WORKFLOWS_CACHE_TTL_MS) {
+      return workflowsCache.workflows;
+    }
+
+    try {
+      const workflows = (await SupabaseService.getClosedMatterWorkflows(ctx)) ?? [DEFAULT_CLOSED_MATTER_WORKFLOW];
+      workflowsCache = { workflows, loadedAt: Date.now() };
+      return workflows;
+    } catch (error) {
+      console.error(`[MATTER-CLOSED] Failed to load closed matter workflows: ${error.message}`);
+      return workflowsCache.workflows || [DEFAULT_CLOSED_MATTER_WORKFLOW];
+    }
+  }
+
+  /**
+   * Workflow for a practice area (falls back to the default workflow)
+   * @param {number} [practiceAreaId] - Clio practice area ID
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object>} closed_matter_workflows row
+   */
+  static async getWorkflow(practiceAreaId, ctx = null) {
+    const workflows = await this.getWorkflows(ctx);
+
+    return workflows.find(w => practiceAreaId && Number(w.practice_area_id) === Number(practiceAreaId))
+      || workflows.find(w => w.practice_area_id === null || w.practice_area_id === undefined)
+      || DEFAULT_CLOSED_MATTER_WORKFLOW;
+  }
+
+  /**
+   * Closing checklist templates for a workflow
+   * @param {Object} workflow
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getChecklist(workflow, ctx = null) {
+    if (!workflow.id) return [];
+    return SupabaseService.getClosingChecklistTemplates(workflow.id, ctx);
+  }
+
+  /**
+   * Payment and outstanding balance summary of a matter's bills
+   * (payments: any bill with paid > 0, like ClioService.hasPayments)
+   * @param {Array<Object>} bills - From ClioService.getBillsByMatter
+   * @returns {Object} { billCount, hasPayments, billsOutstanding, balanceOutstanding }
+   */
+  static summarizeBills(bills) {
+    const open = bills.filter(bill => !CLOSED_BILL_STATUSES.has(bill.status) && parseFloat(bill.balance || 0) > 0);
+    const balance = open.reduce((sum, bill) => sum + parseFloat(bill.balance || 0), 0);
+
+    return {
+      billCount: bills.length,
+      hasPayments: bills.some(bill => parseFloat(bill.paid || 0) > 0),
+      billsOutstanding: open.length,
+      balanceOutstanding: Math.round(balance * 100) / 100,
+    };
+  }
+
+  /**
+   * Which open tasks the workflow closes out, and how
+   * Calendar-linked tasks (calendar_entry_id set) follow calendar_task_action,
+   * all others follow open_task_action.
+   * @param {Object} workflow
+   * @param {Array<Object>} openTasks - Supabase task rows
+   * @returns {Array<{ task: Object, action: string }>}
+   */
+  static planTaskClosures(workflow, openTasks) {
+    return openTasks
+      .map(task => ({
+        task,
+        action: task.calendar_entry_id ? workflow.calendar_task_action : workflow.open_task_action,
+      }))
+      .filter(({ action }) => action && action !== CLOSED_TASK_ACTIONS.NONE);
+  }
+}
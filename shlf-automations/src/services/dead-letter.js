@@ -0,0 +1,227 @@
+import { randomUUID } from 'crypto';
+import { SupabaseService } from './supabase.js';
+import { EventTracker } from './event-tracker.js';
+import { webhookQueue } from '../utils/webhook-queue.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
+
+/**
+ * Dead-Letter Service
+ *
+ * Stores webhooks that failed every retry attempt (`webhook_dead_letters` table)
+ * and replays them through the original automation.
+ *
+ * Replays:
+ * - Run through the durable webhook queue (per-matter ordering preserved)
+ * - Carry `webhookData.replay` so automations build a fresh idempotency key
+ * - Start a new trace whose metadata points at the original trace, and log a
+ *   `dead_letter_replayed` step on the original trace pointing forward
+ */
+export class DeadLetterService {
+  /**
+   * Record a webhook that exhausted its retries
+   * Never throws - a failed write is logged so the original error still surfaces
+   *
+   * @param {Object} params
+   * @param {Object} params.webhookData - Original webhook payload
+   * @param {string} params.endpoint - Route endpoint (e.g. '/matters')
+   * @param {string} params.triggerName - e.g. 'matter-stage-change'
+   * @param {number} [params.matterId]
+   * @param {string} [params.traceId] - Trace of the failed run
+   * @param {number} params.attempts - Attempts made
+   * @param {Error} params.error - Final error
+   * @returns {Promise<Object|null>} Dead letter row or null
+   */
+  static async record({ webhookData, endpoint, triggerName, matterId = null, traceId = null, attempts, error }) {
+    try {
+      const deadLetter = await SupabaseService.insertDeadLetter({
+        endpoint,
+        trigger_name: triggerName,
+        webhook_id: webhookData.id ? String(webhookData.id) : null,
+        matter_id: matterId,
+        resource_id: webhookData.data?.id ? String(webhookData.data.id) : null,
+        trace_id: traceId,
+        payload: webhookData,
+        error_message: error.message,
+        error_code: error.code || error.response?.data?.error?.type || null,
+        http_status: error.response?.status || null,
+        attempts,
+      });
+
+      console.error(`[DEAD-LETTER] Webhook ${webhookData.id} (${triggerName}) moved to dead-letter store as #${deadLetter.id}`);
+
+      await SupabaseService.logError(
+        ERROR_CODES.WEBHOOK_DEAD_LETTERED,
+        `Webhook failed after ${attempts} attempts: ${error.message}`,
+        {
+          dead_letter_id: deadLetter.id,
+          webhook_id: webhookData.id,
+          endpoint,
+          trigger_name: triggerName,
+          matter_id: matterId,
+          trace_id: traceId,
+        }
+      );
+
+      return deadLetter;
+    } catch (recordError) {
+      console.error(`[DEAD-LETTER] Failed to store dead letter for webhook ${webhookData.id}: ${recordError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Replay a single dead-lettered webhook
+   *
+   * @param {number} id - Dead letter ID
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Replay even if it was already replayed successfully
+   * @returns {Promise<Object>} Replay outcome
+   */
+  static async replay(id, { force = false } = {}) {
+    const deadLetter = await SupabaseService.getDeadLetterById(id);
+
+    if (!deadLetter) {
+      return { deadLetterId: id, success: false, action: 'not_found' };
+    }
+
+    if (deadLetter.status === 'replayed' && !force) {
+      return {
+        deadLetterId: id,
+        success: false,
+        action: 'already_replayed',
+        lastReplayTraceId: deadLetter.last_replay_trace_id,
+      };
+    }
+
+    const handler = webhookQueue.getHandler(deadLetter.endpoint);
+    if (!handler) {
+      return {
+        deadLetterId: id,
+        success: false,
+        action: 'no_handler',
+        error: `No handler registered for endpoint ${deadLetter.endpoint}`,
+      };
+    }
+
+    const replayId = randomUUID();
+    const webhookData = {
+      ...deadLetter.payload,
+      replay: {
+        replayId,
+        deadLetterId: deadLetter.id,
+        originalTraceId: deadLetter.trace_id,
+      },
+    };
+
+    console.log(`[DEAD-LETTER] Replaying #${deadLetter.id} (${deadLetter.trigger_name}) as ${replayId}`);
+
+    const traceId = await EventTracker.startTrace({
+      source: 'webhook',
+      triggerName: deadLetter.trigger_name || 'unknown',
+      endpoint: `/webhooks${deadLetter.endpoint}`,
+      matterId: deadLetter.matter_id,
+      webhookId: deadLetter.webhook_id,
+      input: {
+        deadLetterId: deadLetter.id,
+        replayId,
+        payload: webhookData,
+      },
+      metadata: {
+        replayOf: deadLetter.trace_id,
+        deadLetterId: deadLetter.id,
+        replayId,
+        replayCount: (deadLetter.replay_count || 0) + 1,
+      },
+    });
+
+    // Link the original trace forward to this replay
+    if (deadLetter.trace_id) {
+      const linkStepId = await EventTracker.startStep(deadLetter.trace_id, {
+        layerName: 'processing',
+        stepName: 'dead_letter_replayed',
+        input: { deadLetterId: deadLetter.id, replayId },
+      });
+      await EventTracker.endStep(linkStepId, {
+        status: 'success',
+        output: { replayTraceId: traceId },
+      });
+    }
+
+    try {
+      const result = await webhookQueue.enqueue(
+        webhookData,
+        () => handler(webhookData, traceId),
+        traceId,
+        { endpoint: deadLetter.endpoint, triggerName: deadLetter.trigger_name }
+      );
+
+      await EventTracker.endTrace(traceId, {
+        status: 'success',
+        resultAction: result?.action || 'processed',
+        output: result,
+        metadata: { replayOf: deadLetter.trace_id, deadLetterId: deadLetter.id },
+      });
+
+      await SupabaseService.updateDeadLetter(deadLetter.id, {
+        status: 'replayed',
+        replay_count: (deadLetter.replay_count || 0) + 1,
+        last_replay_trace_id: traceId,
+        last_replay_error: null,
+        last_replayed_at: new Date().toISOString(),
+      });
+
+      console.log(`[DEAD-LETTER] Replay of #${deadLetter.id} succeeded (${result?.action || 'processed'})`);
+      return { deadLetterId: deadLetter.id, success: true, action: 'replayed', traceId, result };
+    } catch (error) {
+      await EventTracker.endTrace(traceId, {
+        status: 'error',
+        errorMessage: error.message,
+        output: { success: false, error: error.message },
+        metadata: { replayOf: deadLetter.trace_id, deadLetterId: deadLetter.id },
+      });
+
+      await SupabaseService.updateDeadLetter(deadLetter.id, {
+        status: 'replay_failed',
+        replay_count: (deadLetter.replay_count || 0) + 1,
+        last_replay_trace_id: traceId,
+        last_replay_error: error.message,
+        last_replayed_at: new Date().toISOString(),
+      });
+
+      console.error(`[DEAD-LETTER] Replay of #${deadLetter.id} failed: ${error.message}`);
+      return { deadLetterId: deadLetter.id, success: false, action: 'replay_failed', traceId, error: error.message };
+    }
+  }
+
+  /**
+   * Replay several dead letters sequentially
+   *
+   * @param {Object} params
+   * @param {number[]} [params.ids] - Explicit dead letter IDs
+   * @param {string} [params.status='pending'] - Status filter when no IDs given
+   * @param {string} [params.triggerName] - Trigger filter when no IDs given
+   * @param {number} [params.limit=25] - Max dead letters to replay
+   * @param {boolean} [params.force=false]
+   * @returns {Promise<Object>} Summary with per-item results
+   */
+  static async replayMany({ ids = null, status = 'pending', triggerName = null, limit = 25, force = false } = {}) {
+    const { items } = ids?.length
+      ? await SupabaseService.getDeadLetters({ ids, limit: ids.length })
+      : await SupabaseService.getDeadLetters({ status, triggerName, limit });
+
+    // Oldest first so per-matter ordering matches arrival order
+    const ordered = [...items].reverse();
+    const results = [];
+
+    for (const deadLetter of ordered) {
+      results.push(await this.replay(deadLetter.id, { force }));
+    }
+
+    return {
+      requested: ordered.length,
+      replayed: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      results,
+    };
+  }
+}
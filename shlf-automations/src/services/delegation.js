@@ -0,0 +1,81 @@
+import { SupabaseService } from './supabase.js';
+import { formatForClio, getOfficeTimezone, getZonedNow } from '../utils/date-helpers.js';
+import { findDelegate } from '../utils/delegation.js';
+
+/**
+ * Delegation Service
+ *
+ * Swaps assignees who are out of office for their delegate
+ * (see migrations/020_assignee_delegations.sql). Used by resolveAssignee() and
+ * everywhere a task is created or updated for a fixed user.
+ *
+ * Delegations are cached for a minute. A lookup failure never blocks task
+ * creation - the original assignee is kept.
+ */
+
+const DELEGATIONS_CACHE_TTL_MS = 60 * 1000;
+let delegationsCache = { delegations: null, loadedAt: 0 };
+
+export class DelegationService {
+  /**
+   * Get active delegations (cached for 1 minute)
+   * @param {Object} [ctx] - Optional tracking context
+   * @param {boolean} [forceRefresh=false] - Bypass the cache
+   */
+  static async getDelegations(ctx = null, forceRefresh = false) {
+    if (!forceRefresh && delegationsCache.delegations && Date.now() - delegationsCache.loadedAt < DELEGATIONS_CACHE_TTL_MS) {
+      return delegationsCache.delegations;
+    }
+
+    try {
+      const delegations = (await SupabaseService.getAssigneeDelegations(ctx)) ?? [];
+      delegationsCache = { delegations, loadedAt: Date.now() };
+      return delegations;
+    } catch (error) {
+      console.error(`[DELEGATION] Failed to load delegations: ${error.message}`);
+      return delegationsCache.delegations || [];
+    }
+  }
+
+  /**
+   * Replace an out-of-office assignee with their delegate
+   *
+   * @param {Object} assignee - {id, name, type}
+   * @param {Object} [options]
+   * @param {Object} [options.matterData] - Matter (location picks the office date)
+   * @param {Object} [options.ctx] - Optional tracking context
+   * @returns {Promise<Object>} The delegate ({id, name, type, delegatedFrom, delegationIds}) or the assignee unchanged
+   */
+  static async applyDelegation(assignee, { matterData = null, ctx = null } = {}) {
+    if (!assignee?.id) return assignee;
+
+    try {
+      const delegations = await this.getDelegations(ctx);
+      if (delegations.length === 0) return assignee;
+
+      const date = formatForClio(getZonedNow(getOfficeTimezone(matterData?.location)));
+      const match = findDelegate(delegations, assignee.id, date);
+      if (!match) return assignee;
+
+      ctx?.logDecision('assignee_delegation', {
+        assignee: { id: assignee.id, name: assignee.name },
+        date,
+      }, {
+        delegate: match.delegate,
+        delegations: match.delegations,
+      });
+      console.log(`[DELEGATION] ${assignee.name || assignee.id} is out of office - assigning to ${match.delegate.name || match.delegate.id}`);
+
+      return {
+        id: match.delegate.id,
+        name: match.delegate.name || assignee.name,
+        type: 'User',
+        delegatedFrom: { id: assignee.id, name: assignee.name },
+        delegationIds: match.delegations,
+      };
+    } catch (error) {
+      console.error(`[DELEGATION] Delegation lookup failed for ${assignee.id}: ${error.message}`);
+      return assignee;
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { SupabaseService } from './supabase.js';
+import { calculateDueDate, formatForClio, getOfficeTimezone } from '../utils/date-helpers.js';
+import { DEFAULT_DOCUMENT_RULE, renderRuleText, selectRule } from '../utils/document-rules.js';
+
+/**
+ * Document Rule Service
+ *
+ * Chooses the follow-up task for a new Clio Drive document from the
+ * `document_task_rules` table (see migrations/016_document_task_rules.sql):
+ * - Documents in an excluded folder (`excluded_folders`) never create tasks
+ * - Otherwise the first active rule matching the document wins
+ * - No match, or a match with create_task = false, means no task
+ *
+ * Rules are cached for a minute so edits in Supabase apply without a restart.
+ * Until the table exists the built-in rule (root-folder documents → "Save to OD"
+ * task) applies.
+ */
+
+const RULES_CACHE_TTL_MS = 60 * 1000;
+let rulesCache = { rules: null, loadedAt: 0 };
+
+/**
+ * Public shape of a rule (recorded on traces and results)
+ */
+const describeRule = (rule) => ({
+  id: rule.id ?? null,
+  name: rule.name,
+  createTask: rule.create_task !== false,
+});
+
+export class DocumentRuleService {
+  /**
+   * Get active rules in evaluation order (cached for 1 minute)
+   * Falls back to the cached (or built-in) rules if Supabase is unavailable
+   * @param {Object} [ctx] - Optional tracking context
+   * @param {boolean} [forceRefresh=false] - Bypass the cache
+   */
+  static async getRules(ctx = null, forceRefresh = false) {
+    if (!forceRefresh && rulesCache.rules && Date.now() - rulesCache.loadedAt < RULES_CACHE_TTL_MS) {
+      return rulesCache.rules;
+    }
+
+    try {
+      const rules = (await SupabaseService.getDocumentTaskRules(ctx)) ?? [DEFAULT_DOCUMENT_RULE];
+      rulesCache = { rules, loadedAt: Date.now() };
+      return rules;
+    } catch (error) {
+      console.error(`[DOCUMENT] Failed to load document task rules: ${error.message}`);
+      return rulesCache.rules || [DEFAULT_DOCUMENT_RULE];
+    }
+  }
+
+  /**
+   * Pick the rule for a document
+   *
+   * @param {Object} facts - From describeDocument()
+   * @param {Object} [options]
+   * @param {Object} [options.ctx] - Optional tracking context
+   * @returns {Promise<Object>} { rule, reason } - reason: matched | excluded_folder | no_matching_rule | rule_creates_no_task
+   */
+  static async evaluate(facts, { ctx = null } = {}) {
+    const result = (rule, reason) => {
+      ctx?.logDecision('document_task_rule', facts, { rule: rule ? describeRule(rule) : null, reason });
+      return { rule, reason };
+    };
+
+    const excludedFolders = await SupabaseService.getExcludedFolders(ctx);
+    if (!facts.inRoot && excludedFolders.includes((facts.folder || '').toLowerCase())) {
+      return result(null, 'excluded_folder');
+    }
+
+    const rule = selectRule(await this.getRules(ctx), facts);
+    if (!rule) return result(null, 'no_matching_rule');
+    if (rule.create_task === false) return result(rule, 'rule_creates_no_task');
+
+    return result(rule, 'matched');
+  }
+
+  /**
+   * Task fields for a matched rule (assignee is resolved by the caller)
+   *
+   * @param {Object} rule - document_task_rules row
+   * @param {Object} facts - From describeDocument()
+   * @param {Object} matter - Clio matter (location picks the office timezone)
+   * @returns {Object} { name, description, dueDate }
+   */
+  static buildTask(rule, facts, matter) {
+    const timeZone = getOfficeTimezone(matter.location);
+    const dueDate = calculateDueDate({
+      'due_date-value': rule.due_value ?? 1,
+      'due_date-time-relation': rule.due_unit || 'business days',
+      'due_date-relational': 'after creation',
+    }, new Date(), 'creation', { timeZone });
+
+    return {
+      name: renderRuleText(rule.task_title, facts),
+      description: renderRuleText(rule.task_description, facts),
+      dueDate: formatForClio(dueDate),
+    };
+  }
+
+  /**
+   * Public rule summary
+   */
+  static describe(rule) {
+    return describeRule(rule);
+  }
+}
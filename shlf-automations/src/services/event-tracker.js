@@ -612,16 +612,17 @@ export const EventTracker = {
        * Log test mode filter decision
        * @param {number} resourceId - The resource ID being filtered
        * @param {number} resourceMatterId - The matter ID associated with the resource
-       * @param {number} testMatterId - The configured test matter ID
+       * @param {Object|null} matchedRule - Allowlist rule that matched (from TestModeService.evaluate)
        * @param {boolean} allowed - Whether the resource passed the filter
        */
-      logTestModeFilter: (resourceId, resourceMatterId, testMatterId, allowed) => {
+      logTestModeFilter: (resourceId, resourceMatterId, matchedRule, allowed) => {
         EventTracker.logDetail(stepId, traceId, {
           operation: "test_mode_filter",
           operationType: "decision",
-          input: { resourceId, resourceMatterId, testMatterId },
+          input: { resourceId, resourceMatterId },
           output: {
             allowed,
+            matchedRule,
             reason: allowed ? "in_allowlist" : "not_in_allowlist",
           },
           status: allowed ? "success" : "skipped",
@@ -1,10 +1,63 @@
 import { createClient } from '@supabase/supabase-js';
 import { config } from '../config/index.js';
 import { EventTracker } from './event-tracker.js';
+import {
+  DEFAULT_PRACTICE_AREAS,
+  DEFAULT_PRACTICE_AREA_FLAGS,
+  TEMPLATE_TABLE_PATTERN,
+} from '../constants/practice-areas.js';
 
 // Initialize Supabase client
 const supabase = createClient(config.supabase.url, config.supabase.key);
 
+// Practice area registry cache (registry rows change rarely; avoid a query per webhook)
+const PRACTICE_AREA_CACHE_TTL_MS = 5 * 60 * 1000;
+let practiceAreaCache = { entries: null, loadedAt: 0 };
+
+/**
+ * Normalize a registry row: merge default flags, coerce stage IDs to numbers
+ */
+const normalizePracticeArea = (row) => ({
+  ...row,
+  stage_ids: row.stage_ids?.length ? row.stage_ids.map(Number) : null,
+  flags: { ...DEFAULT_PRACTICE_AREA_FLAGS, ...(row.flags || {}) },
+});
+
+/**
+ * Lease columns for a new/claimed webhook reservation
+ */
+const reservationLease = () => ({
+  lease_owner: config.instanceId,
+  lease_expires_at: new Date(Date.now() + config.idempotency.leaseSeconds * 1000).toISOString(),
+});
+
+/**
+ * Whether a reservation (success = NULL) has outlived its lease
+ */
+const isLeaseExpired = (row) => !!row.lease_expires_at && new Date(row.lease_expires_at).getTime() < Date.now();
+
+/**
+ * Tag template rows with their table so generated tasks can record
+ * template_table / template_id / template_version
+ */
+const withTemplateTable = (rows, tableName) => (rows || []).map(row => ({ ...row, template_table: tableName }));
+
+/**
+ * Run a template query that skips retired templates (active = false)
+ * Template tables registered after migration 014 may not have the `active`
+ * column yet (42703); they are queried again without the filter.
+ *
+ * @param {string} tableName - Template table (for the warning)
+ * @param {Function} buildQuery - (activeOnly) => query, applying activeOnly(query) before any .single()
+ */
+const queryActiveTemplates = async (tableName, buildQuery) => {
+  const result = await buildQuery(query => query.not('active', 'is', false));
+  if (result.error?.code !== '42703') return result;
+
+  console.warn(`[SUPABASE] ${tableName} has no active column (see migration 014) - retired templates are not filtered`);
+  return buildQuery(query => query);
+};
+
 /**
  * Supabase Data Access Layer
  */
@@ -143,14 +196,14 @@ export class SupabaseService {
   static async getTaskListNonMeeting(stageId, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
+      const { data, error } = await queryActiveTemplates('task-list-non-meeting', (activeOnly) => activeOnly(supabase
         .from('task-list-non-meeting')
         .select('*')
-        .eq('stage_id', stageId);
+        .eq('stage_id', stageId)));
 
       if (error) throw error;
       ctx?.logDbQuery('supabase_getTaskListNonMeeting', { stageId }, { count: (data || []).length }, Date.now() - start, 'success');
-      return data || [];
+      return withTemplateTable(data, 'task-list-non-meeting');
     } catch (error) {
       ctx?.logDbQuery('supabase_getTaskListNonMeeting', { stageId }, null, Date.now() - start, 'error', error.message);
       throw error;
@@ -165,14 +218,14 @@ export class SupabaseService {
   static async getTaskListProbate(stageId, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
+      const { data, error } = await queryActiveTemplates('task-list-probate', (activeOnly) => activeOnly(supabase
         .from('task-list-probate')
         .select('*')
-        .eq('stage_id', stageId);
+        .eq('stage_id', stageId)));
 
       if (error) throw error;
       ctx?.logDbQuery('supabase_getTaskListProbate', { stageId }, { count: (data || []).length }, Date.now() - start, 'success');
-      return data || [];
+      return withTemplateTable(data, 'task-list-probate');
     } catch (error) {
       ctx?.logDbQuery('supabase_getTaskListProbate', { stageId }, null, Date.now() - start, 'error', error.message);
       throw error;
@@ -187,20 +240,134 @@ export class SupabaseService {
   static async getTaskListMeeting(calendarEventId, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
+      const { data, error } = await queryActiveTemplates('task-list-meeting', (activeOnly) => activeOnly(supabase
         .from('task-list-meeting')
         .select('*')
-        .eq('calendar_event_id', calendarEventId);
+        .eq('calendar_event_id', calendarEventId)));
 
       if (error) throw error;
       ctx?.logDbQuery('supabase_getTaskListMeeting', { calendarEventId }, { count: (data || []).length }, Date.now() - start, 'success');
-      return data || [];
+      return withTemplateTable(data, 'task-list-meeting');
     } catch (error) {
       ctx?.logDbQuery('supabase_getTaskListMeeting', { calendarEventId }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get all active practice area registry entries (cached for 5 minutes)
+   * Falls back to the built-in defaults if the registry table is missing or empty
+   * @param {Object} [ctx] - Optional tracking context
+   * @param {boolean} [forceRefresh=false] - Bypass the cache
+   */
+  static async getPracticeAreas(ctx = null, forceRefresh = false) {
+    if (!forceRefresh && practiceAreaCache.entries && Date.now() - practiceAreaCache.loadedAt < PRACTICE_AREA_CACHE_TTL_MS) {
+      return practiceAreaCache.entries;
+    }
+
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('practice_area_registry')
+        .select('*')
+        .eq('active', true);
+
+      if (error) {
+        // If table doesn't exist yet, use built-in defaults
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] practice_area_registry table does not exist yet, using defaults');
+          ctx?.logDbQuery('supabase_getPracticeAreas', {}, { count: DEFAULT_PRACTICE_AREAS.length, source: 'defaults' }, Date.now() - start, 'success');
+          return DEFAULT_PRACTICE_AREAS.map(normalizePracticeArea);
+        }
+        throw error;
+      }
+
+      const valid = (data || []).filter(row => {
+        if (TEMPLATE_TABLE_PATTERN.test(row.template_table || '')) return true;
+        console.warn(`[SUPABASE] Ignoring practice area ${row.practice_area_id}: invalid template table "${row.template_table}"`);
+        return false;
+      });
+
+      const entries = (valid.length > 0 ? valid : DEFAULT_PRACTICE_AREAS).map(normalizePracticeArea);
+      practiceAreaCache = { entries, loadedAt: Date.now() };
+
+      ctx?.logDbQuery('supabase_getPracticeAreas', {}, { count: entries.length, source: valid.length > 0 ? 'registry' : 'defaults' }, Date.now() - start, 'success');
+      return entries;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getPracticeAreas', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the registry entry for a Clio practice area
+   * Practice areas without their own entry use the default entry (Estate Planning)
+   * @param {number} practiceAreaId - Clio practice area ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getPracticeAreaConfig(practiceAreaId, ctx = null) {
+    const entries = await this.getPracticeAreas(ctx);
+    const match = entries.find(e => Number(e.practice_area_id) === Number(practiceAreaId));
+    const resolved = match || entries.find(e => e.is_default) || entries[0];
+
+    ctx?.logDecision('practice_area_config', { practiceAreaId }, {
+      matched: !!match,
+      practiceAreaName: resolved?.practice_area_name,
+      templateTable: resolved?.template_table,
+      flags: resolved?.flags,
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Check whether a stage belongs to a practice area's stage set (NULL = every stage)
+   * @param {Object} practiceAreaConfig - Entry from getPracticeAreaConfig()
+   * @param {number} stageId - Stage ID
+   */
+  static isStageInPracticeArea(practiceAreaConfig, stageId) {
+    if (!practiceAreaConfig?.stage_ids) return true;
+    return practiceAreaConfig.stage_ids.includes(Number(stageId));
+  }
+
+  /**
+   * Get stage task templates from a template table
+   * @param {string} tableName - Template table (e.g. 'task-list-probate')
+   * @param {number} stageId - Stage ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTaskListByTable(tableName, stageId, ctx = null) {
+    const start = Date.now();
+    try {
+      if (!TEMPLATE_TABLE_PATTERN.test(tableName || '')) {
+        throw new Error(`Invalid template table: ${tableName}`);
+      }
+
+      const { data, error } = await queryActiveTemplates(tableName, (activeOnly) => activeOnly(supabase
+        .from(tableName)
+        .select('*')
+        .eq('stage_id', stageId)));
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getTaskListByTable', { tableName, stageId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return withTemplateTable(data, tableName);
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getTaskListByTable', { tableName, stageId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get stage task templates for a matter's practice area (via the practice area registry)
+   * @param {number} stageId - Stage ID
+   * @param {number} practiceAreaId - Clio practice area ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTaskListForPracticeArea(stageId, practiceAreaId, ctx = null) {
+    const practiceAreaConfig = await this.getPracticeAreaConfig(practiceAreaId, ctx);
+    return this.getTaskListByTable(practiceAreaConfig.template_table, stageId, ctx);
+  }
+
   /**
    * Get calendar event mapping by stage ID
    * @param {number} stageId - Stage ID
@@ -323,6 +490,270 @@ export class SupabaseService {
     }
   }
 
+  /**
+   * Get active assignee balancing rules
+   * Returns null if the table doesn't exist yet (balancing is off)
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getAssigneeBalancingRules(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('assignee_balancing_rules')
+        .select('*')
+        .eq('active', true);
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] assignee_balancing_rules table does not exist yet, balancing is off');
+          ctx?.logDbQuery('supabase_getAssigneeBalancingRules', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getAssigneeBalancingRules', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getAssigneeBalancingRules', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active assignee pool members
+   * Returns [] if the table doesn't exist yet
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getAssigneePoolMembers(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('assignee_pool_members')
+        .select('*')
+        .eq('active', true)
+        .order('id');
+
+      if (error) {
+        if (error.code === '42P01') {
+          ctx?.logDbQuery('supabase_getAssigneePoolMembers', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getAssigneePoolMembers', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getAssigneePoolMembers', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Count open (not completed, not deleted) tasks per assignee
+   * @param {Array<number>} userIds - Clio user IDs
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Map<number, number>>} user ID → open task count
+   */
+  static async getOpenTaskCountsByAssignee(userIds, ctx = null) {
+    const start = Date.now();
+    try {
+      // One head-only count per user (pools are small; row selects are capped at 1000)
+      const results = await Promise.all(userIds.map(async (userId) => {
+        const { count, error } = await supabase
+          .from('tasks')
+          .select('task_id', { count: 'exact', head: true })
+          .eq('assigned_user_id', userId)
+          .eq('completed', false)
+          .neq('status', 'deleted');
+
+        if (error) throw error;
+        return [Number(userId), count || 0];
+      }));
+      const counts = new Map(results);
+
+      ctx?.logDbQuery('supabase_getOpenTaskCountsByAssignee', { userIds }, { counts: Object.fromEntries(counts) }, Date.now() - start, 'success');
+      return counts;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getOpenTaskCountsByAssignee', { userIds }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active out-of-office delegations
+   * Returns null if the table doesn't exist yet (no delegation)
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getAssigneeDelegations(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('assignee_delegations')
+        .select('*')
+        .eq('active', true)
+        .order('start_date');
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] assignee_delegations table does not exist yet, delegation is off');
+          ctx?.logDbQuery('supabase_getAssigneeDelegations', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getAssigneeDelegations', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getAssigneeDelegations', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get delegations the sync job may act on: active ones, and deactivated ones
+   * whose moved tasks haven't been given back
+   * Returns [] if the table doesn't exist yet
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getDelegationsForSync(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('assignee_delegations')
+        .select('*')
+        .or('active.eq.true,and(reassigned_at.not.is.null,restored_at.is.null)')
+        .order('id');
+
+      if (error) {
+        if (error.code === '42P01') {
+          ctx?.logDbQuery('supabase_getDelegationsForSync', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getDelegationsForSync', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getDelegationsForSync', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a delegation (reassigned_at / restored_at)
+   * @param {number} delegationId
+   * @param {Object} updates
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async updateDelegation(delegationId, updates, ctx = null) {
+    const start = Date.now();
+    try {
+      const { error } = await supabase
+        .from('assignee_delegations')
+        .update(updates)
+        .eq('id', delegationId);
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_updateDelegation', { delegationId, updates: Object.keys(updates) }, { updated: true }, Date.now() - start, 'success');
+    } catch (error) {
+      ctx?.logDbMutation('supabase_updateDelegation', { delegationId, updates: Object.keys(updates) }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get open (not completed, not deleted) tasks assigned to a user
+   * @param {number} userId - Clio user ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getOpenTasksByAssignee(userId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('assigned_user_id', userId)
+        .eq('completed', false)
+        .neq('status', 'deleted');
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getOpenTasksByAssignee', { userId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getOpenTasksByAssignee', { userId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a task moved to a delegate
+   * @param {Object} row - assignee_delegation_tasks row
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async recordDelegatedTask(row, ctx = null) {
+    const start = Date.now();
+    try {
+      const { error } = await supabase
+        .from('assignee_delegation_tasks')
+        .upsert(row, { onConflict: 'delegation_id,task_id' });
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_recordDelegatedTask', { delegationId: row.delegation_id, taskId: row.task_id }, { recorded: true }, Date.now() - start, 'success');
+    } catch (error) {
+      ctx?.logDbMutation('supabase_recordDelegatedTask', { delegationId: row.delegation_id, taskId: row.task_id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a delegation's moved tasks that haven't been given back
+   * @param {number} delegationId
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getDelegatedTasks(delegationId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('assignee_delegation_tasks')
+        .select('*')
+        .eq('delegation_id', delegationId)
+        .is('restored_at', null);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getDelegatedTasks', { delegationId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getDelegatedTasks', { delegationId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a moved task record (restored_at / restore_status)
+   * @param {number} id - assignee_delegation_tasks ID
+   * @param {Object} updates
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async updateDelegatedTask(id, updates, ctx = null) {
+    const start = Date.now();
+    try {
+      const { error } = await supabase
+        .from('assignee_delegation_tasks')
+        .update(updates)
+        .eq('id', id);
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_updateDelegatedTask', { id, updates: Object.keys(updates) }, { updated: true }, Date.now() - start, 'success');
+    } catch (error) {
+      ctx?.logDbMutation('supabase_updateDelegatedTask', { id, updates: Object.keys(updates) }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get meeting date for a matter from matters-meetings-booked
    * @param {number} matterId - The matter ID
@@ -414,40 +845,41 @@ export class SupabaseService {
 
   /**
    * Get task template by stage and task number
+   * Looks in the practice area's template table first, then the other registered tables
    * @param {number} stageId - Stage ID
    * @param {number} taskNumber - Task number
+   * @param {number} [practiceAreaId] - Clio practice area ID (preferred template table)
    * @param {Object} [ctx] - Optional tracking context
    */
-  static async getTaskTemplateByNumber(stageId, taskNumber, ctx = null) {
+  static async getTaskTemplateByNumber(stageId, taskNumber, practiceAreaId = null, ctx = null) {
     const start = Date.now();
     try {
-      // Try non-meeting templates first
-      let { data, error } = await supabase
-        .from('task-list-non-meeting')
-        .select('*')
-        .eq('stage_id', stageId)
-        .eq('task_number', taskNumber)
-        .single();
-
-      if (!error && data) {
-        ctx?.logDbQuery('supabase_getTaskTemplateByNumber', { stageId, taskNumber }, { found: true, source: 'non-meeting' }, Date.now() - start, 'success');
-        return data;
-      }
-
-      // Try probate templates
-      ({ data, error } = await supabase
-        .from('task-list-probate')
-        .select('*')
-        .eq('stage_id', stageId)
-        .eq('task_number', taskNumber)
-        .single());
-
-      if (!error && data) {
-        ctx?.logDbQuery('supabase_getTaskTemplateByNumber', { stageId, taskNumber }, { found: true, source: 'probate' }, Date.now() - start, 'success');
-        return data;
+      const entries = await this.getPracticeAreas(ctx);
+      const preferred = practiceAreaId ? entries.find(e => Number(e.practice_area_id) === Number(practiceAreaId)) : null;
+      const fallbackDefault = entries.find(e => e.is_default);
+
+      // Preferred table, then default table, then every other registered table
+      const tables = [...new Set([
+        preferred?.template_table,
+        fallbackDefault?.template_table,
+        ...entries.map(e => e.template_table),
+      ].filter(Boolean))];
+
+      for (const tableName of tables) {
+        const { data, error } = await queryActiveTemplates(tableName, (activeOnly) => activeOnly(supabase
+          .from(tableName)
+          .select('*')
+          .eq('stage_id', stageId)
+          .eq('task_number', taskNumber))
+          .single());
+
+        if (!error && data) {
+          ctx?.logDbQuery('supabase_getTaskTemplateByNumber', { stageId, taskNumber, practiceAreaId }, { found: true, source: tableName }, Date.now() - start, 'success');
+          return { ...data, template_table: tableName };
+        }
       }
 
-      ctx?.logDbQuery('supabase_getTaskTemplateByNumber', { stageId, taskNumber }, { found: false }, Date.now() - start, 'success');
+      ctx?.logDbQuery('supabase_getTaskTemplateByNumber', { stageId, taskNumber, practiceAreaId }, { found: false, searched: tables }, Date.now() - start, 'success');
       return null;
     } catch (error) {
       ctx?.logDbQuery('supabase_getTaskTemplateByNumber', { stageId, taskNumber }, null, Date.now() - start, 'error', error.message);
@@ -543,6 +975,13 @@ export class SupabaseService {
             updateData.calendar_entry_id = taskData.calendar_entry_id;
           }
 
+          // Link to the template version that regenerated it
+          if (taskData.template_id) {
+            updateData.template_table = taskData.template_table;
+            updateData.template_id = taskData.template_id;
+            updateData.template_version = taskData.template_version;
+          }
+
           const { data: updated, error: updateError } = await supabase
             .from('tasks')
             .update(updateData)
@@ -626,6 +1065,77 @@ export class SupabaseService {
     }
   }
 
+  /**
+   * Get every task row for a matter (all stages, including completed and deleted)
+   * @param {number} matterId - Matter ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTasksByMatter(matterId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('matter_id', matterId);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getTasksByMatter', { matterId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getTasksByMatter', { matterId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get open (pending) tasks for a matter across all stages
+   * @param {number} matterId - Matter ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getOpenTasksByMatter(matterId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('matter_id', matterId)
+        .eq('completed', false)
+        .neq('status', 'deleted');
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getOpenTasksByMatter', { matterId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getOpenTasksByMatter', { matterId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a matter stage's tasks that were completed or deleted when the matter closed
+   * @param {number} matterId - Matter ID
+   * @param {number} stageId - Stage ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTasksClosedWithMatter(matterId, stageId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('matter_id', matterId)
+        .eq('stage_id', stageId)
+        .not('closed_with_matter_at', 'is', null);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getTasksClosedWithMatter', { matterId, stageId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getTasksClosedWithMatter', { matterId, stageId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get count of deleted tasks for a matter and stage
    * @param {number} matterId - Matter ID
@@ -718,16 +1228,15 @@ export class SupabaseService {
    */
   static async getExpectedTaskCount(stageId, practiceAreaId, ctx = null) {
     const start = Date.now();
-    const PROBATE_PRACTICE_AREA_ID = 45045123;
-    const tableName = practiceAreaId === PROBATE_PRACTICE_AREA_ID
-      ? 'task-list-probate'
-      : 'task-list-non-meeting';
 
     try {
-      const { data, error } = await supabase
+      const practiceAreaConfig = await this.getPracticeAreaConfig(practiceAreaId, ctx);
+      const tableName = practiceAreaConfig.template_table;
+
+      const { data, error } = await queryActiveTemplates(tableName, (activeOnly) => activeOnly(supabase
         .from(tableName)
         .select('task_number, task_title')
-        .eq('stage_id', stageId);
+        .eq('stage_id', stageId)));
 
       if (error) throw error;
 
@@ -758,10 +1267,10 @@ export class SupabaseService {
   static async getExpectedMeetingTaskCount(calendarEventId, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
+      const { data, error } = await queryActiveTemplates('task-list-meeting', (activeOnly) => activeOnly(supabase
         .from('task-list-meeting')
         .select('task_number, task_title')
-        .eq('calendar_event_id', calendarEventId);
+        .eq('calendar_event_id', calendarEventId)));
 
       if (error) throw error;
 
@@ -958,14 +1467,18 @@ export class SupabaseService {
   /**
    * Generate idempotency key for webhook
    * Format: {event_type}:{resource_id}:{timestamp}
+   * Replays append `:replay:{replay_id}` so they are not short-circuited by the original run
    */
-  static generateIdempotencyKey(eventType, resourceId, timestamp) {
-    return `${eventType}:${resourceId}:${timestamp}`;
+  static generateIdempotencyKey(eventType, resourceId, timestamp, replayId = null) {
+    const key = `${eventType}:${resourceId}:${timestamp}`;
+    return replayId ? `${key}:replay:${replayId}` : key;
   }
 
   /**
    * Check if webhook already processed
-   * Returns webhook event record if found, null if not processed
+   * Returns webhook event record if found, null if not processed.
+   * A run that failed (action 'error') is reserved again and reported as not
+   * processed, so retries and Clio redeliveries run the automation again.
    * @param {string} idempotencyKey - Idempotency key
    * @param {Object} [ctx] - Optional tracking context
    */
@@ -979,6 +1492,29 @@ export class SupabaseService {
         .single();
 
       if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+
+      // Abandoned reservation (lease expired mid-run) - take it over so this retry processes the webhook
+      if (data && data.success === null && isLeaseExpired(data) &&
+          config.idempotency.abandonedPolicy === 'rerun' &&
+          (data.processing_attempts || 1) < config.idempotency.maxAttempts) {
+        const claimed = await this.claimWebhookReservation(data, ctx?.traceId || null, ctx);
+        if (claimed) {
+          console.warn(`[SUPABASE] Took over abandoned reservation ${idempotencyKey} (lease expired ${data.lease_expires_at}, attempt ${claimed.processing_attempts})`);
+          ctx?.logDbQuery('supabase_checkWebhookProcessed', { idempotencyKey }, { found: true, takenOver: true }, Date.now() - start, 'success');
+          return null;
+        }
+      }
+
+      // Failed run - reserve it again so this retry processes the webhook
+      if (data && data.success === false && data.action === 'error') {
+        const claimed = await this.claimFailedWebhook(data, ctx?.traceId || null, ctx);
+        if (claimed) {
+          console.log(`[SUPABASE] Retrying failed webhook ${idempotencyKey} (attempt ${claimed.processing_attempts || 'n/a'})`);
+          ctx?.logDbQuery('supabase_checkWebhookProcessed', { idempotencyKey }, { found: true, retryingFailed: true }, Date.now() - start, 'success');
+          return null;
+        }
+      }
+
       ctx?.logDbQuery('supabase_checkWebhookProcessed', { idempotencyKey }, { found: !!data }, Date.now() - start, 'success');
       return data || null;
     } catch (error) {
@@ -998,12 +1534,33 @@ export class SupabaseService {
   static async recordWebhookProcessed(webhookData, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
+      // Reservations (success = NULL) hold a lease so a crashed run can be recovered
+      const row = webhookData.success === null
+        ? { ...reservationLease(), ...webhookData }
+        : webhookData;
+
+      let { data, error } = await supabase
         .from('webhook_events')
-        .insert(webhookData)
+        .insert(row)
         .select();
 
+      // Lease columns not migrated yet (migration 015) - reserve without them
+      if (error?.code === '42703') {
+        console.warn('[SUPABASE] webhook_events lease columns do not exist yet');
+        const { lease_owner, lease_expires_at, trace_id, ...legacyRow } = row;
+        ({ data, error } = await supabase
+          .from('webhook_events')
+          .insert(legacyRow)
+          .select());
+      }
+
       if (error) {
+        // Duplicate key on a final result: finish our own (taken-over) reservation instead
+        if (error.code === '23505' && webhookData.success !== null) {
+          const finished = await this.finishOwnReservation(webhookData, ctx);
+          if (finished) return finished;
+        }
+
         // If duplicate key (23505), webhook was processed by another request
         if (error.code === '23505') {
           console.log(`[SUPABASE] Duplicate idempotency key detected: ${webhookData.idempotency_key}`);
@@ -1024,232 +1581,1167 @@ export class SupabaseService {
   }
 
   /**
-   * Update an existing webhook event record
-   * @param {string} idempotencyKey - Idempotency key
-   * @param {Object} updates - Updates to apply
+   * Claim an abandoned reservation (lease expired, still success = NULL)
+   * Conditional on processing_attempts so only one instance wins a race.
+   * @param {Object} reservation - webhook_events row
+   * @param {string} [traceId] - Trace of the run taking over
    * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object|null>} Claimed row, or null if someone else claimed/finished it
    */
-  static async updateWebhookProcessed(idempotencyKey, updates, ctx = null) {
+  static async claimWebhookReservation(reservation, traceId = null, ctx = null) {
     const start = Date.now();
+    const attempts = reservation.processing_attempts || 1;
     try {
-      const { error } = await supabase
+      const { data, error } = await supabase
         .from('webhook_events')
         .update({
-          ...updates,
+          ...reservationLease(),
+          processing_attempts: attempts + 1,
+          trace_id: traceId,
           updated_at: new Date().toISOString(),
         })
-        .eq('idempotency_key', idempotencyKey);
+        .eq('idempotency_key', reservation.idempotency_key)
+        .is('success', null)
+        .eq('processing_attempts', attempts)
+        .lt('lease_expires_at', new Date().toISOString())
+        .select();
 
-      if (error) {
-        console.error('[SUPABASE] Failed to update webhook event:', error);
-        ctx?.logDbMutation('supabase_updateWebhookProcessed', { idempotencyKey }, null, Date.now() - start, 'error', error.message);
-        throw error;
-      }
-      ctx?.logDbMutation('supabase_updateWebhookProcessed', { idempotencyKey, updates: Object.keys(updates) }, { updated: true }, Date.now() - start, 'success');
+      if (error) throw error;
+      const claimed = data?.[0] || null;
+      ctx?.logDbMutation('supabase_claimWebhookReservation', { idempotencyKey: reservation.idempotency_key, attempts }, { claimed: !!claimed }, Date.now() - start, 'success');
+      return claimed;
     } catch (error) {
-      ctx?.logDbMutation('supabase_updateWebhookProcessed', { idempotencyKey }, null, Date.now() - start, 'error', error.message);
-      throw error;
+      console.error(`[SUPABASE] Failed to claim reservation ${reservation.idempotency_key}:`, error.message);
+      ctx?.logDbMutation('supabase_claimWebhookReservation', { idempotencyKey: reservation.idempotency_key }, null, Date.now() - start, 'error', error.message);
+      return null;
     }
   }
 
   /**
-   * Validate task templates for duplicates and missing data
+   * Reserve a webhook whose last run failed (success = false, action 'error')
+   * Conditional on the failed state so only one instance wins a race.
+   * @param {Object} failedRow - webhook_events row
+   * @param {string} [traceId] - Trace of the retrying run
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object|null>} Reserved row, or null if someone else reserved it first
    */
-  static validateTaskTemplates(templates) {
-    const errors = [];
-
-    if (!templates || templates.length === 0) {
-      return { valid: false, errors: ['No templates found'] };
-    }
-
-    // Check for duplicate task_numbers
-    const taskNumbers = templates.map(t => t.task_number).filter(n => n != null);
-    const duplicates = taskNumbers.filter((num, index) => taskNumbers.indexOf(num) !== index);
+  static async claimFailedWebhook(failedRow, traceId = null, ctx = null) {
+    const start = Date.now();
+    const idempotencyKey = failedRow.idempotency_key;
+    const reservation = {
+      success: null,
+      action: 'processing',
+      ...reservationLease(),
+      processing_attempts: (failedRow.processing_attempts || 1) + 1,
+      trace_id: traceId,
+      updated_at: new Date().toISOString(),
+    };
+    const claim = (updates) => supabase
+      .from('webhook_events')
+      .update(updates)
+      .eq('idempotency_key', idempotencyKey)
+      .eq('success', false)
+      .eq('action', 'error')
+      .select();
 
-    if (duplicates.length > 0) {
-      errors.push(`Duplicate task_numbers found: ${duplicates.join(', ')}`);
-    }
+    try {
+      let { data, error } = await claim(reservation);
 
-    // Check for missing required fields
-    templates.forEach((template, index) => {
-      if (!template.task_title) {
-        errors.push(`Template at index ${index} missing task_title`);
-      }
-      if (template.task_number == null) {
-        errors.push(`Template at index ${index} missing task_number`);
+      // Lease columns not migrated yet (migration 015) - reserve without them
+      if (error?.code === '42703') {
+        const { lease_owner, lease_expires_at, processing_attempts, trace_id, ...legacyReservation } = reservation;
+        ({ data, error } = await claim(legacyReservation));
       }
-    });
 
-    return {
-      valid: errors.length === 0,
-      errors: errors,
-    };
+      if (error) throw error;
+      const claimed = data?.[0] || null;
+      ctx?.logDbMutation('supabase_claimFailedWebhook', { idempotencyKey }, { claimed: !!claimed }, Date.now() - start, 'success');
+      return claimed;
+    } catch (error) {
+      console.error(`[SUPABASE] Failed to reserve failed webhook ${idempotencyKey}:`, error.message);
+      ctx?.logDbMutation('supabase_claimFailedWebhook', { idempotencyKey }, null, Date.now() - start, 'error', error.message);
+      return null;
+    }
   }
 
   /**
-   * Get calendar event mapping
-   * @param {number} calendarEventId - Calendar event ID
+   * Write a final result onto a reservation this instance holds
+   * Used when a run that took over a reservation records its outcome with an insert
+   * @param {Object} webhookData - Final webhook_events values (success not NULL)
    * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object|null>} Updated row, or null if the reservation isn't ours
    */
-  static async getCalendarEventMapping(calendarEventId, ctx = null) {
+  static async finishOwnReservation(webhookData, ctx = null) {
     const start = Date.now();
     try {
+      const { idempotency_key: idempotencyKey, ...updates } = webhookData;
       const { data, error } = await supabase
-        .from('calendar_event_mappings')
-        .select('*')
-        .eq('calendar_event_id', calendarEventId)
-        .eq('active', true)
-        .single();
+        .from('webhook_events')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('idempotency_key', idempotencyKey)
+        .is('success', null)
+        .eq('lease_owner', config.instanceId)
+        .select();
 
-      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
-      ctx?.logDbQuery('supabase_getCalendarEventMapping', { calendarEventId }, { found: !!data }, Date.now() - start, 'success');
-      return data || null;
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_finishOwnReservation', { idempotencyKey }, { updated: !!data?.[0] }, Date.now() - start, 'success');
+      return data?.[0] || null;
     } catch (error) {
-      ctx?.logDbQuery('supabase_getCalendarEventMapping', { calendarEventId }, null, Date.now() - start, 'error', error.message);
-      throw error;
+      ctx?.logDbMutation('supabase_finishOwnReservation', { idempotencyKey: webhookData.idempotency_key }, null, Date.now() - start, 'error', error.message);
+      return null;
     }
   }
 
   /**
-   * Get all active calendar event mappings
+   * Get reservations whose lease has expired (abandoned mid-run)
+   * @param {number} [limit=50]
    * @param {Object} [ctx] - Optional tracking context
    */
-  static async getAllCalendarEventMappings(ctx = null) {
+  static async getExpiredReservations(limit = 50, ctx = null) {
     const start = Date.now();
     try {
       const { data, error } = await supabase
-        .from('calendar_event_mappings')
+        .from('webhook_events')
         .select('*')
-        .eq('active', true);
+        .is('success', null)
+        .lt('lease_expires_at', new Date().toISOString())
+        .order('lease_expires_at', { ascending: true })
+        .limit(limit);
 
-      if (error) throw error;
-      ctx?.logDbQuery('supabase_getAllCalendarEventMappings', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      if (error) {
+        // Lease columns not migrated yet (migration 015)
+        if (error.code === '42703') {
+          console.warn('[SUPABASE] webhook_events lease columns do not exist yet');
+          ctx?.logDbQuery('supabase_getExpiredReservations', { limit }, { count: 0, missingColumns: true }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getExpiredReservations', { limit }, { count: (data || []).length }, Date.now() - start, 'success');
       return data || [];
     } catch (error) {
-      ctx?.logDbQuery('supabase_getAllCalendarEventMappings', {}, null, Date.now() - start, 'error', error.message);
+      ctx?.logDbQuery('supabase_getExpiredReservations', { limit }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
 
   /**
-   * Get attempt sequence for current attempt
-   * @param {string} currentAttempt - Current attempt name
+   * Update an existing webhook event record
+   * @param {string} idempotencyKey - Idempotency key
+   * @param {Object} updates - Updates to apply
    * @param {Object} [ctx] - Optional tracking context
    */
-  static async getAttemptSequence(currentAttempt, ctx = null) {
+  static async updateWebhookProcessed(idempotencyKey, updates, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
-        .from('attempt_sequences')
-        .select('*')
-        .eq('current_attempt', currentAttempt.toLowerCase())
-        .eq('active', true)
-        .single();
+      const { error } = await supabase
+        .from('webhook_events')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('idempotency_key', idempotencyKey);
 
-      if (error && error.code !== 'PGRST116') throw error;
-      ctx?.logDbQuery('supabase_getAttemptSequence', { currentAttempt }, { found: !!data }, Date.now() - start, 'success');
-      return data || null;
+      if (error) {
+        console.error('[SUPABASE] Failed to update webhook event:', error);
+        ctx?.logDbMutation('supabase_updateWebhookProcessed', { idempotencyKey }, null, Date.now() - start, 'error', error.message);
+        throw error;
+      }
+      ctx?.logDbMutation('supabase_updateWebhookProcessed', { idempotencyKey, updates: Object.keys(updates) }, { updated: true }, Date.now() - start, 'success');
     } catch (error) {
-      ctx?.logDbQuery('supabase_getAttemptSequence', { currentAttempt }, null, Date.now() - start, 'error', error.message);
+      ctx?.logDbMutation('supabase_updateWebhookProcessed', { idempotencyKey }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
 
   /**
-   * Get all active attempt sequences
+   * Persist a webhook to the durable queue before it is processed
+   * Returns the queue row, or null if the queue table is not available
+   * @param {Object} item - Queue item (queue_key, endpoint, trigger_name, webhook_id, trace_id, payload)
    * @param {Object} [ctx] - Optional tracking context
    */
-  static async getAllAttemptSequences(ctx = null) {
+  static async enqueueWebhook(item, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
-        .from('attempt_sequences')
-        .select('*')
-        .eq('active', true)
-        .order('sequence_order', { ascending: true });
+      const row = {
+        ...item,
+        status: 'pending',
+        enqueued_at: new Date().toISOString(),
+      };
 
-      if (error) throw error;
-      ctx?.logDbQuery('supabase_getAllAttemptSequences', {}, { count: (data || []).length }, Date.now() - start, 'success');
-      return data || [];
+      let { data, error } = await supabase
+        .from('webhook_queue')
+        .insert(row)
+        .select()
+        .single();
+
+      // instance_id added in migration 025
+      if (error?.code === '42703' && 'instance_id' in row) {
+        const { instance_id, ...legacyRow } = row;
+        ({ data, error } = await supabase
+          .from('webhook_queue')
+          .insert(legacyRow)
+          .select()
+          .single());
+      }
+
+      if (error) {
+        // If table doesn't exist yet, fall back to in-memory processing
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] webhook_queue table does not exist yet');
+          ctx?.logDbMutation('supabase_enqueueWebhook', { queueKey: item.queue_key }, { persisted: false, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbMutation('supabase_enqueueWebhook', { queueKey: item.queue_key, webhookId: item.webhook_id }, { id: data?.id }, Date.now() - start, 'success');
+      return data;
     } catch (error) {
-      ctx?.logDbQuery('supabase_getAllAttemptSequences', {}, null, Date.now() - start, 'error', error.message);
+      ctx?.logDbMutation('supabase_enqueueWebhook', { queueKey: item.queue_key }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
 
   /**
-   * Get all active location keywords
+   * Update a durable queue item (status transitions, attempts, result)
+   * @param {number} id - Queue item ID
+   * @param {Object} updates - Updates to apply
    * @param {Object} [ctx] - Optional tracking context
    */
-  static async getLocationKeywords(ctx = null) {
+  static async updateQueuedWebhook(id, updates, ctx = null) {
     const start = Date.now();
     try {
-      const { data, error } = await supabase
-        .from('location_keywords')
-        .select('keyword')
-        .eq('active', true);
+      const { error } = await supabase
+        .from('webhook_queue')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', id);
 
       if (error) throw error;
-      ctx?.logDbQuery('supabase_getLocationKeywords', {}, { count: (data || []).length }, Date.now() - start, 'success');
-      return (data || []).map(row => row.keyword);
+      ctx?.logDbMutation('supabase_updateQueuedWebhook', { id, updates: Object.keys(updates) }, { updated: true }, Date.now() - start, 'success');
     } catch (error) {
-      ctx?.logDbQuery('supabase_getLocationKeywords', {}, null, Date.now() - start, 'error', error.message);
+      ctx?.logDbMutation('supabase_updateQueuedWebhook', { id }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
 
   /**
-   * Get matter status mapping for a given stage
-   * Returns the status that should be set when matter moves to this stage
-   * @param {string} stageName - Stage name
+   * Get unfinished queue items (pending or interrupted mid-processing), oldest first
+   * @param {Object} [options]
+   * @param {string} [options.before] - Only items enqueued before this ISO timestamp
+   * @param {string} [options.instanceId] - Only items queued by this instance (or with no owner)
    * @param {Object} [ctx] - Optional tracking context
    */
-  static async getMatterStatusByStage(stageName, ctx = null) {
+  static async getUnfinishedQueuedWebhooks({ before = null, instanceId = null } = {}, ctx = null) {
     const start = Date.now();
+    const params = { before, instanceId };
     try {
-      const { data, error } = await supabase
-        .from('stage_status_mappings')
-        .select('matter_status')
-        .eq('stage_name', stageName)
-        .eq('active', true)
-        .single();
+      const query = (withOwner) => {
+        let q = supabase
+          .from('webhook_queue')
+          .select('*')
+          .in('status', ['pending', 'processing']);
+        if (before) q = q.lt('enqueued_at', before);
+        if (withOwner) q = q.or(`instance_id.eq.${instanceId},instance_id.is.null`);
+        return q
+          .order('enqueued_at', { ascending: true })
+          .order('id', { ascending: true });
+      };
+
+      let { data, error } = await query(!!instanceId);
+
+      // instance_id added in migration 025 - before it, every row is unowned
+      if (error?.code === '42703' && instanceId) {
+        ({ data, error } = await query(false));
+      }
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] webhook_queue table does not exist yet');
+          ctx?.logDbQuery('supabase_getUnfinishedQueuedWebhooks', params, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getUnfinishedQueuedWebhooks', params, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getUnfinishedQueuedWebhooks', params, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a webhook that exhausted its retry attempts
+   * @param {Object} deadLetter - Dead letter record
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async insertDeadLetter(deadLetter, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('webhook_dead_letters')
+        .insert(deadLetter)
+        .select()
+        .single();
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_insertDeadLetter', { endpoint: deadLetter.endpoint, webhookId: deadLetter.webhook_id }, { id: data?.id }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_insertDeadLetter', { endpoint: deadLetter.endpoint }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List dead-lettered webhooks, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - pending | replayed | replay_failed
+   * @param {string} [filters.triggerName] - e.g. 'matter-stage-change'
+   * @param {number} [filters.matterId]
+   * @param {number[]} [filters.ids] - Restrict to specific dead letter IDs
+   * @param {number} [filters.limit=50]
+   * @param {number} [filters.offset=0]
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getDeadLetters(filters = {}, ctx = null) {
+    const start = Date.now();
+    const { status, triggerName, matterId, ids, limit = 50, offset = 0 } = filters;
+    try {
+      let query = supabase
+        .from('webhook_dead_letters')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) query = query.eq('status', status);
+      if (triggerName) query = query.eq('trigger_name', triggerName);
+      if (matterId) query = query.eq('matter_id', matterId);
+      if (ids?.length) query = query.in('id', ids);
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getDeadLetters', filters, { count: (data || []).length, total: count }, Date.now() - start, 'success');
+      return { items: data || [], total: count ?? (data || []).length };
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getDeadLetters', filters, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single dead-lettered webhook
+   * @param {number} id - Dead letter ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getDeadLetterById(id, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('webhook_dead_letters')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      ctx?.logDbQuery('supabase_getDeadLetterById', { id }, { found: !!data }, Date.now() - start, 'success');
+      return data || null;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getDeadLetterById', { id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a dead-lettered webhook (replay bookkeeping)
+   * @param {number} id - Dead letter ID
+   * @param {Object} updates - Updates to apply
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async updateDeadLetter(id, updates, ctx = null) {
+    const start = Date.now();
+    try {
+      const { error } = await supabase
+        .from('webhook_dead_letters')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', id);
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_updateDeadLetter', { id, updates: Object.keys(updates) }, { updated: true }, Date.now() - start, 'success');
+    } catch (error) {
+      ctx?.logDbMutation('supabase_updateDeadLetter', { id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate task templates for duplicates and missing data
+   */
+  static validateTaskTemplates(templates) {
+    const errors = [];
+
+    if (!templates || templates.length === 0) {
+      return { valid: false, errors: ['No templates found'] };
+    }
+
+    // Check for duplicate task_numbers
+    const taskNumbers = templates.map(t => t.task_number).filter(n => n != null);
+    const duplicates = taskNumbers.filter((num, index) => taskNumbers.indexOf(num) !== index);
+
+    if (duplicates.length > 0) {
+      errors.push(`Duplicate task_numbers found: ${duplicates.join(', ')}`);
+    }
+
+    // Check for missing required fields
+    templates.forEach((template, index) => {
+      if (!template.task_title) {
+        errors.push(`Template at index ${index} missing task_title`);
+      }
+      if (template.task_number == null) {
+        errors.push(`Template at index ${index} missing task_number`);
+      }
+    });
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Get calendar event mapping
+   * @param {number} calendarEventId - Calendar event ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getCalendarEventMapping(calendarEventId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('calendar_event_mappings')
+        .select('*')
+        .eq('calendar_event_id', calendarEventId)
+        .eq('active', true)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+      ctx?.logDbQuery('supabase_getCalendarEventMapping', { calendarEventId }, { found: !!data }, Date.now() - start, 'success');
+      return data || null;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getCalendarEventMapping', { calendarEventId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active calendar event mappings
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getAllCalendarEventMappings(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('calendar_event_mappings')
+        .select('*')
+        .eq('active', true);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getAllCalendarEventMappings', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getAllCalendarEventMappings', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get attempt sequence for current attempt
+   * @param {string} currentAttempt - Current attempt name
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getAttemptSequence(currentAttempt, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('attempt_sequences')
+        .select('*')
+        .eq('current_attempt', currentAttempt.toLowerCase())
+        .eq('active', true)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      ctx?.logDbQuery('supabase_getAttemptSequence', { currentAttempt }, { found: !!data }, Date.now() - start, 'success');
+      return data || null;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getAttemptSequence', { currentAttempt }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active attempt sequences
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getAllAttemptSequences(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('attempt_sequences')
+        .select('*')
+        .eq('active', true)
+        .order('sequence_order', { ascending: true });
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getAllAttemptSequences', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getAllAttemptSequences', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active location keywords
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getLocationKeywords(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('location_keywords')
+        .select('keyword')
+        .eq('active', true);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getLocationKeywords', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return (data || []).map(row => row.keyword);
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getLocationKeywords', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get matter status mapping for a given stage
+   * Returns the status that should be set when matter moves to this stage
+   * @param {string} stageName - Stage name
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getMatterStatusByStage(stageName, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('stage_status_mappings')
+        .select('matter_status')
+        .eq('stage_name', stageName)
+        .eq('active', true)
+        .single();
 
       if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
       ctx?.logDbQuery('supabase_getMatterStatusByStage', { stageName }, { found: !!data?.matter_status }, Date.now() - start, 'success');
       return data?.matter_status || null;
     } catch (error) {
-      ctx?.logDbQuery('supabase_getMatterStatusByStage', { stageName }, null, Date.now() - start, 'error', error.message);
+      ctx?.logDbQuery('supabase_getMatterStatusByStage', { stageName }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get list of excluded folder names for document automation
+   * Returns array of folder names (lowercase) that should not trigger task creation
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getExcludedFolders(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('excluded_folders')
+        .select('folder_name')
+        .eq('active', true);
+
+      if (error) {
+        // If table doesn't exist yet, return empty array
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] excluded_folders table does not exist yet');
+          ctx?.logDbQuery('supabase_getExcludedFolders', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getExcludedFolders', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return (data || []).map(row => row.folder_name.toLowerCase());
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getExcludedFolders', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active document task rules, in evaluation order (priority, then id)
+   * Returns null if the table doesn't exist yet (caller falls back to the built-in rule)
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getDocumentTaskRules(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('document_task_rules')
+        .select('*')
+        .eq('active', true)
+        .order('priority')
+        .order('id');
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] document_task_rules table does not exist yet, using built-in rule');
+          ctx?.logDbQuery('supabase_getDocumentTaskRules', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getDocumentTaskRules', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getDocumentTaskRules', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active closed matter workflows
+   * Returns null if the table doesn't exist yet (caller falls back to the built-in workflow)
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getClosedMatterWorkflows(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('closed_matter_workflows')
+        .select('*')
+        .eq('active', true)
+        .order('id');
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] closed_matter_workflows table does not exist yet, using built-in workflow');
+          ctx?.logDbQuery('supabase_getClosedMatterWorkflows', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getClosedMatterWorkflows', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getClosedMatterWorkflows', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active closing checklist templates for a workflow, by task number
+   * @param {number} workflowId - closed_matter_workflows ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getClosingChecklistTemplates(workflowId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('closing_checklist_templates')
+        .select('*')
+        .eq('workflow_id', workflowId)
+        .eq('active', true)
+        .order('task_number');
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] closing_checklist_templates table does not exist yet');
+          ctx?.logDbQuery('supabase_getClosingChecklistTemplates', { workflowId }, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getClosingChecklistTemplates', { workflowId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getClosingChecklistTemplates', { workflowId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a matter closure summary
+   * Skipped (returns null) if the table doesn't exist yet
+   * @param {Object} closure - matter_closures row
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async recordMatterClosure(closure, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('matter_closures')
+        .insert(closure)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] matter_closures table does not exist yet, closure summary not recorded');
+          ctx?.logDbMutation('supabase_recordMatterClosure', { matterId: closure.matter_id }, { recorded: false, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbMutation('supabase_recordMatterClosure', { matterId: closure.matter_id }, { id: data.id }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_recordMatterClosure', { matterId: closure.matter_id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active stale matter rules
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Array|null>} Rules, or null if the table doesn't exist yet
+   */
+  static async getStaleMatterRules(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('stale_matter_rules')
+        .select('*')
+        .eq('active', true)
+        .order('id');
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] stale_matter_rules table does not exist yet, using built-in rules');
+          ctx?.logDbQuery('supabase_getStaleMatterRules', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getStaleMatterRules', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getStaleMatterRules', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the automation has recorded any task for a matter
+   * @param {number} matterId - Matter ID
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<boolean>}
+   */
+  static async hasTasksForMatter(matterId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { count, error } = await supabase
+        .from('tasks')
+        .select('task_id', { count: 'exact', head: true })
+        .eq('matter_id', matterId);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_hasTasksForMatter', { matterId }, { count: count || 0 }, Date.now() - start, 'success');
+      return (count || 0) > 0;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_hasTasksForMatter', { matterId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a matter's stage history, newest first
+   * @param {number} matterId - Matter ID
+   * @param {number} [limit=100] - Rows to read
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getMatterStageHistory(matterId, limit = 100, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('matters')
+        .select('stage_id, stage_name, date, matter_status')
+        .eq('matter_id', matterId)
+        .order('date', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getMatterStageHistory', { matterId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getMatterStageHistory', { matterId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stale matter tracking row for a matter's stage
+   * @param {number} matterId - Matter ID
+   * @param {string} stageName - Stage name
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getStageTracking(matterId, stageName, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('matter_stage_tracking')
+        .select('*')
+        .eq('matter_id', matterId)
+        .eq('stage_name', stageName)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+      ctx?.logDbQuery('supabase_getStageTracking', { matterId, stageName }, { found: !!data }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getStageTracking', { matterId, stageName }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a stale matter tracking row
+   * @param {Object} tracking - matter_stage_tracking row
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async insertStageTracking(tracking, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('matter_stage_tracking')
+        .insert(tracking)
+        .select()
+        .single();
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_insertStageTracking', { matterId: tracking.matter_id, stageName: tracking.stage_name }, { id: data?.id }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_insertStageTracking', { matterId: tracking.matter_id, stageName: tracking.stage_name }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a stale matter tracking row
+   * @param {number} id - matter_stage_tracking ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async updateStageTracking(id, updates, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('matter_stage_tracking')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_updateStageTracking', { id, fields: Object.keys(updates) }, { updated: !!data }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_updateStageTracking', { id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a deferred task verification
+   * Returns the row, or null if the task_verifications table is not available
+   * @param {Object} verification - task_verifications row
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async insertTaskVerification(verification, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('task_verifications')
+        .insert(verification)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] task_verifications table does not exist yet');
+          ctx?.logDbMutation('supabase_insertTaskVerification', { matterId: verification.matter_id }, { persisted: false, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbMutation('supabase_insertTaskVerification', { matterId: verification.matter_id, context: verification.context }, { id: data?.id }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_insertTaskVerification', { matterId: verification.matter_id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get verifications with a pass due (pending, or running with a lapsed lease), oldest first
+   * @param {number} [limit=50]
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getDueTaskVerifications(limit = 50, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('task_verifications')
+        .select('*')
+        .in('status', ['pending', 'running'])
+        .lte('next_run_at', new Date().toISOString())
+        .order('next_run_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        if (error.code === '42P01') {
+          ctx?.logDbQuery('supabase_getDueTaskVerifications', { limit }, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getDueTaskVerifications', { limit }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getDueTaskVerifications', { limit }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a due verification for one pass
+   * Pushes next_run_at out by the lease, conditional on the value we read, so
+   * only one run wins a race and a crashed pass is picked up again later.
+   * @param {Object} verification - task_verifications row
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object|null>} Claimed row, or null if someone else claimed/finished it
+   */
+  static async claimTaskVerification(verification, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('task_verifications')
+        .update({
+          status: 'running',
+          next_run_at: new Date(Date.now() + config.verification.leaseSeconds * 1000).toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', verification.id)
+        .in('status', ['pending', 'running'])
+        .eq('next_run_at', verification.next_run_at)
+        .select();
+
+      if (error) throw error;
+      const claimed = data?.[0] || null;
+      ctx?.logDbMutation('supabase_claimTaskVerification', { id: verification.id, passes: verification.passes }, { claimed: !!claimed }, Date.now() - start, 'success');
+      return claimed;
+    } catch (error) {
+      console.error(`[SUPABASE] Failed to claim task verification ${verification.id}:`, error.message);
+      ctx?.logDbMutation('supabase_claimTaskVerification', { id: verification.id }, null, Date.now() - start, 'error', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Update a task verification (pass results, next run, final status)
+   * @param {number} id - task_verifications ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async updateTaskVerification(id, updates, ctx = null) {
+    const start = Date.now();
+    try {
+      const { error } = await supabase
+        .from('task_verifications')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_updateTaskVerification', { id, fields: Object.keys(updates) }, { updated: true }, Date.now() - start, 'success');
+    } catch (error) {
+      ctx?.logDbMutation('supabase_updateTaskVerification', { id }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
 
   /**
-   * Get list of excluded folder names for document automation
-   * Returns array of folder names (lowercase) that should not trigger task creation
+   * Get the secrets deliveries to an endpoint may be signed with:
+   * active ones plus retiring ones still inside their overlap
+   * @param {string} endpoint - e.g. /webhooks/matters
    * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Array>} webhook_secrets rows, newest first ([] if the table doesn't exist)
    */
-  static async getExcludedFolders(ctx = null) {
+  static async getWebhookSecrets(endpoint, ctx = null) {
     const start = Date.now();
     try {
       const { data, error } = await supabase
-        .from('excluded_folders')
-        .select('folder_name')
-        .eq('active', true);
+        .from('webhook_secrets')
+        .select('*')
+        .eq('endpoint', endpoint)
+        .or(`status.eq.active,and(status.eq.retiring,retire_at.gt.${new Date().toISOString()})`)
+        .order('activated_at', { ascending: false });
 
       if (error) {
-        // If table doesn't exist yet, return empty array
         if (error.code === '42P01') {
-          console.warn('[SUPABASE] excluded_folders table does not exist yet');
-          ctx?.logDbQuery('supabase_getExcludedFolders', {}, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          ctx?.logDbQuery('supabase_getWebhookSecrets', { endpoint }, { count: 0, reason: 'table_not_exists' }, Date.now() - start, 'success');
           return [];
         }
         throw error;
       }
 
-      ctx?.logDbQuery('supabase_getExcludedFolders', {}, { count: (data || []).length }, Date.now() - start, 'success');
-      return (data || []).map(row => row.folder_name.toLowerCase());
+      ctx?.logDbQuery('supabase_getWebhookSecrets', { endpoint }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
     } catch (error) {
-      ctx?.logDbQuery('supabase_getExcludedFolders', {}, null, Date.now() - start, 'error', error.message);
+      ctx?.logDbQuery('supabase_getWebhookSecrets', { endpoint }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List webhook secrets (without the secret values)
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async listWebhookSecrets(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('webhook_secrets')
+        .select('id, endpoint, webhook_id, status, activated_at, retire_at, revoked_at')
+        .order('activated_at', { ascending: false });
+
+      if (error) {
+        if (error.code === '42P01') return [];
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_listWebhookSecrets', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_listWebhookSecrets', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a newly activated webhook secret and start the rotation overlap for
+   * the endpoint's previous active secrets
+   * @param {Object} secret - { endpoint, webhook_id, secret }
+   * @param {string} retireAt - ISO time the previous secrets stop validating
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object|null>} Inserted row, or null if the table doesn't exist
+   */
+  static async insertWebhookSecret(secret, retireAt, ctx = null) {
+    const start = Date.now();
+    try {
+      const { error: retireError } = await supabase
+        .from('webhook_secrets')
+        .update({ status: 'retiring', retire_at: retireAt, updated_at: new Date().toISOString() })
+        .eq('endpoint', secret.endpoint)
+        .eq('status', 'active');
+
+      if (retireError) {
+        if (retireError.code === '42P01') {
+          console.warn('[SUPABASE] webhook_secrets table does not exist yet');
+          ctx?.logDbMutation('supabase_insertWebhookSecret', { endpoint: secret.endpoint }, { persisted: false, reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw retireError;
+      }
+
+      const { data, error } = await supabase
+        .from('webhook_secrets')
+        .insert({ ...secret, status: 'active', activated_at: new Date().toISOString() })
+        .select('id, endpoint, webhook_id, status, activated_at')
+        .single();
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_insertWebhookSecret', { endpoint: secret.endpoint, webhookId: secret.webhook_id }, { id: data?.id }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_insertWebhookSecret', { endpoint: secret.endpoint }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a webhook secret (deliveries signed with it are rejected)
+   * @param {number} id - webhook_secrets ID
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object|null>} Revoked row, or null if not found/already revoked
+   */
+  static async revokeWebhookSecret(id, ctx = null) {
+    const start = Date.now();
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('webhook_secrets')
+        .update({ status: 'revoked', revoked_at: now, updated_at: now })
+        .eq('id', id)
+        .neq('status', 'revoked')
+        .select('id, endpoint, webhook_id, status, revoked_at');
+
+      if (error) throw error;
+      const revoked = data?.[0] || null;
+      ctx?.logDbMutation('supabase_revokeWebhookSecret', { id }, { revoked: !!revoked }, Date.now() - start, 'success');
+      return revoked;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_revokeWebhookSecret', { id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a signed webhook delivery by a hash of its body
+   * @param {string} endpoint - e.g. /webhooks/matters
+   * @param {string} deliveryHash - SHA-256 of the raw body
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<boolean|null>} true if new, false if already recorded, null if the table doesn't exist
+   */
+  static async recordWebhookDelivery(endpoint, deliveryHash, ctx = null) {
+    const start = Date.now();
+    try {
+      const { error } = await supabase
+        .from('webhook_deliveries')
+        .insert({ endpoint, delivery_hash: deliveryHash });
+
+      if (error) {
+        if (error.code === '23505') {
+          ctx?.logDbMutation('supabase_recordWebhookDelivery', { endpoint }, { duplicate: true }, Date.now() - start, 'success');
+          return false;
+        }
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] webhook_deliveries table does not exist yet (run migration 026)');
+          ctx?.logDbMutation('supabase_recordWebhookDelivery', { endpoint }, { reason: 'table_not_exists' }, Date.now() - start, 'success');
+          return null;
+        }
+        throw error;
+      }
+
+      ctx?.logDbMutation('supabase_recordWebhookDelivery', { endpoint }, { duplicate: false }, Date.now() - start, 'success');
+      return true;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_recordWebhookDelivery', { endpoint }, null, Date.now() - start, 'error', error.message);
       throw error;
     }
   }
@@ -1286,4 +2778,241 @@ export class SupabaseService {
       throw error;
     }
   }
+
+  /**
+   * Get active test mode allowlist rules
+   * Returns an empty list if the table doesn't exist yet (TEST_MATTER_ID still applies)
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTestModeRules(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('test_mode_rules')
+        .select('*')
+        .eq('active', true)
+        .order('id');
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] test_mode_rules table does not exist yet, using TEST_MATTER_ID only');
+          ctx?.logDbQuery('supabase_getTestModeRules', {}, { count: 0, source: 'env' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getTestModeRules', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getTestModeRules', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get firm holiday calendar entries (closures and built-in holiday overrides)
+   * Returns an empty list if the table doesn't exist yet (built-in holidays still apply)
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getFirmHolidays(ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('firm_holidays')
+        .select('holiday_date, name, closed')
+        .order('holiday_date');
+
+      if (error) {
+        if (error.code === '42P01') {
+          console.warn('[SUPABASE] firm_holidays table does not exist yet, using built-in holidays only');
+          ctx?.logDbQuery('supabase_getFirmHolidays', {}, { count: 0, source: 'built_in' }, Date.now() - start, 'success');
+          return [];
+        }
+        throw error;
+      }
+
+      ctx?.logDbQuery('supabase_getFirmHolidays', {}, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getFirmHolidays', {}, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List task templates in a template table
+   * @param {string} tableName - Template table (e.g. 'task-list-probate', 'task-list-meeting')
+   * @param {Object} [filters]
+   * @param {string} [filters.setColumn] - 'stage_id' or 'calendar_event_id'
+   * @param {number|string} [filters.setId] - Stage ID / calendar event ID
+   * @param {boolean} [filters.includeRetired=false]
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTemplates(tableName, { setColumn = null, setId = null, includeRetired = false } = {}, ctx = null) {
+    const start = Date.now();
+    try {
+      if (!TEMPLATE_TABLE_PATTERN.test(tableName || '')) {
+        throw new Error(`Invalid template table: ${tableName}`);
+      }
+
+      const buildQuery = (activeOnly) => {
+        let query = supabase
+          .from(tableName)
+          .select('*')
+          .order('task_number');
+
+        if (setColumn && setId !== null && setId !== undefined) query = query.eq(setColumn, setId);
+        return activeOnly(query);
+      };
+
+      const { data, error } = includeRetired
+        ? await buildQuery(query => query)
+        : await queryActiveTemplates(tableName, buildQuery);
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getTemplates', { tableName, setColumn, setId, includeRetired }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getTemplates', { tableName, setColumn, setId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single task template by row ID
+   * @param {string} tableName - Template table
+   * @param {number} id - Template row ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTemplateById(tableName, id, ctx = null) {
+    const start = Date.now();
+    try {
+      if (!TEMPLATE_TABLE_PATTERN.test(tableName || '')) {
+        throw new Error(`Invalid template table: ${tableName}`);
+      }
+
+      const { data, error } = await supabase
+        .from(tableName)
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+      ctx?.logDbQuery('supabase_getTemplateById', { tableName, id }, { found: !!data }, Date.now() - start, 'success');
+      return data || null;
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getTemplateById', { tableName, id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a task template
+   * @param {string} tableName - Template table
+   * @param {Object} template - Template row
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async insertTemplate(tableName, template, ctx = null) {
+    const start = Date.now();
+    try {
+      if (!TEMPLATE_TABLE_PATTERN.test(tableName || '')) {
+        throw new Error(`Invalid template table: ${tableName}`);
+      }
+
+      const { data, error } = await supabase
+        .from(tableName)
+        .insert(template)
+        .select()
+        .single();
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_insertTemplate', { tableName, taskNumber: template.task_number }, { id: data?.id }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_insertTemplate', { tableName }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a task template if it is still at the version the change was based on
+   * Returns null when another write bumped the version first (no row updated).
+   * @param {string} tableName - Template table
+   * @param {number} id - Template row ID
+   * @param {Object} updates - Fields to update
+   * @param {number} currentVersion - Version the updates were computed from
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async updateTemplate(tableName, id, updates, currentVersion, ctx = null) {
+    const start = Date.now();
+    try {
+      if (!TEMPLATE_TABLE_PATTERN.test(tableName || '')) {
+        throw new Error(`Invalid template table: ${tableName}`);
+      }
+
+      const { data, error } = await supabase
+        .from(tableName)
+        .update(updates)
+        .eq('id', id)
+        .eq('version', currentVersion)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_updateTemplate', { tableName, id, currentVersion, fields: Object.keys(updates) }, { updated: !!data, version: data?.version }, Date.now() - start, 'success');
+      return data || null;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_updateTemplate', { tableName, id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a task template version snapshot
+   * @param {Object} version - { template_table, template_id, version, action, snapshot, changed_fields, changed_by, change_note }
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async insertTemplateVersion(version, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('task_template_versions')
+        .insert(version)
+        .select()
+        .single();
+
+      if (error) throw error;
+      ctx?.logDbMutation('supabase_insertTemplateVersion', { templateTable: version.template_table, templateId: version.template_id, version: version.version }, { id: data?.id }, Date.now() - start, 'success');
+      return data;
+    } catch (error) {
+      ctx?.logDbMutation('supabase_insertTemplateVersion', { templateTable: version.template_table, templateId: version.template_id }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get version history for a task template, newest first
+   * @param {string} tableName - Template table
+   * @param {number} templateId - Template row ID
+   * @param {Object} [ctx] - Optional tracking context
+   */
+  static async getTemplateVersions(tableName, templateId, ctx = null) {
+    const start = Date.now();
+    try {
+      const { data, error } = await supabase
+        .from('task_template_versions')
+        .select('*')
+        .eq('template_table', tableName)
+        .eq('template_id', templateId)
+        .order('version', { ascending: false });
+
+      if (error) throw error;
+      ctx?.logDbQuery('supabase_getTemplateVersions', { tableName, templateId }, { count: (data || []).length }, Date.now() - start, 'success');
+      return data || [];
+    } catch (error) {
+      ctx?.logDbQuery('supabase_getTemplateVersions', { tableName, templateId }, null, Date.now() - start, 'error', error.message);
+      throw error;
+    }
+  }
 }
@@ -0,0 +1,277 @@
+import { ClioService } from './clio.js';
+import { SupabaseService } from './supabase.js';
+import { EventTracker } from './event-tracker.js';
+import { templateVersionFields } from './task-templates.js';
+import { matchesBackfillFilter, matchTasksToTemplates } from '../utils/task-backfill.js';
+
+/**
+ * Task Backfill Service
+ *
+ * Matters that were already mid-stage when the automation went live have no
+ * `tasks` rows, so task completion, stale matter checks and meeting updates
+ * skip them. The backfill imports their existing Clio tasks instead of
+ * generating new ones:
+ * - the current stage's templates are matched to the matter's Clio tasks by
+ *   title, then by the task number a title starts with
+ * - each match becomes a `tasks` row (status, assignee and due date from Clio)
+ * - matters without a stage record get one (`matters` history + `matter-info`),
+ *   dated when the matter entered the stage
+ *
+ * Clio is only read. Tasks and templates that don't match are reported, not
+ * created. Nothing is written unless `apply` is set, so the report can be
+ * reviewed first.
+ *
+ * CLI: scripts/backfill-tasks.mjs
+ */
+
+const BACKFILL_SOURCE = 'Task Backfill';
+
+export class TaskBackfillService {
+  /**
+   * Backfill every matter matching a filter
+   *
+   * @param {Object} [filter] - See matchesBackfillFilter(); plus:
+   * @param {Array<number>} [filter.matterIds] - Only these matters (any status)
+   * @param {string} [filter.status='open'] - Clio matter status to page through
+   * @param {Object} [options]
+   * @param {boolean} [options.apply=false] - Write the rows (default: report only)
+   * @param {string} [options.traceId] - Trace to record the run on
+   * @returns {Promise<Object>} Summary with a report per matter
+   */
+  static async run(filter = {}, { apply = false, traceId = null } = {}) {
+    console.log(`📥 [BACKFILL] Backfilling tasks${apply ? '' : ' (dry run)'}...`);
+
+    const stepId = await EventTracker.startStep(traceId, {
+      layerName: 'job',
+      stepName: 'backfill_tasks',
+      input: { filter, apply },
+    });
+    const ctx = EventTracker.createContext(traceId, stepId);
+
+    const matters = [];
+    const failures = [];
+    let mattersScanned = 0;
+
+    try {
+      for await (const matter of this.listMatters(filter, ctx)) {
+        mattersScanned++;
+        if (!matchesBackfillFilter(matter, filter)) continue;
+
+        try {
+          matters.push(await this.backfillMatter(matter, { apply, ctx }));
+        } catch (error) {
+          console.error(`[BACKFILL] ${matter.id} Failed: ${error.message}`);
+          failures.push({ matterId: matter.id, error: error.message });
+        }
+      }
+
+      const backfilled = matters.filter(m => m.action !== 'skipped');
+      const sum = (key) => backfilled.reduce((total, m) => total + m[key].length, 0);
+      const summary = {
+        success: true,
+        apply,
+        filter,
+        mattersScanned,
+        mattersMatched: matters.length + failures.length,
+        mattersBackfilled: backfilled.length,
+        tasksMatched: sum('tasks'),
+        tasksImported: backfilled.reduce((total, m) => total + m.tasks.filter(t => t.imported).length, 0),
+        tasksUnmatched: sum('unmatchedTasks'),
+        templatesUnmatched: sum('unmatchedTemplates'),
+        duplicates: sum('duplicates'),
+        failures,
+        matters,
+      };
+
+      console.log(`✨ [BACKFILL] ${summary.mattersMatched} of ${mattersScanned} matter(s) matched the filter: ${summary.tasksMatched} task(s) matched to templates, ${summary.tasksImported} imported, ${summary.tasksUnmatched} unmatched, ${failures.length} matter(s) failed\n`);
+      await EventTracker.endStep(stepId, { status: failures.length > 0 ? 'error' : 'success', output: summary });
+      return summary;
+    } catch (error) {
+      console.error(`❌ [BACKFILL] Backfill failed: ${error.message}\n`);
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Matters to consider: the listed IDs, or every page of matters with the status
+   */
+  static async *listMatters(filter, ctx = null) {
+    if (filter.matterIds?.length) {
+      for (const matterId of filter.matterIds) {
+        yield await ClioService.getMatter(matterId, ctx);
+      }
+      return;
+    }
+
+    let pageUrl = null;
+    do {
+      const page = await ClioService.getMatters({ status: filter.status || 'open', pageUrl }, ctx);
+      pageUrl = page.next;
+      yield* page.matters;
+    } while (pageUrl);
+  }
+
+  /**
+   * Match one matter's Clio tasks to its current stage templates and import them
+   *
+   * Clio tasks already tracked (any stage) and templates that already have a
+   * row for the stage are left out, so re-running only picks up what's new.
+   *
+   * @param {Object} matter - Clio matter
+   * @param {Object} [options]
+   * @param {boolean} [options.apply=false]
+   * @param {Object} [options.ctx] - Tracking context
+   * @returns {Promise<Object>} Matter report
+   */
+  static async backfillMatter(matter, { apply = false, ctx = null } = {}) {
+    const matterId = matter.id;
+    const stageId = matter.matter_stage?.id;
+    const stageName = matter.matter_stage?.name;
+    const report = {
+      matterId,
+      matterName: matter.display_number,
+      stageId: stageId || null,
+      stageName: stageName || null,
+      practiceArea: matter.practice_area?.name || null,
+      action: 'skipped',
+      reason: null,
+      tasks: [],
+      duplicates: [],
+      unmatchedTasks: [],
+      unmatchedTemplates: [],
+      stageRecorded: false,
+    };
+
+    if (!stageId) return { ...report, reason: 'no_stage' };
+
+    const practiceAreaConfig = await SupabaseService.getPracticeAreaConfig(matter.practice_area?.id, ctx);
+    if (!practiceAreaConfig.flags.generate_stage_tasks || !SupabaseService.isStageInPracticeArea(practiceAreaConfig, stageId)) {
+      return { ...report, reason: 'no_stage_tasks' };
+    }
+
+    const templates = await SupabaseService.getTaskListByTable(practiceAreaConfig.template_table, stageId, ctx);
+    const rows = await SupabaseService.getTasksByMatter(matterId, ctx);
+    const trackedTaskIds = new Set(rows.map(row => Number(row.task_id)));
+    const coveredNumbers = new Set(rows
+      .filter(row => Number(row.stage_id) === Number(stageId) && row.status !== 'deleted')
+      .map(row => Number(row.task_number)));
+
+    const clioTasks = (await ClioService.getTasksByMatter(matterId, ctx))
+      .filter(task => !trackedTaskIds.has(Number(task.id)));
+    const { matches, duplicates, unmatchedTasks, unmatchedTemplates } = matchTasksToTemplates(
+      clioTasks,
+      templates.filter(template => !coveredNumbers.has(Number(template.task_number)))
+    );
+
+    const needsStageRecord = !(await SupabaseService.getMatterHistory(matterId, ctx));
+
+    Object.assign(report, {
+      duplicates: duplicates.map(({ template, clioTask }) => ({ taskNumber: template.task_number, taskId: clioTask.id, taskName: clioTask.name })),
+      unmatchedTasks: unmatchedTasks.map(task => ({ taskId: task.id, taskName: task.name, status: task.status })),
+      unmatchedTemplates: unmatchedTemplates.map(template => ({ taskNumber: template.task_number, taskTitle: template.task_title })),
+    });
+
+    if (matches.length === 0 && !needsStageRecord) {
+      return { ...report, reason: 'nothing_to_import' };
+    }
+
+    report.action = apply ? 'imported' : 'would_import';
+
+    for (const { template, clioTask, matchedBy } of matches) {
+      const row = this.buildTaskRow(matter, template, clioTask);
+      const entry = {
+        taskId: clioTask.id,
+        taskName: clioTask.name,
+        taskNumber: template.task_number,
+        taskTitle: template.task_title,
+        matchedBy,
+        status: row.status,
+        imported: false,
+      };
+
+      if (apply) {
+        try {
+          await SupabaseService.insertTask(row, ctx);
+          entry.imported = true;
+        } catch (error) {
+          console.error(`[BACKFILL] ${matterId} Failed to import task ${clioTask.id}: ${error.message}`);
+          entry.error = error.message;
+        }
+      }
+      report.tasks.push(entry);
+    }
+
+    if (needsStageRecord) {
+      if (apply) await this.recordStage(matter, ctx);
+      report.stageRecorded = apply;
+    }
+
+    console.log(`[BACKFILL] ${matterId} ${stageName}: ${matches.length} task(s) matched, ${unmatchedTasks.length} unmatched, ${unmatchedTemplates.length} template(s) without a task`);
+    ctx?.logDecision('task_backfill', {
+      matterId,
+      stageId,
+      clioTasks: clioTasks.length,
+      templates: templates.length,
+    }, {
+      apply,
+      tasks: report.tasks,
+      unmatchedTasks: report.unmatchedTasks,
+      unmatchedTemplates: report.unmatchedTemplates,
+      stageRecorded: report.stageRecorded,
+    });
+
+    return report;
+  }
+
+  /**
+   * `tasks` row for an existing Clio task (same shape MatterStageChangeAutomation records)
+   */
+  static buildTaskRow(matter, template, clioTask) {
+    const completed = clioTask.status === 'complete';
+    return {
+      task_id: clioTask.id,
+      task_name: clioTask.name,
+      task_desc: clioTask.description,
+      matter_id: matter.id,
+      assigned_user_id: clioTask.assignee?.id || null,
+      assigned_user: clioTask.assignee?.name || 'Unassigned',
+      due_date: clioTask.due_at ? String(clioTask.due_at).slice(0, 10) : null,
+      stage_id: matter.matter_stage.id,
+      stage_name: matter.matter_stage.name,
+      task_number: template.task_number,
+      ...templateVersionFields(template),
+      completed,
+      status: completed ? 'completed' : 'pending',
+      task_date_generated: clioTask.created_at || new Date().toISOString(),
+      due_date_generated: null,
+    };
+  }
+
+  /**
+   * Record the matter's current stage, dated when it entered the stage
+   */
+  static async recordStage(matter, ctx = null) {
+    await SupabaseService.upsertMatterInfo({
+      matter_id: matter.id,
+      matter_name: matter.display_number,
+      stage_id: matter.matter_stage.id,
+      stage_name: matter.matter_stage.name,
+      matter_stage_last_updated: matter.matter_stage_updated_at,
+      task_generated: true,
+    }, ctx);
+
+    await SupabaseService.insertMatterHistory({
+      matter_id: matter.id,
+      matter_name: matter.display_number,
+      stage_id: matter.matter_stage.id,
+      stage_name: matter.matter_stage.name,
+      date: matter.matter_stage_updated_at || new Date().toISOString(),
+      source: BACKFILL_SOURCE,
+      practice_area: matter.practice_area?.name,
+      practice_area_id: matter.practice_area?.id,
+      due_generated: false,
+      matter_status: matter.status,
+    }, ctx);
+  }
+}
@@ -0,0 +1,400 @@
+import { SupabaseService } from './supabase.js';
+import { validateTemplateSet } from '../utils/template-validator.js';
+import { buildDependencyGraph } from '../utils/template-graph.js';
+
+/**
+ * Task Template Service
+ *
+ * Admin management of task templates (`task-list-*` tables):
+ * - Stage templates live in the practice-area template tables (keyed by stage_id)
+ * - Meeting templates live in `task-list-meeting` (keyed by calendar_event_id)
+ *
+ * Every change re-validates the whole stage / calendar event set, bumps the
+ * template's `version` and stores a snapshot in `task_template_versions`.
+ * Templates are retired (active = false) rather than deleted so generated
+ * tasks can still be traced back to the version that produced them.
+ *
+ * Methods return outcome objects ({ success, action, ... }) like DeadLetterService.
+ */
+
+export const MEETING_TEMPLATE_TABLE = 'task-list-meeting';
+
+// Managed by this service - never taken from request bodies
+const PROTECTED_FIELDS = new Set(['id', 'version', 'active', 'created_at', 'updated_at']);
+
+const setColumnFor = (tableName) => (tableName === MEETING_TEMPLATE_TABLE ? 'calendar_event_id' : 'stage_id');
+const kindFor = (tableName) => (tableName === MEETING_TEMPLATE_TABLE ? 'meeting' : 'stage');
+
+/**
+ * Columns linking a generated task to the template version that produced it
+ * (template rows from the SupabaseService template queries carry template_table)
+ * @param {Object} template - Template row
+ * @returns {Object} { template_table, template_id, template_version }
+ */
+export const templateVersionFields = (template) => ({
+  template_table: template?.template_table || null,
+  template_id: template?.id ?? null,
+  template_version: template?.version ?? null,
+});
+
+/**
+ * Drop protected fields from a request body
+ */
+const pickEditable = (fields = {}) =>
+  Object.fromEntries(Object.entries(fields).filter(([key]) => !PROTECTED_FIELDS.has(key)));
+
+export class TaskTemplateService {
+  /**
+   * Template tables that can be managed (registered practice areas + meeting templates)
+   * @returns {Promise<string[]>}
+   */
+  static async getTemplateTables() {
+    const practiceAreas = await SupabaseService.getPracticeAreas();
+    return [...new Set([...practiceAreas.map(p => p.template_table), MEETING_TEMPLATE_TABLE])];
+  }
+
+  /**
+   * Resolve a table name, or null if it isn't a managed template table
+   */
+  static async resolveTable(tableName) {
+    const tables = await this.getTemplateTables();
+    return tables.includes(tableName) ? tableName : null;
+  }
+
+  /**
+   * List templates in a table, optionally for one stage / calendar event
+   *
+   * @param {string} tableName
+   * @param {Object} [filters]
+   * @param {number|string} [filters.setId] - Stage ID (stage tables) or calendar event ID (meeting table)
+   * @param {boolean} [filters.includeRetired=false]
+   * @returns {Promise<Object>} Outcome
+   */
+  static async list(tableName, { setId = null, includeRetired = false } = {}) {
+    if (!(await this.resolveTable(tableName))) {
+      return { success: false, action: 'unknown_table', error: `Unknown template table: ${tableName}` };
+    }
+
+    const templates = await SupabaseService.getTemplates(tableName, {
+      setColumn: setId !== null ? setColumnFor(tableName) : null,
+      setId,
+      includeRetired,
+    });
+
+    return { success: true, action: 'listed', table: tableName, count: templates.length, templates };
+  }
+
+  /**
+   * Get a single template
+   * @returns {Promise<Object>} Outcome
+   */
+  static async get(tableName, id) {
+    if (!(await this.resolveTable(tableName))) {
+      return { success: false, action: 'unknown_table', error: `Unknown template table: ${tableName}` };
+    }
+
+    const template = await SupabaseService.getTemplateById(tableName, id);
+    if (!template) {
+      return { success: false, action: 'not_found', error: `Template ${id} not found in ${tableName}` };
+    }
+
+    return { success: true, action: 'found', table: tableName, template };
+  }
+
+  /**
+   * Version history for a template (newest first)
+   * @returns {Promise<Object>} Outcome
+   */
+  static async history(tableName, id) {
+    const found = await this.get(tableName, id);
+    if (!found.success) return found;
+
+    const versions = await SupabaseService.getTemplateVersions(tableName, id);
+    return { success: true, action: 'history', table: tableName, template: found.template, versions };
+  }
+
+  /**
+   * Dependency graph ("after task X" chains) per stage / calendar event
+   *
+   * @param {string} tableName
+   * @param {Object} [filters]
+   * @param {number|string} [filters.setId] - One stage / calendar event; omit for every set in the table
+   * @returns {Promise<Object>} Outcome with { graphs: [{ setId, setName, ...graph }] }
+   */
+  static async graph(tableName, { setId = null } = {}) {
+    if (!(await this.resolveTable(tableName))) {
+      return { success: false, action: 'unknown_table', error: `Unknown template table: ${tableName}` };
+    }
+
+    const setColumn = setColumnFor(tableName);
+    const templates = await SupabaseService.getTemplates(tableName, {
+      setColumn: setId !== null ? setColumn : null,
+      setId,
+    });
+
+    const sets = new Map();
+    for (const template of templates) {
+      const key = String(template[setColumn]);
+      if (!sets.has(key)) sets.set(key, []);
+      sets.get(key).push(template);
+    }
+
+    const graphs = [...sets.entries()].map(([key, set]) => ({
+      setId: set[0][setColumn],
+      setName: set[0].stage_name || set[0].calendar_event_name || null,
+      ...buildDependencyGraph(set),
+    }));
+
+    const invalid = graphs.filter(g => !g.valid).length;
+    return { success: true, action: 'graph', table: tableName, setColumn, invalid, graphs };
+  }
+
+  /**
+   * Validate a proposed template set without saving it
+   *
+   * @param {string} tableName
+   * @param {Object[]} templates - Full set for one stage / calendar event
+   * @returns {Promise<Object>} Outcome with validation result
+   */
+  static async validate(tableName, templates) {
+    if (!(await this.resolveTable(tableName))) {
+      return { success: false, action: 'unknown_table', error: `Unknown template table: ${tableName}` };
+    }
+
+    const validation = validateTemplateSet(templates, { kind: kindFor(tableName) });
+    return { success: validation.valid, action: validation.valid ? 'valid' : 'validation_failed', validation };
+  }
+
+  /**
+   * Create a template (version 1)
+   *
+   * @param {string} tableName
+   * @param {Object} fields - Template columns (stage_id / calendar_event_id required)
+   * @param {Object} [meta]
+   * @param {string} [meta.changedBy]
+   * @param {string} [meta.changeNote]
+   * @returns {Promise<Object>} Outcome
+   */
+  static async create(tableName, fields, { changedBy = null, changeNote = null } = {}) {
+    if (!(await this.resolveTable(tableName))) {
+      return { success: false, action: 'unknown_table', error: `Unknown template table: ${tableName}` };
+    }
+
+    const setColumn = setColumnFor(tableName);
+    const template = { ...pickEditable(fields), active: true, version: 1 };
+
+    if (template[setColumn] === undefined || template[setColumn] === null || template[setColumn] === '') {
+      return { success: false, action: 'invalid_request', error: `${setColumn} is required` };
+    }
+
+    const validation = await this.validateWith(tableName, template);
+    if (!validation.valid) {
+      return { success: false, action: 'validation_failed', validation };
+    }
+
+    const created = await this.write(() => SupabaseService.insertTemplate(tableName, template));
+    if (created.conflict) return created.conflict;
+
+    await this.recordVersion(tableName, created.row, 'created', Object.keys(template), { changedBy, changeNote });
+
+    console.log(`[TEMPLATES] Created ${tableName} #${created.row.id} (task ${created.row.task_number}) by ${changedBy || 'unknown'}`);
+    return { success: true, action: 'created', table: tableName, template: created.row, validation };
+  }
+
+  /**
+   * Edit a template (bumps version)
+   *
+   * @param {string} tableName
+   * @param {number} id
+   * @param {Object} fields - Columns to change
+   * @param {Object} [meta]
+   * @param {number} [meta.expectedVersion] - Reject if the template changed since this version
+   * @param {string} [meta.changedBy]
+   * @param {string} [meta.changeNote]
+   * @returns {Promise<Object>} Outcome
+   */
+  static async update(tableName, id, fields, { expectedVersion = null, changedBy = null, changeNote = null } = {}) {
+    const found = await this.get(tableName, id);
+    if (!found.success) return found;
+
+    const current = found.template;
+    if (current.active === false) {
+      return { success: false, action: 'retired', error: `Template ${id} is retired - restore it before editing` };
+    }
+
+    const versionConflict = this.checkVersion(current, expectedVersion);
+    if (versionConflict) return versionConflict;
+
+    const editable = pickEditable(fields);
+    const changedFields = Object.keys(editable).filter(key => JSON.stringify(editable[key]) !== JSON.stringify(current[key]));
+    if (changedFields.length === 0) {
+      return { success: true, action: 'unchanged', table: tableName, template: current };
+    }
+
+    const proposed = { ...current, ...editable };
+    const validation = await this.validateWith(tableName, proposed, current);
+    if (!validation.valid) {
+      return { success: false, action: 'validation_failed', validation };
+    }
+
+    const updates = {
+      ...Object.fromEntries(changedFields.map(key => [key, editable[key]])),
+      version: (current.version || 1) + 1,
+    };
+
+    const updated = await this.write(() => SupabaseService.updateTemplate(tableName, id, updates, current.version || 1));
+    if (updated.conflict) return updated.conflict;
+    if (!updated.row) return this.staleWrite(tableName, id, current);
+
+    await this.recordVersion(tableName, updated.row, 'updated', changedFields, { changedBy, changeNote });
+
+    console.log(`[TEMPLATES] Updated ${tableName} #${id} to v${updated.row.version} (${changedFields.join(', ')}) by ${changedBy || 'unknown'}`);
+    return { success: true, action: 'updated', table: tableName, template: updated.row, changedFields, validation };
+  }
+
+  /**
+   * Retire a template (active = false) - it stops generating tasks
+   * Rejected if other active templates in the set depend on it ("after task X")
+   * @returns {Promise<Object>} Outcome
+   */
+  static async retire(tableName, id, meta = {}) {
+    return this.setActive(tableName, id, false, meta);
+  }
+
+  /**
+   * Restore a retired template
+   * @returns {Promise<Object>} Outcome
+   */
+  static async restore(tableName, id, meta = {}) {
+    return this.setActive(tableName, id, true, meta);
+  }
+
+  /**
+   * Shared retire/restore logic
+   */
+  static async setActive(tableName, id, active, { expectedVersion = null, changedBy = null, changeNote = null } = {}) {
+    const found = await this.get(tableName, id);
+    if (!found.success) return found;
+
+    const current = found.template;
+    const action = active ? 'restored' : 'retired';
+
+    if ((current.active !== false) === active) {
+      return { success: true, action: 'unchanged', table: tableName, template: current };
+    }
+
+    const versionConflict = this.checkVersion(current, expectedVersion);
+    if (versionConflict) return versionConflict;
+
+    const validation = await this.validateWith(tableName, { ...current, active }, current);
+    if (!validation.valid) {
+      return { success: false, action: 'validation_failed', validation };
+    }
+
+    const updated = await this.write(() =>
+      SupabaseService.updateTemplate(tableName, id, { active, version: (current.version || 1) + 1 }, current.version || 1)
+    );
+    if (updated.conflict) return updated.conflict;
+    if (!updated.row) return this.staleWrite(tableName, id, current);
+
+    await this.recordVersion(tableName, updated.row, action, ['active'], { changedBy, changeNote });
+
+    console.log(`[TEMPLATES] ${active ? 'Restored' : 'Retired'} ${tableName} #${id} (v${updated.row.version}) by ${changedBy || 'unknown'}`);
+    return { success: true, action, table: tableName, template: updated.row, validation };
+  }
+
+  /**
+   * Validate the set a template belongs to, with the proposed template swapped in
+   * Only errors introduced by this change block it; problems already in the set
+   * are returned as warnings so a broken set can be fixed one template at a time.
+   * @param {string} tableName
+   * @param {Object} proposed - Template as it would be saved
+   * @param {Object} [current] - Existing row (when editing), replaced in the set
+   */
+  static async validateWith(tableName, proposed, current = null) {
+    const setColumn = setColumnFor(tableName);
+    const kind = kindFor(tableName);
+    const siblings = await SupabaseService.getTemplates(tableName, {
+      setColumn,
+      setId: proposed[setColumn],
+    });
+
+    const set = siblings.filter(t => !current || t.id !== current.id);
+    if (proposed.active !== false) set.push(proposed);
+
+    const key = (e) => `${e.templateId}|${e.field}|${e.message}`;
+    const existing = new Set(validateTemplateSet(siblings, { kind }).errors.map(key));
+    const validation = validateTemplateSet(set, { kind });
+    const introduced = validation.errors.filter(e => !existing.has(key(e)));
+
+    return {
+      valid: introduced.length === 0,
+      errors: introduced,
+      warnings: [...validation.warnings, ...validation.errors.filter(e => existing.has(key(e)))],
+    };
+  }
+
+  /**
+   * Optimistic concurrency check against the caller's expected version
+   */
+  static checkVersion(current, expectedVersion) {
+    if (expectedVersion === null || expectedVersion === undefined) return null;
+    if (Number(expectedVersion) === (current.version || 1)) return null;
+
+    return {
+      success: false,
+      action: 'conflict',
+      error: `Template ${current.id} is at version ${current.version || 1}, expected ${expectedVersion}`,
+      template: current,
+    };
+  }
+
+  /**
+   * Conflict outcome for a write that lost the race: the template changed
+   * between reading it and writing (the update matched no row at its version)
+   */
+  static async staleWrite(tableName, id, current) {
+    const latest = await SupabaseService.getTemplateById(tableName, id);
+    return {
+      success: false,
+      action: 'conflict',
+      error: `Template ${id} changed while saving (was version ${current.version || 1}${latest ? `, now ${latest.version}` : ''}) - reload and retry`,
+      template: latest || current,
+    };
+  }
+
+  /**
+   * Run a template write, mapping unique violations (23505) to a conflict outcome
+   */
+  static async write(fn) {
+    try {
+      return { row: await fn() };
+    } catch (error) {
+      if (error.code === '23505') {
+        return { conflict: { success: false, action: 'conflict', error: error.message } };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store a version snapshot
+   * Never throws - the template change is already saved
+   */
+  static async recordVersion(tableName, row, action, changedFields, { changedBy = null, changeNote = null } = {}) {
+    try {
+      await SupabaseService.insertTemplateVersion({
+        template_table: tableName,
+        template_id: row.id,
+        version: row.version || 1,
+        action,
+        snapshot: row,
+        changed_fields: changedFields,
+        changed_by: changedBy,
+        change_note: changeNote,
+      });
+    } catch (error) {
+      console.error(`[TEMPLATES] Failed to record version ${row.version} of ${tableName} #${row.id}: ${error.message}`);
+    }
+  }
+}
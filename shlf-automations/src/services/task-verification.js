@@ -1,21 +1,30 @@
 import { ClioService } from './clio.js';
 import { SupabaseService } from './supabase.js';
-import { calculateDueDate, formatForClio } from '../utils/date-helpers.js';
+import { calculateDueDate, formatForClio, getOfficeTimezone } from '../utils/date-helpers.js';
+import { ensureHolidayCalendar } from '../utils/holiday-calendar.js';
 import { resolveAssignee } from '../utils/assignee-resolver.js';
 import { ERROR_CODES } from '../constants/error-codes.js';
 import { EventTracker } from './event-tracker.js';
+import { templateVersionFields } from './task-templates.js';
+import { config } from '../config/index.js';
 
 /**
  * Task Verification Service
  *
- * Provides post-verification functionality to ensure all expected tasks
- * were successfully created in both Clio and Supabase after stage changes
- * or meeting task generation.
+ * Post-verification that all expected tasks were created in both Clio and
+ * Supabase after stage changes or meeting task generation.
+ *
+ * Verification is deferred: the automation schedules it in
+ * `task_verifications` (scheduleVerification) and returns, and the
+ * verify-tasks job runs each pass (runVerification) once it is due, after
+ * VERIFY_DELAY_SECONDS. A pass regenerates missing tasks; when a pass can't,
+ * the next one retries until VERIFY_PASSES is reached and the job escalates
+ * (escalate). See migrations/022_task_verifications.sql.
  */
 export class TaskVerificationService {
 
   /**
-   * Verify task generation after stage change or meeting scheduled
+   * Schedule verification of the tasks just generated for a matter
    *
    * @param {Object} params
    * @param {number} params.matterId - Clio matter ID
@@ -26,10 +35,10 @@ export class TaskVerificationService {
    * @param {number} params.expectedCount - Expected task count
    * @param {string} params.context - 'stage_change' or 'meeting_scheduled'
    * @param {string} params.calendarEntryId - (Optional) Calendar entry ID for meeting context
-   * @param {string} traceId - (Optional) Trace ID for event tracking
-   * @returns {Object} Verification results
+   * @param {string} traceId - (Optional) Trace ID of the webhook that generated the tasks
+   * @returns {Object} { scheduled, verificationId, runAt, passes } or { scheduled: false, reason }
    */
-  static async verifyTaskGeneration(params, traceId = null) {
+  static async scheduleVerification(params, traceId = null) {
     const {
       matterId,
       stageId,
@@ -41,9 +50,8 @@ export class TaskVerificationService {
       calendarEntryId = null
     } = params;
 
-    const startTime = Date.now();
+    const runAt = new Date(Date.now() + config.verification.delaySeconds * 1000).toISOString();
 
-    // Start verify_tasks step with input
     const verifyStepId = await EventTracker.startStep(traceId, {
       layerName: 'automation',
       stepName: 'verify_tasks',
@@ -54,29 +62,98 @@ export class TaskVerificationService {
         expectedCount,
         context,
         calendarEntryId,
-        waitDuration: '30 seconds',
+        delaySeconds: config.verification.delaySeconds,
+        passes: config.verification.passes,
       },
     });
     const verifyCtx = EventTracker.createContext(traceId, verifyStepId);
 
-    console.log(`[VERIFY] ${matterId} Starting verification (context: ${context}, expected: ${expectedCount} tasks)`);
+    try {
+      const verification = await SupabaseService.insertTaskVerification({
+        matter_id: matterId,
+        context,
+        stage_id: stageId,
+        stage_name: stageName,
+        practice_area_id: practiceAreaId,
+        calendar_entry_id: calendarEntryId,
+        expected_count: expectedCount,
+        matter_details: matterDetails,
+        status: 'pending',
+        max_passes: config.verification.passes,
+        next_run_at: runAt,
+        source_trace_id: traceId,
+      }, verifyCtx);
+
+      if (!verification) {
+        console.warn(`[VERIFY] ${matterId} Verification not scheduled (task_verifications table missing - run migration 022)`);
+        await EventTracker.endStep(verifyStepId, { status: 'skipped', output: { scheduled: false, reason: 'table_not_exists' } });
+        return { scheduled: false, reason: 'table_not_exists' };
+      }
+
+      console.log(`[VERIFY] ${matterId} Verification ${verification.id} scheduled for ${runAt} (context: ${context}, expected: ${expectedCount} tasks)`);
+
+      const output = { scheduled: true, verificationId: verification.id, runAt, passes: verification.max_passes };
+      await EventTracker.endStep(verifyStepId, { status: 'success', output });
+      return output;
+    } catch (error) {
+      await EventTracker.endStep(verifyStepId, { status: 'error', errorMessage: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Run one verification pass: find missing tasks and regenerate them
+   *
+   * A verification whose matter has moved to another stage (or whose meeting
+   * was deleted) is superseded - its tasks are no longer wanted.
+   *
+   * @param {Object} verification - task_verifications row
+   * @param {Object} [ctx] - Tracking context of the pass
+   * @returns {Promise<Object>} Verification results
+   */
+  static async runVerification(verification, ctx = null) {
+    const startTime = Date.now();
+    const {
+      id: verificationId,
+      matter_id: matterId,
+      stage_id: stageId,
+      stage_name: stageName,
+      practice_area_id: practiceAreaId,
+      calendar_entry_id: calendarEntryId,
+      context,
+    } = verification;
 
-    // Step 1: Wait 30 seconds for task creation to settle
-    console.log(`[VERIFY] ${matterId} Waiting 30 seconds for task generation to complete...`);
-    const waitStart = Date.now();
-    await new Promise(resolve => setTimeout(resolve, 30000));
-    const waitDurationMs = Date.now() - waitStart;
+    // Firm holidays for due dates of regenerated tasks (cached)
+    await ensureHolidayCalendar(ctx);
+
+    // Step 1: Make sure the tasks are still wanted
+    let matterDetails = verification.matter_details;
+    let calendarEventId = null;
+    if (context === 'meeting_scheduled' && calendarEntryId) {
+      try {
+        const entry = await ClioService.getCalendarEntry(calendarEntryId, ctx);
+        calendarEventId = entry.calendar_entry_event_type?.id;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        console.log(`[VERIFY] ${matterId} Calendar entry ${calendarEntryId} was deleted - verification superseded`);
+        return { success: true, superseded: true, reason: 'calendar_entry_deleted' };
+      }
+    } else {
+      const matter = await ClioService.getMatter(matterId, ctx);
+      if (Number(matter.matter_stage?.id) !== Number(stageId)) {
+        console.log(`[VERIFY] ${matterId} Matter moved to ${matter.matter_stage?.name || 'no stage'} - verification superseded`);
+        return { success: true, superseded: true, reason: 'stage_changed', currentStageId: matter.matter_stage?.id || null };
+      }
+      matterDetails = { ...matterDetails, ...matter };
+    }
 
     // Step 2: Get expected task numbers
     let expectedTaskNumbers;
-    if (context === 'meeting_scheduled' && calendarEntryId) {
-      // Get meeting task templates
-      const calendarEventId = await this._getCalendarEventId(calendarEntryId);
-      const result = await SupabaseService.getExpectedMeetingTaskCount(calendarEventId);
+    if (calendarEventId) {
+      const result = await SupabaseService.getExpectedMeetingTaskCount(calendarEventId, ctx);
       expectedTaskNumbers = result.expectedTaskNumbers;
     } else {
-      // Get stage task templates
-      const result = await SupabaseService.getExpectedTaskCount(stageId, practiceAreaId);
+      const result = await SupabaseService.getExpectedTaskCount(stageId, practiceAreaId, ctx);
       expectedTaskNumbers = result.expectedTaskNumbers;
     }
 
@@ -85,30 +162,22 @@ export class TaskVerificationService {
     if (calendarEntryId) {
       // For meeting context, query directly by calendar_entry_id (more reliable)
       // Include completed tasks to avoid regenerating them
-      relevantTasks = await SupabaseService.getTasksByCalendarEntryId(calendarEntryId, true);
+      relevantTasks = await SupabaseService.getTasksByCalendarEntryId(calendarEntryId, true, ctx);
       console.log(`[VERIFY] ${matterId} Queried by calendar_entry_id: ${calendarEntryId}, found ${relevantTasks.length} tasks`);
     } else {
-      // For stage change, use time-based query
-      const actualTasks = await SupabaseService.getRecentTasksByMatterAndStage(
-        matterId,
-        stageId,
-        2 // last 2 minutes (increased from 1 minute for more reliability)
-      );
-      relevantTasks = actualTasks;
+      // For stage change, tasks generated since shortly before the verification was scheduled
+      const minutes = Math.ceil((Date.now() - new Date(verification.created_at).getTime()) / 60000) + 2;
+      relevantTasks = await SupabaseService.getRecentTasksByMatterAndStage(matterId, stageId, minutes, ctx);
     }
 
     console.log(`[VERIFY] ${matterId} Found ${relevantTasks.length} tasks in Supabase`);
 
-    // Step 4: Identify missing task numbers
+    // Step 4: Identify missing task numbers (deleted ones count as present)
     const existingTaskNumbers = relevantTasks.map(t => t.task_number);
     const missingTaskNumbers = expectedTaskNumbers.filter(
       num => !existingTaskNumbers.includes(num)
     );
 
-    // Step 5: Check if all tasks exist (including deleted ones)
-    const allTaskNumbers = relevantTasks.map(t => t.task_number);
-    const hasAllTasks = expectedTaskNumbers.every(num => allTaskNumbers.includes(num));
-
     // Build individual task details for logging (full details)
     const individualTasks = relevantTasks.map(t => ({
       taskId: t.task_id,
@@ -122,18 +191,21 @@ export class TaskVerificationService {
       createdAt: t.task_date_generated,
     }));
 
-    if (hasAllTasks) {
+    const verificationInput = {
+      verificationId,
+      pass: (verification.passes || 0) + 1,
+      waitDurationMs: Date.now() - new Date(verification.created_at).getTime(), // since scheduled
+      expectedCount: expectedTaskNumbers.length,
+      matterId,
+      stageId,
+      stageName,
+      context,
+    };
+
+    if (missingTaskNumbers.length === 0) {
       console.log(`[VERIFY] ${matterId} ✓ All ${expectedTaskNumbers.length} tasks verified successfully`);
 
-      // Log successful verification
-      verifyCtx.logVerification({
-        waitDurationMs,
-        expectedCount: expectedTaskNumbers.length,
-        matterId,
-        stageId,
-        stageName,
-        context,
-      }, {
+      ctx?.logVerification(verificationInput, {
         foundCount: relevantTasks.length,
         missingTaskNumbers: [],
         tasksRegenerated: 0,
@@ -141,29 +213,18 @@ export class TaskVerificationService {
         allTasksFound: true,
       }, Date.now() - startTime);
 
-      await EventTracker.endStep(verifyStepId, {
-        status: 'success',
-        output: {
-          success: true,
-          expectedCount: expectedTaskNumbers.length,
-          foundCount: relevantTasks.length,
-          missingCount: 0,
-          regeneratedCount: 0,
-          allTasksVerified: true,
-          tasks: individualTasks,
-        },
-      });
-
       return {
         success: true,
         tasksVerified: relevantTasks.length,
         tasksRegenerated: 0,
+        tasksFailed: 0,
         missingTaskNumbers: [],
+        failures: [],
         tasks: individualTasks,
       };
     }
 
-    // Step 6: Regenerate missing tasks
+    // Step 5: Regenerate missing tasks
     console.log(`[VERIFY] ${matterId} Missing ${missingTaskNumbers.length} tasks: ${missingTaskNumbers.join(', ')}`);
 
     const regenerated = await this._regenerateMissingTasks({
@@ -174,20 +235,13 @@ export class TaskVerificationService {
       matterDetails,
       missingTaskNumbers,
       context,
-      calendarEntryId
-    });
+      calendarEntryId,
+      calendarEventId
+    }, ctx);
 
     console.log(`[VERIFY] ${matterId} Regenerated ${regenerated.success} tasks, ${regenerated.failed} failed`);
 
-    // Log verification with regeneration results
-    verifyCtx.logVerification({
-      waitDurationMs,
-      expectedCount: expectedTaskNumbers.length,
-      matterId,
-      stageId,
-      stageName,
-      context,
-    }, {
+    ctx?.logVerification(verificationInput, {
       foundCount: relevantTasks.length,
       missingTaskNumbers,
       tasksRegenerated: regenerated.success,
@@ -195,22 +249,6 @@ export class TaskVerificationService {
       allTasksFound: false,
     }, Date.now() - startTime);
 
-    await EventTracker.endStep(verifyStepId, {
-      status: regenerated.failed > 0 ? 'error' : 'success',
-      output: {
-        success: regenerated.failed === 0,
-        expectedCount: expectedTaskNumbers.length,
-        foundCount: relevantTasks.length,
-        missingCount: missingTaskNumbers.length,
-        regeneratedCount: regenerated.success,
-        failedCount: regenerated.failed,
-        allTasksVerified: regenerated.failed === 0,
-        tasks: individualTasks,
-        missingTaskNumbers,
-        failures: regenerated.failures,
-      },
-    });
-
     return {
       success: regenerated.failed === 0,
       tasksVerified: relevantTasks.length,
@@ -222,10 +260,90 @@ export class TaskVerificationService {
     };
   }
 
+  /**
+   * Escalate a verification whose final pass still failed
+   *
+   * Creates a high-priority error task on the matter (responsible attorney,
+   * else originating attorney, else the VA) and logs the failure.
+   *
+   * @param {Object} verification - task_verifications row
+   * @param {Object} result - Final pass result ({ missingTaskNumbers, failures }) or { error }
+   * @param {Object} [ctx] - Tracking context of the pass
+   * @returns {Promise<Object|null>} Error task, or null if it couldn't be created
+   */
+  static async escalate(verification, result, ctx = null) {
+    const matterId = verification.matter_id;
+    const matter = verification.matter_details || {};
+    const what = verification.context === 'meeting_scheduled' ? 'meeting' : verification.stage_name;
+    const attorney = matter.responsible_attorney || matter.originating_attorney;
+    const assigneeId = attorney?.id || 357379471;
+
+    const lines = (result.failures || []).map(f => `• Task ${f.task_number} ${f.task_title}: ${f.error}`);
+    if (lines.length === 0 && result.missingTaskNumbers?.length) {
+      lines.push(`• Missing task numbers: ${result.missingTaskNumbers.join(', ')}`);
+    }
+    if (result.error) lines.push(`• ${result.error}`);
+
+    let errorTask = null;
+    try {
+      const dueAt = new Date().toISOString();
+      errorTask = await ClioService.createTask({
+        name: `⚠️ Task Verification Failed - ${what}`,
+        description: `Some automated tasks for ${what} could not be created after ${verification.max_passes} verification attempts:\n${lines.join('\n')}\n\nPlease create the missing tasks manually, then mark this task as complete.`,
+        matter: { id: matterId },
+        assignee: { id: assigneeId, type: 'User' },
+        priority: 'high',
+        due_at: dueAt,
+      }, ctx);
+      console.log(`[VERIFY] ${matterId} Created error task: ${errorTask.id}`);
+
+      await SupabaseService.insertTask({
+        task_id: errorTask.id,
+        task_name: errorTask.name,
+        task_desc: errorTask.description,
+        matter_id: matterId,
+        assigned_user_id: assigneeId,
+        assigned_user: attorney?.name || 'Jacqui',
+        due_date: dueAt,
+        stage_id: verification.stage_id,
+        stage_name: verification.stage_name,
+        task_number: -1, // Special marker for error tasks
+        completed: false,
+        status: 'pending',
+        task_date_generated: new Date().toISOString(),
+        due_date_generated: new Date().toISOString(),
+        calendar_entry_id: verification.calendar_entry_id,
+      }, ctx);
+    } catch (error) {
+      console.error(`[VERIFY] ${matterId} Failed to create error task: ${error.message}`);
+    }
+
+    await SupabaseService.logError(
+      ERROR_CODES.TASK_VERIFICATION_FAILED,
+      `Tasks still missing after ${verification.max_passes} verification passes`,
+      {
+        matter_id: matterId,
+        verification_id: verification.id,
+        context: verification.context,
+        stage_id: verification.stage_id,
+        stage_name: verification.stage_name,
+        calendar_entry_id: verification.calendar_entry_id,
+        missing_task_numbers: result.missingTaskNumbers || [],
+        failures: result.failures || [],
+        error: result.error || null,
+        error_task_id: errorTask?.id || null,
+        trace_id: ctx?.traceId || null,
+      },
+      ctx
+    );
+
+    return errorTask;
+  }
+
   /**
    * Regenerate specific tasks by task number
    */
-  static async _regenerateMissingTasks(params) {
+  static async _regenerateMissingTasks(params, ctx = null) {
     const {
       matterId,
       stageId,
@@ -234,7 +352,8 @@ export class TaskVerificationService {
       matterDetails,
       missingTaskNumbers,
       context,
-      calendarEntryId
+      calendarEntryId,
+      calendarEventId
     } = params;
 
     let tasksCreated = 0;
@@ -243,14 +362,10 @@ export class TaskVerificationService {
 
     // Get all templates
     let allTemplates;
-    if (context === 'meeting_scheduled' && calendarEntryId) {
-      const calendarEventId = await this._getCalendarEventId(calendarEntryId);
-      allTemplates = await SupabaseService.getTaskListMeeting(calendarEventId);
+    if (context === 'meeting_scheduled' && calendarEventId) {
+      allTemplates = await SupabaseService.getTaskListMeeting(calendarEventId, ctx);
     } else {
-      const PROBATE_PRACTICE_AREA_ID = 45045123;
-      allTemplates = practiceAreaId === PROBATE_PRACTICE_AREA_ID
-        ? await SupabaseService.getTaskListProbate(stageId)
-        : await SupabaseService.getTaskListNonMeeting(stageId);
+      allTemplates = await SupabaseService.getTaskListForPracticeArea(stageId, practiceAreaId, ctx);
     }
 
     // Filter to only missing task numbers
@@ -288,13 +403,13 @@ export class TaskVerificationService {
           dueDate = null;
         } else if (context === 'meeting_scheduled') {
           // Meeting-based - calculate from meeting date
-          const meetingDate = await SupabaseService.getMeetingDate(matterId, calendarEntryId);
+          const meetingDate = await SupabaseService.getMeetingDate(matterId, calendarEntryId, ctx);
           if (meetingDate) {
-            dueDate = calculateDueDate(template, new Date(meetingDate));
+            dueDate = calculateDueDate(template, new Date(meetingDate), 'meeting', { timeZone: getOfficeTimezone(matterDetails.location) });
           }
         } else {
           // Regular task - calculate from now
-          dueDate = calculateDueDate(template, new Date());
+          dueDate = calculateDueDate(template, new Date(), 'creation', { timeZone: getOfficeTimezone(matterDetails.location) });
         }
 
         const dueDateFormatted = dueDate ? formatForClio(dueDate) : null;
@@ -315,7 +430,7 @@ export class TaskVerificationService {
         }
 
         // Create in Clio
-        const newTask = await ClioService.createTask(taskData);
+        const newTask = await ClioService.createTask(taskData, ctx);
         console.log(`[VERIFY] ${matterId} Created task ${template.task_number}: ${newTask.id}`);
 
         // Record in Supabase
@@ -330,6 +445,7 @@ export class TaskVerificationService {
           stage_id: stageId,
           stage_name: stageName,
           task_number: template.task_number,
+          ...templateVersionFields(template),
           completed: false,
           status: 'pending',
           task_date_generated: new Date().toISOString(),
@@ -337,7 +453,7 @@ export class TaskVerificationService {
           calendar_entry_id: calendarEntryId,
           verification_attempted: true,
           verification_attempted_at: new Date().toISOString()
-        });
+        }, ctx);
 
         tasksCreated++;
 
@@ -359,12 +475,4 @@ export class TaskVerificationService {
       failures
     };
   }
-
-  /**
-   * Get calendar event ID from calendar entry ID
-   */
-  static async _getCalendarEventId(calendarEntryId) {
-    const entry = await ClioService.getCalendarEntry(calendarEntryId);
-    return entry.calendar_entry_event_type?.id;
-  }
 }
@@ -0,0 +1,174 @@
+import { ClioService } from './clio.js';
+import { SupabaseService } from './supabase.js';
+import { config } from '../config/index.js';
+
+/**
+ * Test Mode Service
+ *
+ * Decides whether a matter may be processed while TEST_MODE is enabled.
+ * A matter is allowed when it is TEST_MATTER_ID or matches any active rule in
+ * the `test_mode_rules` table:
+ * - matter_id: exact Clio matter ID
+ * - matter_number_pattern: display number pattern, '*' wildcard, case-insensitive
+ * - responsible_attorney: responsible attorney user ID
+ * - custom_field: custom field name or ID that is checked/non-empty on the matter
+ *
+ * Rules are cached for a minute so edits in Supabase apply without a restart.
+ * Matter details are only fetched from Clio when a rule needs them.
+ */
+
+const RULES_CACHE_TTL_MS = 60 * 1000;
+let rulesCache = { rules: null, loadedAt: 0 };
+
+export const TEST_MODE_RULE_TYPES = {
+  MATTER_ID: 'matter_id',
+  MATTER_NUMBER_PATTERN: 'matter_number_pattern',
+  RESPONSIBLE_ATTORNEY: 'responsible_attorney',
+  CUSTOM_FIELD: 'custom_field',
+};
+
+// Rules that need matter details (display number / responsible attorney)
+const MATTER_DETAIL_RULES = new Set([
+  TEST_MODE_RULE_TYPES.MATTER_NUMBER_PATTERN,
+  TEST_MODE_RULE_TYPES.RESPONSIBLE_ATTORNEY,
+]);
+
+/**
+ * Convert a '*' wildcard pattern to a case-insensitive regex
+ */
+const patternToRegex = (pattern) => {
+  const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+/**
+ * Whether a custom field value counts as "flagged" (checkbox checked or non-empty)
+ */
+const isFlagged = (value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  return normalized !== '' && normalized !== 'false' && normalized !== 'no' && normalized !== '0';
+};
+
+/**
+ * Public shape of a matched rule (recorded on traces)
+ */
+const describeRule = (rule) => ({
+  id: rule.id ?? null,
+  type: rule.rule_type,
+  value: rule.value,
+  description: rule.description || null,
+});
+
+export class TestModeService {
+  /**
+   * Get active allowlist rules (cached for 1 minute)
+   * Falls back to the cached (or empty) list if Supabase is unavailable
+   * @param {Object} [ctx] - Optional tracking context
+   * @param {boolean} [forceRefresh=false] - Bypass the cache
+   */
+  static async getRules(ctx = null, forceRefresh = false) {
+    if (!forceRefresh && rulesCache.rules && Date.now() - rulesCache.loadedAt < RULES_CACHE_TTL_MS) {
+      return rulesCache.rules;
+    }
+
+    try {
+      const rules = await SupabaseService.getTestModeRules(ctx);
+      rulesCache = { rules, loadedAt: Date.now() };
+      return rules;
+    } catch (error) {
+      console.error(`[TEST MODE] Failed to load allowlist rules: ${error.message}`);
+      return rulesCache.rules || [];
+    }
+  }
+
+  /**
+   * Evaluate the test mode allowlist for a matter
+   *
+   * @param {number} matterId - Clio matter ID
+   * @param {Object} [options]
+   * @param {Object} [options.matter] - Matter details already fetched (display_number, responsible_attorney)
+   * @param {Object} [options.ctx] - Optional tracking context
+   * @returns {Promise<Object>} { allowed, testMode, matterId, matchedRule, reason }
+   */
+  static async evaluate(matterId, { matter = null, ctx = null } = {}) {
+    if (!config.testing.testMode) {
+      return { allowed: true, testMode: false, matterId, matchedRule: null, reason: 'test_mode_disabled' };
+    }
+
+    const id = Number(matterId);
+    const result = (matchedRule, reason) => {
+      const decision = { allowed: !!matchedRule, testMode: true, matterId, matchedRule, reason };
+      ctx?.logDecision('test_mode_allowlist', { matterId }, decision);
+      return decision;
+    };
+
+    if (!id) {
+      return result(null, 'no_matter_id');
+    }
+
+    if (id === config.testing.testMatterId) {
+      return result({ id: null, type: 'env_test_matter_id', value: String(config.testing.testMatterId), description: 'TEST_MATTER_ID' }, 'matched');
+    }
+
+    const rules = await this.getRules(ctx);
+
+    // Cheap rules first - no Clio calls needed
+    const idRule = rules.find(r => r.rule_type === TEST_MODE_RULE_TYPES.MATTER_ID && Number(r.value) === id);
+    if (idRule) {
+      return result(describeRule(idRule), 'matched');
+    }
+
+    try {
+      if (rules.some(r => MATTER_DETAIL_RULES.has(r.rule_type))) {
+        const details = matter?.display_number !== undefined ? matter : await ClioService.getMatter(id, ctx);
+
+        for (const rule of rules) {
+          if (rule.rule_type === TEST_MODE_RULE_TYPES.MATTER_NUMBER_PATTERN &&
+              details.display_number && patternToRegex(rule.value).test(details.display_number)) {
+            return result(describeRule(rule), 'matched');
+          }
+          if (rule.rule_type === TEST_MODE_RULE_TYPES.RESPONSIBLE_ATTORNEY &&
+              Number(details.responsible_attorney?.id) === Number(rule.value)) {
+            return result(describeRule(rule), 'matched');
+          }
+        }
+      }
+
+      const customFieldRules = rules.filter(r => r.rule_type === TEST_MODE_RULE_TYPES.CUSTOM_FIELD);
+      if (customFieldRules.length > 0) {
+        const values = await ClioService.getMatterCustomFieldValues(id, ctx);
+
+        for (const rule of customFieldRules) {
+          const target = String(rule.value).trim().toLowerCase();
+          const field = values.find(v =>
+            (v.field_name || '').trim().toLowerCase() === target ||
+            String(v.custom_field?.id) === target
+          );
+          if (field && isFlagged(field.value)) {
+            return result(describeRule(rule), 'matched');
+          }
+        }
+      }
+    } catch (error) {
+      // Can't evaluate the matter - block it, same as an unknown matter
+      console.error(`[TEST MODE] Could not evaluate allowlist for matter ${matterId}: ${error.message}`);
+      return result(null, 'evaluation_failed');
+    }
+
+    return result(null, 'not_in_allowlist');
+  }
+
+  /**
+   * Summary of the active allowlist (for health/status output)
+   */
+  static async describe() {
+    const rules = config.testing.testMode ? await this.getRules() : [];
+    return {
+      enabled: config.testing.testMode,
+      testMatterId: config.testing.testMode ? config.testing.testMatterId : 'all matters allowed',
+      rules: rules.map(describeRule),
+    };
+  }
+}
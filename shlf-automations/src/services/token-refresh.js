@@ -1,32 +1,55 @@
 import axios from 'axios';
 import { config } from '../config/index.js';
 import { createClient } from '@supabase/supabase-js';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { EventTracker } from './event-tracker.js';
+import { SupabaseService } from './supabase.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Placeholder access token inserted by migration 008 until the first real one is stored
+const PLACEHOLDER_TOKEN = 'initial_token_will_be_replaced';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
  * CLIO Token Refresh Service
  *
- * Handles automatic refresh of CLIO OAuth access tokens using refresh tokens.
+ * Manages the CLIO OAuth access token for every instance of the app.
  * Access tokens expire after 7 days (604800 seconds).
  *
- * This service:
- * - Fetches tokens from Supabase on startup (persistent storage)
- * - Refreshes tokens proactively (before expiry)
- * - Updates tokens in Supabase and memory
- * - Falls back to .env file for local development
- * - Provides token expiry checking
+ * The `clio_tokens` row in Supabase is the single source of truth:
+ * - every instance reads the current token from it, cached for
+ *   CLIO_TOKEN_CACHE_SECONDS (a 401 re-reads it at once). onTokenChange()
+ *   listeners hear about new tokens
+ * - only the instance holding the row-level refresh lease (CLIO_TOKEN_LEASE_SECONDS)
+ *   calls Clio; the others wait for the token it stores, so concurrent
+ *   refreshes can't invalidate each other's refresh token
+ * - the refresh token is stored in the row too (seeded from CLIO_REFRESH_TOKEN),
+ *   so a rotated refresh token reaches every instance
+ * - a failed refresh starts an alert trace and logs an error; a refresh token
+ *   Clio rejects is marked revoked and not retried until a new one is stored
+ * - a refreshed token that can't be stored (after a few tries) is kept in
+ *   memory, rotated refresh token included, raises an alert and is stored on
+ *   the next sync
+ *
+ * Environment tokens are only used until the store has a token (first run, local dev).
+ * See migrations/023_clio_token_leases.sql.
  */
 export class TokenRefreshService {
-  // Track token expiration in memory (calculated from expires_in)
+  // Cached token state (the token itself lives in config.clio.accessToken)
   static tokenExpiresAt = null;
-  static isRefreshing = false;
+  static tokenLoadedAt = 0;
   static refreshPromise = null;
+  static loadPromise = null;
   static supabase = null;
+  static listeners = new Set();
+  // Token values Clio issued that could not be written to the store yet
+  static unsavedToken = null;
+
+  // How often a waiting instance re-reads the store while another one refreshes
+  static LEASE_POLL_MS = 1000;
+  // Tries (and base delay between them) for storing a refreshed token
+  static STORE_ATTEMPTS = 3;
+  static STORE_RETRY_MS = 1000;
 
   /**
    * Initialize Supabase client
@@ -40,110 +63,150 @@ export class TokenRefreshService {
   }
 
   /**
-   * Fetch token from Supabase
-   * Called on startup to get the latest token from persistent storage
-   * @returns {Promise<Object|null>} Token data or null if not found
+   * Whether a clio_tokens row holds a real access token
+   * @private
    */
-  static async fetchTokenFromSupabase() {
-    try {
-      const supabase = this._initSupabase();
-      if (!supabase) {
-        console.log('⚠️  Supabase not configured, using env token');
-        return null;
-      }
+  static _hasToken(row) {
+    return !!row?.access_token && row.access_token !== PLACEHOLDER_TOKEN;
+  }
 
-      const { data, error } = await supabase
-        .from('clio_tokens')
-        .select('access_token, expires_at')
-        .eq('id', 1)
-        .single();
+  /**
+   * Read the clio_tokens row
+   * @returns {Promise<Object|null>} Row, or null if Supabase isn't configured or the row is missing
+   * @private
+   */
+  static async _readStore() {
+    const supabase = this._initSupabase();
+    if (!supabase) return null;
+
+    const { data, error } = await supabase
+      .from('clio_tokens')
+      .select('*')
+      .eq('id', 1)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+    return data || null;
+  }
 
-      if (error) {
-        console.error('⚠️  Failed to fetch token from Supabase:', error.message);
-        return null;
-      }
+  /**
+   * Use a clio_tokens row as the current token, notifying listeners if it changed
+   * @param {Object} row - clio_tokens row
+   * @param {string} source - Where the row came from (for logging)
+   * @returns {boolean} Whether the access token changed
+   * @private
+   */
+  static _applyToken(row, source) {
+    if (!this._hasToken(row)) return false;
 
-      if (data && data.access_token) {
-        console.log('✅ Fetched token from Supabase');
-        console.log(`   Expires at: ${data.expires_at}`);
-        return {
-          access_token: data.access_token,
-          expires_at: new Date(data.expires_at),
-        };
-      }
+    this.tokenLoadedAt = Date.now();
+    this.tokenExpiresAt = new Date(row.expires_at);
+    if (row.access_token === config.clio.accessToken) return false;
 
-      return null;
-    } catch (error) {
-      console.error('⚠️  Error fetching token from Supabase:', error.message);
-      return null;
+    config.clio.accessToken = row.access_token;
+    process.env.CLIO_ACCESS_TOKEN = row.access_token;
+    console.log(`🔐 Clio access token updated (${source}), expires ${this.tokenExpiresAt.toISOString()}`);
+
+    for (const listener of this.listeners) {
+      try {
+        listener(row.access_token, this.tokenExpiresAt);
+      } catch (error) {
+        console.error('⚠️  Token change listener failed:', error.message);
+      }
     }
+    return true;
   }
 
   /**
-   * Update token in Supabase
-   * @param {string} accessToken - New access token
-   * @param {Date} expiresAt - Token expiration date
-   * @private
+   * Be told whenever the access token changes (refresh here, or by another instance)
+   * @param {Function} listener - (accessToken, expiresAt) => void
+   * @returns {Function} Unsubscribe
    */
-  static async _updateTokenInSupabase(accessToken, expiresAt) {
-    try {
-      const supabase = this._initSupabase();
-      if (!supabase) {
-        console.log('⚠️  Supabase not configured, skipping DB update');
-        return;
-      }
+  static onTokenChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
 
-      const { error } = await supabase
-        .from('clio_tokens')
-        .update({
-          access_token: accessToken,
-          expires_at: expiresAt.toISOString(),
-          last_refreshed_at: new Date().toISOString(),
+  /**
+   * Re-read the token from the store
+   * Concurrent calls share one read; if the store can't be read the cached token is kept.
+   * @returns {Promise<Object|null>} clio_tokens row
+   */
+  static async syncFromStore() {
+    if (!this.loadPromise) {
+      this.loadPromise = this._flushUnsavedToken()
+        .then(() => this._readStore())
+        .then(row => {
+          // The store still holds the token ours replaced
+          if (this.unsavedToken) {
+            this.tokenLoadedAt = Date.now();
+            return row;
+          }
+          if (!this._applyToken(row, 'store') && !this._hasToken(row)) this.tokenLoadedAt = Date.now();
+          return row;
         })
-        .eq('id', 1);
-
-      if (error) {
-        console.error('⚠️  Failed to update token in Supabase:', error.message);
-        return;
-      }
+        .catch(error => {
+          console.error('⚠️  Failed to fetch token from Supabase:', error.message);
+          this.tokenLoadedAt = Date.now(); // Keep the cached token; try again after the cache period
+          return null;
+        })
+        .finally(() => {
+          this.loadPromise = null;
+        });
+    }
+    return this.loadPromise;
+  }
 
-      console.log('💾 Updated token in Supabase');
-    } catch (error) {
-      console.error('⚠️  Error updating token in Supabase:', error.message);
-      // Don't throw - token is already updated in memory
+  /**
+   * Current access token, re-read from the store once the cache is older than CLIO_TOKEN_CACHE_SECONDS
+   * @returns {Promise<string>}
+   */
+  static async getAccessToken() {
+    if (Date.now() - this.tokenLoadedAt > config.clio.tokenCacheSeconds * 1000) {
+      await this.syncFromStore();
     }
+    return config.clio.accessToken;
   }
 
   /**
-   * Initialize token expiration tracking
-   * Call this on app startup to fetch token from Supabase and set up in-memory tracking
+   * Initialize token tracking
+   * Call this on app startup to load the token from Supabase. The first run
+   * seeds the store with the environment tokens.
    */
   static async initialize() {
     console.log('🔐 Initializing token refresh service...');
 
-    // Try to fetch token from Supabase first
-    const tokenData = await this.fetchTokenFromSupabase();
+    let row = null;
+    try {
+      row = await this._readStore();
+    } catch (error) {
+      console.error('⚠️  Failed to fetch token from Supabase:', error.message);
+    }
 
-    if (tokenData) {
-      // Use token from Supabase
-      this.tokenExpiresAt = tokenData.expires_at;
-      config.clio.accessToken = tokenData.access_token;
-      process.env.CLIO_ACCESS_TOKEN = tokenData.access_token;
-      console.log('✅ Token loaded from Supabase and saved to memory');
+    if (this._hasToken(row)) {
+      this._applyToken(row, 'store');
+      console.log('✅ Token loaded from Supabase');
+
+      if (!row.refresh_token && config.clio.refreshToken) {
+        await this._seedStore({ refresh_token: config.clio.refreshToken });
+      }
     } else {
       // Fallback to env var token (local dev or first run)
       console.log('📝 Using token from environment variables');
 
       // Assume token expires in 7 days if we don't have expiry data
-      if (!this.tokenExpiresAt) {
-        const sevenDaysFromNow = new Date();
-        sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
-        this.tokenExpiresAt = sevenDaysFromNow;
-
-        // Save to Supabase for future restarts
-        if (config.clio.accessToken) {
-          await this._updateTokenInSupabase(config.clio.accessToken, this.tokenExpiresAt);
-        }
+      const sevenDaysFromNow = new Date();
+      sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
+      this.tokenExpiresAt = sevenDaysFromNow;
+      this.tokenLoadedAt = Date.now();
+
+      // Save to Supabase so every instance (and future restarts) use the store
+      if (row && config.clio.accessToken) {
+        await this._seedStore({
+          access_token: config.clio.accessToken,
+          expires_at: sevenDaysFromNow.toISOString(),
+          ...(config.clio.refreshToken ? { refresh_token: config.clio.refreshToken } : {}),
+        });
       }
     }
 
@@ -151,6 +214,28 @@ export class TokenRefreshService {
     console.log(`⏰ Time remaining: ${this.getTimeUntilExpiry()}`);
   }
 
+  /**
+   * Store environment tokens in a row that doesn't have them yet
+   * @private
+   */
+  static async _seedStore(values) {
+    try {
+      const query = this._initSupabase()
+        .from('clio_tokens')
+        .update(values)
+        .eq('id', 1);
+      const { error } = values.access_token
+        ? await query.or(`access_token.eq.${PLACEHOLDER_TOKEN},access_token.is.null`)
+        : await query.is('refresh_token', null);
+
+      if (error) throw error;
+      console.log(`💾 Stored ${Object.keys(values).join(', ')} from environment in Supabase`);
+    } catch (error) {
+      // refresh_token column missing until migration 023
+      console.error('⚠️  Failed to seed token store:', error.message);
+    }
+  }
+
   /**
    * Check if token expires within the specified hours
    * @param {number} hours - Number of hours to check ahead (default: 24)
@@ -193,137 +278,357 @@ export class TokenRefreshService {
   }
 
   /**
-   * Refresh the CLIO access token using the refresh token
-   * @returns {Promise<Object>} - New token data
+   * Refresh the CLIO access token, coordinated across instances
+   *
+   * Concurrent calls in this process share one refresh. If the store already
+   * holds a different token than the one being replaced (another instance
+   * refreshed it), that token is used without calling Clio.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.failedToken] - Token being replaced (default: the current one)
+   * @returns {Promise<Object>} { access_token, expires_at, refreshed }
    */
-  static async refreshAccessToken() {
-    // Prevent concurrent refresh attempts
-    if (this.isRefreshing) {
+  static async refreshAccessToken({ failedToken = config.clio.accessToken } = {}) {
+    if (this.refreshPromise) {
       console.log('⏳ Token refresh already in progress, waiting...');
       return this.refreshPromise;
     }
 
-    this.isRefreshing = true;
-    this.refreshPromise = this._performRefresh();
+    this.refreshPromise = this._coordinatedRefresh(failedToken);
 
     try {
-      const result = await this.refreshPromise;
-      return result;
+      return await this.refreshPromise;
     } finally {
-      this.isRefreshing = false;
       this.refreshPromise = null;
     }
   }
 
   /**
-   * Internal method to perform the actual token refresh
+   * Take the refresh lease (or wait for the instance holding it) and refresh
    * @private
    */
-  static async _performRefresh() {
-    console.log('🔄 Refreshing CLIO access token...');
+  static async _coordinatedRefresh(failedToken) {
+    if (!this._initSupabase()) {
+      console.warn('⚠️  Supabase not configured, refreshing without coordination');
+      return this._refresh(null, config.clio.refreshToken);
+    }
 
-    try {
-      // Validate required credentials
-      if (!config.clio.refreshToken) {
-        throw new Error('CLIO_REFRESH_TOKEN not configured');
-      }
-      if (!config.clio.clientId) {
-        throw new Error('CLIO_CLIENT_ID not configured');
+    // A crashed holder's lease lapses after tokenLeaseSeconds - wait a little longer than that
+    const waitUntil = Date.now() + config.clio.tokenLeaseSeconds * 2000;
+
+    await this._flushUnsavedToken();
+
+    while (true) {
+      const row = await this._readStore();
+
+      if (this._hasToken(row) && row.access_token !== failedToken && !this.unsavedToken) {
+        console.log('✅ Token was already refreshed by another instance');
+        this._applyToken(row, 'store');
+        return { access_token: row.access_token, expires_at: new Date(row.expires_at), refreshed: false };
       }
-      if (!config.clio.clientSecret) {
-        throw new Error('CLIO_CLIENT_SECRET not configured');
+
+      if (row?.refresh_token_revoked_at) {
+        throw new Error(`Clio refresh token was revoked at ${row.refresh_token_revoked_at} - store a new one in clio_tokens`);
       }
 
-      // Call CLIO token refresh endpoint
-      const response = await axios.post(
-        `${config.clio.apiBaseUrl}/oauth/token`,
-        new URLSearchParams({
-          client_id: config.clio.clientId,
-          client_secret: config.clio.clientSecret,
-          grant_type: 'refresh_token',
-          refresh_token: config.clio.refreshToken,
-        }),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
+      const lease = await this._claimLease();
+      if (lease === false) {
+        // Lease columns missing until migration 023
+        console.warn('⚠️  clio_tokens lease columns do not exist yet, refreshing without coordination');
+        return this._refresh(row, this._refreshTokenFor(row));
+      }
+      if (lease) {
+        // Someone may have finished a refresh between our read and the claim
+        if (this._hasToken(lease) && lease.access_token !== failedToken && !this.unsavedToken) {
+          await this._releaseLease();
+          this._applyToken(lease, 'store');
+          return { access_token: lease.access_token, expires_at: new Date(lease.expires_at), refreshed: false };
         }
-      );
-
-      const { access_token, expires_in } = response.data;
+        return this._refresh(lease, this._refreshTokenFor(lease));
+      }
 
-      console.log('✅ Token refreshed successfully');
-      console.log(`   Expires in: ${expires_in} seconds (${Math.floor(expires_in / 86400)} days)`);
+      if (Date.now() > waitUntil) {
+        throw new Error(`Timed out waiting for ${row?.refresh_lease_owner || 'another instance'} to refresh the Clio token`);
+      }
 
-      // Calculate new expiration time
-      const expiresAt = new Date();
-      expiresAt.setSeconds(expiresAt.getSeconds() + expires_in);
-      this.tokenExpiresAt = expiresAt;
+      console.log(`⏳ ${row?.refresh_lease_owner || 'Another instance'} is refreshing the Clio token, waiting...`);
+      await sleep(this.LEASE_POLL_MS);
+    }
+  }
 
-      console.log(`   New expiry: ${expiresAt.toISOString()}`);
+  /**
+   * Refresh token to spend: the store's, unless Clio rotated it and the new
+   * one hasn't reached the store yet
+   * @private
+   */
+  static _refreshTokenFor(row) {
+    if (this.unsavedToken) return config.clio.refreshToken;
+    return row?.refresh_token || config.clio.refreshToken;
+  }
 
-      // Update token in memory (config object)
-      config.clio.accessToken = access_token;
+  /**
+   * Claim the refresh lease if nobody holds it (or the holder's lease lapsed)
+   * @returns {Promise<Object|null|false>} Row with the lease, null if held elsewhere, false if unsupported
+   * @private
+   */
+  static async _claimLease() {
+    const now = new Date().toISOString();
+    const { data, error } = await this._initSupabase()
+      .from('clio_tokens')
+      .update({
+        refresh_lease_owner: config.instanceId,
+        refresh_lease_expires_at: new Date(Date.now() + config.clio.tokenLeaseSeconds * 1000).toISOString(),
+      })
+      .eq('id', 1)
+      .or(`refresh_lease_expires_at.is.null,refresh_lease_expires_at.lt.${now}`)
+      .select();
+
+    if (error) {
+      if (error.code === '42703') return false;
+      throw error;
+    }
+    return data?.[0] || null;
+  }
 
-      // Update environment variable in process
-      process.env.CLIO_ACCESS_TOKEN = access_token;
+  /**
+   * Give the refresh lease back (without refreshing)
+   * @private
+   */
+  static async _releaseLease(updates = {}) {
+    try {
+      const { error } = await this._initSupabase()
+        .from('clio_tokens')
+        .update({ refresh_lease_owner: null, refresh_lease_expires_at: null, ...updates })
+        .eq('id', 1)
+        .eq('refresh_lease_owner', config.instanceId);
 
-      // Persist to Supabase (primary storage for production)
-      await this._updateTokenInSupabase(access_token, expiresAt);
+      if (error) throw error;
+    } catch (error) {
+      console.error('⚠️  Failed to release token refresh lease:', error.message);
+    }
+  }
 
-      // Also persist to .env file (fallback for local dev)
-      await this._updateEnvFile(access_token);
+  /**
+   * Call Clio with the refresh token and store the new token (releasing the lease)
+   * @param {Object|null} row - clio_tokens row (null when there is no store)
+   * @param {string} refreshToken
+   * @private
+   */
+  static async _refresh(row, refreshToken) {
+    console.log('🔄 Refreshing CLIO access token...');
 
-      return {
-        access_token,
-        expires_in,
-        expires_at: expiresAt,
-      };
+    let tokenData;
+    try {
+      tokenData = await this._requestToken(refreshToken);
     } catch (error) {
       console.error('❌ Token refresh failed:', error.message);
       if (error.response) {
         console.error('   Status:', error.response.status);
         console.error('   Data:', JSON.stringify(error.response.data, null, 2));
       }
+      await this._recordFailure(error, row);
       throw error;
     }
+
+    const { access_token, expires_in } = tokenData;
+    const expiresAt = new Date(Date.now() + expires_in * 1000);
+
+    console.log('✅ Token refreshed successfully');
+    console.log(`   Expires in: ${expires_in} seconds (${Math.floor(expires_in / 86400)} days)`);
+    console.log(`   New expiry: ${expiresAt.toISOString()}`);
+
+    // Clio may rotate the refresh token - the old one stops working now
+    config.clio.refreshToken = tokenData.refresh_token || refreshToken;
+
+    const stored = {
+      access_token,
+      expires_at: expiresAt.toISOString(),
+      last_refreshed_at: new Date().toISOString(),
+    };
+    this._applyToken(stored, 'refresh');
+
+    if (row) {
+      const leaseColumns = 'refresh_lease_owner' in row;
+      await this._storeToken({
+        ...stored,
+        ...(leaseColumns ? {
+          refresh_token: config.clio.refreshToken,
+          last_refresh_error: null,
+          refresh_token_revoked_at: null,
+        } : {}),
+      }, { releaseLease: leaseColumns });
+    }
+
+    return {
+      access_token,
+      expires_in,
+      expires_at: expiresAt,
+      refreshed: true,
+    };
   }
 
   /**
-   * Update the .env file with new access token
-   * @param {string} newAccessToken - The new access token
+   * Write a refreshed token to the store, retrying a few times
+   *
+   * If every try fails the token stays in memory only (this instance keeps
+   * working), an alert is raised and the next sync stores it. The lease is
+   * left to lapse rather than released, so other instances wait instead of
+   * spending a refresh token Clio may have rotated.
+   * @param {Object} values - clio_tokens columns to write
+   * @param {Object} [options]
+   * @param {boolean} [options.releaseLease=false] - Also release the refresh lease
+   * @returns {Promise<boolean>} Whether the token was stored
    * @private
    */
-  static async _updateEnvFile(newAccessToken) {
-    try {
-      const envPath = path.resolve(__dirname, '../../.env');
+  static async _storeToken(values, { releaseLease = false } = {}) {
+    let lastError = null;
 
-      // Check if .env file exists
+    for (let attempt = 1; attempt <= this.STORE_ATTEMPTS; attempt++) {
       try {
-        await fs.access(envPath);
-      } catch {
-        console.log('⚠️  .env file not found, skipping file update');
-        return;
+        await this._writeToken(releaseLease ? { ...values, refresh_lease_owner: null, refresh_lease_expires_at: null } : values);
+        this.unsavedToken = null;
+        console.log('💾 Updated token in Supabase');
+        return true;
+      } catch (error) {
+        lastError = error;
+        console.error(`⚠️  Failed to update token in Supabase (attempt ${attempt}/${this.STORE_ATTEMPTS}):`, error.message);
+        if (attempt < this.STORE_ATTEMPTS) await sleep(this.STORE_RETRY_MS * attempt);
       }
+    }
 
-      // Read current .env file
-      let envContent = await fs.readFile(envPath, 'utf-8');
+    this.unsavedToken = values;
+    await this._alert(false, `refreshed token could not be stored, kept in memory: ${lastError.message}`, { unsaved: true });
+    return false;
+  }
 
-      // Replace the access token (handle both quoted and unquoted values)
-      const tokenRegex = /CLIO_ACCESS_TOKEN=.*/;
-      if (tokenRegex.test(envContent)) {
-        envContent = envContent.replace(tokenRegex, `CLIO_ACCESS_TOKEN=${newAccessToken}`);
-      } else {
-        // If token line doesn't exist, append it
-        envContent += `\nCLIO_ACCESS_TOKEN=${newAccessToken}\n`;
-      }
+  /**
+   * Store a token that couldn't be stored after its refresh (one try)
+   * @private
+   */
+  static async _flushUnsavedToken() {
+    if (!this.unsavedToken) return;
 
-      // Write updated content back to .env
-      await fs.writeFile(envPath, envContent, 'utf-8');
-      console.log('💾 Updated .env file with new access token');
+    try {
+      await this._writeToken(this.unsavedToken);
+      this.unsavedToken = null;
+      console.log('💾 Stored the previously unsaved token in Supabase');
     } catch (error) {
-      console.error('⚠️  Failed to update .env file:', error.message);
-      // Don't throw - token is already updated in memory
+      console.error('⚠️  Token still not stored in Supabase:', error.message);
+    }
+  }
+
+  /**
+   * Update the clio_tokens row
+   * @private
+   */
+  static async _writeToken(values) {
+    const { error } = await this._initSupabase()
+      .from('clio_tokens')
+      .update(values)
+      .eq('id', 1);
+
+    if (error) throw error;
+  }
+
+  /**
+   * POST the refresh token to Clio
+   * @returns {Promise<Object>} { access_token, expires_in, refresh_token? }
+   * @private
+   */
+  static async _requestToken(refreshToken) {
+    // Validate required credentials
+    if (!refreshToken) {
+      throw new Error('CLIO_REFRESH_TOKEN not configured');
+    }
+    if (!config.clio.clientId) {
+      throw new Error('CLIO_CLIENT_ID not configured');
+    }
+    if (!config.clio.clientSecret) {
+      throw new Error('CLIO_CLIENT_SECRET not configured');
+    }
+
+    const response = await axios.post(
+      `${config.clio.apiBaseUrl}/oauth/token`,
+      new URLSearchParams({
+        client_id: config.clio.clientId,
+        client_secret: config.clio.clientSecret,
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+      }
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Whether Clio rejected the refresh token itself (revoked or expired)
+   * @private
+   */
+  static _isRevoked(error) {
+    return [400, 401].includes(error.response?.status) && error.response?.data?.error === 'invalid_grant';
+  }
+
+  /**
+   * Record a failed refresh in the store, release the lease and raise an alert
+   * @private
+   */
+  static async _recordFailure(error, row) {
+    const revoked = this._isRevoked(error);
+    const message = error.response?.data?.error_description || error.response?.data?.error || error.message;
+
+    if (row && 'refresh_lease_owner' in row) {
+      const now = new Date().toISOString();
+      await this._releaseLease({
+        last_refresh_error: message,
+        last_refresh_failed_at: now,
+        ...(revoked ? { refresh_token_revoked_at: now } : {}),
+      });
+    }
+
+    await this._alert(revoked, message, { status: error.response?.status || null });
+  }
+
+  /**
+   * Alert trace + error log for a failed refresh
+   * @private
+   */
+  static async _alert(revoked, message, details = {}) {
+    const triggerName = revoked ? 'clio-refresh-token-revoked' : 'clio-token-refresh-failed';
+    const errorMessage = revoked ? `Clio refresh token revoked: ${message}` : `Clio token refresh failed: ${message}`;
+
+    try {
+      const traceId = await EventTracker.startTrace({
+        source: 'job',
+        triggerName,
+        jobName: 'token-refresh',
+        input: { instanceId: config.instanceId },
+        metadata: { revoked, ...details },
+      });
+      const stepId = await EventTracker.startStep(traceId, {
+        layerName: 'service',
+        stepName: 'refresh_clio_token',
+        input: { instanceId: config.instanceId, tokenExpiresAt: this.tokenExpiresAt?.toISOString() || null },
+      });
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage, output: { revoked, ...details } });
+      await EventTracker.endTrace(traceId, {
+        status: 'error',
+        errorMessage,
+        resultAction: revoked ? 'refresh_token_revoked' : 'refresh_failed',
+        metadata: { revoked, ...details },
+      });
+
+      await SupabaseService.logError(
+        revoked ? ERROR_CODES.CLIO_REFRESH_TOKEN_REVOKED : ERROR_CODES.CLIO_TOKEN_REFRESH_FAILED,
+        errorMessage,
+        { instance_id: config.instanceId, trace_id: traceId, ...details }
+      );
+    } catch (alertError) {
+      console.error('⚠️  Failed to record token refresh alert:', alertError.message);
     }
   }
 
@@ -332,6 +637,9 @@ export class TokenRefreshService {
    * Called by scheduled job and can be called manually
    */
   static async checkAndRefresh() {
+    // Another instance may have refreshed since we last looked
+    await this.syncFromStore();
+
     console.log('\n🔍 Checking token expiration status...');
     console.log(`   Current time: ${new Date().toISOString()}`);
     console.log(`   Token expires: ${this.tokenExpiresAt?.toISOString() || 'Unknown'}`);
@@ -339,8 +647,8 @@ export class TokenRefreshService {
 
     if (this.needsRefresh(24)) {
       console.log('⚠️  Token expires within 24 hours, refreshing now...');
-      await this.refreshAccessToken();
-      return true;
+      const result = await this.refreshAccessToken();
+      return result.refreshed;
     } else {
       console.log('✅ Token is still valid, no refresh needed');
       return false;
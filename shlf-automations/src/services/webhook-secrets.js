@@ -0,0 +1,349 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { SupabaseService } from './supabase.js';
+import { ClioService } from './clio.js';
+import { EventTracker } from './event-tracker.js';
+import { ERROR_CODES } from '../constants/error-codes.js';
+import { metrics } from '../utils/metrics.js';
+
+// Rejection reason → error code
+const REJECTION_CODES = {
+  missing_signature: ERROR_CODES.WEBHOOK_MISSING_SIGNATURE,
+  invalid_signature: ERROR_CODES.WEBHOOK_INVALID_SIGNATURE,
+  no_secret: ERROR_CODES.WEBHOOK_SECRET_MISSING,
+  replay: ERROR_CODES.WEBHOOK_REPLAY_REJECTED,
+  activation_unverified: ERROR_CODES.WEBHOOK_ACTIVATION_REJECTED,
+};
+
+const pathOf = (url) => {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Webhook Secret Service
+ *
+ * Each Clio webhook subscription signs its deliveries (HMAC-SHA256 of the raw
+ * body) with its own secret, which Clio hands over once in the activation
+ * handshake (X-Hook-Secret). Secrets are stored per endpoint in
+ * `webhook_secrets` (migration 024):
+ * - activate(): stores a new subscription's secret once Clio confirms the
+ *   subscription exists; the endpoint's previous secret keeps validating for
+ *   WEBHOOK_SECRET_OVERLAP_SECONDS (rotation)
+ * - verifySignature(): checks a delivery against the endpoint's secrets
+ * - checkTimestamp(): replay protection on the (signed) payload timestamp
+ * - recordDelivery(): replay protection for payloads the timestamp can't
+ *   bound (none, or outside the window), by a hash of the signed body
+ *   (`webhook_deliveries`, migration 026)
+ * - deadLetter(): keeps a late delivery for review and replay instead of losing it
+ * - reject(): counts, traces and logs a rejected request
+ *
+ * A flood of bad requests can't flood the store: a cache miss re-reads the
+ * endpoint's secrets at most every RELOAD_INTERVAL_MS, and rejections are
+ * traced and logged at most once per endpoint and reason per
+ * WEBHOOK_REJECTION_LOG_INTERVAL_SECONDS (metrics still count every one).
+ */
+export class WebhookSecretService {
+  // endpoint → { secrets, loadedAt }
+  static cache = new Map();
+
+  // endpoint → when a signature miss last re-read the store
+  static lastReloadAt = new Map();
+  static RELOAD_INTERVAL_MS = 5000;
+
+  // `${endpoint}:${reason}` → { recordedAt, suppressed } of the last traced rejection
+  static rejectionLog = new Map();
+
+  // Counters since start (exposed on /webhooks/health)
+  static stats = { verified: 0, unverified: 0, duplicates: 0, rejected: {} };
+
+  /**
+   * Usable secrets for an endpoint (cached for WEBHOOK_SECRET_CACHE_SECONDS)
+   * @param {string} endpoint - e.g. /webhooks/matters
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh=false] - Bypass the cache
+   */
+  static async getSecrets(endpoint, { fresh = false } = {}) {
+    const cached = this.cache.get(endpoint);
+    if (!fresh && cached && Date.now() - cached.loadedAt < config.webhooks.secretCacheSeconds * 1000) {
+      return cached.secrets;
+    }
+
+    const secrets = await SupabaseService.getWebhookSecrets(endpoint);
+    this.cache.set(endpoint, { secrets, loadedAt: Date.now() });
+    return secrets;
+  }
+
+  /**
+   * HMAC-SHA256 signature of a payload (hex)
+   */
+  static sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  /**
+   * Check a delivery's signature against the endpoint's secrets
+   *
+   * A cached miss is re-checked against the store (at most every
+   * RELOAD_INTERVAL_MS per endpoint), in case another instance activated a
+   * new subscription since the cache was filled.
+   *
+   * @param {string} endpoint
+   * @param {string} payload - Raw request body
+   * @param {string} signature - Hex signature from the request
+   * @returns {Promise<Object>} { status: 'valid' | 'invalid' | 'no_secret', secretId }
+   */
+  static async verifySignature(endpoint, payload, signature) {
+    let secrets = await this.getSecrets(endpoint);
+    let match = this._findMatch(secrets, payload, signature);
+
+    if (!match && Date.now() - (this.lastReloadAt.get(endpoint) || 0) >= this.RELOAD_INTERVAL_MS) {
+      this.lastReloadAt.set(endpoint, Date.now());
+      secrets = await this.getSecrets(endpoint, { fresh: true });
+      match = this._findMatch(secrets, payload, signature);
+    }
+
+    if (match) return { status: 'valid', secretId: match.id, secretStatus: match.status };
+    return { status: secrets.length === 0 ? 'no_secret' : 'invalid', secretId: null };
+  }
+
+  /**
+   * Secret the signature was made with, if any (constant-time comparison)
+   */
+  static _findMatch(secrets, payload, signature) {
+    const received = Buffer.from(String(signature).replace(/^sha256=/, ''));
+    return secrets.find(secret => {
+      const expected = Buffer.from(this.sign(secret.secret, payload));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }) || null;
+  }
+
+  /**
+   * When the event happened, from the signed payload
+   * @returns {Date|null}
+   */
+  static payloadTimestamp(webhookData) {
+    const value = webhookData?.occurred_at
+      || webhookData?.meta?.occurred_at
+      || webhookData?.data?.deleted_at
+      || webhookData?.data?.updated_at
+      || webhookData?.data?.created_at;
+    const timestamp = value ? new Date(value) : null;
+    return timestamp && !isNaN(timestamp) ? timestamp : null;
+  }
+
+  /**
+   * Replay protection: reject payloads further than WEBHOOK_REPLAY_TOLERANCE_SECONDS from now
+   * Payloads without a timestamp pass here (see recordDelivery).
+   * @returns {Object} { valid, timestamp, skewSeconds }
+   */
+  static checkTimestamp(webhookData, now = Date.now()) {
+    const timestamp = this.payloadTimestamp(webhookData);
+    if (!timestamp) return { valid: true, timestamp: null, skewSeconds: null };
+
+    const skewSeconds = Math.round((now - timestamp.getTime()) / 1000);
+    return {
+      valid: Math.abs(skewSeconds) <= config.webhooks.replayToleranceSeconds,
+      timestamp: timestamp.toISOString(),
+      skewSeconds,
+    };
+  }
+
+  /**
+   * Record a signed delivery, so the same payload is only processed once
+   * @param {string} endpoint
+   * @param {string} payload - Raw request body
+   * @returns {Promise<string>} 'new' | 'duplicate' | 'untracked' (table missing)
+   */
+  static async recordDelivery(endpoint, payload) {
+    const deliveryHash = crypto.createHash('sha256').update(payload).digest('hex');
+    const recorded = await SupabaseService.recordWebhookDelivery(endpoint, deliveryHash);
+    if (recorded === false) {
+      this.stats.duplicates++;
+      return 'duplicate';
+    }
+    return recorded ? 'new' : 'untracked';
+  }
+
+  /**
+   * Keep a correctly signed delivery that arrived outside the replay window
+   *
+   * It may be a late redelivery from Clio or a replay, so it isn't processed:
+   * it is stored as a dead letter (replayable via /admin/dead-letters) and
+   * acknowledged with 202 so Clio stops retrying. Falls back to reject() if
+   * the dead letter can't be stored.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} delivery
+   * @param {string} delivery.endpoint
+   * @param {Object} delivery.timestamp - checkTimestamp() result
+   */
+  static async deadLetter(req, res, { endpoint, timestamp }) {
+    const webhookData = req.body || {};
+    const message = `Webhook timestamp ${timestamp.timestamp} is outside the replay tolerance`;
+    const details = { timestamp: timestamp.timestamp, skew_seconds: timestamp.skewSeconds };
+
+    let deadLetter;
+    try {
+      deadLetter = await SupabaseService.insertDeadLetter({
+        // Route endpoint, as the webhook queue registers handlers (e.g. /matters)
+        endpoint: req.path.replace(/\/+$/, ''),
+        webhook_id: webhookData.id ? String(webhookData.id) : null,
+        resource_id: webhookData.data?.id ? String(webhookData.data.id) : null,
+        payload: webhookData,
+        error_message: message,
+        error_code: ERROR_CODES.WEBHOOK_REPLAY_REJECTED,
+        attempts: 0,
+      });
+    } catch (error) {
+      console.error(`🔐 [WEBHOOK-SECRETS] Could not dead-letter late delivery to ${endpoint}: ${error.message}`);
+      return this.reject(req, res, { endpoint, reason: 'replay', message, details });
+    }
+
+    this._count(endpoint, 'replay');
+    console.warn(`🔐 [WEBHOOK-SECRETS] ${endpoint}: ${message} - stored as dead letter #${deadLetter.id}`);
+    await SupabaseService.logError(ERROR_CODES.WEBHOOK_REPLAY_REJECTED, `${message}; stored as dead letter`, {
+      endpoint,
+      dead_letter_id: deadLetter.id,
+      source_ip: req.ip,
+      resource_id: webhookData.data?.id,
+      ...details,
+    });
+
+    return res.status(202).json({ success: true, action: 'dead_lettered', deadLetterId: deadLetter.id });
+  }
+
+  /**
+   * Store the secret from an activation handshake
+   *
+   * The X-Hook-Secret header alone proves nothing - anyone can send one. The
+   * activation is only accepted if Clio lists a pending/enabled subscription
+   * for this endpoint (with this secret, when Clio returns secrets).
+   *
+   * @param {string} endpoint
+   * @param {string} secret - X-Hook-Secret
+   * @param {Object} [ctx] - Optional tracking context
+   * @returns {Promise<Object>} { activated, stored, webhookId, secretId } or { activated: false, reason }
+   */
+  static async activate(endpoint, secret, ctx = null) {
+    const webhooks = await ClioService.getWebhooks({ withSecrets: true }, ctx);
+    const candidates = webhooks
+      .filter(webhook => pathOf(webhook.url) === endpoint && ['pending', 'enabled'].includes(webhook.status))
+      .sort((a, b) => (a.status === 'pending' ? -1 : 0) - (b.status === 'pending' ? -1 : 0));
+
+    const secretsReturned = candidates.some(webhook => webhook.shared_secret !== undefined);
+    const webhook = secretsReturned
+      ? candidates.find(candidate => candidate.shared_secret === secret)
+      : candidates.find(candidate => candidate.status === 'pending');
+
+    if (!webhook) {
+      return { activated: false, reason: secretsReturned ? 'secret_mismatch' : 'no_pending_subscription' };
+    }
+
+    const retireAt = new Date(Date.now() + config.webhooks.secretOverlapSeconds * 1000).toISOString();
+    const row = await SupabaseService.insertWebhookSecret({ endpoint, webhook_id: webhook.id, secret }, retireAt, ctx);
+    this.cache.delete(endpoint);
+
+    if (!row) {
+      console.warn(`⚠️  [WEBHOOK-SECRETS] ${endpoint} activated but the secret was not stored (run migration 024)`);
+    }
+    return { activated: true, stored: !!row, webhookId: webhook.id, secretId: row?.id || null };
+  }
+
+  /**
+   * Record a delivery that passed validation (or had nothing to validate against)
+   */
+  static recordAccepted(verified) {
+    this.stats[verified ? 'verified' : 'unverified']++;
+  }
+
+  /**
+   * Reject a webhook request: count it, trace it, log it and send the response
+   * Repeats within the log interval are only counted; the next trace carries
+   * how many were skipped.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} rejection
+   * @param {string} rejection.endpoint
+   * @param {string} rejection.reason - missing_signature | invalid_signature | no_secret | replay | activation_unverified
+   * @param {string} rejection.message
+   * @param {number} [rejection.status=401]
+   * @param {Object} [rejection.details] - Extra context (never secrets or expected signatures)
+   */
+  static async reject(req, res, { endpoint, reason, message, status = 401, details = {} }) {
+    this._count(endpoint, reason);
+
+    const key = `${endpoint}:${reason}`;
+    const last = this.rejectionLog.get(key);
+    if (last && Date.now() - last.recordedAt < config.webhooks.rejectionLogIntervalSeconds * 1000) {
+      last.suppressed++;
+      return res.status(status).json({ success: false, error: message });
+    }
+    this.rejectionLog.set(key, { recordedAt: Date.now(), suppressed: 0 });
+
+    console.error(`🔐 [WEBHOOK-SECRETS] Rejected ${endpoint}: ${message}`);
+
+    const webhookData = req.body || {};
+    const context = {
+      endpoint,
+      reason,
+      source_ip: req.ip,
+      resource_id: webhookData.data?.id,
+      event: webhookData.meta?.event,
+      user_agent: req.headers['user-agent'],
+      ...(last?.suppressed ? { suppressed_since_last: last.suppressed } : {}),
+      ...details,
+    };
+
+    try {
+      const traceId = await EventTracker.startTrace({
+        source: 'webhook',
+        triggerName: 'webhook-rejected',
+        endpoint,
+        webhookId: webhookData.id,
+        input: context,
+        metadata: { reason },
+      });
+      const stepId = await EventTracker.startStep(traceId, {
+        layerName: 'webhook',
+        stepName: 'validate_webhook',
+        input: context,
+      });
+      await EventTracker.endStep(stepId, { status: 'error', errorMessage: message });
+      await EventTracker.endTrace(traceId, { status: 'error', errorMessage: message, resultAction: `rejected_${reason}` });
+
+      await SupabaseService.logError(REJECTION_CODES[reason], message, { ...context, trace_id: traceId });
+    } catch (error) {
+      console.error(`[WEBHOOK-SECRETS] Failed to record rejection: ${error.message}`);
+    }
+
+    return res.status(status).json({ success: false, error: message });
+  }
+
+  /**
+   * Count a delivery that was not processed
+   */
+  static _count(endpoint, reason) {
+    const byEndpoint = this.stats.rejected[endpoint] || (this.stats.rejected[endpoint] = {});
+    byEndpoint[reason] = (byEndpoint[reason] || 0) + 1;
+    metrics.webhooksRejected.inc({ endpoint, reason });
+  }
+
+  /**
+   * Validation counters since start
+   * @returns {Object} { verified, unverified, duplicates, rejected: { endpoint: { reason: count } } }
+   */
+  static getStats() {
+    return {
+      verified: this.stats.verified,
+      unverified: this.stats.unverified,
+      duplicates: this.stats.duplicates,
+      rejected: Object.fromEntries(Object.entries(this.stats.rejected).map(([endpoint, reasons]) => [endpoint, { ...reasons }])),
+    };
+  }
+}
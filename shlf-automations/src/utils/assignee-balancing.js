@@ -0,0 +1,93 @@
+/**
+ * Assignee Balancing
+ *
+ * Pure helpers for the `assignee_balancing_rules` / `assignee_pool_members`
+ * tables (migration 019). Given a pool and each member's open task count,
+ * rankCandidates() picks who gets the next task. Members on leave are the
+ * ones with an active `assignee_delegations` row (migration 020).
+ */
+
+import { findDelegate } from './delegation.js';
+
+export const BALANCING_STRATEGIES = ['least_loaded', 'weighted'];
+
+/**
+ * Normalize an assignee type for rule lookups ('FUND TABLE' → 'FUND_TABLE')
+ * @param {string} assigneeType
+ * @returns {string}
+ */
+export function normalizeAssigneeType(assigneeType) {
+  return assigneeType?.toString().toUpperCase().trim().replace(/\s+/g, '_') || '';
+}
+
+/**
+ * Whether a pool member serves a scope (location or attorney ID)
+ * NULL member scopes serve everything; otherwise the scope must contain the
+ * member's scope as a whole word ("naples" matches "123 Main St, Naples, FL").
+ *
+ * @param {Object} member - assignee_pool_members row
+ * @param {string|number|null} scope
+ * @returns {boolean}
+ */
+export function matchesScope(member, scope) {
+  const memberScope = member.scope?.toString().trim();
+  if (!memberScope) return true;
+  if (scope === null || scope === undefined) return false;
+
+  const escaped = memberScope.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`, 'i').test(String(scope));
+}
+
+/**
+ * Rank a pool and pick the next assignee
+ *
+ * @param {Array<Object>} members - Pool (assignee_pool_members rows; user_id, user_name, weight)
+ * @param {Map<number, number>} openCounts - Open tasks per user ID
+ * @param {Object} options
+ * @param {string} options.strategy - least_loaded | weighted
+ * @param {string} options.date - Office date (yyyy-MM-dd)
+ * @param {Array<Object>} [options.delegations] - assignee_delegations rows; members with an active one are skipped
+ * @param {Object} [options.defaultAssignee] - The usual lookup's assignee ({id}), preferred on ties
+ * @param {Array<number>} [options.matterAssigneeIds] - Members already working the matter, in order of
+ *   preference; the first eligible one is chosen over the ranking
+ * @returns {Object} { chosen, reason, candidates } - chosen is a member (null if nobody is eligible);
+ *   reason: balanced | matter_assignee | all_out_of_office | empty_pool
+ */
+export function rankCandidates(members, openCounts, { strategy, date, delegations = [], defaultAssignee = null, matterAssigneeIds = [] }) {
+  const candidates = members.map((member) => {
+    const userId = Number(member.user_id);
+    const openTasks = openCounts.get(userId) || 0;
+    const weight = strategy === 'weighted' ? Number(member.weight) || 1 : 1;
+    const leave = findDelegate(delegations, userId, date);
+
+    return {
+      user_id: userId,
+      user_name: member.user_name,
+      open_tasks: openTasks,
+      weight,
+      score: Math.round((openTasks / weight) * 100) / 100,
+      eligible: !leave,
+      ...(leave && { excluded: 'out_of_office', delegate_id: leave.delegate.id }),
+    };
+  });
+
+  const isDefault = (candidate) => defaultAssignee && candidate.user_id === Number(defaultAssignee.id);
+  const eligible = candidates
+    .filter(c => c.eligible)
+    .sort((a, b) => a.score - b.score || isDefault(b) - isDefault(a) || a.user_id - b.user_id);
+
+  if (eligible.length === 0) {
+    return { chosen: null, reason: candidates.length ? 'all_out_of_office' : 'empty_pool', candidates };
+  }
+
+  // Keep a matter's tasks of one type with one member
+  const matterAssignee = matterAssigneeIds
+    .map(Number)
+    .find(userId => eligible.some(c => c.user_id === userId));
+  if (matterAssignee !== undefined) {
+    return { chosen: members.find(m => Number(m.user_id) === matterAssignee), reason: 'matter_assignee', candidates };
+  }
+
+  const chosen = members.find(m => Number(m.user_id) === eligible[0].user_id);
+  return { chosen, reason: 'balanced', candidates };
+}
@@ -1,6 +1,8 @@
 import { SupabaseService } from '../services/supabase.js';
 import { ERROR_CODES } from '../constants/error-codes.js';
 import { AssigneeError } from './assignee-error.js';
+import { AssigneeBalancerService } from '../services/assignee-balancer.js';
+import { DelegationService } from '../services/delegation.js';
 
 /**
  * Assignee Resolution Utilities
@@ -34,9 +36,27 @@ async function extractLocationKeyword(locationString) {
  * @param {string} meetingLocation - Optional meeting location (for signing meetings)
  * @param {string} lookupReference - Optional reference for lookup (e.g., "location", "attorney")
  * @param {boolean} requireMeetingLocation - If true, meeting location is required (no fallback to matter location)
+ * @param {Object} [ctx] - Optional tracking context (balancing and delegation decisions are logged to the trace)
+ * @param {Object} [options]
+ * @param {Object} [options.existingTask] - Task being updated (keeps its assignee instead of re-balancing)
  * @returns {Promise<Object>} - {id: userId, name: userName}
+ *
+ * CSC, PARALEGAL, FUND TABLE and VA lookups go through AssigneeBalancerService,
+ * which may pick another member of the type's pool (off unless configured).
+ * An assignee who is out of office is then replaced by their delegate
+ * (DelegationService; the result has `delegatedFrom`).
  */
-export async function resolveAssignee(assigneeType, matterData, meetingLocation = null, lookupReference = null, requireMeetingLocation = false) {
+export async function resolveAssignee(assigneeType, matterData, meetingLocation = null, lookupReference = null, requireMeetingLocation = false, ctx = null, { existingTask = null } = {}) {
+  const balancing = { matterData, ctx, currentAssigneeId: existingTask?.assigned_user_id ?? null };
+  const assignee = await lookupAssignee(assigneeType, matterData, meetingLocation, lookupReference, requireMeetingLocation, balancing);
+  return DelegationService.applyDelegation(assignee, { matterData, ctx });
+}
+
+/**
+ * Look up the assignee for a type (before delegation)
+ * @param {Object} balancing - { matterData, ctx, currentAssigneeId } passed on to AssigneeBalancerService
+ */
+async function lookupAssignee(assigneeType, matterData, meetingLocation, lookupReference, requireMeetingLocation, balancing) {
   const type = assigneeType?.toString().toUpperCase().trim();
 
   try {
@@ -86,11 +106,11 @@ export async function resolveAssignee(assigneeType, matterData, meetingLocation
         );
       }
 
-      return {
+      return AssigneeBalancerService.balance('CSC', {
         id: assignee.id,
         name: assignee.name,
         type: 'User',
-      };
+      }, { ...balancing, scope: location });
     }
 
     // If lookupReference is "attorney", resolve by attorney
@@ -175,11 +195,11 @@ export async function resolveAssignee(assigneeType, matterData, meetingLocation
         );
       }
 
-      return {
+      return AssigneeBalancerService.balance('CSC', {
         id: assignee.id,
         name: assignee.name,
         type: 'User',
-      };
+      }, { ...balancing, scope: location });
     }
 
     // PARALEGAL - resolve by attorney_id
@@ -203,11 +223,11 @@ export async function resolveAssignee(assigneeType, matterData, meetingLocation
         );
       }
 
-      return {
+      return AssigneeBalancerService.balance('PARALEGAL', {
         id: assignee.id,
         name: assignee.name,
         type: 'User',
-      };
+      }, { ...balancing, scope: attorneyId });
     }
 
     // FUNDING_COOR - use direct assignee_id from task template
@@ -261,20 +281,20 @@ export async function resolveAssignee(assigneeType, matterData, meetingLocation
         );
       }
 
-      return {
+      return AssigneeBalancerService.balance('FUND_TABLE', {
         id: assignee.id,
         name: assignee.name,
         type: 'User',
-      };
+      }, { ...balancing, scope: attorneyId });
     }
 
-    // VA - hardcoded to Jacqui (357379471)
+    // VA - hardcoded to Jacqui (357379471) unless a VA pool is configured
     if (type === 'VA') {
-      return {
+      return AssigneeBalancerService.balance('VA', {
         id: 357379471,
         name: 'Jacqui',
         type: 'User',
-      };
+      }, balancing);
     }
 
     // Direct numeric ID - return as-is
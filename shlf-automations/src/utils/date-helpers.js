@@ -8,19 +8,107 @@ import {
   parseISO
 } from 'date-fns';
 import { config } from '../config/index.js';
+import { isBusinessDay } from './holiday-calendar.js';
 
 /**
  * Date and Time Utility Functions
+ *
+ * Timezones are IANA names (default config.automation.timezone, 'America/New_York';
+ * per-office overrides in config.automation.officeTimezones), resolved with Intl so
+ * EST/EDT transitions are handled without a fixed offset.
+ *
+ * Due date math runs on "zoned" dates: Date objects whose local fields (getFullYear,
+ * getDate, getHours, ...) hold the wall-clock time in the target timezone. date-fns
+ * helpers (addDays, isWeekend, format) then work on office-local calendar days.
+ * Only use zoned dates for formatting and day arithmetic - not as instants.
  */
 
+const formatterCache = new Map();
+
+/**
+ * Cached Intl formatter that exposes wall-clock parts for a timezone
+ */
+const getPartsFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+};
+
+/**
+ * Resolve the timezone for an office/matter location
+ * Matches config.automation.officeTimezones keys case-insensitively against the location
+ * (e.g. "Naples" or "123 Main St, Naples, FL"); falls back to the default timezone.
+ * @param {string} [location] - Office name or matter/meeting location
+ * @returns {string} IANA timezone
+ */
+export function getOfficeTimezone(location) {
+  const normalized = location?.toString().toLowerCase();
+  if (normalized) {
+    for (const [office, timeZone] of Object.entries(config.automation.officeTimezones)) {
+      if (normalized.includes(office.toLowerCase())) {
+        return timeZone;
+      }
+    }
+  }
+  return config.automation.timezone;
+}
+
+/**
+ * UTC offset of a timezone at an instant, in minutes (e.g. -300 for EST, -240 for EDT)
+ * @param {Date} date - Instant
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export function getTimezoneOffsetMinutes(date, timeZone = config.automation.timezone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / 60000);
+}
+
 /**
- * Apply timezone offset for EST conversion
- * @param {Date|string} date
+ * Convert an instant to a zoned date (wall-clock time in the timezone)
+ * @param {Date|string} date - Instant (Date or ISO string)
+ * @param {string} [timeZone]
+ * @returns {Date} Zoned date
+ */
+export function toZonedTime(date, timeZone = config.automation.timezone) {
+  const instant = typeof date === 'string' ? parseISO(date) : date;
+  const p = getZonedParts(instant, timeZone);
+  return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, instant.getMilliseconds());
+}
+
+/**
+ * Get the current wall-clock time in a timezone (as a zoned date)
+ * @param {string} [timeZone]
  * @returns {Date}
  */
-export function applyTimezoneOffset(date) {
-  const parsedDate = typeof date === 'string' ? parseISO(date) : date;
-  return addHours(parsedDate, config.automation.timezoneOffsetHours);
+export function getZonedNow(timeZone = config.automation.timezone) {
+  return toZonedTime(new Date(), timeZone);
 }
 
 /**
@@ -36,62 +124,53 @@ export function shiftWeekendToMonday(date) {
 }
 
 /**
- * Get current date/time in EST/EDT timezone
+ * Shift weekends and holidays to the nearest business day in one direction
+ * @param {Date} date
+ * @param {number} [direction=1] - 1 = next business day, -1 = previous business day
  * @returns {Date}
  */
-export function getNowInEST() {
-  const now = new Date();
-  // Convert UTC to EST/EDT by subtracting offset
-  // EST is UTC-5, EDT is UTC-4
-  // Server is UTC, so we subtract the offset to get local Florida time
-  const estOffset = config.automation.timezoneOffsetHours;
-  return addHours(now, -estOffset);
+export function shiftToBusinessDay(date, direction = 1) {
+  let shifted = date;
+  while (!isBusinessDay(shifted)) {
+    shifted = addDays(shifted, direction);
+  }
+  return shifted;
 }
 
 /**
  * Calculate due date based on template configuration
+ * Hour/minute offsets are elapsed time from the reference instant; day offsets are
+ * calendar (or business) days in the office timezone.
  * @param {Object} taskTemplate
- * @param {Date} referenceDate
+ * @param {Date|string} referenceDate - Reference instant (now, meeting start, ...)
  * @param {string} relation - 'after creation', 'before meeting', 'after meeting', 'after task X'
- * @returns {Date}
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA timezone (see getOfficeTimezone); defaults to config.automation.timezone
+ * @returns {Date} Zoned date - pass to formatForClio()
  */
-export function calculateDueDate(taskTemplate, referenceDate = new Date(), relation = 'creation') {
-  // Convert reference date to EST/EDT if it's current time (new Date())
-  // This ensures calculations use Florida local time, not server UTC
+export function calculateDueDate(taskTemplate, referenceDate = new Date(), relation = 'creation', { timeZone = config.automation.timezone } = {}) {
+  const reference = typeof referenceDate === 'string' ? parseISO(referenceDate) : referenceDate;
   let dueDate;
-  const now = new Date();
-  const timeDiff = Math.abs(now - referenceDate);
-
-  // If referenceDate is "now" (within 1 second), use EST time
-  if (timeDiff < 1000) {
-    dueDate = getNowInEST();
-  } else {
-    dueDate = new Date(referenceDate);
-  }
 
   const value = parseInt(taskTemplate.due_date_value || taskTemplate['due_date-value-only'] || taskTemplate['due_date-value'] || 0);
   const timeRelation = taskTemplate.due_date_time_relation || taskTemplate['due_date-time-relation'] || 'days';
   const relationType = taskTemplate.due_date_relation || taskTemplate['due_date-relational'] || 'after creation';
+  // Template option: count days as business days (skip weekends and holidays)
+  const businessDays = taskTemplate.due_date_business_days === true ||
+                       taskTemplate['due_date-business-days'] === true ||
+                       timeRelation.includes('business');
+  const sign = relationType.includes('before') ? -1 : 1;
 
   // Handle different time units
   if (timeRelation.includes('hour')) {
-    if (relationType.includes('before')) {
-      dueDate = addHours(dueDate, -value);
-    } else {
-      dueDate = addHours(dueDate, value);
-    }
+    dueDate = toZonedTime(addHours(reference, sign * value), timeZone);
   } else if (timeRelation.includes('day')) {
-    if (relationType.includes('before')) {
-      dueDate = addDays(dueDate, -value);
-    } else {
-      dueDate = addDays(dueDate, value);
-    }
+    const add = businessDays ? addBusinessDays : addDays;
+    dueDate = add(toZonedTime(reference, timeZone), sign * value);
   } else if (timeRelation.includes('minute')) {
-    if (relationType.includes('before')) {
-      dueDate = addMinutes(dueDate, -value);
-    } else {
-      dueDate = addMinutes(dueDate, value);
-    }
+    dueDate = toZonedTime(addMinutes(reference, sign * value), timeZone);
+  } else {
+    dueDate = toZonedTime(reference, timeZone);
   }
 
   // Special case: "now" or 0 days
@@ -99,13 +178,14 @@ export function calculateDueDate(taskTemplate, referenceDate = new Date(), relat
     return dueDate;
   }
 
-  // Shift weekends to Monday
-  return shiftWeekendToMonday(dueDate);
+  // Shift weekends and holidays away from the reference: later for "after"
+  // offsets, earlier for "before" offsets (so the task stays ahead of the meeting)
+  return shiftToBusinessDay(dueDate, sign);
 }
 
 /**
  * Format date for Clio API
- * @param {Date} date
+ * @param {Date} date - Zoned date (from calculateDueDate, addBusinessDays, getZonedNow)
  * @returns {string}
  */
 export function formatForClio(date) {
@@ -113,12 +193,18 @@ export function formatForClio(date) {
 }
 
 /**
- * Format datetime for Clio API with time
- * @param {Date} date
- * @returns {string}
+ * Format datetime for Clio API with time (ISO 8601 with the timezone's UTC offset)
+ * @param {Date|string} date - Instant
+ * @param {string} [timeZone]
+ * @returns {string} e.g. '2026-03-09T10:00:00-04:00'
  */
-export function formatDateTimeForClio(date) {
-  return format(date, "yyyy-MM-dd'T'HH:mm:ss'Z'");
+export function formatDateTimeForClio(date, timeZone = config.automation.timezone) {
+  const instant = typeof date === 'string' ? parseISO(date) : date;
+  const offset = getTimezoneOffsetMinutes(instant, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${format(toZonedTime(instant, timeZone), "yyyy-MM-dd'T'HH:mm:ss")}${sign}${hours}:${minutes}`;
 }
 
 /**
@@ -145,20 +231,21 @@ export function getDayName(date) {
 }
 
 /**
- * Add business days (skipping weekends)
+ * Add business days (skipping weekends and holidays)
  * @param {Date} startDate
- * @param {number} days - Number of business days to add
+ * @param {number} days - Number of business days to add (negative to go back)
  * @returns {Date}
  */
 export function addBusinessDays(startDate, days) {
   let currentDate = new Date(startDate);
   let daysAdded = 0;
+  const step = days < 0 ? -1 : 1;
 
-  while (daysAdded < days) {
-    currentDate = addDays(currentDate, 1);
+  while (daysAdded < Math.abs(days)) {
+    currentDate = addDays(currentDate, step);
 
-    // Skip weekends
-    if (!isWeekend(currentDate)) {
+    // Skip weekends and holidays
+    if (isBusinessDay(currentDate)) {
       daysAdded++;
     }
   }
@@ -0,0 +1,76 @@
+/**
+ * Out-of-Office Delegation
+ *
+ * Pure helpers for the `assignee_delegations` table (migration 020).
+ */
+
+// Delegate chains longer than this are treated as a misconfiguration
+const MAX_DELEGATION_DEPTH = 5;
+
+/**
+ * Whether a delegation covers a date
+ * @param {Object} delegation - assignee_delegations row
+ * @param {string} date - Firm date (yyyy-MM-dd)
+ * @returns {boolean}
+ */
+export function isDelegationActive(delegation, date) {
+  if (delegation.active === false) return false;
+  const start = delegation.start_date?.slice(0, 10);
+  const end = delegation.end_date?.slice(0, 10);
+  return (!start || start <= date) && (!end || date <= end);
+}
+
+/**
+ * Find who covers a user on a date
+ * Follows the chain when the delegate is on leave too; stops at a loop.
+ *
+ * @param {Array<Object>} delegations - assignee_delegations rows
+ * @param {number} userId - Clio user ID
+ * @param {string} date - Firm date (yyyy-MM-dd)
+ * @returns {Object|null} { delegate: {id, name}, delegations: [ids] } or null if the user isn't on leave
+ */
+export function findDelegate(delegations, userId, date) {
+  const active = delegations.filter(d => isDelegationActive(d, date));
+  const visited = new Set([Number(userId)]);
+  const chain = [];
+  let current = Number(userId);
+
+  while (chain.length < MAX_DELEGATION_DEPTH) {
+    const delegation = active.find(d => Number(d.user_id) === current);
+    const next = delegation ? Number(delegation.delegate_user_id) : null;
+    if (!delegation || visited.has(next)) break;
+
+    chain.push(delegation);
+    visited.add(next);
+    current = next;
+  }
+
+  if (chain.length === 0) return null;
+
+  const last = chain[chain.length - 1];
+  return {
+    delegate: { id: Number(last.delegate_user_id), name: last.delegate_user_name },
+    delegations: chain.map(d => d.id),
+  };
+}
+
+/**
+ * Split delegations into leaves whose tasks should move now and leaves whose
+ * moved tasks should go back
+ *
+ * @param {Array<Object>} delegations - assignee_delegations rows
+ * @param {string} date - Firm date (yyyy-MM-dd)
+ * @returns {Object} { toReassign, toRestore }
+ */
+export function planDelegationSync(delegations, date) {
+  const toReassign = [];
+  const toRestore = [];
+
+  for (const delegation of delegations) {
+    const active = isDelegationActive(delegation, date);
+    if (active && !delegation.reassigned_at) toReassign.push(delegation);
+    else if (!active && delegation.reassigned_at && !delegation.restored_at) toRestore.push(delegation);
+  }
+
+  return { toReassign, toRestore };
+}
@@ -0,0 +1,131 @@
+/**
+ * Document Task Rule Matching
+ *
+ * Pure helpers for the `document_task_rules` table (migration 016). A rule
+ * matches a document when every condition it sets matches; NULL or empty
+ * conditions match anything. Rules are evaluated in priority order and the
+ * first match wins.
+ */
+
+/**
+ * Built-in rule used until the document_task_rules table exists
+ * (the automation's behavior before rules were configurable)
+ */
+export const DEFAULT_DOCUMENT_RULE = Object.freeze({
+  id: null,
+  name: 'Save new documents to OD (built-in)',
+  priority: 1000,
+  name_pattern: null,
+  folder_pattern: null,
+  in_root: true,
+  file_types: null,
+  practice_area_ids: null,
+  stage_ids: null,
+  create_task: true,
+  task_title: 'New Clio Drive Document Save to OD',
+  task_description: 'New document: {document_name}',
+  assignee_type: '357379471',
+  due_value: 1,
+  due_unit: 'business days',
+});
+
+/**
+ * Convert a '*' wildcard pattern to a case-insensitive regex
+ */
+const patternToRegex = (pattern) => {
+  const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+const isSet = (list) => Array.isArray(list) && list.length > 0;
+
+/**
+ * File extension of a document name, lowercase without the dot
+ * @param {string} name
+ * @param {string} [contentType] - MIME type, used when the name has no extension
+ * @returns {string|null}
+ */
+export function getFileType(name, contentType = null) {
+  const match = /\.([a-z0-9]+)$/i.exec(name || '');
+  if (match) return match[1].toLowerCase();
+
+  const subtype = contentType?.split('/')[1];
+  return subtype ? subtype.toLowerCase() : null;
+}
+
+/**
+ * Facts a rule is matched against
+ * The matter's root folder is named after its display number.
+ *
+ * @param {Object} document - Clio document (name, content_type, parent, matter)
+ * @param {Object} matter - Clio matter (display_number, practice_area, matter_stage)
+ * @returns {Object} { name, folder, inRoot, fileType, practiceAreaId, stageId, matterNumber }
+ */
+export function describeDocument(document, matter) {
+  const matterNumber = document.matter?.display_number || matter.display_number;
+  const folder = document.parent?.name || matterNumber;
+
+  return {
+    name: document.name || 'Unknown Document',
+    folder,
+    inRoot: !document.parent || document.parent.name === matterNumber,
+    fileType: getFileType(document.name, document.content_type),
+    practiceAreaId: matter.practice_area?.id ?? null,
+    stageId: matter.matter_stage?.id ?? null,
+    matterNumber,
+  };
+}
+
+/**
+ * Whether a rule's conditions all match the document
+ * @param {Object} rule - document_task_rules row
+ * @param {Object} facts - From describeDocument()
+ * @returns {boolean}
+ */
+export function matchesRule(rule, facts) {
+  if (rule.name_pattern && !patternToRegex(rule.name_pattern).test(facts.name)) return false;
+  if (rule.folder_pattern && !patternToRegex(rule.folder_pattern).test(facts.folder || '')) return false;
+  if (rule.in_root !== null && rule.in_root !== undefined && rule.in_root !== facts.inRoot) return false;
+
+  if (isSet(rule.file_types) &&
+      !rule.file_types.some(type => type.replace(/^\./, '').toLowerCase() === facts.fileType)) {
+    return false;
+  }
+  if (isSet(rule.practice_area_ids) && !rule.practice_area_ids.map(Number).includes(Number(facts.practiceAreaId))) {
+    return false;
+  }
+  if (isSet(rule.stage_ids) && !rule.stage_ids.map(Number).includes(Number(facts.stageId))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * First matching rule in evaluation order (priority, then id)
+ * @param {Array<Object>} rules
+ * @param {Object} facts - From describeDocument()
+ * @returns {Object|null}
+ */
+export function selectRule(rules, facts) {
+  const ordered = [...rules].sort((a, b) =>
+    (a.priority ?? 100) - (b.priority ?? 100) || (a.id ?? Infinity) - (b.id ?? Infinity)
+  );
+  return ordered.find(rule => matchesRule(rule, facts)) || null;
+}
+
+/**
+ * Fill {document_name}, {folder} and {matter_number} placeholders
+ * Unknown placeholders are left as-is.
+ * @param {string} text
+ * @param {Object} facts - From describeDocument()
+ * @returns {string}
+ */
+export function renderRuleText(text, facts) {
+  const values = {
+    document_name: facts.name,
+    folder: facts.folder,
+    matter_number: facts.matterNumber,
+  };
+  return (text || '').replace(/\{(\w+)\}/g, (placeholder, key) => values[key] ?? placeholder);
+}
@@ -0,0 +1,233 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { ClioService } from '../services/clio.js';
+import { SupabaseService } from '../services/supabase.js';
+import { TaskVerificationService } from '../services/task-verification.js';
+
+/**
+ * Dry-Run / Simulation Mode
+ *
+ * Runs an automation's full process() pipeline (template loading, resolveAssignee,
+ * calculateDueDate, rollback decisions) while every Clio write and Supabase write
+ * is swapped for a recorder. Reads still hit Clio and Supabase, so the preview
+ * reflects the real matter.
+ *
+ * Dry-run state lives in AsyncLocalStorage: the write guards installed on the
+ * services only divert calls made inside runDryRun(), so webhooks processed
+ * concurrently are unaffected.
+ *
+ * Triggers:
+ * - Admin API: POST /admin/dry-run/matters and /admin/dry-run/calendar
+ * - CLI: scripts/dry-run.mjs
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Service methods whose name starts with one of these prefixes write, and are
+// recorded instead of executed during a dry run. New write methods must use one
+// of them (tests/dry-run checks every service method against this convention).
+export const CLIO_WRITE_PREFIXES = ['create', 'update', 'delete'];
+export const SUPABASE_WRITE_PREFIXES = ['insert', 'update', 'upsert', 'delete', 'record', 'claim', 'finish', 'enqueue', 'revoke', 'track', 'log'];
+
+/**
+ * Static methods of a service class that write, by name prefix
+ *
+ * @param {Function} service - Service class (ClioService, SupabaseService)
+ * @param {string[]} prefixes - Write prefixes
+ * @returns {string[]}
+ */
+export function writeMethods(service, prefixes) {
+  return Object.getOwnPropertyNames(service)
+    .filter(name => typeof service[name] === 'function')
+    .filter(name => prefixes.some(prefix => name.startsWith(prefix)));
+}
+
+let guardsInstalled = false;
+
+/**
+ * Records the writes an automation would have made
+ */
+class DryRunRecorder {
+  constructor({ matterStage = null } = {}) {
+    this.operations = [];
+    this.matterStage = matterStage;
+    this.sequence = 0;
+  }
+
+  /**
+   * Record a write and return a stand-in result for the caller
+   */
+  record(service, method, args) {
+    this.sequence++;
+    const operation = { seq: this.sequence, service, method, args };
+    this.operations.push(operation);
+
+    if (service === 'clio' && method === 'createTask') {
+      const [taskData, , taskMeta = {}] = args;
+      const fakeId = `dry-run-task-${this.sequence}`;
+      operation.fakeId = fakeId;
+      operation.taskMeta = taskMeta;
+      return {
+        id: fakeId,
+        name: taskData.name,
+        description: taskData.description,
+        status: 'pending',
+        due_at: taskData.due_at || null,
+        matter: taskData.matter,
+        assignee: taskData.assignee ? { ...taskData.assignee, name: taskMeta.assigneeName } : null,
+      };
+    }
+
+    if (service === 'clio' && method === 'createCalendarEntry') {
+      return { id: `dry-run-calendar-entry-${this.sequence}`, ...args[0] };
+    }
+
+    if (service === 'clio' && method === 'updateTask') {
+      return { id: args[0], ...args[1] };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Summarize recorded writes as tasks to create / update / delete
+   */
+  summary() {
+    const clioOps = this.operations.filter(op => op.service === 'clio');
+    const supabaseOps = this.operations.filter(op => op.service === 'supabase');
+
+    // Supabase inserts carry task_number/stage details keyed by the fake Clio task ID
+    const insertsByTaskId = new Map(
+      supabaseOps
+        .filter(op => op.method === 'insertTask')
+        .map(op => [op.args[0]?.task_id, op.args[0]])
+    );
+
+    const tasksToCreate = clioOps
+      .filter(op => op.method === 'createTask')
+      .map(op => {
+        const [taskData] = op.args;
+        const record = insertsByTaskId.get(op.fakeId) || {};
+        return {
+          name: taskData.name,
+          description: taskData.description,
+          dueDate: taskData.due_at || null,
+          assigneeId: taskData.assignee?.id || null,
+          assigneeName: op.taskMeta?.assigneeName || record.assigned_user || null,
+          taskNumber: op.taskMeta?.taskNumber ?? record.task_number ?? null,
+          stageId: op.taskMeta?.stageId ?? record.stage_id ?? null,
+          stageName: op.taskMeta?.stageName ?? record.stage_name ?? null,
+          calendarEntryId: op.taskMeta?.calendarEntryId ?? record.calendar_entry_id ?? null,
+        };
+      });
+
+    const tasksToUpdate = clioOps
+      .filter(op => op.method === 'updateTask')
+      .map(op => ({ taskId: op.args[0], updates: op.args[1] }));
+
+    const tasksToDelete = clioOps
+      .filter(op => op.method === 'deleteTask')
+      .map(op => ({ taskId: op.args[0] }));
+
+    const otherClioWrites = clioOps
+      .filter(op => !['createTask', 'updateTask', 'deleteTask'].includes(op.method))
+      .map(op => ({ method: op.method, args: op.args }));
+
+    return {
+      tasksToCreate,
+      tasksToUpdate,
+      tasksToDelete,
+      otherClioWrites,
+      supabaseWrites: supabaseOps.map(op => ({ method: op.method, args: op.args })),
+    };
+  }
+}
+
+/**
+ * Whether the current async context is a dry run
+ */
+export function isDryRun() {
+  return !!storage.getStore();
+}
+
+/**
+ * Replace tracking contexts with null so recorded args stay serializable
+ */
+const isTrackingContext = (arg) => typeof arg?.logDbQuery === 'function';
+const stripCtx = (args) => args.map(arg => (isTrackingContext(arg) ? null : arg));
+
+/**
+ * Wrap service write methods so that calls inside a dry run are recorded instead of executed
+ * Safe to call more than once
+ */
+export function installDryRunGuards() {
+  if (guardsInstalled) return;
+  guardsInstalled = true;
+
+  for (const method of writeMethods(ClioService, CLIO_WRITE_PREFIXES)) {
+    const original = ClioService[method];
+    ClioService[method] = function (...args) {
+      const recorder = storage.getStore();
+      if (!recorder) return original.apply(this, args);
+
+      return Promise.resolve(recorder.record('clio', method, stripCtx(args)));
+    };
+  }
+
+  for (const method of writeMethods(SupabaseService, SUPABASE_WRITE_PREFIXES)) {
+    const original = SupabaseService[method];
+    SupabaseService[method] = function (...args) {
+      const recorder = storage.getStore();
+      if (!recorder) return original.apply(this, args);
+      return Promise.resolve(recorder.record('supabase', method, stripCtx(args)));
+    };
+  }
+
+  // Idempotency: a dry run must never be short-circuited by (or reserve) a real webhook key
+  const originalCheckWebhookProcessed = SupabaseService.checkWebhookProcessed;
+  SupabaseService.checkWebhookProcessed = function (...args) {
+    if (storage.getStore()) return Promise.resolve(null);
+    return originalCheckWebhookProcessed.apply(this, args);
+  };
+
+  // Simulated stage: preview a stage move before it happens in Clio
+  const originalGetMatter = ClioService.getMatter;
+  ClioService.getMatter = async function (...args) {
+    const matter = await originalGetMatter.apply(this, args);
+    const recorder = storage.getStore();
+    if (!recorder?.matterStage) return matter;
+    return {
+      ...matter,
+      matter_stage: recorder.matterStage,
+      matter_stage_updated_at: new Date().toISOString(),
+    };
+  };
+
+  // Verification is persisted and regenerates tasks later - nothing to verify in a dry run
+  const originalSchedule = TaskVerificationService.scheduleVerification;
+  TaskVerificationService.scheduleVerification = function (...args) {
+    if (!storage.getStore()) return originalSchedule.apply(this, args);
+    return Promise.resolve({ scheduled: false, reason: 'dry_run' });
+  };
+}
+
+/**
+ * Run fn as a dry run and return its result plus the recorded writes
+ *
+ * @param {Function} fn - Async function running the automation
+ * @param {Object} [options]
+ * @param {Object} [options.matterStage] - Simulated stage { id, name } applied to fetched matters
+ * @returns {Promise<Object>} { dryRun, result, tasksToCreate, tasksToUpdate, tasksToDelete, otherClioWrites, supabaseWrites }
+ */
+export async function runDryRun(fn, { matterStage = null } = {}) {
+  installDryRunGuards();
+
+  const recorder = new DryRunRecorder({ matterStage });
+  const result = await storage.run(recorder, fn);
+
+  return {
+    dryRun: true,
+    simulatedStage: matterStage,
+    result,
+    ...recorder.summary(),
+  };
+}
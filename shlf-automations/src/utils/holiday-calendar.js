@@ -0,0 +1,138 @@
+import { addDays, format, getDay, isWeekend, lastDayOfMonth } from 'date-fns';
+import { SupabaseService } from '../services/supabase.js';
+
+/**
+ * Holiday Calendar
+ *
+ * Non-business days used by due date calculation:
+ * - Built-in US federal holidays and Florida state court holidays (with observed dates)
+ * - Firm closures from the `firm_holidays` table (closed = false re-opens a built-in holiday)
+ *
+ * Lookups are synchronous so calculateDueDate() stays synchronous; entry points
+ * call ensureHolidayCalendar() first to load/refresh the Supabase entries (cached 10 minutes).
+ */
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+let firmCalendar = { closed: new Map(), open: new Set(), loadedAt: 0 };
+const builtInCache = new Map(); // year -> Map(dateKey -> name)
+
+const dateKey = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Nth weekday of a month (weekday: 0 = Sunday ... 6 = Saturday; month is 0-based)
+ */
+const nthWeekday = (year, month, weekday, n) => {
+  const first = new Date(year, month, 1);
+  const offset = (weekday - getDay(first) + 7) % 7;
+  return new Date(year, month, 1 + offset + (n - 1) * 7);
+};
+
+/**
+ * Last weekday of a month
+ */
+const lastWeekday = (year, month, weekday) => {
+  const last = lastDayOfMonth(new Date(year, month, 1));
+  const offset = (getDay(last) - weekday + 7) % 7;
+  return addDays(last, -offset);
+};
+
+/**
+ * Fixed-date holidays falling on a weekend are observed Friday (Saturday) or Monday (Sunday)
+ */
+const observed = (date) => {
+  const day = getDay(date);
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, 1);
+  return date;
+};
+
+/**
+ * Built-in US federal and Florida state court holidays for a year
+ * @param {number} year
+ * @returns {Map<string, string>} yyyy-MM-dd -> holiday name
+ */
+export function getBuiltInHolidays(year) {
+  if (builtInCache.has(year)) return builtInCache.get(year);
+
+  const thanksgiving = nthWeekday(year, 10, 4, 4);
+  const holidays = [
+    [observed(new Date(year, 0, 1)), "New Year's Day"],
+    [nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day'],
+    [nthWeekday(year, 1, 1, 3), "Presidents' Day"],
+    [lastWeekday(year, 4, 1), 'Memorial Day'],
+    [observed(new Date(year, 5, 19)), 'Juneteenth'],
+    [observed(new Date(year, 6, 4)), 'Independence Day'],
+    [nthWeekday(year, 8, 1, 1), 'Labor Day'],
+    [nthWeekday(year, 9, 1, 2), 'Columbus Day'],
+    [observed(new Date(year, 10, 11)), 'Veterans Day'],
+    [thanksgiving, 'Thanksgiving Day'],
+    // Florida state courts also close the day after Thanksgiving
+    [addDays(thanksgiving, 1), 'Day after Thanksgiving'],
+    [observed(new Date(year, 11, 25)), 'Christmas Day'],
+  ];
+
+  const map = new Map(holidays.map(([date, name]) => [dateKey(date), name]));
+
+  // New Year's Day of the following year can be observed on Dec 31
+  const nextNewYear = observed(new Date(year + 1, 0, 1));
+  if (nextNewYear.getFullYear() === year) {
+    map.set(dateKey(nextNewYear), "New Year's Day");
+  }
+
+  builtInCache.set(year, map);
+  return map;
+}
+
+/**
+ * Load (or refresh) firm holidays from Supabase
+ * Keeps the previous calendar if Supabase is unavailable
+ * @param {Object} [ctx] - Optional tracking context
+ * @param {boolean} [forceRefresh=false] - Bypass the cache
+ */
+export async function ensureHolidayCalendar(ctx = null, forceRefresh = false) {
+  if (!forceRefresh && firmCalendar.loadedAt && Date.now() - firmCalendar.loadedAt < CACHE_TTL_MS) {
+    return;
+  }
+
+  try {
+    const rows = await SupabaseService.getFirmHolidays(ctx);
+    const closed = new Map();
+    const open = new Set();
+
+    for (const row of rows) {
+      // holiday_date is a DATE ('yyyy-MM-dd') - use it as the key directly
+      const key = String(row.holiday_date).slice(0, 10);
+      if (row.closed === false) {
+        open.add(key);
+      } else {
+        closed.set(key, row.name);
+      }
+    }
+
+    firmCalendar = { closed, open, loadedAt: Date.now() };
+  } catch (error) {
+    console.error(`[HOLIDAYS] Failed to load firm holidays: ${error.message}`);
+  }
+}
+
+/**
+ * Get the holiday name for a date, or null if it is not a holiday
+ * @param {Date} date
+ * @returns {string|null}
+ */
+export function getHoliday(date) {
+  const key = dateKey(date);
+  if (firmCalendar.closed.has(key)) return firmCalendar.closed.get(key);
+  if (firmCalendar.open.has(key)) return null;
+  return getBuiltInHolidays(date.getFullYear()).get(key) || null;
+}
+
+/**
+ * Check whether a date is a business day (not a weekend or holiday)
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isBusinessDay(date) {
+  return !isWeekend(date) && !getHoliday(date);
+}
@@ -0,0 +1,138 @@
+import client from 'prom-client';
+
+/**
+ * Prometheus Metrics
+ *
+ * prom-client registry rendered in the Prometheus text exposition format on
+ * GET /metrics (routes/metrics.js). Only the metrics below are registered -
+ * no default process metrics.
+ *
+ * Metric names are shared with shlf-ghl-automations (utils/metrics.js), so
+ * one dashboard covers both servers; tell them apart by the scrape job.
+ */
+
+export const registry = new client.Registry();
+
+export const CONTENT_TYPE = registry.contentType;
+
+const counter = (options) => new client.Counter({ ...options, registers: [registry] });
+const gauge = (options) => new client.Gauge({ ...options, registers: [registry] });
+const histogram = (options) => new client.Histogram({ ...options, registers: [registry] });
+
+export const metrics = {
+  // Webhooks (trigger = matter-stage-change, task-completed, ...)
+  webhooksReceived: counter({
+    name: 'shlf_webhooks_received_total',
+    help: 'Webhooks accepted for processing',
+    labelNames: ['trigger'],
+  }),
+  webhooksProcessed: counter({
+    name: 'shlf_webhooks_processed_total',
+    help: 'Webhooks processed successfully (after retries)',
+    labelNames: ['trigger'],
+  }),
+  webhooksFailed: counter({
+    name: 'shlf_webhooks_failed_total',
+    help: 'Webhooks that failed after retries',
+    labelNames: ['trigger'],
+  }),
+  webhooksRejected: counter({
+    name: 'shlf_webhooks_rejected_total',
+    help: 'Webhook deliveries rejected before processing (signature, replay)',
+    labelNames: ['endpoint', 'reason'],
+  }),
+  automationDuration: histogram({
+    name: 'shlf_automation_duration_seconds',
+    help: 'Automation run time per webhook, including retries',
+    labelNames: ['trigger', 'status'],
+    buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  }),
+
+  // Outbound API calls (status = HTTP status code, or "error" when there was no response)
+  apiRequestDuration: histogram({
+    name: 'shlf_api_request_duration_seconds',
+    help: 'Outbound API call latency',
+    labelNames: ['provider', 'method', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  }),
+  apiRateLimitRemaining: gauge({
+    name: 'shlf_api_rate_limit_remaining',
+    help: 'Requests left in the current rate-limit window (last X-RateLimit-Remaining seen)',
+    labelNames: ['provider'],
+  }),
+
+  // Webhook queue (utils/webhook-queue.js)
+  queueDepth: gauge({
+    name: 'shlf_webhook_queue_depth',
+    help: 'Webhooks waiting in the rate-limit/per-matter queues',
+  }),
+  queueOldestWait: gauge({
+    name: 'shlf_webhook_queue_oldest_wait_seconds',
+    help: 'How long the oldest waiting webhook has been queued',
+  }),
+  queueWait: histogram({
+    name: 'shlf_webhook_queue_wait_seconds',
+    help: 'Time queued webhooks waited before processing',
+    buckets: [0.1, 0.5, 1, 5, 10, 30, 60, 300],
+  }),
+
+  // Scheduled jobs (jobs/scheduler.js)
+  jobRuns: counter({
+    name: 'shlf_job_runs_total',
+    help: 'Scheduled job runs',
+    labelNames: ['job'],
+  }),
+  jobFailures: counter({
+    name: 'shlf_job_failures_total',
+    help: 'Scheduled job runs that threw or returned success: false',
+    labelNames: ['job'],
+  }),
+  jobDuration: histogram({
+    name: 'shlf_job_duration_seconds',
+    help: 'Scheduled job run time',
+    labelNames: ['job'],
+    buckets: [1, 5, 15, 60, 300, 900, 1800],
+  }),
+};
+
+/**
+ * Record latency, status code and rate limit of every call made through an axios instance
+ *
+ * Register before the instance's other interceptors: the timer then starts
+ * after them (token lookup excluded), and a retried call (e.g. after a 401
+ * refresh) is recorded as two calls.
+ *
+ * @param {Object} instance - axios instance
+ * @param {string} provider - Provider label (e.g. 'clio')
+ */
+export function instrumentAxios(instance, provider) {
+  instance.interceptors.request.use((request) => {
+    request._metricsStart = Date.now();
+    return request;
+  });
+
+  const record = (requestConfig, response) => {
+    if (!requestConfig?._metricsStart) return;
+    metrics.apiRequestDuration.observe({
+      provider,
+      method: (requestConfig.method || 'get').toUpperCase(),
+      status: response?.status ?? 'error',
+    }, (Date.now() - requestConfig._metricsStart) / 1000);
+
+    const remaining = parseInt(response?.headers?.['x-ratelimit-remaining'], 10);
+    if (!isNaN(remaining)) {
+      metrics.apiRateLimitRemaining.set({ provider }, remaining);
+    }
+  };
+
+  instance.interceptors.response.use(
+    (response) => {
+      record(response.config, response);
+      return response;
+    },
+    (error) => {
+      record(error.config, error.response);
+      return Promise.reject(error);
+    }
+  );
+}
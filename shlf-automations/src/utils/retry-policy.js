@@ -0,0 +1,277 @@
+import { EventTracker } from '../services/event-tracker.js';
+
+/**
+ * Shared Retry Policy
+ *
+ * Used by the webhook router retry loop and ClioService.withRetry so that both
+ * back off the same way:
+ * - Classifies errors (rate limited, server error, network, client error, assignee error)
+ * - Never retries errors that cannot succeed (4xx validation, AssigneeError)
+ * - Honors Retry-After on 429 responses
+ * - Capped exponential backoff with jitter otherwise
+ * - Records every retry decision on the trace
+ */
+
+export const ERROR_CLASSES = {
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  NETWORK: 'network',
+  CLIENT_ERROR: 'client_error',
+  ASSIGNEE_ERROR: 'assignee_error',
+  UNKNOWN: 'unknown',
+};
+
+// Node/axios error codes that indicate a transient network failure
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'ERR_NETWORK',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+]);
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  multiplier: 2,
+  // Fraction of the computed delay that is randomized (0 = none, 1 = full jitter)
+  jitter: 0.5,
+  // Give up instead of sleeping when Clio asks us to wait longer than this
+  maxRetryAfterMs: 60000,
+  retryOn: {
+    [ERROR_CLASSES.RATE_LIMITED]: true,
+    [ERROR_CLASSES.SERVER_ERROR]: true,
+    [ERROR_CLASSES.NETWORK]: true,
+    [ERROR_CLASSES.CLIENT_ERROR]: false,
+    [ERROR_CLASSES.ASSIGNEE_ERROR]: false,
+    [ERROR_CLASSES.UNKNOWN]: true,
+  },
+};
+
+/**
+ * Per-automation overrides (keyed by trigger name, or 'clio-api' for ClioService.withRetry)
+ */
+export const RETRY_POLICY_OVERRIDES = {
+  // Supabase-only bookkeeping - fail fast
+  'task-deleted': { maxAttempts: 2 },
+  'calendar-entry-deleted': { maxAttempts: 2 },
+  // Create many Clio tasks per run - give the rate limit more room to recover
+  'matter-stage-change': { maxDelayMs: 60000 },
+  'meeting-scheduled': { maxDelayMs: 60000 },
+};
+
+/**
+ * Build the effective policy for an automation
+ *
+ * @param {string} [name] - Trigger name (e.g. 'matter-stage-change') or 'clio-api'
+ * @param {Object} [overrides] - Call-site overrides (win over named overrides)
+ * @returns {Object} Policy
+ */
+export function getRetryPolicy(name = null, overrides = {}) {
+  const named = (name && RETRY_POLICY_OVERRIDES[name]) || {};
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...named,
+    ...overrides,
+    retryOn: {
+      ...DEFAULT_RETRY_POLICY.retryOn,
+      ...(named.retryOn || {}),
+      ...(overrides.retryOn || {}),
+    },
+    name,
+  };
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ *
+ * @param {string|number} [value]
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Classify an error for retry purposes
+ *
+ * @param {Error} error
+ * @returns {Object} { errorClass, status, retryAfterMs }
+ */
+export function classifyError(error) {
+  if (error?.name === 'AssigneeError') {
+    return { errorClass: ERROR_CLASSES.ASSIGNEE_ERROR, status: null, retryAfterMs: null };
+  }
+
+  const status = error?.response?.status ?? null;
+
+  if (status === 429) {
+    return {
+      errorClass: ERROR_CLASSES.RATE_LIMITED,
+      status,
+      retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after']),
+    };
+  }
+
+  if (status === 408 || (!status && NETWORK_ERROR_CODES.has(error?.code))) {
+    return { errorClass: ERROR_CLASSES.NETWORK, status, retryAfterMs: null };
+  }
+
+  if (status >= 500) {
+    return { errorClass: ERROR_CLASSES.SERVER_ERROR, status, retryAfterMs: null };
+  }
+
+  if (status >= 400) {
+    return { errorClass: ERROR_CLASSES.CLIENT_ERROR, status, retryAfterMs: null };
+  }
+
+  // Request was sent but no response came back
+  if (!status && error?.request) {
+    return { errorClass: ERROR_CLASSES.NETWORK, status, retryAfterMs: null };
+  }
+
+  return { errorClass: ERROR_CLASSES.UNKNOWN, status, retryAfterMs: null };
+}
+
+/**
+ * Capped exponential backoff with jitter for a given attempt (1-based)
+ *
+ * @param {Object} policy
+ * @param {number} attempt - Attempt that just failed
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(policy, attempt) {
+  const exponential = policy.baseDelayMs * Math.pow(policy.multiplier, attempt - 1);
+  const capped = Math.min(policy.maxDelayMs, exponential);
+  const jitterPortion = capped * policy.jitter;
+  return Math.round(capped - jitterPortion + Math.random() * jitterPortion);
+}
+
+/**
+ * Decide whether (and how long to wait before) retrying after a failed attempt
+ *
+ * @param {Error} error
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - From getRetryPolicy()
+ * @returns {Object} Decision
+ */
+export function decideRetry(error, attempt, policy) {
+  const { errorClass, status, retryAfterMs } = classifyError(error);
+  const decision = {
+    policy: policy.name,
+    attempt,
+    maxAttempts: policy.maxAttempts,
+    errorClass,
+    httpStatus: status,
+    retryAfterMs,
+    error: error?.message,
+    willRetry: false,
+    delayMs: 0,
+    reason: null,
+  };
+
+  if (!policy.retryOn[errorClass]) {
+    decision.reason = 'non_retryable_error';
+    return decision;
+  }
+
+  if (attempt >= policy.maxAttempts) {
+    decision.reason = 'max_attempts_reached';
+    return decision;
+  }
+
+  if (errorClass === ERROR_CLASSES.RATE_LIMITED && retryAfterMs !== null) {
+    if (retryAfterMs > policy.maxRetryAfterMs) {
+      decision.reason = 'retry_after_exceeds_cap';
+      return decision;
+    }
+    // Small jitter on top of Retry-After so parallel workers don't wake together
+    decision.delayMs = Math.round(retryAfterMs + Math.random() * policy.baseDelayMs * policy.jitter);
+    decision.reason = 'retry_after';
+  } else {
+    decision.delayMs = computeBackoffDelay(policy, attempt);
+    decision.reason = 'exponential_backoff';
+  }
+
+  decision.willRetry = true;
+  return decision;
+}
+
+/**
+ * Record a retry decision on the trace
+ * Uses ctx.logDecision when a step context is available, otherwise a dedicated trace step
+ */
+async function recordDecision(decision, { traceId = null, ctx = null } = {}) {
+  if (ctx) {
+    ctx.logDecision('retry_decision', { attempt: decision.attempt, maxAttempts: decision.maxAttempts, policy: decision.policy }, decision);
+    return;
+  }
+
+  if (!traceId) return;
+
+  const stepId = await EventTracker.startStep(traceId, {
+    layerName: 'processing',
+    stepName: 'retry_decision',
+    input: {
+      policy: decision.policy,
+      attempt: decision.attempt,
+      maxAttempts: decision.maxAttempts,
+      error: decision.error,
+    },
+  });
+  await EventTracker.endStep(stepId, {
+    status: decision.willRetry ? 'success' : 'error',
+    errorMessage: decision.willRetry ? undefined : decision.error,
+    output: decision,
+  });
+}
+
+/**
+ * Run fn with the retry policy
+ * The final error is rethrown with `retryAttempts` and `retryDecision` attached.
+ *
+ * @param {Function} fn - Async (attempt) => result
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - From getRetryPolicy(); defaults to DEFAULT_RETRY_POLICY
+ * @param {string} [options.traceId] - Trace to record decisions on (as steps)
+ * @param {Object} [options.ctx] - Step context to record decisions on (as details)
+ * @param {string} [options.label] - Log prefix
+ */
+export async function executeWithRetry(fn, { policy = getRetryPolicy(), traceId = null, ctx = null, label = 'RETRY' } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const decision = decideRetry(error, attempt, policy);
+      await recordDecision(decision, { traceId, ctx });
+
+      if (!decision.willRetry) {
+        console.error(`[${label}] Attempt ${attempt}/${policy.maxAttempts} failed (${decision.errorClass}): ${error.message} - giving up (${decision.reason})`);
+        error.retryAttempts = attempt;
+        error.retryDecision = decision;
+        throw error;
+      }
+
+      console.warn(`[${label}] Attempt ${attempt}/${policy.maxAttempts} failed (${decision.errorClass}): ${error.message} - retrying in ${decision.delayMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, decision.delayMs));
+    }
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Stale Matter Rules
+ *
+ * Pure helpers for StaleMatterCheckerJob: picking a matter's rule, working out
+ * when it entered its stage and whether an alert is due
+ * (see migrations/021_stale_matter_rules.sql).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Built-in rules used until stale_matter_rules exists (the previous hard-coded behavior)
+ */
+export const DEFAULT_STALE_MATTER_RULES = Object.freeze([
+  Object.freeze({
+    id: null,
+    name: 'Default (built-in)',
+    stage_id: null,
+    stage_name: null,
+    practice_area_id: null,
+    threshold_days: 30,
+    recurring_interval_days: null,
+    escalation_assignees: ['357379471'],
+    initial_task_title: 'Action Required: MATTER HAS NO PROGRESS - PLEASE REVIEW',
+    initial_task_description: 'This is an automated task. Matter stage has not changed for more than a month. Please close or move to the correct stage.',
+    initial_due_days: 6,
+    recurring_task_title: null,
+    recurring_task_description: null,
+    recurring_due_days: 7,
+  }),
+  Object.freeze({
+    id: null,
+    name: 'Funding in Progress (built-in)',
+    stage_id: null,
+    stage_name: 'Funding in Progress',
+    practice_area_id: null,
+    threshold_days: 30,
+    recurring_interval_days: 30,
+    escalation_assignees: ['357379471', '357378676'],
+    initial_task_title: 'Action Required: MATTER HAS NO PROGRESS - PLEASE REVIEW',
+    initial_task_description: 'This is an automated task. Matter stage has not changed for more than a month. Please close or move to the correct stage.',
+    initial_due_days: 6,
+    recurring_task_title: '30 Day Notification',
+    recurring_task_description: 'This is an auto-generated task triggered every 30 days while the matter remains in the "Funding in Progress" stage. Please review and either progress the matter or close it out if appropriate.',
+    recurring_due_days: 7,
+  }),
+]);
+
+/**
+ * Whether a rule matches every matter (no stage or practice area)
+ *
+ * Catch-all rules only apply to matters the automation manages (see
+ * StaleMatterCheckerJob), so they don't alert on every open matter in Clio.
+ * @param {Object} rule - stale_matter_rules row
+ * @returns {boolean}
+ */
+export function isCatchAllRule(rule) {
+  return rule.stage_id == null && !rule.stage_name && rule.practice_area_id == null;
+}
+
+/**
+ * Most specific rule for a matter's stage
+ *
+ * Stage (ID or name) and practice area > stage > practice area > default.
+ * Ties go to the lowest ID.
+ * @param {Array<Object>} rules - Active stale_matter_rules rows
+ * @param {Object} matter - { stageId, stageName, practiceAreaId }
+ * @returns {Object|null}
+ */
+export function findStaleMatterRule(rules, { stageId, stageName, practiceAreaId }) {
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    if (rule.stage_id != null && Number(rule.stage_id) !== Number(stageId)) continue;
+    if (rule.stage_name && rule.stage_name.trim().toLowerCase() !== String(stageName || '').trim().toLowerCase()) continue;
+    if (rule.practice_area_id != null && Number(rule.practice_area_id) !== Number(practiceAreaId)) continue;
+
+    const score = (rule.stage_id != null || rule.stage_name ? 2 : 0) + (rule.practice_area_id != null ? 1 : 0);
+    if (score > bestScore || (score === bestScore && Number(rule.id) < Number(best.id))) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * When the matter entered its current stage, from matter history
+ *
+ * The oldest row of the latest unbroken run of rows for the stage (reopen and
+ * close rows keep the stage, so they don't restart the clock).
+ * @param {Array<Object>} history - matters rows, newest first
+ * @param {number} stageId - Current Clio stage ID
+ * @returns {string|null} Timestamp, or null if the latest row is for another stage
+ */
+export function getStageEnteredAt(history, stageId) {
+  let enteredAt = null;
+  for (const row of history) {
+    if (Number(row.stage_id) !== Number(stageId)) break;
+    enteredAt = row.date;
+  }
+  return enteredAt;
+}
+
+/**
+ * Whole days between two timestamps
+ */
+export function daysBetween(from, to) {
+  return Math.floor((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Decide whether a matter is due an alert
+ *
+ * @param {Object} rule - Matter's rule
+ * @param {Object} tracking - matter_stage_tracking row
+ * @param {Date|string} now
+ * @returns {Object} { action: 'initial' | 'recurring' | 'none', daysInStage, daysSinceLastAlert, notificationNumber }
+ */
+export function evaluateStaleMatter(rule, tracking, now) {
+  const daysInStage = daysBetween(tracking.stage_entered_at, now);
+
+  if (!tracking.initial_notification_sent) {
+    return {
+      action: daysInStage >= rule.threshold_days ? 'initial' : 'none',
+      daysInStage,
+      daysSinceLastAlert: null,
+      notificationNumber: 1,
+    };
+  }
+
+  const lastAlertAt = tracking.last_recurring_notification_at || tracking.initial_notification_sent_at;
+  const daysSinceLastAlert = lastAlertAt ? daysBetween(lastAlertAt, now) : daysInStage;
+  const due = !!rule.recurring_interval_days && daysSinceLastAlert >= rule.recurring_interval_days;
+
+  return {
+    action: due ? 'recurring' : 'none',
+    daysInStage,
+    daysSinceLastAlert,
+    notificationNumber: (tracking.recurring_notification_count || 0) + 2,
+  };
+}
+
+/**
+ * Assignee for the nth alert (the last entry of the chain keeps getting later alerts)
+ * @param {Object} rule
+ * @param {number} notificationNumber - 1 = first alert
+ * @returns {string}
+ */
+export function getEscalationAssignee(rule, notificationNumber) {
+  const chain = rule.escalation_assignees || [];
+  return chain[Math.min(notificationNumber, chain.length) - 1];
+}
+
+/**
+ * Fill {placeholders} in an alert title or description (unknown ones are left as-is)
+ */
+export function renderAlertText(text, values) {
+  if (!text) return text;
+  return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match).toString());
+}
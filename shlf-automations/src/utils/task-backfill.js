@@ -0,0 +1,108 @@
+/**
+ * Task Backfill
+ *
+ * Pure helpers for importing Clio tasks of matters that predate the automation:
+ * picking matters by filter and matching their tasks to the stage templates.
+ */
+
+// "3. Title", "#3 - Title", "Task 3: Title"
+const NUMBERED_TITLE = /^\s*(?:#|task\s*)?(\d+)\s*[.):\-–]?\s+(.+)$/i;
+
+/**
+ * Normalize a task title for comparison (case, punctuation and spacing ignored)
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Task number a Clio task title starts with, if any
+ * @param {string} title
+ * @returns {number|null}
+ */
+export function parseTaskNumber(title) {
+  const match = String(title || '').match(NUMBERED_TITLE);
+  return match ? Number(match[1]) : null;
+}
+
+const inList = (list, value) => !list?.length || list.some(item => String(item).toLowerCase() === String(value ?? '').toLowerCase());
+
+/**
+ * Check a Clio matter against a backfill filter
+ *
+ * Every filter field is optional; lists match any of their values.
+ * @param {Object} matter - Clio matter (matter_stage, practice_area, open_date)
+ * @param {Object} filter
+ * @param {Array<number>} [filter.stageIds]
+ * @param {Array<string>} [filter.stageNames]
+ * @param {Array<number>} [filter.practiceAreaIds]
+ * @param {Array<string>} [filter.practiceAreaNames]
+ * @param {string} [filter.openedFrom] - yyyy-MM-dd, inclusive
+ * @param {string} [filter.openedTo] - yyyy-MM-dd, inclusive
+ * @returns {boolean}
+ */
+export function matchesBackfillFilter(matter, filter = {}) {
+  const openDate = matter.open_date ? String(matter.open_date).slice(0, 10) : null;
+
+  if (!inList(filter.stageIds, matter.matter_stage?.id)) return false;
+  if (!inList(filter.stageNames, matter.matter_stage?.name)) return false;
+  if (!inList(filter.practiceAreaIds, matter.practice_area?.id)) return false;
+  if (!inList(filter.practiceAreaNames, matter.practice_area?.name)) return false;
+  if (filter.openedFrom && (!openDate || openDate < filter.openedFrom)) return false;
+  if (filter.openedTo && (!openDate || openDate > filter.openedTo)) return false;
+  return true;
+}
+
+/**
+ * Match a matter's Clio tasks to its stage templates
+ *
+ * A template matches a task with the same title, or failing that a task whose
+ * title starts with the template's task number. Each task is used once. When
+ * several tasks match one template the open one (then the newest) wins and the
+ * rest are reported as duplicates.
+ *
+ * @param {Array<Object>} clioTasks - Clio tasks (id, name, status)
+ * @param {Array<Object>} templates - Stage templates (task_number, task_title)
+ * @returns {Object} { matches: [{ template, clioTask, matchedBy }], duplicates, unmatchedTasks, unmatchedTemplates }
+ */
+export function matchTasksToTemplates(clioTasks, templates) {
+  const remaining = new Map(clioTasks.map(task => [task.id, task]));
+  const matches = [];
+  const duplicates = [];
+  const unmatchedTemplates = [];
+
+  const preferred = (a, b) =>
+    (a.status === 'complete') - (b.status === 'complete') || Number(b.id) - Number(a.id);
+
+  const take = (template, candidates, matchedBy) => {
+    const [clioTask, ...others] = [...candidates].sort(preferred);
+    remaining.delete(clioTask.id);
+    for (const other of others) {
+      remaining.delete(other.id);
+      duplicates.push({ template, clioTask: other });
+    }
+    matches.push({ template, clioTask, matchedBy });
+  };
+
+  // Titles first, so a numbered title can't claim another template's task
+  const byNumber = [];
+  for (const template of templates) {
+    const title = normalizeTitle(template.task_title);
+    const candidates = [...remaining.values()].filter(task => title && normalizeTitle(task.name) === title);
+    if (candidates.length > 0) take(template, candidates, 'title');
+    else byNumber.push(template);
+  }
+
+  for (const template of byNumber) {
+    const candidates = [...remaining.values()].filter(task => parseTaskNumber(task.name) === Number(template.task_number));
+    if (candidates.length > 0) take(template, candidates, 'task_number');
+    else unmatchedTemplates.push(template);
+  }
+
+  return { matches, duplicates, unmatchedTasks: [...remaining.values()], unmatchedTemplates };
+}
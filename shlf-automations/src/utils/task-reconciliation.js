@@ -0,0 +1,77 @@
+/**
+ * Task Reconciliation
+ *
+ * Pure helpers comparing the `tasks` table with Clio. Clio is the source of
+ * truth: tasks are edited, completed and deleted there, and the `tasks` row is
+ * brought back in line.
+ */
+
+const toDate = (value) => (value ? String(value).slice(0, 10) : null);
+const toUserId = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Differences between a `tasks` row and its Clio task
+ *
+ * @param {Object} record - tasks row
+ * @param {Object|null} clioTask - Clio task (null if it no longer exists)
+ * @returns {Object} { corrections: [{ field, from, to }], updates } - updates is the `tasks` patch
+ */
+export function diffTask(record, clioTask) {
+  if (!clioTask) {
+    return {
+      corrections: [{ field: 'deleted', from: record.status || null, to: 'deleted' }],
+      updates: { status: 'deleted' },
+    };
+  }
+
+  const corrections = [];
+  const updates = {};
+
+  const completedInClio = clioTask.status === 'complete';
+  if (completedInClio !== !!record.completed) {
+    const status = completedInClio ? 'completed' : 'pending';
+    corrections.push({ field: 'status', from: record.status || (record.completed ? 'completed' : 'pending'), to: status });
+    Object.assign(updates, { completed: completedInClio, status });
+  }
+
+  const dueDate = toDate(clioTask.due_at);
+  if (dueDate !== toDate(record.due_date)) {
+    corrections.push({ field: 'due_date', from: toDate(record.due_date), to: dueDate });
+    updates.due_date = dueDate;
+  }
+
+  const assigneeId = toUserId(clioTask.assignee?.id);
+  if (assigneeId !== toUserId(record.assigned_user_id)) {
+    corrections.push({
+      field: 'assignee',
+      from: { id: toUserId(record.assigned_user_id), name: record.assigned_user || null },
+      to: { id: assigneeId, name: clioTask.assignee?.name || null },
+    });
+    Object.assign(updates, { assigned_user_id: assigneeId, assigned_user: clioTask.assignee?.name || null });
+  }
+
+  return { corrections, updates };
+}
+
+/**
+ * Compare a matter's `tasks` rows with its Clio tasks
+ *
+ * @param {Array<Object>} records - tasks rows (deleted rows are ignored)
+ * @param {Array<Object>} clioTasks - ClioService.getTasksByMatter()
+ * @returns {Object} { drifted: [{ record, corrections, updates }], inSync }
+ */
+export function reconcileMatterTasks(records, clioTasks) {
+  const clioById = new Map(clioTasks.map(task => [Number(task.id), task]));
+  const drifted = [];
+  let inSync = 0;
+
+  for (const record of records) {
+    if (record.status === 'deleted') continue;
+
+    const { corrections, updates } = diffTask(record, clioById.get(Number(record.task_id)) || null);
+    if (corrections.length > 0) drifted.push({ record, corrections, updates });
+    else inSync++;
+  }
+
+  return { drifted, inSync };
+}
@@ -0,0 +1,183 @@
+/**
+ * Task Template Dependency Graph
+ *
+ * Templates chain through their `due_date-relational` text: "after task 3" means
+ * the task is due relative to task 3's completion. This module parses those
+ * strings once (exact task numbers - "task 1" never matches "task 12") and
+ * builds a per-stage graph so broken chains are caught before a webhook runs:
+ * - unresolved: the relation names a task that isn't in the set, or mentions a
+ *   task but can't be parsed (e.g. "after tsak 3", "after task three")
+ * - cycles: tasks that (transitively) wait on themselves and would never get a due date
+ */
+
+// "after task 3", "after task #3", "3 days after task 5"
+const TASK_REFERENCE_PATTERN = /\bafter\s+task\s*#?\s*(\d+)\b/i;
+
+// Relation strings calculateDueDate() understands (lower-cased, trimmed)
+const RELATION_PATTERNS = [
+  /^now$/,
+  /^after creation$/,
+  /^before meeting$/,
+  /^after meeting$/,
+  /^(\d+\s+[a-z ]+\s+)?after task\s*#?\s*\d+$/,
+];
+
+/**
+ * Read the due date relation from a template (column names vary by table)
+ * @param {Object} template
+ * @returns {string}
+ */
+export function getTemplateRelation(template) {
+  return (template['due_date-relational'] ?? template.due_date_relation ?? template.due_date_relational ?? '')
+    .toString()
+    .trim();
+}
+
+/**
+ * Parse the parent task number from a relation
+ * @param {string} relation - e.g. "after task 3"
+ * @returns {number|null}
+ */
+export function parseTaskReference(relation) {
+  const match = (relation || '').match(TASK_REFERENCE_PATTERN);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Whether a relation is one calculateDueDate() can compute
+ * @param {string} relation
+ * @returns {boolean}
+ */
+export function isKnownRelation(relation) {
+  const normalized = (relation || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return RELATION_PATTERNS.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Whether a relation looks like it is meant to reference another task
+ * (used to flag typos that parseTaskReference() can't resolve)
+ */
+const mentionsTask = (relation) => /\b(task|tsak|taks)\b/i.test(relation || '');
+
+/**
+ * Build the dependency graph for one stage / calendar event's templates
+ * Retired templates (active = false) are left out.
+ *
+ * @param {Object[]} templates
+ * @returns {Object} {
+ *   valid,
+ *   nodes: [{ taskNumber, templateId, title, relation, dependsOn, dependents }],
+ *   edges: [{ from, to }]        - parent task number → dependent task number
+ *   roots: number[]              - tasks that don't wait on another task
+ *   order: number[]              - topological order (parents before dependents), cycle members excluded
+ *   cycles: number[][]           - each cycle as task numbers, in chain order
+ *   unresolved: [{ taskNumber, templateId, relation, reason }]
+ * }
+ */
+export function buildDependencyGraph(templates) {
+  const active = templates.filter(t => t.active !== false);
+  const nodes = new Map();
+  const unresolved = [];
+
+  for (const template of active) {
+    const taskNumber = Number(template.task_number);
+    if (!Number.isInteger(taskNumber) || nodes.has(taskNumber)) continue; // reported by the validator
+
+    nodes.set(taskNumber, {
+      taskNumber,
+      templateId: template.id ?? null,
+      title: template.task_title || null,
+      relation: getTemplateRelation(template),
+      dependsOn: null,
+      dependents: [],
+    });
+  }
+
+  const edges = [];
+  for (const node of nodes.values()) {
+    const parent = parseTaskReference(node.relation);
+
+    if (parent === null) {
+      if (mentionsTask(node.relation)) {
+        unresolved.push({ taskNumber: node.taskNumber, templateId: node.templateId, relation: node.relation, reason: 'unparseable_reference' });
+      }
+      continue;
+    }
+
+    if (!nodes.has(parent)) {
+      unresolved.push({ taskNumber: node.taskNumber, templateId: node.templateId, relation: node.relation, reason: 'missing_task' });
+      continue;
+    }
+
+    node.dependsOn = parent;
+    nodes.get(parent).dependents.push(node.taskNumber);
+    edges.push({ from: parent, to: node.taskNumber });
+  }
+
+  // Each task has at most one parent, so a cycle is a parent chain that loops back
+  const cycles = [];
+  const inCycle = new Set();
+  const settled = new Set();
+
+  for (const start of nodes.keys()) {
+    const path = [];
+    const onPath = new Set();
+    let current = start;
+
+    while (current !== null && !settled.has(current) && !onPath.has(current)) {
+      path.push(current);
+      onPath.add(current);
+      current = nodes.get(current).dependsOn;
+    }
+
+    if (current !== null && onPath.has(current)) {
+      // Chain order: parent first (task waits on the one before it)
+      const cycle = path.slice(path.indexOf(current)).reverse();
+      cycles.push(cycle);
+      cycle.forEach(n => inCycle.add(n));
+    }
+    path.forEach(n => settled.add(n));
+  }
+
+  // Topological order: breadth-first from roots
+  const roots = [...nodes.values()].filter(n => n.dependsOn === null).map(n => n.taskNumber).sort((a, b) => a - b);
+  const order = [];
+  const queue = [...roots];
+  while (queue.length > 0) {
+    const taskNumber = queue.shift();
+    if (inCycle.has(taskNumber)) continue;
+    order.push(taskNumber);
+    queue.push(...[...nodes.get(taskNumber).dependents].sort((a, b) => a - b));
+  }
+
+  for (const node of nodes.values()) node.dependents.sort((a, b) => a - b);
+
+  return {
+    valid: cycles.length === 0 && unresolved.length === 0,
+    nodes: [...nodes.values()].sort((a, b) => a.taskNumber - b.taskNumber),
+    edges,
+    roots,
+    order,
+    cycles,
+    unresolved,
+  };
+}
+
+/**
+ * Templates whose due date is relative to a given task
+ * Exact task-number match; templates in a cycle are excluded (they can never resolve).
+ *
+ * @param {Object[]} templates - Templates for the stage
+ * @param {number} taskNumber - Completed (parent) task number
+ * @returns {{ dependents: Object[], graph: Object }}
+ */
+export function getDependentTemplates(templates, taskNumber) {
+  const graph = buildDependencyGraph(templates);
+  const cycleMembers = new Set(graph.cycles.flat());
+  const parent = graph.nodes.find(n => n.taskNumber === Number(taskNumber));
+
+  const dependentNumbers = new Set((parent?.dependents || []).filter(n => !cycleMembers.has(n)));
+  const dependents = templates.filter(t => t.active !== false && dependentNumbers.has(Number(t.task_number)));
+
+  return { dependents, graph };
+}
@@ -0,0 +1,137 @@
+import { buildDependencyGraph, getTemplateRelation, isKnownRelation } from './template-graph.js';
+
+/**
+ * Task Template Validator
+ *
+ * Checks a template set (all templates for one stage or calendar event) before
+ * it is saved, so broken templates are rejected up front instead of failing
+ * when a webhook generates tasks:
+ * - Missing title / invalid or duplicate task numbers
+ * - "after task X" references that don't resolve, and dependency cycles (see template-graph.js)
+ * - Assignee types resolveAssignee() doesn't know
+ * - Due date relations calculateDueDate() can't compute
+ *
+ * Retired templates (active = false) are ignored.
+ */
+
+// Assignee types handled by resolveAssignee()
+export const ASSIGNEE_TYPES = ['ATTORNEY', 'CSC', 'PARALEGAL', 'FUNDING_COOR', 'FUND TABLE', 'FUND_TABLE', 'VA'];
+
+// assignee_id values resolveAssignee() treats as a lookup reference
+const LOOKUP_REFERENCES = ['location', 'attorney', 'attorney_id'];
+
+const TIME_RELATIONS = ['days', 'business days', 'hours', 'minutes'];
+const TIME_RELATION_PATTERN = /^((business )?days?|hours?|minutes?)$/;
+
+const readTimeRelation = (template) =>
+  (template['due_date-time-relation'] ?? template.due_date_time_relation ?? '').toString().trim().toLowerCase();
+
+const readValue = (template) =>
+  template['due_date-value'] ?? template['due_date-value-only'] ?? template.due_date_value ?? null;
+
+const isNumeric = (value) => value !== null && value !== undefined && String(value).trim() !== '' && !isNaN(String(value).trim());
+
+/**
+ * Validate a set of task templates
+ *
+ * @param {Object[]} templates - Templates for one stage / calendar event
+ * @param {Object} [options]
+ * @param {'stage'|'meeting'} [options.kind='stage'] - Meeting templates may be relative to the meeting
+ * @returns {Object} { valid, errors: [{ templateId, taskNumber, field, message }], warnings }
+ */
+export function validateTemplateSet(templates, { kind = 'stage' } = {}) {
+  const errors = [];
+  const warnings = [];
+  const active = templates.filter(t => t.active !== false);
+
+  const issue = (list, template, field, message) => list.push({
+    templateId: template.id ?? null,
+    taskNumber: template.task_number ?? null,
+    field,
+    message,
+  });
+
+  // Task numbers
+  const byNumber = new Map();
+  for (const template of active) {
+    const number = Number(template.task_number);
+    if (!Number.isInteger(number) || number < 1) {
+      issue(errors, template, 'task_number', `Task number must be a positive integer (got ${template.task_number})`);
+      continue;
+    }
+    if (byNumber.has(number)) {
+      issue(errors, template, 'task_number', `Duplicate task number ${number}`);
+      continue;
+    }
+    byNumber.set(number, template);
+  }
+
+  for (const template of active) {
+    if (!template.task_title || !String(template.task_title).trim()) {
+      issue(errors, template, 'task_title', 'Task title is required');
+    }
+
+    // Assignee
+    const assigneeType = template.assignee?.toString().toUpperCase().trim();
+    const assigneeId = template.assignee_id?.toString().trim();
+    const isLookup = assigneeId && LOOKUP_REFERENCES.includes(assigneeId.toLowerCase());
+
+    if (!assigneeType && !assigneeId) {
+      issue(errors, template, 'assignee', 'Assignee is required');
+    } else if (assigneeType === 'FUNDING_COOR' && !isNumeric(assigneeId)) {
+      issue(errors, template, 'assignee_id', 'FUNDING_COOR requires a numeric assignee_id');
+    } else if (assigneeId && !isNumeric(assigneeId) && !isLookup) {
+      issue(errors, template, 'assignee_id', `Unknown assignee lookup reference "${template.assignee_id}" (expected ${LOOKUP_REFERENCES.join(', ')} or a user ID)`);
+    } else if (assigneeType && !isNumeric(assigneeType) && !ASSIGNEE_TYPES.includes(assigneeType) && !isNumeric(assigneeId) && !isLookup) {
+      issue(errors, template, 'assignee', `Unknown assignee type "${template.assignee}" (expected ${ASSIGNEE_TYPES.join(', ')} or a user ID)`);
+    }
+
+    // Due date
+    const relation = getTemplateRelation(template).toLowerCase();
+    const timeRelation = readTimeRelation(template);
+    const value = readValue(template);
+
+    if (!relation) {
+      issue(warnings, template, 'due_date-relational', 'No due date relation - task will be due on creation');
+    } else if (!isKnownRelation(relation)) {
+      issue(errors, template, 'due_date-relational', `Unknown due date relation "${relation}"`);
+    } else if (relation.includes('meeting') && kind !== 'meeting') {
+      issue(errors, template, 'due_date-relational', `"${relation}" is only valid for meeting templates`);
+    }
+
+    if (timeRelation && !TIME_RELATION_PATTERN.test(timeRelation)) {
+      issue(errors, template, 'due_date-time-relation', `Unknown time unit "${timeRelation}" (expected ${TIME_RELATIONS.join(', ')})`);
+    }
+
+    if (value !== null && value !== '') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) {
+        issue(errors, template, 'due_date-value', `Due date value must be a non-negative integer (got ${value})`);
+      } else if (number > 0 && !timeRelation) {
+        issue(warnings, template, 'due_date-time-relation', 'No time unit - defaults to days');
+      }
+    }
+  }
+
+  // Dependency chains ("after task X")
+  const graph = buildDependencyGraph(active);
+  const byTaskNumber = (taskNumber) => byNumber.get(taskNumber) || { task_number: taskNumber };
+
+  for (const { taskNumber, relation, reason } of graph.unresolved) {
+    const message = reason === 'missing_task'
+      ? `"${relation}" references a task that does not exist in this set`
+      : `Could not parse the task reference in "${relation}"`;
+    issue(errors, byTaskNumber(taskNumber), 'due_date-relational', message);
+  }
+
+  for (const cycle of graph.cycles) {
+    const chain = cycle.length === 1
+      ? `task ${cycle[0]} is due after itself`
+      : [...cycle, cycle[0]].map(n => `task ${n}`).join(' → ');
+    for (const taskNumber of cycle) {
+      issue(errors, byTaskNumber(taskNumber), 'due_date-relational', `Dependency cycle: ${chain}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
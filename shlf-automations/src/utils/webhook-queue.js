@@ -1,5 +1,8 @@
 import { EventTracker } from '../services/event-tracker.js';
 import { ClioService } from '../services/clio.js';
+import { SupabaseService } from '../services/supabase.js';
+import { config } from '../config/index.js';
+import { metrics } from './metrics.js';
 
 /**
  * Rate-Limit Aware Webhook Queue System
@@ -12,6 +15,10 @@ import { ClioService } from '../services/clio.js';
  * - Only queues when rate limit remaining <= threshold (default: 5)
  * - Tracks queue wait time for monitoring
  * - Per-matter sequential processing when queued
+ * - Durable: every webhook is journaled to the Supabase `webhook_queue` table
+ *   before processing, and unfinished items are resumed on boot (per-matter order kept).
+ *   Rows carry the INSTANCE_ID that queued them; an instance only resumes its own
+ *   rows (and unowned legacy rows) that were queued before it booted.
  */
 
 // Rate limit threshold - queue when remaining <= this value
@@ -28,6 +35,111 @@ class WebhookQueue {
     // Global queue for rate limit protection (across all matters)
     this.rateLimitQueue = [];
     this.isProcessingRateLimitQueue = false;
+
+    // Map of endpoint → handler(webhookData, traceId), used to resume persisted items
+    this.handlers = new Map();
+
+    // Rows queued from here on belong to this process and are never resumed by it
+    this.bootedAt = new Date().toISOString();
+  }
+
+  /**
+   * Register the processor for an endpoint so persisted webhooks can be resumed after a restart
+   *
+   * @param {string} endpoint - Route endpoint (e.g. '/matters')
+   * @param {Function} handler - Async (webhookData, traceId) => result
+   */
+  registerHandler(endpoint, handler) {
+    this.handlers.set(endpoint, handler);
+  }
+
+  /**
+   * Get the registered processor for an endpoint (used by resume and dead-letter replay)
+   *
+   * @param {string} endpoint - Route endpoint (e.g. '/matters')
+   * @returns {Function|undefined}
+   */
+  getHandler(endpoint) {
+    return this.handlers.get(endpoint);
+  }
+
+  /**
+   * Journal a webhook to the durable queue
+   * Failures are logged and processing continues in-memory only
+   *
+   * @returns {Promise<Object|null>} Persisted queue row or null
+   */
+  async persist(webhookData, queueKey, traceId, options = {}) {
+    try {
+      return await SupabaseService.enqueueWebhook({
+        queue_key: queueKey,
+        endpoint: options.endpoint || 'unknown',
+        trigger_name: options.triggerName || null,
+        webhook_id: webhookData.id ? String(webhookData.id) : null,
+        trace_id: traceId,
+        payload: webhookData,
+        instance_id: config.instanceId,
+      });
+    } catch (error) {
+      console.error(`[QUEUE] ${queueKey} - Failed to persist webhook ${webhookData.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record a status transition on the persisted queue row (no-op when not persisted)
+   */
+  async markQueued(queueItemId, updates) {
+    if (!queueItemId) return;
+
+    try {
+      await SupabaseService.updateQueuedWebhook(queueItemId, updates);
+    } catch (error) {
+      console.error(`[QUEUE] Failed to update queue item ${queueItemId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a processor while keeping the persisted queue row in sync
+   * A run that stopped at another run's idempotency reservation did nothing,
+   * so its row goes back to pending instead of completed.
+   */
+  async runPersisted(queueItemId, processor, previousAttempts = 0) {
+    await this.markQueued(queueItemId, {
+      status: 'processing',
+      attempts: previousAttempts + 1,
+      started_at: new Date().toISOString(),
+    });
+
+    try {
+      const result = await processor();
+
+      // e.g. a resumed row whose reservation the crashed process still holds:
+      // the reservation is recovered once its lease expires (recover-reservations),
+      // and the row is resumed again on the next boot
+      if (result?.action === 'still_processing') {
+        await this.markQueued(queueItemId, {
+          status: 'pending',
+          last_error: `Reservation held by another run since ${result.processing_started_at || 'unknown'}`,
+        });
+        return result;
+      }
+
+      await this.markQueued(queueItemId, {
+        status: 'completed',
+        result: result ?? null,
+        last_error: null,
+        completed_at: new Date().toISOString(),
+      });
+      return result;
+    } catch (error) {
+      await this.markQueued(queueItemId, {
+        status: 'failed',
+        last_error: error.message,
+        completed_at: new Date().toISOString(),
+      });
+      throw error;
+    }
   }
 
   /**
@@ -72,16 +184,30 @@ class WebhookQueue {
    * @param {Object} webhookData - The webhook payload
    * @param {Function} processor - Async function to process the webhook
    * @param {string} [traceId] - Optional trace ID for event tracking
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - Route endpoint, used to resume the item after a restart
+   * @param {string} [options.triggerName] - Trigger name for the persisted row
    */
-  async enqueue(webhookData, processor, traceId = null) {
+  async enqueue(webhookData, processor, traceId = null, options = {}) {
     const matterId = this.extractMatterId(webhookData);
     const enqueuedAt = Date.now();
 
+    // If no matter ID, still queue but use global queue
+    // (string keys, like the persisted queue_key that resumed items use)
+    const queueKey = String(matterId || 'global');
+
+    // Journal before processing so a restart can pick the webhook back up
+    const persisted = await this.persist(webhookData, queueKey, traceId, options);
+    const queueItemId = persisted?.id || null;
+
     // Check rate limit status
     const { shouldQueue, rateLimitStatus } = this.checkRateLimit();
 
+    // Earlier webhooks for this matter still waiting (e.g. resumed after restart) - keep ordering
+    const hasBacklog = this.queues.has(queueKey);
+
     // If rate limit is healthy (remaining > threshold), process immediately
-    if (!shouldQueue) {
+    if (!shouldQueue && !hasBacklog) {
       console.log(`[QUEUE] Rate limit healthy (${rateLimitStatus.remaining}/${rateLimitStatus.limit}) - processing immediately`);
 
       // Track that we bypassed the queue due to healthy rate limit
@@ -104,19 +230,22 @@ class WebhookQueue {
             rateLimitRemaining: rateLimitStatus.remaining,
             rateLimitLimit: rateLimitStatus.limit,
             processedImmediately: true,
+            persisted: !!queueItemId,
+            queueItemId,
           },
         });
       }
 
       // Process immediately without queueing
-      return await processor();
+      return await this.runPersisted(queueItemId, processor);
     }
 
-    // Rate limit approaching - need to queue
-    console.log(`[QUEUE] Rate limit approaching (${rateLimitStatus.remaining}/${rateLimitStatus.limit}) - queueing webhook for matter ${matterId}`);
-
-    // If no matter ID, still queue but use global queue
-    const queueKey = matterId || 'global';
+    // Rate limit approaching or matter backlog - need to queue
+    if (shouldQueue) {
+      console.log(`[QUEUE] Rate limit approaching (${rateLimitStatus.remaining}/${rateLimitStatus.limit}) - queueing webhook for matter ${matterId}`);
+    } else {
+      console.log(`[QUEUE] Matter ${queueKey} has earlier webhooks pending - queueing to preserve order`);
+    }
 
     // Initialize queue for this matter if it doesn't exist
     if (!this.queues.has(queueKey)) {
@@ -142,7 +271,9 @@ class WebhookQueue {
         status: 'success',
         output: {
           queued: true,
-          reason: 'rate_limit_approaching',
+          reason: shouldQueue ? 'rate_limit_approaching' : 'matter_backlog',
+          persisted: !!queueItemId,
+          queueItemId,
           rateLimitRemaining: rateLimitStatus.remaining,
           rateLimitLimit: rateLimitStatus.limit,
           queueLength: queueSize + 1,
@@ -160,6 +291,8 @@ class WebhookQueue {
         processor,
         resolve,
         reject,
+        queueItemId,
+        attempts: 0,
         webhookId: webhookData.id,
         eventType: webhookData.model || 'unknown',
         traceId,
@@ -172,6 +305,114 @@ class WebhookQueue {
     });
   }
 
+  /**
+   * Resume persisted webhooks that were pending or in flight when the process stopped
+   * Items are re-queued per matter in their original arrival order.
+   * Only rows this instance queued before it booted are resumed: rows queued
+   * by other instances are still theirs, and rows queued since boot are
+   * already in memory. Call once on boot, after routes have registered their
+   * handlers and before the server accepts webhooks. A resumed row that is
+   * still reserved in webhook_events is left pending (see runPersisted).
+   *
+   * @returns {Promise<Object>} { resumed, skipped }
+   */
+  async resumePending() {
+    let items;
+    try {
+      items = await SupabaseService.getUnfinishedQueuedWebhooks({
+        before: this.bootedAt,
+        instanceId: config.instanceId,
+      });
+    } catch (error) {
+      console.error(`[QUEUE] Failed to load pending webhooks: ${error.message}`);
+      return { resumed: 0, skipped: 0, error: error.message };
+    }
+
+    if (items.length === 0) {
+      console.log('[QUEUE] No pending webhooks to resume');
+      return { resumed: 0, skipped: 0 };
+    }
+
+    console.log(`[QUEUE] Resuming ${items.length} pending webhook(s) from durable queue`);
+
+    let resumed = 0;
+    let skipped = 0;
+    const touchedKeys = new Set();
+
+    for (const row of items) {
+      const handler = this.getHandler(row.endpoint);
+
+      if (!handler) {
+        console.warn(`[QUEUE] No handler registered for ${row.endpoint} - marking queue item ${row.id} failed`);
+        await this.markQueued(row.id, {
+          status: 'failed',
+          last_error: `No handler registered for endpoint ${row.endpoint}`,
+          completed_at: new Date().toISOString(),
+        });
+        skipped++;
+        continue;
+      }
+
+      const webhookData = row.payload;
+      const traceId = row.trace_id || null;
+      const queueKey = row.queue_key;
+
+      if (traceId) {
+        const stepId = await EventTracker.startStep(traceId, {
+          layerName: 'processing',
+          stepName: 'queue_resume',
+          input: {
+            queueItemId: row.id,
+            queueKey,
+            previousStatus: row.status,
+            previousAttempts: row.attempts,
+            enqueuedAt: row.enqueued_at,
+          },
+        });
+        await EventTracker.endStep(stepId, { status: 'success', output: { resumed: true } });
+      }
+
+      if (!this.queues.has(queueKey)) {
+        this.queues.set(queueKey, []);
+        this.processing.set(queueKey, false);
+      }
+
+      // No HTTP request is waiting on resumed items, so the queue closes the trace itself
+      this.queues.get(queueKey).push({
+        processor: () => handler(webhookData, traceId),
+        resolve: (result) => EventTracker.endTrace(traceId, {
+          status: 'success',
+          resultAction: result?.action || 'processed',
+          output: result,
+          metadata: { resumedFromQueue: true, queueItemId: row.id },
+        }),
+        reject: (error) => EventTracker.endTrace(traceId, {
+          status: 'error',
+          errorMessage: error.message,
+          output: { success: false, error: error.message },
+          metadata: { resumedFromQueue: true, queueItemId: row.id },
+        }),
+        queueItemId: row.id,
+        attempts: row.attempts || 0,
+        webhookId: webhookData?.id,
+        eventType: webhookData?.model || row.trigger_name || 'unknown',
+        traceId,
+        enqueuedAt: new Date(row.enqueued_at).getTime(),
+        rateLimitAtEnqueue: null,
+      });
+
+      touchedKeys.add(queueKey);
+      resumed++;
+    }
+
+    for (const queueKey of touchedKeys) {
+      this.processNext(queueKey);
+    }
+
+    console.log(`[QUEUE] Resumed ${resumed} webhook(s) across ${touchedKeys.size} queue(s), ${skipped} skipped`);
+    return { resumed, skipped };
+  }
+
   /**
    * Process the next webhook in queue for this matter
    */
@@ -207,6 +448,7 @@ class WebhookQueue {
     const item = queue.shift();
     const traceId = item.traceId;
     const waitTimeMs = Date.now() - item.enqueuedAt;
+    metrics.queueWait.observe({}, waitTimeMs / 1000);
 
     console.log(`[QUEUE] ${queueKey} - Processing webhook ${item.webhookId} (${item.eventType}) - waited ${waitTimeMs}ms, ${queue.length} remaining`);
 
@@ -239,7 +481,7 @@ class WebhookQueue {
 
     try {
       // Process the webhook
-      const result = await item.processor();
+      const result = await this.runPersisted(item.queueItemId, item.processor, item.attempts);
 
       console.log(`[QUEUE] ${queueKey} - Webhook ${item.webhookId} completed successfully (waited ${waitTimeMs}ms)`);
 
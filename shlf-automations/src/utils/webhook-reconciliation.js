@@ -0,0 +1,178 @@
+/**
+ * Webhook Reconciliation
+ *
+ * Pure helpers comparing Clio's webhook subscriptions with the webhook
+ * manifest. The manifest is the source of truth: subscriptions are created,
+ * updated or removed until Clio matches it.
+ */
+
+/**
+ * Split a Clio fields string on top-level commas (nested braces kept whole)
+ */
+const splitFields = (fields) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of fields) {
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Canonical form of a Clio fields string (order-insensitive, nested fields included)
+ *
+ * @param {string} fields - e.g. 'id,matter{location,id}'
+ * @returns {string} e.g. 'id,matter{id,location}'
+ */
+export function normalizeFields(fields) {
+  return splitFields(String(fields || '').replace(/\s+/g, ''))
+    .map(field => {
+      const match = field.match(/^([^{]+)\{(.*)\}$/);
+      return match ? `${match[1]}{${normalizeFields(match[2])}}` : field;
+    })
+    .sort()
+    .join(',');
+}
+
+const normalizeModel = (model) => String(model || '').toLowerCase();
+const normalizeUrl = (url) => String(url || '').replace(/\/+$/, '');
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Expected URL of a manifest entry
+ */
+export function webhookUrl(entry, baseUrl) {
+  return `${normalizeUrl(baseUrl)}${entry.path}`;
+}
+
+/**
+ * Which of several subscriptions for one manifest entry to keep:
+ * enabled first, then the latest expiry
+ */
+const rankSubscription = (webhook) => [
+  webhook.status === 'enabled' ? 2 : webhook.status === 'pending' ? 1 : 0,
+  webhook.expires_at ? new Date(webhook.expires_at).getTime() : 0,
+];
+const compareRank = (a, b) => {
+  const [ra, rb] = [rankSubscription(a), rankSubscription(b)];
+  return rb[0] - ra[0] || rb[1] - ra[1];
+};
+
+/**
+ * Differences between a subscription and its manifest entry
+ *
+ * @returns {Array} [{ field, from, to }]
+ */
+export function diffWebhook(entry, webhook) {
+  const differences = [];
+
+  const events = [...(webhook.events || [])].sort();
+  const expectedEvents = [...entry.events].sort();
+  if (events.join(',') !== expectedEvents.join(',')) {
+    differences.push({ field: 'events', from: events, to: expectedEvents });
+  }
+
+  if (normalizeFields(webhook.fields) !== normalizeFields(entry.fields)) {
+    differences.push({ field: 'fields', from: webhook.fields || null, to: entry.fields });
+  }
+
+  return differences;
+}
+
+/**
+ * Plan the changes that bring Clio's subscriptions in line with the manifest
+ *
+ * Per manifest entry (matched on URL + model):
+ * - none                      → create  (missing)
+ * - disabled/suspended/expired → recreate (Clio does not re-enable them)
+ * - events or fields differ   → update
+ * - more than one             → delete the extras (duplicate)
+ *
+ * Subscriptions matching no entry are deleted when they point at this server
+ * (WEBHOOK_BASE_URL origin) or at one of its old URLs (WEBHOOK_LEGACY_BASE_URLS
+ * origins). Anything else may belong to another integration, so it is only
+ * reported as unmanaged, even on a manifest path.
+ *
+ * @param {Array} manifest - WEBHOOK_MANIFEST
+ * @param {Array} webhooks - Clio webhooks (id, model, url, events, fields, status, expires_at)
+ * @param {Object} options
+ * @param {string} options.baseUrl - Public URL of this server
+ * @param {Array<string>} [options.legacyBaseUrls] - Previous public URLs of this server
+ * @param {Date} [options.now]
+ * @returns {Object} { changes: [{ action, name, webhookId, reason, differences }], inSync: [{ name, webhookId }], unmanaged: [{ webhookId, url, model }] }
+ */
+export function planWebhookReconciliation(manifest, webhooks, { baseUrl, legacyBaseUrls = [], now = new Date() }) {
+  const changes = [];
+  const inSync = [];
+  const claimed = new Set();
+
+  for (const entry of manifest) {
+    const url = webhookUrl(entry, baseUrl);
+    const subscriptions = webhooks
+      .filter(webhook => normalizeUrl(webhook.url) === url && normalizeModel(webhook.model) === entry.model)
+      .sort(compareRank);
+    subscriptions.forEach(webhook => claimed.add(webhook.id));
+
+    if (subscriptions.length === 0) {
+      changes.push({ action: 'create', name: entry.name, webhookId: null, reason: 'missing' });
+      continue;
+    }
+
+    const [primary, ...duplicates] = subscriptions;
+    for (const duplicate of duplicates) {
+      changes.push({ action: 'delete', name: entry.name, webhookId: duplicate.id, reason: 'duplicate' });
+    }
+
+    const expired = primary.expires_at && new Date(primary.expires_at) <= now;
+    if (!['enabled', 'pending'].includes(primary.status) || expired) {
+      changes.push({
+        action: 'recreate',
+        name: entry.name,
+        webhookId: primary.id,
+        reason: expired ? 'expired' : 'disabled',
+        status: primary.status,
+      });
+      continue;
+    }
+
+    const differences = diffWebhook(entry, primary);
+    if (differences.length > 0) {
+      changes.push({ action: 'update', name: entry.name, webhookId: primary.id, reason: 'mismatched', differences });
+    } else {
+      inSync.push({ name: entry.name, webhookId: primary.id });
+    }
+  }
+
+  const origin = originOf(baseUrl);
+  const legacyOrigins = new Set(legacyBaseUrls.map(originOf).filter(Boolean));
+  const unmanaged = [];
+
+  for (const webhook of webhooks) {
+    if (claimed.has(webhook.id)) continue;
+
+    if (originOf(webhook.url) === origin) {
+      changes.push({ action: 'delete', name: null, webhookId: webhook.id, reason: 'not_in_manifest', url: webhook.url, model: webhook.model });
+    } else if (legacyOrigins.has(originOf(webhook.url))) {
+      changes.push({ action: 'delete', name: null, webhookId: webhook.id, reason: 'stale_url', url: webhook.url, model: webhook.model });
+    } else {
+      unmanaged.push({ webhookId: webhook.id, url: webhook.url, model: webhook.model });
+    }
+  }
+
+  return { changes, inSync, unmanaged };
+}
@@ -0,0 +1,241 @@
+/**
+ * Assignee Balancing Tests
+ *
+ * Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/assignees
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The resolver loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const { matchesScope, rankCandidates } = await import('../../src/utils/assignee-balancing.js');
+const { AssigneeBalancerService } = await import('../../src/services/assignee-balancer.js');
+const { resolveAssignee } = await import('../../src/utils/assignee-resolver.js');
+const { DelegationService } = await import('../../src/services/delegation.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+
+// In-memory Supabase
+let rules = null;
+let members = [];
+let openCounts = {};
+SupabaseService.getAssigneeBalancingRules = async () => rules;
+SupabaseService.getAssigneePoolMembers = async () => members;
+SupabaseService.getOpenTaskCountsByAssignee = async (userIds) => new Map(userIds.map(id => [id, openCounts[id] || 0]));
+let matterTasks = [];
+SupabaseService.getOpenTasksByMatter = async (matterId) => matterTasks.filter(t => t.matter_id === matterId);
+SupabaseService.getAssigneeByLocation = async () => ({ id: 501, name: 'CSC Naples' });
+SupabaseService.getAssigneeByAttorneyId = async () => ({ id: 502, name: 'Paralegal' });
+let delegations = [];
+SupabaseService.getAssigneeDelegations = async () => delegations;
+
+const decisions = [];
+// A new tracking context per test: picks are remembered per run (context)
+const newContext = () => ({ logDecision: (name, input, output) => decisions.push({ name, input, output }) });
+let ctx = newContext();
+const matter = { id: 1, location: 'Naples', responsible_attorney: { id: 7, name: 'Attorney' } };
+const leave = (userId, delegateUserId, overrides = {}) => ({
+  id: userId * 10, user_id: userId, delegate_user_id: delegateUserId, delegate_user_name: `User ${delegateUserId}`, start_date: '2000-01-01', end_date: null, ...overrides,
+});
+const member = (userId, overrides = {}) => ({ assignee_type: 'CSC', scope: 'naples', user_id: userId, user_name: `User ${userId}`, weight: 1, ...overrides });
+
+const reset = async () => {
+  rules = null;
+  members = [];
+  openCounts = {};
+  delegations = [];
+  matterTasks = [];
+  decisions.length = 0;
+  ctx = newContext();
+  await AssigneeBalancerService.getConfig(null, true);
+  await DelegationService.getDelegations(null, true);
+};
+const configure = async (newRules, newMembers, newDelegations = []) => {
+  rules = newRules;
+  members = newMembers;
+  delegations = newDelegations;
+  await AssigneeBalancerService.getConfig(null, true);
+  await DelegationService.getDelegations(null, true);
+};
+
+beforeEach(reset);
+
+test('matches scopes as whole words', () => {
+  assert.ok(matchesScope({ scope: null }, 'anything'));
+  assert.ok(matchesScope({ scope: 'naples' }, '123 Main St, Naples, FL'));
+  assert.ok(!matchesScope({ scope: 'naples' }, 'Fort Myers'));
+  assert.ok(matchesScope({ scope: '12' }, 12));
+  assert.ok(!matchesScope({ scope: '12' }, 123));
+  assert.ok(!matchesScope({ scope: 'naples' }, null));
+});
+
+test('least_loaded and weighted pick different members', () => {
+  const pool = [member(1, { weight: 3 }), member(2)];
+  const counts = new Map([[1, 6], [2, 4]]);
+  const options = { date: '2026-10-19' };
+
+  assert.strictEqual(rankCandidates(pool, counts, { ...options, strategy: 'least_loaded' }).chosen.user_id, 2);
+  const weighted = rankCandidates(pool, counts, { ...options, strategy: 'weighted' });
+  assert.strictEqual(weighted.chosen.user_id, 1);
+  assert.deepStrictEqual(weighted.candidates.map(c => c.score), [2, 4]);
+});
+
+test('ties go to the default assignee, members with an active delegation are skipped', () => {
+  const pool = [member(1), member(2), member(3)];
+  const away = [leave(3, 1, { start_date: '2026-10-19', end_date: '2026-10-23' })];
+  const options = { strategy: 'least_loaded', date: '2026-10-19', delegations: away };
+
+  const result = rankCandidates(pool, new Map([[1, 1], [2, 1]]), { ...options, defaultAssignee: { id: 2 } });
+  assert.strictEqual(result.chosen.user_id, 2);
+  assert.deepStrictEqual([result.candidates[2].excluded, result.candidates[2].delegate_id], ['out_of_office', 1]);
+
+  // The delegation has ended
+  assert.strictEqual(rankCandidates(pool, new Map([[1, 1], [2, 1]]), { ...options, date: '2026-10-24' }).chosen.user_id, 3);
+
+  const nobody = rankCandidates([pool[2]], new Map(), options);
+  assert.deepStrictEqual([nobody.chosen, nobody.reason], [null, 'all_out_of_office']);
+});
+
+test('a member already working the matter wins over the ranking while eligible', () => {
+  const pool = [member(1), member(2)];
+  const counts = new Map([[1, 10], [2, 0]]);
+  const options = { strategy: 'least_loaded', date: '2026-10-19', matterAssigneeIds: [3, 1] };
+
+  const result = rankCandidates(pool, counts, options);
+  assert.deepStrictEqual([result.chosen.user_id, result.reason], [1, 'matter_assignee']);
+
+  const away = rankCandidates(pool, counts, { ...options, delegations: [leave(1, 9)] });
+  assert.deepStrictEqual([away.chosen.user_id, away.reason], [2, 'balanced']);
+});
+
+test('no rule keeps the usual assignee', async () => {
+  assert.deepStrictEqual(await resolveAssignee('CSC', matter, null, null, false, ctx), { id: 501, name: 'CSC Naples', type: 'User' });
+  assert.strictEqual(decisions.length, 0);
+});
+
+test('balances CSC within the location pool and logs the decision', async () => {
+  await configure(
+    [{ assignee_type: 'CSC', strategy: 'least_loaded', include_default: true }],
+    [member(601), member(602, { scope: 'fort myers' })]
+  );
+  openCounts = { 501: 40, 601: 3, 602: 0 };
+
+  const assignee = await resolveAssignee('CSC', matter, null, null, false, ctx);
+  assert.deepStrictEqual(assignee, { id: 601, name: 'User 601', type: 'User' });
+
+  const [decision] = decisions;
+  assert.strictEqual(decision.name, 'assignee_balancing');
+  assert.strictEqual(decision.input.defaultAssignee.id, 501);
+  assert.strictEqual(decision.output.reason, 'balanced');
+  assert.deepStrictEqual(decision.output.candidates.map(c => [c.user_id, c.open_tasks]), [[601, 3], [501, 40]]);
+});
+
+test('PARALEGAL pools are scoped by attorney, FUND TABLE is normalized', async () => {
+  await configure(
+    [{ assignee_type: 'PARALEGAL', strategy: 'weighted', include_default: false }, { assignee_type: 'FUND TABLE', strategy: 'least_loaded' }],
+    [member(701, { assignee_type: 'PARALEGAL', scope: '7' }), member(702, { assignee_type: 'PARALEGAL', scope: '8' })]
+  );
+  openCounts = { 701: 9, 702: 0 };
+
+  assert.strictEqual((await resolveAssignee('PARALEGAL', matter, null, null, false, ctx)).id, 701);
+  assert.strictEqual((await AssigneeBalancerService.balance('FUND_TABLE', { id: 5, name: 'Fund' }, { ctx })).id, 5);
+  assert.strictEqual(decisions[1].input.assigneeType, 'FUND_TABLE');
+});
+
+test('everyone out of office falls back to the usual assignee', async () => {
+  await configure(
+    [{ assignee_type: 'VA', strategy: 'least_loaded', include_default: false }],
+    [member(801, { assignee_type: 'VA', scope: null })],
+    [leave(801, 802)]
+  );
+
+  assert.strictEqual((await resolveAssignee('VA', matter, null, null, false, ctx)).id, 357379471);
+  assert.strictEqual(decisions[0].output.reason, 'all_out_of_office_used_default');
+});
+
+test('an updated task keeps its assignee while they are in the pool', async () => {
+  await configure(
+    [{ assignee_type: 'CSC', strategy: 'least_loaded', include_default: true }],
+    [member(601), member(603)]
+  );
+  openCounts = { 501: 40, 601: 3, 603: 25 };
+
+  // Created: balanced to the least loaded member
+  assert.strictEqual((await resolveAssignee('CSC', matter, null, null, false, ctx)).id, 601);
+
+  // Updated: stays with its current (busier) pool member
+  const kept = await resolveAssignee('CSC', matter, null, null, false, ctx, { existingTask: { assigned_user_id: 603 } });
+  assert.deepStrictEqual(kept, { id: 603, name: 'User 603', type: 'User' });
+  assert.strictEqual(decisions[1].output.reason, 'kept_current_assignee');
+
+  // Updated, but the assignee left the pool (e.g. the matter moved office): balanced again
+  const moved = await resolveAssignee('CSC', matter, null, null, false, ctx, { existingTask: { assigned_user_id: 999 } });
+  assert.strictEqual(moved.id, 601);
+});
+
+test('an updated task on leave is balanced to a member who is in', async () => {
+  await configure(
+    [{ assignee_type: 'CSC', strategy: 'least_loaded', include_default: false }],
+    [member(601), member(603)],
+    [leave(603, 999)]
+  );
+  openCounts = { 601: 30, 603: 0 };
+
+  // 603 is the least loaded but on leave
+  assert.strictEqual((await resolveAssignee('CSC', matter, null, null, false, ctx)).id, 601);
+  assert.deepStrictEqual(decisions[0].output.candidates.map(c => [c.user_id, c.eligible]), [[601, true], [603, false]]);
+
+  const updated = await resolveAssignee('CSC', matter, null, null, false, ctx, { existingTask: { assigned_user_id: 603 } });
+  assert.strictEqual(updated.id, 601);
+  assert.strictEqual(decisions.at(-1).output.reason, 'matter_assignee', 'the member picked earlier in the run');
+});
+
+test('one generation run gives a matter\'s tasks of a type to one member', async () => {
+  await configure(
+    [{ assignee_type: 'CSC', strategy: 'least_loaded', include_default: false }],
+    [member(601), member(602)]
+  );
+  openCounts = { 601: 5, 602: 5 };
+
+  // Each created task makes its assignee busier than the other member
+  const assignees = [];
+  for (let i = 0; i < 3; i++) {
+    const { id } = await resolveAssignee('CSC', matter, null, null, false, ctx);
+    assignees.push(id);
+    openCounts[id] += 2;
+  }
+  assert.deepStrictEqual(assignees, [601, 601, 601]);
+  assert.deepStrictEqual(decisions.map(d => d.output.reason), ['balanced', 'matter_assignee', 'matter_assignee']);
+
+  // Another matter in the same run is ranked on its own
+  assert.strictEqual((await resolveAssignee('CSC', { ...matter, id: 2 }, null, null, false, ctx)).id, 602);
+});
+
+test('a later run keeps the matter with the member holding its open tasks', async () => {
+  await configure(
+    [{ assignee_type: 'CSC', strategy: 'least_loaded', include_default: false }],
+    [member(601), member(602)]
+  );
+  openCounts = { 601: 30, 602: 0 };
+  matterTasks = [
+    { matter_id: 1, assigned_user_id: 601 },
+    { matter_id: 1, assigned_user_id: 601 },
+    { matter_id: 1, assigned_user_id: 777 }, // not in the pool (e.g. the attorney)
+    { matter_id: 2, assigned_user_id: 602 },
+  ];
+
+  assert.strictEqual((await resolveAssignee('CSC', matter, null, null, false, ctx)).id, 601);
+  assert.deepStrictEqual(decisions[0].input.matterAssigneeIds, [601]);
+  assert.strictEqual(decisions[0].output.reason, 'matter_assignee');
+});
+
+test('a Supabase error never blocks assignment', async () => {
+  await configure([{ assignee_type: 'CSC', strategy: 'least_loaded' }], [member(601)]);
+  SupabaseService.getOpenTaskCountsByAssignee = async () => { throw new Error('connection refused'); };
+
+  assert.strictEqual((await resolveAssignee('CSC', matter)).id, 501);
+});
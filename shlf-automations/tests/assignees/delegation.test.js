@@ -0,0 +1,190 @@
+/**
+ * Out-of-Office Delegation Tests
+ *
+ * Clio and Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/assignees
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The job loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+const { findDelegate, planDelegationSync } = await import('../../src/utils/delegation.js');
+const { DelegationService } = await import('../../src/services/delegation.js');
+const { DelegationSyncJob } = await import('../../src/jobs/sync-delegations.js');
+const { resolveAssignee } = await import('../../src/utils/assignee-resolver.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { formatForClio, getZonedNow } = await import('../../src/utils/date-helpers.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+
+const today = formatForClio(getZonedNow());
+const daysFromToday = (days) => {
+  const date = new Date(`${today}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// In-memory Supabase
+let delegations = [];
+const tasks = new Map();
+const moved = [];
+const errors = [];
+SupabaseService.getAssigneeBalancingRules = async () => null;
+SupabaseService.getAssigneeDelegations = async () => delegations.filter(d => d.active !== false);
+SupabaseService.getDelegationsForSync = async () => delegations;
+SupabaseService.updateDelegation = async (id, updates) => { Object.assign(delegations.find(d => d.id === id), updates); };
+SupabaseService.getOpenTasksByAssignee = async (userId) =>
+  [...tasks.values()].filter(t => t.assigned_user_id === userId && !t.completed && t.status !== 'deleted');
+SupabaseService.updateTask = async (taskId, updates) => { Object.assign(tasks.get(taskId), updates); };
+SupabaseService.recordDelegatedTask = async (row) => { moved.push({ id: moved.length + 1, restored_at: null, ...row }); };
+SupabaseService.getDelegatedTasks = async (delegationId) => moved.filter(m => m.delegation_id === delegationId && !m.restored_at);
+SupabaseService.updateDelegatedTask = async (id, updates) => { Object.assign(moved.find(m => m.id === id), updates); };
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+SupabaseService.getAssigneeByLocation = async () => ({ id: 501, name: 'CSC Naples' });
+
+// In-memory Clio (task ID → {status, assignee})
+const clioTasks = new Map();
+ClioService.getTask = async (taskId) => {
+  if (!clioTasks.has(taskId)) throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+  return { id: taskId, ...clioTasks.get(taskId) };
+};
+ClioService.updateTask = async (taskId, updates) => {
+  if (!clioTasks.has(taskId)) throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+  if (updates.assignee) clioTasks.get(taskId).assignee = { id: updates.assignee.id };
+  return { id: taskId };
+};
+
+const leave = (id, userId, delegateId, overrides = {}) => ({
+  id,
+  user_id: userId,
+  user_name: `User ${userId}`,
+  delegate_user_id: delegateId,
+  delegate_user_name: `User ${delegateId}`,
+  start_date: daysFromToday(-1),
+  end_date: daysFromToday(5),
+  active: true,
+  reassigned_at: null,
+  restored_at: null,
+  ...overrides,
+});
+const openTask = (taskId, userId, overrides = {}) => {
+  tasks.set(taskId, { task_id: taskId, matter_id: 1, assigned_user_id: userId, assigned_user: `User ${userId}`, completed: false, status: 'pending', ...overrides });
+  clioTasks.set(taskId, { status: 'pending', assignee: { id: userId } });
+};
+
+const reset = async () => {
+  delegations = [];
+  tasks.clear();
+  clioTasks.clear();
+  moved.length = 0;
+  errors.length = 0;
+  await DelegationService.getDelegations(null, true);
+};
+
+beforeEach(reset);
+
+test('follows delegate chains and stops at loops', () => {
+  const rows = [leave(1, 10, 20), leave(2, 20, 30), leave(3, 30, 10)];
+  assert.deepStrictEqual(findDelegate(rows.slice(0, 2), 10, today), { delegate: { id: 30, name: 'User 30' }, delegations: [1, 2] });
+  assert.strictEqual(findDelegate(rows, 10, today).delegate.id, 30, 'the loop back to 10 is ignored');
+  assert.strictEqual(findDelegate(rows, 99, today), null);
+  assert.strictEqual(findDelegate([leave(4, 10, 20, { start_date: daysFromToday(1) })], 10, today), null, 'future leave');
+});
+
+test('plans reassignments and restores', () => {
+  const rows = [
+    leave(1, 10, 20),
+    leave(2, 11, 20, { reassigned_at: 'x' }),
+    leave(3, 12, 20, { end_date: daysFromToday(-1), reassigned_at: 'x' }),
+    leave(4, 13, 20, { active: false, reassigned_at: 'x' }),
+    leave(5, 14, 20, { end_date: daysFromToday(-1), reassigned_at: 'x', restored_at: 'y' }),
+    leave(6, 15, 20, { start_date: daysFromToday(2) }),
+  ];
+  const { toReassign, toRestore } = planDelegationSync(rows, today);
+  assert.deepStrictEqual(toReassign.map(d => d.id), [1]);
+  assert.deepStrictEqual(toRestore.map(d => d.id), [3, 4]);
+});
+
+test('resolveAssignee hands an out-of-office user\'s task to the delegate', async () => {
+  delegations = [leave(1, 501, 601)];
+  await DelegationService.getDelegations(null, true);
+  const decisions = [];
+  const ctx = { logDecision: (name, input, output) => decisions.push({ name, input, output }) };
+
+  const assignee = await resolveAssignee('CSC', { id: 1, location: 'Naples' }, null, null, false, ctx);
+  assert.strictEqual(assignee.id, 601);
+  assert.deepStrictEqual(assignee.delegatedFrom, { id: 501, name: 'CSC Naples' });
+  assert.strictEqual(decisions[0].name, 'assignee_delegation');
+
+  assert.strictEqual((await resolveAssignee('357379471', { id: 1 })).id, 357379471, 'users not on leave are kept');
+});
+
+test('moves open tasks when a leave starts', async () => {
+  delegations = [leave(1, 10, 20)];
+  openTask(100, 10);
+  openTask(101, 10);
+  openTask(102, 11);
+  tasks.set(103, { task_id: 103, matter_id: 1, assigned_user_id: 10, completed: false, status: 'pending' }); // gone from Clio
+
+  const result = await DelegationSyncJob.run();
+  assert.deepStrictEqual([result.leavesStarted, result.tasksReassigned, result.tasksFailed], [1, 2, 0]);
+  assert.strictEqual(clioTasks.get(100).assignee.id, 20);
+  assert.strictEqual(tasks.get(101).assigned_user_id, 20);
+  assert.strictEqual(clioTasks.get(102).assignee.id, 11);
+  assert.strictEqual(tasks.get(103).status, 'deleted');
+  assert.deepStrictEqual(moved.map(m => [m.task_id, m.original_user_id, m.delegate_user_id]), [[100, 10, 20], [101, 10, 20]]);
+  assert.ok(delegations[0].reassigned_at);
+
+  const again = await DelegationSyncJob.run();
+  assert.strictEqual(again.leavesStarted, 0, 'each leave is reassigned once');
+});
+
+test('gives back only tasks still open and still with the delegate', async () => {
+  delegations = [leave(1, 10, 20)];
+  for (const taskId of [100, 101, 102, 103]) openTask(taskId, 10);
+  await DelegationSyncJob.run();
+
+  clioTasks.get(101).status = 'complete';
+  clioTasks.get(102).assignee = { id: 30 };
+  clioTasks.delete(103);
+  delegations[0].end_date = daysFromToday(-1);
+  await DelegationService.getDelegations(null, true);
+
+  const result = await DelegationSyncJob.run();
+  assert.strictEqual(result.leavesEnded, 1);
+  assert.deepStrictEqual(
+    [result.results[0].restored, result.results[0].completed, result.results[0].reassigned, result.results[0].deleted],
+    [1, 1, 1, 1]
+  );
+  assert.strictEqual(clioTasks.get(100).assignee.id, 10);
+  assert.strictEqual(tasks.get(100).assigned_user_id, 10);
+  assert.strictEqual(clioTasks.get(102).assignee.id, 30);
+  assert.deepStrictEqual(moved.map(m => m.restore_status), ['restored', 'completed', 'reassigned', 'deleted']);
+  assert.ok(delegations[0].restored_at);
+});
+
+test('failed tasks are logged and retried on the next run', async () => {
+  delegations = [leave(1, 10, 20)];
+  openTask(100, 10);
+  const updateTask = ClioService.updateTask;
+  ClioService.updateTask = async () => { throw new Error('Clio is down'); };
+
+  try {
+    const result = await DelegationSyncJob.run();
+    assert.strictEqual(result.tasksFailed, 1);
+    assert.strictEqual(delegations[0].reassigned_at, null);
+    assert.deepStrictEqual(errors.map(e => e.code), [ERROR_CODES.DELEGATION_SYNC_FAILED]);
+  } finally {
+    ClioService.updateTask = updateTask;
+  }
+
+  const retry = await DelegationSyncJob.run();
+  assert.strictEqual(retry.tasksReassigned, 1);
+  assert.ok(delegations[0].reassigned_at);
+});
@@ -0,0 +1,178 @@
+/**
+ * Task Backfill Tests
+ *
+ * Clio and Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/backfill
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The service loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+const { normalizeTitle, parseTaskNumber, matchesBackfillFilter, matchTasksToTemplates } = await import('../../src/utils/task-backfill.js');
+const { TaskBackfillService } = await import('../../src/services/task-backfill.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+
+const STAGE = { id: 10, name: 'Drafting' };
+const templates = [
+  { id: 1, task_number: 1, task_title: 'Send engagement letter', version: 2 },
+  { id: 2, task_number: 2, task_title: 'Draft will' },
+  { id: 3, task_number: 3, task_title: 'Schedule signing' },
+];
+
+// In-memory Supabase
+let rows = [];
+const history = [];
+const matterInfo = [];
+let generatesTasks = true;
+SupabaseService.getPracticeAreaConfig = async () => ({
+  template_table: 'task-list-non-meeting',
+  stage_ids: null,
+  flags: { generate_stage_tasks: generatesTasks },
+});
+SupabaseService.getTaskListByTable = async (table, stageId) => (stageId === STAGE.id ? templates.map(t => ({ ...t, template_table: table })) : []);
+SupabaseService.getTasksByMatter = async (matterId) => rows.filter(r => r.matter_id === matterId);
+SupabaseService.getMatterHistory = async (matterId) => history.find(h => h.matter_id === matterId) || null;
+SupabaseService.insertTask = async (row) => {
+  if (row.task_id === 666) throw new Error('insert failed');
+  rows.push(row);
+  return row;
+};
+SupabaseService.upsertMatterInfo = async (row) => { matterInfo.push(row); };
+SupabaseService.insertMatterHistory = async (row) => { history.push(row); };
+
+// In-memory Clio
+let matters = [];
+const clioTasks = new Map();
+ClioService.getMatters = async () => ({ matters, next: null });
+ClioService.getMatter = async (matterId) => matters.find(m => m.id === matterId);
+ClioService.getTasksByMatter = async (matterId) => clioTasks.get(matterId) || [];
+
+const matter = (id, overrides = {}) => ({
+  id,
+  display_number: `M-${id}`,
+  status: 'Open',
+  open_date: '2025-03-01',
+  matter_stage: STAGE,
+  matter_stage_updated_at: '2025-06-01T14:00:00Z',
+  practice_area: { id: 45045123, name: 'Estate Planning' },
+  ...overrides,
+});
+const clioTask = (id, name, overrides = {}) => ({
+  id,
+  name,
+  status: 'pending',
+  due_at: '2025-06-10',
+  assignee: { id: 7, name: 'Paralegal' },
+  created_at: '2025-06-01T15:00:00Z',
+  ...overrides,
+});
+
+const reset = () => {
+  rows = [];
+  history.length = 0;
+  matterInfo.length = 0;
+  matters = [];
+  clioTasks.clear();
+  generatesTasks = true;
+};
+
+beforeEach(reset);
+
+test('normalizes titles and reads task numbers', () => {
+  assert.strictEqual(normalizeTitle('  Send Engagement-Letter! '), 'send engagement letter');
+  assert.strictEqual(parseTaskNumber('3. Schedule signing'), 3);
+  assert.strictEqual(parseTaskNumber('#12 - Call client'), 12);
+  assert.strictEqual(parseTaskNumber('Task 4: Review'), 4);
+  assert.strictEqual(parseTaskNumber('Draft will'), null);
+});
+
+test('filters matters by stage, practice area and open date', () => {
+  const m = matter(1);
+  assert.ok(matchesBackfillFilter(m, {}));
+  assert.ok(matchesBackfillFilter(m, { stageIds: [10, 11], practiceAreaNames: ['estate planning'] }));
+  assert.ok(!matchesBackfillFilter(m, { stageNames: ['Funding'] }));
+  assert.ok(!matchesBackfillFilter(m, { practiceAreaIds: [1] }));
+  assert.ok(matchesBackfillFilter(m, { openedFrom: '2025-03-01', openedTo: '2025-03-31' }));
+  assert.ok(!matchesBackfillFilter(m, { openedFrom: '2025-03-02' }));
+  assert.ok(!matchesBackfillFilter(matter(2, { open_date: null }), { openedTo: '2025-12-31' }));
+});
+
+test('matches by title, then task number; reports leftovers and duplicates', () => {
+  const result = matchTasksToTemplates([
+    clioTask(100, 'send engagement letter'),
+    clioTask(101, '2. Draft the will (revised)'),
+    clioTask(102, 'Send Engagement Letter', { status: 'complete' }),
+    clioTask(103, 'Call the bank'),
+  ], templates);
+
+  assert.deepStrictEqual(result.matches.map(m => [m.template.task_number, m.clioTask.id, m.matchedBy]), [[1, 100, 'title'], [2, 101, 'task_number']]);
+  assert.deepStrictEqual(result.duplicates.map(d => d.clioTask.id), [102], 'the open task wins');
+  assert.deepStrictEqual(result.unmatchedTasks.map(t => t.id), [103]);
+  assert.deepStrictEqual(result.unmatchedTemplates.map(t => t.task_number), [3]);
+});
+
+test('dry run reports without writing', async () => {
+  matters = [matter(1)];
+  clioTasks.set(1, [clioTask(100, 'Send engagement letter'), clioTask(101, 'Draft will', { status: 'complete' })]);
+
+  const summary = await TaskBackfillService.run({ stageIds: [10] });
+  assert.deepStrictEqual([summary.apply, summary.mattersBackfilled, summary.tasksMatched, summary.tasksImported, summary.templatesUnmatched], [false, 1, 2, 0, 1]);
+  assert.strictEqual(summary.matters[0].action, 'would_import');
+  assert.strictEqual(summary.matters[0].stageRecorded, false);
+  assert.deepStrictEqual([rows.length, history.length], [0, 0]);
+});
+
+test('imports matched tasks and records the stage', async () => {
+  matters = [matter(1), matter(2, { practice_area: { id: 1, name: 'Probate' } })];
+  clioTasks.set(1, [clioTask(100, 'Send engagement letter'), clioTask(101, 'Draft will', { status: 'complete', due_at: '2025-06-12T00:00:00Z' })]);
+
+  const summary = await TaskBackfillService.run({ practiceAreaNames: ['Estate Planning'] }, { apply: true });
+  assert.deepStrictEqual([summary.mattersScanned, summary.mattersMatched, summary.tasksImported], [2, 1, 2]);
+
+  const [letter, will] = rows;
+  assert.deepStrictEqual(
+    [letter.task_id, letter.matter_id, letter.stage_id, letter.task_number, letter.status, letter.completed, letter.assigned_user_id, letter.template_id, letter.template_version],
+    [100, 1, 10, 1, 'pending', false, 7, 1, 2]
+  );
+  assert.deepStrictEqual([will.status, will.completed, will.due_date, will.task_date_generated], ['completed', true, '2025-06-12', '2025-06-01T15:00:00Z']);
+  assert.strictEqual(history[0].date, '2025-06-01T14:00:00Z', 'history is dated when the matter entered the stage');
+  assert.strictEqual(history[0].source, 'Task Backfill');
+  assert.strictEqual(matterInfo[0].stage_id, 10);
+
+  const again = await TaskBackfillService.run({ matterIds: [1] }, { apply: true });
+  assert.strictEqual(again.matters[0].reason, 'nothing_to_import', 'tracked tasks and covered templates are left out');
+  assert.strictEqual(rows.length, 2);
+});
+
+test('skips matters without stage tasks and keeps going after failures', async () => {
+  matters = [matter(1, { matter_stage: null }), matter(2), matter(3)];
+  clioTasks.set(2, [clioTask(666, 'Draft will')]);
+  clioTasks.set(3, [clioTask(300, 'Draft will')]);
+  history.push({ matter_id: 3, stage_id: 10 });
+  ClioService.getTasksByMatter = async (matterId) => {
+    if (matterId === 3) throw new Error('Clio is down');
+    return clioTasks.get(matterId) || [];
+  };
+
+  try {
+    const summary = await TaskBackfillService.run({ stageIds: [] }, { apply: true });
+    assert.strictEqual(summary.matters[0].reason, 'no_stage');
+    assert.strictEqual(summary.matters[1].tasks[0].error, 'insert failed');
+    assert.strictEqual(summary.tasksImported, 0);
+    assert.deepStrictEqual(summary.failures, [{ matterId: 3, error: 'Clio is down' }]);
+  } finally {
+    ClioService.getTasksByMatter = async (matterId) => clioTasks.get(matterId) || [];
+  }
+
+  generatesTasks = false;
+  matters = [matter(4)];
+  const skipped = await TaskBackfillService.run({}, { apply: true });
+  assert.strictEqual(skipped.matters[0].reason, 'no_stage_tasks');
+});
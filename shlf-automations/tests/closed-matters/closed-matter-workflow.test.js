@@ -0,0 +1,212 @@
+/**
+ * Closed Matter Workflow Tests
+ *
+ * Clio and Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/closed-matters
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The automation loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.TEST_MODE = 'false';
+
+const { ClosedMatterWorkflowService, DEFAULT_CLOSED_MATTER_WORKFLOW } = await import('../../src/services/closed-matter-workflow.js');
+const { MatterClosedAutomation } = await import('../../src/automations/matter-closed.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+
+// In-memory Supabase
+const events = new Map();
+const tasks = new Map();
+const errors = [];
+const closures = [];
+let workflows = null;
+let checklists = {};
+SupabaseService.checkWebhookProcessed = async (key) => events.get(key) || null;
+SupabaseService.recordWebhookProcessed = async (row) => { events.set(row.idempotency_key, { ...row }); };
+SupabaseService.updateWebhookProcessed = async (key, updates) => { Object.assign(events.get(key), updates); };
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+SupabaseService.getFirmHolidays = async () => [];
+SupabaseService.getClosedMatterWorkflows = async () => workflows;
+SupabaseService.getClosingChecklistTemplates = async (workflowId) => checklists[workflowId] || [];
+SupabaseService.getOpenTasksByMatter = async (matterId) =>
+  [...tasks.values()].filter(t => t.matter_id === matterId && !t.completed && t.status !== 'deleted');
+SupabaseService.insertTask = async (row) => { tasks.set(row.task_id, { status: 'pending', ...row }); };
+SupabaseService.updateTask = async (taskId, updates) => { Object.assign(tasks.get(taskId), updates); };
+SupabaseService.recordMatterClosure = async (row) => { closures.push(row); return { id: closures.length }; };
+SupabaseService.getAssigneeByLocation = async () => ({ id: 501, name: 'CSC Naples' });
+SupabaseService.getAssigneeByAttorneyId = async () => ({ id: 502, name: 'Paralegal' });
+SupabaseService.getAssigneeBalancingRules = async () => null;
+SupabaseService.getAssigneeDelegations = async () => null;
+SupabaseService.insertMatterHistory = async (row) => row;
+
+// In-memory Clio
+const matter = {
+  id: 1,
+  display_number: '00123-Smith',
+  status: 'Closed',
+  location: 'Naples',
+  practice_area: { id: 45045123 },
+  matter_stage: { id: 828783, name: 'Drafting' },
+  responsible_attorney: { id: 7, name: 'Attorney' },
+};
+let bills = [];
+let nextTaskId = 1000;
+const clio = { created: [], updated: [], deleted: [] };
+const missingInClio = new Set();
+ClioService.getMatter = async () => matter;
+ClioService.getBillsByMatter = async () => bills;
+ClioService.createTask = async (data) => {
+  const task = { id: nextTaskId++, name: data.name, description: data.description };
+  clio.created.push({ ...data, id: task.id });
+  return task;
+};
+ClioService.updateTask = async (taskId, updates) => { clio.updated.push({ taskId, ...updates }); return { id: taskId }; };
+ClioService.deleteTask = async (taskId) => {
+  if (missingInClio.has(taskId)) throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+  clio.deleted.push(taskId);
+};
+
+const openTask = (taskId, overrides = {}) => tasks.set(taskId, {
+  task_id: taskId, task_name: `Task ${taskId}`, matter_id: 1, completed: false, status: 'pending', calendar_entry_id: null, ...overrides,
+});
+
+let webhookCount = 0;
+const close = () => MatterClosedAutomation.process({
+  id: `wh-${++webhookCount}`,
+  data: { id: 1, status: 'Closed', updated_at: `2026-10-19T12:00:0${webhookCount}Z` },
+});
+
+const reset = async () => {
+  events.clear();
+  tasks.clear();
+  errors.length = 0;
+  closures.length = 0;
+  clio.created.length = clio.updated.length = clio.deleted.length = 0;
+  missingInClio.clear();
+  bills = [];
+  workflows = null;
+  checklists = {};
+  await ClosedMatterWorkflowService.getWorkflows(null, true);
+};
+
+beforeEach(reset);
+
+test('summarizes payments and outstanding bills', () => {
+  const summary = ClosedMatterWorkflowService.summarizeBills([
+    { id: 1, paid: '100.00', balance: '0', status: 'paid' },
+    { id: 2, paid: '0', balance: '250.505', status: 'awaiting_payment' },
+    { id: 3, paid: '0', balance: '99', status: 'void' },
+    { id: 4, paid: '0', balance: '10', status: 'draft' },
+  ]);
+  assert.deepStrictEqual(summary, { billCount: 4, hasPayments: true, billsOutstanding: 2, balanceOutstanding: 260.51 });
+});
+
+test('picks the practice area workflow, then the default', async () => {
+  workflows = [
+    { id: 1, name: 'Default', practice_area_id: null },
+    { id: 2, name: 'Probate', practice_area_id: 45045111 },
+  ];
+  await ClosedMatterWorkflowService.getWorkflows(null, true);
+  assert.strictEqual((await ClosedMatterWorkflowService.getWorkflow(45045111)).id, 2);
+  assert.strictEqual((await ClosedMatterWorkflowService.getWorkflow(999)).id, 1);
+
+  workflows = null;
+  await ClosedMatterWorkflowService.getWorkflows(null, true);
+  assert.strictEqual(await ClosedMatterWorkflowService.getWorkflow(45045111), DEFAULT_CLOSED_MATTER_WORKFLOW);
+});
+
+test('plans calendar-linked tasks with their own action', () => {
+  const plan = ClosedMatterWorkflowService.planTaskClosures(
+    { open_task_action: 'complete', calendar_task_action: 'none' },
+    [{ task_id: 1 }, { task_id: 2, calendar_entry_id: 55 }]
+  );
+  assert.deepStrictEqual(plan, [{ task: { task_id: 1 }, action: 'complete' }]);
+});
+
+test('built-in workflow keeps the previous behavior', async () => {
+  openTask(10);
+
+  const result = await close();
+  assert.strictEqual(result.action, 'closure_processed');
+  assert.strictEqual(result.tasks_outstanding, 1);
+  assert.strictEqual(result.tasks_created, 1);
+  assert.strictEqual(clio.created[0].name, 'Client did not engage');
+  assert.strictEqual(clio.created[0].assignee.id, 501);
+  assert.strictEqual(tasks.get(10).status, 'pending', 'open tasks are left alone');
+
+  const [closure] = closures;
+  assert.strictEqual(closure.has_payments, false);
+  assert.strictEqual(closure.workflow_id, null);
+  assert.strictEqual(closure.tasks_created, 1);
+});
+
+test('completes, deletes and creates the checklist per workflow', async () => {
+  workflows = [{ id: 3, name: 'Estate Planning', practice_area_id: 45045123, open_task_action: 'complete', calendar_task_action: 'delete', no_payment_task: false }];
+  checklists = {
+    3: [
+      { id: 1, task_number: 1, task_title: 'Send closing letter', assignee: 'ATTORNEY', 'due_date-value': 2, 'due_date-time-relation': 'business days' },
+      { id: 2, task_number: 2, task_title: 'Archive documents', assignee: 'PARALEGAL', 'due_date-value': 5, 'due_date-time-relation': 'days' },
+    ],
+  };
+  bills = [{ id: 1, paid: '0', balance: '500', status: 'awaiting_payment' }];
+  await ClosedMatterWorkflowService.getWorkflows(null, true);
+  openTask(10);
+  openTask(11, { calendar_entry_id: 77 });
+  openTask(12, { calendar_entry_id: 78 });
+  missingInClio.add(12);
+
+  const result = await close();
+  assert.strictEqual(result.action, 'closure_processed');
+  assert.deepStrictEqual(
+    [result.tasks_outstanding, result.tasks_completed, result.tasks_deleted, result.tasks_created],
+    [3, 1, 2, 2]
+  );
+  assert.strictEqual(result.bills_outstanding, 1);
+  assert.strictEqual(result.balance_outstanding, 500);
+
+  assert.deepStrictEqual(clio.updated, [{ taskId: 10, status: 'complete' }]);
+  assert.ok(tasks.get(10).closed_with_matter_at, 'completed tasks are flagged so follow-ups are skipped');
+  assert.deepStrictEqual(clio.deleted, [11]);
+  assert.strictEqual(tasks.get(12).status, 'deleted');
+
+  assert.deepStrictEqual(clio.created.map(t => [t.name, t.assignee.id]), [['Send closing letter', 7], ['Archive documents', 502]]);
+  assert.ok(!clio.created.some(t => t.name === 'Client did not engage'));
+  assert.strictEqual(tasks.get(clio.created[0].id).stage_name, 'Closing Checklist');
+});
+
+test('task failures are reported without stopping the closure', async () => {
+  workflows = [{ id: 4, name: 'Default', practice_area_id: null, open_task_action: 'complete', calendar_task_action: 'none', no_payment_task: false }];
+  checklists = { 4: [{ id: 1, task_number: 1, task_title: 'Bad assignee', assignee: 'NOBODY' }] };
+  await ClosedMatterWorkflowService.getWorkflows(null, true);
+  openTask(20);
+  const updateTask = ClioService.updateTask;
+  ClioService.updateTask = async () => { throw new Error('Clio is down'); };
+
+  try {
+    const result = await close();
+    assert.strictEqual(result.action, 'closure_partial_failure');
+    assert.strictEqual(result.tasks_failed, 2);
+    assert.strictEqual(tasks.get(20).status, 'pending', 'Supabase change is reverted');
+    assert.strictEqual(tasks.get(20).closed_with_matter_at, null);
+    assert.deepStrictEqual(errors.map(e => e.code), [ERROR_CODES.CLOSED_MATTER_CLEANUP_FAILED, ERROR_CODES.ASSIGNEE_INVALID_TYPE]);
+    assert.strictEqual(closures[0].tasks_failed, 2);
+  } finally {
+    ClioService.updateTask = updateTask;
+  }
+});
+
+test('payments skip the "Client did not engage" task', async () => {
+  bills = [{ id: 1, paid: '300', balance: '0', status: 'paid' }];
+
+  const result = await close();
+  assert.strictEqual(result.has_payments, true);
+  assert.strictEqual(result.tasks_created, 0);
+  assert.strictEqual(clio.created.length, 0);
+});
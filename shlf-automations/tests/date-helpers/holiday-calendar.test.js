@@ -0,0 +1,116 @@
+/**
+ * Holiday Calendar / Business Day Tests
+ *
+ * Built-in holidays are pure date math; firm holidays come from a stubbed
+ * SupabaseService.getFirmHolidays (loaded with ensureHolidayCalendar).
+ *
+ * Run: npm test -- tests/date-helpers
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The calendar loads the Supabase client; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TIMEZONE = 'America/New_York';
+
+const { getBuiltInHolidays, ensureHolidayCalendar, getHoliday, isBusinessDay } = await import('../../src/utils/holiday-calendar.js');
+const { calculateDueDate, addBusinessDays, shiftToBusinessDay, formatForClio } = await import('../../src/utils/date-helpers.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+
+let firmHolidays = [];
+SupabaseService.getFirmHolidays = async () => firmHolidays;
+
+const day = (iso) => new Date(`${iso}T12:00:00`);
+
+const template = (value, relation, overrides = {}) => ({
+  'due_date-value': value,
+  'due_date-time-relation': 'days',
+  'due_date-relational': relation,
+  ...overrides,
+});
+
+beforeEach(async () => {
+  firmHolidays = [];
+  await ensureHolidayCalendar(null, true);
+});
+
+test('fixed-date holidays on a weekend are observed Friday or Monday', () => {
+  // July 4, 2026 is a Saturday; Christmas 2022 a Sunday
+  assert.strictEqual(getBuiltInHolidays(2026).get('2026-07-03'), 'Independence Day');
+  assert.ok(!getBuiltInHolidays(2026).has('2026-07-04'));
+  assert.strictEqual(getBuiltInHolidays(2022).get('2022-12-26'), 'Christmas Day');
+
+  // New Year's Day 2022 (Saturday) is observed on Dec 31 of the year before
+  assert.strictEqual(getBuiltInHolidays(2021).get('2021-12-31'), "New Year's Day");
+});
+
+test('floating holidays include the day after Thanksgiving', () => {
+  const holidays = getBuiltInHolidays(2026);
+
+  assert.strictEqual(holidays.get('2026-11-26'), 'Thanksgiving Day');
+  assert.strictEqual(holidays.get('2026-11-27'), 'Day after Thanksgiving');
+  assert.strictEqual(holidays.get('2026-09-07'), 'Labor Day');
+  assert.strictEqual(holidays.get('2026-05-25'), 'Memorial Day');
+});
+
+test('firm holidays add closures and closed = false re-opens a built-in holiday', async () => {
+  firmHolidays = [
+    { holiday_date: '2026-10-12', name: 'Columbus Day', closed: false },
+    { holiday_date: '2026-12-24', name: 'Christmas Eve', closed: true },
+  ];
+  await ensureHolidayCalendar(null, true);
+
+  assert.strictEqual(getHoliday(day('2026-10-12')), null);
+  assert.ok(isBusinessDay(day('2026-10-12')));
+  assert.strictEqual(getHoliday(day('2026-12-24')), 'Christmas Eve');
+  assert.ok(!isBusinessDay(day('2026-12-24')));
+});
+
+test('keeps the last firm calendar when Supabase is unavailable', async () => {
+  firmHolidays = [{ holiday_date: '2026-12-24', name: 'Christmas Eve' }];
+  await ensureHolidayCalendar(null, true);
+  SupabaseService.getFirmHolidays = async () => { throw new Error('connection refused'); };
+
+  try {
+    await ensureHolidayCalendar(null, true);
+    assert.strictEqual(getHoliday(day('2026-12-24')), 'Christmas Eve');
+  } finally {
+    SupabaseService.getFirmHolidays = async () => firmHolidays;
+  }
+});
+
+test('business days skip weekends and holidays in both directions', () => {
+  // Friday before Labor Day weekend -> Tuesday after it
+  assert.strictEqual(formatForClio(addBusinessDays(day('2026-09-04'), 1)), '2026-09-08');
+  assert.strictEqual(formatForClio(addBusinessDays(day('2026-09-08'), -1)), '2026-09-04');
+
+  assert.strictEqual(formatForClio(shiftToBusinessDay(day('2026-09-07'))), '2026-09-08');
+  assert.strictEqual(formatForClio(shiftToBusinessDay(day('2026-09-07'), -1)), '2026-09-04');
+});
+
+test('the due_date_business_days flag counts business days', () => {
+  // Friday 2026-10-16, 10:00 EDT
+  const friday = new Date('2026-10-16T14:00:00Z');
+
+  const calendar = calculateDueDate(template(3, 'after creation'), friday);
+  const business = calculateDueDate(template(3, 'after creation', { due_date_business_days: true }), friday);
+
+  assert.strictEqual(formatForClio(calendar), '2026-10-19');
+  assert.strictEqual(formatForClio(business), '2026-10-21');
+});
+
+test('"after" due dates on a non-business day move later', () => {
+  // Thursday before Labor Day + 4 days = Labor Day (Monday)
+  const due = calculateDueDate(template(4, 'after meeting'), new Date('2026-09-03T14:00:00Z'));
+
+  assert.strictEqual(formatForClio(due), '2026-09-08');
+});
+
+test('"before meeting" due dates on a non-business day move earlier', () => {
+  // Meeting Tuesday after Labor Day; 1 day before is the holiday -> the Friday before
+  const due = calculateDueDate(template(1, 'before meeting'), new Date('2026-09-08T14:00:00Z'));
+
+  assert.strictEqual(formatForClio(due), '2026-09-04');
+});
@@ -0,0 +1,117 @@
+/**
+ * Timezone / DST Tests for date-helpers
+ *
+ * Pure date math - no Clio or Supabase calls.
+ * Covers EST/EDT transitions for hour-based "before meeting" templates,
+ * late-evening references, per-office timezones and ISO offsets for Clio.
+ *
+ * Run: npm test -- tests/date-helpers
+ */
+
+import assert from 'assert';
+import { test } from 'node:test';
+
+// date-helpers loads the Supabase client through the holiday calendar; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TIMEZONE = 'America/New_York';
+process.env.OFFICE_TIMEZONES = JSON.stringify({ Pensacola: 'America/Chicago' });
+
+const {
+  calculateDueDate,
+  formatForClio,
+  formatDateTimeForClio,
+  getOfficeTimezone,
+  getTimezoneOffsetMinutes,
+  toZonedTime,
+} = await import('../../src/utils/date-helpers.js');
+
+const NY = 'America/New_York';
+
+const hoursBeforeMeeting = (hours) => ({
+  'due_date-value': hours,
+  'due_date-time-relation': 'hours',
+  'due_date-relational': 'before meeting',
+});
+
+const daysAfterCreation = (days) => ({
+  'due_date-value': days,
+  'due_date-time-relation': 'days',
+  'due_date-relational': 'after creation',
+});
+
+// DST starts Sunday 2026-03-08 02:00 EST -> 03:00 EDT
+test('offset is EST before spring-forward and EDT after', () => {
+  assert.strictEqual(getTimezoneOffsetMinutes(new Date('2026-03-08T06:59:00Z'), NY), -300);
+  assert.strictEqual(getTimezoneOffsetMinutes(new Date('2026-03-08T07:00:00Z'), NY), -240);
+});
+
+test('wall clock skips 02:00-03:00 on spring-forward', () => {
+  const before = toZonedTime(new Date('2026-03-08T06:59:00Z'), NY);
+  const after = toZonedTime(new Date('2026-03-08T07:00:00Z'), NY);
+  assert.strictEqual(`${before.getHours()}:${before.getMinutes()}`, '1:59');
+  assert.strictEqual(`${after.getHours()}:${after.getMinutes()}`, '3:0');
+});
+
+// DST ends Sunday 2026-11-01 02:00 EDT -> 01:00 EST
+test('offset is EDT before fall-back and EST after', () => {
+  assert.strictEqual(getTimezoneOffsetMinutes(new Date('2026-11-01T05:59:00Z'), NY), -240);
+  assert.strictEqual(getTimezoneOffsetMinutes(new Date('2026-11-01T06:00:00Z'), NY), -300);
+});
+
+test('before meeting (hours): just-after-midnight EDT meeting lands on previous day', () => {
+  // Tue 2026-03-10 00:30 EDT = 04:30Z; 2 hours before = Mon 22:30 EDT
+  const due = calculateDueDate(hoursBeforeMeeting(2), new Date('2026-03-10T04:30:00Z'), 'meeting');
+  assert.strictEqual(formatForClio(due), '2026-03-09');
+});
+
+test('before meeting (hours): late-evening EST meeting keeps its local date', () => {
+  // Thu 2026-11-05 23:30 EST = Fri 04:30Z; 1 hour before = Thu 22:30 EST
+  const due = calculateDueDate(hoursBeforeMeeting(1), new Date('2026-11-06T04:30:00Z'), 'meeting');
+  assert.strictEqual(formatForClio(due), '2026-11-05');
+});
+
+test('before meeting (hours): window spanning spring-forward counts elapsed hours', () => {
+  // Mon 2026-03-09 09:00 EDT = 13:00Z; 36 hours before = 01:00Z = Sat 2026-03-07 20:00 EST -> weekend -> Fri
+  const due = calculateDueDate(hoursBeforeMeeting(36), new Date('2026-03-09T13:00:00Z'), 'meeting');
+  assert.strictEqual(formatForClio(due), '2026-03-06');
+  // Thu 2026-03-12 09:00 EDT = 13:00Z; 72 hours before = Mon 2026-03-09 09:00 EDT
+  const due72 = calculateDueDate(hoursBeforeMeeting(72), new Date('2026-03-12T13:00:00Z'), 'meeting');
+  assert.strictEqual(formatForClio(due72), '2026-03-09');
+});
+
+test('before meeting (hours): window spanning fall-back counts elapsed hours', () => {
+  // Tue 2026-11-03 00:30 EST = 05:30Z; 48 hours before = Sun 2026-11-01 01:30 EDT (05:30Z) -> weekend -> Fri
+  const due = calculateDueDate(hoursBeforeMeeting(48), new Date('2026-11-03T05:30:00Z'), 'meeting');
+  assert.strictEqual(formatForClio(due), '2026-10-30');
+});
+
+test('after creation (days): late evening uses the local date in winter and summer', () => {
+  // Wed 2026-01-14 23:30 EST = Thu 04:30Z
+  assert.strictEqual(formatForClio(calculateDueDate(daysAfterCreation(1), new Date('2026-01-15T04:30:00Z'))), '2026-01-15');
+  // Wed 2026-07-15 23:30 EDT = Thu 03:30Z
+  assert.strictEqual(formatForClio(calculateDueDate(daysAfterCreation(1), new Date('2026-07-16T03:30:00Z'))), '2026-07-16');
+});
+
+test('after creation (days): day offsets across spring-forward stay on calendar days', () => {
+  // Fri 2026-03-06 09:00 EST + 3 days = Mon 2026-03-09
+  assert.strictEqual(formatForClio(calculateDueDate(daysAfterCreation(3), new Date('2026-03-06T14:00:00Z'))), '2026-03-09');
+});
+
+test('per-office timezone overrides the default', () => {
+  assert.strictEqual(getOfficeTimezone('Pensacola'), 'America/Chicago');
+  assert.strictEqual(getOfficeTimezone('123 Main St, Pensacola, FL'), 'America/Chicago');
+  assert.strictEqual(getOfficeTimezone('Naples'), NY);
+  assert.strictEqual(getOfficeTimezone(null), NY);
+
+  // Wed 2026-01-14 23:30 CST = Thu 00:30 EST = 05:30Z
+  const reference = new Date('2026-01-15T05:30:00Z');
+  assert.strictEqual(formatForClio(calculateDueDate(daysAfterCreation(1), reference, 'creation', { timeZone: 'America/Chicago' })), '2026-01-15');
+  assert.strictEqual(formatForClio(calculateDueDate(daysAfterCreation(1), reference, 'creation', { timeZone: NY })), '2026-01-16');
+});
+
+test('formatDateTimeForClio uses the real UTC offset instead of Z', () => {
+  assert.strictEqual(formatDateTimeForClio(new Date('2026-01-15T15:00:00Z')), '2026-01-15T10:00:00-05:00');
+  assert.strictEqual(formatDateTimeForClio(new Date('2026-07-15T14:00:00Z')), '2026-07-15T10:00:00-04:00');
+  assert.strictEqual(formatDateTimeForClio(new Date('2026-07-15T15:00:00Z'), 'America/Chicago'), '2026-07-15T10:00:00-05:00');
+});
@@ -0,0 +1,166 @@
+/**
+ * Document Task Rule Tests
+ *
+ * Rule matching is pure; DocumentRuleService's Supabase reads are replaced
+ * with in-memory rules - no Clio or Supabase calls.
+ *
+ * Run: npm test -- tests/documents
+ */
+
+import assert from 'assert';
+import { test } from 'node:test';
+
+// The service loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+const {
+  DEFAULT_DOCUMENT_RULE,
+  describeDocument,
+  getFileType,
+  matchesRule,
+  renderRuleText,
+  selectRule,
+} = await import('../../src/utils/document-rules.js');
+const { DocumentRuleService } = await import('../../src/services/document-rules.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+
+const matter = {
+  id: 1,
+  display_number: '00123-Smith',
+  location: 'Naples',
+  practice_area: { id: 45045123 },
+  matter_stage: { id: 828783 },
+};
+
+const document = (name, folder = null, overrides = {}) => ({
+  id: 99,
+  name,
+  parent: folder ? { id: 5, name: folder, type: 'Folder' } : { id: 4, name: '00123-Smith', type: 'Folder' },
+  matter: { id: 1, display_number: '00123-Smith' },
+  ...overrides,
+});
+
+const rule = (id, overrides = {}) => ({
+  id,
+  name: `Rule ${id}`,
+  priority: 100,
+  create_task: true,
+  task_title: `Task ${id}`,
+  assignee_type: 'CSC',
+  due_value: 1,
+  due_unit: 'business days',
+  ...overrides,
+});
+
+let storedRules = [];
+let excludedFolders = [];
+SupabaseService.getDocumentTaskRules = async () => storedRules;
+SupabaseService.getExcludedFolders = async () => excludedFolders;
+
+test('describes root and subfolder documents', () => {
+  const root = describeDocument(document('Intake Form.PDF'), matter);
+  assert.deepStrictEqual(root, {
+    name: 'Intake Form.PDF',
+    folder: '00123-Smith',
+    inRoot: true,
+    fileType: 'pdf',
+    practiceAreaId: 45045123,
+    stageId: 828783,
+    matterNumber: '00123-Smith',
+  });
+
+  const nested = describeDocument(document('scan', 'Court Filings', { content_type: 'image/jpeg' }), matter);
+  assert.strictEqual(nested.inRoot, false);
+  assert.strictEqual(nested.folder, 'Court Filings');
+  assert.strictEqual(nested.fileType, 'jpeg');
+  assert.strictEqual(getFileType('notes'), null);
+});
+
+test('matches every condition a rule sets', () => {
+  const facts = describeDocument(document('Signed Trust Agreement.pdf', 'Signed Docs'), matter);
+
+  assert.ok(matchesRule(rule(1), facts), 'empty conditions match anything');
+  assert.ok(matchesRule(rule(1, { name_pattern: '*signed*' }), facts));
+  assert.ok(!matchesRule(rule(1, { name_pattern: 'signed' }), facts));
+  assert.ok(matchesRule(rule(1, { folder_pattern: 'signed*' }), facts));
+  assert.ok(matchesRule(rule(1, { in_root: false }), facts));
+  assert.ok(!matchesRule(rule(1, { in_root: true }), facts));
+  assert.ok(matchesRule(rule(1, { file_types: ['.PDF', 'docx'] }), facts));
+  assert.ok(!matchesRule(rule(1, { file_types: ['docx'] }), facts));
+  assert.ok(matchesRule(rule(1, { practice_area_ids: ['45045123'] }), facts));
+  assert.ok(!matchesRule(rule(1, { stage_ids: [1, 2] }), facts));
+  assert.ok(!matchesRule(rule(1, { name_pattern: '*signed*', stage_ids: [1] }), facts), 'all conditions must match');
+});
+
+test('selects the first match by priority, then id', () => {
+  const facts = describeDocument(document('Petition.pdf', 'Court Filings'), matter);
+  const rules = [
+    rule(3, { priority: 10, folder_pattern: 'Emails' }),
+    rule(2, { priority: 50 }),
+    rule(1, { priority: 50, folder_pattern: 'court*' }),
+    rule(4, { priority: 5, name_pattern: '*.docx' }),
+  ];
+
+  assert.strictEqual(selectRule(rules, facts).id, 1);
+  assert.strictEqual(selectRule([rule(5, { in_root: true })], facts), null);
+});
+
+test('the built-in rule keeps the previous root-folder behavior', () => {
+  assert.ok(matchesRule(DEFAULT_DOCUMENT_RULE, describeDocument(document('anything.docx'), matter)));
+  assert.ok(!matchesRule(DEFAULT_DOCUMENT_RULE, describeDocument(document('anything.docx', 'Drafts'), matter)));
+});
+
+test('renders placeholders in titles and descriptions', () => {
+  const facts = describeDocument(document('Petition.pdf', 'Court Filings'), matter);
+  assert.strictEqual(
+    renderRuleText('New filing in {folder} for {matter_number}: {document_name} {unknown}', facts),
+    'New filing in Court Filings for 00123-Smith: Petition.pdf {unknown}'
+  );
+  assert.strictEqual(renderRuleText(null, facts), '');
+});
+
+test('evaluate applies excluded folders before rules', async () => {
+  storedRules = [rule(1)];
+  excludedFolders = ['emails'];
+  await DocumentRuleService.getRules(null, true);
+
+  const excluded = await DocumentRuleService.evaluate(describeDocument(document('Re: hello.msg', 'Emails'), matter));
+  assert.deepStrictEqual(excluded, { rule: null, reason: 'excluded_folder' });
+
+  const matched = await DocumentRuleService.evaluate(describeDocument(document('Petition.pdf', 'Court Filings'), matter));
+  assert.strictEqual(matched.reason, 'matched');
+  assert.strictEqual(matched.rule.id, 1);
+});
+
+test('evaluate reports "no task" rules and misses', async () => {
+  storedRules = [rule(1, { name_pattern: 'scan*', create_task: false, task_title: null })];
+  excludedFolders = [];
+  await DocumentRuleService.getRules(null, true);
+
+  const noTask = await DocumentRuleService.evaluate(describeDocument(document('scan0001.pdf'), matter));
+  assert.strictEqual(noTask.reason, 'rule_creates_no_task');
+
+  const miss = await DocumentRuleService.evaluate(describeDocument(document('Will.pdf'), matter));
+  assert.deepStrictEqual(miss, { rule: null, reason: 'no_matching_rule' });
+});
+
+test('falls back to the built-in rule until the table exists', async () => {
+  storedRules = null;
+  const rules = await DocumentRuleService.getRules(null, true);
+  assert.deepStrictEqual(rules, [DEFAULT_DOCUMENT_RULE]);
+});
+
+test('builds the task from the rule', () => {
+  const facts = describeDocument(document('Intake.pdf'), matter);
+  const task = DocumentRuleService.buildTask(
+    rule(1, { task_title: 'Review intake', task_description: 'Review {document_name}', due_value: 0, due_unit: 'days' }),
+    facts,
+    matter
+  );
+
+  assert.strictEqual(task.name, 'Review intake');
+  assert.strictEqual(task.description, 'Review Intake.pdf');
+  assert.match(task.dueDate, /^\d{4}-\d{2}-\d{2}$/);
+});
@@ -0,0 +1,164 @@
+/**
+ * Dry-Run Tests
+ *
+ * Clio and Supabase writes are in-memory stubs; the write guards must divert
+ * them only inside runDryRun(). The admin dry-run route runs on a throwaway server.
+ *
+ * Run: npm test -- tests/dry-run
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+import express from 'express';
+import fs from 'fs';
+
+// Routes load the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+const {
+  runDryRun,
+  isDryRun,
+  writeMethods,
+  CLIO_WRITE_PREFIXES,
+  SUPABASE_WRITE_PREFIXES,
+} = await import('../../src/utils/dry-run.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { TaskVerificationService } = await import('../../src/services/task-verification.js');
+const { config } = await import('../../src/config/index.js');
+const { default: adminRoutes } = await import('../../src/routes/admin.js');
+
+// Real writes (must only happen outside a dry run)
+const writes = [];
+ClioService.createTask = async (taskData) => { writes.push(['clio.createTask', taskData.name]); return { id: 1 }; };
+ClioService.deleteTask = async (taskId) => { writes.push(['clio.deleteTask', taskId]); };
+SupabaseService.insertTask = async (task) => { writes.push(['supabase.insertTask', task.task_id]); };
+SupabaseService.checkWebhookProcessed = async () => ({ success: true, action: 'already_processed' });
+ClioService.getMatter = async (matterId) => ({ id: matterId, matter_stage: { id: 1, name: 'Intake' } });
+TaskVerificationService.scheduleVerification = async () => ({ scheduled: true });
+
+/**
+ * Names of the service methods whose source calls one of the given query/HTTP methods
+ */
+const methodsCalling = (file, calls) => {
+  const source = fs.readFileSync(new URL(`../../src/services/${file}`, import.meta.url), 'utf8');
+  const parts = source.split(/\n {2}static async (\w+)\(/);
+  const names = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    if (new RegExp(`\\.(${calls.join('|')})\\(`).test(parts[i + 1])) names.push(parts[i]);
+  }
+  return names;
+};
+
+/**
+ * POST to the admin API on a throwaway server
+ */
+const post = async (path, body, headers = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', adminRoutes);
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+const reset = () => {
+  writes.length = 0;
+  config.admin.apiKey = 'admin-secret';
+};
+
+beforeEach(reset);
+
+test('records writes made inside a dry run instead of executing them', async () => {
+  const preview = await runDryRun(async () => {
+    assert.ok(isDryRun());
+    const task = await ClioService.createTask({ name: 'Call client', matter: { id: 5 } }, null, { taskNumber: 1 });
+    await SupabaseService.insertTask({ task_id: task.id, task_number: 1 });
+    await ClioService.deleteTask(99);
+    return { action: 'tasks_generated' };
+  });
+
+  assert.deepStrictEqual(writes, []);
+  assert.strictEqual(preview.dryRun, true);
+  assert.strictEqual(preview.result.action, 'tasks_generated');
+  assert.deepStrictEqual(preview.tasksToCreate.map(t => [t.name, t.taskNumber]), [['Call client', 1]]);
+  assert.deepStrictEqual(preview.tasksToDelete, [{ taskId: 99 }]);
+  assert.deepStrictEqual(preview.supabaseWrites.map(w => w.method), ['insertTask']);
+});
+
+test('leaves writes outside a dry run untouched', async () => {
+  await runDryRun(async () => {});
+  assert.ok(!isDryRun());
+
+  await ClioService.createTask({ name: 'Real task' });
+  await SupabaseService.insertTask({ task_id: 1 });
+
+  assert.deepStrictEqual(writes, [['clio.createTask', 'Real task'], ['supabase.insertTask', 1]]);
+  assert.strictEqual((await SupabaseService.checkWebhookProcessed('key')).action, 'already_processed');
+});
+
+test('bypasses idempotency and verification and applies the simulated stage', async () => {
+  const preview = await runDryRun(async () => ({
+    processed: await SupabaseService.checkWebhookProcessed('key'),
+    verification: await TaskVerificationService.scheduleVerification({}),
+    matter: await ClioService.getMatter(5),
+  }), { matterStage: { id: 7, name: 'Drafting' } });
+
+  assert.strictEqual(preview.result.processed, null);
+  assert.strictEqual(preview.result.verification.scheduled, false);
+  assert.deepStrictEqual(preview.result.matter.matter_stage, { id: 7, name: 'Drafting' });
+});
+
+test('concurrent work outside the dry run still writes', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  const dryRun = runDryRun(async () => {
+    await gate;
+    await ClioService.createTask({ name: 'Preview task' });
+  });
+  await ClioService.createTask({ name: 'Live task' });
+  release();
+  const preview = await dryRun;
+
+  assert.deepStrictEqual(writes, [['clio.createTask', 'Live task']]);
+  assert.deepStrictEqual(preview.tasksToCreate.map(t => t.name), ['Preview task']);
+});
+
+test('every service method that writes is guarded by its name', () => {
+  // checkWebhookProcessed reads or reserves; dry runs bypass it as a whole
+  const exempt = ['checkWebhookProcessed'];
+
+  const supabaseWrites = methodsCalling('supabase.js', ['insert', 'update', 'upsert', 'delete', 'rpc'])
+    .filter(name => !exempt.includes(name));
+  const clioWrites = methodsCalling('clio.js', ['post', 'patch', 'put', 'delete']);
+  assert.ok(supabaseWrites.includes('recordMatterClosure') && clioWrites.includes('createTask'));
+
+  const guardedSupabase = writeMethods(SupabaseService, SUPABASE_WRITE_PREFIXES);
+  const guardedClio = writeMethods(ClioService, CLIO_WRITE_PREFIXES);
+  assert.deepStrictEqual(supabaseWrites.filter(name => !guardedSupabase.includes(name)), []);
+  assert.deepStrictEqual(clioWrites.filter(name => !guardedClio.includes(name)), []);
+  for (const name of ['recordMatterClosure', 'claimWebhookReservation', 'insertDeadLetter', 'enqueueWebhook']) {
+    assert.ok(guardedSupabase.includes(name), name);
+  }
+});
+
+test('admin dry-run route requires the admin key', async () => {
+  const unauthorized = await post('/admin/dry-run/matters', { data: {} });
+  assert.strictEqual(unauthorized.status, 401);
+
+  const authorized = await post('/admin/dry-run/matters', { data: {} }, { 'X-Admin-Key': 'admin-secret' });
+  assert.strictEqual(authorized.status, 200);
+  assert.strictEqual(authorized.body.data.dryRun, true);
+  assert.deepStrictEqual(writes, []);
+});
@@ -0,0 +1,244 @@
+/**
+ * Matter Reopened Tests
+ *
+ * Clio and Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/matters
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+import { addDays } from 'date-fns';
+
+// The automation loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.TEST_MODE = 'false';
+
+const { MatterReopenedAutomation } = await import('../../src/automations/matter-reopened.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+const { ensureHolidayCalendar } = await import('../../src/utils/holiday-calendar.js');
+const { getZonedNow, getOfficeTimezone, formatForClio, shiftToBusinessDay } = await import('../../src/utils/date-helpers.js');
+
+// In-memory Supabase
+const events = new Map();
+const tasks = new Map();
+const history = [];
+const errors = [];
+SupabaseService.checkWebhookProcessed = async (key) => events.get(key) || null;
+SupabaseService.recordWebhookProcessed = async (row) => { events.set(row.idempotency_key, { ...row }); };
+SupabaseService.updateWebhookProcessed = async (key, updates) => { Object.assign(events.get(key), updates); };
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+SupabaseService.getMatterHistory = async (matterId) => history.filter(h => h.matter_id === matterId).at(-1) || null;
+SupabaseService.insertMatterHistory = async (row) => { history.push(row); return row; };
+SupabaseService.getTasksByMatterAndStage = async (matterId, stageId) =>
+  [...tasks.values()].filter(t => t.matter_id === matterId && t.stage_id === stageId && t.status !== 'deleted');
+SupabaseService.getTasksClosedWithMatter = async (matterId, stageId) =>
+  [...tasks.values()].filter(t => t.matter_id === matterId && t.stage_id === stageId && t.closed_with_matter_at).map(t => ({ ...t }));
+// Same (matter, stage, task number) conflict handling as the real upsert: the existing row takes the new task id
+SupabaseService.insertTask = async (row) => {
+  const existing = [...tasks.values()].find(t =>
+    t.matter_id === row.matter_id && t.stage_id === row.stage_id && t.task_number === row.task_number);
+  if (existing) {
+    tasks.delete(existing.task_id);
+    tasks.set(row.task_id, { ...existing, task_id: row.task_id, task_name: row.task_name, due_date: row.due_date, status: row.status });
+  } else {
+    tasks.set(row.task_id, { ...row });
+  }
+};
+SupabaseService.updateTask = async (taskId, updates) => { Object.assign(tasks.get(taskId), updates); };
+SupabaseService.getAssigneeDelegations = async () => null;
+let firmHolidays = [];
+SupabaseService.getFirmHolidays = async () => firmHolidays;
+
+// In-memory Clio
+const matter = {
+  id: 1,
+  display_number: '00123-Smith',
+  status: 'Open',
+  location: 'Naples',
+  practice_area: { id: 45045123, name: 'Estate Planning' },
+  matter_stage: { id: 828783, name: 'Drafting' },
+};
+let nextTaskId = 1000;
+const clio = { created: [], updated: [] };
+const missingInClio = new Set();
+ClioService.getMatter = async () => matter;
+ClioService.createTask = async (data) => {
+  const task = { id: nextTaskId++, name: data.name, description: data.description };
+  clio.created.push({ ...data, id: task.id });
+  return task;
+};
+ClioService.updateTask = async (taskId, updates) => {
+  if (missingInClio.has(taskId)) throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+  clio.updated.push({ taskId, ...updates });
+  return { id: taskId };
+};
+
+const CLOSED_AT = '2026-10-01T12:00:00Z';
+const stageTask = (taskId, taskNumber, overrides = {}) => tasks.set(taskId, {
+  task_id: taskId,
+  task_name: `Task ${taskNumber}`,
+  task_number: taskNumber,
+  matter_id: 1,
+  stage_id: 828783,
+  stage_name: 'Drafting',
+  assigned_user_id: 7,
+  due_date: '2026-10-05',
+  completed: false,
+  status: 'pending',
+  closed_with_matter_at: null,
+  ...overrides,
+});
+const closedHistory = () => history.push({ matter_id: 1, stage_id: 828783, matter_status: 'Closed', date: CLOSED_AT });
+
+let webhookCount = 0;
+const reopen = () => MatterReopenedAutomation.process({
+  id: `wh-${++webhookCount}`,
+  data: { id: 1, status: 'Open', updated_at: `2026-10-19T12:00:0${webhookCount}Z` },
+});
+
+const reset = () => {
+  events.clear();
+  tasks.clear();
+  history.length = 0;
+  errors.length = 0;
+  clio.created.length = clio.updated.length = 0;
+  missingInClio.clear();
+  matter.status = 'Open';
+  firmHolidays = [];
+};
+
+beforeEach(reset);
+
+test('detects Closed → Open from matter history', async () => {
+  assert.strictEqual(await MatterReopenedAutomation.isReopen({ id: 1, status: 'Open' }), false, 'no history');
+
+  history.push({ matter_id: 1, matter_status: null });
+  assert.strictEqual(await MatterReopenedAutomation.isReopen({ id: 1, status: 'Open' }), false, 'legacy rows are open');
+
+  closedHistory();
+  assert.strictEqual(await MatterReopenedAutomation.isReopen({ id: 1, status: 'Open' }), true);
+  assert.strictEqual(await MatterReopenedAutomation.isReopen({ id: 1, status: 'Closed' }), false);
+});
+
+test('reopens completed tasks and recreates deleted ones', async () => {
+  closedHistory();
+  stageTask(10, 1, { completed: true, status: 'completed', closed_with_matter_at: CLOSED_AT });
+  stageTask(11, 2, { status: 'deleted', calendar_entry_id: 77, closed_with_matter_at: CLOSED_AT });
+
+  const result = await reopen();
+  assert.strictEqual(result.action, 'tasks_restored');
+  assert.deepStrictEqual([result.tasks_reopened, result.tasks_recreated, result.tasks_failed], [1, 1, 0]);
+
+  assert.deepStrictEqual(clio.updated, [{ taskId: 10, status: 'pending' }]);
+  assert.strictEqual(tasks.get(10).completed, false);
+  assert.strictEqual(tasks.get(10).closed_with_matter_at, null);
+
+  const [created] = clio.created;
+  assert.strictEqual(created.name, 'Task 2');
+  assert.strictEqual(created.assignee.id, 7);
+  assert.ok(created.due_at > '2026-10-05', 'past due dates move to today');
+  assert.ok(!tasks.has(11), 'the deleted row takes the new task id');
+  assert.strictEqual(tasks.get(created.id).closed_with_matter_at, null);
+  assert.strictEqual(tasks.get(created.id).status, 'pending');
+
+  assert.strictEqual(history.at(-1).matter_status, 'Open', 'the reopen is recorded');
+});
+
+test('leaves completed and open tasks alone', async () => {
+  closedHistory();
+  stageTask(20, 1, { completed: true, status: 'completed' });
+  stageTask(21, 2);
+  stageTask(22, 3, { completed: true, status: 'completed', closed_with_matter_at: CLOSED_AT });
+
+  const result = await reopen();
+  assert.strictEqual(result.action, 'tasks_restored');
+  assert.deepStrictEqual(
+    [result.tasks_reopened, result.tasks_recreated, result.tasks_still_open, result.tasks_already_completed],
+    [1, 0, 1, 1]
+  );
+  assert.deepStrictEqual(clio.updated.map(u => u.taskId), [22]);
+  assert.strictEqual(clio.created.length, 0);
+  assert.strictEqual(tasks.get(20).completed, true);
+});
+
+test('recreates a completed task that was deleted in Clio since', async () => {
+  closedHistory();
+  stageTask(30, 1, { completed: true, status: 'completed', closed_with_matter_at: CLOSED_AT, due_date: '2099-01-01' });
+  missingInClio.add(30);
+
+  const result = await reopen();
+  assert.deepStrictEqual([result.tasks_reopened, result.tasks_recreated], [0, 1]);
+  assert.strictEqual(clio.created[0].due_at, '2099-01-01', 'future due dates are kept');
+  assert.strictEqual(tasks.get(clio.created[0].id).completed, false);
+});
+
+test('past due dates skip a firm closure today', async () => {
+  const today = getZonedNow(getOfficeTimezone('Naples'));
+  firmHolidays = [{ holiday_date: formatForClio(today), name: 'Office closed', closed: true }];
+  await ensureHolidayCalendar(null, true);
+
+  closedHistory();
+  stageTask(40, 1, { status: 'deleted', closed_with_matter_at: CLOSED_AT });
+
+  try {
+    await reopen();
+    assert.strictEqual(clio.created[0].due_at, formatForClio(shiftToBusinessDay(addDays(today, 1))));
+  } finally {
+    firmHolidays = [];
+    await ensureHolidayCalendar(null, true);
+  }
+});
+
+test('failed tasks stay restorable', async () => {
+  closedHistory();
+  stageTask(40, 1, { completed: true, status: 'completed', closed_with_matter_at: CLOSED_AT });
+  const updateTask = ClioService.updateTask;
+  ClioService.updateTask = async () => { throw new Error('Clio is down'); };
+
+  try {
+    const result = await reopen();
+    assert.strictEqual(result.action, 'partial_failure');
+    assert.strictEqual(result.tasks_failed, 1);
+    assert.strictEqual(tasks.get(40).closed_with_matter_at, CLOSED_AT, 'Supabase change is reverted');
+    assert.strictEqual(tasks.get(40).completed, true);
+    assert.deepStrictEqual(errors.map(e => e.code), [ERROR_CODES.CLIO_API_FAILED]);
+    assert.strictEqual(history.at(-1).matter_status, 'Reopen Pending');
+    assert.strictEqual(await MatterReopenedAutomation.isReopen(matter), true, 'the next update retries');
+  } finally {
+    ClioService.updateTask = updateTask;
+  }
+
+  const retry = await reopen();
+  assert.strictEqual(retry.action, 'tasks_restored');
+  assert.strictEqual(retry.tasks_reopened, 1);
+  assert.strictEqual(tasks.get(40).completed, false);
+  assert.strictEqual(history.at(-1).matter_status, 'Open');
+  assert.strictEqual(await MatterReopenedAutomation.isReopen(matter), false);
+});
+
+test('skips a matter that is not a reopen', async () => {
+  history.push({ matter_id: 1, matter_status: 'Open' });
+  stageTask(50, 1, { completed: true, status: 'completed', closed_with_matter_at: CLOSED_AT });
+
+  const result = await reopen();
+  assert.strictEqual(result.action, 'skipped_not_reopened');
+  assert.strictEqual(clio.updated.length, 0);
+
+  closedHistory();
+  matter.status = 'Closed';
+  assert.strictEqual((await reopen()).action, 'skipped_still_closed');
+});
+
+test('nothing closed with the matter', async () => {
+  closedHistory();
+  stageTask(60, 1);
+
+  const result = await reopen();
+  assert.strictEqual(result.action, 'no_tasks_to_restore');
+  assert.strictEqual(result.tasks_still_open, 1);
+});
@@ -0,0 +1,143 @@
+/**
+ * Practice Area Registry Tests
+ *
+ * Supabase answers through a stubbed fetch, so the real registry queries,
+ * defaults and cache in SupabaseService are exercised without a database.
+ *
+ * Run: npm test -- tests/matters
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_KEY = 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+// PostgREST stub: table name → rows, or an error body to answer with
+const tables = new Map();
+const requests = [];
+
+globalThis.fetch = async (input) => {
+  const url = new URL(typeof input === 'string' ? input : input.url);
+  const table = decodeURIComponent(url.pathname.replace('/rest/v1/', ''));
+  requests.push({ table, params: url.searchParams });
+
+  const rows = tables.get(table);
+  if (rows?.error) {
+    return new Response(JSON.stringify(rows.error), { status: 404, headers: { 'Content-Type': 'application/json' } });
+  }
+  return new Response(JSON.stringify(rows || []), { status: 200, headers: { 'Content-Type': 'application/json' } });
+};
+
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { DEFAULT_PRACTICE_AREAS, DEFAULT_PRACTICE_AREA_FLAGS } = await import('../../src/constants/practice-areas.js');
+
+const ESTATE_PLANNING = 44697423;
+const PROBATE = 45045123;
+const TRUST_ADMIN = 51000001;
+
+const registryRow = (practiceAreaId, overrides = {}) => ({
+  practice_area_id: practiceAreaId,
+  practice_area_name: `Practice area ${practiceAreaId}`,
+  template_table: 'task-list-non-meeting',
+  stage_ids: null,
+  flags: {},
+  is_default: false,
+  active: true,
+  ...overrides,
+});
+
+const reset = () => {
+  tables.clear();
+  requests.length = 0;
+  tables.set('practice_area_registry', [
+    registryRow(ESTATE_PLANNING, { is_default: true }),
+    registryRow(PROBATE, { template_table: 'task-list-probate', flags: { attempt_sequences: false } }),
+    registryRow(TRUST_ADMIN, { template_table: 'task-list-trust-admin', stage_ids: ['901', '902'], flags: { verify_tasks: false } }),
+  ]);
+};
+
+beforeEach(reset);
+
+test('loads active registry rows with default flags and numeric stage IDs', async () => {
+  const entries = await SupabaseService.getPracticeAreas(null, true);
+
+  assert.deepStrictEqual(entries.map(e => e.practice_area_id), [ESTATE_PLANNING, PROBATE, TRUST_ADMIN]);
+  assert.strictEqual(requests[0].params.get('active'), 'eq.true');
+
+  const trustAdmin = entries[2];
+  assert.deepStrictEqual(trustAdmin.stage_ids, [901, 902]);
+  assert.deepStrictEqual(trustAdmin.flags, { ...DEFAULT_PRACTICE_AREA_FLAGS, verify_tasks: false });
+  assert.deepStrictEqual(entries[0].flags, DEFAULT_PRACTICE_AREA_FLAGS);
+});
+
+test('ignores rows whose template table breaks the task-list-* convention', async () => {
+  tables.get('practice_area_registry').push(registryRow(1, { template_table: 'users; drop table tasks' }));
+
+  const entries = await SupabaseService.getPracticeAreas(null, true);
+
+  assert.ok(!entries.some(e => e.practice_area_id === 1));
+  assert.strictEqual(entries.length, 3);
+});
+
+test('falls back to the built-in defaults when the registry is missing or empty', async () => {
+  tables.set('practice_area_registry', { error: { code: '42P01', message: 'relation "practice_area_registry" does not exist' } });
+  const missing = await SupabaseService.getPracticeAreas(null, true);
+  assert.deepStrictEqual(missing.map(e => e.template_table), DEFAULT_PRACTICE_AREAS.map(e => e.template_table));
+
+  tables.set('practice_area_registry', [registryRow(1, { template_table: 'not-a-task-list' })]);
+  const empty = await SupabaseService.getPracticeAreas(null, true);
+  assert.deepStrictEqual(empty.map(e => e.practice_area_id), [ESTATE_PLANNING, PROBATE]);
+  assert.ok(empty.every(e => e.flags.generate_stage_tasks));
+});
+
+test('caches the registry until a forced refresh', async () => {
+  await SupabaseService.getPracticeAreas(null, true);
+  tables.set('practice_area_registry', [registryRow(PROBATE, { is_default: true })]);
+
+  assert.strictEqual((await SupabaseService.getPracticeAreas()).length, 3);
+  assert.strictEqual(requests.length, 1);
+
+  assert.strictEqual((await SupabaseService.getPracticeAreas(null, true)).length, 1);
+  assert.strictEqual(requests.length, 2);
+});
+
+test('unregistered practice areas use the default entry', async () => {
+  await SupabaseService.getPracticeAreas(null, true);
+
+  const probate = await SupabaseService.getPracticeAreaConfig(PROBATE);
+  assert.strictEqual(probate.template_table, 'task-list-probate');
+  assert.strictEqual(probate.flags.attempt_sequences, false);
+
+  const decisions = [];
+  const ctx = { logDecision: (name, input, output) => decisions.push({ name, input, output }) };
+  const unknown = await SupabaseService.getPracticeAreaConfig(99999, ctx);
+  assert.strictEqual(unknown.practice_area_id, ESTATE_PLANNING);
+  assert.strictEqual(decisions[0].output.matched, false);
+
+  // Matters without a practice area resolve the same way
+  assert.strictEqual((await SupabaseService.getPracticeAreaConfig(undefined)).practice_area_id, ESTATE_PLANNING);
+});
+
+test('stage sets limit which stages generate tasks', async () => {
+  const [estatePlanning, , trustAdmin] = await SupabaseService.getPracticeAreas(null, true);
+
+  assert.strictEqual(SupabaseService.isStageInPracticeArea(estatePlanning, 123), true);
+  assert.strictEqual(SupabaseService.isStageInPracticeArea(trustAdmin, '901'), true);
+  assert.strictEqual(SupabaseService.isStageInPracticeArea(trustAdmin, 123), false);
+});
+
+test('stage templates come from the practice area template table', async () => {
+  await SupabaseService.getPracticeAreas(null, true);
+  tables.set('task-list-probate', [{ id: 1, stage_id: 700, task_title: 'Inventory assets' }]);
+
+  const templates = await SupabaseService.getTaskListForPracticeArea(700, PROBATE);
+
+  const query = requests.find(r => r.table === 'task-list-probate');
+  assert.strictEqual(query.params.get('stage_id'), 'eq.700');
+  assert.deepStrictEqual(templates.map(t => t.task_title), ['Inventory assets']);
+  assert.strictEqual(templates[0].template_table, 'task-list-probate');
+
+  await assert.rejects(SupabaseService.getTaskListByTable('users', 700), /Invalid template table/);
+});
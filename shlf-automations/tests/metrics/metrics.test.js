@@ -0,0 +1,228 @@
+/**
+ * Prometheus Metrics Tests
+ *
+ * Clio calls go through a real axios instance with an in-memory adapter;
+ * the Supabase queue journal and dead letters are stubbed.
+ *
+ * Run: npm test -- tests/metrics
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+import axios from 'axios';
+import express from 'express';
+
+// Routes load the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+const { registry, metrics, instrumentAxios } = await import('../../src/utils/metrics.js');
+const { webhookQueue } = await import('../../src/utils/webhook-queue.js');
+const { JobScheduler } = await import('../../src/jobs/scheduler.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { DeadLetterService } = await import('../../src/services/dead-letter.js');
+const { config } = await import('../../src/config/index.js');
+const { default: metricsRoutes } = await import('../../src/routes/metrics.js');
+await import('../../src/routes/webhooks.js'); // registers the /matters runner with the queue
+
+// Durable queue journal and dead letters
+SupabaseService.enqueueWebhook = async () => null;
+SupabaseService.updateQueuedWebhook = async () => {};
+const deadLetters = [];
+DeadLetterService.record = async (entry) => { deadLetters.push(entry); };
+
+/**
+ * axios instance answering from a queue of canned responses
+ * Each entry is { status, headers } or { networkError: true }
+ */
+const fakeApi = (responses) => {
+  const instance = axios.create({
+    adapter: async (requestConfig) => {
+      const next = responses.shift();
+      if (next.networkError) {
+        throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', config: requestConfig });
+      }
+      const response = { data: {}, status: next.status, statusText: '', headers: next.headers || {}, config: requestConfig };
+      if (next.status >= 400) {
+        throw new axios.AxiosError(`Request failed with status code ${next.status}`, 'ERR_BAD_REQUEST', requestConfig, null, response);
+      }
+      return response;
+    },
+  });
+  instrumentAxios(instance, 'clio');
+  return instance;
+};
+
+/**
+ * Whether a series' labels are the given ones (histogram `le` aside)
+ */
+const sameLabels = (seriesLabels, labels) => {
+  const { le, ...rest } = seriesLabels;
+  const names = new Set([...Object.keys(rest), ...Object.keys(labels)]);
+  return [...names].every(name => String(rest[name] ?? '') === String(labels[name] ?? ''));
+};
+
+/**
+ * Value of a counter or gauge series
+ */
+const valueOf = async (metric, labels = {}) => {
+  const { values } = await metric.get();
+  return values.find(v => sameLabels(v.labels, labels))?.value ?? 0;
+};
+
+/**
+ * { buckets: { bound: count }, sum, count } of a histogram series
+ */
+const histogramOf = async (metric, labels = {}) => {
+  const { name, values } = await metric.get();
+  const series = values.filter(v => sameLabels(v.labels, labels));
+  const pick = (suffix) => series.filter(v => v.metricName === `${name}${suffix}`);
+  return {
+    buckets: Object.fromEntries(pick('_bucket').map(v => [v.labels.le, v.value])),
+    sum: pick('_sum')[0]?.value ?? 0,
+    count: pick('_count')[0]?.value ?? 0,
+  };
+};
+
+/**
+ * GET /metrics on a throwaway server
+ */
+const scrape = async (headers = {}) => {
+  const app = express();
+  app.use('/metrics', metricsRoutes);
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`, { headers });
+    return { status: response.status, contentType: response.headers.get('content-type'), body: await response.text() };
+  } finally {
+    server.close();
+  }
+};
+
+const reset = () => {
+  registry.resetMetrics();
+  deadLetters.length = 0;
+  webhookQueue.queues.clear();
+  webhookQueue.processing.clear();
+  config.metrics.token = null;
+  config.nodeEnv = 'test';
+};
+
+beforeEach(reset);
+
+test('renders counters, gauges and histograms in the exposition format', async () => {
+  metrics.webhooksReceived.inc({ trigger: 'matter-stage-change' });
+  metrics.webhooksReceived.inc({ trigger: 'matter-stage-change' });
+  metrics.apiRateLimitRemaining.set({ provider: 'clio' }, 42);
+  metrics.queueWait.observe({}, 0.7);
+  metrics.queueWait.observe({}, 45);
+
+  const text = await registry.metrics();
+  assert.ok(text.includes('# TYPE shlf_webhooks_received_total counter\nshlf_webhooks_received_total{trigger="matter-stage-change"} 2\n'));
+  assert.ok(text.includes('shlf_api_rate_limit_remaining{provider="clio"} 42\n'));
+  assert.ok(text.includes('shlf_webhook_queue_wait_seconds_bucket{le="0.5"} 0\n'));
+  assert.ok(text.includes('shlf_webhook_queue_wait_seconds_bucket{le="1"} 1\n'));
+  assert.ok(text.includes('shlf_webhook_queue_wait_seconds_bucket{le="+Inf"} 2\n'));
+  assert.ok(text.includes('shlf_webhook_queue_wait_seconds_sum 45.7\nshlf_webhook_queue_wait_seconds_count 2\n'));
+});
+
+test('escapes label values', async () => {
+  metrics.webhooksRejected.inc({ endpoint: '/webhooks/"x"\\y\n', reason: 'replay' });
+  assert.ok((await registry.metrics()).includes('shlf_webhooks_rejected_total{endpoint="/webhooks/\\"x\\"\\\\y\\n",reason="replay"} 1'));
+});
+
+test('records API latency, status codes and rate limit', async () => {
+  const api = fakeApi([
+    { status: 200, headers: { 'x-ratelimit-remaining': '37' } },
+    { status: 404, headers: { 'x-ratelimit-remaining': '36' } },
+    { networkError: true },
+  ]);
+
+  await api.get('/api/v4/matters/1');
+  await assert.rejects(api.patch('/api/v4/tasks/2', {}));
+  await assert.rejects(api.get('/api/v4/tasks'));
+
+  assert.strictEqual((await histogramOf(metrics.apiRequestDuration, { provider: 'clio', method: 'GET', status: 200 })).count, 1);
+  assert.strictEqual((await histogramOf(metrics.apiRequestDuration, { provider: 'clio', method: 'PATCH', status: 404 })).count, 1);
+  assert.strictEqual((await histogramOf(metrics.apiRequestDuration, { provider: 'clio', method: 'GET', status: 'error' })).count, 1);
+  assert.strictEqual(await valueOf(metrics.apiRateLimitRemaining, { provider: 'clio' }), 36);
+});
+
+test('counts webhooks processed and failed per trigger', async () => {
+  const runWithRetries = webhookQueue.getHandler('/matters');
+
+  // No matter ID - handled without calling Clio
+  await runWithRetries({ id: 'w1', data: {} }, null);
+
+  ClioService.getMatter = async () => {
+    throw Object.assign(new Error('Not Found'), { response: { status: 404 } });
+  };
+  await assert.rejects(runWithRetries({ id: 'w2', data: { id: 5 } }, null));
+
+  assert.strictEqual(await valueOf(metrics.webhooksProcessed, { trigger: 'matter-stage-change' }), 1);
+  assert.strictEqual(await valueOf(metrics.webhooksFailed, { trigger: 'matter-stage-change' }), 1);
+  assert.strictEqual((await histogramOf(metrics.automationDuration, { trigger: 'matter-stage-change', status: 'success' })).count, 1);
+  assert.strictEqual((await histogramOf(metrics.automationDuration, { trigger: 'matter-stage-change', status: 'error' })).count, 1);
+  assert.strictEqual(deadLetters.length, 1);
+});
+
+test('records queue wait time for queued webhooks', async () => {
+  const result = await new Promise((resolve, reject) => {
+    webhookQueue.queues.set('7', [{
+      processor: async () => ({ action: 'done' }),
+      resolve,
+      reject,
+      queueItemId: null,
+      attempts: 0,
+      webhookId: 'w3',
+      eventType: 'Matter',
+      traceId: null,
+      enqueuedAt: Date.now() - 2500,
+    }]);
+    webhookQueue.processNext('7');
+  });
+
+  assert.strictEqual(result.action, 'done');
+  const wait = await histogramOf(metrics.queueWait);
+  assert.strictEqual(wait.count, 1);
+  assert.ok(wait.sum >= 2.5 && wait.buckets[5] === 1 && wait.buckets[1] === 0);
+});
+
+test('counts job runs and failures', async () => {
+  await JobScheduler.runJobWithMetrics('sync-delegations', async () => ({ success: true }));
+  await JobScheduler.runJobWithMetrics('sync-delegations', async () => ({ success: false }));
+  await assert.rejects(JobScheduler.runJobWithMetrics('sync-delegations', async () => { throw new Error('boom'); }));
+
+  assert.strictEqual(await valueOf(metrics.jobRuns, { job: 'sync-delegations' }), 3);
+  assert.strictEqual(await valueOf(metrics.jobFailures, { job: 'sync-delegations' }), 2);
+  assert.strictEqual((await histogramOf(metrics.jobDuration, { job: 'sync-delegations' })).count, 3);
+});
+
+test('serves the registry with queue depth on /metrics', async () => {
+  webhookQueue.queues.set('1', [{ enqueuedAt: Date.now() - 4000 }, { enqueuedAt: Date.now() }]);
+  webhookQueue.queues.set('2', [{ enqueuedAt: Date.now() - 1000 }]);
+
+  const { status, contentType, body } = await scrape();
+  assert.strictEqual(status, 200);
+  assert.ok(contentType.startsWith('text/plain') && contentType.includes('version=0.0.4'), contentType);
+  assert.ok(body.includes('shlf_webhook_queue_depth 3\n'));
+  assert.ok(/shlf_webhook_queue_oldest_wait_seconds 4(\.\d+)?\n/.test(body));
+});
+
+test('requires the bearer token when METRICS_TOKEN is set', async () => {
+  config.metrics.token = 'scrape-secret';
+  assert.strictEqual((await scrape()).status, 401);
+  assert.strictEqual((await scrape({ Authorization: 'Bearer wrong' })).status, 401);
+  assert.strictEqual((await scrape({ Authorization: 'Bearer scrape-secret' })).status, 200);
+});
+
+test('stays closed in production until METRICS_TOKEN is set', async () => {
+  config.nodeEnv = 'production';
+  assert.strictEqual((await scrape()).status, 503);
+
+  config.metrics.token = 'scrape-secret';
+  assert.strictEqual((await scrape()).status, 401);
+  assert.strictEqual((await scrape({ Authorization: 'Bearer scrape-secret' })).status, 200);
+});
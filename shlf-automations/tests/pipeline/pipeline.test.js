@@ -0,0 +1,163 @@
+/**
+ * Automation Pipeline Tests
+ *
+ * SupabaseService's webhook_events / error_logs calls are replaced with an
+ * in-memory store - no Clio or Supabase calls.
+ *
+ * Run: npm test -- tests/pipeline
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The pipeline loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.TEST_MODE = 'false';
+
+const { AutomationPipeline } = await import('../../src/automations/pipeline.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+
+// In-memory webhook_events / error_logs
+const events = new Map();
+const errors = [];
+SupabaseService.checkWebhookProcessed = async (key) => events.get(key) || null;
+SupabaseService.recordWebhookProcessed = async (row) => { events.set(row.idempotency_key, { ...row }); };
+SupabaseService.updateWebhookProcessed = async (key, updates) => { Object.assign(events.get(key), updates); };
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+
+const webhook = (id, overrides = {}) => ({
+  id: `wh-${id}`,
+  data: { id, updated_at: '2026-10-01T12:00:00Z', ...overrides },
+});
+
+const definePipeline = (overrides = {}) => new AutomationPipeline({
+  name: 'test-automation',
+  tag: 'TEST',
+  eventType: 'thing.updated',
+  resourceType: 'thing',
+  timestampFields: ['updated_at'],
+  ...overrides,
+});
+
+const reset = () => {
+  events.clear();
+  errors.length = 0;
+};
+
+beforeEach(reset);
+
+test('runs stages in order and records the finishing result', async () => {
+  const ran = [];
+  const pipeline = definePipeline({
+    stages: [
+      { name: 'first', run: async (state) => { ran.push('first'); state.value = 2; } },
+      { name: 'second', run: async (state, step) => {
+        ran.push('second');
+        return step.finish({ success: true, action: 'done', value: state.value }, { record: { tasks_created: state.value } });
+      } },
+      { name: 'never', run: async () => { ran.push('never'); } },
+    ],
+  });
+
+  const result = await pipeline.run(webhook(1));
+  assert.deepStrictEqual(ran, ['first', 'second']);
+  assert.deepStrictEqual(result, { success: true, action: 'done', value: 2 });
+
+  const [event] = events.values();
+  assert.strictEqual(event.success, true);
+  assert.strictEqual(event.action, 'done');
+  assert.strictEqual(event.tasks_created, 2);
+  assert.strictEqual(event.event_type, 'thing.updated');
+});
+
+test('duplicates return the cached result without running stages', async () => {
+  let runs = 0;
+  const pipeline = definePipeline({
+    stages: [{ name: 'work', run: async (state, step) => { runs++; return step.finish({ success: true, action: 'done' }); } }],
+  });
+
+  await pipeline.run(webhook(2));
+  const result = await pipeline.run(webhook(2));
+  assert.strictEqual(runs, 1);
+  assert.strictEqual(result.cached, true);
+  assert.strictEqual(result.action, 'done');
+});
+
+test('a held reservation returns still_processing', async () => {
+  const pipeline = definePipeline({ stages: [] });
+  const key = SupabaseService.generateIdempotencyKey('thing.updated', 3, '2026-10-01T12:00:00Z');
+  events.set(key, { idempotency_key: key, success: null, created_at: '2026-10-01T12:00:01Z' });
+
+  const result = await pipeline.run(webhook(3));
+  assert.deepStrictEqual(result, { success: null, action: 'still_processing', processing_started_at: '2026-10-01T12:00:01Z' });
+});
+
+test('guards finish before the webhook is reserved', async () => {
+  let reserved = false;
+  const pipeline = definePipeline({
+    guards: [{ name: 'guard', run: async (state, step) => { reserved = state.reserved; return step.skip('skipped_guard'); } }],
+    stages: [{ name: 'work', run: async () => { throw new Error('should not run'); } }],
+  });
+
+  const result = await pipeline.run(webhook(4));
+  assert.strictEqual(reserved, false);
+  assert.deepStrictEqual(result, { success: true, action: 'skipped_guard' });
+  assert.strictEqual([...events.values()][0].action, 'skipped_guard');
+});
+
+test('when() skips a stage', async () => {
+  const pipeline = definePipeline({
+    stages: [
+      { name: 'skipped', when: () => false, run: async (state, step) => step.finish({ success: false, action: 'wrong' }) },
+      { name: 'work', run: async (state, step) => step.finish({ success: true, action: 'right' }) },
+    ],
+  });
+
+  assert.strictEqual((await pipeline.run(webhook(5))).action, 'right');
+});
+
+test('failures compensate completed stages newest first and mark the webhook failed', async () => {
+  const compensated = [];
+  const pipeline = definePipeline({
+    stages: [
+      { name: 'a', run: async () => {}, compensate: async () => { compensated.push('a'); } },
+      { name: 'b', run: async () => {}, compensate: async () => { throw new Error('cleanup failed'); } },
+      { name: 'c', run: async () => {}, compensate: async () => { compensated.push('c'); } },
+      { name: 'boom', run: async () => { throw new Error('Clio is down'); }, compensate: async () => { compensated.push('boom'); } },
+    ],
+  });
+
+  await assert.rejects(() => pipeline.run(webhook(6)), /Clio is down/);
+  assert.deepStrictEqual(compensated, ['c', 'a']);
+
+  const [event] = events.values();
+  assert.strictEqual(event.success, false);
+  assert.strictEqual(event.action, 'error');
+  assert.deepStrictEqual(event.failure_details, { stage: 'boom', error: 'Clio is down', compensated: ['c', 'a'] });
+
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].code, ERROR_CODES.AUTOMATION_FAILED);
+  assert.strictEqual(errors[0].context.thing_id, 6);
+});
+
+test('a missing timestamp fails validation before anything is recorded', async () => {
+  const pipeline = definePipeline({ stages: [] });
+
+  await assert.rejects(() => pipeline.run(webhook(7, { updated_at: null })), /missing required timestamp field \(updated_at\)/);
+  assert.strictEqual(events.size, 0);
+  assert.strictEqual(errors[0].code, ERROR_CODES.CLIO_API_FAILED);
+});
+
+test('replays get their own idempotency key', async () => {
+  let runs = 0;
+  const pipeline = definePipeline({
+    stages: [{ name: 'work', run: async (state, step) => { runs++; return step.finish({ success: true, action: 'done' }); } }],
+  });
+
+  await pipeline.run(webhook(8));
+  await pipeline.run({ ...webhook(8), replay: { replayId: 'r-1' } });
+  assert.strictEqual(runs, 2);
+});
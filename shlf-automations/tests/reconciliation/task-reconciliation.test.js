@@ -0,0 +1,189 @@
+/**
+ * Task Reconciliation Tests
+ *
+ * Clio and Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/reconciliation
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The job loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.TEST_MODE = 'false';
+
+const { diffTask, reconcileMatterTasks } = await import('../../src/utils/task-reconciliation.js');
+const { TaskReconciliationJob } = await import('../../src/jobs/reconcile-tasks.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { TestModeService } = await import('../../src/services/test-mode.js');
+const { config } = await import('../../src/config/index.js');
+
+// In-memory Supabase (task ID → tasks row)
+const rows = new Map();
+SupabaseService.getTasksByMatterAndStage = async (matterId, stageId) =>
+  [...rows.values()].filter(r => r.matter_id === matterId && r.stage_id === stageId).map(r => ({ ...r }));
+SupabaseService.getOpenTasksByMatter = async (matterId) =>
+  [...rows.values()].filter(r => r.matter_id === matterId && !r.completed && r.status !== 'deleted').map(r => ({ ...r }));
+SupabaseService.updateTask = async (taskId, updates) => { Object.assign(rows.get(taskId), updates); };
+
+// In-memory Clio (matter pages, matter ID → tasks)
+let pages = [];
+const clioTasks = new Map();
+const taskRequests = [];
+ClioService.getMatters = async ({ pageUrl }) => {
+  const index = pageUrl ? Number(pageUrl) : 0;
+  return { matters: pages[index], next: index + 1 < pages.length ? String(index + 1) : null };
+};
+ClioService.getTasksByMatter = async (matterId) => {
+  taskRequests.push(matterId);
+  if (matterId === 999) throw new Error('Clio is down');
+  return clioTasks.get(matterId) || [];
+};
+
+const row = (taskId, matterId, overrides = {}) => {
+  rows.set(taskId, {
+    task_id: taskId,
+    task_name: `Task ${taskId}`,
+    matter_id: matterId,
+    stage_id: 10,
+    stage_name: 'Drafting',
+    status: 'pending',
+    completed: false,
+    due_date: '2026-10-20',
+    assigned_user_id: 1,
+    assigned_user: 'User 1',
+    ...overrides,
+  });
+};
+const clioTask = (taskId, overrides = {}) => ({
+  id: taskId,
+  status: 'pending',
+  due_at: '2026-10-20',
+  assignee: { id: 1, name: 'User 1' },
+  ...overrides,
+});
+const matter = (id, stageId = 10) => ({ id, display_number: `M-${id}`, matter_stage: stageId ? { id: stageId } : null });
+
+const reset = () => {
+  rows.clear();
+  clioTasks.clear();
+  taskRequests.length = 0;
+  pages = [];
+};
+
+beforeEach(reset);
+
+test('diffs status, due date and assignee', () => {
+  const record = { task_id: 1, status: 'pending', completed: false, due_date: '2026-10-20', assigned_user_id: '1', assigned_user: 'User 1' };
+  assert.deepStrictEqual(diffTask(record, clioTask(1, { due_at: '2026-10-20T00:00:00Z' })).corrections, [], 'timestamps compare by date');
+
+  const { corrections, updates } = diffTask(record, clioTask(1, { status: 'complete', due_at: '2026-10-22', assignee: { id: 2, name: 'User 2' } }));
+  assert.deepStrictEqual(corrections.map(c => c.field), ['status', 'due_date', 'assignee']);
+  assert.deepStrictEqual(updates, { completed: true, status: 'completed', due_date: '2026-10-22', assigned_user_id: 2, assigned_user: 'User 2' });
+  assert.deepStrictEqual(corrections[2].from, { id: 1, name: 'User 1' });
+});
+
+test('reopened and deleted tasks', () => {
+  const completed = { task_id: 1, status: 'completed', completed: true, due_date: '2026-10-20', assigned_user_id: 1 };
+  assert.deepStrictEqual(diffTask(completed, clioTask(1)).updates, { completed: false, status: 'pending' });
+  assert.deepStrictEqual(diffTask(completed, null), {
+    corrections: [{ field: 'deleted', from: 'completed', to: 'deleted' }],
+    updates: { status: 'deleted' },
+  });
+});
+
+test('skips rows already marked deleted', () => {
+  const { drifted, inSync } = reconcileMatterTasks(
+    [{ task_id: 1, status: 'deleted' }, { task_id: 2, status: 'pending', completed: false, due_date: '2026-10-20', assigned_user_id: 1 }],
+    [clioTask(2)]
+  );
+  assert.deepStrictEqual([drifted.length, inSync], [0, 1]);
+});
+
+test('pages through open matters and corrects drift', async () => {
+  row(100, 1);
+  row(101, 1);
+  row(102, 1, { stage_id: 5 }); // open task left from an earlier stage
+  row(103, 1, { stage_id: 5, completed: true, status: 'completed' }); // earlier stage, done - not checked
+  row(200, 2, { status: 'completed', completed: true });
+  clioTasks.set(1, [clioTask(100), clioTask(101, { status: 'complete' }), clioTask(103, { status: 'pending' })]);
+  clioTasks.set(2, [clioTask(200, { status: 'complete', assignee: { id: 3, name: 'User 3' } })]);
+  pages = [[matter(1)], [matter(2), matter(3)]];
+
+  const result = await TaskReconciliationJob.run();
+  assert.deepStrictEqual(
+    [result.mattersChecked, result.mattersSkipped, result.tasksChecked, result.tasksInSync, result.tasksCorrected],
+    [2, 1, 4, 1, 3]
+  );
+  assert.deepStrictEqual(taskRequests, [1, 2], 'matters without task rows are not fetched from Clio');
+  assert.deepStrictEqual(
+    result.corrections.map(c => [c.matterId, c.taskId, c.field, c.applied]),
+    [[1, 101, 'status', true], [1, 102, 'deleted', true], [2, 200, 'assignee', true]]
+  );
+  assert.strictEqual(rows.get(101).status, 'completed');
+  assert.strictEqual(rows.get(101).completed, true);
+  assert.strictEqual(rows.get(102).status, 'deleted');
+  assert.strictEqual(rows.get(103).completed, true);
+  assert.deepStrictEqual([rows.get(200).assigned_user_id, rows.get(200).assigned_user], [3, 'User 3']);
+  assert.ok(rows.get(101).last_updated);
+
+  const again = await TaskReconciliationJob.run();
+  assert.strictEqual(again.corrections.length, 0, 'a second run finds nothing');
+});
+
+test('test mode evaluates the paged matters without fetching them again', async () => {
+  row(100, 1, { due_date: '2026-10-20' });
+  row(200, 2, { due_date: '2026-10-20' });
+  clioTasks.set(1, [clioTask(100, { due_at: '2026-10-25' })]);
+  clioTasks.set(2, [clioTask(200, { due_at: '2026-10-25' })]);
+  pages = [[{ ...matter(1), display_number: 'TEST-1' }, matter(2)]];
+  SupabaseService.getTestModeRules = async () => [{ id: 1, rule_type: 'matter_number_pattern', value: 'TEST-*' }];
+  await TestModeService.getRules(null, true);
+  let fetched = 0;
+  ClioService.getMatter = async () => { fetched++; throw new Error('matter should come from the page'); };
+  config.testing.testMode = true;
+
+  try {
+    const result = await TaskReconciliationJob.run();
+    assert.deepStrictEqual([result.mattersChecked, result.mattersSkipped], [1, 1]);
+    assert.deepStrictEqual(taskRequests, [1]);
+    assert.strictEqual(fetched, 0);
+  } finally {
+    config.testing.testMode = false;
+  }
+});
+
+test('dry run reports without writing', async () => {
+  row(100, 1, { due_date: '2026-10-20' });
+  clioTasks.set(1, [clioTask(100, { due_at: '2026-10-25' })]);
+  pages = [[matter(1)]];
+
+  const result = await TaskReconciliationJob.run(null, { dryRun: true });
+  assert.deepStrictEqual(result.corrections.map(c => [c.field, c.from, c.to, c.applied]), [['due_date', '2026-10-20', '2026-10-25', false]]);
+  assert.strictEqual(rows.get(100).due_date, '2026-10-20');
+});
+
+test('a failing matter does not stop the run', async () => {
+  row(100, 999);
+  row(200, 2, { due_date: '2026-10-20' });
+  clioTasks.set(2, [clioTask(200, { due_at: '2026-10-21' })]);
+  pages = [[matter(999), matter(2)]];
+
+  const decisions = [];
+  const ctx = { logDecision: (name, input, output) => decisions.push({ name, input, output }) };
+  const result = await TaskReconciliationJob.run();
+  assert.deepStrictEqual([result.mattersFailed, result.mattersChecked], [1, 1]);
+  assert.deepStrictEqual(result.errors, [{ matterId: 999, error: 'Clio is down' }]);
+  assert.strictEqual(rows.get(200).due_date, '2026-10-21');
+
+  await TaskReconciliationJob.reconcileMatter(matter(2), { ctx });
+  assert.strictEqual(decisions.length, 0, 'no decision without drift');
+  rows.get(200).due_date = '2026-10-20';
+  await TaskReconciliationJob.reconcileMatter(matter(2), { ctx, dryRun: true });
+  assert.strictEqual(decisions[0].name, 'task_drift');
+  assert.strictEqual(decisions[0].output.corrections[0].field, 'due_date');
+});
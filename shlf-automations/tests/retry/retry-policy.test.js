@@ -0,0 +1,144 @@
+/**
+ * Retry Policy Tests
+ *
+ * Errors are plain objects shaped like axios errors; delays use zero-ms
+ * policies so no test actually sleeps.
+ *
+ * Run: npm test -- tests/retry
+ */
+
+import assert from 'assert';
+import { test } from 'node:test';
+
+// The policy loads EventTracker (Supabase client); no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+const {
+  ERROR_CLASSES,
+  getRetryPolicy,
+  parseRetryAfter,
+  classifyError,
+  computeBackoffDelay,
+  decideRetry,
+  executeWithRetry,
+} = await import('../../src/utils/retry-policy.js');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+// No sleeping, no jitter
+const instant = (overrides = {}) => getRetryPolicy('test', { baseDelayMs: 0, maxDelayMs: 0, jitter: 0, ...overrides });
+
+test('classifies errors by status, code and type', () => {
+  assert.strictEqual(classifyError(httpError(429)).errorClass, ERROR_CLASSES.RATE_LIMITED);
+  assert.strictEqual(classifyError(httpError(503)).errorClass, ERROR_CLASSES.SERVER_ERROR);
+  assert.strictEqual(classifyError(httpError(408)).errorClass, ERROR_CLASSES.NETWORK);
+  assert.strictEqual(classifyError(httpError(422)).errorClass, ERROR_CLASSES.CLIENT_ERROR);
+  assert.strictEqual(classifyError(networkError('ECONNRESET')).errorClass, ERROR_CLASSES.NETWORK);
+  assert.strictEqual(classifyError(Object.assign(new Error('no reply'), { request: {} })).errorClass, ERROR_CLASSES.NETWORK);
+  assert.strictEqual(classifyError(Object.assign(new Error('nobody'), { name: 'AssigneeError' })).errorClass, ERROR_CLASSES.ASSIGNEE_ERROR);
+  assert.strictEqual(classifyError(new Error('boom')).errorClass, ERROR_CLASSES.UNKNOWN);
+});
+
+test('parses Retry-After as seconds or an HTTP date', () => {
+  assert.strictEqual(parseRetryAfter('3'), 3000);
+  assert.strictEqual(parseRetryAfter(''), null);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const ms = parseRetryAfter(inTenSeconds);
+  assert.ok(ms > 8000 && ms <= 10000, `${ms}`);
+  assert.strictEqual(parseRetryAfter(new Date(Date.now() - 10000).toUTCString()), 0);
+});
+
+test('named and call-site overrides layer over the default policy', () => {
+  const policy = getRetryPolicy('task-deleted', { retryOn: { [ERROR_CLASSES.CLIENT_ERROR]: true } });
+
+  assert.strictEqual(policy.maxAttempts, 2);
+  assert.strictEqual(policy.retryOn[ERROR_CLASSES.CLIENT_ERROR], true);
+  assert.strictEqual(policy.retryOn[ERROR_CLASSES.ASSIGNEE_ERROR], false);
+  assert.strictEqual(getRetryPolicy('matter-stage-change').maxDelayMs, 60000);
+});
+
+test('backoff grows exponentially, stays under the cap and within the jitter band', () => {
+  const policy = getRetryPolicy(null, { baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0 });
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => computeBackoffDelay(policy, attempt)), [1000, 2000, 4000, 5000]);
+
+  const jittered = getRetryPolicy(null, { baseDelayMs: 1000, jitter: 0.5 });
+  for (let i = 0; i < 20; i++) {
+    const delay = computeBackoffDelay(jittered, 2);
+    assert.ok(delay >= 1000 && delay <= 2000, `${delay}`);
+  }
+});
+
+test('never retries client or assignee errors and stops at maxAttempts', () => {
+  const policy = getRetryPolicy();
+
+  assert.deepStrictEqual(
+    [decideRetry(httpError(400), 1, policy).willRetry, decideRetry(httpError(400), 1, policy).reason],
+    [false, 'non_retryable_error'],
+  );
+  assert.strictEqual(decideRetry(Object.assign(new Error('x'), { name: 'AssigneeError' }), 1, policy).willRetry, false);
+
+  const last = decideRetry(httpError(500), policy.maxAttempts, policy);
+  assert.strictEqual(last.willRetry, false);
+  assert.strictEqual(last.reason, 'max_attempts_reached');
+
+  const early = decideRetry(httpError(500), 1, policy);
+  assert.strictEqual(early.willRetry, true);
+  assert.strictEqual(early.reason, 'exponential_backoff');
+});
+
+test('honors Retry-After on 429 and gives up when it exceeds the cap', () => {
+  const policy = getRetryPolicy(null, { jitter: 0 });
+
+  const honored = decideRetry(httpError(429, { 'retry-after': '2' }), 1, policy);
+  assert.strictEqual(honored.reason, 'retry_after');
+  assert.strictEqual(honored.delayMs, 2000);
+
+  const tooLong = decideRetry(httpError(429, { 'retry-after': '600' }), 1, policy);
+  assert.strictEqual(tooLong.willRetry, false);
+  assert.strictEqual(tooLong.reason, 'retry_after_exceeds_cap');
+
+  // No header falls back to backoff
+  assert.strictEqual(decideRetry(httpError(429), 1, policy).reason, 'exponential_backoff');
+});
+
+test('executeWithRetry retries transient failures and returns the result', async () => {
+  const decisions = [];
+  const ctx = { logDecision: (name, input, output) => decisions.push(output) };
+  let calls = 0;
+
+  const result = await executeWithRetry(async (attempt) => {
+    calls++;
+    if (attempt < 3) throw networkError('ETIMEDOUT');
+    return 'done';
+  }, { policy: instant(), ctx });
+
+  assert.strictEqual(result, 'done');
+  assert.strictEqual(calls, 3);
+  assert.deepStrictEqual(decisions.map(d => [d.attempt, d.willRetry]), [[1, true], [2, true]]);
+});
+
+test('executeWithRetry rethrows the final error with its attempts and decision', async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    executeWithRetry(async () => { calls++; throw httpError(404); }, { policy: instant() }),
+    (error) => {
+      assert.strictEqual(error.retryAttempts, 1);
+      assert.strictEqual(error.retryDecision.reason, 'non_retryable_error');
+      return true;
+    },
+  );
+  assert.strictEqual(calls, 1);
+
+  calls = 0;
+  await assert.rejects(
+    executeWithRetry(async () => { calls++; throw httpError(502); }, { policy: instant({ maxAttempts: 2 }) }),
+    (error) => error.retryAttempts === 2 && error.retryDecision.reason === 'max_attempts_reached',
+  );
+  assert.strictEqual(calls, 2);
+});
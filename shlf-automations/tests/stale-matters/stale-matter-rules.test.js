@@ -0,0 +1,261 @@
+/**
+ * Stale Matter Rule Tests
+ *
+ * Clio and Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/stale-matters
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The job loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.TEST_MODE = 'false';
+
+const {
+  DEFAULT_STALE_MATTER_RULES,
+  findStaleMatterRule,
+  isCatchAllRule,
+  getStageEnteredAt,
+  evaluateStaleMatter,
+  getEscalationAssignee,
+  renderAlertText,
+} = await import('../../src/utils/stale-matter-rules.js');
+const { StaleMatterCheckerJob } = await import('../../src/jobs/check-stale-matters.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+const { TestModeService } = await import('../../src/services/test-mode.js');
+const { config } = await import('../../src/config/index.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// In-memory Supabase
+let rules = null;
+const history = new Map();
+const tracking = [];
+const tasks = [];
+const errors = [];
+// Matters with rows in `tasks`
+const managed = new Set();
+SupabaseService.getFirmHolidays = async () => [];
+SupabaseService.getAssigneeBalancingRules = async () => null;
+SupabaseService.getAssigneeDelegations = async () => [];
+SupabaseService.getAssigneeByAttorneyId = async (attorneyId) => (attorneyId === 900 ? { id: 901, name: 'Paralegal' } : null);
+SupabaseService.getStaleMatterRules = async () => rules;
+SupabaseService.getMatterStageHistory = async (matterId) => history.get(matterId) || [];
+SupabaseService.getStageTracking = async (matterId, stageName) =>
+  tracking.find(t => t.matter_id === matterId && t.stage_name === stageName) || null;
+SupabaseService.insertStageTracking = async (row) => {
+  const created = { id: tracking.length + 1, initial_notification_sent: false, recurring_notification_count: 0, ...row };
+  tracking.push(created);
+  return created;
+};
+SupabaseService.updateStageTracking = async (id, updates) => Object.assign(tracking.find(t => t.id === id), updates);
+SupabaseService.insertTask = async (row) => { tasks.push(row); };
+SupabaseService.hasTasksForMatter = async (matterId) => managed.has(matterId);
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+
+// In-memory Clio
+let matters = [];
+ClioService.getMatters = async ({ status }) => ({ matters: matters.filter(m => m.status.toLowerCase() === status), next: null });
+ClioService.createTask = async (task) => ({ id: 5000 + tasks.length, ...task });
+
+const matter = (id, stage, overrides = {}) => ({
+  id,
+  display_number: `M-${id}`,
+  status: 'Open',
+  matter_stage: stage,
+  matter_stage_updated_at: daysAgo(1),
+  practice_area: { id: 45045123, name: 'Estate Planning' },
+  responsible_attorney: { id: 900, name: 'Attorney' },
+  ...overrides,
+});
+const DRAFTING = { id: 10, name: 'Drafting' };
+const FUNDING = { id: 20, name: 'Funding in Progress' };
+const rule = (id, overrides = {}) => ({
+  id,
+  name: `Rule ${id}`,
+  stage_id: null,
+  stage_name: null,
+  practice_area_id: null,
+  threshold_days: 14,
+  recurring_interval_days: 7,
+  escalation_assignees: ['ATTORNEY', 'PARALEGAL', '357379471'],
+  initial_task_title: '{stage_name} has not moved in {days_in_stage} days',
+  initial_task_description: 'Matter {matter_number}',
+  initial_due_days: 3,
+  recurring_task_title: 'Still stalled (notice {notification_number})',
+  recurring_task_description: null,
+  recurring_due_days: 2,
+  ...overrides,
+});
+
+const reset = () => {
+  rules = null;
+  history.clear();
+  tracking.length = 0;
+  tasks.length = 0;
+  errors.length = 0;
+  matters = [];
+  managed.clear();
+  [1, 2, 3].forEach(id => managed.add(id));
+};
+
+beforeEach(reset);
+
+test('picks the most specific rule', () => {
+  const all = [
+    rule(1),
+    rule(2, { practice_area_id: 45045123 }),
+    rule(3, { stage_name: 'drafting' }),
+    rule(4, { stage_id: 10, practice_area_id: 45045123 }),
+  ];
+  assert.strictEqual(findStaleMatterRule(all, { stageId: 10, stageName: 'Drafting', practiceAreaId: 45045123 }).id, 4);
+  assert.strictEqual(findStaleMatterRule(all, { stageId: 10, stageName: 'Drafting', practiceAreaId: 1 }).id, 3);
+  assert.strictEqual(findStaleMatterRule(all, { stageId: 11, stageName: 'Signing', practiceAreaId: 45045123 }).id, 2);
+  assert.strictEqual(findStaleMatterRule(all, { stageId: 11, stageName: 'Signing', practiceAreaId: 1 }).id, 1);
+  assert.strictEqual(findStaleMatterRule(all.slice(1), { stageId: 11, stageName: 'Signing', practiceAreaId: 1 }), null);
+});
+
+test('stage entry is the start of the latest run of history rows', () => {
+  const rows = [
+    { stage_id: 10, date: '2026-03-05' }, // reopened
+    { stage_id: 10, date: '2026-03-01' },
+    { stage_id: 9, date: '2026-02-01' },
+    { stage_id: 10, date: '2026-01-01' },
+  ];
+  assert.strictEqual(getStageEnteredAt(rows, 10), '2026-03-01');
+  assert.strictEqual(getStageEnteredAt(rows, 9), null, 'latest row is another stage');
+  assert.strictEqual(getStageEnteredAt([], 10), null);
+});
+
+test('evaluates alerts and walks the escalation chain', () => {
+  const r = rule(1);
+  const now = new Date(Date.now() + 60 * 1000);
+  assert.strictEqual(evaluateStaleMatter(r, { stage_entered_at: daysAgo(13) }, now).action, 'none');
+  assert.deepStrictEqual(evaluateStaleMatter(r, { stage_entered_at: daysAgo(14) }, now), {
+    action: 'initial', daysInStage: 14, daysSinceLastAlert: null, notificationNumber: 1,
+  });
+
+  const sent = { stage_entered_at: daysAgo(30), initial_notification_sent: true, initial_notification_sent_at: daysAgo(8), last_recurring_notification_at: daysAgo(7), recurring_notification_count: 1 };
+  assert.deepStrictEqual(evaluateStaleMatter(r, sent, now), { action: 'recurring', daysInStage: 30, daysSinceLastAlert: 7, notificationNumber: 3 });
+  assert.strictEqual(evaluateStaleMatter({ ...r, recurring_interval_days: null }, sent, now).action, 'none');
+
+  assert.deepStrictEqual([1, 2, 3, 4].map(n => getEscalationAssignee(r, n)), ['ATTORNEY', 'PARALEGAL', '357379471', '357379471']);
+  assert.strictEqual(renderAlertText('{stage_name} for {days_in_stage} days {unknown}', { stage_name: 'Drafting', days_in_stage: 20 }), 'Drafting for 20 days {unknown}');
+});
+
+test('built-in rules keep the previous behavior', async () => {
+  matters = [
+    matter(1, DRAFTING, { matter_stage_updated_at: daysAgo(31) }),
+    matter(2, FUNDING, { status: 'Pending', matter_stage_updated_at: daysAgo(31) }),
+    matter(3, DRAFTING, { matter_stage_updated_at: daysAgo(29) }),
+  ];
+
+  const result = await StaleMatterCheckerJob.run();
+  assert.deepStrictEqual([result.checked, result.initialAlerts, result.recurringAlerts], [3, 2, 0]);
+  assert.deepStrictEqual(tasks.map(t => [t.matter_id, t.assigned_user_id, t.task_name]), [
+    [1, 357379471, DEFAULT_STALE_MATTER_RULES[0].initial_task_title],
+    [2, 357379471, DEFAULT_STALE_MATTER_RULES[1].initial_task_title],
+  ]);
+
+  // 30 days later only Funding in Progress alerts again, to the second assignee
+  tracking.forEach(t => Object.assign(t, { initial_notification_sent_at: daysAgo(30) }));
+  const again = await StaleMatterCheckerJob.run();
+  assert.deepStrictEqual([again.initialAlerts, again.recurringAlerts], [0, 1]);
+  assert.deepStrictEqual([tasks[2].matter_id, tasks[2].assigned_user_id, tasks[2].task_name], [2, 357378676, '30 Day Notification']);
+  assert.strictEqual(tracking.find(t => t.matter_id === 2).recurring_notification_count, 1);
+});
+
+test('test mode evaluates the paged matters without fetching them again', async () => {
+  matters = [
+    matter(1, DRAFTING, { display_number: 'TEST-1', matter_stage_updated_at: daysAgo(31) }),
+    matter(3, DRAFTING, { matter_stage_updated_at: daysAgo(31) }),
+  ];
+  SupabaseService.getTestModeRules = async () => [{ id: 1, rule_type: 'matter_number_pattern', value: 'TEST-*' }];
+  await TestModeService.getRules(null, true);
+  let fetched = 0;
+  ClioService.getMatter = async () => { fetched++; throw new Error('matter should come from the page'); };
+  config.testing.testMode = true;
+
+  try {
+    const result = await StaleMatterCheckerJob.run();
+    assert.deepStrictEqual(tasks.map(t => t.matter_id), [1]);
+    assert.strictEqual(result.initialAlerts, 1);
+    assert.strictEqual(fetched, 0);
+  } finally {
+    config.testing.testMode = false;
+  }
+});
+
+test('counts days from matter history and escalates per rule', async () => {
+  rules = [rule(1, { stage_id: 10 })];
+  matters = [matter(1, DRAFTING), matter(2, FUNDING, { matter_stage_updated_at: daysAgo(100) })];
+  history.set(1, [{ stage_id: 10, date: daysAgo(15) }, { stage_id: 9, date: daysAgo(40) }]);
+
+  const decisions = [];
+  const first = await StaleMatterCheckerJob.checkMatter(matters[0], rules, { logDecision: (name, input, output) => decisions.push({ name, input, output }) });
+  assert.strictEqual(first.type, 'initial');
+  assert.deepStrictEqual([tasks[0].assigned_user_id, tasks[0].task_name, tasks[0].task_desc], [900, 'Drafting has not moved in 15 days', 'Matter M-1']);
+  assert.strictEqual(decisions[0].name, 'stale_matter_alert');
+  assert.strictEqual(decisions[0].output.assigneeType, 'ATTORNEY');
+
+  const none = await StaleMatterCheckerJob.run();
+  assert.strictEqual(none.tasksCreated, 0);
+  assert.strictEqual(none.noRule, 1, 'Funding in Progress has no rule here');
+
+  tracking[0].initial_notification_sent_at = daysAgo(7);
+  await StaleMatterCheckerJob.run();
+  assert.deepStrictEqual([tasks[1].assigned_user_id, tasks[1].task_name], [901, 'Still stalled (notice 2)']);
+});
+
+test('catch-all rules skip matters the automation never touched', async () => {
+  rules = [rule(1), rule(2, { stage_name: 'Funding in Progress' })];
+  managed.clear();
+  matters = [
+    matter(1, DRAFTING),
+    matter(2, FUNDING),
+    matter(3, DRAFTING),
+  ];
+  managed.add(3);
+  [1, 2, 3].forEach(id => history.set(id, [{ stage_id: matters[id - 1].matter_stage.id, date: daysAgo(20) }]));
+
+  assert.ok(isCatchAllRule(rules[0]) && !isCatchAllRule(rules[1]));
+  const result = await StaleMatterCheckerJob.run();
+  assert.deepStrictEqual([result.checked, result.unmanaged, result.tasksCreated], [2, 1, 2]);
+  assert.deepStrictEqual(tasks.map(t => t.matter_id), [2, 3], 'stage rules still apply to unmanaged matters');
+  assert.ok(!tracking.some(t => t.matter_id === 1));
+});
+
+test('re-entering a stage restarts the alerts', async () => {
+  rules = [rule(1)];
+  matters = [matter(1, DRAFTING)];
+  history.set(1, [{ stage_id: 10, date: daysAgo(20) }]);
+  await StaleMatterCheckerJob.run();
+  assert.strictEqual(tasks.length, 1);
+
+  history.set(1, [{ stage_id: 10, date: daysAgo(2) }, { stage_id: 9, date: daysAgo(5) }, { stage_id: 10, date: daysAgo(20) }]);
+  const result = await StaleMatterCheckerJob.run();
+  assert.strictEqual(result.tasksCreated, 0);
+  assert.deepStrictEqual([tracking[0].initial_notification_sent, tracking[0].stage_entered_at], [false, new Date(history.get(1)[0].date).toISOString()]);
+});
+
+test('assignee failures are logged and other matters still run', async () => {
+  rules = [rule(1, { escalation_assignees: ['PARALEGAL'] })];
+  matters = [
+    matter(1, DRAFTING, { responsible_attorney: { id: 1, name: 'No paralegal' } }),
+    matter(2, DRAFTING),
+  ];
+  history.set(1, [{ stage_id: 10, date: daysAgo(20) }]);
+  history.set(2, [{ stage_id: 10, date: daysAgo(20) }]);
+
+  const result = await StaleMatterCheckerJob.run();
+  assert.deepStrictEqual([result.tasksCreated, result.failed], [1, 1]);
+  assert.deepStrictEqual(errors.map(e => [e.code, e.context.matter_id]), [[ERROR_CODES.ASSIGNEE_NO_PARALEGAL, 1]]);
+  assert.strictEqual(tracking.find(t => t.matter_id === 1).initial_notification_sent, false, 'retried tomorrow');
+});
@@ -0,0 +1,95 @@
+/**
+ * Task Template Dependency Graph Tests
+ *
+ * Pure parsing - no Clio or Supabase calls.
+ *
+ * Run: npm test -- tests/templates
+ */
+
+import assert from 'assert';
+import { test } from 'node:test';
+import {
+  buildDependencyGraph,
+  getDependentTemplates,
+  isKnownRelation,
+  parseTaskReference,
+} from '../../src/utils/template-graph.js';
+
+const template = (taskNumber, relation = 'after creation', overrides = {}) => ({
+  id: taskNumber * 10,
+  task_number: taskNumber,
+  task_title: `Task ${taskNumber}`,
+  'due_date-relational': relation,
+  ...overrides,
+});
+
+test('parses exact task numbers', () => {
+  assert.strictEqual(parseTaskReference('after task 3'), 3);
+  assert.strictEqual(parseTaskReference('After Task 12'), 12);
+  assert.strictEqual(parseTaskReference('3 days after task 5'), 5);
+  assert.strictEqual(parseTaskReference('after task #4'), 4);
+  assert.strictEqual(parseTaskReference('after creation'), null);
+  assert.strictEqual(parseTaskReference('after tsak 3'), null);
+});
+
+test('recognizes relations calculateDueDate understands', () => {
+  for (const relation of ['now', 'after creation', 'Before Meeting', 'after meeting', 'after task 2', '3 days after task 5']) {
+    assert.ok(isKnownRelation(relation), relation);
+  }
+  for (const relation of ['after tsak 3', 'sometime', 'after task three']) {
+    assert.ok(!isKnownRelation(relation), relation);
+  }
+});
+
+test('"task 1" does not match "task 12"', () => {
+  const templates = [template(1), template(12), template(2, 'after task 12'), template(3, 'after task 1')];
+  const { dependents } = getDependentTemplates(templates, 1);
+  assert.deepStrictEqual(dependents.map(t => t.task_number), [3]);
+});
+
+test('builds edges, roots and topological order', () => {
+  const graph = buildDependencyGraph([
+    template(1),
+    template(2, 'after task 1'),
+    template(3, 'after task 2'),
+    template(4, 'after task 1'),
+    template(5),
+  ]);
+  assert.strictEqual(graph.valid, true);
+  assert.deepStrictEqual(graph.roots, [1, 5]);
+  assert.deepStrictEqual(graph.order, [1, 5, 2, 4, 3]);
+  assert.deepStrictEqual(graph.nodes.find(n => n.taskNumber === 1).dependents, [2, 4]);
+});
+
+test('detects cycles, including self references', () => {
+  const graph = buildDependencyGraph([
+    template(1, 'after task 1'),
+    template(2, 'after task 4'),
+    template(3, 'after task 2'),
+    template(4, 'after task 3'),
+    template(5, 'after task 4'),
+  ]);
+  assert.strictEqual(graph.valid, false);
+  assert.deepStrictEqual(graph.cycles.map(c => [...c].sort()), [[1], [2, 3, 4]]);
+  assert.deepStrictEqual(graph.order, []);
+});
+
+test('cycle members are never returned as dependents', () => {
+  const templates = [template(1), template(2, 'after task 3'), template(3, 'after task 2'), template(4, 'after task 2')];
+  const { dependents } = getDependentTemplates(templates, 2);
+  assert.deepStrictEqual(dependents.map(t => t.task_number), [4]);
+});
+
+test('reports missing and unparseable references', () => {
+  const graph = buildDependencyGraph([
+    template(1),
+    template(2, 'after task 9'),
+    template(3, 'after tsak 1'),
+    template(4, 'after task 1', { active: false }),
+  ]);
+  assert.deepStrictEqual(
+    graph.unresolved.map(u => `${u.taskNumber}:${u.reason}`),
+    ['2:missing_task', '3:unparseable_reference']
+  );
+  assert.strictEqual(graph.nodes.length, 3);
+});
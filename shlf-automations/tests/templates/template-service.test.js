@@ -0,0 +1,101 @@
+/**
+ * Task Template Service Tests
+ *
+ * Template tables are an in-memory stub whose updates only apply at the
+ * expected version, like the `.eq('version', ...)` guard in SupabaseService.
+ *
+ * Run: npm test -- tests/templates
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The service loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const { TaskTemplateService } = await import('../../src/services/task-templates.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+
+const TABLE = 'task-list-probate';
+const rows = new Map();
+const versions = [];
+// Runs between the service's read and its write (a concurrent editor)
+let beforeWrite = null;
+
+SupabaseService.getPracticeAreas = async () => [{ template_table: TABLE }];
+SupabaseService.getTemplateById = async (tableName, id) => (rows.has(id) ? { ...rows.get(id) } : null);
+SupabaseService.getTemplates = async () => [...rows.values()].filter(r => r.active !== false).map(r => ({ ...r }));
+SupabaseService.insertTemplateVersion = async (version) => { versions.push(version); };
+SupabaseService.updateTemplate = async (tableName, id, updates, currentVersion) => {
+  if (beforeWrite) {
+    const concurrent = beforeWrite;
+    beforeWrite = null;
+    concurrent();
+  }
+  const row = rows.get(id);
+  if (!row || row.version !== currentVersion) return null;
+  Object.assign(row, updates);
+  return { ...row };
+};
+
+const template = (id, overrides = {}) => ({
+  id,
+  stage_id: 100,
+  task_number: id,
+  task_title: `Task ${id}`,
+  assignee: 'CSC',
+  'due_date-value': 1,
+  'due_date-time-relation': 'days',
+  'due_date-relational': 'after creation',
+  active: true,
+  version: 1,
+  ...overrides,
+});
+
+const reset = () => {
+  rows.clear();
+  versions.length = 0;
+  beforeWrite = null;
+  rows.set(1, template(1));
+  rows.set(2, template(2));
+};
+
+beforeEach(reset);
+
+test('updates at the current version and bumps it', async () => {
+  const outcome = await TaskTemplateService.update(TABLE, 1, { task_title: 'Call client' }, { expectedVersion: 1 });
+
+  assert.strictEqual(outcome.action, 'updated');
+  assert.strictEqual(rows.get(1).version, 2);
+  assert.strictEqual(rows.get(1).task_title, 'Call client');
+});
+
+test('rejects a stale expectedVersion before writing', async () => {
+  rows.get(1).version = 3;
+  const outcome = await TaskTemplateService.update(TABLE, 1, { task_title: 'Call client' }, { expectedVersion: 2 });
+
+  assert.strictEqual(outcome.action, 'conflict');
+  assert.strictEqual(rows.get(1).task_title, 'Task 1');
+});
+
+test('an edit that loses the race to another write is a conflict, not an overwrite', async () => {
+  beforeWrite = () => Object.assign(rows.get(1), { task_title: 'Edited elsewhere', version: 2 });
+
+  const outcome = await TaskTemplateService.update(TABLE, 1, { task_title: 'Call client' }, { expectedVersion: 1 });
+
+  assert.strictEqual(outcome.success, false);
+  assert.strictEqual(outcome.action, 'conflict');
+  assert.strictEqual(outcome.template.version, 2);
+  assert.strictEqual(rows.get(1).task_title, 'Edited elsewhere');
+  assert.strictEqual(versions.length, 0);
+});
+
+test('retire that loses the race is a conflict', async () => {
+  beforeWrite = () => Object.assign(rows.get(2), { task_title: 'Edited elsewhere', version: 2 });
+
+  const outcome = await TaskTemplateService.retire(TABLE, 2);
+
+  assert.strictEqual(outcome.action, 'conflict');
+  assert.strictEqual(rows.get(2).active, true);
+});
@@ -0,0 +1,106 @@
+/**
+ * Task Template Validator Tests
+ *
+ * Pure validation - no Clio or Supabase calls.
+ *
+ * Run: npm test -- tests/templates
+ */
+
+import assert from 'assert';
+import { test } from 'node:test';
+import { validateTemplateSet } from '../../src/utils/template-validator.js';
+
+const template = (taskNumber, overrides = {}) => ({
+  id: taskNumber * 10,
+  stage_id: 100,
+  task_number: taskNumber,
+  task_title: `Task ${taskNumber}`,
+  assignee: 'CSC',
+  'due_date-value': 1,
+  'due_date-time-relation': 'days',
+  'due_date-relational': 'after creation',
+  ...overrides,
+});
+
+const fields = (result) => result.errors.map(e => `${e.taskNumber}:${e.field}`).sort();
+
+test('valid stage set passes', () => {
+  const result = validateTemplateSet([
+    template(1),
+    template(2, { 'due_date-relational': 'After Task 1' }),
+    template(3, { assignee: 'FUNDING_COOR', assignee_id: '357' }),
+    template(4, { assignee: 'ATTORNEY', assignee_id: 'location' }),
+    template(5, { assignee: '357', 'due_date-time-relation': 'Business Days' }),
+  ]);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.valid, true);
+});
+
+test('duplicate task numbers are rejected', () => {
+  const result = validateTemplateSet([template(1), template(1, { id: 99 })]);
+  assert.deepStrictEqual(fields(result), ['1:task_number']);
+});
+
+test('retired templates are ignored', () => {
+  const result = validateTemplateSet([template(1), template(1, { id: 99, active: false })]);
+  assert.strictEqual(result.valid, true);
+});
+
+test('dangling and self "after task" references are rejected', () => {
+  const result = validateTemplateSet([
+    template(1, { 'due_date-relational': 'after task 1' }),
+    template(2, { 'due_date-relational': 'after task 7' }),
+  ]);
+  assert.deepStrictEqual(fields(result), ['1:due_date-relational', '2:due_date-relational']);
+});
+
+test('dependency cycles are rejected', () => {
+  const result = validateTemplateSet([
+    template(1),
+    template(2, { 'due_date-relational': 'after task 3' }),
+    template(3, { 'due_date-relational': 'after task 2' }),
+  ]);
+  assert.deepStrictEqual(fields(result), ['2:due_date-relational', '3:due_date-relational']);
+  assert.match(result.errors[0].message, /task 2 → task 3 → task 2|task 3 → task 2 → task 3/);
+});
+
+test('retiring a task that others depend on leaves a dangling reference', () => {
+  const result = validateTemplateSet([
+    template(1, { active: false }),
+    template(2, { 'due_date-relational': 'after task 1' }),
+  ]);
+  assert.deepStrictEqual(fields(result), ['2:due_date-relational']);
+});
+
+test('unknown assignee types and lookup references are rejected', () => {
+  const result = validateTemplateSet([
+    template(1, { assignee: 'INTERN' }),
+    template(2, { assignee: 'CSC', assignee_id: 'office' }),
+    template(3, { assignee: 'FUNDING_COOR' }),
+    template(4, { assignee: null }),
+  ]);
+  assert.deepStrictEqual(fields(result), ['1:assignee', '2:assignee_id', '3:assignee_id', '4:assignee']);
+});
+
+test('impossible due date relations are rejected', () => {
+  const result = validateTemplateSet([
+    template(1, { 'due_date-relational': 'before meeting' }),
+    template(2, { 'due_date-relational': 'sometime next week' }),
+    template(3, { 'due_date-time-relation': 'fortnights' }),
+    template(4, { 'due_date-value': -2 }),
+  ]);
+  assert.deepStrictEqual(fields(result), [
+    '1:due_date-relational',
+    '2:due_date-relational',
+    '3:due_date-time-relation',
+    '4:due_date-value',
+  ]);
+});
+
+test('meeting templates may be relative to the meeting', () => {
+  const result = validateTemplateSet([
+    template(1, { 'due_date-relational': 'before meeting', 'due_date-time-relation': 'hours', 'due_date-value': 24 }),
+    template(2, { 'due_date-relational': 'after meeting' }),
+  ], { kind: 'meeting' });
+  assert.strictEqual(result.valid, true);
+});
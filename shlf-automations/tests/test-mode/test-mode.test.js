@@ -0,0 +1,200 @@
+/**
+ * Test Mode Allowlist Tests
+ *
+ * test_mode_rules and Clio matter lookups are in-memory stubs; Date.now is
+ * moved forward to expire the rule cache.
+ *
+ * Run: npm test -- tests/test-mode
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The service loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TEST_MODE = 'true';
+process.env.TEST_MATTER_ID = '1000';
+
+const { TestModeService } = await import('../../src/services/test-mode.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { config } = await import('../../src/config/index.js');
+
+// In-memory test_mode_rules
+let rules = [];
+let ruleLoads = 0;
+SupabaseService.getTestModeRules = async () => {
+  ruleLoads++;
+  return rules;
+};
+
+// In-memory Clio
+const matters = new Map([
+  [2001, { id: 2001, display_number: '00042-Test', responsible_attorney: { id: 77 } }],
+  [2002, { id: 2002, display_number: '00043-Jones', responsible_attorney: { id: 88 } }],
+]);
+const customFields = new Map([
+  [2003, [{ field_name: 'Automation Test', value: true, custom_field: { id: 501 } }]],
+  [2004, [{ field_name: 'Automation Test', value: 'No', custom_field: { id: 501 } }]],
+]);
+const clioCalls = [];
+let clioDown = false;
+ClioService.getMatter = async (matterId) => {
+  clioCalls.push(['getMatter', matterId]);
+  if (clioDown) throw new Error('Request failed with status code 503');
+  return matters.get(matterId) || { id: matterId, display_number: null, responsible_attorney: null };
+};
+ClioService.getMatterCustomFieldValues = async (matterId) => {
+  clioCalls.push(['getMatterCustomFieldValues', matterId]);
+  if (clioDown) throw new Error('Request failed with status code 503');
+  return customFields.get(matterId) || [];
+};
+
+const realNow = Date.now;
+const rule = (id, rule_type, value) => ({ id, rule_type, value, description: null });
+
+/**
+ * Load the current rules into the service cache
+ */
+const setRules = async (...next) => {
+  rules = next;
+  await TestModeService.getRules(null, true);
+  ruleLoads = 0;
+};
+
+const reset = async () => {
+  clioCalls.length = 0;
+  clioDown = false;
+  config.testing.testMode = true;
+  Date.now = realNow;
+  await setRules();
+};
+
+beforeEach(reset);
+
+test('allows every matter when test mode is off', async () => {
+  config.testing.testMode = false;
+
+  const decision = await TestModeService.evaluate(2002);
+  assert.deepStrictEqual([decision.allowed, decision.testMode, decision.reason], [true, false, 'test_mode_disabled']);
+  assert.strictEqual(ruleLoads, 0);
+});
+
+test('matches TEST_MATTER_ID and matter_id rules without calling Clio', async () => {
+  await setRules(rule(1, 'matter_id', '2002'));
+
+  const env = await TestModeService.evaluate(1000);
+  assert.strictEqual(env.allowed, true);
+  assert.strictEqual(env.matchedRule.type, 'env_test_matter_id');
+
+  const byId = await TestModeService.evaluate('2002');
+  assert.strictEqual(byId.allowed, true);
+  assert.deepStrictEqual(byId.matchedRule, { id: 1, type: 'matter_id', value: '2002', description: null });
+  assert.deepStrictEqual(clioCalls, []);
+
+  const other = await TestModeService.evaluate(2001);
+  assert.deepStrictEqual([other.allowed, other.reason], [false, 'not_in_allowlist']);
+});
+
+test('matter_number_pattern rules match display numbers case-insensitively', async () => {
+  await setRules(rule(2, 'matter_number_pattern', '*-test'));
+
+  const matched = await TestModeService.evaluate(2001);
+  assert.strictEqual(matched.allowed, true);
+  assert.strictEqual(matched.matchedRule.id, 2);
+
+  assert.strictEqual((await TestModeService.evaluate(2002)).allowed, false);
+});
+
+test('matter details passed in are used instead of fetching the matter', async () => {
+  await setRules(rule(2, 'matter_number_pattern', '00099-*'));
+
+  const decision = await TestModeService.evaluate(2002, { matter: { display_number: '00099-Smith' } });
+  assert.strictEqual(decision.allowed, true);
+  assert.deepStrictEqual(clioCalls, []);
+});
+
+test('responsible_attorney rules match the attorney user ID', async () => {
+  await setRules(rule(3, 'responsible_attorney', '88'));
+
+  const matched = await TestModeService.evaluate(2002);
+  assert.strictEqual(matched.allowed, true);
+  assert.strictEqual(matched.matchedRule.type, 'responsible_attorney');
+
+  assert.strictEqual((await TestModeService.evaluate(2001)).allowed, false);
+});
+
+test('custom_field rules need the field checked or non-empty', async () => {
+  await setRules(rule(4, 'custom_field', 'automation test'));
+
+  const checked = await TestModeService.evaluate(2003);
+  assert.strictEqual(checked.allowed, true);
+  assert.strictEqual(checked.matchedRule.id, 4);
+
+  const unchecked = await TestModeService.evaluate(2004);
+  assert.deepStrictEqual([unchecked.allowed, unchecked.reason], [false, 'not_in_allowlist']);
+
+  // Custom field rules never need the matter itself
+  assert.deepStrictEqual(clioCalls.map(([method]) => method), ['getMatterCustomFieldValues', 'getMatterCustomFieldValues']);
+
+  // The field can also be named by its Clio ID
+  await setRules(rule(5, 'custom_field', '501'));
+  assert.strictEqual((await TestModeService.evaluate(2003)).allowed, true);
+});
+
+test('rules are cached for 60 seconds', async () => {
+  await setRules(rule(1, 'matter_id', '2002'));
+  const loadedAt = realNow();
+
+  rules = [rule(6, 'matter_id', '2001')];
+  Date.now = () => loadedAt + 59 * 1000;
+  assert.strictEqual((await TestModeService.evaluate(2001)).allowed, false, 'cached rules still apply');
+  assert.strictEqual(ruleLoads, 0);
+
+  Date.now = () => loadedAt + 61 * 1000;
+  assert.strictEqual((await TestModeService.evaluate(2001)).allowed, true, 'edited rules apply after a minute');
+  assert.strictEqual(ruleLoads, 1);
+});
+
+test('keeps the cached rules when Supabase is unavailable', async () => {
+  await setRules(rule(1, 'matter_id', '2002'));
+  SupabaseService.getTestModeRules = async () => { throw new Error('connection refused'); };
+
+  try {
+    const rulesNow = await TestModeService.getRules(null, true);
+    assert.deepStrictEqual(rulesNow.map(r => r.id), [1]);
+    assert.strictEqual((await TestModeService.evaluate(2002)).allowed, true);
+  } finally {
+    SupabaseService.getTestModeRules = async () => {
+      ruleLoads++;
+      return rules;
+    };
+  }
+});
+
+test('blocks the matter when Clio cannot be reached to evaluate a rule', async () => {
+  await setRules(rule(3, 'responsible_attorney', '88'));
+  clioDown = true;
+
+  const decision = await TestModeService.evaluate(2002);
+  assert.deepStrictEqual([decision.allowed, decision.matchedRule, decision.reason], [false, null, 'evaluation_failed']);
+
+  // A matter_id match never reaches Clio
+  await setRules(rule(1, 'matter_id', '2002'), rule(3, 'responsible_attorney', '88'));
+  assert.strictEqual((await TestModeService.evaluate(2002)).reason, 'matched');
+});
+
+test('records the decision on the tracking context', async () => {
+  await setRules(rule(1, 'matter_id', '2002'));
+  const decisions = [];
+  const ctx = { logDecision: (name, input, decision) => decisions.push({ name, input, decision }) };
+
+  await TestModeService.evaluate(2002, { ctx });
+  await TestModeService.evaluate(0, { ctx });
+
+  assert.deepStrictEqual(decisions.map(d => [d.name, d.decision.reason]), [
+    ['test_mode_allowlist', 'matched'],
+    ['test_mode_allowlist', 'no_matter_id'],
+  ]);
+});
@@ -0,0 +1,58 @@
+/**
+ * Test Runner
+ *
+ * Finds every tests/**\/*.test.js and runs them with the Node test runner
+ * (node:test), each file in its own process. Suites only stub Clio and
+ * Supabase, so no credentials or network are needed.
+ *
+ * Live suites (tests/estate-planning) run against a real Clio matter and
+ * are skipped unless named explicitly.
+ *
+ * Run: npm test                       (all suites)
+ *      npm test -- tests/webhooks     (files or directories)
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const testsDir = path.dirname(fileURLToPath(import.meta.url));
+const LIVE_SUITES = [path.join(testsDir, 'estate-planning')];
+
+/**
+ * All *.test.js files under a file or directory, sorted
+ */
+const findTestFiles = (target) => {
+  if (!fs.statSync(target).isDirectory()) return [target];
+
+  return fs.readdirSync(target, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const fullPath = path.join(target, entry.name);
+      if (entry.isDirectory()) return findTestFiles(fullPath);
+      return entry.name.endsWith('.test.js') ? [fullPath] : [];
+    });
+};
+
+const targets = process.argv.slice(2).map(target => path.resolve(target));
+const files = targets.length > 0
+  ? targets.flatMap(findTestFiles)
+  : findTestFiles(testsDir).filter(file => !LIVE_SUITES.some(dir => file.startsWith(dir + path.sep)));
+
+if (files.length === 0) {
+  console.error('No test files found');
+  process.exit(1);
+}
+
+// Each file runs as a plain script (node:test reports in-process). Under
+// `node --test` a file's console output shares the channel the child reports
+// results over, and Node 20 intermittently fails to parse it.
+const failed = files.filter((file) => {
+  const { status } = spawnSync(process.execPath, [file], { stdio: 'inherit' });
+  return status !== 0;
+});
+
+console.log(`\n${files.length - failed.length}/${files.length} test file(s) passed`);
+failed.forEach(file => console.log(`  ✗ ${path.relative(process.cwd(), file)}`));
+process.exit(failed.length > 0 ? 1 : 0);
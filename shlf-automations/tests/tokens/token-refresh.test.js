@@ -0,0 +1,250 @@
+/**
+ * Clio Token Refresh Tests
+ *
+ * The clio_tokens row lives in an in-memory Supabase stand-in (enough of the
+ * query builder for the service's queries); the Clio token endpoint is stubbed.
+ *
+ * Run: npm test -- tests/tokens
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The service loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.INSTANCE_ID = 'box-a';
+
+const { TokenRefreshService } = await import('../../src/services/token-refresh.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { EventTracker } = await import('../../src/services/event-tracker.js');
+const { config } = await import('../../src/config/index.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+
+// In-memory clio_tokens row
+let row;
+// Token writes (updates setting access_token) that fail before one succeeds
+let failingTokenWrites = 0;
+const matches = {
+  eq: (value, expected) => value === expected,
+  is: (value) => (value ?? null) === null,
+  lt: (value, expected) => !!value && new Date(value) < new Date(expected),
+};
+TokenRefreshService.supabase = {
+  from: () => {
+    const filters = [];
+    let values = null;
+    let single = false;
+    const builder = {
+      select: () => builder,
+      update: (v) => { values = v; return builder; },
+      eq: (column, value) => { filters.push(r => r[column] === value); return builder; },
+      is: (column, value) => { filters.push(r => (r[column] ?? null) === value); return builder; },
+      or: (expression) => {
+        const clauses = expression.split(',').map(clause => {
+          const [column, op, ...rest] = clause.split('.');
+          return r => matches[op](r[column], rest.join('.'));
+        });
+        filters.push(r => clauses.some(clause => clause(r)));
+        return builder;
+      },
+      single: () => { single = true; return builder; },
+      then: (resolve) => {
+        if (values?.access_token && failingTokenWrites > 0) {
+          failingTokenWrites--;
+          return resolve({ data: null, error: { message: 'connection reset' } });
+        }
+        const hits = row && filters.every(filter => filter(row)) ? [row] : [];
+        if (values) hits.forEach(hit => Object.assign(hit, values));
+        const data = hits.map(hit => ({ ...hit }));
+        if (single) return resolve(data[0] ? { data: data[0], error: null } : { data: null, error: { code: 'PGRST116' } });
+        return resolve({ data, error: null });
+      },
+    };
+    return builder;
+  },
+};
+
+// Clio token endpoint
+let clioRequests = [];
+let clioResponse;
+TokenRefreshService._requestToken = async (refreshToken) => {
+  clioRequests.push(refreshToken);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  if (clioResponse instanceof Error) throw clioResponse;
+  return clioResponse;
+};
+
+// Alerts
+const traces = [];
+const errors = [];
+EventTracker.startTrace = async (params) => { traces.push(params); return `trace-${traces.length}`; };
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+
+const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString();
+const revokedError = () => Object.assign(new Error('Request failed with status code 400'), {
+  response: { status: 400, data: { error: 'invalid_grant', error_description: 'The refresh token is invalid' } },
+});
+
+const reset = () => {
+  row = {
+    id: 1,
+    access_token: 'token-1',
+    expires_at: inDays(0.5),
+    refresh_token: 'refresh-1',
+    refresh_lease_owner: null,
+    refresh_lease_expires_at: null,
+    last_refresh_error: null,
+    refresh_token_revoked_at: null,
+  };
+  config.clio.accessToken = 'token-1';
+  config.clio.refreshToken = 'refresh-env';
+  failingTokenWrites = 0;
+  TokenRefreshService.unsavedToken = null;
+  TokenRefreshService.STORE_RETRY_MS = 1;
+  config.clio.tokenCacheSeconds = 60;
+  TokenRefreshService.tokenExpiresAt = new Date(row.expires_at);
+  TokenRefreshService.tokenLoadedAt = Date.now();
+  TokenRefreshService.LEASE_POLL_MS = 20;
+  clioRequests = [];
+  clioResponse = { access_token: 'token-2', expires_in: 604800, refresh_token: 'refresh-2' };
+  traces.length = 0;
+  errors.length = 0;
+};
+
+beforeEach(reset);
+
+test('loads the token from the store and notifies listeners', async () => {
+  config.clio.accessToken = 'env-token';
+  const seen = [];
+  const unsubscribe = TokenRefreshService.onTokenChange(token => seen.push(token));
+  try {
+    await TokenRefreshService.initialize();
+  } finally {
+    unsubscribe();
+  }
+  assert.strictEqual(config.clio.accessToken, 'token-1');
+  assert.deepStrictEqual(seen, ['token-1']);
+  assert.strictEqual(ClioService.client.defaults.headers['Authorization'], 'Bearer token-1');
+});
+
+test('refreshes under the lease and stores the rotated refresh token', async () => {
+  const result = await TokenRefreshService.refreshAccessToken();
+  assert.strictEqual(result.refreshed, true);
+  assert.deepStrictEqual(clioRequests, ['refresh-1'], 'uses the stored refresh token');
+  assert.deepStrictEqual([row.access_token, row.refresh_token, row.refresh_lease_owner], ['token-2', 'refresh-2', null]);
+  assert.ok(new Date(row.expires_at) > new Date(inDays(6.9)));
+  assert.strictEqual(config.clio.accessToken, 'token-2');
+  assert.strictEqual(TokenRefreshService._updateEnvFile, undefined, 'no .env rewriting');
+});
+
+test('uses a token another instance already refreshed', async () => {
+  row.access_token = 'token-from-box-b';
+  row.expires_at = inDays(7);
+  const result = await TokenRefreshService.refreshAccessToken({ failedToken: 'token-1' });
+  assert.deepStrictEqual([result.refreshed, result.access_token], [false, 'token-from-box-b']);
+  assert.strictEqual(clioRequests.length, 0);
+  assert.strictEqual(config.clio.accessToken, 'token-from-box-b');
+});
+
+test('waits for the instance holding the lease', async () => {
+  Object.assign(row, { refresh_lease_owner: 'box-b', refresh_lease_expires_at: inDays(0.001) });
+  setTimeout(() => Object.assign(row, {
+    access_token: 'token-from-box-b',
+    expires_at: inDays(7),
+    refresh_lease_owner: null,
+    refresh_lease_expires_at: null,
+  }), 60);
+
+  const result = await TokenRefreshService.refreshAccessToken();
+  assert.deepStrictEqual([result.refreshed, result.access_token], [false, 'token-from-box-b']);
+  assert.strictEqual(clioRequests.length, 0, 'box-a never spends the refresh token');
+});
+
+test('takes over a lapsed lease', async () => {
+  Object.assign(row, { refresh_lease_owner: 'box-b', refresh_lease_expires_at: inDays(-0.001) });
+  const result = await TokenRefreshService.refreshAccessToken();
+  assert.strictEqual(result.refreshed, true);
+  assert.strictEqual(clioRequests.length, 1);
+  assert.strictEqual(row.refresh_lease_owner, null);
+});
+
+test('shares one refresh between concurrent callers', async () => {
+  const results = await Promise.all([1, 2, 3].map(() => TokenRefreshService.refreshAccessToken()));
+  assert.strictEqual(clioRequests.length, 1);
+  assert.ok(results.every(r => r.access_token === 'token-2'));
+});
+
+test('marks a revoked refresh token and raises an alert trace', async () => {
+  clioResponse = revokedError();
+  await assert.rejects(() => TokenRefreshService.refreshAccessToken(), /status code 400/);
+
+  assert.ok(row.refresh_token_revoked_at, 'revocation stored');
+  assert.deepStrictEqual([row.last_refresh_error, row.refresh_lease_owner], ['The refresh token is invalid', null]);
+  assert.deepStrictEqual(traces.map(t => t.triggerName), ['clio-refresh-token-revoked']);
+  assert.strictEqual(errors[0].code, ERROR_CODES.CLIO_REFRESH_TOKEN_REVOKED);
+  assert.strictEqual(errors[0].context.trace_id, 'trace-1');
+
+  // Not retried until a new refresh token is stored
+  await assert.rejects(() => TokenRefreshService.refreshAccessToken(), /revoked/);
+  assert.strictEqual(clioRequests.length, 1);
+});
+
+test('alerts on other refresh failures without revoking', async () => {
+  clioResponse = new Error('connect ETIMEDOUT');
+  await assert.rejects(() => TokenRefreshService.refreshAccessToken(), /ETIMEDOUT/);
+  assert.strictEqual(row.refresh_token_revoked_at, null);
+  assert.deepStrictEqual(traces.map(t => t.triggerName), ['clio-token-refresh-failed']);
+  assert.strictEqual(errors[0].code, ERROR_CODES.CLIO_TOKEN_REFRESH_FAILED);
+});
+
+test('re-reads the store once the cache expires', async () => {
+  row.access_token = 'token-from-box-b';
+  assert.strictEqual(await TokenRefreshService.getAccessToken(), 'token-1', 'cached');
+
+  TokenRefreshService.tokenLoadedAt = Date.now() - 61000;
+  assert.strictEqual(await TokenRefreshService.getAccessToken(), 'token-from-box-b');
+});
+
+test('retries storing the refreshed token', async () => {
+  failingTokenWrites = 2;
+  const result = await TokenRefreshService.refreshAccessToken();
+  assert.strictEqual(result.refreshed, true);
+  assert.deepStrictEqual([row.access_token, row.refresh_token, row.refresh_lease_owner], ['token-2', 'refresh-2', null]);
+  assert.strictEqual(traces.length, 0);
+});
+
+test('keeps a token the store rejects in memory, alerts and stores it on the next sync', async () => {
+  failingTokenWrites = 3;
+  const result = await TokenRefreshService.refreshAccessToken();
+  assert.strictEqual(result.refreshed, true);
+  assert.deepStrictEqual([config.clio.accessToken, config.clio.refreshToken], ['token-2', 'refresh-2'], 'rotated refresh token not lost');
+  assert.deepStrictEqual([row.access_token, row.refresh_token], ['token-1', 'refresh-1']);
+  assert.deepStrictEqual(traces.map(t => t.triggerName), ['clio-token-refresh-failed']);
+  assert.strictEqual(errors[0].context.unsaved, true);
+
+  // The stale store row doesn't replace the token in memory
+  TokenRefreshService.tokenLoadedAt = 0;
+  failingTokenWrites = 1;
+  assert.strictEqual(await TokenRefreshService.getAccessToken(), 'token-2');
+  assert.strictEqual(row.access_token, 'token-1');
+
+  TokenRefreshService.tokenLoadedAt = 0;
+  assert.strictEqual(await TokenRefreshService.getAccessToken(), 'token-2');
+  assert.deepStrictEqual([row.access_token, row.refresh_token], ['token-2', 'refresh-2']);
+  assert.strictEqual(TokenRefreshService.unsavedToken, null);
+});
+
+test('spends the unsaved rotated refresh token, not the stale stored one', async () => {
+  failingTokenWrites = 3;
+  await TokenRefreshService.refreshAccessToken();
+  row.refresh_lease_expires_at = inDays(-0.001);
+
+  failingTokenWrites = 4; // flush plus every write of the next refresh
+  clioResponse = { access_token: 'token-3', expires_in: 604800, refresh_token: 'refresh-3' };
+  await TokenRefreshService.refreshAccessToken();
+  assert.deepStrictEqual(clioRequests, ['refresh-1', 'refresh-2']);
+  assert.strictEqual(config.clio.refreshToken, 'refresh-3');
+});
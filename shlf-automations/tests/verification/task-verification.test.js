@@ -0,0 +1,201 @@
+/**
+ * Deferred Task Verification Tests
+ *
+ * Clio and Supabase calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/verification
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The job loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.TEST_MODE = 'false';
+process.env.VERIFY_DELAY_SECONDS = '45';
+process.env.VERIFY_PASSES = '2';
+process.env.VERIFY_PASS_INTERVAL_SECONDS = '600';
+
+const { TaskVerificationService } = await import('../../src/services/task-verification.js');
+const { TaskVerificationJob } = await import('../../src/jobs/verify-tasks.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+
+const STAGE = { id: 10, name: 'Drafting' };
+const ATTORNEY = { id: 77, name: 'Attorney 77' };
+const templates = [1, 2, 3].map(n => ({ task_number: n, task_title: `Task ${n}`, assignee: 'ATTORNEY', 'due_date-value': 1 }));
+
+// In-memory Supabase
+let verificationsTableExists = true;
+const verifications = new Map();
+const rows = [];
+const errors = [];
+SupabaseService.insertTaskVerification = async (row) => {
+  if (!verificationsTableExists) return null;
+  const id = verifications.size + 1;
+  verifications.set(id, { id, passes: 0, created_at: new Date().toISOString(), ...row });
+  return { ...verifications.get(id) };
+};
+SupabaseService.getDueTaskVerifications = async () => [...verifications.values()]
+  .filter(v => ['pending', 'running'].includes(v.status) && new Date(v.next_run_at) <= new Date())
+  .map(v => ({ ...v }));
+SupabaseService.claimTaskVerification = async (row) => {
+  const current = verifications.get(row.id);
+  if (current.next_run_at !== row.next_run_at) return null;
+  Object.assign(current, { status: 'running', next_run_at: new Date(Date.now() + 300000).toISOString() });
+  return { ...current };
+};
+SupabaseService.updateTaskVerification = async (id, updates) => { Object.assign(verifications.get(id), updates); };
+SupabaseService.getExpectedTaskCount = async () => ({ expectedTaskNumbers: templates.map(t => t.task_number) });
+SupabaseService.getRecentTasksByMatterAndStage = async (matterId, stageId) =>
+  rows.filter(r => r.matter_id === matterId && r.stage_id === stageId);
+SupabaseService.getTaskListForPracticeArea = async () => templates;
+SupabaseService.insertTask = async (row) => { rows.push(row); };
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+SupabaseService.getFirmHolidays = async () => [];
+SupabaseService.getAssigneeBalancingRules = async () => null;
+SupabaseService.getAssigneeDelegations = async () => [];
+
+// In-memory Clio
+let clioMatter;
+const created = [];
+ClioService.getMatter = async () => ({ ...clioMatter });
+ClioService.createTask = async (data) => {
+  const task = { id: 9000 + created.length, name: data.name, description: data.description };
+  created.push(data);
+  return task;
+};
+
+const matterDetails = { id: 1, display_number: 'M-1', location: 'Naples', matter_stage: STAGE, responsible_attorney: ATTORNEY };
+const schedule = () => TaskVerificationService.scheduleVerification({
+  matterId: 1,
+  stageId: STAGE.id,
+  stageName: STAGE.name,
+  practiceAreaId: 5,
+  matterDetails,
+  expectedCount: templates.length,
+  context: 'stage_change',
+}, 'webhook-trace');
+const makeDue = (id = 1) => { verifications.get(id).next_run_at = new Date(Date.now() - 1000).toISOString(); };
+const generated = (...numbers) => numbers.forEach(n => rows.push({ task_id: n, task_number: n, matter_id: 1, stage_id: STAGE.id }));
+
+const reset = () => {
+  verificationsTableExists = true;
+  verifications.clear();
+  rows.length = 0;
+  errors.length = 0;
+  created.length = 0;
+  clioMatter = { ...matterDetails };
+};
+
+beforeEach(reset);
+
+test('schedules a persisted verification instead of waiting', async () => {
+  const started = Date.now();
+  const result = await schedule();
+  assert.ok(Date.now() - started < 1000, 'returns without waiting');
+  assert.strictEqual(result.scheduled, true);
+
+  const row = verifications.get(result.verificationId);
+  assert.deepStrictEqual([row.status, row.max_passes, row.source_trace_id, row.context], ['pending', 2, 'webhook-trace', 'stage_change']);
+  const delay = new Date(row.next_run_at) - started;
+  assert.ok(delay >= 45000 && delay < 46000, `first pass after VERIFY_DELAY_SECONDS (${delay}ms)`);
+
+  const summary = await TaskVerificationJob.run();
+  assert.strictEqual(summary.due, 0, 'not due before the delay');
+});
+
+test('skips scheduling when the table is missing', async () => {
+  verificationsTableExists = false;
+  assert.deepStrictEqual(await schedule(), { scheduled: false, reason: 'table_not_exists' });
+});
+
+test('marks a verification verified when every task exists', async () => {
+  generated(1, 2, 3);
+  await schedule();
+  makeDue();
+
+  const summary = await TaskVerificationJob.run();
+  assert.deepStrictEqual([summary.due, summary.verified], [1, 1]);
+  const row = verifications.get(1);
+  assert.deepStrictEqual([row.status, row.passes], ['verified', 1]);
+  assert.ok(row.completed_at);
+  assert.strictEqual(created.length, 0);
+});
+
+test('regenerates missing tasks', async () => {
+  generated(1, 3);
+  await schedule();
+  makeDue();
+
+  const summary = await TaskVerificationJob.run();
+  assert.strictEqual(summary.regenerated, 1);
+  assert.deepStrictEqual(created.map(t => [t.name, t.assignee.id]), [['Task 2', ATTORNEY.id]]);
+  const regenerated = rows.find(r => r.task_id === 9000);
+  assert.deepStrictEqual([regenerated.task_number, regenerated.verification_attempted], [2, true]);
+  assert.strictEqual(verifications.get(1).status, 'regenerated');
+});
+
+test('retries a failed pass, then escalates after the final pass', async () => {
+  generated(1);
+  clioMatter = { ...matterDetails, responsible_attorney: null, originating_attorney: null };
+  await schedule();
+  verifications.get(1).matter_details = clioMatter;
+  makeDue();
+
+  // Pass 1: assignee can't be resolved - retried later, no error task yet
+  const first = await TaskVerificationJob.run();
+  assert.strictEqual(first.retrying, 1);
+  let row = verifications.get(1);
+  assert.deepStrictEqual([row.status, row.passes, row.completed_at], ['pending', 1, null]);
+  const wait = new Date(row.next_run_at) - Date.now();
+  assert.ok(wait > 590000 && wait <= 600000, 'next pass after VERIFY_PASS_INTERVAL_SECONDS');
+  assert.strictEqual(created.length, 0);
+  assert.strictEqual(errors.length, 0);
+
+  // Pass 2 (final): still failing - error task + error log
+  makeDue();
+  const second = await TaskVerificationJob.run();
+  assert.strictEqual(second.escalated, 1);
+  row = verifications.get(1);
+  assert.deepStrictEqual([row.status, row.passes, row.error_task_id], ['failed', 2, 9000]);
+  assert.strictEqual(created.length, 1);
+  assert.match(created[0].name, /Task Verification Failed - Drafting/);
+  assert.match(created[0].description, /Task 2 Task 2: Assignee resolution failed/);
+  assert.deepStrictEqual([created[0].assignee.id, created[0].priority], [357379471, 'high']);
+  assert.strictEqual(rows.find(r => r.task_id === 9000).task_number, -1);
+  assert.strictEqual(errors[0].code, ERROR_CODES.TASK_VERIFICATION_FAILED);
+  assert.deepStrictEqual(errors[0].context.missing_task_numbers, [2, 3]);
+
+  assert.strictEqual((await TaskVerificationJob.run()).due, 0, 'finished verifications are not picked up again');
+});
+
+test('supersedes a verification when the matter moved on', async () => {
+  generated(1);
+  await schedule();
+  clioMatter = { ...matterDetails, matter_stage: { id: 11, name: 'Signing' } };
+  makeDue();
+
+  const summary = await TaskVerificationJob.run();
+  assert.strictEqual(summary.superseded, 1);
+  assert.strictEqual(verifications.get(1).status, 'superseded');
+  assert.strictEqual(created.length, 0, 'old stage tasks are not regenerated');
+});
+
+test('skips a verification claimed by another run', async () => {
+  generated(1, 2, 3);
+  await schedule();
+  makeDue();
+  const claim = SupabaseService.claimTaskVerification;
+  SupabaseService.claimTaskVerification = async () => null;
+  try {
+    const summary = await TaskVerificationJob.run();
+    assert.deepStrictEqual([summary.due, summary.skipped], [1, 1]);
+    assert.strictEqual(verifications.get(1).passes, 0);
+  } finally {
+    SupabaseService.claimTaskVerification = claim;
+  }
+});
@@ -0,0 +1,210 @@
+/**
+ * Dead-Letter Tests
+ *
+ * The webhook_dead_letters table and EventTracker are in-memory stubs;
+ * replays go straight to the registered handler instead of the durable queue.
+ *
+ * Run: npm test -- tests/webhooks
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The service loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+
+const { DeadLetterService } = await import('../../src/services/dead-letter.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { EventTracker } = await import('../../src/services/event-tracker.js');
+const { webhookQueue } = await import('../../src/utils/webhook-queue.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+
+const deadLetters = new Map();
+const loggedErrors = [];
+const traces = [];
+const steps = [];
+const endedTraces = [];
+const enqueued = [];
+let nextId = 1;
+let insertFails = false;
+
+SupabaseService.insertDeadLetter = async (row) => {
+  if (insertFails) throw new Error('connection refused');
+  const saved = { id: nextId++, status: 'pending', replay_count: 0, ...row };
+  deadLetters.set(saved.id, saved);
+  return saved;
+};
+SupabaseService.getDeadLetterById = async (id) => (deadLetters.has(id) ? { ...deadLetters.get(id) } : null);
+SupabaseService.updateDeadLetter = async (id, updates) => { Object.assign(deadLetters.get(id), updates); };
+SupabaseService.getDeadLetters = async ({ ids = null, status = null } = {}) => ({
+  // Newest first, like the admin listing
+  items: [...deadLetters.values()]
+    .filter(row => (ids ? ids.includes(row.id) : row.status === status))
+    .sort((a, b) => b.id - a.id),
+});
+SupabaseService.logError = async (code, message, context) => { loggedErrors.push({ code, message, context }); };
+
+EventTracker.startTrace = async (params) => {
+  traces.push(params);
+  return `replay-trace-${traces.length}`;
+};
+EventTracker.startStep = async (traceId, params) => {
+  steps.push({ traceId, ...params });
+  return `step-${steps.length}`;
+};
+EventTracker.endStep = async (stepId, params) => { Object.assign(steps[Number(stepId.slice(5)) - 1], { end: params }); };
+EventTracker.endTrace = async (traceId, params) => { endedTraces.push({ traceId, ...params }); };
+
+webhookQueue.enqueue = async (webhookData, processor, traceId, options) => {
+  enqueued.push({ webhookData, traceId, options });
+  return processor();
+};
+
+const matterWebhook = { id: 'wh-1', model: 'Matter', data: { id: 7 } };
+
+const record = (overrides = {}) => DeadLetterService.record({
+  webhookData: matterWebhook,
+  endpoint: '/matters',
+  triggerName: 'matter-stage-change',
+  matterId: 7,
+  traceId: 'original-trace',
+  attempts: 3,
+  error: Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }),
+  ...overrides,
+});
+
+const reset = () => {
+  deadLetters.clear();
+  loggedErrors.length = 0;
+  traces.length = 0;
+  steps.length = 0;
+  endedTraces.length = 0;
+  enqueued.length = 0;
+  nextId = 1;
+  insertFails = false;
+  webhookQueue.handlers.clear();
+};
+
+beforeEach(reset);
+
+test('stores the payload and failure of a webhook that exhausted its retries', async () => {
+  const deadLetter = await record();
+
+  assert.strictEqual(deadLetter.id, 1);
+  assert.deepStrictEqual(deadLetter.payload, matterWebhook);
+  assert.strictEqual(deadLetter.endpoint, '/matters');
+  assert.strictEqual(deadLetter.webhook_id, 'wh-1');
+  assert.strictEqual(deadLetter.resource_id, '7');
+  assert.strictEqual(deadLetter.http_status, 503);
+  assert.strictEqual(deadLetter.attempts, 3);
+  assert.strictEqual(loggedErrors[0].code, ERROR_CODES.WEBHOOK_DEAD_LETTERED);
+  assert.strictEqual(loggedErrors[0].context.dead_letter_id, 1);
+});
+
+test('a failed dead-letter write never hides the original error', async () => {
+  insertFails = true;
+
+  assert.strictEqual(await record(), null);
+  assert.strictEqual(loggedErrors.length, 0);
+});
+
+test('replays through the original handler with a replay marker and linked traces', async () => {
+  await record();
+  const received = [];
+  webhookQueue.registerHandler('/matters', async (webhookData, traceId) => {
+    received.push({ webhookData, traceId });
+    return { action: 'tasks_created' };
+  });
+
+  const outcome = await DeadLetterService.replay(1);
+
+  assert.strictEqual(outcome.success, true);
+  assert.strictEqual(outcome.action, 'replayed');
+  assert.strictEqual(outcome.traceId, 'replay-trace-1');
+
+  const [{ webhookData, traceId }] = received;
+  assert.strictEqual(traceId, 'replay-trace-1');
+  assert.strictEqual(webhookData.id, 'wh-1');
+  assert.strictEqual(webhookData.replay.deadLetterId, 1);
+  assert.strictEqual(webhookData.replay.originalTraceId, 'original-trace');
+  assert.ok(webhookData.replay.replayId);
+  assert.deepStrictEqual(enqueued[0].options, { endpoint: '/matters', triggerName: 'matter-stage-change' });
+
+  // The new trace points back, the original trace points forward
+  assert.strictEqual(traces[0].metadata.replayOf, 'original-trace');
+  assert.strictEqual(traces[0].metadata.replayCount, 1);
+  assert.strictEqual(steps[0].traceId, 'original-trace');
+  assert.strictEqual(steps[0].stepName, 'dead_letter_replayed');
+  assert.strictEqual(steps[0].end.output.replayTraceId, 'replay-trace-1');
+  assert.strictEqual(endedTraces[0].status, 'success');
+
+  const stored = deadLetters.get(1);
+  assert.strictEqual(stored.status, 'replayed');
+  assert.strictEqual(stored.replay_count, 1);
+  assert.strictEqual(stored.last_replay_trace_id, 'replay-trace-1');
+});
+
+test('each replay gets its own idempotency key', async () => {
+  await record();
+  const replayIds = [];
+  webhookQueue.registerHandler('/matters', async (webhookData) => {
+    replayIds.push(webhookData.replay.replayId);
+    return { action: 'tasks_created' };
+  });
+
+  await DeadLetterService.replay(1);
+  await DeadLetterService.replay(1, { force: true });
+
+  const keys = replayIds.map(replayId => SupabaseService.generateIdempotencyKey('matter.updated', 7, 't', replayId));
+  assert.notStrictEqual(keys[0], keys[1]);
+  assert.ok(!keys.includes(SupabaseService.generateIdempotencyKey('matter.updated', 7, 't')));
+  assert.strictEqual(deadLetters.get(1).replay_count, 2);
+});
+
+test('a replay that fails again is recorded on its dead letter', async () => {
+  await record();
+  webhookQueue.registerHandler('/matters', async () => { throw new Error('Clio still down'); });
+
+  const outcome = await DeadLetterService.replay(1);
+
+  assert.strictEqual(outcome.success, false);
+  assert.strictEqual(outcome.action, 'replay_failed');
+  assert.strictEqual(deadLetters.get(1).status, 'replay_failed');
+  assert.strictEqual(deadLetters.get(1).last_replay_error, 'Clio still down');
+  assert.strictEqual(endedTraces[0].status, 'error');
+});
+
+test('refuses unknown, already replayed and unhandled dead letters', async () => {
+  assert.strictEqual((await DeadLetterService.replay(99)).action, 'not_found');
+
+  await record();
+  assert.strictEqual((await DeadLetterService.replay(1)).action, 'no_handler');
+
+  webhookQueue.registerHandler('/matters', async () => ({ action: 'tasks_created' }));
+  await DeadLetterService.replay(1);
+  const again = await DeadLetterService.replay(1);
+
+  assert.strictEqual(again.action, 'already_replayed');
+  assert.strictEqual(again.lastReplayTraceId, 'replay-trace-1');
+  assert.strictEqual(deadLetters.get(1).replay_count, 1);
+});
+
+test('replayMany replays pending dead letters oldest first', async () => {
+  await record({ webhookData: { ...matterWebhook, id: 'wh-1' } });
+  await record({ webhookData: { ...matterWebhook, id: 'wh-2' } });
+  await record({ webhookData: { ...matterWebhook, id: 'wh-3' } });
+  deadLetters.get(2).status = 'replayed';
+  const order = [];
+  webhookQueue.registerHandler('/matters', async (webhookData) => {
+    order.push(webhookData.id);
+    if (webhookData.id === 'wh-3') throw new Error('still failing');
+    return { action: 'tasks_created' };
+  });
+
+  const summary = await DeadLetterService.replayMany();
+
+  assert.deepStrictEqual(order, ['wh-1', 'wh-3']);
+  assert.deepStrictEqual([summary.requested, summary.replayed, summary.failed], [2, 1, 1]);
+});
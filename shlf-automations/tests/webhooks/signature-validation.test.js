@@ -0,0 +1,280 @@
+/**
+ * Webhook Signature Validation Tests
+ *
+ * Supabase (webhook_secrets) and Clio webhook calls are replaced with in-memory stubs.
+ *
+ * Run: npm test -- tests/webhooks
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+import crypto from 'crypto';
+
+// The middleware loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.WEBHOOK_REPLAY_TOLERANCE_SECONDS = '300';
+process.env.WEBHOOK_SECRET_OVERLAP_SECONDS = '3600';
+
+const { validateClioSignature } = await import('../../src/middleware/validate-signature.js');
+const { WebhookSecretService } = await import('../../src/services/webhook-secrets.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { EventTracker } = await import('../../src/services/event-tracker.js');
+const { config } = await import('../../src/config/index.js');
+const { ERROR_CODES } = await import('../../src/constants/error-codes.js');
+
+// In-memory webhook_secrets
+const secrets = [];
+let secretReads = 0;
+SupabaseService.getWebhookSecrets = async (endpoint) => {
+  secretReads++;
+  return secrets
+    .filter(s => s.endpoint === endpoint)
+    .filter(s => s.status === 'active' || (s.status === 'retiring' && new Date(s.retire_at) > new Date()))
+    .map(s => ({ ...s }));
+};
+SupabaseService.insertWebhookSecret = async (secret, retireAt) => {
+  secrets.filter(s => s.endpoint === secret.endpoint && s.status === 'active')
+    .forEach(s => Object.assign(s, { status: 'retiring', retire_at: retireAt }));
+  const row = { id: secrets.length + 1, status: 'active', ...secret };
+  secrets.push(row);
+  return { id: row.id };
+};
+
+// In-memory webhook_deliveries and dead letters
+const deliveries = new Set();
+const deadLetters = [];
+SupabaseService.recordWebhookDelivery = async (endpoint, deliveryHash) => {
+  const key = `${endpoint}:${deliveryHash}`;
+  if (deliveries.has(key)) return false;
+  deliveries.add(key);
+  return true;
+};
+SupabaseService.insertDeadLetter = async (deadLetter) => {
+  const row = { id: deadLetters.length + 1, ...deadLetter };
+  deadLetters.push(row);
+  return row;
+};
+
+// In-memory Clio subscriptions
+let clioWebhooks = [];
+ClioService.getWebhooks = async () => clioWebhooks.map(w => ({ ...w }));
+
+// Rejections
+const traces = [];
+const errors = [];
+EventTracker.startTrace = async (params) => { traces.push(params); return `trace-${traces.length}`; };
+SupabaseService.logError = async (code, message, context) => { errors.push({ code, message, context }); };
+
+const ENDPOINT = '/webhooks/matters';
+const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+const payload = (overrides = {}) => JSON.stringify({ data: { id: 1, updated_at: new Date().toISOString() }, ...overrides });
+const addSecret = (secret, fields = {}) => secrets.push({ id: secrets.length + 1, endpoint: ENDPOINT, secret, status: 'active', ...fields });
+
+/**
+ * Run the middleware for a delivery
+ * @returns {Object} { passed, status, body, req }
+ */
+const deliver = async ({ body = payload(), signature, path = '/matters', headers = {} } = {}) => {
+  const req = {
+    baseUrl: '/webhooks',
+    path,
+    ip: '203.0.113.9',
+    rawBody: body,
+    body: JSON.parse(body),
+    headers: { ...(signature && { 'x-hook-signature': signature }), ...headers },
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+  };
+  let passed = false;
+  await validateClioSignature(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body, req };
+};
+
+const reset = () => {
+  secrets.length = 0;
+  secretReads = 0;
+  clioWebhooks = [];
+  deliveries.clear();
+  deadLetters.length = 0;
+  traces.length = 0;
+  errors.length = 0;
+  WebhookSecretService.cache.clear();
+  WebhookSecretService.lastReloadAt.clear();
+  WebhookSecretService.rejectionLog.clear();
+  WebhookSecretService.stats = { verified: 0, unverified: 0, duplicates: 0, rejected: {} };
+  config.webhooks.signatureRequired = false;
+};
+
+beforeEach(reset);
+
+test('accepts a delivery signed with the endpoint secret', async () => {
+  addSecret('secret-a');
+  const body = payload();
+  const result = await deliver({ body, signature: sign('secret-a', body) });
+  assert.strictEqual(result.passed, true);
+  assert.deepStrictEqual(result.req.webhookSignature, { secretId: 1, secretStatus: 'active' });
+  assert.strictEqual(WebhookSecretService.getStats().verified, 1);
+});
+
+test('rejects a bad signature with a trace and error log', async () => {
+  addSecret('secret-a');
+  const result = await deliver({ signature: sign('forged', payload()) });
+  assert.deepStrictEqual([result.passed, result.status], [false, 401]);
+  assert.deepStrictEqual(traces.map(t => [t.triggerName, t.endpoint, t.metadata.reason]), [['webhook-rejected', ENDPOINT, 'invalid_signature']]);
+  assert.strictEqual(errors[0].code, ERROR_CODES.WEBHOOK_INVALID_SIGNATURE);
+  assert.strictEqual(errors[0].context.trace_id, 'trace-1');
+  assert.deepStrictEqual(WebhookSecretService.getStats().rejected, { [ENDPOINT]: { invalid_signature: 1 } });
+});
+
+test('a flood of bad signatures neither hammers the store nor floods traces', async () => {
+  addSecret('secret-a');
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual((await deliver({ signature: sign('forged', payload()) })).status, 401);
+  }
+  assert.strictEqual(secretReads, 2, 'one cache fill and one forced re-read');
+  assert.deepStrictEqual([traces.length, errors.length], [1, 1]);
+  assert.deepStrictEqual(WebhookSecretService.getStats().rejected, { [ENDPOINT]: { invalid_signature: 5 } }, 'every rejection is counted');
+
+  // Another reason is recorded separately; the next interval reports what was skipped
+  await deliver();
+  WebhookSecretService.rejectionLog.get(`${ENDPOINT}:invalid_signature`).recordedAt -= 61000;
+  await deliver({ signature: sign('forged', payload()) });
+  assert.deepStrictEqual(errors.map(e => e.code), [
+    ERROR_CODES.WEBHOOK_INVALID_SIGNATURE,
+    ERROR_CODES.WEBHOOK_MISSING_SIGNATURE,
+    ERROR_CODES.WEBHOOK_INVALID_SIGNATURE,
+  ]);
+  assert.strictEqual(errors[2].context.suppressed_since_last, 4);
+});
+
+test("doesn't accept another endpoint's secret", async () => {
+  addSecret('secret-a');
+  secrets.push({ id: 2, endpoint: '/webhooks/tasks', secret: 'secret-tasks', status: 'active' });
+  const body = payload();
+  const result = await deliver({ body, signature: sign('secret-tasks', body) });
+  assert.strictEqual(result.status, 401);
+});
+
+test('rejects a missing signature once the endpoint has a secret', async () => {
+  addSecret('secret-a');
+  const result = await deliver();
+  assert.deepStrictEqual([result.status, result.body.error], [401, 'Missing webhook signature']);
+  assert.strictEqual(errors[0].code, ERROR_CODES.WEBHOOK_MISSING_SIGNATURE);
+});
+
+test('lets endpoints without a secret through unless signatures are required', async () => {
+  const open = await deliver();
+  assert.strictEqual(open.passed, true);
+  assert.strictEqual(WebhookSecretService.getStats().unverified, 1);
+
+  config.webhooks.signatureRequired = true;
+  const required = await deliver({ signature: 'abc' });
+  assert.deepStrictEqual([required.passed, required.status], [false, 401]);
+  assert.strictEqual(errors[0].code, ERROR_CODES.WEBHOOK_SECRET_MISSING);
+});
+
+test('dead-letters a late delivery once instead of processing it', async () => {
+  addSecret('secret-a');
+  const stale = payload({ data: { id: 1, updated_at: new Date(Date.now() - 600000).toISOString() } });
+  const result = await deliver({ body: stale, signature: sign('secret-a', stale) });
+  assert.deepStrictEqual([result.passed, result.status, result.body.action, result.body.deadLetterId], [false, 202, 'dead_lettered', 1]);
+  assert.deepStrictEqual([deadLetters[0].endpoint, deadLetters[0].payload.data.id, deadLetters[0].attempts], ['/matters', 1, 0]);
+  assert.strictEqual(errors[0].code, ERROR_CODES.WEBHOOK_REPLAY_REJECTED);
+  assert.ok(errors[0].context.skew_seconds >= 600);
+  assert.deepStrictEqual(WebhookSecretService.getStats().rejected, { [ENDPOINT]: { replay: 1 } });
+
+  const again = await deliver({ body: stale, signature: sign('secret-a', stale) });
+  assert.deepStrictEqual([again.passed, again.status, again.body.action], [false, 200, 'duplicate_delivery']);
+  assert.strictEqual(deadLetters.length, 1);
+
+  const future = payload({ occurred_at: new Date(Date.now() + 600000).toISOString() });
+  assert.strictEqual((await deliver({ body: future, signature: sign('secret-a', future) })).status, 202);
+});
+
+test('rejects a late delivery when it cannot be dead-lettered', async () => {
+  addSecret('secret-a');
+  const insertDeadLetter = SupabaseService.insertDeadLetter;
+  SupabaseService.insertDeadLetter = async () => { throw new Error('Supabase is down'); };
+  try {
+    const stale = payload({ data: { id: 1, updated_at: new Date(Date.now() - 600000).toISOString() } });
+    const result = await deliver({ body: stale, signature: sign('secret-a', stale) });
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(traces[0].metadata.reason, 'replay');
+  } finally {
+    SupabaseService.insertDeadLetter = insertDeadLetter;
+  }
+});
+
+test('processes a payload without a timestamp only once', async () => {
+  addSecret('secret-a');
+  const body = JSON.stringify({ data: { id: 1 } });
+  assert.strictEqual((await deliver({ body, signature: sign('secret-a', body) })).passed, true);
+
+  const replayed = await deliver({ body, signature: sign('secret-a', body) });
+  assert.deepStrictEqual([replayed.passed, replayed.status, replayed.body.action], [false, 200, 'duplicate_delivery']);
+  assert.strictEqual(WebhookSecretService.getStats().duplicates, 1);
+
+  const timestamped = payload();
+  await deliver({ body: timestamped, signature: sign('secret-a', timestamped) });
+  assert.strictEqual(deliveries.size, 1, 'deliveries inside the window are not recorded');
+});
+
+test('stores the secret of a confirmed activation and keeps the old one during rotation', async () => {
+  addSecret('secret-old', { webhook_id: 7 });
+  clioWebhooks = [
+    { id: 7, url: 'https://automations.example.com/webhooks/matters', status: 'enabled', shared_secret: 'secret-old' },
+    { id: 8, url: 'https://automations.example.com/webhooks/matters', status: 'pending', shared_secret: 'secret-new' },
+  ];
+
+  const activation = await WebhookSecretService.activate(ENDPOINT, 'secret-new');
+  assert.deepStrictEqual([activation.activated, activation.webhookId], [true, 8]);
+  const [old, current] = secrets;
+  assert.deepStrictEqual([old.status, current.status, current.webhook_id], ['retiring', 'active', 8]);
+  const overlap = new Date(old.retire_at) - Date.now();
+  assert.ok(overlap > 3590000 && overlap <= 3600000, 'old secret retires after WEBHOOK_SECRET_OVERLAP_SECONDS');
+
+  for (const secret of ['secret-old', 'secret-new']) {
+    const body = payload();
+    assert.strictEqual((await deliver({ body, signature: sign(secret, body) })).passed, true, `${secret} validates`);
+  }
+
+  old.retire_at = new Date(Date.now() - 1000).toISOString();
+  WebhookSecretService.cache.clear();
+  const body = payload();
+  assert.strictEqual((await deliver({ body, signature: sign('secret-old', body) })).status, 401, 'rejected after the overlap');
+});
+
+test('refuses activations Clio does not know about', async () => {
+  clioWebhooks = [{ id: 8, url: 'https://automations.example.com/webhooks/matters', status: 'pending', shared_secret: 'secret-new' }];
+  assert.deepStrictEqual(await WebhookSecretService.activate(ENDPOINT, 'attacker-secret'), { activated: false, reason: 'secret_mismatch' });
+
+  clioWebhooks = [{ id: 9, url: 'https://automations.example.com/webhooks/tasks', status: 'pending' }];
+  assert.deepStrictEqual(await WebhookSecretService.activate(ENDPOINT, 'attacker-secret'), { activated: false, reason: 'no_pending_subscription' });
+  assert.strictEqual(secrets.length, 0);
+});
+
+test('picks up a secret activated on another instance', async () => {
+  addSecret('secret-a');
+  const first = payload();
+  await deliver({ body: first, signature: sign('secret-a', first) });
+
+  addSecret('secret-b'); // activated elsewhere, not in this instance's cache
+  const body = payload();
+  const result = await deliver({ body, signature: sign('secret-b', body) });
+  assert.strictEqual(result.passed, true);
+  assert.strictEqual(secretReads, 2, 'cache re-read once on a miss');
+});
+
+test('skips activation requests', async () => {
+  addSecret('secret-a');
+  const result = await deliver({ headers: { 'x-hook-secret': 'secret-new' } });
+  assert.strictEqual(result.passed, true);
+  assert.strictEqual(traces.length, 0);
+});
@@ -0,0 +1,213 @@
+/**
+ * Webhook Idempotency Reservation Tests
+ *
+ * Supabase answers through a stubbed fetch backed by an in-memory
+ * webhook_events table that applies PostgREST filters, so the conditional
+ * takeover update races the way it does against the database.
+ *
+ * Run: npm test -- tests/webhooks
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_KEY = 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.INSTANCE_ID = 'instance-b';
+
+const events = [];
+
+/**
+ * Whether a row matches PostgREST filters like `eq.1`, `is.null`, `lt.<iso>`
+ */
+const matches = (row, params) => [...params].every(([column, filter]) => {
+  if (['select', 'columns'].includes(column)) return true;
+  const [op, ...rest] = filter.split('.');
+  const value = rest.join('.');
+  if (op === 'eq') return String(row[column]) === value;
+  if (op === 'is') return value === 'null' ? row[column] == null : String(row[column]) === value;
+  if (op === 'lt') return row[column] != null && row[column] < value;
+  throw new Error(`Unsupported filter ${column}=${filter}`);
+});
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+globalThis.fetch = async (input, init = {}) => {
+  const url = new URL(typeof input === 'string' ? input : input.url);
+  assert.strictEqual(url.pathname, '/rest/v1/webhook_events');
+  const method = init.method || 'GET';
+  const accept = new Headers(init.headers).get('Accept') || '';
+
+  if (method === 'GET') {
+    const found = events.filter(row => matches(row, url.searchParams));
+    if (!accept.includes('vnd.pgrst.object')) return json(found);
+    if (found.length !== 1) return json({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, 406);
+    return json(found[0]);
+  }
+
+  if (method === 'POST') {
+    const rows = [].concat(JSON.parse(init.body));
+    if (rows.some(row => events.some(e => e.idempotency_key === row.idempotency_key))) {
+      return json({ code: '23505', message: 'duplicate key value violates unique constraint' }, 409);
+    }
+    events.push(...rows.map(row => ({ ...row })));
+    return json(rows, 201);
+  }
+
+  if (method === 'PATCH') {
+    const updated = events.filter(row => matches(row, url.searchParams));
+    updated.forEach(row => Object.assign(row, JSON.parse(init.body)));
+    return json(updated);
+  }
+
+  throw new Error(`Unexpected ${method} ${url}`);
+};
+
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { config } = await import('../../src/config/index.js');
+
+const ctx = {
+  traceId: 'trace-retry',
+  logDbQuery: () => {},
+  logDbMutation: () => {},
+};
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+const reservation = (overrides = {}) => ({
+  idempotency_key: 'matter.updated:7:2026-10-19T10:00:00Z',
+  event_type: 'matter.updated',
+  resource_id: 7,
+  success: null,
+  processing_attempts: 1,
+  lease_owner: 'instance-a',
+  lease_expires_at: minutesFromNow(-5),
+  trace_id: 'trace-original',
+  ...overrides,
+});
+
+const reset = () => {
+  events.length = 0;
+  config.idempotency.abandonedPolicy = 'rerun';
+  config.idempotency.maxAttempts = 3;
+};
+
+beforeEach(reset);
+
+test('takes over an abandoned reservation so the retry processes the webhook', async () => {
+  events.push(reservation());
+
+  const existing = await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+
+  assert.strictEqual(existing, null);
+  const [row] = events;
+  assert.strictEqual(row.processing_attempts, 2);
+  assert.strictEqual(row.lease_owner, 'instance-b');
+  assert.strictEqual(row.trace_id, 'trace-retry');
+  assert.ok(row.lease_expires_at > new Date().toISOString());
+});
+
+test('a reservation whose lease is still live is left to its owner', async () => {
+  events.push(reservation({ lease_expires_at: minutesFromNow(5) }));
+
+  const existing = await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+
+  assert.strictEqual(existing.success, null);
+  assert.strictEqual(events[0].lease_owner, 'instance-a');
+  assert.strictEqual(events[0].processing_attempts, 1);
+});
+
+test('finished webhooks are never taken over', async () => {
+  events.push(reservation({ success: true }));
+
+  const existing = await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+
+  assert.strictEqual(existing.success, true);
+  assert.strictEqual(events[0].processing_attempts, 1);
+});
+
+test('stops taking over once maxAttempts runs were made, or when the policy is fail', async () => {
+  events.push(reservation({ processing_attempts: 3 }));
+  const exhausted = await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+  assert.strictEqual(exhausted.processing_attempts, 3);
+  assert.strictEqual(events[0].lease_owner, 'instance-a');
+
+  events[0].processing_attempts = 1;
+  config.idempotency.abandonedPolicy = 'fail';
+  const failPolicy = await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+  assert.strictEqual(failPolicy.success, null);
+  assert.strictEqual(events[0].lease_owner, 'instance-a');
+});
+
+test('only one of two concurrent retries wins the takeover', async () => {
+  events.push(reservation());
+
+  const results = await Promise.all([
+    SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx),
+    SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx),
+  ]);
+
+  // The winner processes (null); the loser sees the reservation and backs off
+  assert.strictEqual(results.filter(r => r === null).length, 1);
+  assert.ok(results.some(r => r?.idempotency_key === reservation().idempotency_key));
+  assert.strictEqual(events[0].processing_attempts, 2);
+});
+
+test('the run that took over records its result on the reservation it holds', async () => {
+  events.push(reservation());
+  await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+
+  const recorded = await SupabaseService.recordWebhookProcessed({
+    idempotency_key: reservation().idempotency_key,
+    success: true,
+    action: 'tasks_created',
+  }, ctx);
+
+  assert.strictEqual(recorded.success, true);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].action, 'tasks_created');
+});
+
+test('a result for a reservation held by another instance is a duplicate', async () => {
+  events.push(reservation({ lease_expires_at: minutesFromNow(5) }));
+
+  const recorded = await SupabaseService.recordWebhookProcessed({
+    idempotency_key: reservation().idempotency_key,
+    success: true,
+    action: 'tasks_created',
+  }, ctx);
+
+  assert.strictEqual(recorded, null);
+  assert.strictEqual(events[0].success, null);
+});
+
+test('new reservations carry a lease owned by this instance', async () => {
+  await SupabaseService.recordWebhookProcessed({ idempotency_key: 'task.created:9:t', success: null }, ctx);
+
+  assert.strictEqual(events[0].lease_owner, 'instance-b');
+  assert.ok(events[0].lease_expires_at > minutesFromNow(config.idempotency.leaseSeconds / 60 - 1));
+});
+
+test('a failed run is reserved again so the retry processes the webhook', async () => {
+  events.push(reservation({ success: false, action: 'error', lease_expires_at: minutesFromNow(5) }));
+
+  const existing = await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+
+  assert.strictEqual(existing, null);
+  const [row] = events;
+  assert.strictEqual(row.success, null);
+  assert.strictEqual(row.action, 'processing');
+  assert.strictEqual(row.processing_attempts, 2);
+  assert.strictEqual(row.lease_owner, 'instance-b');
+  assert.strictEqual(row.trace_id, 'trace-retry');
+});
+
+test('abandoned reservations marked failed by recovery stay failed', async () => {
+  events.push(reservation({ success: false, action: 'abandoned' }));
+
+  const existing = await SupabaseService.checkWebhookProcessed(reservation().idempotency_key, ctx);
+
+  assert.strictEqual(existing.action, 'abandoned');
+  assert.strictEqual(events[0].processing_attempts, 1);
+});
@@ -0,0 +1,197 @@
+/**
+ * Durable Webhook Queue Tests
+ *
+ * The webhook_queue table is an in-memory stub; resumed items close their
+ * own traces, so EventTracker.endTrace is stubbed to observe them.
+ *
+ * Run: npm test -- tests/webhooks
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The queue loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.INSTANCE_ID = 'instance-a';
+
+const { webhookQueue } = await import('../../src/utils/webhook-queue.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { EventTracker } = await import('../../src/services/event-tracker.js');
+
+const rows = new Map();
+let nextId = 1;
+let unfinished = [];
+let unfinishedQuery = null;
+let persistFails = false;
+const endedTraces = [];
+let traceEnded = () => {};
+
+SupabaseService.enqueueWebhook = async (row) => {
+  if (persistFails) throw new Error('connection refused');
+  const saved = { id: nextId++, status: 'pending', attempts: 0, ...row };
+  rows.set(saved.id, saved);
+  return saved;
+};
+SupabaseService.updateQueuedWebhook = async (id, updates) => {
+  rows.set(id, { ...(rows.get(id) || { id }), ...updates });
+};
+SupabaseService.getUnfinishedQueuedWebhooks = async (query) => {
+  unfinishedQuery = query;
+  return unfinished;
+};
+ClioService.getRateLimitStatus = () => ({ remaining: 50, limit: 50, reset: null });
+EventTracker.endTrace = async (traceId, params) => {
+  endedTraces.push([traceId, params.status]);
+  traceEnded();
+};
+
+/**
+ * Resolves once `count` resumed traces have been closed
+ */
+const tracesEnded = (count) => new Promise((resolve) => {
+  traceEnded = () => { if (endedTraces.length >= count) resolve(); };
+  traceEnded();
+});
+
+const matterWebhook = (id, matterId) => ({ id, model: 'Matter', data: { id: matterId } });
+
+const unfinishedRow = (id, matterId, overrides = {}) => ({
+  id,
+  queue_key: String(matterId),
+  endpoint: '/matters',
+  trace_id: `trace-${id}`,
+  payload: matterWebhook(`wh-${id}`, matterId),
+  status: 'pending',
+  attempts: 0,
+  enqueued_at: new Date(Date.now() - 60000).toISOString(),
+  instance_id: 'instance-a',
+  ...overrides,
+});
+
+const reset = () => {
+  rows.clear();
+  nextId = 100;
+  unfinished = [];
+  unfinishedQuery = null;
+  persistFails = false;
+  endedTraces.length = 0;
+  traceEnded = () => {};
+  webhookQueue.queues.clear();
+  webhookQueue.processing.clear();
+  webhookQueue.handlers.clear();
+};
+
+beforeEach(reset);
+
+test('journals each webhook with its owner before processing it', async () => {
+  const result = await webhookQueue.enqueue(matterWebhook('wh-1', 7), async () => ({ action: 'tasks_created' }), 'trace-1', {
+    endpoint: '/matters',
+    triggerName: 'matter-stage-change',
+  });
+
+  assert.strictEqual(result.action, 'tasks_created');
+  const [row] = rows.values();
+  assert.strictEqual(row.queue_key, '7');
+  assert.strictEqual(row.endpoint, '/matters');
+  assert.strictEqual(row.trigger_name, 'matter-stage-change');
+  assert.strictEqual(row.webhook_id, 'wh-1');
+  assert.strictEqual(row.instance_id, 'instance-a');
+  assert.strictEqual(row.status, 'completed');
+  assert.strictEqual(row.attempts, 1);
+  assert.deepStrictEqual(row.result, { action: 'tasks_created' });
+});
+
+test('a failed webhook is marked failed and the error reaches the caller', async () => {
+  await assert.rejects(
+    webhookQueue.enqueue(matterWebhook('wh-1', 7), async () => { throw new Error('Clio down'); }, null, { endpoint: '/matters' }),
+    /Clio down/,
+  );
+
+  const [row] = rows.values();
+  assert.strictEqual(row.status, 'failed');
+  assert.strictEqual(row.last_error, 'Clio down');
+});
+
+test('still processes in memory when the journal write fails', async () => {
+  persistFails = true;
+
+  const result = await webhookQueue.enqueue(matterWebhook('wh-1', 7), async () => 'processed', null, { endpoint: '/matters' });
+
+  assert.strictEqual(result, 'processed');
+  assert.strictEqual(rows.size, 0);
+});
+
+test('only asks for rows this instance queued before it booted', async () => {
+  webhookQueue.registerHandler('/matters', async () => ({ action: 'resumed' }));
+
+  const outcome = await webhookQueue.resumePending();
+
+  assert.deepStrictEqual(outcome, { resumed: 0, skipped: 0 });
+  assert.deepStrictEqual(unfinishedQuery, { before: webhookQueue.bootedAt, instanceId: 'instance-a' });
+});
+
+test('resumed rows run per matter in arrival order, before newer webhooks for the matter', async () => {
+  const order = [];
+  webhookQueue.registerHandler('/matters', async (webhookData) => {
+    order.push(webhookData.id);
+    return { action: 'resumed' };
+  });
+  unfinished = [
+    unfinishedRow(1, 7, { status: 'processing', attempts: 1 }),
+    unfinishedRow(2, 8),
+    unfinishedRow(3, 7),
+  ];
+
+  const outcome = await webhookQueue.resumePending();
+  assert.deepStrictEqual(outcome, { resumed: 3, skipped: 0 });
+
+  // Arrives after boot while matter 7 still has resumed rows waiting
+  const live = webhookQueue.enqueue(matterWebhook('wh-live', 7), async () => {
+    order.push('wh-live');
+    return 'live';
+  }, null, { endpoint: '/matters' });
+
+  await tracesEnded(3);
+  assert.strictEqual(await live, 'live');
+
+  const matter7 = order.filter(id => id !== 'wh-2');
+  assert.deepStrictEqual(matter7, ['wh-1', 'wh-3', 'wh-live']);
+  assert.deepStrictEqual([...endedTraces].sort(), [
+    ['trace-1', 'success'],
+    ['trace-2', 'success'],
+    ['trace-3', 'success'],
+  ]);
+  assert.strictEqual(rows.get(1).attempts, 2);
+  assert.strictEqual(rows.get(1).status, 'completed');
+});
+
+test('a resumed row whose reservation is still held stays pending', async () => {
+  // The crashed run's reservation is held until its lease expires
+  webhookQueue.registerHandler('/matters', async () => ({
+    success: null,
+    action: 'still_processing',
+    processing_started_at: '2026-10-19T11:59:00Z',
+  }));
+  unfinished = [unfinishedRow(1, 7, { status: 'processing', attempts: 1 })];
+
+  await webhookQueue.resumePending();
+  await tracesEnded(1);
+
+  assert.strictEqual(rows.get(1).status, 'pending');
+  assert.strictEqual(rows.get(1).attempts, 2);
+  assert.match(rows.get(1).last_error, /2026-10-19T11:59:00Z/);
+  assert.strictEqual(rows.get(1).completed_at, undefined);
+});
+
+test('rows without a registered handler are marked failed instead of resumed', async () => {
+  unfinished = [unfinishedRow(1, 7, { endpoint: '/retired' })];
+
+  const outcome = await webhookQueue.resumePending();
+
+  assert.deepStrictEqual(outcome, { resumed: 0, skipped: 1 });
+  assert.strictEqual(rows.get(1).status, 'failed');
+  assert.match(rows.get(1).last_error, /\/retired/);
+});
@@ -0,0 +1,183 @@
+/**
+ * Webhook Reconciliation Tests
+ *
+ * Clio webhook calls are replaced with an in-memory stub.
+ *
+ * Run: npm test -- tests/webhooks
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+
+// The job loads the Supabase client and config; no queries are made here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.WEBHOOK_BASE_URL = 'https://automations.example.com/';
+
+const { normalizeFields, planWebhookReconciliation } = await import('../../src/utils/webhook-reconciliation.js');
+const { WebhookReconciliationJob } = await import('../../src/jobs/reconcile-webhooks.js');
+const { WEBHOOK_MANIFEST } = await import('../../src/constants/webhook-manifest.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { config } = await import('../../src/config/index.js');
+
+const BASE_URL = 'https://automations.example.com';
+const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString();
+
+// In-memory Clio (webhook ID → subscription)
+const webhooks = new Map();
+const calls = [];
+let failCreate = false;
+ClioService.getWebhooks = async () => [...webhooks.values()].map(w => ({ ...w }));
+ClioService.createWebhook = async (data) => {
+  calls.push(['create', data.model]);
+  if (failCreate) throw new Error('Clio is down');
+  const id = 100 + webhooks.size + calls.length;
+  webhooks.set(id, { id, status: 'pending', ...data });
+  return { ...webhooks.get(id), shared_secret: 'secret' };
+};
+ClioService.updateWebhook = async (id, updates) => {
+  calls.push(['update', id]);
+  Object.assign(webhooks.get(id), updates);
+};
+ClioService.deleteWebhook = async (id) => {
+  calls.push(['delete', id]);
+  webhooks.delete(id);
+};
+
+// Subscriptions matching the manifest, IDs 1..4
+const subscribed = () => WEBHOOK_MANIFEST.map((entry, index) => ({
+  id: index + 1,
+  model: entry.model,
+  url: `${BASE_URL}${entry.path}`,
+  events: [...entry.events],
+  fields: entry.fields,
+  status: 'enabled',
+  expires_at: inDays(20),
+}));
+const byModel = (model) => [...webhooks.values()].filter(w => w.model === model);
+
+const reset = () => {
+  webhooks.clear();
+  subscribed().forEach(w => webhooks.set(w.id, w));
+  calls.length = 0;
+  failCreate = false;
+  config.webhooks.baseUrl = process.env.WEBHOOK_BASE_URL;
+  config.webhooks.legacyBaseUrls = ['https://old-app.ondigitalocean.app/'];
+};
+
+beforeEach(reset);
+
+test('normalizes fields regardless of order and nesting', async () => {
+  assert.strictEqual(normalizeFields('matter{location, id},id'), 'id,matter{id,location}');
+  assert.strictEqual(normalizeFields('a{c{e,d},b},x'), normalizeFields('x,a{b,c{d,e}}'));
+  assert.notStrictEqual(normalizeFields('id,matter{id}'), normalizeFields('id,matter'));
+});
+
+test('reports nothing when Clio matches the manifest', async () => {
+  const summary = await WebhookReconciliationJob.run();
+  assert.deepStrictEqual([summary.inSync, summary.drifted], [WEBHOOK_MANIFEST.length, 0]);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('creates a missing subscription', async () => {
+  webhooks.delete(3); // calendar
+  const summary = await WebhookReconciliationJob.run();
+  assert.deepStrictEqual(summary.changes.map(c => [c.name, c.action, c.reason, c.applied]), [['calendar', 'create', 'missing', true]]);
+
+  const [created] = byModel('calendar_entry');
+  assert.strictEqual(created.url, `${BASE_URL}/webhooks/calendar`, 'trailing slash in WEBHOOK_BASE_URL ignored');
+  assert.deepStrictEqual(created.events, ['created', 'updated', 'deleted']);
+  assert.ok(new Date(created.expires_at) > new Date(inDays(27)));
+  assert.strictEqual(summary.changes[0].newWebhookId, created.id);
+  assert.ok(!JSON.stringify(summary).includes('secret'), 'shared secret not reported');
+});
+
+test('updates mismatched events and fields', async () => {
+  webhooks.get(2).events = ['updated']; // tasks: missing deleted
+  webhooks.get(1).fields = 'matter_stage{name,id},' + WEBHOOK_MANIFEST[0].fields.replace(',matter_stage{id,name}', ''); // same fields, reordered
+  webhooks.get(4).fields = 'id,name';
+
+  const summary = await WebhookReconciliationJob.run();
+  assert.deepStrictEqual(summary.changes.map(c => [c.name, c.action, c.differences.map(d => d.field)]), [
+    ['tasks', 'update', ['events']],
+    ['documents', 'update', ['fields']],
+  ]);
+  assert.deepStrictEqual(webhooks.get(2).events, ['updated', 'deleted']);
+  assert.strictEqual(webhooks.get(4).fields, WEBHOOK_MANIFEST[3].fields);
+});
+
+test('recreates suspended and expired subscriptions', async () => {
+  webhooks.get(1).status = 'suspended';
+  webhooks.get(2).expires_at = inDays(-1);
+
+  const summary = await WebhookReconciliationJob.run();
+  assert.deepStrictEqual(summary.changes.map(c => [c.name, c.action, c.reason]), [
+    ['matters', 'recreate', 'disabled'],
+    ['tasks', 'recreate', 'expired'],
+  ]);
+  assert.deepStrictEqual(calls, [['create', 'matter'], ['delete', 1], ['create', 'task'], ['delete', 2]], 'new subscription before the old one goes');
+  assert.deepStrictEqual(byModel('matter').map(w => w.status), ['pending']);
+});
+
+test('removes duplicates and subscriptions on old URLs', async () => {
+  webhooks.set(10, { ...webhooks.get(1), id: 10, expires_at: inDays(5) });
+  webhooks.set(11, { ...webhooks.get(2), id: 11, url: 'https://old-app.ondigitalocean.app/webhooks/tasks' });
+  webhooks.set(12, { ...webhooks.get(2), id: 12, url: `${BASE_URL}/webhooks/old-tasks` });
+  webhooks.set(13, { ...webhooks.get(2), id: 13, url: 'https://other-integration.example.com/clio' });
+  webhooks.set(14, { ...webhooks.get(2), id: 14, url: 'https://other-integration.example.com/webhooks/tasks' });
+
+  const summary = await WebhookReconciliationJob.run();
+  assert.deepStrictEqual(summary.changes.map(c => [c.webhookId, c.action, c.reason]), [
+    [10, 'delete', 'duplicate'],
+    [11, 'delete', 'stale_url'],
+    [12, 'delete', 'not_in_manifest'],
+  ]);
+  assert.ok(webhooks.has(1), 'the later-expiring duplicate is kept');
+  assert.ok(webhooks.has(13) && webhooks.has(14), "another integration's webhooks are left alone, even on our paths");
+  assert.strictEqual(summary.unmanaged, 2);
+  assert.deepStrictEqual(summary.unmanagedWebhooks.map(w => w.webhookId), [13, 14]);
+});
+
+test('old URLs are only removed when listed in WEBHOOK_LEGACY_BASE_URLS', async () => {
+  config.webhooks.legacyBaseUrls = [];
+  webhooks.set(11, { ...webhooks.get(2), id: 11, url: 'https://old-app.ondigitalocean.app/webhooks/tasks' });
+
+  const summary = await WebhookReconciliationJob.run();
+  assert.strictEqual(summary.changes.length, 0);
+  assert.ok(webhooks.has(11));
+  assert.deepStrictEqual(summary.unmanagedWebhooks, [{ webhookId: 11, url: 'https://old-app.ondigitalocean.app/webhooks/tasks', model: 'task' }]);
+});
+
+test('dry run reports drift without changing Clio', async () => {
+  webhooks.delete(4);
+  webhooks.get(1).status = 'suspended';
+  const summary = await WebhookReconciliationJob.run(null, { dryRun: true });
+  assert.deepStrictEqual(summary.changes.map(c => [c.name, c.action, c.applied]), [
+    ['matters', 'recreate', false],
+    ['documents', 'create', false],
+  ]);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('keeps going when one change fails', async () => {
+  webhooks.delete(3);
+  webhooks.get(2).events = ['updated'];
+  failCreate = true;
+
+  const summary = await WebhookReconciliationJob.run();
+  assert.deepStrictEqual([summary.fixed, summary.failed], [1, 1]);
+  assert.strictEqual(summary.changes.find(c => c.name === 'calendar').error, 'Clio is down');
+});
+
+test('skips when WEBHOOK_BASE_URL is not configured', async () => {
+  config.webhooks.baseUrl = undefined;
+  const summary = await WebhookReconciliationJob.run();
+  assert.deepStrictEqual([summary.success, summary.action], [false, 'not_configured']);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('plans against the manifest only', async () => {
+  const { changes } = planWebhookReconciliation(WEBHOOK_MANIFEST, [], { baseUrl: BASE_URL });
+  assert.deepStrictEqual(changes.map(c => c.name), WEBHOOK_MANIFEST.map(e => e.name));
+});
@@ -0,0 +1,226 @@
+/**
+ * Webhook Retry and Dead-Letter Tests
+ *
+ * Drives a task deletion webhook through the real router, durable queue,
+ * retry policy and TaskDeletedAutomation pipeline. webhook_events answers
+ * through a stubbed fetch backed by an in-memory table (so the idempotency
+ * check and reservations run for real); other Supabase calls are stubs.
+ * Retry delays are zeroed so no test actually sleeps.
+ *
+ * Run: npm test -- tests/webhooks
+ */
+
+import assert from 'assert';
+import { test, beforeEach } from 'node:test';
+import express from 'express';
+
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_KEY = 'test-key';
+process.env.TRACKING_ENABLED = 'false';
+process.env.TEST_MODE = 'false';
+process.env.INSTANCE_ID = 'instance-a';
+
+const events = [];
+
+/**
+ * Whether a row matches PostgREST filters like `eq.1`, `is.null`, `lt.<iso>`
+ */
+const matches = (row, params) => [...params].every(([column, filter]) => {
+  if (['select', 'columns'].includes(column)) return true;
+  const [op, ...rest] = filter.split('.');
+  const value = rest.join('.');
+  if (op === 'eq') return String(row[column]) === value;
+  if (op === 'is') return value === 'null' ? row[column] == null : String(row[column]) === value;
+  if (op === 'lt') return row[column] != null && row[column] < value;
+  throw new Error(`Unsupported filter ${column}=${filter}`);
+});
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (input, init = {}) => {
+  const url = new URL(typeof input === 'string' ? input : input.url);
+  // Requests to the throwaway server
+  if (url.hostname === '127.0.0.1') return realFetch(input, init);
+
+  assert.strictEqual(url.pathname, '/rest/v1/webhook_events');
+  const method = init.method || 'GET';
+  const accept = new Headers(init.headers).get('Accept') || '';
+
+  if (method === 'GET') {
+    const found = events.filter(row => matches(row, url.searchParams));
+    if (!accept.includes('vnd.pgrst.object')) return json(found);
+    if (found.length !== 1) return json({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, 406);
+    return json(found[0]);
+  }
+
+  if (method === 'POST') {
+    const rows = [].concat(JSON.parse(init.body));
+    if (rows.some(row => events.some(e => e.idempotency_key === row.idempotency_key))) {
+      return json({ code: '23505', message: 'duplicate key value violates unique constraint' }, 409);
+    }
+    events.push(...rows.map(row => ({ processing_attempts: 1, ...row })));
+    return json(rows, 201);
+  }
+
+  if (method === 'PATCH') {
+    const updated = events.filter(row => matches(row, url.searchParams));
+    updated.forEach(row => Object.assign(row, JSON.parse(init.body)));
+    return json(updated);
+  }
+
+  throw new Error(`Unexpected ${method} ${url}`);
+};
+
+const { DEFAULT_RETRY_POLICY } = await import('../../src/utils/retry-policy.js');
+const { SupabaseService } = await import('../../src/services/supabase.js');
+const { ClioService } = await import('../../src/services/clio.js');
+const { WebhookSecretService } = await import('../../src/services/webhook-secrets.js');
+const { DeadLetterService } = await import('../../src/services/dead-letter.js');
+const { default: webhookRoutes } = await import('../../src/routes/webhooks.js');
+
+DEFAULT_RETRY_POLICY.baseDelayMs = 0;
+DEFAULT_RETRY_POLICY.jitter = 0;
+
+const deadLetters = [];
+const loggedErrors = [];
+let lookups = 0;
+let failLookups = 0;
+let lookupStatus = 503;
+
+const lookupError = () => Object.assign(new Error(`Request failed with status code ${lookupStatus}`), { response: { status: lookupStatus } });
+
+SupabaseService.getTaskById = async (taskId) => {
+  lookups++;
+  if (lookups <= failLookups) throw lookupError();
+  return { task_id: taskId, matter_id: 7, task_name: 'Call client', status: 'pending' };
+};
+SupabaseService.updateTask = async () => {};
+SupabaseService.logError = async (code) => { loggedErrors.push(code); };
+SupabaseService.insertDeadLetter = async (row) => {
+  const saved = { id: deadLetters.length + 1, status: 'pending', ...row };
+  deadLetters.push(saved);
+  return saved;
+};
+SupabaseService.getDeadLetterById = async (id) => {
+  const deadLetter = deadLetters.find(row => row.id === id);
+  return deadLetter ? { ...deadLetter } : null;
+};
+SupabaseService.updateDeadLetter = async (id, updates) => {
+  Object.assign(deadLetters.find(row => row.id === id), updates);
+};
+SupabaseService.enqueueWebhook = async () => null;
+ClioService.getRateLimitStatus = () => ({ remaining: 50, limit: 50, reset: null });
+WebhookSecretService.getSecrets = async () => [];
+
+const taskDeleted = { id: 'wh-1', data: { id: 9, deleted_at: '2026-10-19T10:00:00Z' } };
+
+/**
+ * POST to the webhook routes on a throwaway server
+ */
+const post = async (path, body) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/webhooks', webhookRoutes);
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+const reset = () => {
+  events.length = 0;
+  deadLetters.length = 0;
+  loggedErrors.length = 0;
+  lookups = 0;
+  failLookups = 0;
+  lookupStatus = 503;
+};
+
+beforeEach(reset);
+
+test('a stage that keeps failing is re-run by every attempt, then dead-lettered', async () => {
+  failLookups = Infinity;
+
+  const response = await post('/webhooks/tasks', taskDeleted);
+
+  // task-deleted allows 2 attempts (RETRY_POLICY_OVERRIDES)
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(lookups, 2);
+
+  assert.strictEqual(deadLetters.length, 1);
+  assert.strictEqual(deadLetters[0].endpoint, '/tasks');
+  assert.strictEqual(deadLetters[0].trigger_name, 'task-deleted');
+  assert.strictEqual(deadLetters[0].attempts, 2);
+  assert.strictEqual(deadLetters[0].http_status, 503);
+  assert.deepStrictEqual(deadLetters[0].payload, taskDeleted);
+
+  const [row] = events;
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(row.success, false);
+  assert.strictEqual(row.action, 'error');
+  assert.strictEqual(row.processing_attempts, 2);
+});
+
+test('a transient failure is retried and the webhook completes', async () => {
+  failLookups = 1;
+
+  const response = await post('/webhooks/tasks', taskDeleted);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.data.action, 'deleted_in_supabase');
+  assert.strictEqual(lookups, 2);
+  assert.strictEqual(deadLetters.length, 0);
+  assert.strictEqual(events[0].success, true);
+  assert.strictEqual(events[0].action, 'deleted_in_supabase');
+});
+
+test('a redelivery of a webhook that completed is answered from webhook_events', async () => {
+  await post('/webhooks/tasks', taskDeleted);
+  const again = await post('/webhooks/tasks', taskDeleted);
+
+  assert.strictEqual(again.status, 200);
+  assert.strictEqual(again.body.data.cached, true);
+  assert.strictEqual(lookups, 1);
+});
+
+test('an error the policy does not retry is dead-lettered after one attempt', async () => {
+  failLookups = Infinity;
+  lookupStatus = 422;
+
+  const response = await post('/webhooks/tasks', taskDeleted);
+
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(lookups, 1);
+  assert.strictEqual(deadLetters.length, 1);
+  assert.strictEqual(deadLetters[0].attempts, 1);
+  assert.strictEqual(deadLetters[0].http_status, 422);
+});
+
+test('replaying a dead letter re-runs the automation and reuses its dead letter', async () => {
+  failLookups = Infinity;
+  await post('/webhooks/tasks', taskDeleted);
+  assert.strictEqual(lookups, 2);
+
+  // Still failing: recorded on the same dead letter, not a new one
+  const failed = await DeadLetterService.replay(1);
+  assert.strictEqual(failed.action, 'replay_failed');
+  assert.strictEqual(lookups, 4);
+  assert.strictEqual(deadLetters.length, 1);
+  assert.strictEqual(deadLetters[0].status, 'replay_failed');
+
+  // Recovered: the replay runs under its own idempotency key
+  failLookups = 0;
+  const replayed = await DeadLetterService.replay(1, { force: true });
+  assert.strictEqual(replayed.action, 'replayed');
+  assert.strictEqual(deadLetters[0].status, 'replayed');
+  assert.strictEqual(events.filter(row => row.success === true).length, 1);
+  assert.ok(events.find(row => row.success === true).idempotency_key.includes(':replay:'));
+});
@@ -611,6 +611,113 @@ export const matterClosedWorkflow = {
   }
 };
 
+// ============================================================================
+// MATTER REOPENED WORKFLOW
+// ============================================================================
+export const matterReopenedWorkflow = {
+  id: 'matter-reopened',
+  name: 'Matter Reopened',
+  trigger: '/webhooks/matters',
+  triggerName: 'matter-reopened',
+  root: {
+    id: 'webhook',
+    name: 'Webhook Received',
+    layer: 'webhook',
+    type: 'step',
+    matchStep: 'webhook_received',
+    children: [{
+      id: 'validation',
+      name: 'Validate Timestamp',
+      layer: 'processing',
+      type: 'step',
+      matchStep: 'validation',
+      children: [{
+        id: 'test_mode',
+        name: 'Test Mode Filter',
+        layer: 'decision',
+        type: 'decision',
+        condition: 'Is matter in allowlist?',
+        children: [
+          { label: 'Blocked', value: false, node: { id: 'test_blocked', name: 'Test Mode Blocked', layer: 'outcome', type: 'outcome', status: 'skipped', matchAction: 'skipped_test_mode', children: [] } },
+          {
+            label: 'Allowed',
+            value: true,
+            node: {
+              id: 'idempotency',
+              name: 'Idempotency Check',
+              layer: 'processing',
+              type: 'step',
+              matchStep: 'idempotency_check',
+              children: [{
+                id: 'fetch_matter',
+                name: 'Fetch Matter',
+                layer: 'service',
+                type: 'step',
+                matchStep: 'fetch_matter',
+                children: [{
+                  id: 'still_open',
+                  name: 'Still Open?',
+                  layer: 'decision',
+                  type: 'decision',
+                  condition: 'Verify matter status and stage from Clio',
+                  children: [
+                    { label: 'Closed', value: 'closed', node: { id: 'still_closed', name: 'Closed Again', layer: 'outcome', type: 'outcome', status: 'skipped', matchAction: 'skipped_still_closed', children: [] } },
+                    { label: 'No Stage', value: 'no_stage', node: { id: 'no_stage', name: 'No Matter Stage', layer: 'outcome', type: 'outcome', status: 'skipped', matchAction: 'skipped_no_stage', children: [] } },
+                    {
+                      label: 'Open',
+                      value: 'open',
+                      node: {
+                        id: 'detect_reopen',
+                        name: 'Detect Reopen',
+                        layer: 'processing',
+                        type: 'step',
+                        matchStep: 'detect_reopen',
+                        children: [{
+                          id: 'was_closed',
+                          name: 'Last Recorded Closed?',
+                          layer: 'decision',
+                          type: 'decision',
+                          condition: 'Check matter history status',
+                          children: [
+                            { label: 'No', value: false, node: { id: 'not_reopened', name: 'Already Handled', layer: 'outcome', type: 'outcome', status: 'skipped', matchAction: 'skipped_not_reopened', children: [] } },
+                            {
+                              label: 'Yes',
+                              value: true,
+                              node: {
+                                id: 'restore_tasks',
+                                name: 'Restore Stage Tasks',
+                                layer: 'service',
+                                type: 'step',
+                                matchStep: 'restore_tasks',
+                                children: [{
+                                  id: 'restore_result',
+                                  name: 'Restore Result',
+                                  layer: 'decision',
+                                  type: 'decision',
+                                  condition: 'Tasks reopened / recreated',
+                                  children: [
+                                    { label: 'Restored', value: 'restored', node: { id: 'tasks_restored', name: 'Tasks Restored', layer: 'outcome', type: 'outcome', status: 'success', matchAction: 'tasks_restored', children: [] } },
+                                    { label: 'Nothing to Restore', value: 'none', node: { id: 'no_tasks', name: 'No Tasks to Restore', layer: 'outcome', type: 'outcome', status: 'success', matchAction: 'no_tasks_to_restore', children: [] } },
+                                    { label: 'Partial Failure', value: 'partial', node: { id: 'partial_failure', name: 'Partial Failure', layer: 'outcome', type: 'outcome', status: 'error', matchAction: 'partial_failure', children: [] } },
+                                  ]
+                                }]
+                              }
+                            }
+                          ]
+                        }]
+                      }
+                    }
+                  ]
+                }]
+              }]
+            }
+          }
+        ]
+      }]
+    }]
+  }
+};
+
 // ============================================================================
 // MEETING SCHEDULED WORKFLOW
 // ============================================================================
@@ -930,6 +1037,7 @@ export const documentCreatedWorkflow = {
 export const workflowRegistry = {
   'matter-stage-change': matterStageChangeWorkflow,
   'matter-closed': matterClosedWorkflow,
+  'matter-reopened': matterReopenedWorkflow,
   'task-completed': taskCompletedWorkflow,
   'task-deleted': taskDeletedWorkflow,
   'meeting-scheduled': meetingScheduledWorkflow,
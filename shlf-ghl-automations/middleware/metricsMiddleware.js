@@ -0,0 +1,87 @@
+/**
+ * Express Metrics Middleware
+ *
+ * Counts webhook and cron requests for the Prometheus /metrics endpoint:
+ * - POST webhooks → shlf_webhooks_{received,processed,failed}_total and
+ *   shlf_automation_duration_seconds, per trigger
+ * - /cron/* → shlf_job_{runs,failures}_total and shlf_job_duration_seconds
+ *
+ * A request counts as failed when it is answered with a 4xx/5xx status.
+ * Outbound API calls are recorded by instrumentAxios (utils/trackedAxios.js).
+ */
+
+const crypto = require('crypto');
+const { metrics, registry, CONTENT_TYPE } = require('../utils/metrics');
+
+/**
+ * Trigger label for a matched route, e.g. /webhooks/ghl/task-created → ghl/task-created
+ */
+function triggerName(routePath) {
+  return routePath.replace(/^\/(webhooks?\/)?/, '');
+}
+
+/**
+ * Express middleware that records webhook and cron requests once they are answered
+ */
+function metricsMiddleware(req, res, next) {
+  // Internal forwards are part of the request that forwarded them
+  if (req.method !== 'POST' || req.headers['x-internal-forward'] === 'true') {
+    return next();
+  }
+
+  const start = Date.now();
+
+  res.on('finish', () => {
+    // Only matched routes - unknown paths would make unbounded label values
+    if (!req.route) return;
+
+    const seconds = (Date.now() - start) / 1000;
+    const failed = res.statusCode >= 400;
+
+    if (req.route.path.startsWith('/cron/')) {
+      const job = req.route.path.slice('/cron/'.length);
+      metrics.jobRuns.inc({ job });
+      if (failed) metrics.jobFailures.inc({ job });
+      metrics.jobDuration.observe({ job }, seconds);
+      return;
+    }
+
+    const trigger = triggerName(req.route.path);
+    metrics.webhooksReceived.inc({ trigger });
+    (failed ? metrics.webhooksFailed : metrics.webhooksProcessed).inc({ trigger });
+    metrics.automationDuration.observe({ trigger, status: failed ? 'error' : 'success' }, seconds);
+  });
+
+  next();
+}
+
+/**
+ * GET /metrics - Prometheus scrape endpoint
+ * When METRICS_TOKEN is set, scrapers must send `Authorization: Bearer <token>`.
+ * In production the endpoint stays closed (503) until METRICS_TOKEN is set.
+ */
+async function metricsEndpoint(req, res) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token && process.env.NODE_ENV === 'production') {
+    return res.status(503).json({ success: false, error: 'METRICS_TOKEN not configured' });
+  }
+  if (token) {
+    const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer /, '').trim());
+    const expected = Buffer.from(token);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    res.set('Content-Type', CONTENT_TYPE).send(await registry.metrics());
+  } catch (error) {
+    console.error('[METRICS] Error rendering metrics:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+module.exports = {
+  metricsMiddleware,
+  metricsEndpoint,
+};
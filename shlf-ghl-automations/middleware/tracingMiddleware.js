@@ -14,6 +14,7 @@ const { GHLEventTracker } = require('../services/ghlEventTracker');
  */
 const SKIP_PATHS = [
   '/health',
+  '/metrics',
   '/favicon.ico',
   '/static',
   '/assets',
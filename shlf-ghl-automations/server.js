@@ -18,6 +18,12 @@ const { processInboundSms } = require('./services/smsConfirmationService');
 const { tracingMiddleware, tracingErrorMiddleware } = require('./middleware/tracingMiddleware');
 const { initializeGHLEventTracker, GHLEventTracker } = require('./services/ghlEventTracker');
 
+// Metrics (Prometheus) - the default axios instance covers services calling axios.get/post directly
+const axios = require('axios');
+const { instrumentAxios } = require('./utils/trackedAxios');
+const { metricsMiddleware, metricsEndpoint } = require('./middleware/metricsMiddleware');
+instrumentAxios(axios);
+
 // In-memory cache for recently processed invoices to prevent duplicate processing
 // When we process an invoice, we add it here. If we see it again within TTL, we skip it.
 const recentlyProcessedInvoices = new Map();
@@ -50,6 +56,9 @@ const upload = multer();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Metrics middleware - counts webhooks and cron runs once they are answered
+app.use(metricsMiddleware);
+
 // Tracing middleware - must be after body parsers
 app.use(tracingMiddleware);
 
@@ -58,6 +67,9 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'JotForm to GHL automation service running' });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', metricsEndpoint);
+
 // JotForm webhook endpoint
 app.post('/webhook/jotform', upload.none(), async (req, res) => {
   const { traceId } = req;
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { startDetail, completeDetail, failDetail, truncatePayload } = require('../utils/traceContext');
+const { instrumentAxios } = require('../utils/trackedAxios');
 
 /**
  * Confido Legal Service
@@ -19,13 +20,13 @@ const CONFIDO_API_KEY = process.env.CONFIDO_API_KEY;
 /**
  * Create axios instance for GraphQL requests
  */
-const confidoClient = axios.create({
+const confidoClient = instrumentAxios(axios.create({
   baseURL: CONFIDO_API_URL,
   headers: {
     'Authorization': `Bearer ${CONFIDO_API_KEY}`,
     'Content-Type': 'application/json',
   },
-});
+}), 'confido');
 
 /**
  * Execute a GraphQL query or mutation
@@ -0,0 +1,112 @@
+/**
+ * Prometheus Metrics
+ *
+ * prom-client registry rendered in the Prometheus text exposition format on
+ * GET /metrics (middleware/metricsMiddleware.js). Only the metrics below are
+ * registered - no default process metrics.
+ *
+ * Metric names are shared with shlf-automations (src/utils/metrics.js), so
+ * one dashboard covers both servers; tell them apart by the scrape job.
+ */
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+
+const CONTENT_TYPE = registry.contentType;
+
+const counter = (options) => new client.Counter({ ...options, registers: [registry] });
+const gauge = (options) => new client.Gauge({ ...options, registers: [registry] });
+const histogram = (options) => new client.Histogram({ ...options, registers: [registry] });
+
+const metrics = {
+  // Webhooks (trigger = route without the /webhooks prefix, e.g. "ghl/task-created")
+  webhooksReceived: counter({
+    name: 'shlf_webhooks_received_total',
+    help: 'Webhooks accepted for processing',
+    labelNames: ['trigger'],
+  }),
+  webhooksProcessed: counter({
+    name: 'shlf_webhooks_processed_total',
+    help: 'Webhooks answered with a 2xx/3xx status',
+    labelNames: ['trigger'],
+  }),
+  webhooksFailed: counter({
+    name: 'shlf_webhooks_failed_total',
+    help: 'Webhooks answered with a 4xx/5xx status',
+    labelNames: ['trigger'],
+  }),
+  automationDuration: histogram({
+    name: 'shlf_automation_duration_seconds',
+    help: 'Automation run time per webhook (request to response)',
+    labelNames: ['trigger', 'status'],
+    buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  }),
+
+  // Outbound API calls (status = HTTP status code, or "error" when there was no response)
+  apiRequestDuration: histogram({
+    name: 'shlf_api_request_duration_seconds',
+    help: 'Outbound API call latency',
+    labelNames: ['provider', 'method', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  }),
+  apiRateLimitRemaining: gauge({
+    name: 'shlf_api_rate_limit_remaining',
+    help: 'Requests left in the current rate-limit window (last X-RateLimit-Remaining seen)',
+    labelNames: ['provider'],
+  }),
+
+  // Cron endpoints (/cron/*)
+  jobRuns: counter({
+    name: 'shlf_job_runs_total',
+    help: 'Scheduled job runs',
+    labelNames: ['job'],
+  }),
+  jobFailures: counter({
+    name: 'shlf_job_failures_total',
+    help: 'Scheduled job runs answered with a 4xx/5xx status',
+    labelNames: ['job'],
+  }),
+  jobDuration: histogram({
+    name: 'shlf_job_duration_seconds',
+    help: 'Scheduled job run time',
+    labelNames: ['job'],
+    buckets: [1, 5, 15, 60, 300, 900, 1800],
+  }),
+};
+
+// Hostname → provider label (unknown hosts are grouped as "other" to keep label values bounded)
+const PROVIDER_HOSTS = [
+  [/(^|\.)leadconnectorhq\.com$|(^|\.)gohighlevel\.com$/, 'ghl'],
+  [/(^|\.)gravity-legal\.com$|(^|\.)confido/, 'confido'],
+  [/(^|\.)make\.com$/, 'make'],
+  [/(^|\.)jotform\.com$/, 'jotform'],
+  [/(^|\.)openrouter\.ai$/, 'openrouter'],
+  [/^(localhost|127\.0\.0\.1)$/, 'internal'],
+];
+
+/**
+ * Provider label for an outbound request URL
+ *
+ * @param {string} url - Request URL (absolute, or relative to baseURL)
+ * @param {string} [baseURL]
+ * @returns {string} ghl | confido | make | jotform | openrouter | internal | other
+ */
+function apiProvider(url, baseURL) {
+  let hostname;
+  try {
+    hostname = new URL(url || '', baseURL).hostname;
+  } catch {
+    return 'other';
+  }
+
+  const match = PROVIDER_HOSTS.find(([pattern]) => pattern.test(hostname));
+  return match ? match[1] : 'other';
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  registry,
+  metrics,
+  apiProvider,
+};
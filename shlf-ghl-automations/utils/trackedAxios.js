@@ -2,7 +2,8 @@
  * Tracked Axios Utility
  *
  * Creates axios instances that automatically track API calls as details
- * within the tracing system.
+ * within the tracing system, and records every call's latency, status code
+ * and rate limit for /metrics (instrumentAxios).
  */
 
 const axios = require('axios');
@@ -13,6 +14,54 @@ const {
   sanitizeHeaders,
   truncatePayload,
 } = require('./traceContext');
+const { metrics, apiProvider } = require('./metrics');
+
+/**
+ * Records latency, status code and rate limit of every call made through an axios instance
+ *
+ * server.js instruments the default axios instance, which covers the services
+ * calling axios.get/post directly. Instances from axios.create() don't share
+ * its interceptors and must be instrumented themselves.
+ *
+ * @param {AxiosInstance} instance - axios (default instance) or an axios.create() instance
+ * @param {string} [provider] - Provider label; derived from the request host when omitted
+ * @returns {AxiosInstance} - The same instance
+ */
+function instrumentAxios(instance, provider = null) {
+  instance.interceptors.request.use((config) => {
+    config._metricsStart = Date.now();
+    return config;
+  });
+
+  const record = (config, response) => {
+    if (!config?._metricsStart) return;
+    const label = provider || apiProvider(config.url, config.baseURL);
+
+    metrics.apiRequestDuration.observe({
+      provider: label,
+      method: config.method?.toUpperCase() || 'GET',
+      status: response?.status ?? 'error',
+    }, (Date.now() - config._metricsStart) / 1000);
+
+    const remaining = parseInt(response?.headers?.['x-ratelimit-remaining'], 10);
+    if (!isNaN(remaining)) {
+      metrics.apiRateLimitRemaining.set({ provider: label }, remaining);
+    }
+  };
+
+  instance.interceptors.response.use(
+    (response) => {
+      record(response.config, response);
+      return response;
+    },
+    (error) => {
+      record(error.config, error.response);
+      return Promise.reject(error);
+    }
+  );
+
+  return instance;
+}
 
 /**
  * Creates a tracked axios instance for a specific API provider
@@ -23,7 +72,7 @@ const {
  * @returns {AxiosInstance} - Axios instance with request/response tracking
  */
 function createTrackedAxios(provider, traceId, stepId) {
-  const instance = axios.create();
+  const instance = instrumentAxios(axios.create(), provider);
 
   // Request interceptor - start detail before API call
   instance.interceptors.request.use(
@@ -371,6 +420,7 @@ async function trackedAICall(provider, model, options, traceId, stepId, fn) {
 }
 
 module.exports = {
+  instrumentAxios,
   createTrackedAxios,
   trackedRequest,
   createTrackedGraphQL,